@@ -4,11 +4,18 @@ import { useState } from 'react'
 import { AdminPaymentsTable } from '@/components/admin/AdminPaymentsTable'
 import { AdminPayoutsManager } from '@/components/admin/AdminPayoutsManager'
 import { CommissionSettingsForm } from '@/components/admin/CommissionSettingsForm'
+import { SettlementReconciliation } from '@/components/admin/SettlementReconciliation'
+import { WebhookEvents } from '@/components/admin/WebhookEvents'
+import { CouponManager } from '@/components/admin/CouponManager'
+import { WithholdingRules } from '@/components/admin/WithholdingRules'
+import { ExchangeRates } from '@/components/admin/ExchangeRates'
+import { WalletCredits } from '@/components/admin/WalletCredits'
+import { InstallmentPlans } from '@/components/admin/InstallmentPlans'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
 import { Button } from '@/components/ui/button'
-import { Table, Wallet, Settings, BarChart3 } from 'lucide-react'
+import { Table, Wallet, Settings, BarChart3, FileSpreadsheet, Tag, Webhook, Landmark, Coins, PiggyBank, CalendarClock } from 'lucide-react'
 
-type AdminViewType = 'payments' | 'payouts' | 'commissions'
+type AdminViewType = 'payments' | 'payouts' | 'commissions' | 'withholdings' | 'exchangeRates' | 'coupons' | 'installments' | 'wallets' | 'reconciliation' | 'webhooks'
 
 export default function AdminPaymentsPage() {
   const [currentView, setCurrentView] = useState<AdminViewType>('payments')
@@ -31,6 +38,48 @@ export default function AdminPaymentsPage() {
       label: 'Configuración de Comisiones',
       icon: Settings,
       description: 'Configura las tasas de comisión de la plataforma'
+    },
+    {
+      id: 'withholdings' as AdminViewType,
+      label: 'Retenciones',
+      icon: Landmark,
+      description: 'Configura las retenciones de Ganancias e IIBB que se descuentan de los payouts'
+    },
+    {
+      id: 'exchangeRates' as AdminViewType,
+      label: 'Monedas',
+      icon: Coins,
+      description: 'Mantiene los tipos de cambio de UYU y CLP usados para cobrar y consolidar reportes'
+    },
+    {
+      id: 'coupons' as AdminViewType,
+      label: 'Cupones',
+      icon: Tag,
+      description: 'Administra los códigos de descuento y quién absorbe cada promoción'
+    },
+    {
+      id: 'installments' as AdminViewType,
+      label: 'Cuotas',
+      icon: CalendarClock,
+      description: 'Configura los planes de cuotas del checkout y las promociones sin interés'
+    },
+    {
+      id: 'wallets' as AdminViewType,
+      label: 'Billeteras',
+      icon: PiggyBank,
+      description: 'Otorga crédito de la plataforma a clientes por compensaciones o referidos'
+    },
+    {
+      id: 'reconciliation' as AdminViewType,
+      label: 'Conciliación',
+      icon: FileSpreadsheet,
+      description: 'Compara los reportes de Mercado Pago con los pagos registrados'
+    },
+    {
+      id: 'webhooks' as AdminViewType,
+      label: 'Webhooks',
+      icon: Webhook,
+      description: 'Inspecciona las notificaciones de Mercado Pago y reintenta las que fallaron'
     }
   ]
 
@@ -42,6 +91,20 @@ export default function AdminPaymentsPage() {
         return <AdminPayoutsManager />
       case 'commissions':
         return <CommissionSettingsForm />
+      case 'withholdings':
+        return <WithholdingRules />
+      case 'exchangeRates':
+        return <ExchangeRates />
+      case 'coupons':
+        return <CouponManager />
+      case 'installments':
+        return <InstallmentPlans />
+      case 'wallets':
+        return <WalletCredits />
+      case 'reconciliation':
+        return <SettlementReconciliation />
+      case 'webhooks':
+        return <WebhookEvents />
       default:
         return null
     }
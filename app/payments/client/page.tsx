@@ -4,10 +4,12 @@ import { useState } from 'react'
 import { PaymentCheckout } from '@/components/payments/PaymentCheckout'
 import { PaymentStatus } from '@/components/payments/PaymentStatus'
 import { PaymentHistory } from '@/components/payments/PaymentHistory'
+import { WalletBalance } from '@/components/payments/WalletBalance'
+import { CashPaymentConfirmations } from '@/components/payments/CashPaymentConfirmations'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
 import { Button } from '@/components/ui/button'
 import { Service } from '@/types/payments'
-import { ArrowLeft, CreditCard, History, CheckCircle } from 'lucide-react'
+import { ArrowLeft, CreditCard, History, CheckCircle, Wallet, Banknote } from 'lucide-react'
 import NotificationBell from '@/components/NotificationBell'
 import NotificationDropdown from '@/components/NotificationDropdown'
 import NotificationCenter from '@/components/NotificationCenter'
@@ -36,7 +38,7 @@ const mockService: Service = {
   }
 }
 
-type FlowStep = 'selection' | 'checkout' | 'status' | 'history'
+type FlowStep = 'selection' | 'checkout' | 'status' | 'history' | 'wallet' | 'cash'
 
 export default function ClientPaymentsPage() {
   const [currentStep, setCurrentStep] = useState<FlowStep>('selection')
@@ -131,6 +133,12 @@ export default function ClientPaymentsPage() {
       case 'history':
         return <PaymentHistory clientId="client-1" />
 
+      case 'wallet':
+        return <WalletBalance />
+
+      case 'cash':
+        return <CashPaymentConfirmations />
+
       default:
         return null
     }
@@ -234,6 +242,24 @@ export default function ClientPaymentsPage() {
                 Ver Historial
               </Button>
             )}
+            {currentStep !== 'wallet' && (
+              <Button
+                variant="outline"
+                onClick={() => setCurrentStep('wallet')}
+              >
+                <Wallet className="w-4 h-4 mr-2" />
+                Mi Billetera
+              </Button>
+            )}
+            {currentStep !== 'cash' && (
+              <Button
+                variant="outline"
+                onClick={() => setCurrentStep('cash')}
+              >
+                <Banknote className="w-4 h-4 mr-2" />
+                Pagos en Efectivo
+              </Button>
+            )}
           </div>
         </div>
       </div>
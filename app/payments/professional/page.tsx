@@ -4,11 +4,14 @@ import { useState } from 'react'
 import { PayoutDashboard } from '@/components/professional/PayoutDashboard'
 import { EarningsSummary } from '@/components/professional/EarningsSummary'
 import { TransactionsList } from '@/components/professional/TransactionsList'
+import { CommissionInvoices } from '@/components/professional/CommissionInvoices'
+import { EarningsStatement } from '@/components/professional/EarningsStatement'
+import { CashPayments } from '@/components/professional/CashPayments'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
 import { Button } from '@/components/ui/button'
-import { BarChart3, TrendingUp, List, Wallet } from 'lucide-react'
+import { BarChart3, TrendingUp, List, Wallet, Receipt, FileText, Banknote } from 'lucide-react'
 
-type ViewType = 'dashboard' | 'earnings' | 'transactions'
+type ViewType = 'dashboard' | 'earnings' | 'transactions' | 'invoices' | 'statement' | 'cash'
 
 export default function ProfessionalPaymentsPage() {
   const [currentView, setCurrentView] = useState<ViewType>('dashboard')
@@ -31,6 +34,24 @@ export default function ProfessionalPaymentsPage() {
       label: 'Transacciones',
       icon: List,
       description: 'Lista completa de tus pagos y transacciones'
+    },
+    {
+      id: 'invoices' as ViewType,
+      label: 'Facturas',
+      icon: Receipt,
+      description: 'Facturas mensuales de la comisión de Changánet y tus datos fiscales'
+    },
+    {
+      id: 'statement' as ViewType,
+      label: 'Resumen Anual',
+      icon: FileText,
+      description: 'Ingresos, comisiones y retenciones del año para tu declaración de impuestos'
+    },
+    {
+      id: 'cash' as ViewType,
+      label: 'Efectivo',
+      icon: Banknote,
+      description: 'Pagos cobrados en efectivo y comisiones a descontar de tus payouts'
     }
   ]
 
@@ -42,6 +63,12 @@ export default function ProfessionalPaymentsPage() {
         return <EarningsSummary professionalId="prof-1" />
       case 'transactions':
         return <TransactionsList professionalId="prof-1" />
+      case 'invoices':
+        return <CommissionInvoices />
+      case 'statement':
+        return <EarningsStatement />
+      case 'cash':
+        return <CashPayments />
       default:
         return null
     }
@@ -0,0 +1,61 @@
+-- CreateTable
+CREATE TABLE "disputas_pago" (
+    "id" TEXT NOT NULL,
+    "pago_id" TEXT NOT NULL,
+    "cliente_id" TEXT NOT NULL,
+    "profesional_id" TEXT NOT NULL,
+    "motivo" TEXT NOT NULL,
+    "descripcion" TEXT NOT NULL,
+    "estado" TEXT NOT NULL DEFAULT 'abierta',
+    "resolucion" TEXT,
+    "monto_reembolso" DOUBLE PRECISION,
+    "monto_liberado" DOUBLE PRECISION,
+    "notas_resolucion" TEXT,
+    "resuelta_por" TEXT,
+    "resuelta_en" TIMESTAMP(3),
+    "creado_en" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "actualizado_en" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "disputas_pago_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "evidencias_disputa" (
+    "id" TEXT NOT NULL,
+    "disputa_id" TEXT NOT NULL,
+    "usuario_id" TEXT NOT NULL,
+    "rol_usuario" TEXT NOT NULL,
+    "descripcion" TEXT,
+    "archivo" TEXT,
+    "tipo_archivo" TEXT,
+    "creado_en" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "evidencias_disputa_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "disputas_pago_pago_id_idx" ON "disputas_pago"("pago_id");
+
+-- CreateIndex
+CREATE INDEX "disputas_pago_cliente_id_idx" ON "disputas_pago"("cliente_id");
+
+-- CreateIndex
+CREATE INDEX "disputas_pago_profesional_id_idx" ON "disputas_pago"("profesional_id");
+
+-- CreateIndex
+CREATE INDEX "disputas_pago_estado_idx" ON "disputas_pago"("estado");
+
+-- CreateIndex
+CREATE INDEX "disputas_pago_estado_creado_en_idx" ON "disputas_pago"("estado", "creado_en");
+
+-- CreateIndex
+CREATE INDEX "evidencias_disputa_disputa_id_idx" ON "evidencias_disputa"("disputa_id");
+
+-- CreateIndex
+CREATE INDEX "evidencias_disputa_usuario_id_idx" ON "evidencias_disputa"("usuario_id");
+
+-- AddForeignKey
+ALTER TABLE "disputas_pago" ADD CONSTRAINT "disputas_pago_pago_id_fkey" FOREIGN KEY ("pago_id") REFERENCES "pagos"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "evidencias_disputa" ADD CONSTRAINT "evidencias_disputa_disputa_id_fkey" FOREIGN KEY ("disputa_id") REFERENCES "disputas_pago"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "pagos" ADD COLUMN     "monto_reembolsado" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "reembolsos" (
+    "id" TEXT NOT NULL,
+    "pago_id" TEXT NOT NULL,
+    "monto" DOUBLE PRECISION NOT NULL,
+    "comision_revertida" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "monto_profesional_revertido" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "motivo" TEXT,
+    "mercado_pago_refund_id" TEXT,
+    "disputa_id" TEXT,
+    "procesado_por" TEXT,
+    "creado_en" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "reembolsos_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "reembolsos_pago_id_idx" ON "reembolsos"("pago_id");
+
+-- CreateIndex
+CREATE INDEX "reembolsos_disputa_id_idx" ON "reembolsos"("disputa_id");
+
+-- CreateIndex
+CREATE INDEX "reembolsos_creado_en_idx" ON "reembolsos"("creado_en");
+
+-- AddForeignKey
+ALTER TABLE "reembolsos" ADD CONSTRAINT "reembolsos_pago_id_fkey" FOREIGN KEY ("pago_id") REFERENCES "pagos"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
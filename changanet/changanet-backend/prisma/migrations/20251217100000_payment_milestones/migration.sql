@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE "hitos_pago" (
+    "id" TEXT NOT NULL,
+    "pago_id" TEXT NOT NULL,
+    "orden" INTEGER NOT NULL,
+    "descripcion" TEXT NOT NULL,
+    "porcentaje" DOUBLE PRECISION NOT NULL,
+    "monto" DOUBLE PRECISION NOT NULL,
+    "estado" TEXT NOT NULL DEFAULT 'pendiente',
+    "comision_plataforma" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "monto_profesional" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "payout_id" TEXT,
+    "solicitado_en" TIMESTAMP(3),
+    "escrow_release_deadline" TIMESTAMP(3),
+    "aprobado_en" TIMESTAMP(3),
+    "aprobado_por" TEXT,
+    "notas_rechazo" TEXT,
+    "creado_en" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "actualizado_en" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "hitos_pago_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "hitos_pago_pago_id_idx" ON "hitos_pago"("pago_id");
+
+-- CreateIndex
+CREATE INDEX "hitos_pago_estado_escrow_release_deadline_idx" ON "hitos_pago"("estado", "escrow_release_deadline");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "hitos_pago_pago_id_orden_key" ON "hitos_pago"("pago_id", "orden");
+
+-- AddForeignKey
+ALTER TABLE "hitos_pago" ADD CONSTRAINT "hitos_pago_pago_id_fkey" FOREIGN KEY ("pago_id") REFERENCES "pagos"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,47 @@
+-- CreateTable
+CREATE TABLE "asientos_contables" (
+    "id" TEXT NOT NULL,
+    "tipo" TEXT NOT NULL,
+    "descripcion" TEXT NOT NULL,
+    "entidad_tipo" TEXT NOT NULL,
+    "entidad_id" TEXT NOT NULL,
+    "creado_por" TEXT,
+    "creado_en" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "asientos_contables_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "movimientos_contables" (
+    "id" TEXT NOT NULL,
+    "asiento_id" TEXT NOT NULL,
+    "cuenta" TEXT NOT NULL,
+    "usuario_id" TEXT,
+    "pago_id" TEXT,
+    "debe" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "haber" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "creado_en" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "movimientos_contables_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "asientos_contables_entidad_tipo_entidad_id_idx" ON "asientos_contables"("entidad_tipo", "entidad_id");
+
+-- CreateIndex
+CREATE INDEX "asientos_contables_creado_en_idx" ON "asientos_contables"("creado_en");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "asientos_contables_tipo_entidad_tipo_entidad_id_key" ON "asientos_contables"("tipo", "entidad_tipo", "entidad_id");
+
+-- CreateIndex
+CREATE INDEX "movimientos_contables_asiento_id_idx" ON "movimientos_contables"("asiento_id");
+
+-- CreateIndex
+CREATE INDEX "movimientos_contables_cuenta_usuario_id_idx" ON "movimientos_contables"("cuenta", "usuario_id");
+
+-- CreateIndex
+CREATE INDEX "movimientos_contables_pago_id_idx" ON "movimientos_contables"("pago_id");
+
+-- AddForeignKey
+ALTER TABLE "movimientos_contables" ADD CONSTRAINT "movimientos_contables_asiento_id_fkey" FOREIGN KEY ("asiento_id") REFERENCES "asientos_contables"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,47 @@
+-- CreateTable
+CREATE TABLE "conciliaciones_mp" (
+    "id" TEXT NOT NULL,
+    "archivo_nombre" TEXT NOT NULL,
+    "tipo_reporte" TEXT NOT NULL,
+    "periodo_desde" TIMESTAMP(3),
+    "periodo_hasta" TIMESTAMP(3),
+    "total_filas" INTEGER NOT NULL,
+    "conciliados" INTEGER NOT NULL DEFAULT 0,
+    "faltantes_en_sistema" INTEGER NOT NULL DEFAULT 0,
+    "faltantes_en_reporte" INTEGER NOT NULL DEFAULT 0,
+    "duplicados" INTEGER NOT NULL DEFAULT 0,
+    "diferencias_monto" INTEGER NOT NULL DEFAULT 0,
+    "estado" TEXT NOT NULL,
+    "subido_por" TEXT NOT NULL,
+    "creado_en" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "conciliaciones_mp_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "diferencias_conciliacion" (
+    "id" TEXT NOT NULL,
+    "conciliacion_id" TEXT NOT NULL,
+    "tipo" TEXT NOT NULL,
+    "mercado_pago_id" TEXT,
+    "pago_id" TEXT,
+    "monto_reporte" DOUBLE PRECISION,
+    "monto_sistema" DOUBLE PRECISION,
+    "diferencia" DOUBLE PRECISION,
+    "filas" TEXT,
+    "detalle" TEXT NOT NULL,
+
+    CONSTRAINT "diferencias_conciliacion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "conciliaciones_mp_creado_en_idx" ON "conciliaciones_mp"("creado_en");
+
+-- CreateIndex
+CREATE INDEX "diferencias_conciliacion_conciliacion_id_idx" ON "diferencias_conciliacion"("conciliacion_id");
+
+-- CreateIndex
+CREATE INDEX "diferencias_conciliacion_mercado_pago_id_idx" ON "diferencias_conciliacion"("mercado_pago_id");
+
+-- AddForeignKey
+ALTER TABLE "diferencias_conciliacion" ADD CONSTRAINT "diferencias_conciliacion_conciliacion_id_fkey" FOREIGN KEY ("conciliacion_id") REFERENCES "conciliaciones_mp"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
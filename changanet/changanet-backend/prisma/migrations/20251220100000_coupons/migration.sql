@@ -0,0 +1,82 @@
+-- AlterTable
+ALTER TABLE "pagos" ADD COLUMN "monto_descuento" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN "descuento_absorbido_por" TEXT;
+
+-- CreateTable
+CREATE TABLE "cupones" (
+    "id" TEXT NOT NULL,
+    "codigo" TEXT NOT NULL,
+    "descripcion" TEXT,
+    "tipo" TEXT NOT NULL,
+    "valor" DOUBLE PRECISION NOT NULL,
+    "monto_maximo_descuento" DOUBLE PRECISION,
+    "monto_minimo" DOUBLE PRECISION,
+    "absorbido_por" TEXT NOT NULL DEFAULT 'plataforma',
+    "profesional_id" TEXT,
+    "solo_primer_servicio" BOOLEAN NOT NULL DEFAULT false,
+    "max_usos_totales" INTEGER,
+    "max_usos_por_usuario" INTEGER DEFAULT 1,
+    "usos_actuales" INTEGER NOT NULL DEFAULT 0,
+    "valido_desde" TIMESTAMP(3),
+    "valido_hasta" TIMESTAMP(3),
+    "activo" BOOLEAN NOT NULL DEFAULT true,
+    "creado_por" TEXT,
+    "creado_en" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "actualizado_en" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "cupones_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "cupones_usos" (
+    "id" TEXT NOT NULL,
+    "cupon_id" TEXT NOT NULL,
+    "usuario_id" TEXT NOT NULL,
+    "pago_id" TEXT NOT NULL,
+    "monto_descuento" DOUBLE PRECISION NOT NULL,
+    "estado" TEXT NOT NULL DEFAULT 'aplicado',
+    "creado_en" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "cupones_usos_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "_categoriesTocupones" (
+    "A" TEXT NOT NULL,
+    "B" TEXT NOT NULL,
+
+    CONSTRAINT "_categoriesTocupones_AB_pkey" PRIMARY KEY ("A","B")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "cupones_codigo_key" ON "cupones"("codigo");
+
+-- CreateIndex
+CREATE INDEX "cupones_activo_valido_hasta_idx" ON "cupones"("activo", "valido_hasta");
+
+-- CreateIndex
+CREATE INDEX "cupones_profesional_id_idx" ON "cupones"("profesional_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "cupones_usos_pago_id_key" ON "cupones_usos"("pago_id");
+
+-- CreateIndex
+CREATE INDEX "cupones_usos_cupon_id_usuario_id_idx" ON "cupones_usos"("cupon_id", "usuario_id");
+
+-- CreateIndex
+CREATE INDEX "cupones_usos_estado_idx" ON "cupones_usos"("estado");
+
+-- CreateIndex
+CREATE INDEX "_categoriesTocupones_B_index" ON "_categoriesTocupones"("B");
+
+-- AddForeignKey
+ALTER TABLE "cupones_usos" ADD CONSTRAINT "cupones_usos_cupon_id_fkey" FOREIGN KEY ("cupon_id") REFERENCES "cupones"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "cupones_usos" ADD CONSTRAINT "cupones_usos_pago_id_fkey" FOREIGN KEY ("pago_id") REFERENCES "pagos"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_categoriesTocupones" ADD CONSTRAINT "_categoriesTocupones_A_fkey" FOREIGN KEY ("A") REFERENCES "categories"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_categoriesTocupones" ADD CONSTRAINT "_categoriesTocupones_B_fkey" FOREIGN KEY ("B") REFERENCES "cupones"("id") ON DELETE CASCADE ON UPDATE CASCADE;
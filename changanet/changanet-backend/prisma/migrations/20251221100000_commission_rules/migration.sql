@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "commission_settings" ADD COLUMN "tipo_regla" TEXT NOT NULL DEFAULT 'general',
+ADD COLUMN "profesional_id" TEXT,
+ADD COLUMN "medalla_requerida" TEXT,
+ADD COLUMN "volumen_mensual_minimo" INTEGER,
+ADD COLUMN "valido_desde" TIMESTAMP(3),
+ADD COLUMN "valido_hasta" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "commission_settings_activo_tipo_regla_idx" ON "commission_settings"("activo", "tipo_regla");
+
+-- CreateIndex
+CREATE INDEX "commission_settings_profesional_id_idx" ON "commission_settings"("profesional_id");
@@ -0,0 +1,91 @@
+-- CreateTable
+CREATE TABLE "planes_suscripcion" (
+    "id" TEXT NOT NULL,
+    "codigo" TEXT NOT NULL,
+    "nombre" TEXT NOT NULL,
+    "descripcion" TEXT,
+    "precio_mensual" DOUBLE PRECISION NOT NULL,
+    "precio_anual" DOUBLE PRECISION,
+    "porcentaje_comision" DOUBLE PRECISION,
+    "impulso_busqueda" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "max_cotizaciones_activas" INTEGER,
+    "analytics_avanzados" BOOLEAN NOT NULL DEFAULT false,
+    "orden" INTEGER NOT NULL DEFAULT 0,
+    "activo" BOOLEAN NOT NULL DEFAULT true,
+    "creado_en" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "actualizado_en" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "planes_suscripcion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "suscripciones_profesionales" (
+    "id" TEXT NOT NULL,
+    "profesional_id" TEXT NOT NULL,
+    "plan_id" TEXT NOT NULL,
+    "plan_siguiente_id" TEXT,
+    "periodo" TEXT NOT NULL DEFAULT 'mensual',
+    "estado" TEXT NOT NULL DEFAULT 'pendiente',
+    "periodo_inicio" TIMESTAMP(3),
+    "periodo_fin" TIMESTAMP(3),
+    "gracia_hasta" TIMESTAMP(3),
+    "cancelar_al_final" BOOLEAN NOT NULL DEFAULT false,
+    "cancelada_en" TIMESTAMP(3),
+    "creado_en" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "actualizado_en" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "suscripciones_profesionales_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "cobros_suscripcion" (
+    "id" TEXT NOT NULL,
+    "suscripcion_id" TEXT NOT NULL,
+    "plan_id" TEXT NOT NULL,
+    "monto" DOUBLE PRECISION NOT NULL,
+    "periodo_inicio" TIMESTAMP(3) NOT NULL,
+    "periodo_fin" TIMESTAMP(3) NOT NULL,
+    "estado" TEXT NOT NULL DEFAULT 'pendiente',
+    "intentos" INTEGER NOT NULL DEFAULT 0,
+    "mercado_pago_preference_id" TEXT,
+    "mercado_pago_id" TEXT,
+    "ultimo_error" TEXT,
+    "cobrado_en" TIMESTAMP(3),
+    "creado_en" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "actualizado_en" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "cobros_suscripcion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "planes_suscripcion_codigo_key" ON "planes_suscripcion"("codigo");
+
+-- CreateIndex
+CREATE INDEX "suscripciones_profesionales_profesional_id_estado_idx" ON "suscripciones_profesionales"("profesional_id", "estado");
+
+-- CreateIndex
+CREATE INDEX "suscripciones_profesionales_estado_periodo_fin_idx" ON "suscripciones_profesionales"("estado", "periodo_fin");
+
+-- CreateIndex
+CREATE INDEX "cobros_suscripcion_suscripcion_id_idx" ON "cobros_suscripcion"("suscripcion_id");
+
+-- CreateIndex
+CREATE INDEX "cobros_suscripcion_estado_idx" ON "cobros_suscripcion"("estado");
+
+-- AddForeignKey
+ALTER TABLE "suscripciones_profesionales" ADD CONSTRAINT "suscripciones_profesionales_plan_id_fkey" FOREIGN KEY ("plan_id") REFERENCES "planes_suscripcion"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "suscripciones_profesionales" ADD CONSTRAINT "suscripciones_profesionales_plan_siguiente_id_fkey" FOREIGN KEY ("plan_siguiente_id") REFERENCES "planes_suscripcion"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "cobros_suscripcion" ADD CONSTRAINT "cobros_suscripcion_suscripcion_id_fkey" FOREIGN KEY ("suscripcion_id") REFERENCES "suscripciones_profesionales"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "cobros_suscripcion" ADD CONSTRAINT "cobros_suscripcion_plan_id_fkey" FOREIGN KEY ("plan_id") REFERENCES "planes_suscripcion"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Planes iniciales (precios en ARS, editables desde el panel de administración)
+INSERT INTO "planes_suscripcion" ("id", "codigo", "nombre", "descripcion", "precio_mensual", "precio_anual", "porcentaje_comision", "impulso_busqueda", "max_cotizaciones_activas", "analytics_avanzados", "orden", "actualizado_en") VALUES
+    ('plan_basico', 'basico', 'Básico', 'Más ofertas simultáneas y un impulso leve en búsquedas', 4999, 49990, NULL, 0.1, 10, false, 1, CURRENT_TIMESTAMP),
+    ('plan_pro', 'pro', 'Pro', 'Comisión reducida, analytics avanzados y mayor visibilidad', 9999, 99990, 7, 0.25, 25, true, 2, CURRENT_TIMESTAMP),
+    ('plan_premium', 'premium', 'Premium', 'Comisión mínima, ofertas ilimitadas y máxima visibilidad', 19999, 199990, 5, 0.5, NULL, true, 3, CURRENT_TIMESTAMP);
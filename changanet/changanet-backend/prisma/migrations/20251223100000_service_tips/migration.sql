@@ -0,0 +1,44 @@
+-- AlterTable
+ALTER TABLE "payouts" ADD COLUMN "propina_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "propinas" (
+    "id" TEXT NOT NULL,
+    "servicio_id" TEXT NOT NULL,
+    "cliente_id" TEXT NOT NULL,
+    "profesional_id" TEXT NOT NULL,
+    "monto" DOUBLE PRECISION NOT NULL,
+    "porcentaje_comision" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "comision" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "monto_profesional" DOUBLE PRECISION NOT NULL,
+    "mensaje" TEXT,
+    "estado" TEXT NOT NULL DEFAULT 'pendiente',
+    "mercado_pago_preference_id" TEXT,
+    "mercado_pago_id" TEXT,
+    "pagado_en" TIMESTAMP(3),
+    "creado_en" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "actualizado_en" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "propinas_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "propinas_servicio_id_key" ON "propinas"("servicio_id");
+
+-- CreateIndex
+CREATE INDEX "propinas_profesional_id_estado_idx" ON "propinas"("profesional_id", "estado");
+
+-- CreateIndex
+CREATE INDEX "propinas_cliente_id_idx" ON "propinas"("cliente_id");
+
+-- CreateIndex
+CREATE INDEX "propinas_estado_pagado_en_idx" ON "propinas"("estado", "pagado_en");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "payouts_propina_id_key" ON "payouts"("propina_id");
+
+-- AddForeignKey
+ALTER TABLE "propinas" ADD CONSTRAINT "propinas_servicio_id_fkey" FOREIGN KEY ("servicio_id") REFERENCES "servicios"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payouts" ADD CONSTRAINT "payouts_propina_id_fkey" FOREIGN KEY ("propina_id") REFERENCES "propinas"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE "retiros" ADD COLUMN "lote_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "lotes_transferencias" (
+    "id" TEXT NOT NULL,
+    "formato" TEXT NOT NULL,
+    "estado" TEXT NOT NULL DEFAULT 'generado',
+    "cantidad" INTEGER NOT NULL,
+    "monto_total" DOUBLE PRECISION NOT NULL,
+    "completados" INTEGER NOT NULL DEFAULT 0,
+    "fallidos" INTEGER NOT NULL DEFAULT 0,
+    "generado_por" TEXT NOT NULL,
+    "respuesta_archivo" TEXT,
+    "importado_por" TEXT,
+    "importado_en" TIMESTAMP(3),
+    "creado_en" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "lotes_transferencias_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "retiros_lote_id_idx" ON "retiros"("lote_id");
+
+-- CreateIndex
+CREATE INDEX "lotes_transferencias_estado_idx" ON "lotes_transferencias"("estado");
+
+-- CreateIndex
+CREATE INDEX "lotes_transferencias_creado_en_idx" ON "lotes_transferencias"("creado_en");
+
+-- AddForeignKey
+ALTER TABLE "retiros" ADD CONSTRAINT "retiros_lote_id_fkey" FOREIGN KEY ("lote_id") REFERENCES "lotes_transferencias"("id") ON DELETE SET NULL ON UPDATE CASCADE;
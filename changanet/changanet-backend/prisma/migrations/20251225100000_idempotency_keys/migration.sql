@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "claves_idempotencia" (
+    "id" TEXT NOT NULL,
+    "clave" TEXT NOT NULL,
+    "usuario_id" TEXT NOT NULL,
+    "metodo" TEXT NOT NULL,
+    "ruta" TEXT NOT NULL,
+    "hash_solicitud" TEXT NOT NULL,
+    "estado" TEXT NOT NULL DEFAULT 'procesando',
+    "codigo_respuesta" INTEGER,
+    "respuesta" JSONB,
+    "creado_en" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expira_en" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "claves_idempotencia_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "claves_idempotencia_usuario_id_clave_key" ON "claves_idempotencia"("usuario_id", "clave");
+
+-- CreateIndex
+CREATE INDEX "claves_idempotencia_expira_en_idx" ON "claves_idempotencia"("expira_en");
@@ -0,0 +1,49 @@
+-- CreateTable
+CREATE TABLE "configuracion_fraude" (
+    "id" TEXT NOT NULL,
+    "operacion" TEXT NOT NULL,
+    "umbral_verificacion" INTEGER NOT NULL DEFAULT 30,
+    "umbral_revision" INTEGER NOT NULL DEFAULT 50,
+    "umbral_bloqueo" INTEGER NOT NULL DEFAULT 80,
+    "pesos" JSONB,
+    "actualizado_por" TEXT,
+    "actualizado_en" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "configuracion_fraude_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "evaluaciones_fraude" (
+    "id" TEXT NOT NULL,
+    "usuario_id" TEXT NOT NULL,
+    "operacion" TEXT NOT NULL,
+    "monto" DOUBLE PRECISION,
+    "puntaje" INTEGER NOT NULL,
+    "decision" TEXT NOT NULL,
+    "factores" JSONB NOT NULL,
+    "ip_address" TEXT,
+    "user_agent" TEXT,
+    "estado_revision" TEXT,
+    "revisado_por" TEXT,
+    "revisado_en" TIMESTAMP(3),
+    "notas_revision" TEXT,
+    "consumida_en" TIMESTAMP(3),
+    "creado_en" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "evaluaciones_fraude_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "configuracion_fraude_operacion_key" ON "configuracion_fraude"("operacion");
+
+-- CreateIndex
+CREATE INDEX "evaluaciones_fraude_usuario_id_operacion_idx" ON "evaluaciones_fraude"("usuario_id", "operacion");
+
+-- CreateIndex
+CREATE INDEX "evaluaciones_fraude_estado_revision_idx" ON "evaluaciones_fraude"("estado_revision");
+
+-- CreateIndex
+CREATE INDEX "evaluaciones_fraude_decision_creado_en_idx" ON "evaluaciones_fraude"("decision", "creado_en");
+
+-- AddForeignKey
+ALTER TABLE "evaluaciones_fraude" ADD CONSTRAINT "evaluaciones_fraude_usuario_id_fkey" FOREIGN KEY ("usuario_id") REFERENCES "usuarios"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE "eventos_webhook" (
+    "id" TEXT NOT NULL,
+    "proveedor" TEXT NOT NULL DEFAULT 'mercadopago',
+    "id_evento" TEXT NOT NULL,
+    "tipo" TEXT,
+    "accion" TEXT,
+    "recurso_id" TEXT,
+    "headers" JSONB NOT NULL,
+    "cuerpo" JSONB NOT NULL,
+    "firma_valida" BOOLEAN NOT NULL,
+    "ip_address" TEXT,
+    "estado" TEXT NOT NULL DEFAULT 'recibido',
+    "intentos" INTEGER NOT NULL DEFAULT 0,
+    "ultimo_error" TEXT,
+    "resultado" JSONB,
+    "reprocesado_por" TEXT,
+    "recibido_en" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "ultimo_intento_en" TIMESTAMP(3),
+    "procesado_en" TIMESTAMP(3),
+
+    CONSTRAINT "eventos_webhook_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "eventos_webhook_proveedor_id_evento_key" ON "eventos_webhook"("proveedor", "id_evento");
+
+-- CreateIndex
+CREATE INDEX "eventos_webhook_estado_recibido_en_idx" ON "eventos_webhook"("estado", "recibido_en");
+
+-- CreateIndex
+CREATE INDEX "eventos_webhook_recurso_id_idx" ON "eventos_webhook"("recurso_id");
@@ -0,0 +1,63 @@
+-- CreateTable
+CREATE TABLE "datos_fiscales" (
+    "id" TEXT NOT NULL,
+    "usuario_id" TEXT NOT NULL,
+    "cuit" TEXT NOT NULL,
+    "razon_social" TEXT NOT NULL,
+    "condicion_iva" TEXT NOT NULL,
+    "domicilio_fiscal" TEXT NOT NULL,
+    "creado_en" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "actualizado_en" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "datos_fiscales_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "facturas" (
+    "id" TEXT NOT NULL,
+    "profesional_id" TEXT NOT NULL,
+    "tipo_comprobante" TEXT NOT NULL,
+    "punto_venta" INTEGER NOT NULL,
+    "numero" INTEGER NOT NULL,
+    "periodo" TEXT NOT NULL,
+    "periodo_inicio" TIMESTAMP(3) NOT NULL,
+    "periodo_fin" TIMESTAMP(3) NOT NULL,
+    "cantidad_pagos" INTEGER NOT NULL,
+    "comision_bruta" DOUBLE PRECISION NOT NULL,
+    "comision_revertida" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "monto_neto" DOUBLE PRECISION NOT NULL,
+    "alicuota_iva" DOUBLE PRECISION NOT NULL,
+    "monto_iva" DOUBLE PRECISION NOT NULL,
+    "monto_total" DOUBLE PRECISION NOT NULL,
+    "datos_fiscales" JSONB NOT NULL,
+    "estado" TEXT NOT NULL DEFAULT 'pendiente_autorizacion',
+    "cae" TEXT,
+    "cae_vencimiento" TIMESTAMP(3),
+    "autoridad_error" TEXT,
+    "archivo" TEXT,
+    "emitida_en" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "autorizada_en" TIMESTAMP(3),
+
+    CONSTRAINT "facturas_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "datos_fiscales_usuario_id_key" ON "datos_fiscales"("usuario_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "facturas_punto_venta_tipo_comprobante_numero_key" ON "facturas"("punto_venta", "tipo_comprobante", "numero");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "facturas_profesional_id_periodo_key" ON "facturas"("profesional_id", "periodo");
+
+-- CreateIndex
+CREATE INDEX "facturas_estado_idx" ON "facturas"("estado");
+
+-- CreateIndex
+CREATE INDEX "facturas_periodo_idx" ON "facturas"("periodo");
+
+-- AddForeignKey
+ALTER TABLE "datos_fiscales" ADD CONSTRAINT "datos_fiscales_usuario_id_fkey" FOREIGN KEY ("usuario_id") REFERENCES "usuarios"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "facturas" ADD CONSTRAINT "facturas_profesional_id_fkey" FOREIGN KEY ("profesional_id") REFERENCES "usuarios"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "payouts" ADD COLUMN     "retenciones" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "detalle_retenciones" JSONB;
+
+-- CreateTable
+CREATE TABLE "reglas_retencion" (
+    "id" TEXT NOT NULL,
+    "impuesto" TEXT NOT NULL,
+    "categoria_fiscal" TEXT NOT NULL,
+    "porcentaje" DOUBLE PRECISION NOT NULL,
+    "minimo_no_imponible" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "activa" BOOLEAN NOT NULL DEFAULT true,
+    "actualizado_por" TEXT,
+    "creado_en" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "actualizado_en" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "reglas_retencion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "reglas_retencion_impuesto_categoria_fiscal_key" ON "reglas_retencion"("impuesto", "categoria_fiscal");
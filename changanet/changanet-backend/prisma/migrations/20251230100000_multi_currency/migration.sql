@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "perfiles_profesionales" ADD COLUMN     "moneda" TEXT NOT NULL DEFAULT 'ARS';
+
+-- AlterTable
+ALTER TABLE "cotizacion_respuestas" ADD COLUMN     "moneda" TEXT NOT NULL DEFAULT 'ARS';
+
+-- AlterTable
+ALTER TABLE "pagos" ADD COLUMN     "moneda" TEXT NOT NULL DEFAULT 'ARS',
+ADD COLUMN     "tipo_cambio" DOUBLE PRECISION NOT NULL DEFAULT 1,
+ADD COLUMN     "tipo_cambio_fecha" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "payouts" ADD COLUMN     "moneda" TEXT NOT NULL DEFAULT 'ARS';
+
+-- CreateTable
+CREATE TABLE "tipos_cambio" (
+    "id" TEXT NOT NULL,
+    "moneda" TEXT NOT NULL,
+    "tasa" DOUBLE PRECISION NOT NULL,
+    "vigente_desde" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "fuente" TEXT,
+    "creado_por" TEXT,
+    "creado_en" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "tipos_cambio_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "tipos_cambio_moneda_vigente_desde_idx" ON "tipos_cambio"("moneda", "vigente_desde");
@@ -0,0 +1,49 @@
+-- AlterTable
+ALTER TABLE "pagos" ADD COLUMN     "monto_credito" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "reembolsos" ADD COLUMN     "monto_credito" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "billeteras" (
+    "id" TEXT NOT NULL,
+    "usuario_id" TEXT NOT NULL,
+    "saldo" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "creado_en" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "actualizado_en" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "billeteras_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "movimientos_billetera" (
+    "id" TEXT NOT NULL,
+    "billetera_id" TEXT NOT NULL,
+    "tipo" TEXT NOT NULL,
+    "monto" DOUBLE PRECISION NOT NULL,
+    "saldo_resultante" DOUBLE PRECISION NOT NULL,
+    "pago_id" TEXT,
+    "motivo" TEXT,
+    "creado_por" TEXT,
+    "creado_en" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "movimientos_billetera_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "billeteras_usuario_id_key" ON "billeteras"("usuario_id");
+
+-- CreateIndex
+CREATE INDEX "movimientos_billetera_billetera_id_creado_en_idx" ON "movimientos_billetera"("billetera_id", "creado_en");
+
+-- CreateIndex
+CREATE INDEX "movimientos_billetera_pago_id_idx" ON "movimientos_billetera"("pago_id");
+
+-- AddForeignKey
+ALTER TABLE "billeteras" ADD CONSTRAINT "billeteras_usuario_id_fkey" FOREIGN KEY ("usuario_id") REFERENCES "usuarios"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "movimientos_billetera" ADD CONSTRAINT "movimientos_billetera_billetera_id_fkey" FOREIGN KEY ("billetera_id") REFERENCES "billeteras"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "movimientos_billetera" ADD CONSTRAINT "movimientos_billetera_pago_id_fkey" FOREIGN KEY ("pago_id") REFERENCES "pagos"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,72 @@
+-- AlterTable
+ALTER TABLE "payouts" ADD COLUMN     "compensacion_comisiones" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "detalle_compensacion" JSONB;
+
+-- CreateTable
+CREATE TABLE "declaraciones_efectivo" (
+    "id" TEXT NOT NULL,
+    "servicio_id" TEXT NOT NULL,
+    "profesional_id" TEXT NOT NULL,
+    "cliente_id" TEXT NOT NULL,
+    "monto" DOUBLE PRECISION NOT NULL,
+    "moneda" TEXT NOT NULL DEFAULT 'ARS',
+    "notas" TEXT,
+    "estado" TEXT NOT NULL DEFAULT 'pendiente',
+    "motivo_rechazo" TEXT,
+    "pago_id" TEXT,
+    "declarado_en" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "respondido_en" TIMESTAMP(3),
+
+    CONSTRAINT "declaraciones_efectivo_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "deudas_comision" (
+    "id" TEXT NOT NULL,
+    "profesional_id" TEXT NOT NULL,
+    "pago_id" TEXT NOT NULL,
+    "monto" DOUBLE PRECISION NOT NULL,
+    "saldo" DOUBLE PRECISION NOT NULL,
+    "moneda" TEXT NOT NULL DEFAULT 'ARS',
+    "estado" TEXT NOT NULL DEFAULT 'pendiente',
+    "creado_en" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "cancelada_en" TIMESTAMP(3),
+
+    CONSTRAINT "deudas_comision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "declaraciones_efectivo_pago_id_key" ON "declaraciones_efectivo"("pago_id");
+
+-- CreateIndex
+CREATE INDEX "declaraciones_efectivo_servicio_id_idx" ON "declaraciones_efectivo"("servicio_id");
+
+-- CreateIndex
+CREATE INDEX "declaraciones_efectivo_cliente_id_estado_idx" ON "declaraciones_efectivo"("cliente_id", "estado");
+
+-- CreateIndex
+CREATE INDEX "declaraciones_efectivo_profesional_id_estado_idx" ON "declaraciones_efectivo"("profesional_id", "estado");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "deudas_comision_pago_id_key" ON "deudas_comision"("pago_id");
+
+-- CreateIndex
+CREATE INDEX "deudas_comision_profesional_id_estado_creado_en_idx" ON "deudas_comision"("profesional_id", "estado", "creado_en");
+
+-- AddForeignKey
+ALTER TABLE "declaraciones_efectivo" ADD CONSTRAINT "declaraciones_efectivo_servicio_id_fkey" FOREIGN KEY ("servicio_id") REFERENCES "servicios"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "declaraciones_efectivo" ADD CONSTRAINT "declaraciones_efectivo_profesional_id_fkey" FOREIGN KEY ("profesional_id") REFERENCES "usuarios"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "declaraciones_efectivo" ADD CONSTRAINT "declaraciones_efectivo_cliente_id_fkey" FOREIGN KEY ("cliente_id") REFERENCES "usuarios"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "declaraciones_efectivo" ADD CONSTRAINT "declaraciones_efectivo_pago_id_fkey" FOREIGN KEY ("pago_id") REFERENCES "pagos"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "deudas_comision" ADD CONSTRAINT "deudas_comision_profesional_id_fkey" FOREIGN KEY ("profesional_id") REFERENCES "usuarios"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "deudas_comision" ADD CONSTRAINT "deudas_comision_pago_id_fkey" FOREIGN KEY ("pago_id") REFERENCES "pagos"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,46 @@
+-- AlterTable
+ALTER TABLE "pagos" ADD COLUMN     "plan_cuotas_id" TEXT,
+ADD COLUMN     "cuotas" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN     "monto_cuota" DOUBLE PRECISION,
+ADD COLUMN     "recargo_financiacion" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "costo_financiacion" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "planes_cuotas" (
+    "id" TEXT NOT NULL,
+    "nombre" TEXT NOT NULL,
+    "cuotas" INTEGER NOT NULL,
+    "sin_interes" BOOLEAN NOT NULL DEFAULT false,
+    "tasa_interes" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "costo_financiacion" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "monto_minimo" DOUBLE PRECISION,
+    "activo" BOOLEAN NOT NULL DEFAULT true,
+    "creado_por" TEXT,
+    "creado_en" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "actualizado_en" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "planes_cuotas_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "_categoriesToplanes_cuotas" (
+    "A" TEXT NOT NULL,
+    "B" TEXT NOT NULL,
+
+    CONSTRAINT "_categoriesToplanes_cuotas_AB_pkey" PRIMARY KEY ("A","B")
+);
+
+-- CreateIndex
+CREATE INDEX "planes_cuotas_activo_idx" ON "planes_cuotas"("activo");
+
+-- CreateIndex
+CREATE INDEX "_categoriesToplanes_cuotas_B_index" ON "_categoriesToplanes_cuotas"("B");
+
+-- AddForeignKey
+ALTER TABLE "pagos" ADD CONSTRAINT "pagos_plan_cuotas_id_fkey" FOREIGN KEY ("plan_cuotas_id") REFERENCES "planes_cuotas"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_categoriesToplanes_cuotas" ADD CONSTRAINT "_categoriesToplanes_cuotas_A_fkey" FOREIGN KEY ("A") REFERENCES "categories"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_categoriesToplanes_cuotas" ADD CONSTRAINT "_categoriesToplanes_cuotas_B_fkey" FOREIGN KEY ("B") REFERENCES "planes_cuotas"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,77 @@
+-- AlterTable
+ALTER TABLE "servicios_recurrrentes" ADD COLUMN     "cobro_automatico" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "metodo_pago_id" TEXT,
+ADD COLUMN     "cobros_fallidos" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "pausado_en" TIMESTAMP(3),
+ADD COLUMN     "motivo_pausa" TEXT;
+
+-- CreateTable
+CREATE TABLE "metodos_pago_guardados" (
+    "id" TEXT NOT NULL,
+    "usuario_id" TEXT NOT NULL,
+    "mp_customer_id" TEXT NOT NULL,
+    "mp_card_id" TEXT NOT NULL,
+    "medio_pago" TEXT,
+    "ultimos_digitos" TEXT,
+    "vencimiento_mes" INTEGER,
+    "vencimiento_anio" INTEGER,
+    "activo" BOOLEAN NOT NULL DEFAULT true,
+    "creado_en" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "metodos_pago_guardados_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "cobros_recurrentes" (
+    "id" TEXT NOT NULL,
+    "servicio_recurrente_id" TEXT NOT NULL,
+    "servicio_id" TEXT NOT NULL,
+    "pago_id" TEXT,
+    "monto_lista" DOUBLE PRECISION NOT NULL,
+    "descuento_porcentaje" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "monto" DOUBLE PRECISION NOT NULL,
+    "moneda" TEXT NOT NULL DEFAULT 'ARS',
+    "estado" TEXT NOT NULL DEFAULT 'pendiente',
+    "intentos" INTEGER NOT NULL DEFAULT 0,
+    "proximo_intento" TIMESTAMP(3),
+    "mercado_pago_id" TEXT,
+    "ultimo_error" TEXT,
+    "cobrado_en" TIMESTAMP(3),
+    "creado_en" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "actualizado_en" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "cobros_recurrentes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "metodos_pago_guardados_usuario_id_idx" ON "metodos_pago_guardados"("usuario_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "metodos_pago_guardados_mp_customer_id_mp_card_id_key" ON "metodos_pago_guardados"("mp_customer_id", "mp_card_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "cobros_recurrentes_servicio_id_key" ON "cobros_recurrentes"("servicio_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "cobros_recurrentes_pago_id_key" ON "cobros_recurrentes"("pago_id");
+
+-- CreateIndex
+CREATE INDEX "cobros_recurrentes_servicio_recurrente_id_idx" ON "cobros_recurrentes"("servicio_recurrente_id");
+
+-- CreateIndex
+CREATE INDEX "cobros_recurrentes_estado_proximo_intento_idx" ON "cobros_recurrentes"("estado", "proximo_intento");
+
+-- AddForeignKey
+ALTER TABLE "servicios_recurrrentes" ADD CONSTRAINT "servicios_recurrrentes_metodo_pago_id_fkey" FOREIGN KEY ("metodo_pago_id") REFERENCES "metodos_pago_guardados"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "metodos_pago_guardados" ADD CONSTRAINT "metodos_pago_guardados_usuario_id_fkey" FOREIGN KEY ("usuario_id") REFERENCES "usuarios"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "cobros_recurrentes" ADD CONSTRAINT "cobros_recurrentes_servicio_recurrente_id_fkey" FOREIGN KEY ("servicio_recurrente_id") REFERENCES "servicios_recurrrentes"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "cobros_recurrentes" ADD CONSTRAINT "cobros_recurrentes_servicio_id_fkey" FOREIGN KEY ("servicio_id") REFERENCES "servicios"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "cobros_recurrentes" ADD CONSTRAINT "cobros_recurrentes_pago_id_fkey" FOREIGN KEY ("pago_id") REFERENCES "pagos"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,52 @@
+-- Extensiones para búsqueda por trigramas y sin acentos
+CREATE EXTENSION IF NOT EXISTS "pg_trgm";
+CREATE EXTENSION IF NOT EXISTS "unaccent";
+
+-- unaccent() no es IMMUTABLE y no puede usarse en índices ni triggers deterministas
+CREATE OR REPLACE FUNCTION "immutable_unaccent"(TEXT) RETURNS TEXT AS $$
+  SELECT public.unaccent('public.unaccent', $1)
+$$ LANGUAGE sql IMMUTABLE PARALLEL SAFE STRICT;
+
+-- search_vector guarda el documento normalizado del perfil (minúsculas, sin acentos)
+CREATE OR REPLACE FUNCTION "perfiles_profesionales_search_document"() RETURNS TRIGGER AS $$
+BEGIN
+  NEW."search_vector" := lower("immutable_unaccent"(concat_ws(' ', NEW."especialidad", NEW."especialidades", NEW."descripcion")));
+  RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "perfiles_profesionales_search_document_trg"
+BEFORE INSERT OR UPDATE OF "especialidad", "especialidades", "descripcion" ON "perfiles_profesionales"
+FOR EACH ROW EXECUTE FUNCTION "perfiles_profesionales_search_document"();
+
+UPDATE "perfiles_profesionales"
+SET "search_vector" = lower("immutable_unaccent"(concat_ws(' ', "especialidad", "especialidades", "descripcion")));
+
+-- DropIndex
+DROP INDEX "perfiles_profesionales_search_vector_idx";
+
+-- CreateIndex
+CREATE INDEX "perfiles_profesionales_search_vector_trgm_idx" ON "perfiles_profesionales" USING GIN ("search_vector" gin_trgm_ops);
+
+-- CreateTable
+CREATE TABLE "sinonimos_busqueda" (
+    "id" TEXT NOT NULL,
+    "categoria_id" TEXT NOT NULL,
+    "termino" TEXT NOT NULL,
+    "sinonimos" TEXT[],
+    "activo" BOOLEAN NOT NULL DEFAULT true,
+    "creado_por" TEXT,
+    "creado_en" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "actualizado_en" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "sinonimos_busqueda_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "sinonimos_busqueda_activo_idx" ON "sinonimos_busqueda"("activo");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "sinonimos_busqueda_categoria_id_termino_key" ON "sinonimos_busqueda"("categoria_id", "termino");
+
+-- AddForeignKey
+ALTER TABLE "sinonimos_busqueda" ADD CONSTRAINT "sinonimos_busqueda_categoria_id_fkey" FOREIGN KEY ("categoria_id") REFERENCES "categories"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,62 @@
+-- CreateTable
+CREATE TABLE "busquedas_guardadas" (
+    "id" TEXT NOT NULL,
+    "cliente_id" TEXT NOT NULL,
+    "nombre" TEXT NOT NULL,
+    "termino" TEXT,
+    "especialidad" TEXT,
+    "zona" TEXT,
+    "categoria_id" TEXT,
+    "tipo_tarifa" TEXT,
+    "precio_min" DOUBLE PRECISION,
+    "precio_max" DOUBLE PRECISION,
+    "calificacion_min" DOUBLE PRECISION,
+    "solo_verificados" BOOLEAN NOT NULL DEFAULT false,
+    "latitud" DOUBLE PRECISION,
+    "longitud" DOUBLE PRECISION,
+    "radio_km" DOUBLE PRECISION,
+    "frecuencia_alertas" TEXT NOT NULL DEFAULT 'diaria',
+    "alertas_activas" BOOLEAN NOT NULL DEFAULT true,
+    "ultima_alerta_en" TIMESTAMP(3),
+    "creado_en" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "actualizado_en" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "busquedas_guardadas_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "coincidencias_busqueda" (
+    "id" TEXT NOT NULL,
+    "busqueda_id" TEXT NOT NULL,
+    "profesional_id" TEXT NOT NULL,
+    "motivo" TEXT NOT NULL,
+    "tarifa" DOUBLE PRECISION,
+    "notificado_en" TIMESTAMP(3),
+    "creado_en" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "coincidencias_busqueda_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "busquedas_guardadas_cliente_id_idx" ON "busquedas_guardadas"("cliente_id");
+
+-- CreateIndex
+CREATE INDEX "busquedas_guardadas_alertas_activas_precio_max_idx" ON "busquedas_guardadas"("alertas_activas", "precio_max");
+
+-- CreateIndex
+CREATE INDEX "coincidencias_busqueda_notificado_en_idx" ON "coincidencias_busqueda"("notificado_en");
+
+-- CreateIndex
+CREATE INDEX "coincidencias_busqueda_profesional_id_idx" ON "coincidencias_busqueda"("profesional_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "coincidencias_busqueda_busqueda_id_profesional_id_motivo_key" ON "coincidencias_busqueda"("busqueda_id", "profesional_id", "motivo");
+
+-- AddForeignKey
+ALTER TABLE "busquedas_guardadas" ADD CONSTRAINT "busquedas_guardadas_cliente_id_fkey" FOREIGN KEY ("cliente_id") REFERENCES "usuarios"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "coincidencias_busqueda" ADD CONSTRAINT "coincidencias_busqueda_busqueda_id_fkey" FOREIGN KEY ("busqueda_id") REFERENCES "busquedas_guardadas"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "coincidencias_busqueda" ADD CONSTRAINT "coincidencias_busqueda_profesional_id_fkey" FOREIGN KEY ("profesional_id") REFERENCES "usuarios"("id") ON DELETE CASCADE ON UPDATE CASCADE;
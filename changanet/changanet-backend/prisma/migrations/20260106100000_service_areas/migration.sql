@@ -0,0 +1,25 @@
+-- Extensión para las áreas de servicio (punto en polígono)
+CREATE EXTENSION IF NOT EXISTS "postgis";
+
+-- AlterTable
+ALTER TABLE "perfiles_profesionales" ADD COLUMN     "area_servicio" JSONB,
+ADD COLUMN     "area_servicio_geom" geometry(MultiPolygon, 4326);
+
+-- area_servicio_geom guarda el GeoJSON de area_servicio como MultiPolygon válido (anillos que se cruzan se corrigen)
+CREATE OR REPLACE FUNCTION "perfiles_profesionales_area_servicio"() RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW."area_servicio" IS NULL OR jsonb_typeof(NEW."area_servicio") <> 'object' THEN
+    NEW."area_servicio_geom" := NULL;
+  ELSE
+    NEW."area_servicio_geom" := ST_Multi(ST_CollectionExtract(ST_MakeValid(ST_SetSRID(ST_GeomFromGeoJSON(NEW."area_servicio"::text), 4326)), 3));
+  END IF;
+  RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "perfiles_profesionales_area_servicio_trg"
+BEFORE INSERT OR UPDATE OF "area_servicio" ON "perfiles_profesionales"
+FOR EACH ROW EXECUTE FUNCTION "perfiles_profesionales_area_servicio"();
+
+-- CreateIndex
+CREATE INDEX "perfiles_profesionales_area_servicio_geom_idx" ON "perfiles_profesionales" USING GIST ("area_servicio_geom");
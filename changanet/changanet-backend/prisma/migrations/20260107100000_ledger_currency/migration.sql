@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE "movimientos_contables" ADD COLUMN     "moneda" TEXT NOT NULL DEFAULT 'ARS';
+
+-- AlterTable
+ALTER TABLE "retiros" ADD COLUMN     "moneda" TEXT NOT NULL DEFAULT 'ARS';
+
+-- CreateIndex
+CREATE INDEX "movimientos_contables_cuenta_moneda_idx" ON "movimientos_contables"("cuenta", "moneda");
+
+-- Los retiros existentes están en la moneda del profesional
+UPDATE "retiros" r
+SET "moneda" = pp."moneda"
+FROM "perfiles_profesionales" pp
+WHERE pp."usuario_id" = r."profesional_id";
+
+-- Los movimientos existentes toman la moneda del pago, del payout o del retiro que los originó
+UPDATE "movimientos_contables" m
+SET "moneda" = p."moneda"
+FROM "pagos" p
+WHERE m."pago_id" = p."id";
+
+UPDATE "movimientos_contables" m
+SET "moneda" = po."moneda"
+FROM "asientos_contables" a
+JOIN "payouts" po ON po."id" = a."entidad_id"
+WHERE m."asiento_id" = a."id" AND a."entidad_tipo" = 'payouts' AND m."pago_id" IS NULL;
+
+UPDATE "movimientos_contables" m
+SET "moneda" = r."moneda"
+FROM "asientos_contables" a
+JOIN "retiros" r ON r."id" = a."entidad_id"
+WHERE m."asiento_id" = a."id" AND a."entidad_tipo" = 'retiros';
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "lotes_transferencias" ADD COLUMN     "moneda" TEXT NOT NULL DEFAULT 'ARS';
+
+-- Los lotes existentes toman la moneda de sus retiros
+UPDATE "lotes_transferencias" l
+SET "moneda" = r."moneda"
+FROM (SELECT "lote_id", MIN("moneda") AS "moneda" FROM "retiros" WHERE "lote_id" IS NOT NULL GROUP BY "lote_id") r
+WHERE r."lote_id" = l."id";
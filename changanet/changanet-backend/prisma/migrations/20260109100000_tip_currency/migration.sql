@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "propinas" ADD COLUMN     "moneda" TEXT NOT NULL DEFAULT 'ARS',
+ADD COLUMN     "tipo_cambio" DOUBLE PRECISION NOT NULL DEFAULT 1,
+ADD COLUMN     "tipo_cambio_fecha" TIMESTAMP(3);
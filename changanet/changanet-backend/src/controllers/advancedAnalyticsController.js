@@ -5,6 +5,31 @@
  */
 
 const advancedAnalyticsService = require('../services/advancedAnalyticsService');
+const { getEntitlements } = require('../services/subscriptionService');
+
+/**
+ * Verifica que el plan del profesional incluya analytics avanzados y responde 403 si no
+ * Las tendencias de demanda quedan abiertas; los demás usuarios no están sujetos a planes
+ * @param {Object} req - Request autenticado
+ * @param {Object} res - Response
+ * @returns {boolean} true si la solicitud fue rechazada
+ */
+async function rejectWithoutAnalyticsPlan(req, res) {
+  if (req.user.rol !== 'profesional') {
+    return false;
+  }
+
+  const { plan, analyticsAvanzados } = await getEntitlements(req.user.id);
+  if (analyticsAvanzados) {
+    return false;
+  }
+
+  res.status(403).json({
+    error: `Los analytics avanzados no están incluidos en tu plan ${plan.nombre}`,
+    code: 'PLAN_REQUIRED'
+  });
+  return true;
+}
 
 /**
  * Obtiene tendencias de demanda por zona
@@ -43,6 +68,8 @@ async function getCompetitiveAnalysis(req, res) {
   try {
     const { zone, specialty } = req.query;
 
+    if (await rejectWithoutAnalyticsPlan(req, res)) return;
+
     if (!zone || !specialty) {
       return res.status(400).json({
         error: 'Se requieren zona y especialidad'
@@ -70,6 +97,8 @@ async function getDemandPredictions(req, res) {
   try {
     const { zone, months } = req.query;
 
+    if (await rejectWithoutAnalyticsPlan(req, res)) return;
+
     if (!zone) {
       return res.status(400).json({
         error: 'Se requiere especificar la zona geográfica'
@@ -109,6 +138,8 @@ async function getProfessionalAnalyticsDashboard(req, res) {
       });
     }
 
+    if (await rejectWithoutAnalyticsPlan(req, res)) return;
+
     const zone = profile.perfil_profesional?.zona_cobertura;
     const specialty = profile.perfil_profesional?.especialidad;
 
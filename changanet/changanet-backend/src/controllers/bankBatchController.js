@@ -0,0 +1,171 @@
+/**
+ * Controlador de lotes de transferencias bancarias (solo administradores)
+ * Exporta los retiros aprobados en un archivo para el banco e importa su respuesta
+ */
+
+const bankBatchService = require('../services/bankBatchService');
+const logger = require('../services/logger');
+
+/**
+ * Determina el código de estado HTTP según el mensaje de error del servicio
+ * @param {Error} error - Error lanzado por el servicio
+ * @returns {number} Código de estado
+ */
+function getErrorStatus(error) {
+  if (error.message.includes('no encontrado')) {
+    return 404;
+  }
+
+  if (error.message.includes('No hay retiros') || error.message.includes('cambiaron durante')) {
+    return 409;
+  }
+
+  if (error.message.includes('inválido') ||
+      error.message.includes('está vacío') ||
+      error.message.includes('no contiene') ||
+      error.message.includes('supera el máximo') ||
+      error.message.includes('varias monedas') ||
+      error.message.includes('Moneda inválida')) {
+    return 400;
+  }
+
+  return 500;
+}
+
+/**
+ * Responde un error del servicio con el log correspondiente
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {string} action - Acción que falló (para el log)
+ * @param {Error} error - Error lanzado por el servicio
+ */
+function handleError(req, res, action, error) {
+  const status = getErrorStatus(error);
+
+  logger[status >= 500 ? 'error' : 'warn'](`Bank batch ${action} error`, {
+    service: 'bank_batches',
+    adminId: req.user?.id,
+    batchId: req.params?.batchId,
+    error: error.message,
+    ip: req.ip
+  });
+
+  res.status(status).json({
+    error: status >= 500 ? 'Error interno del servidor' : error.message
+  });
+}
+
+/**
+ * Crea un lote con todos los retiros aprobados sin exportar (de una moneda)
+ * POST /api/withdrawals/batches
+ */
+async function createBatch(req, res) {
+  try {
+    const batch = await bankBatchService.createWithdrawalBatch({
+      adminId: req.user.id,
+      format: req.body.format || bankBatchService.DEFAULT_BATCH_FORMAT,
+      currency: req.body.currency
+    });
+
+    res.status(201).json({
+      success: true,
+      data: batch,
+      message: `Lote creado con ${batch.cantidad} retiros. Descarga el archivo para enviarlo al banco.`
+    });
+  } catch (error) {
+    handleError(req, res, 'creation', error);
+  }
+}
+
+/**
+ * Descarga el archivo de transferencias de un lote
+ * GET /api/withdrawals/batches/:batchId/file
+ */
+async function downloadBatchFile(req, res) {
+  try {
+    const file = await bankBatchService.getBatchFile(req.params.batchId, req.user.id);
+
+    logger.info('Bank batch file downloaded', {
+      service: 'bank_batches',
+      adminId: req.user.id,
+      batchId: req.params.batchId,
+      ip: req.ip
+    });
+
+    res.setHeader('Content-Type', `${file.contentType}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    res.send(file.content);
+  } catch (error) {
+    handleError(req, res, 'download', error);
+  }
+}
+
+/**
+ * Importa el archivo de respuesta del banco de un lote
+ * POST /api/withdrawals/batches/:batchId/response
+ */
+async function importBankResponse(req, res) {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'Falta el archivo de respuesta del banco (campo "archivo")',
+      });
+    }
+
+    const result = await bankBatchService.importBankResponse({
+      batchId: req.params.batchId,
+      fileName: req.file.originalname,
+      content: req.file.buffer,
+      adminId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Respuesta importada: ${result.resultado.completados} completados, ${result.resultado.fallidos} fallidos, ${result.resultado.errores.length} con errores`
+    });
+  } catch (error) {
+    handleError(req, res, 'import', error);
+  }
+}
+
+/**
+ * Lista los lotes de transferencias
+ * GET /api/withdrawals/batches
+ */
+async function listBatches(req, res) {
+  try {
+    const { page, limit } = req.query;
+    const result = await bankBatchService.listBatches({ page, limit });
+
+    res.json({
+      success: true,
+      data: result.batches,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    handleError(req, res, 'list', error);
+  }
+}
+
+/**
+ * Detalle de un lote con sus retiros
+ * GET /api/withdrawals/batches/:batchId
+ */
+async function getBatch(req, res) {
+  try {
+    const batch = await bankBatchService.getBatch(req.params.batchId);
+
+    res.json({ success: true, data: batch });
+  } catch (error) {
+    handleError(req, res, 'detail', error);
+  }
+}
+
+module.exports = {
+  createBatch,
+  downloadBatchFile,
+  importBankResponse,
+  listBatches,
+  getBatch
+};
@@ -0,0 +1,158 @@
+/**
+ * Controlador de pagos en efectivo
+ * El profesional declara lo que cobró en efectivo y el cliente lo confirma o rechaza;
+ * el profesional consulta las comisiones que adeuda por esos cobros
+ */
+
+const cashPaymentService = require('../services/cashPaymentService');
+const logger = require('../services/logger');
+
+/**
+ * Determina el código de estado HTTP según el mensaje de error del servicio
+ * @param {Error} error - Error lanzado por el servicio
+ * @returns {number} Código de estado
+ */
+function getErrorStatus(error) {
+  if (error.message.includes('no encontrad')) {
+    return 404;
+  }
+
+  if (error.message.includes('Ya existe') || error.message.includes('ya fue')) {
+    return 409;
+  }
+
+  if (error.message.includes('Solo el')) {
+    return 403;
+  }
+
+  if (error.message.includes('inválid') ||
+      error.message.includes('requerido') ||
+      error.message.includes('No se puede') ||
+      error.message.includes('no deben')) {
+    return 400;
+  }
+
+  return 500;
+}
+
+/**
+ * Responde un error del servicio con el log correspondiente
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {string} action - Acción que falló (para el log)
+ * @param {Error} error - Error lanzado por el servicio
+ */
+function handleError(req, res, action, error) {
+  const status = getErrorStatus(error);
+
+  logger[status >= 500 ? 'error' : 'warn'](`Cash payment ${action} error`, {
+    service: 'cash_payments',
+    userId: req.user?.id,
+    error: error.message,
+    ip: req.ip
+  });
+
+  res.status(status).json({
+    error: status >= 500 ? 'Error interno del servidor' : error.message
+  });
+}
+
+/**
+ * Declara un cobro en efectivo
+ * POST /api/cash-payments
+ */
+async function declareCashPayment(req, res) {
+  try {
+    const { serviceId, amount, notes } = req.body;
+
+    if (!serviceId || amount === undefined) {
+      return res.status(400).json({ error: 'serviceId y amount son requeridos' });
+    }
+
+    const declaration = await cashPaymentService.declareCashPayment(req.user.id, { serviceId, amount, notes });
+
+    res.status(201).json({
+      success: true,
+      data: declaration,
+      message: 'Cobro declarado. El cliente debe confirmarlo para registrar el pago'
+    });
+  } catch (error) {
+    handleError(req, res, 'declaration', error);
+  }
+}
+
+/**
+ * Declaraciones del usuario autenticado (recibidas si es cliente, realizadas si es profesional)
+ * GET /api/cash-payments
+ */
+async function getDeclarations(req, res) {
+  try {
+    const declarations = await cashPaymentService.getDeclarations(req.user, { estado: req.query.estado });
+
+    res.json({ success: true, data: declarations });
+  } catch (error) {
+    handleError(req, res, 'list', error);
+  }
+}
+
+/**
+ * Confirma un cobro en efectivo
+ * POST /api/cash-payments/:declarationId/confirm
+ */
+async function confirmCashPayment(req, res) {
+  try {
+    const result = await cashPaymentService.confirmCashPayment(req.user.id, req.params.declarationId);
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Pago en efectivo confirmado'
+    });
+  } catch (error) {
+    handleError(req, res, 'confirmation', error);
+  }
+}
+
+/**
+ * Rechaza un cobro en efectivo
+ * POST /api/cash-payments/:declarationId/reject
+ */
+async function rejectCashPayment(req, res) {
+  try {
+    const declaration = await cashPaymentService.rejectCashPayment(req.user.id, req.params.declarationId, req.body.reason);
+
+    res.json({
+      success: true,
+      data: declaration,
+      message: 'Declaración rechazada'
+    });
+  } catch (error) {
+    handleError(req, res, 'rejection', error);
+  }
+}
+
+/**
+ * Comisiones adeudadas por el profesional autenticado por sus cobros en efectivo
+ * GET /api/cash-payments/commission-debts
+ */
+async function getCommissionDebts(req, res) {
+  try {
+    if (req.user.rol !== 'profesional') {
+      return res.status(403).json({ error: 'Solo los profesionales tienen deudas de comisión' });
+    }
+
+    const result = await cashPaymentService.getCommissionDebts(req.user.id);
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(req, res, 'debts', error);
+  }
+}
+
+module.exports = {
+  declareCashPayment,
+  getDeclarations,
+  confirmCashPayment,
+  rejectCashPayment,
+  getCommissionDebts
+};
@@ -69,6 +69,42 @@ async function getApplicableCommission(req, res) {
   }
 }
 
+/**
+ * Vista previa de la comisión efectiva de un profesional y la regla que la determina (solo admins)
+ * GET /api/commissions/effective?professionalId=...&serviceType=...
+ */
+async function getEffectiveCommission(req, res) {
+  try {
+    const { professionalId, serviceType } = req.query;
+
+    if (!professionalId) {
+      return res.status(400).json({
+        error: 'Se requiere el parámetro professionalId',
+      });
+    }
+
+    const preview = await commissionService.getEffectiveCommissionPreview(professionalId, serviceType || null);
+
+    res.json({
+      success: true,
+      data: preview,
+    });
+
+  } catch (error) {
+    logger.error('Get effective commission error', {
+      service: 'commissions',
+      userId: req.user?.id,
+      professionalId: req.query?.professionalId,
+      error: error.message,
+      ip: req.ip
+    });
+
+    res.status(error.message.includes('no encontrado') ? 404 : 500).json({
+      error: error.message || 'Error interno del servidor',
+    });
+  }
+}
+
 /**
  * Crea una nueva configuración de comisión (solo admins)
  * POST /api/commissions
@@ -131,7 +167,10 @@ async function createCommissionSetting(req, res) {
     let statusCode = 500;
     if (error.message.includes('campos requeridos') ||
         error.message.includes('entre 5% y 10%') ||
-        error.message.includes('Ya existe')) {
+        error.message.includes('Ya existe') ||
+        error.message.includes('regla') ||
+        error.message.includes('requiere') ||
+        error.message.includes('vigencia')) {
       statusCode = 400;
     }
 
@@ -194,7 +233,10 @@ async function updateCommissionSetting(req, res) {
     let statusCode = 500;
     if (error.message.includes('Configuración de comisión no encontrada') ||
         error.message.includes('entre 5% y 10%') ||
-        error.message.includes('Ya existe')) {
+        error.message.includes('Ya existe') ||
+        error.message.includes('regla') ||
+        error.message.includes('requiere') ||
+        error.message.includes('vigencia')) {
       statusCode = 400;
     }
 
@@ -262,7 +304,7 @@ async function deactivateCommissionSetting(req, res) {
  */
 async function calculateCommission(req, res) {
   try {
-    const { amount, serviceType } = req.body;
+    const { amount, serviceType, professionalId } = req.body;
 
     // Validar campos requeridos
     if (!amount || typeof amount !== 'number' || amount <= 0) {
@@ -271,7 +313,7 @@ async function calculateCommission(req, res) {
       });
     }
 
-    const calculation = await commissionService.calculateCommission(amount, serviceType);
+    const calculation = await commissionService.calculateCommission(amount, serviceType, null, professionalId || null);
 
     res.json({
       success: true,
@@ -493,6 +535,7 @@ async function getProfessionalPendingIncomeEndpoint(req, res) {
 module.exports = {
   getCommissionSettings,
   getApplicableCommission,
+  getEffectiveCommission,
   createCommissionSetting,
   updateCommissionSetting,
   deactivateCommissionSetting,
@@ -0,0 +1,118 @@
+/**
+ * Controlador de cupones de descuento (solo administradores)
+ * Alta, modificación y listado de códigos promocionales
+ */
+
+const couponService = require('../services/couponService');
+const logger = require('../services/logger');
+
+/**
+ * Determina el código de estado HTTP según el mensaje de error del servicio
+ * @param {Error} error - Error lanzado por el servicio
+ * @returns {number} Código de estado
+ */
+function getErrorStatus(error) {
+  if (error.message.includes('no encontrado')) {
+    return 404;
+  }
+
+  if (error.message.includes('Ya existe')) {
+    return 409;
+  }
+
+  if (error.message.includes('inválid') ||
+      error.message.includes('debe') ||
+      error.message.includes('requiere') ||
+      error.message.includes('no existe')) {
+    return 400;
+  }
+
+  return 500;
+}
+
+/**
+ * Crea un cupón
+ * POST /api/coupons
+ */
+async function createCoupon(req, res) {
+  try {
+    const coupon = await couponService.createCoupon(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: coupon,
+      message: `Cupón ${coupon.codigo} creado exitosamente`
+    });
+  } catch (error) {
+    logger.error('Coupon creation error', {
+      service: 'coupons',
+      adminId: req.user?.id,
+      error: error.message,
+      ip: req.ip
+    });
+
+    res.status(getErrorStatus(error)).json({
+      error: error.message || 'Error interno del servidor',
+    });
+  }
+}
+
+/**
+ * Actualiza un cupón
+ * PUT /api/coupons/:couponId
+ */
+async function updateCoupon(req, res) {
+  try {
+    const coupon = await couponService.updateCoupon(req.params.couponId, req.body, req.user.id);
+
+    res.json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    logger.error('Coupon update error', {
+      service: 'coupons',
+      adminId: req.user?.id,
+      couponId: req.params.couponId,
+      error: error.message,
+      ip: req.ip
+    });
+
+    res.status(getErrorStatus(error)).json({
+      error: error.message || 'Error interno del servidor',
+    });
+  }
+}
+
+/**
+ * Lista los cupones
+ * GET /api/coupons
+ */
+async function listCoupons(req, res) {
+  try {
+    const { activo, page, limit } = req.query;
+    const result = await couponService.listCoupons({ activo, page, limit });
+
+    res.json({
+      success: true,
+      data: result.coupons,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Coupon list error', {
+      service: 'coupons',
+      adminId: req.user?.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      error: 'Error al obtener los cupones',
+    });
+  }
+}
+
+module.exports = {
+  createCoupon,
+  updateCoupon,
+  listCoupons
+};
@@ -0,0 +1,222 @@
+/**
+ * Controlador de disputas de pagos
+ * Implementa REQ-42: Custodia de fondos hasta liberación
+ * Expone apertura de disputas, carga de evidencia y resolución administrativa
+ */
+
+const disputeService = require('../services/disputeService');
+const logger = require('../services/logger');
+
+/**
+ * Determina el código de estado HTTP según el mensaje de error del servicio
+ * @param {Error} error - Error lanzado por el servicio
+ * @returns {number} Código de estado
+ */
+function getErrorStatus(error) {
+  if (error.message.includes('no encontrad')) {
+    return 404;
+  }
+
+  if (error.message.includes('No tienes permiso')) {
+    return 403;
+  }
+
+  if (error.message.includes('inválid') ||
+      error.message.includes('Ya existe una disputa') ||
+      error.message.includes('Solo se pueden disputar') ||
+      error.message.includes('ya fue resuelta') ||
+      error.message.includes('se está resolviendo') ||
+      error.message.includes('Un intento anterior') ||
+      error.message.includes('no se encuentra retenido') ||
+      error.message.includes('Debe incluir') ||
+      error.message.includes('debe tener al menos') ||
+      error.message.includes('monto a reembolsar') ||
+      error.message.includes('Tipo de archivo') ||
+      error.message.includes('demasiado grande')) {
+    return 400;
+  }
+
+  return 500;
+}
+
+/**
+ * Abre una disputa sobre un pago en custodia
+ * POST /api/disputes
+ */
+async function openDispute(req, res) {
+  try {
+    const { id: clientId } = req.user;
+    const { paymentId, motivo, descripcion } = req.body;
+
+    if (!paymentId || !motivo || !descripcion) {
+      return res.status(400).json({
+        error: 'Faltan campos requeridos: paymentId, motivo, descripcion',
+      });
+    }
+
+    const dispute = await disputeService.openDispute(paymentId, clientId, { motivo, descripcion });
+
+    res.status(201).json({
+      success: true,
+      data: dispute,
+      message: 'Disputa abierta. Los fondos quedan retenidos hasta su resolución.'
+    });
+  } catch (error) {
+    logger.error('Dispute opening error', {
+      service: 'disputes',
+      userId: req.user?.id,
+      paymentId: req.body?.paymentId,
+      error: error.message,
+      ip: req.ip
+    });
+
+    res.status(getErrorStatus(error)).json({
+      error: error.message || 'Error interno del servidor',
+    });
+  }
+}
+
+/**
+ * Agrega evidencia a una disputa
+ * POST /api/disputes/:disputeId/evidence
+ */
+async function addEvidence(req, res) {
+  try {
+    const { id: userId } = req.user;
+    const { disputeId } = req.params;
+    const { descripcion } = req.body;
+
+    const evidence = await disputeService.addEvidence(disputeId, userId, {
+      descripcion,
+      file: req.file
+    });
+
+    res.status(201).json({
+      success: true,
+      data: evidence,
+      message: 'Evidencia agregada exitosamente'
+    });
+  } catch (error) {
+    logger.error('Dispute evidence error', {
+      service: 'disputes',
+      userId: req.user?.id,
+      disputeId: req.params.disputeId,
+      error: error.message,
+      ip: req.ip
+    });
+
+    res.status(getErrorStatus(error)).json({
+      error: error.message || 'Error interno del servidor',
+    });
+  }
+}
+
+/**
+ * Resuelve una disputa (solo administradores)
+ * POST /api/disputes/:disputeId/resolve
+ */
+async function resolveDispute(req, res) {
+  try {
+    const { id: adminId } = req.user;
+    const { disputeId } = req.params;
+    const { resolucion, montoReembolso, notas } = req.body;
+
+    if (!resolucion) {
+      return res.status(400).json({
+        error: 'Falta el campo requerido: resolucion',
+      });
+    }
+
+    const result = await disputeService.resolveDispute(disputeId, adminId, { resolucion, montoReembolso, notas });
+
+    logger.info('Dispute resolved via API', {
+      service: 'disputes',
+      adminId,
+      disputeId,
+      resolucion,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Disputa resuelta exitosamente'
+    });
+  } catch (error) {
+    logger.error('Dispute resolution error', {
+      service: 'disputes',
+      adminId: req.user?.id,
+      disputeId: req.params.disputeId,
+      error: error.message,
+      ip: req.ip
+    });
+
+    res.status(getErrorStatus(error)).json({
+      error: error.message || 'Error interno del servidor',
+    });
+  }
+}
+
+/**
+ * Obtiene el detalle de una disputa
+ * GET /api/disputes/:disputeId
+ */
+async function getDispute(req, res) {
+  try {
+    const { id: userId, rol } = req.user;
+    const dispute = await disputeService.getDispute(req.params.disputeId, userId, rol);
+
+    res.json({
+      success: true,
+      data: dispute
+    });
+  } catch (error) {
+    logger.error('Dispute fetch error', {
+      service: 'disputes',
+      userId: req.user?.id,
+      disputeId: req.params.disputeId,
+      error: error.message
+    });
+
+    res.status(getErrorStatus(error)).json({
+      error: error.message || 'Error interno del servidor',
+    });
+  }
+}
+
+/**
+ * Lista disputas del usuario (o todas para administradores)
+ * GET /api/disputes
+ */
+async function listDisputes(req, res) {
+  try {
+    const { id: userId, rol } = req.user;
+    const { estado, page, limit } = req.query;
+
+    const result = await disputeService.listDisputes(userId, rol, { estado, page, limit });
+
+    res.json({
+      success: true,
+      data: result.disputes,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Dispute listing error', {
+      service: 'disputes',
+      userId: req.user?.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+    });
+  }
+}
+
+module.exports = {
+  openDispute,
+  addEvidence,
+  resolveDispute,
+  getDispute,
+  listDisputes
+};
@@ -0,0 +1,113 @@
+/**
+ * Controlador de monedas y tipos de cambio
+ * Los administradores mantienen la tabla local de tipos de cambio usada para cobrar en UYU y CLP
+ */
+
+const currencyService = require('../services/currencyService');
+const logger = require('../services/logger');
+
+/**
+ * Determina el código de estado HTTP según el mensaje de error del servicio
+ * @param {Error} error - Error lanzado por el servicio
+ * @returns {number} Código de estado
+ */
+function getErrorStatus(error) {
+  if (error.message.includes('inválid') || error.message.includes('no tiene tipo de cambio')) {
+    return 400;
+  }
+
+  return 500;
+}
+
+/**
+ * Lista las monedas habilitadas con su tipo de cambio vigente
+ * GET /api/exchange-rates
+ */
+async function listCurrencies(req, res) {
+  try {
+    const currencies = await currencyService.listCurrencies();
+
+    res.json({
+      success: true,
+      data: currencies
+    });
+  } catch (error) {
+    logger.error('Currencies fetch error', {
+      service: 'currency',
+      userId: req.user?.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      error: 'Error al obtener las monedas',
+    });
+  }
+}
+
+/**
+ * Historial de tipos de cambio de una moneda
+ * GET /api/exchange-rates/:currency/history
+ */
+async function getHistory(req, res) {
+  try {
+    const { page, limit } = req.query;
+    const result = await currencyService.listExchangeRates(req.params.currency, { page, limit });
+
+    res.json({
+      success: true,
+      data: result.rates,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Exchange rate history fetch error', {
+      service: 'currency',
+      adminId: req.user?.id,
+      currency: req.params.currency,
+      error: error.message
+    });
+
+    res.status(getErrorStatus(error)).json({
+      error: error.message || 'Error interno del servidor',
+    });
+  }
+}
+
+/**
+ * Carga un nuevo tipo de cambio para una moneda
+ * PUT /api/exchange-rates/:currency
+ */
+async function setExchangeRate(req, res) {
+  try {
+    const { tasa, vigente_desde, fuente } = req.body;
+
+    const rate = await currencyService.setExchangeRate(
+      req.params.currency,
+      { tasa, vigente_desde, fuente },
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      data: rate,
+      message: 'Tipo de cambio actualizado'
+    });
+  } catch (error) {
+    logger.error('Exchange rate update error', {
+      service: 'currency',
+      adminId: req.user?.id,
+      currency: req.params.currency,
+      error: error.message,
+      ip: req.ip
+    });
+
+    res.status(getErrorStatus(error)).json({
+      error: error.message || 'Error interno del servidor',
+    });
+  }
+}
+
+module.exports = {
+  listCurrencies,
+  getHistory,
+  setExchangeRate
+};
@@ -0,0 +1,167 @@
+/**
+ * Controlador del motor de puntaje de fraude (solo administradores)
+ * Expone los umbrales y pesos editables y la cola de operaciones retenidas para revisión
+ */
+
+const fraudScoringService = require('../services/fraudScoringService');
+const logger = require('../services/logger');
+
+/**
+ * Determina el código de estado HTTP según el mensaje de error del servicio
+ * @param {Error} error - Error lanzado por el servicio
+ * @returns {number} Código de estado
+ */
+function getErrorStatus(error) {
+  if (error.message.includes('no encontrada')) {
+    return 404;
+  }
+
+  if (error.message.includes('no está pendiente')) {
+    return 409;
+  }
+
+  if (error.message.includes('Operación no válida') ||
+      error.message.includes('umbrales') ||
+      error.message.includes('pesos') ||
+      error.message.includes('Señales desconocidas')) {
+    return 400;
+  }
+
+  return 500;
+}
+
+/**
+ * Obtiene la configuración vigente de cada operación evaluada
+ * GET /api/fraud/config
+ */
+async function getConfig(req, res) {
+  try {
+    const configs = await fraudScoringService.listConfigs();
+
+    res.json({
+      success: true,
+      data: configs
+    });
+  } catch (error) {
+    logger.error('Fraud config fetch error', {
+      service: 'fraud_scoring',
+      adminId: req.user?.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      error: 'Error al obtener la configuración de fraude',
+    });
+  }
+}
+
+/**
+ * Actualiza umbrales y pesos de una operación
+ * PUT /api/fraud/config/:operation
+ */
+async function updateConfig(req, res) {
+  try {
+    const { umbral_verificacion, umbral_revision, umbral_bloqueo, pesos } = req.body;
+
+    const config = await fraudScoringService.updateConfig(
+      req.params.operation,
+      { umbral_verificacion, umbral_revision, umbral_bloqueo, pesos },
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      data: config,
+      message: 'Configuración de fraude actualizada'
+    });
+  } catch (error) {
+    logger.error('Fraud config update error', {
+      service: 'fraud_scoring',
+      adminId: req.user?.id,
+      operation: req.params.operation,
+      error: error.message,
+      ip: req.ip
+    });
+
+    res.status(getErrorStatus(error)).json({
+      error: error.message || 'Error interno del servidor',
+    });
+  }
+}
+
+/**
+ * Lista evaluaciones de fraude (por defecto, las pendientes de revisión)
+ * GET /api/fraud/assessments
+ */
+async function listAssessments(req, res) {
+  try {
+    const { estado, decision, userId, page, limit } = req.query;
+    const result = await fraudScoringService.listAssessments({ estado, decision, userId, page, limit });
+
+    res.json({
+      success: true,
+      data: result.assessments,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Fraud assessments list error', {
+      service: 'fraud_scoring',
+      adminId: req.user?.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      error: 'Error al obtener las evaluaciones de fraude',
+    });
+  }
+}
+
+/**
+ * Aprueba o rechaza una operación retenida para revisión
+ * POST /api/fraud/assessments/:assessmentId/review
+ */
+async function reviewAssessment(req, res) {
+  try {
+    const { action, notes } = req.body;
+
+    if (!['approve', 'reject'].includes(action)) {
+      return res.status(400).json({
+        error: 'Acción inválida. Opciones: approve, reject'
+      });
+    }
+
+    const assessment = await fraudScoringService.reviewAssessment(
+      req.params.assessmentId,
+      req.user.id,
+      action === 'approve',
+      notes
+    );
+
+    res.json({
+      success: true,
+      data: assessment,
+      message: action === 'approve'
+        ? 'Operación aprobada: el usuario puede volver a realizarla'
+        : 'Operación rechazada'
+    });
+  } catch (error) {
+    logger.error('Fraud review error', {
+      service: 'fraud_scoring',
+      adminId: req.user?.id,
+      assessmentId: req.params.assessmentId,
+      error: error.message,
+      ip: req.ip
+    });
+
+    res.status(getErrorStatus(error)).json({
+      error: error.message || 'Error interno del servidor',
+    });
+  }
+}
+
+module.exports = {
+  getConfig,
+  updateConfig,
+  listAssessments,
+  reviewAssessment
+};
@@ -0,0 +1,113 @@
+/**
+ * Controlador de planes de cuotas (solo administradores)
+ * Alta, modificación y listado de los planes que se ofrecen en el checkout
+ */
+
+const installmentPlanService = require('../services/installmentPlanService');
+const logger = require('../services/logger');
+
+/**
+ * Determina el código de estado HTTP según el mensaje de error del servicio
+ * @param {Error} error - Error lanzado por el servicio
+ * @returns {number} Código de estado
+ */
+function getErrorStatus(error) {
+  if (error.message.includes('no encontrado')) {
+    return 404;
+  }
+
+  if (error.message.includes('inválid') ||
+      error.message.includes('debe') ||
+      error.message.includes('requerido') ||
+      error.message.includes('Solo los planes') ||
+      error.message.includes('no existe')) {
+    return 400;
+  }
+
+  return 500;
+}
+
+/**
+ * Crea un plan de cuotas
+ * POST /api/installment-plans
+ */
+async function createPlan(req, res) {
+  try {
+    const plan = await installmentPlanService.createPlan(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: plan,
+      message: `Plan ${plan.nombre} creado exitosamente`
+    });
+  } catch (error) {
+    logger.error('Installment plan creation error', {
+      service: 'installments',
+      adminId: req.user?.id,
+      error: error.message,
+      ip: req.ip
+    });
+
+    res.status(getErrorStatus(error)).json({
+      error: error.message || 'Error interno del servidor',
+    });
+  }
+}
+
+/**
+ * Actualiza un plan de cuotas
+ * PUT /api/installment-plans/:planId
+ */
+async function updatePlan(req, res) {
+  try {
+    const plan = await installmentPlanService.updatePlan(req.params.planId, req.body, req.user.id);
+
+    res.json({
+      success: true,
+      data: plan
+    });
+  } catch (error) {
+    logger.error('Installment plan update error', {
+      service: 'installments',
+      adminId: req.user?.id,
+      planId: req.params.planId,
+      error: error.message,
+      ip: req.ip
+    });
+
+    res.status(getErrorStatus(error)).json({
+      error: error.message || 'Error interno del servidor',
+    });
+  }
+}
+
+/**
+ * Lista los planes de cuotas
+ * GET /api/installment-plans
+ */
+async function listPlans(req, res) {
+  try {
+    const plans = await installmentPlanService.listPlans({ activo: req.query.activo });
+
+    res.json({
+      success: true,
+      data: plans
+    });
+  } catch (error) {
+    logger.error('Installment plan list error', {
+      service: 'installments',
+      adminId: req.user?.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      error: 'Error al obtener los planes de cuotas',
+    });
+  }
+}
+
+module.exports = {
+  createPlan,
+  updatePlan,
+  listPlans
+};
@@ -0,0 +1,190 @@
+/**
+ * Controlador de facturas de comisiones
+ * Los profesionales consultan y descargan sus facturas y cargan sus datos fiscales;
+ * los administradores pueden ver todas las facturas y emitir las de un mes cerrado
+ */
+
+const invoiceService = require('../services/invoiceService');
+const logger = require('../services/logger');
+
+/**
+ * Determina el código de estado HTTP según el mensaje de error del servicio
+ * @param {Error} error - Error lanzado por el servicio
+ * @returns {number} Código de estado
+ */
+function getErrorStatus(error) {
+  if (error.message.includes('no encontrada')) {
+    return 404;
+  }
+
+  if (error.message.includes('No autorizado')) {
+    return 403;
+  }
+
+  if (error.message.includes('todavía no fue autorizada')) {
+    return 409;
+  }
+
+  if (error.message.includes('inválid') ||
+      error.message.includes('requeridos') ||
+      error.message.includes('meses cerrados')) {
+    return 400;
+  }
+
+  return 500;
+}
+
+/**
+ * Lista las facturas del profesional (o todas, para administradores)
+ * GET /api/payments/invoices
+ */
+async function listInvoices(req, res) {
+  try {
+    const { professionalId, periodo, estado, page, limit } = req.query;
+    const result = await invoiceService.listInvoices(req.user, { professionalId, periodo, estado, page, limit });
+
+    res.json({
+      success: true,
+      data: result.invoices,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Invoices list error', {
+      service: 'invoices',
+      userId: req.user?.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      error: 'Error al obtener las facturas',
+    });
+  }
+}
+
+/**
+ * Descarga el PDF de una factura
+ * GET /api/payments/invoices/:invoiceId/download
+ */
+async function downloadInvoice(req, res) {
+  try {
+    const { fileName, buffer } = await invoiceService.getInvoiceFile(req.params.invoiceId, req.user);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(buffer);
+  } catch (error) {
+    logger.error('Invoice download error', {
+      service: 'invoices',
+      userId: req.user?.id,
+      invoiceId: req.params.invoiceId,
+      error: error.message
+    });
+
+    res.status(getErrorStatus(error)).json({
+      error: error.message || 'Error interno del servidor',
+    });
+  }
+}
+
+/**
+ * Obtiene los datos fiscales del profesional autenticado
+ * GET /api/payments/invoices/fiscal-data
+ */
+async function getFiscalData(req, res) {
+  try {
+    const fiscalData = await invoiceService.getFiscalData(req.user.id);
+
+    res.json({
+      success: true,
+      data: fiscalData
+    });
+  } catch (error) {
+    logger.error('Fiscal data fetch error', {
+      service: 'invoices',
+      userId: req.user?.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      error: 'Error al obtener los datos fiscales',
+    });
+  }
+}
+
+/**
+ * Guarda los datos fiscales del profesional autenticado
+ * PUT /api/payments/invoices/fiscal-data
+ */
+async function updateFiscalData(req, res) {
+  try {
+    if (req.user.rol !== 'profesional') {
+      return res.status(403).json({
+        error: 'Solo los profesionales pueden cargar datos fiscales'
+      });
+    }
+
+    const { cuit, razon_social, condicion_iva, domicilio_fiscal } = req.body;
+    const fiscalData = await invoiceService.updateFiscalData(req.user.id, {
+      cuit,
+      razon_social,
+      condicion_iva,
+      domicilio_fiscal
+    });
+
+    res.json({
+      success: true,
+      data: fiscalData,
+      message: 'Datos fiscales actualizados. Se usarán a partir de la próxima factura.'
+    });
+  } catch (error) {
+    logger.error('Fiscal data update error', {
+      service: 'invoices',
+      userId: req.user?.id,
+      error: error.message
+    });
+
+    res.status(getErrorStatus(error)).json({
+      error: error.message || 'Error interno del servidor',
+    });
+  }
+}
+
+/**
+ * Emite las facturas de un mes cerrado (por defecto, el anterior) y reintenta autorizaciones pendientes
+ * POST /api/payments/invoices/generate
+ */
+async function generateInvoices(req, res) {
+  try {
+    const { year, month } = req.body || {};
+    const summary = await invoiceService.generateMonthlyInvoices({ year, month });
+
+    logger.info('Monthly invoicing triggered by admin', {
+      service: 'invoices',
+      adminId: req.user.id,
+      ...summary
+    });
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    logger.error('Monthly invoicing error', {
+      service: 'invoices',
+      adminId: req.user?.id,
+      error: error.message
+    });
+
+    res.status(getErrorStatus(error)).json({
+      error: error.message || 'Error interno del servidor',
+    });
+  }
+}
+
+module.exports = {
+  listInvoices,
+  downloadInvoice,
+  getFiscalData,
+  updateFiscalData,
+  generateInvoices
+};
@@ -0,0 +1,72 @@
+/**
+ * Controlador del libro mayor de partida doble
+ * Expone el balance de comprobación y la consulta de asientos (solo administradores)
+ */
+
+const ledgerService = require('../services/ledgerService');
+const logger = require('../services/logger');
+
+/**
+ * Genera el balance de comprobación con las inconsistencias detectadas
+ * GET /api/ledger/trial-balance
+ */
+async function getTrialBalance(req, res) {
+  try {
+    const trialBalance = await ledgerService.getTrialBalance();
+
+    if (!trialBalance.balanceado) {
+      logger.warn('Trial balance reported inconsistencies', {
+        service: 'ledger',
+        adminId: req.user?.id,
+        inconsistencies: trialBalance.inconsistencias.map(item => item.tipo)
+      });
+    }
+
+    res.json({
+      success: true,
+      data: trialBalance
+    });
+  } catch (error) {
+    logger.error('Trial balance error', {
+      service: 'ledger',
+      adminId: req.user?.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      error: 'Error al generar el balance de comprobación',
+    });
+  }
+}
+
+/**
+ * Lista asientos contables con filtros
+ * GET /api/ledger/entries
+ */
+async function getJournalEntries(req, res) {
+  try {
+    const { tipo, entidadTipo, entidadId, cuenta, usuarioId, page, limit } = req.query;
+    const result = await ledgerService.getJournalEntries({ tipo, entidadTipo, entidadId, cuenta, usuarioId, page, limit });
+
+    res.json({
+      success: true,
+      data: result.entries,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Journal entries fetch error', {
+      service: 'ledger',
+      adminId: req.user?.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      error: 'Error al obtener los asientos contables',
+    });
+  }
+}
+
+module.exports = {
+  getTrialBalance,
+  getJournalEntries
+};
@@ -0,0 +1,179 @@
+/**
+ * Controlador de pagos por hitos
+ * Implementa REQ-42: Custodia de fondos hasta liberación
+ * Permite dividir un pago en custodia en hitos que se aprueban y liberan por separado
+ */
+
+const milestoneService = require('../services/milestoneService');
+const logger = require('../services/logger');
+
+/**
+ * Determina el código de estado HTTP según el mensaje de error del servicio
+ * @param {Error} error - Error lanzado por el servicio
+ * @returns {number} Código de estado
+ */
+function getErrorStatus(error) {
+  if (error.message.includes('no encontrad')) {
+    return 404;
+  }
+
+  if (error.message.includes('No tienes permiso')) {
+    return 403;
+  }
+
+  if (error.message.includes('El plan debe tener') ||
+      error.message.includes('Cada hito debe') ||
+      error.message.includes('deben sumar 100%') ||
+      error.message.includes('Solo se pueden') ||
+      error.message.includes('Solo se puede') ||
+      error.message.includes('ya tiene un plan') ||
+      error.message.includes('ya fue liberado') ||
+      error.message.includes('disputa abierta') ||
+      error.message.includes('no están en custodia') ||
+      error.message.includes('Debe indicar')) {
+    return 400;
+  }
+
+  return 500;
+}
+
+/**
+ * Envía la respuesta de error registrando el contexto de la operación
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Error} error - Error lanzado por el servicio
+ * @param {string} operation - Descripción de la operación para el log
+ */
+function handleError(req, res, error, operation) {
+  logger.error(`Milestone ${operation} error`, {
+    service: 'milestones',
+    userId: req.user?.id,
+    paymentId: req.params.paymentId,
+    milestoneId: req.params.milestoneId,
+    error: error.message,
+    ip: req.ip
+  });
+
+  res.status(getErrorStatus(error)).json({
+    error: error.message || 'Error interno del servidor',
+  });
+}
+
+/**
+ * Define el plan de hitos de un pago
+ * POST /api/payments/:paymentId/milestones
+ */
+async function createMilestonePlan(req, res) {
+  try {
+    const { id: clientId } = req.user;
+    const { paymentId } = req.params;
+    const { hitos } = req.body;
+
+    if (!Array.isArray(hitos)) {
+      return res.status(400).json({
+        error: 'Falta el campo requerido: hitos (lista de { descripcion, porcentaje })',
+      });
+    }
+
+    const milestones = await milestoneService.createMilestonePlan(paymentId, clientId, hitos);
+
+    res.status(201).json({
+      success: true,
+      data: milestones,
+      message: 'Plan de hitos creado. Los fondos se liberarán a medida que apruebes cada hito.'
+    });
+  } catch (error) {
+    handleError(req, res, error, 'plan creation');
+  }
+}
+
+/**
+ * Obtiene los hitos de un pago
+ * GET /api/payments/:paymentId/milestones
+ */
+async function getMilestones(req, res) {
+  try {
+    const { id: userId, rol } = req.user;
+    const result = await milestoneService.getMilestones(req.params.paymentId, userId, rol);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    handleError(req, res, error, 'fetch');
+  }
+}
+
+/**
+ * El profesional solicita la aprobación de un hito
+ * POST /api/payments/milestones/:milestoneId/request-approval
+ */
+async function requestMilestoneApproval(req, res) {
+  try {
+    const { id: professionalId } = req.user;
+    const milestone = await milestoneService.requestMilestoneApproval(req.params.milestoneId, professionalId);
+
+    res.json({
+      success: true,
+      data: milestone,
+      message: 'Solicitud de aprobación enviada al cliente'
+    });
+  } catch (error) {
+    handleError(req, res, error, 'approval request');
+  }
+}
+
+/**
+ * El cliente aprueba un hito y se liberan sus fondos
+ * POST /api/payments/milestones/:milestoneId/approve
+ */
+async function approveMilestone(req, res) {
+  try {
+    const { id: clientId } = req.user;
+    const result = await milestoneService.approveMilestone(req.params.milestoneId, clientId);
+
+    logger.info('Milestone approved via API', {
+      service: 'milestones',
+      clientId,
+      milestoneId: req.params.milestoneId,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Hito aprobado. Los fondos fueron liberados al profesional.'
+    });
+  } catch (error) {
+    handleError(req, res, error, 'approval');
+  }
+}
+
+/**
+ * El cliente rechaza un hito en revisión
+ * POST /api/payments/milestones/:milestoneId/reject
+ */
+async function rejectMilestone(req, res) {
+  try {
+    const { id: clientId } = req.user;
+    const { motivo } = req.body;
+    const milestone = await milestoneService.rejectMilestone(req.params.milestoneId, clientId, motivo);
+
+    res.json({
+      success: true,
+      data: milestone,
+      message: 'Hito rechazado. El profesional fue notificado.'
+    });
+  } catch (error) {
+    handleError(req, res, error, 'rejection');
+  }
+}
+
+module.exports = {
+  createMilestonePlan,
+  getMilestones,
+  requestMilestoneApproval,
+  approveMilestone,
+  rejectMilestone
+};
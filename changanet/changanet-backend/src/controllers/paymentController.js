@@ -9,7 +9,13 @@
  */
 
 const mercadoPagoService = require('../services/mercadoPagoService');
+const webhookEventService = require('../services/webhookEventService');
+const queueService = require('../services/queueService');
 const receiptService = require('../services/receiptService');
+const couponService = require('../services/couponService');
+const currencyService = require('../services/currencyService');
+const walletService = require('../services/walletService');
+const installmentPlanService = require('../services/installmentPlanService');
 const logger = require('../services/logger');
 const {
   incrementPaymentProcessed,
@@ -19,16 +25,39 @@ const {
   incrementWebhookProcessed
 } = require('../services/metricsService');
 
+/**
+ * Calcula el precio de lista de un servicio antes de descuentos
+ * @param {Object} service - Servicio con profesional.perfil_profesional
+ * @param {number} requestedAmount - Monto enviado por el frontend (opcional)
+ * @returns {number} Monto a cobrar
+ */
+function calculateServiceAmount(service, requestedAmount) {
+  // Calcular monto total (debe venir del frontend o calcularse)
+  let amount = requestedAmount || service.profesional.perfil_profesional?.tarifa_hora || 1000;
+
+  // Aplicar recargo por servicio urgente - Sección 10 del PRD
+  if (service.es_urgente) {
+    const urgentSurcharge = parseFloat(process.env.URGENT_SERVICE_SURCHARGE || '0.2'); // 20% por defecto
+    amount = amount * (1 + urgentSurcharge);
+    console.log(`🔥 Servicio urgente detectado - Aplicando recargo del ${urgentSurcharge * 100}%: $${amount}`);
+  }
+
+  return amount;
+}
+
 /**
  * Crea una preferencia de pago con custodia de fondos
  * REQ-41: Integración con pasarelas de pago
  * REQ-42: Custodia de fondos hasta aprobación
  * REQ-43: Comisión configurable (10%)
+ * El cliente puede aplicar crédito de su billetera: useWallet usa el máximo disponible y walletAmount
+ * limita el crédito a ese monto; si el crédito cubre todo el pago no se crea preferencia en Mercado Pago
+ * installmentPlanId elige un plan de cuotas sobre lo que cobra Mercado Pago (ver installmentPlanService)
  */
 async function createPaymentPreference(req, res) {
   const startTime = Date.now();
   try {
-    const { serviceId } = req.body;
+    const { serviceId, couponCode, useWallet, walletAmount, installmentPlanId } = req.body;
     const clientId = req.user.id; // Obtenido del middleware de autenticación
 
     // Validar campos requeridos
@@ -82,20 +111,78 @@ async function createPaymentPreference(req, res) {
       });
     }
 
-    // Calcular monto total (debe venir del frontend o calcularse)
-    let amount = req.body.amount || service.profesional.perfil_profesional?.tarifa_hora || 1000;
+    // El pago se cobra en la moneda del profesional y guarda el tipo de cambio vigente
+    let rateSnapshot;
+    try {
+      rateSnapshot = await currencyService.getRateSnapshot(service.profesional.perfil_profesional?.moneda);
+    } catch (error) {
+      return res.status(400).json({
+        error: error.message,
+      });
+    }
+
+    const listAmount = calculateServiceAmount(service, req.body.amount);
+
+    // Aplicar cupón de descuento (el cliente paga el precio rebajado)
+    let couponResult = null;
+    if (couponCode) {
+      try {
+        couponResult = await couponService.validateCoupon(couponCode, {
+          clientId,
+          service,
+          amount: listAmount,
+          exchangeRate: rateSnapshot.tipo_cambio
+        });
+      } catch (error) {
+        return res.status(400).json({
+          error: error.message,
+        });
+      }
+    }
+    const amount = couponResult ? couponResult.finalAmount : listAmount;
+
+    // Aplicar crédito de la billetera (total o parcial); Mercado Pago cobra solo el resto
+    let walletCredit = null;
+    if (useWallet || walletAmount) {
+      try {
+        walletCredit = await walletService.calculateWalletCredit(clientId, {
+          amount,
+          currency: rateSnapshot.moneda,
+          exchangeRate: rateSnapshot.tipo_cambio,
+          requestedAmount: walletAmount
+        });
+      } catch (error) {
+        return res.status(400).json({
+          error: error.message,
+        });
+      }
+    }
+    const creditAmount = walletCredit ? walletCredit.creditAmount : 0;
+    const chargeAmount = walletCredit ? walletCredit.chargeAmount : amount;
 
-    // Aplicar recargo por servicio urgente - Sección 10 del PRD
-    if (service.es_urgente) {
-      const urgentSurcharge = parseFloat(process.env.URGENT_SERVICE_SURCHARGE || '0.2'); // 20% por defecto
-      amount = amount * (1 + urgentSurcharge);
-      console.log(`🔥 Servicio urgente detectado - Aplicando recargo del ${urgentSurcharge * 100}%: $${amount}`);
+    // Plan de cuotas elegido (solo sobre lo que cobra Mercado Pago)
+    let installmentPlan = null;
+    if (installmentPlanId && chargeAmount > 0) {
+      try {
+        installmentPlan = await installmentPlanService.selectInstallmentPlan(installmentPlanId, {
+          service,
+          amount: chargeAmount,
+          currency: rateSnapshot.moneda,
+          exchangeRate: rateSnapshot.tipo_cambio
+        });
+      } catch (error) {
+        return res.status(400).json({
+          error: error.message,
+        });
+      }
     }
 
-    // Crear preferencia de pago con Mercado Pago
-    const preference = await mercadoPagoService.createPaymentPreference({
+    // Crear preferencia de pago con Mercado Pago (no hace falta si el crédito cubre todo el pago)
+    const preference = chargeAmount > 0 ? await mercadoPagoService.createPaymentPreference({
       serviceId,
-      amount,
+      amount: chargeAmount,
+      currency: rateSnapshot.moneda,
+      exchangeRate: rateSnapshot.tipo_cambio,
       description: service.descripcion,
       client: {
         id: service.cliente.id,
@@ -106,27 +193,66 @@ async function createPaymentPreference(req, res) {
         id: service.profesional.id,
         nombre: service.profesional.nombre,
         email: service.profesional.email
-      }
-    });
+      },
+      installments: installmentPlan ? installmentPlan.cuotas : 1
+    }) : null;
 
     // Crear registro de pago en custodia
     // Según RB-03: Comisión se calcula al liberar fondos, no aquí
     const commission = 0; // Se calculará al completar el servicio
     const professionalAmount = amount; // Monto completo inicialmente
 
-    const payment = await prisma.pagos.create({
-      data: {
-        servicio_id: serviceId,
-        cliente_id: clientId,
-        profesional_id: service.profesional.id,
-        monto_total: amount,
-        comision_plataforma: commission,
-        monto_profesional: professionalAmount,
-        estado: 'pendiente',
-        mercado_pago_preference_id: preference.id
+    // El pago y el canje del cupón se registran juntos para respetar los topes de uso
+    const payment = await prisma.$transaction(async (tx) => {
+      const created = await tx.pagos.create({
+        data: {
+          servicio_id: serviceId,
+          cliente_id: clientId,
+          profesional_id: service.profesional.id,
+          monto_total: amount,
+          comision_plataforma: commission,
+          monto_profesional: professionalAmount,
+          monto_descuento: couponResult ? couponResult.discountAmount : 0,
+          descuento_absorbido_por: couponResult ? couponResult.absorbidoPor : null,
+          monto_credito: creditAmount,
+          ...(installmentPlan && {
+            plan_cuotas_id: installmentPlan.planId,
+            cuotas: installmentPlan.cuotas,
+            monto_cuota: installmentPlan.montoCuota,
+            recargo_financiacion: installmentPlan.recargo,
+            costo_financiacion: installmentPlan.costoFinanciacion
+          }),
+          ...rateSnapshot,
+          estado: 'pendiente',
+          mercado_pago_preference_id: preference ? preference.id : null
+        }
+      });
+
+      if (creditAmount > 0) {
+        await walletService.applyCredit({
+          clientId,
+          paymentId: created.id,
+          amount: walletCredit.creditBase
+        }, tx);
+      }
+
+      if (couponResult) {
+        await couponService.redeemCoupon({
+          coupon: couponResult.coupon,
+          clientId,
+          paymentId: created.id,
+          discountAmount: couponResult.discountAmount
+        }, tx);
       }
+
+      return created;
     });
 
+    // Pago cubierto en su totalidad con crédito: queda cobrado y en custodia sin pasar por Mercado Pago
+    if (!preference) {
+      await mercadoPagoService.capturePayment(payment, { metodoPago: 'credito_plataforma' });
+    }
+
     // Log de transacción financiera
     const prismaLog = new PrismaClient();
     await prismaLog.transactions_log.create({
@@ -138,8 +264,28 @@ async function createPaymentPreference(req, res) {
         monto: amount,
         detalles: {
           serviceId,
-          mercadoPagoPreferenceId: preference.id,
-          simulated: preference.simulated || false
+          mercadoPagoPreferenceId: preference ? preference.id : null,
+          simulated: preference ? preference.simulated || false : false,
+          moneda: rateSnapshot.moneda,
+          tipoCambio: rateSnapshot.tipo_cambio,
+          ...(creditAmount > 0 && {
+            creditoBilletera: creditAmount,
+            creditoBilleteraBase: walletCredit.creditBase,
+            montoCobradoMercadoPago: chargeAmount
+          }),
+          ...(installmentPlan && {
+            planCuotas: installmentPlan.planId,
+            cuotas: installmentPlan.cuotas,
+            sinInteres: installmentPlan.sinInteres,
+            recargoFinanciacion: installmentPlan.recargo,
+            costoFinanciacion: installmentPlan.costoFinanciacion
+          }),
+          ...(couponResult && {
+            cupon: couponResult.coupon.codigo,
+            montoLista: listAmount,
+            montoDescuento: couponResult.discountAmount,
+            descuentoAbsorbidoPor: couponResult.absorbidoPor
+          })
         },
         ip_address: req.ip,
         user_agent: req.headers['user-agent']
@@ -157,7 +303,10 @@ async function createPaymentPreference(req, res) {
       userId: clientId,
       serviceId,
       amount,
-      preferenceId: preference.id,
+      currency: rateSnapshot.moneda,
+      discountAmount: couponResult ? couponResult.discountAmount : 0,
+      creditAmount,
+      preferenceId: preference ? preference.id : null,
       paymentId: payment.id,
       ip: req.ip
     });
@@ -166,7 +315,11 @@ async function createPaymentPreference(req, res) {
       success: true,
       data: {
         ...preference,
-        paymentId: payment.id
+        paymentId: payment.id,
+        creditAmount,
+        chargeAmount,
+        installments: installmentPlan,
+        paidWithCredit: !preference
       },
     });
   } catch (error) {
@@ -188,6 +341,171 @@ async function createPaymentPreference(req, res) {
   }
 }
 
+/**
+ * Lista los planes de cuotas disponibles para pagar un servicio, con el desglose de cada uno
+ * amount es lo que cobrará Mercado Pago (con cupón y crédito de billetera ya aplicados);
+ * el plan se valida nuevamente al crear la preferencia
+ * POST /api/payments/installment-options
+ */
+async function getInstallmentOptions(req, res) {
+  try {
+    const { serviceId, amount } = req.body;
+    const clientId = req.user.id;
+    const chargeAmount = parseFloat(amount);
+
+    if (!serviceId || isNaN(chargeAmount) || chargeAmount <= 0) {
+      return res.status(400).json({
+        error: 'Faltan campos requeridos: serviceId, amount',
+      });
+    }
+
+    const { PrismaClient } = require('@prisma/client');
+    const prisma = new PrismaClient();
+
+    const service = await prisma.servicios.findUnique({
+      where: { id: serviceId },
+      include: {
+        profesional: {
+          include: {
+            perfil_profesional: true
+          }
+        }
+      }
+    });
+
+    if (!service) {
+      return res.status(404).json({
+        error: 'Servicio no encontrado',
+      });
+    }
+
+    if (service.cliente_id !== clientId) {
+      return res.status(403).json({
+        error: 'No tienes permiso para pagar este servicio',
+      });
+    }
+
+    let rateSnapshot;
+    try {
+      rateSnapshot = await currencyService.getRateSnapshot(service.profesional.perfil_profesional?.moneda);
+    } catch (error) {
+      return res.status(400).json({
+        error: error.message,
+      });
+    }
+
+    const options = await installmentPlanService.getInstallmentOptions({
+      service,
+      amount: chargeAmount,
+      currency: rateSnapshot.moneda,
+      exchangeRate: rateSnapshot.tipo_cambio
+    });
+
+    res.json({
+      success: true,
+      data: {
+        currency: rateSnapshot.moneda,
+        amount: chargeAmount,
+        options
+      },
+    });
+  } catch (error) {
+    logger.error('Installment options error', {
+      service: 'payments',
+      userId: req.user?.id,
+      serviceId: req.body.serviceId,
+      error: error.message,
+      ip: req.ip
+    });
+    res.status(500).json({
+      error: 'Error al obtener los planes de cuotas',
+    });
+  }
+}
+
+/**
+ * Previsualiza el descuento de un cupón antes de crear la preferencia de pago
+ * No registra el canje: los topes se verifican nuevamente al pagar
+ */
+async function previewCoupon(req, res) {
+  try {
+    const { serviceId, couponCode, amount: requestedAmount } = req.body;
+    const clientId = req.user.id;
+
+    if (!serviceId || !couponCode) {
+      return res.status(400).json({
+        error: 'Faltan campos requeridos: serviceId, couponCode',
+      });
+    }
+
+    const { PrismaClient } = require('@prisma/client');
+    const prisma = new PrismaClient();
+
+    const service = await prisma.servicios.findUnique({
+      where: { id: serviceId },
+      include: {
+        profesional: {
+          include: {
+            perfil_profesional: true
+          }
+        }
+      }
+    });
+
+    if (!service) {
+      return res.status(404).json({
+        error: 'Servicio no encontrado',
+      });
+    }
+
+    if (service.cliente_id !== clientId) {
+      return res.status(403).json({
+        error: 'No tienes permiso para pagar este servicio',
+      });
+    }
+
+    const listAmount = calculateServiceAmount(service, requestedAmount);
+
+    let rateSnapshot;
+    let result;
+    try {
+      rateSnapshot = await currencyService.getRateSnapshot(service.profesional.perfil_profesional?.moneda);
+      result = await couponService.validateCoupon(couponCode, {
+        clientId,
+        service,
+        amount: listAmount,
+        exchangeRate: rateSnapshot.tipo_cambio
+      });
+    } catch (error) {
+      return res.status(400).json({
+        error: error.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        code: result.coupon.codigo,
+        description: result.coupon.descripcion,
+        currency: rateSnapshot.moneda,
+        listAmount,
+        discountAmount: result.discountAmount,
+        finalAmount: result.finalAmount
+      },
+    });
+  } catch (error) {
+    logger.error('Coupon preview error', {
+      service: 'payments',
+      userId: req.user?.id,
+      serviceId: req.body.serviceId,
+      error
+    });
+    res.status(500).json({
+      error: 'Error interno del servidor',
+    });
+  }
+}
+
 /**
  * Libera los fondos de un pago completado
  */
@@ -270,6 +588,8 @@ async function getPaymentStatus(req, res) {
 /**
  * Maneja webhooks de Mercado Pago con validación de firma
  * REQ-41: Integración real con Mercado Pago
+ * Cada notificación se guarda en eventos_webhook antes de procesarse; las repetidas no se vuelven a aplicar.
+ * Con WEBHOOK_ASYNC_PROCESSING=true el evento se encola y se responde sin esperar el procesamiento.
  */
 async function handleWebhook(req, res) {
   try {
@@ -284,24 +604,50 @@ async function handleWebhook(req, res) {
       hasRequestId: !!req.headers['x-request-id']
     });
 
-    // Verificar que sea una notificación de pago
-    if (type === 'payment') {
-      const paymentId = data.id;
+    const { event: recorded, duplicate } = await webhookEventService.recordWebhookEvent({
+      headers: req.headers,
+      body: req.body,
+      ip: req.ip
+    });
 
-      // Procesar webhook con validación de firma
-      const result = await mercadoPagoService.processPaymentWebhook(req.headers, data);
+    let event = recorded;
+    const pending = [
+      webhookEventService.EVENT_STATES.RECEIVED,
+      webhookEventService.EVENT_STATES.FAILED
+    ].includes(event.estado);
 
-      // Registrar métricas de webhook
-      incrementWebhookProcessed('payment', 'success', 'mercadopago');
+    if (pending) {
+      const queued = process.env.WEBHOOK_ASYNC_PROCESSING === 'true' && event.firma_valida &&
+        await queueService.enqueueWebhook({ type: event.tipo, eventId: event.id });
 
-      logger.info('Payment webhook processed successfully', {
-        service: 'payments',
-        paymentId,
-        status: result.status,
-        ip: req.ip
-      });
+      if (!queued) {
+        ({ event } = await webhookEventService.processWebhookEvent(event.id));
+      }
     }
 
+    if (event.estado === webhookEventService.EVENT_STATES.REJECTED) {
+      incrementWebhookProcessed('payment', 'error', 'mercadopago');
+      return res.status(401).send('Firma del webhook inválida');
+    }
+
+    if (event.estado === webhookEventService.EVENT_STATES.FAILED) {
+      // Responder con error para que Mercado Pago reenvíe la notificación
+      incrementWebhookProcessed('payment', 'error', 'mercadopago');
+      return res.status(500).send('Error procesando webhook');
+    }
+
+    // Registrar métricas de webhook
+    incrementWebhookProcessed('payment', 'success', 'mercadopago');
+
+    logger.info('Payment webhook handled', {
+      service: 'payments',
+      eventId: event.id_evento,
+      paymentId: event.recurso_id,
+      estado: event.estado,
+      duplicate,
+      ip: req.ip
+    });
+
     // Responder a Mercado Pago
     res.status(200).send('OK');
   } catch (error) {
@@ -731,8 +1077,71 @@ async function getAllPayments(req, res) {
   }
 }
 
+/**
+ * Reembolsa total o parcialmente un pago (solo admins / soporte)
+ * Recalcula comisión y monto profesional en proporción al saldo remanente
+ * POST /api/payments/:paymentId/refund
+ */
+async function refundPayment(req, res) {
+  try {
+    const { id: adminId } = req.user;
+    const { paymentId } = req.params;
+    const { refundAmount, motivo } = req.body;
+
+    if (refundAmount === undefined || refundAmount === null) {
+      return res.status(400).json({
+        error: 'Falta el campo requerido: refundAmount',
+      });
+    }
+
+    const result = await mercadoPagoService.processPartialRefund(paymentId, refundAmount, {
+      motivo,
+      processedBy: adminId
+    });
+
+    logger.info('Payment refund processed', {
+      service: 'payments',
+      adminId,
+      paymentId,
+      amount: result.refundAmount,
+      fullyRefunded: result.fullyRefunded,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error('Payment refund error', {
+      service: 'payments',
+      adminId: req.user?.id,
+      paymentId: req.params.paymentId,
+      refundAmount: req.body?.refundAmount,
+      error: error.message,
+      ip: req.ip
+    });
+
+    let statusCode = 500;
+    if (error.message.includes('Pago no encontrado')) {
+      statusCode = 404;
+    } else if (error.message.includes('Solo se pueden reembolsar') ||
+               error.message.includes('monto a reembolsar')) {
+      statusCode = 400;
+    } else if (error.message.includes('El pago cambió')) {
+      statusCode = 409;
+    }
+
+    res.status(statusCode).json({
+      error: error.message || 'Error interno del servidor',
+    });
+  }
+}
+
 module.exports = {
   createPaymentPreference,
+  previewCoupon,
+  getInstallmentOptions,
   releaseFunds,
   getPaymentStatus,
   handleWebhook,
@@ -742,4 +1151,5 @@ module.exports = {
   getClientPayments,
   getProfessionalPayments,
   getAllPayments,
+  refundPayment,
 };
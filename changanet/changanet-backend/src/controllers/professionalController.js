@@ -290,6 +290,7 @@ exports.getProfessionals = async (req, res) => {
             especialidad: true,
             zona_cobertura: true,
             tarifa_hora: true,
+            moneda: true,
             calificacion_promedio: true,
             estado_verificacion: true,
             descripcion: true
@@ -312,6 +313,7 @@ exports.getProfessionals = async (req, res) => {
       especialidad: prof.perfil_profesional?.especialidad,
       zona_cobertura: prof.perfil_profesional?.zona_cobertura,
       tarifa_hora: prof.perfil_profesional?.tarifa_hora,
+      moneda: prof.perfil_profesional?.moneda,
       calificacion_promedio: prof.perfil_profesional?.calificacion_promedio,
       estado_verificacion: prof.perfil_profesional?.estado_verificacion,
       descripcion: prof.perfil_profesional?.descripcion
@@ -373,6 +375,7 @@ exports.getProfessionalById = async (req, res) => {
             especialidad: true,
             zona_cobertura: true,
             tarifa_hora: true,
+            moneda: true,
             calificacion_promedio: true,
             estado_verificacion: true,
             descripcion: true,
@@ -406,6 +409,7 @@ exports.getProfessionalById = async (req, res) => {
       especialidad: professional.perfil_profesional?.especialidad,
       zona_cobertura: professional.perfil_profesional?.zona_cobertura,
       tarifa_hora: professional.perfil_profesional?.tarifa_hora,
+      moneda: professional.perfil_profesional?.moneda,
       calificacion_promedio: professional.perfil_profesional?.calificacion_promedio,
       estado_verificacion: professional.perfil_profesional?.estado_verificacion,
       descripcion: professional.perfil_profesional?.descripcion,
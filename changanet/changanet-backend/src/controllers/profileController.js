@@ -19,9 +19,12 @@
  */
 
 // src/controllers/profileController.js
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
 const { uploadImage, deleteImage } = require('../services/storageService');
 const { getCachedProfessionalProfile, cacheProfessionalProfile, invalidateProfessionalProfile } = require('../services/cacheService');
+const { CURRENCIES, isSupportedCurrency } = require('../services/currencyService');
+const { recordRateChange } = require('../services/savedSearchService');
+const { normalizarAreaServicio } = require('../utils/geospatial');
 const prisma = new PrismaClient();
 
 /**
@@ -78,8 +81,10 @@ exports.updateProfile = async (req, res) => {
     especialidad, especialidades, // especialidad para compatibilidad, especialidades para array
     anos_experiencia, zona_cobertura,
     tipo_tarifa, tarifa_hora, tarifa_servicio, tarifa_convenio, // Sistema de tarifas flexible
+    moneda, // Moneda de las tarifas (ARS, UYU, CLP)
     descripcion, direccion, preferencias_servicio,
-    latitud, longitud, esta_disponible
+    latitud, longitud, esta_disponible,
+    area_servicio // Área de servicio dibujada en el mapa (GeoJSON Polygon/MultiPolygon, null para quitarla)
   } = req.body;
 
   try {
@@ -137,7 +142,25 @@ exports.updateProfile = async (req, res) => {
       const validTiposTarifa = ['hora', 'servicio', 'convenio'];
       const tipoTarifaFinal = tipo_tarifa && validTiposTarifa.includes(tipo_tarifa) ? tipo_tarifa : 'hora';
 
+      // Validar moneda de las tarifas
+      const monedaFinal = moneda ? String(moneda).toUpperCase() : undefined;
+      if (monedaFinal && !isSupportedCurrency(monedaFinal)) {
+        return res.status(400).json({ error: `Moneda inválida. Opciones: ${Object.keys(CURRENCIES).join(', ')}` });
+      }
+
+      // Validar el área de servicio (llega como texto JSON cuando el formulario incluye una foto)
+      let areaServicioFinal;
+      if (area_servicio !== undefined) {
+        try {
+          areaServicioFinal = normalizarAreaServicio(area_servicio) || Prisma.DbNull;
+        } catch (areaError) {
+          return res.status(400).json({ error: areaError.message });
+        }
+      }
+
       if (profile) {
+        const previousRates = { tarifa_hora: profile.tarifa_hora, tarifa_servicio: profile.tarifa_servicio };
+
         profile = await prisma.perfiles_profesionales.update({
           where: { usuario_id: userId },
           data: {
@@ -151,12 +174,17 @@ exports.updateProfile = async (req, res) => {
             tarifa_hora: tarifa_hora ? parseFloat(tarifa_hora) : undefined,
             tarifa_servicio: tarifa_servicio ? parseFloat(tarifa_servicio) : undefined,
             tarifa_convenio: tarifa_convenio,
+            moneda: monedaFinal,
+            area_servicio: areaServicioFinal,
             descripcion,
             url_foto_perfil,
             url_foto_portada,
             esta_disponible: esta_disponible !== undefined ? Boolean(esta_disponible) : true,
           },
         });
+
+        // Una baja de tarifa avisa a las búsquedas guardadas cuyo precio máximo ahora alcanza (sin demorar la respuesta)
+        recordRateChange(userId, previousRates, profile);
       } else {
         profile = await prisma.perfiles_profesionales.create({
           data: {
@@ -171,6 +199,8 @@ exports.updateProfile = async (req, res) => {
             tarifa_hora: tarifa_hora ? parseFloat(tarifa_hora) : undefined,
             tarifa_servicio: tarifa_servicio ? parseFloat(tarifa_servicio) : undefined,
             tarifa_convenio: tarifa_convenio,
+            moneda: monedaFinal,
+            area_servicio: areaServicioFinal,
             descripcion,
             url_foto_perfil,
             url_foto_portada,
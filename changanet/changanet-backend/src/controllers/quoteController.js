@@ -11,6 +11,9 @@ const { createNotification, NOTIFICATION_TYPES } = require('../services/notifica
 const { sendPushNotification } = require('../services/pushNotificationService');
 const { sendQuoteRequestEmail } = require('../services/emailService');
 const { uploadImage } = require('../services/storageService');
+const { getEntitlements } = require('../services/subscriptionService');
+const { EXPIRATION_DAYS } = require('../services/budgetRequestService');
+const { BASE_CURRENCY, formatAmount } = require('../services/currencyService');
 const multer = require('multer');
 
 const prisma = new PrismaClient();
@@ -245,6 +248,7 @@ exports.getQuotesForProfessional = async (req, res) => {
       mi_respuesta: {
         id: response.id,
         precio: response.precio,
+        moneda: response.moneda,
         comentario: response.comentario,
         estado: response.estado,
         respondido_en: response.respondido_en
@@ -288,7 +292,9 @@ exports.respondToQuote = async (req, res) => {
             cliente: { select: { nombre: true, email: true } }
           }
         },
-        profesional: { select: { nombre: true, email: true } }
+        profesional: {
+          select: { nombre: true, email: true, perfil_profesional: { select: { moneda: true } } }
+        }
       }
     });
 
@@ -309,10 +315,36 @@ exports.respondToQuote = async (req, res) => {
       if (!precio || isNaN(parseFloat(precio))) {
         return res.status(400).json({ error: 'Debes proporcionar un precio válido para aceptar la cotización.' });
       }
+
+      // Tope de ofertas simultáneas según el plan: cuentan las ofertas enviadas en solicitudes aún vigentes
+      const { plan, maxCotizacionesActivas } = await getEntitlements(professionalId);
+      if (maxCotizacionesActivas !== null) {
+        const activeOffers = await prisma.cotizacion_respuestas.count({
+          where: {
+            profesional_id: professionalId,
+            estado: 'ACEPTADO',
+            cotizacion: {
+              creado_en: { gte: new Date(Date.now() - EXPIRATION_DAYS * 24 * 60 * 60 * 1000) }
+            }
+          }
+        });
+
+        if (activeOffers >= maxCotizacionesActivas) {
+          return res.status(403).json({
+            error: `Tu plan ${plan.nombre} permite ${maxCotizacionesActivas} ofertas simultáneas en solicitudes vigentes. Mejora tu plan para enviar más.`,
+            code: 'PLAN_LIMIT_REACHED'
+          });
+        }
+      }
+
       updateData.precio = parseFloat(precio);
+      // El precio se cotiza en la moneda del profesional
+      updateData.moneda = quoteResponse.profesional.perfil_profesional?.moneda || BASE_CURRENCY;
       updateData.comentario = comentario;
     }
 
+    const formattedPrice = action === 'accept' ? formatAmount(updateData.precio, updateData.moneda) : null;
+
     const updatedResponse = await prisma.cotizacion_respuestas.update({
       where: {
         cotizacion_id_profesional_id: {
@@ -334,7 +366,7 @@ exports.respondToQuote = async (req, res) => {
     // Enviar notificación push al cliente (REQ-35)
     const pushTitle = action === 'accept' ? 'Nueva oferta recibida' : 'Cotización rechazada';
     const pushMessage = action === 'accept'
-      ? `${quoteResponse.profesional.nombre} ha enviado una oferta: $${precio}`
+      ? `${quoteResponse.profesional.nombre} ha enviado una oferta: ${formattedPrice}`
       : `${quoteResponse.profesional.nombre} ha rechazado tu solicitud de cotización`;
 
     try {
@@ -346,7 +378,8 @@ exports.respondToQuote = async (req, res) => {
           type: action === 'accept' ? 'oferta_recibida' : 'cotizacion_rechazada',
           quoteId: quoteId,
           profesional_id: professionalId,
-          precio: action === 'accept' ? precio : null
+          precio: action === 'accept' ? precio : null,
+          moneda: action === 'accept' ? updateData.moneda : null
         }
       );
     } catch (pushError) {
@@ -356,7 +389,7 @@ exports.respondToQuote = async (req, res) => {
     // Enviar notificación en base de datos al cliente
     const notificationType = action === 'accept' ? NOTIFICATION_TYPES.COTIZACION_ACEPTADA : NOTIFICATION_TYPES.COTIZACION_RECHAZADA;
     const message = action === 'accept'
-      ? `${quoteResponse.profesional.nombre} ha enviado una oferta: $${precio}`
+      ? `${quoteResponse.profesional.nombre} ha enviado una oferta: ${formattedPrice}`
       : `${quoteResponse.profesional.nombre} ha rechazado tu solicitud de cotización`;
 
     await createNotification(quoteResponse.cotizacion.cliente_id, notificationType, message);
@@ -366,7 +399,7 @@ exports.respondToQuote = async (req, res) => {
       const { sendEmail } = require('../services/emailService');
       const emailSubject = action === 'accept' ? 'Nueva oferta en Changánet' : 'Cotización rechazada en Changánet';
       const emailBody = action === 'accept'
-        ? `Hola ${quoteResponse.cotizacion.cliente.nombre},\n\n¡Buenas noticias! ${quoteResponse.profesional.nombre} ha enviado una oferta para tu solicitud.\n\nPrecio ofrecido: $${precio}\nComentario: ${comentario || 'Sin comentario adicional'}\n\nPuedes comparar ofertas y contactar al profesional desde tu panel.\n\nSaludos,\nEquipo Changánet`
+        ? `Hola ${quoteResponse.cotizacion.cliente.nombre},\n\n¡Buenas noticias! ${quoteResponse.profesional.nombre} ha enviado una oferta para tu solicitud.\n\nPrecio ofrecido: ${formattedPrice}\nComentario: ${comentario || 'Sin comentario adicional'}\n\nPuedes comparar ofertas y contactar al profesional desde tu panel.\n\nSaludos,\nEquipo Changánet`
         : `Hola ${quoteResponse.cotizacion.cliente.nombre},\n\n${quoteResponse.profesional.nombre} ha rechazado tu solicitud de cotización.\n\nPuedes esperar otras ofertas o contactar directamente al profesional.\n\nSaludos,\nEquipo Changánet`;
 
       await sendEmail(quoteResponse.cotizacion.cliente.email, emailSubject, emailBody);
@@ -418,6 +451,7 @@ exports.getClientQuotes = async (req, res) => {
         id: respuesta.id,
         profesional: respuesta.profesional,
         precio: respuesta.precio,
+        moneda: respuesta.moneda,
         comentario: respuesta.comentario,
         estado: respuesta.estado,
         respondido_en: respuesta.respondido_en
@@ -516,6 +550,7 @@ exports.compareQuotes = async (req, res) => {
           especialidad: respuesta.profesional.perfil_profesional?.especialidad
         },
         precio: respuesta.precio,
+        moneda: respuesta.moneda,
         comentario: respuesta.comentario,
         estado: respuesta.estado,
         respondido_en: respuesta.respondido_en,
@@ -0,0 +1,134 @@
+/**
+ * Controlador de conciliación con Mercado Pago (solo administradores)
+ * Recibe los reportes de liquidaciones/liberaciones y expone el resultado de cada corrida
+ */
+
+const reconciliationService = require('../services/reconciliationService');
+const logger = require('../services/logger');
+
+/**
+ * Determina el código de estado HTTP según el mensaje de error del servicio
+ * @param {Error} error - Error lanzado por el servicio
+ * @returns {number} Código de estado
+ */
+function getErrorStatus(error) {
+  if (error.message.includes('no encontrada')) {
+    return 404;
+  }
+
+  if (error.message.includes('Formato de reporte') ||
+      error.message.includes('está vacío') ||
+      error.message.includes('no contiene operaciones') ||
+      error.message.includes('supera el máximo')) {
+    return 400;
+  }
+
+  return 500;
+}
+
+/**
+ * Sube un reporte CSV de Mercado Pago y ejecuta la conciliación
+ * POST /api/reconciliation
+ */
+async function uploadSettlementReport(req, res) {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'Falta el archivo del reporte (campo "archivo", formato CSV)',
+      });
+    }
+
+    const reconciliation = await reconciliationService.reconcileSettlementReport({
+      fileName: req.file.originalname,
+      content: req.file.buffer,
+      adminId: req.user.id
+    });
+
+    logger.info('Settlement report reconciled via API', {
+      service: 'reconciliation',
+      adminId: req.user.id,
+      reconciliationId: reconciliation.id,
+      estado: reconciliation.estado,
+      ip: req.ip
+    });
+
+    res.status(201).json({
+      success: true,
+      data: reconciliation,
+      message: reconciliation.estado === 'conciliado'
+        ? 'Reporte conciliado sin diferencias'
+        : 'Reporte procesado: se encontraron diferencias'
+    });
+  } catch (error) {
+    logger.error('Settlement report reconciliation error', {
+      service: 'reconciliation',
+      adminId: req.user?.id,
+      fileName: req.file?.originalname,
+      error: error.message,
+      ip: req.ip
+    });
+
+    res.status(getErrorStatus(error)).json({
+      error: error.message || 'Error interno del servidor',
+    });
+  }
+}
+
+/**
+ * Lista las corridas de conciliación
+ * GET /api/reconciliation
+ */
+async function listReconciliations(req, res) {
+  try {
+    const { page, limit } = req.query;
+    const result = await reconciliationService.listReconciliations({ page, limit });
+
+    res.json({
+      success: true,
+      data: result.reconciliations,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Reconciliation list error', {
+      service: 'reconciliation',
+      adminId: req.user?.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      error: 'Error al obtener las conciliaciones',
+    });
+  }
+}
+
+/**
+ * Obtiene el detalle de una conciliación con sus diferencias
+ * GET /api/reconciliation/:reconciliationId
+ */
+async function getReconciliation(req, res) {
+  try {
+    const reconciliation = await reconciliationService.getReconciliation(req.params.reconciliationId);
+
+    res.json({
+      success: true,
+      data: reconciliation
+    });
+  } catch (error) {
+    logger.error('Reconciliation fetch error', {
+      service: 'reconciliation',
+      adminId: req.user?.id,
+      reconciliationId: req.params.reconciliationId,
+      error: error.message
+    });
+
+    res.status(getErrorStatus(error)).json({
+      error: error.message || 'Error interno del servidor',
+    });
+  }
+}
+
+module.exports = {
+  uploadSettlementReport,
+  listReconciliations,
+  getReconciliation
+};
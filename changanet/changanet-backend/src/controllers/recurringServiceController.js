@@ -5,6 +5,10 @@
  */
 
 const recurringServiceScheduler = require('../services/recurringServiceScheduler');
+const recurringBillingService = require('../services/recurringBillingService');
+
+// Campos del cobro automático: solo se modifican al autorizar una tarjeta o por el dunning
+const BILLING_FIELDS = ['cobro_automatico', 'metodo_pago_id', 'cobros_fallidos', 'pausado_en', 'motivo_pausa'];
 
 /**
  * Crea una nueva programación de servicios recurrentes
@@ -37,6 +41,21 @@ async function createRecurringService(req, res) {
       });
     }
 
+    // Tarjeta para el cobro automático de cada servicio (nueva o ya guardada); sin ella se paga cada servicio manualmente
+    let paymentMethod = null;
+    if (data.card_token || data.metodo_pago_id) {
+      try {
+        paymentMethod = await recurringBillingService.resolvePaymentMethod(userId, {
+          cardToken: data.card_token,
+          metodoPagoId: data.metodo_pago_id
+        });
+      } catch (error) {
+        return res.status(400).json({
+          error: error.message
+        });
+      }
+    }
+
     const recurringData = {
       cliente_id: userId,
       profesional_id: data.profesional_id,
@@ -49,7 +68,8 @@ async function createRecurringService(req, res) {
       tarifa_base: parseFloat(data.tarifa_base),
       descuento_recurrencia: data.descuento_recurrencia ? parseFloat(data.descuento_recurrencia) : 0,
       fecha_inicio: data.fecha_inicio,
-      fecha_fin: data.fecha_fin || null
+      fecha_fin: data.fecha_fin || null,
+      metodo_pago_id: paymentMethod ? paymentMethod.id : null
     };
 
     const recurring = await recurringServiceScheduler.createRecurringService(recurringData);
@@ -125,7 +145,8 @@ async function updateRecurringService(req, res) {
   try {
     const { id: userId } = req.user;
     const { recurringId } = req.params;
-    const updates = req.body;
+    const updates = { ...req.body };
+    BILLING_FIELDS.forEach(field => delete updates[field]);
 
     // Verificar que el usuario tenga acceso
     const { PrismaClient } = require('@prisma/client');
@@ -188,6 +209,13 @@ async function getRecurringServiceDetails(req, res) {
         servicios_generados: {
           orderBy: { fecha_agendada: 'asc' },
           take: 10 // Últimos 10 servicios
+        },
+        metodo_pago: {
+          select: { id: true, medio_pago: true, ultimos_digitos: true, vencimiento_mes: true, vencimiento_anio: true }
+        },
+        cobros: {
+          orderBy: { creado_en: 'desc' },
+          take: 10
         }
       }
     });
@@ -217,6 +245,74 @@ async function getRecurringServiceDetails(req, res) {
   }
 }
 
+/**
+ * Autoriza o reemplaza la tarjeta del cobro automático de un servicio recurrente
+ * Reanuda la programación si estaba pausada por cobros rechazados
+ */
+async function authorizeRecurringBilling(req, res) {
+  try {
+    const { id: userId } = req.user;
+    const { recurringId } = req.params;
+    const { card_token: cardToken, metodo_pago_id: metodoPagoId } = req.body;
+
+    const recurring = await recurringBillingService.authorizeRecurringBilling(recurringId, userId, {
+      cardToken,
+      metodoPagoId
+    });
+
+    res.json({
+      success: true,
+      message: 'Cobro automático autorizado exitosamente',
+      data: recurring
+    });
+  } catch (error) {
+    console.error('Error autorizando cobro automático:', error);
+
+    if (error.message.includes('no encontrad')) {
+      return res.status(404).json({
+        error: error.message
+      });
+    }
+
+    if (error.message.includes('Solo el cliente')) {
+      return res.status(403).json({
+        error: error.message
+      });
+    }
+
+    if (error.message.includes('cancelada') || error.message.includes('Debes indicar') || error.message.includes('No se pudo guardar')) {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+}
+
+/**
+ * Obtiene las tarjetas guardadas del usuario para cobros automáticos
+ */
+async function getPaymentMethods(req, res) {
+  try {
+    const { id: userId } = req.user;
+
+    const methods = await recurringBillingService.listPaymentMethods(userId);
+
+    res.json({
+      success: true,
+      data: methods
+    });
+  } catch (error) {
+    console.error('Error obteniendo métodos de pago:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor'
+    });
+  }
+}
+
 /**
  * Genera servicios recurrentes manualmente (para testing/admin)
  */
@@ -250,5 +346,7 @@ module.exports = {
   cancelRecurringService,
   updateRecurringService,
   getRecurringServiceDetails,
+  authorizeRecurringBilling,
+  getPaymentMethods,
   generateRecurringServices
 };
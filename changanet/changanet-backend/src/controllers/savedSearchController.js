@@ -0,0 +1,165 @@
+/**
+ * Controlador de búsquedas guardadas con alertas de nuevas coincidencias (solo clientes)
+ * Alta, modificación, baja y listado de las búsquedas del cliente (ver savedSearchService)
+ */
+
+const savedSearchService = require('../services/savedSearchService');
+const logger = require('../services/logger');
+
+/**
+ * Determina el código de estado HTTP según el mensaje de error del servicio
+ * @param {Error} error - Error lanzado por el servicio
+ * @returns {number} Código de estado
+ */
+function getErrorStatus(error) {
+  if (error.message.includes('no encontrad')) {
+    return 404;
+  }
+
+  if (error.message.includes('No autorizado')) {
+    return 403;
+  }
+
+  if (error.message.includes('Límite')) {
+    return 409;
+  }
+
+  if (error.message.includes('requerido') || error.message.includes('inválid') || error.message.includes('Debe indicar')) {
+    return 400;
+  }
+
+  return 500;
+}
+
+/**
+ * Responde 403 si el usuario no es cliente
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @returns {boolean} Si el usuario puede continuar
+ */
+function ensureClient(req, res) {
+  if (req.user.rol !== 'cliente') {
+    res.status(403).json({
+      error: 'Solo los clientes pueden guardar búsquedas'
+    });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Lista las búsquedas guardadas del cliente
+ * GET /api/saved-searches
+ */
+async function listSavedSearches(req, res) {
+  if (!ensureClient(req, res)) return;
+
+  try {
+    const searches = await savedSearchService.listSavedSearches(req.user.id);
+
+    res.json({
+      success: true,
+      data: searches
+    });
+  } catch (error) {
+    logger.error('Saved search list error', {
+      service: 'saved_search',
+      userId: req.user?.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      error: 'Error al obtener las búsquedas guardadas',
+    });
+  }
+}
+
+/**
+ * Guarda una búsqueda con sus filtros (mismos parámetros que GET /api/search)
+ * POST /api/saved-searches
+ */
+async function createSavedSearch(req, res) {
+  if (!ensureClient(req, res)) return;
+
+  try {
+    const search = await savedSearchService.createSavedSearch(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: search
+    });
+  } catch (error) {
+    logger.error('Saved search creation error', {
+      service: 'saved_search',
+      userId: req.user?.id,
+      error: error.message
+    });
+
+    res.status(getErrorStatus(error)).json({
+      error: error.message || 'Error interno del servidor',
+    });
+  }
+}
+
+/**
+ * Modifica el nombre, los filtros o las alertas de una búsqueda guardada
+ * PUT /api/saved-searches/:searchId
+ */
+async function updateSavedSearch(req, res) {
+  if (!ensureClient(req, res)) return;
+
+  try {
+    const search = await savedSearchService.updateSavedSearch(req.params.searchId, req.user.id, req.body);
+
+    res.json({
+      success: true,
+      data: search
+    });
+  } catch (error) {
+    logger.error('Saved search update error', {
+      service: 'saved_search',
+      userId: req.user?.id,
+      searchId: req.params.searchId,
+      error: error.message
+    });
+
+    res.status(getErrorStatus(error)).json({
+      error: error.message || 'Error interno del servidor',
+    });
+  }
+}
+
+/**
+ * Elimina una búsqueda guardada
+ * DELETE /api/saved-searches/:searchId
+ */
+async function deleteSavedSearch(req, res) {
+  if (!ensureClient(req, res)) return;
+
+  try {
+    await savedSearchService.deleteSavedSearch(req.params.searchId, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Búsqueda guardada eliminada'
+    });
+  } catch (error) {
+    logger.error('Saved search deletion error', {
+      service: 'saved_search',
+      userId: req.user?.id,
+      searchId: req.params.searchId,
+      error: error.message
+    });
+
+    res.status(getErrorStatus(error)).json({
+      error: error.message || 'Error interno del servidor',
+    });
+  }
+}
+
+module.exports = {
+  listSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch
+};
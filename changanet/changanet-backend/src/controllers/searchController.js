@@ -16,6 +16,7 @@
  * - Sistema de caché para optimización de rendimiento
  * - Paginación completa con metadata
  * - Estadísticas calculadas (reseñas, servicios completados)
+ * - Búsqueda tolerante a errores de tipeo, sin acentos y con sinónimos por categoría (searchService)
  */
 
 // src/controllers/searchController.js
@@ -23,6 +24,8 @@ const { PrismaClient, Prisma } = require('@prisma/client');
 const { getCachedProfessionalSearch, cacheProfessionalSearch } = require('../services/cacheService');
 const { logSecurity, logBusiness } = require('../services/loggingService');
 const { incrementSearchRequest, recordSearchDuration, recordSearchResultsCount, incrementAutocompleteRequest } = require('../services/metricsService');
+const { ENTITLED_STATES } = require('../services/subscriptionService');
+const searchService = require('../services/searchService');
 const prisma = new PrismaClient();
 
 /**
@@ -59,12 +62,19 @@ exports.searchProfessionals = async (req, res) => {
   // Extraer parámetros de búsqueda según especificaciones del endpoint
   const {
     q,              // Término de búsqueda full-text (REQ-11)
-    specialty,      // Filtro por especialidad específica
+    specialty,      // Filtro por especialidad exacta (faceta)
     city,           // Filtro por ciudad
     district,       // Filtro por barrio/distrito
     radius,         // Radio geográfico en kilómetros (REQ-12)
     minPrice,       // Precio mínimo
     maxPrice,       // Precio máximo
+    rateType,       // Tipo de tarifa: hora, servicio, convenio (faceta)
+    minRating,      // Calificación mínima (faceta por bandas)
+    verification,   // Estado de verificación (faceta)
+    urgent,         // Solo disponibles para urgencias: 'true' (faceta)
+    availableFrom,  // Inicio de la ventana con turno libre (ISO 8601)
+    availableTo,    // Fin de la ventana con turno libre (ISO 8601)
+    category,       // Categoría para acotar los sinónimos de búsqueda (opcional)
     orderBy = 'relevance', // Ordenamiento: relevance, rating, distance, price, availability
     page = 1,       // Número de página para paginación
     limit = 10      // Resultados por página
@@ -72,11 +82,19 @@ exports.searchProfessionals = async (req, res) => {
 
   // Mapear nuevos parámetros a los parámetros del controlador existente
   const mappedParams = {
-    especialidad: q || specialty,     // Usar q como especialidad principal, o specialty específico
+    especialidad: q,                  // Término de búsqueda tolerante a errores y con sinónimos
+    especialidad_exacta: specialty,   // Opción elegida en la faceta de especialidad
     zona_cobertura: city || district, // Combinar ciudad y distrito
     precio_min: minPrice,
     precio_max: maxPrice,
     radio_km: radius,
+    tipo_tarifa: rateType,
+    calificacion_min: minRating,
+    estado_verificacion: verification,
+    urgente: urgent,
+    disponible_desde: availableFrom,
+    disponible_hasta: availableTo,
+    categoria_id: category,
     sort_by: mapOrderBy(orderBy),    // Mapear orderBy al formato antiguo
     page,
     limit,
@@ -108,7 +126,7 @@ exports.searchProfessionals = async (req, res) => {
 // Función auxiliar para mapear orderBy
 function mapOrderBy(orderBy) {
   const mapping = {
-    'relevance': 'calificacion_promedio', // Default a calificación
+    'relevance': 'relevancia', // Ranking combinado de texto, calificación y cercanía
     'rating': 'calificacion_promedio',
     'distance': 'distancia',
     'price': 'tarifa_hora',
@@ -117,14 +135,21 @@ function mapOrderBy(orderBy) {
   return mapping[orderBy] || 'calificacion_promedio';
 }
 
-// Función optimizada con PostGIS y full-text search
+// Función optimizada con PostGIS y el motor de búsqueda tolerante a errores (ver searchService)
 async function searchProfessionalsOptimized(req, res) {
   const {
     especialidad,
+    especialidad_exacta,
+    categoria_id,
     zona_cobertura,
     precio_min,
     precio_max,
     tipo_tarifa,
+    calificacion_min,
+    estado_verificacion,
+    urgente,
+    disponible_desde,
+    disponible_hasta,
     radio_km,
     disponible,
     sort_by = 'relevancia',
@@ -151,6 +176,10 @@ async function searchProfessionalsOptimized(req, res) {
       return res.status(400).json({ error: 'Parámetros de paginación inválidos.' });
     }
 
+    // Expandir el término con el diccionario de sinónimos (sin acentos y tolerante a errores de tipeo)
+    const dictionary = especialidad ? await searchService.getSynonymDictionary() : [];
+    const expansion = searchService.expandSearchTerms(especialidad, dictionary, { categoryId: categoria_id });
+
     // Construir consulta SQL optimizada con PostGIS
     let sqlQuery = `
       SELECT
@@ -173,110 +202,79 @@ async function searchProfessionalsOptimized(req, res) {
         p.estado_verificacion,
         p.verificado_en,
         u.nombre,
-        u.email`;
+        u.email,
+        ns.id as proximo_turno_id,
+        ns.start_time as proximo_turno_inicio,
+        ns.end_time as proximo_turno_fin`;
 
     const params = [];
-    let paramIndex = 1;
+    const now = new Date();
 
     // Agregar cálculo de distancia si hay coordenadas de usuario
+    let distanceExpr = null;
     if (user_lat && user_lng) {
-      sqlQuery += `,
-        ST_Distance(p.ubicacion, ST_Point($${paramIndex}, $${paramIndex + 1}, 4326)::geography) / 1000 as distancia_km`;
       params.push(parseFloat(user_lng), parseFloat(user_lat));
-      paramIndex += 2;
+      distanceExpr = `ST_Distance(p.ubicacion, ST_Point($${params.length - 1}, $${params.length}, 4326)::geography) / 1000`;
+      sqlQuery += `,
+        ${distanceExpr} as distancia_km`;
     } else {
       sqlQuery += `,
         NULL as distancia_km`;
     }
 
-    // Agregar relevancia de búsqueda full-text si hay término de búsqueda
-    if (especialidad) {
-      sqlQuery += `,
-        ts_rank(p.search_vector, plainto_tsquery('spanish', $${paramIndex})) as relevancia`;
-      params.push(especialidad);
-      paramIndex++;
-    } else {
-      sqlQuery += `,
-        0 as relevancia`;
-    }
+    // Filtros compartidos con el conteo y las facetas (ver searchService.buildSearchConditions)
+    const criteria = {
+      textGroups: expansion.groups,
+      specialty: especialidad_exacta,
+      zone: zona_cobertura,
+      rateType: tipo_tarifa,
+      minPrice: precio_min,
+      maxPrice: precio_max,
+      minRating: calificacion_min,
+      verification: estado_verificacion,
+      urgent: urgente === 'true',
+      availableFrom: disponible_desde ? new Date(disponible_desde) : null,
+      availableTo: disponible_hasta ? new Date(disponible_hasta) : null,
+      available: disponible !== undefined ? disponible === 'true' : null,
+      radiusKm: radio_km,
+      lat: user_lat,
+      lng: user_lng
+    };
+    const { conditions, relevance: relevanceExpr } = searchService.buildSearchConditions(criteria, params, { now });
+
+    // Relevancia de texto (trigramas sobre el documento normalizado); 0 sin término de búsqueda
+    sqlQuery += `,
+        ${relevanceExpr} as relevancia`;
+
+    // Impulso de ranking según el plan de suscripción vigente (ver subscriptionService)
+    sqlQuery += `,
+        COALESCE(sp.impulso_busqueda, 0) as impulso_plan,
+        sp.plan_codigo`;
 
+    params.push(ENTITLED_STATES);
+    const entitledStatesParam = params.length;
+    // Próximo turno libre (dentro de la ventana pedida) para mostrarlo en la tarjeta y ordenar por disponibilidad
+    const nextSlotJoin = searchService.buildNextSlotJoin(criteria, params, now);
     sqlQuery += `
       FROM perfiles_profesionales p
       JOIN usuarios u ON p.usuario_id = u.id
-      WHERE 1=1`;
-
-    // Filtro de especialidad con full-text search
-    if (especialidad) {
-      sqlQuery += ` AND p.search_vector @@ plainto_tsquery('spanish', $${paramIndex})`;
-      params.push(especialidad);
-      paramIndex++;
-    }
-
-    // Filtro por zona/barrio
-    if (zona_cobertura) {
-      sqlQuery += ` AND p.zona_cobertura ILIKE $${paramIndex}`;
-      params.push(`%${zona_cobertura}%`);
-      paramIndex++;
-    }
-
-    // Filtro por tipo de tarifa
-    if (tipo_tarifa) {
-      const validTipos = ['hora', 'servicio', 'convenio'];
-      if (validTipos.includes(tipo_tarifa)) {
-        sqlQuery += ` AND p.tipo_tarifa = $${paramIndex}`;
-        params.push(tipo_tarifa);
-        paramIndex++;
-      }
-    }
-
-    // Filtro por rango de precios
-    if (precio_min || precio_max) {
-      if (tipo_tarifa === 'hora' || !tipo_tarifa) {
-        if (precio_min) {
-          sqlQuery += ` AND p.tarifa_hora >= $${paramIndex}`;
-          params.push(parseFloat(precio_min));
-          paramIndex++;
-        }
-        if (precio_max) {
-          sqlQuery += ` AND p.tarifa_hora <= $${paramIndex}`;
-          params.push(parseFloat(precio_max));
-          paramIndex++;
-        }
-      } else if (tipo_tarifa === 'servicio') {
-        if (precio_min) {
-          sqlQuery += ` AND p.tarifa_servicio >= $${paramIndex}`;
-          params.push(parseFloat(precio_min));
-          paramIndex++;
-        }
-        if (precio_max) {
-          sqlQuery += ` AND p.tarifa_servicio <= $${paramIndex}`;
-          params.push(parseFloat(precio_max));
-          paramIndex++;
-        }
-      }
-    }
-
-    // Filtro por disponibilidad
-    if (disponible !== undefined) {
-      sqlQuery += ` AND p.esta_disponible = $${paramIndex}`;
-      params.push(disponible === 'true');
-      paramIndex++;
-    }
-
-    // Filtro por radio geográfico usando PostGIS
-    if (radio_km && user_lat && user_lng) {
-      sqlQuery += ` AND ST_DWithin(p.ubicacion, ST_Point($${paramIndex}, $${paramIndex + 1}, 4326)::geography, $${paramIndex + 2} * 1000)`;
-      params.push(parseFloat(user_lng), parseFloat(user_lat), parseFloat(radio_km));
-      paramIndex += 3;
-    }
+      LEFT JOIN (
+        SELECT DISTINCT ON (s.profesional_id) s.profesional_id, pl.impulso_busqueda, pl.codigo as plan_codigo
+        FROM suscripciones_profesionales s
+        JOIN planes_suscripcion pl ON pl.id = s.plan_id
+        WHERE s.estado = ANY($${entitledStatesParam})
+        ORDER BY s.profesional_id, s.creado_en DESC
+      ) sp ON sp.profesional_id = p.usuario_id
+      ${nextSlotJoin}
+      WHERE ${searchService.joinConditions(conditions)}`;
 
     // Ordenamiento
     switch (sort_by) {
       case 'relevancia':
-        sqlQuery += ` ORDER BY relevancia DESC, calificacion_promedio DESC NULLS LAST`;
+        sqlQuery += ` ORDER BY ${searchService.buildRankingExpression({ relevance: relevanceExpr, distance: distanceExpr })} + COALESCE(sp.impulso_busqueda, 0) DESC, calificacion_promedio DESC NULLS LAST`;
         break;
       case 'calificacion_promedio':
-        sqlQuery += ` ORDER BY calificacion_promedio DESC NULLS LAST, relevancia DESC`;
+        sqlQuery += ` ORDER BY COALESCE(p.calificacion_promedio, 0) + COALESCE(sp.impulso_busqueda, 0) DESC, relevancia DESC`;
         break;
       case 'tarifa_hora':
         sqlQuery += ` ORDER BY tarifa_hora ASC NULLS LAST`;
@@ -289,82 +287,28 @@ async function searchProfessionalsOptimized(req, res) {
         }
         break;
       case 'disponibilidad':
-        sqlQuery += ` ORDER BY esta_disponible DESC, estado_verificacion ASC`;
+        sqlQuery += ` ORDER BY proximo_turno_inicio ASC NULLS LAST, esta_disponible DESC, calificacion_promedio DESC NULLS LAST`;
         break;
     }
 
     // Paginación
     const offset = (pageNum - 1) * limitNum;
-    sqlQuery += ` LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
+    sqlQuery += ` LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
     params.push(limitNum, offset);
 
-    // Ejecutar consulta principal
-    const professionals = await prisma.$queryRawUnsafe(sqlQuery, ...params);
+    // Ejecutar consulta principal y facetas con conteos bajo los demás filtros activos
+    const [professionals, facets] = await Promise.all([
+      prisma.$queryRawUnsafe(sqlQuery, ...params),
+      searchService.getSearchFacets(criteria, now)
+    ]);
 
-    // Contar total de resultados
-    let countQuery = `
+    // Contar total de resultados con los mismos filtros
+    const countParams = [];
+    const { conditions: countConditions } = searchService.buildSearchConditions(criteria, countParams, { now });
+    const countQuery = `
       SELECT COUNT(*) as total
       FROM perfiles_profesionales p
-      WHERE 1=1`;
-
-    const countParams = [];
-    let countParamIndex = 1;
-
-    // Aplicar mismos filtros para el conteo
-    if (especialidad) {
-      countQuery += ` AND p.search_vector @@ plainto_tsquery('spanish', $${countParamIndex})`;
-      countParams.push(especialidad);
-      countParamIndex++;
-    }
-
-    if (zona_cobertura) {
-      countQuery += ` AND p.zona_cobertura ILIKE $${countParamIndex}`;
-      countParams.push(`%${zona_cobertura}%`);
-      countParamIndex++;
-    }
-
-    if (tipo_tarifa && ['hora', 'servicio', 'convenio'].includes(tipo_tarifa)) {
-      countQuery += ` AND p.tipo_tarifa = $${countParamIndex}`;
-      countParams.push(tipo_tarifa);
-      countParamIndex++;
-    }
-
-    if (precio_min || precio_max) {
-      if (tipo_tarifa === 'hora' || !tipo_tarifa) {
-        if (precio_min) {
-          countQuery += ` AND p.tarifa_hora >= $${countParamIndex}`;
-          countParams.push(parseFloat(precio_min));
-          countParamIndex++;
-        }
-        if (precio_max) {
-          countQuery += ` AND p.tarifa_hora <= $${countParamIndex}`;
-          countParams.push(parseFloat(precio_max));
-          countParamIndex++;
-        }
-      } else if (tipo_tarifa === 'servicio') {
-        if (precio_min) {
-          countQuery += ` AND p.tarifa_servicio >= $${countParamIndex}`;
-          countParams.push(parseFloat(precio_min));
-          countParamIndex++;
-        }
-        if (precio_max) {
-          countQuery += ` AND p.tarifa_servicio <= $${countParamIndex}`;
-          countParams.push(parseFloat(precio_max));
-          countParamIndex++;
-        }
-      }
-    }
-
-    if (disponible !== undefined) {
-      countQuery += ` AND p.esta_disponible = $${countParamIndex}`;
-      countParams.push(disponible === 'true');
-      countParamIndex++;
-    }
-
-    if (radio_km && user_lat && user_lng) {
-      countQuery += ` AND ST_DWithin(p.ubicacion, ST_Point($${countParamIndex}, $${countParamIndex + 1}, 4326)::geography, $${countParamIndex + 2} * 1000)`;
-      countParams.push(parseFloat(user_lng), parseFloat(user_lat), parseFloat(radio_km));
-    }
+      WHERE ${searchService.joinConditions(countConditions)}`;
 
     const totalResult = await prisma.$queryRawUnsafe(countQuery, ...countParams);
     const total = parseInt(totalResult[0].total);
@@ -467,17 +411,32 @@ async function searchProfessionalsOptimized(req, res) {
         total_reviews: prof.total_resenas || 0,
         completed_services: prof.servicios_completados || 0,
         distance_km: prof.distancia_km,
-        relevance_score: prof.relevancia || 0
+        relevance_score: prof.relevancia || 0,
+        subscription_plan: prof.plan_codigo || null,
+        next_available_slot: prof.proximo_turno_id ? {
+          id: prof.proximo_turno_id,
+          start_time: prof.proximo_turno_inicio,
+          end_time: prof.proximo_turno_fin
+        } : null
       })),
       total,
       page: pageNum,
       limit: limitNum,
-      totalPages
+      totalPages,
+      expanded_terms: expansion.synonyms,
+      facets
     };
 
     // Almacenar en caché
     const filters = {
       especialidad,
+      especialidad_exacta: especialidad_exacta || null,
+      categoria_id: categoria_id || null,
+      calificacion_min: calificacion_min ? parseFloat(calificacion_min) : null,
+      estado_verificacion: estado_verificacion || null,
+      urgente: urgente === 'true',
+      disponible_desde: disponible_desde || null,
+      disponible_hasta: disponible_hasta || null,
       zona_cobertura,
       precio_min: precio_min ? parseFloat(precio_min) : null,
       precio_max: precio_max ? parseFloat(precio_max) : null,
@@ -503,10 +462,15 @@ async function searchProfessionalsOptimized(req, res) {
       location: user_lat && user_lng ? `${user_lat},${user_lng}` : null,
       radius: radio_km,
       filters: {
-        specialty: especialidad,
+        specialty: especialidad_exacta,
         city: zona_cobertura,
         priceRange: precio_min && precio_max ? `${precio_min}-${precio_max}` : null,
         rateType: tipo_tarifa,
+        minRating: calificacion_min,
+        verification: estado_verificacion,
+        urgent: urgente === 'true',
+        availableFrom: disponible_desde,
+        availableTo: disponible_hasta,
         availability: disponible,
         sortBy: sort_by
       },
@@ -897,84 +861,13 @@ exports.autocomplete = async (req, res) => {
       districts: []
     };
 
-    // Buscar especialidades si se solicita
-    if (type === 'all' || type === 'specialties') {
-      const specialtiesData = await prisma.perfiles_profesionales.findMany({
-        where: {
-          AND: [
-            { esta_disponible: true },
-            { estado_verificacion: 'verificado' }
-          ]
-        },
-        select: { especialidad: true },
-        take: 1000 // Tomar muchos para filtrar después
+    // Sugerencias con el mismo motor de la búsqueda: sin acentos, con sinónimos y tolerante a errores
+    const fields = type === 'all' ? Object.keys(results) : [type].filter(field => field in results);
+    for (const field of fields) {
+      results[field] = await searchService.getSuggestions(field, searchTerm, {
+        limit: limitNum,
+        categoryId: req.query.category
       });
-
-      // Filtrar y contar manualmente
-      const specialtyCount = new Map();
-      specialtiesData.forEach(prof => {
-        if (prof.especialidad && prof.especialidad.toLowerCase().includes(searchTerm.toLowerCase())) {
-          specialtyCount.set(prof.especialidad, (specialtyCount.get(prof.especialidad) || 0) + 1);
-        }
-      });
-
-      results.specialties = Array.from(specialtyCount.entries())
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, limitNum)
-        .map(([value, count]) => ({ value, count }));
-    }
-
-    // Buscar ciudades si se solicita
-    if (type === 'all' || type === 'cities') {
-      const citiesData = await prisma.perfiles_profesionales.findMany({
-        where: {
-          zona_cobertura: { not: null },
-          esta_disponible: true,
-          estado_verificacion: 'verificado'
-        },
-        select: { zona_cobertura: true },
-        take: 1000
-      });
-
-      // Agrupar manualmente por ciudad (primera parte antes de coma)
-      const cityCount = new Map();
-      citiesData.forEach(prof => {
-        const city = prof.zona_cobertura.split(',')[0]?.trim();
-        if (city && city.toLowerCase().includes(searchTerm.toLowerCase())) {
-          cityCount.set(city, (cityCount.get(city) || 0) + 1);
-        }
-      });
-
-      results.cities = Array.from(cityCount.entries())
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, limitNum)
-        .map(([value, count]) => ({ value, count }));
-    }
-
-    // Buscar distritos/barrios si se solicita
-    if (type === 'all' || type === 'districts') {
-      const districtsData = await prisma.perfiles_profesionales.findMany({
-        where: {
-          zona_cobertura: { not: null },
-          esta_disponible: true,
-          estado_verificacion: 'verificado'
-        },
-        select: { zona_cobertura: true },
-        take: 1000
-      });
-
-      // Filtrar y contar manualmente
-      const districtCount = new Map();
-      districtsData.forEach(prof => {
-        if (prof.zona_cobertura && prof.zona_cobertura.toLowerCase().includes(searchTerm.toLowerCase())) {
-          districtCount.set(prof.zona_cobertura, (districtCount.get(prof.zona_cobertura) || 0) + 1);
-        }
-      });
-
-      results.districts = Array.from(districtCount.entries())
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, limitNum)
-        .map(([value, count]) => ({ value, count }));
     }
 
     // Audit logging para autocompletado
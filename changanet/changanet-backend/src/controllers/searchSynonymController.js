@@ -0,0 +1,140 @@
+/**
+ * Controlador del diccionario de sinónimos de búsqueda (solo administradores)
+ * Alta, modificación, baja y listado de sinónimos por categoría (ver searchService)
+ */
+
+const searchService = require('../services/searchService');
+const logger = require('../services/logger');
+
+/**
+ * Determina el código de estado HTTP según el mensaje de error del servicio
+ * @param {Error} error - Error lanzado por el servicio
+ * @returns {number} Código de estado
+ */
+function getErrorStatus(error) {
+  if (error.message.includes('no encontrad')) {
+    return 404;
+  }
+
+  if (error.message.includes('Ya existe')) {
+    return 409;
+  }
+
+  if (error.message.includes('requerido') || error.message.includes('Debe indicar')) {
+    return 400;
+  }
+
+  return 500;
+}
+
+/**
+ * Lista el diccionario de sinónimos
+ * GET /api/admin/search/synonyms
+ */
+async function listSynonyms(req, res) {
+  try {
+    const synonyms = await searchService.listSynonyms({
+      categoria_id: req.query.categoria_id,
+      activo: req.query.activo
+    });
+
+    res.json({
+      success: true,
+      data: synonyms
+    });
+  } catch (error) {
+    logger.error('Search synonym list error', {
+      service: 'search',
+      adminId: req.user?.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      error: 'Error al obtener los sinónimos de búsqueda',
+    });
+  }
+}
+
+/**
+ * Crea una entrada del diccionario
+ * POST /api/admin/search/synonyms
+ */
+async function createSynonym(req, res) {
+  try {
+    const synonym = await searchService.createSynonym(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: synonym
+    });
+  } catch (error) {
+    logger.error('Search synonym creation error', {
+      service: 'search',
+      adminId: req.user?.id,
+      error: error.message
+    });
+
+    res.status(getErrorStatus(error)).json({
+      error: error.message || 'Error interno del servidor',
+    });
+  }
+}
+
+/**
+ * Actualiza una entrada del diccionario
+ * PUT /api/admin/search/synonyms/:synonymId
+ */
+async function updateSynonym(req, res) {
+  try {
+    const synonym = await searchService.updateSynonym(req.params.synonymId, req.body, req.user.id);
+
+    res.json({
+      success: true,
+      data: synonym
+    });
+  } catch (error) {
+    logger.error('Search synonym update error', {
+      service: 'search',
+      adminId: req.user?.id,
+      synonymId: req.params.synonymId,
+      error: error.message
+    });
+
+    res.status(getErrorStatus(error)).json({
+      error: error.message || 'Error interno del servidor',
+    });
+  }
+}
+
+/**
+ * Elimina una entrada del diccionario
+ * DELETE /api/admin/search/synonyms/:synonymId
+ */
+async function deleteSynonym(req, res) {
+  try {
+    await searchService.deleteSynonym(req.params.synonymId, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Sinónimo eliminado'
+    });
+  } catch (error) {
+    logger.error('Search synonym deletion error', {
+      service: 'search',
+      adminId: req.user?.id,
+      synonymId: req.params.synonymId,
+      error: error.message
+    });
+
+    res.status(getErrorStatus(error)).json({
+      error: error.message || 'Error interno del servidor',
+    });
+  }
+}
+
+module.exports = {
+  listSynonyms,
+  createSynonym,
+  updateSynonym,
+  deleteSynonym
+};
@@ -0,0 +1,211 @@
+/**
+ * Controlador de suscripciones de profesionales
+ * Planes, alta, cambio de plan, cancelación y pago de cobros pendientes
+ */
+
+const subscriptionService = require('../services/subscriptionService');
+const logger = require('../services/logger');
+
+/**
+ * Determina el código de estado HTTP según el mensaje de error del servicio
+ * @param {Error} error - Error lanzado por el servicio
+ * @returns {number} Código de estado
+ */
+function getErrorStatus(error) {
+  if (error.message.includes('no encontrad')) {
+    return 404;
+  }
+
+  if (error.message.includes('Ya existe') || error.message.includes('ya fue')) {
+    return 409;
+  }
+
+  if (error.message.includes('Solo los profesionales')) {
+    return 403;
+  }
+
+  if (error.message.includes('inválid') ||
+      error.message.includes('debe') ||
+      error.message.includes('no admite')) {
+    return 400;
+  }
+
+  return 500;
+}
+
+/**
+ * Responde un error del servicio con el log correspondiente
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {string} action - Acción que falló (para el log)
+ * @param {Error} error - Error lanzado por el servicio
+ */
+function handleError(req, res, action, error) {
+  const status = getErrorStatus(error);
+
+  logger[status >= 500 ? 'error' : 'warn'](`Subscription ${action} error`, {
+    service: 'subscriptions',
+    userId: req.user?.id,
+    error: error.message,
+    ip: req.ip
+  });
+
+  res.status(status).json({
+    error: status >= 500 ? 'Error interno del servidor' : error.message
+  });
+}
+
+/**
+ * Lista los planes disponibles
+ * GET /api/subscriptions/plans
+ */
+async function getPlans(req, res) {
+  try {
+    const includeInactive = req.user.rol === 'admin' && req.query.includeInactive === 'true';
+    const plans = await subscriptionService.listPlans({ includeInactive });
+
+    res.json({ success: true, data: plans });
+  } catch (error) {
+    handleError(req, res, 'plans', error);
+  }
+}
+
+/**
+ * Suscripción actual, beneficios y cobros del profesional autenticado
+ * GET /api/subscriptions/me
+ */
+async function getMySubscription(req, res) {
+  try {
+    const overview = await subscriptionService.getSubscriptionOverview(req.user.id);
+
+    res.json({ success: true, data: overview });
+  } catch (error) {
+    handleError(req, res, 'overview', error);
+  }
+}
+
+/**
+ * Suscribe al profesional a un plan; devuelve el link de pago del primer cobro
+ * POST /api/subscriptions
+ */
+async function subscribe(req, res) {
+  try {
+    const { planCode, periodo } = req.body;
+
+    if (!planCode) {
+      return res.status(400).json({ error: 'planCode es requerido' });
+    }
+
+    const result = await subscriptionService.subscribe(req.user.id, planCode, periodo || 'mensual');
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: 'Suscripción creada. Completa el pago para activar el plan.'
+    });
+  } catch (error) {
+    handleError(req, res, 'creation', error);
+  }
+}
+
+/**
+ * Programa un cambio de plan para la próxima renovación
+ * POST /api/subscriptions/change-plan
+ */
+async function changePlan(req, res) {
+  try {
+    const { planCode } = req.body;
+
+    if (!planCode) {
+      return res.status(400).json({ error: 'planCode es requerido' });
+    }
+
+    const subscription = await subscriptionService.changePlan(req.user.id, planCode);
+
+    res.json({
+      success: true,
+      data: subscription,
+      message: 'El nuevo plan se aplicará en la próxima renovación'
+    });
+  } catch (error) {
+    handleError(req, res, 'plan change', error);
+  }
+}
+
+/**
+ * Cancela la suscripción del profesional
+ * POST /api/subscriptions/cancel
+ */
+async function cancelSubscription(req, res) {
+  try {
+    const subscription = await subscriptionService.cancelSubscription(req.user.id);
+
+    res.json({
+      success: true,
+      data: subscription,
+      message: subscription.estado === 'cancelada'
+        ? 'Suscripción cancelada'
+        : 'La suscripción no se renovará al terminar el período vigente'
+    });
+  } catch (error) {
+    handleError(req, res, 'cancellation', error);
+  }
+}
+
+/**
+ * Genera un nuevo link de pago para un cobro pendiente o rechazado
+ * POST /api/subscriptions/charges/:chargeId/pay
+ */
+async function payCharge(req, res) {
+  try {
+    const result = await subscriptionService.payCharge(req.user.id, req.params.chargeId);
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(req, res, 'charge payment', error);
+  }
+}
+
+/**
+ * Lista suscripciones (solo administradores)
+ * GET /api/subscriptions
+ */
+async function listSubscriptions(req, res) {
+  try {
+    const { estado, plan, page, limit } = req.query;
+    const result = await subscriptionService.listSubscriptions({ estado, plan, page, limit });
+
+    res.json({
+      success: true,
+      data: result.suscripciones,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    handleError(req, res, 'list', error);
+  }
+}
+
+/**
+ * Actualiza precios y beneficios de un plan (solo administradores)
+ * PUT /api/subscriptions/plans/:planId
+ */
+async function updatePlan(req, res) {
+  try {
+    const plan = await subscriptionService.updatePlan(req.params.planId, req.body, req.user.id);
+
+    res.json({ success: true, data: plan });
+  } catch (error) {
+    handleError(req, res, 'plan update', error);
+  }
+}
+
+module.exports = {
+  getPlans,
+  getMySubscription,
+  subscribe,
+  changePlan,
+  cancelSubscription,
+  payCharge,
+  listSubscriptions,
+  updatePlan
+};
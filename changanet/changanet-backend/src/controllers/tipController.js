@@ -0,0 +1,120 @@
+/**
+ * Controlador de propinas
+ * El cliente deja una propina opcional tras un servicio completado; el profesional consulta las recibidas
+ */
+
+const tipService = require('../services/tipService');
+const logger = require('../services/logger');
+
+/**
+ * Determina el código de estado HTTP según el mensaje de error del servicio
+ * @param {Error} error - Error lanzado por el servicio
+ * @returns {number} Código de estado
+ */
+function getErrorStatus(error) {
+  if (error.message.includes('no encontrad')) {
+    return 404;
+  }
+
+  if (error.message.includes('Ya existe') || error.message.includes('ya fue')) {
+    return 409;
+  }
+
+  if (error.message.includes('Solo el cliente')) {
+    return 403;
+  }
+
+  if (error.message.includes('inválid') ||
+      error.message.includes('debe') ||
+      error.message.includes('plazo') ||
+      error.message.includes('Solo se puede')) {
+    return 400;
+  }
+
+  return 500;
+}
+
+/**
+ * Responde un error del servicio con el log correspondiente
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {string} action - Acción que falló (para el log)
+ * @param {Error} error - Error lanzado por el servicio
+ */
+function handleError(req, res, action, error) {
+  const status = getErrorStatus(error);
+
+  logger[status >= 500 ? 'error' : 'warn'](`Tip ${action} error`, {
+    service: 'tips',
+    userId: req.user?.id,
+    error: error.message,
+    ip: req.ip
+  });
+
+  res.status(status).json({
+    error: status >= 500 ? 'Error interno del servidor' : error.message
+  });
+}
+
+/**
+ * Crea la propina de un servicio completado y devuelve el link de pago
+ * POST /api/tips
+ */
+async function createTip(req, res) {
+  try {
+    const { serviceId, amount, message } = req.body;
+
+    if (!serviceId || amount === undefined) {
+      return res.status(400).json({ error: 'serviceId y amount son requeridos' });
+    }
+
+    const result = await tipService.createTip(req.user.id, serviceId, amount, message);
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: 'Completa el pago para enviar la propina'
+    });
+  } catch (error) {
+    handleError(req, res, 'creation', error);
+  }
+}
+
+/**
+ * Propina de un servicio (cliente o profesional del servicio)
+ * GET /api/tips/service/:serviceId
+ */
+async function getServiceTip(req, res) {
+  try {
+    const tip = await tipService.getServiceTip(req.user.id, req.params.serviceId);
+
+    res.json({ success: true, data: tip });
+  } catch (error) {
+    handleError(req, res, 'lookup', error);
+  }
+}
+
+/**
+ * Propinas recibidas por el profesional autenticado
+ * GET /api/tips/received
+ */
+async function getReceivedTips(req, res) {
+  try {
+    if (req.user.rol !== 'profesional') {
+      return res.status(403).json({ error: 'Solo los profesionales reciben propinas' });
+    }
+
+    const { desde, hasta } = req.query;
+    const result = await tipService.getProfessionalTips(req.user.id, { desde, hasta });
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleError(req, res, 'list', error);
+  }
+}
+
+module.exports = {
+  createTip,
+  getServiceTip,
+  getReceivedTips
+};
@@ -205,10 +205,10 @@ exports.getNearbyUrgentRequests = async (req, res) => {
       });
     }
 
-    // Obtener perfil del profesional para verificar especialidad
+    // Obtener perfil del profesional para verificar especialidad y su área de servicio
     const professionalProfile = await prisma.perfiles_profesionales.findUnique({
       where: { usuario_id: professionalId },
-      select: { especialidad: true, especialidades: true, esta_disponible: true }
+      select: { especialidad: true, especialidades: true, esta_disponible: true, area_servicio: true }
     });
 
     if (!professionalProfile || !professionalProfile.esta_disponible) {
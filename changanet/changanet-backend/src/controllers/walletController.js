@@ -0,0 +1,114 @@
+/**
+ * Controlador de billeteras de clientes
+ * Los clientes consultan su crédito de plataforma; los administradores lo consultan y otorgan crédito
+ */
+
+const walletService = require('../services/walletService');
+const logger = require('../services/logger');
+
+/**
+ * Determina el código de estado HTTP según el mensaje de error del servicio
+ * @param {Error} error - Error lanzado por el servicio
+ * @returns {number} Código de estado
+ */
+function getErrorStatus(error) {
+  if (error.message.includes('no encontrado')) {
+    return 404;
+  }
+
+  if (error.message.includes('inválid') ||
+      error.message.includes('requerido') ||
+      error.message.includes('Solo se puede')) {
+    return 400;
+  }
+
+  return 500;
+}
+
+/**
+ * Billetera del cliente autenticado con su historial de movimientos
+ * GET /api/wallet
+ */
+async function getMyWallet(req, res) {
+  try {
+    const { page, limit } = req.query;
+    const wallet = await walletService.getWallet(req.user.id, { page, limit });
+
+    res.json({
+      success: true,
+      data: wallet
+    });
+  } catch (error) {
+    logger.error('Wallet fetch error', {
+      service: 'wallet',
+      userId: req.user?.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      error: 'Error al obtener la billetera',
+    });
+  }
+}
+
+/**
+ * Billetera de un cliente (solo administradores)
+ * GET /api/wallet/users/:userId
+ */
+async function getUserWallet(req, res) {
+  try {
+    const { page, limit } = req.query;
+    const wallet = await walletService.getWallet(req.params.userId, { page, limit });
+
+    res.json({
+      success: true,
+      data: wallet
+    });
+  } catch (error) {
+    logger.error('Wallet fetch error', {
+      service: 'wallet',
+      adminId: req.user?.id,
+      userId: req.params.userId,
+      error: error.message
+    });
+
+    res.status(500).json({
+      error: 'Error al obtener la billetera',
+    });
+  }
+}
+
+/**
+ * Otorga crédito a un cliente (solo administradores)
+ * POST /api/wallet/users/:userId/credits
+ */
+async function grantCredit(req, res) {
+  try {
+    const { monto, tipo, motivo } = req.body;
+    const movement = await walletService.grantCredit(req.params.userId, { monto, tipo, motivo }, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: movement,
+      message: 'Crédito otorgado exitosamente'
+    });
+  } catch (error) {
+    logger.error('Wallet credit grant error', {
+      service: 'wallet',
+      adminId: req.user?.id,
+      userId: req.params.userId,
+      error: error.message,
+      ip: req.ip
+    });
+
+    res.status(getErrorStatus(error)).json({
+      error: error.message || 'Error interno del servidor',
+    });
+  }
+}
+
+module.exports = {
+  getMyWallet,
+  getUserWallet,
+  grantCredit
+};
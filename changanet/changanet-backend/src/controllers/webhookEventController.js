@@ -0,0 +1,147 @@
+/**
+ * Controlador de eventos de webhook (solo administradores)
+ * Permite inspeccionar las notificaciones recibidas de Mercado Pago y reintentar o volver a aplicar las fallidas
+ */
+
+const webhookEventService = require('../services/webhookEventService');
+const logger = require('../services/logger');
+
+/**
+ * Determina el código de estado HTTP según el mensaje de error del servicio
+ * @param {Error} error - Error lanzado por el servicio
+ * @returns {number} Código de estado
+ */
+function getErrorStatus(error) {
+  if (error.message.includes('no encontrado')) {
+    return 404;
+  }
+
+  if (error.message.includes('Solo se pueden reintentar') ||
+      error.message.includes('se está procesando')) {
+    return 409;
+  }
+
+  return 500;
+}
+
+/**
+ * Lista eventos de webhook
+ * GET /api/webhook-events
+ */
+async function listEvents(req, res) {
+  try {
+    const { estado, tipo, recursoId, page, limit } = req.query;
+    const result = await webhookEventService.listWebhookEvents({ estado, tipo, recursoId, page, limit });
+
+    res.json({
+      success: true,
+      data: result.events,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Webhook events list error', {
+      service: 'webhook_events',
+      adminId: req.user?.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      error: 'Error al obtener los eventos de webhook',
+    });
+  }
+}
+
+/**
+ * Obtiene un evento con headers, cuerpo y resultado
+ * GET /api/webhook-events/:eventId
+ */
+async function getEvent(req, res) {
+  try {
+    const event = await webhookEventService.getWebhookEvent(req.params.eventId);
+
+    res.json({
+      success: true,
+      data: event
+    });
+  } catch (error) {
+    logger.error('Webhook event fetch error', {
+      service: 'webhook_events',
+      adminId: req.user?.id,
+      eventId: req.params.eventId,
+      error: error.message
+    });
+
+    res.status(getErrorStatus(error)).json({
+      error: error.message || 'Error interno del servidor',
+    });
+  }
+}
+
+/**
+ * Reintenta un evento recibido o fallido
+ * POST /api/webhook-events/:eventId/retry
+ */
+async function retryEvent(req, res) {
+  try {
+    const event = await webhookEventService.retryWebhookEvent(req.params.eventId, req.user.id);
+
+    res.json({
+      success: true,
+      data: event,
+      message: event.estado === webhookEventService.EVENT_STATES.FAILED
+        ? `El reintento falló: ${event.ultimo_error}`
+        : 'Evento reprocesado'
+    });
+  } catch (error) {
+    logger.error('Webhook event retry error', {
+      service: 'webhook_events',
+      adminId: req.user?.id,
+      eventId: req.params.eventId,
+      error: error.message,
+      ip: req.ip
+    });
+
+    res.status(getErrorStatus(error)).json({
+      error: error.message || 'Error interno del servidor',
+    });
+  }
+}
+
+/**
+ * Vuelve a aplicar un evento con el código actual, aunque ya se haya procesado
+ * POST /api/webhook-events/:eventId/replay
+ */
+async function replayEvent(req, res) {
+  try {
+    const event = await webhookEventService.replayWebhookEvent(req.params.eventId, req.user.id, {
+      ignoreSignature: req.body?.ignoreSignature === true
+    });
+
+    res.json({
+      success: true,
+      data: event,
+      message: event.estado === webhookEventService.EVENT_STATES.FAILED
+        ? `El replay falló: ${event.ultimo_error}`
+        : 'Evento aplicado nuevamente'
+    });
+  } catch (error) {
+    logger.error('Webhook event replay error', {
+      service: 'webhook_events',
+      adminId: req.user?.id,
+      eventId: req.params.eventId,
+      error: error.message,
+      ip: req.ip
+    });
+
+    res.status(getErrorStatus(error)).json({
+      error: error.message || 'Error interno del servidor',
+    });
+  }
+}
+
+module.exports = {
+  listEvents,
+  getEvent,
+  retryEvent,
+  replayEvent
+};
@@ -0,0 +1,133 @@
+/**
+ * Controlador de retenciones impositivas
+ * Los administradores configuran las reglas de retención; los profesionales descargan
+ * su resumen anual de ingresos con bruto, comisión, retenciones y neto por mes
+ */
+
+const withholdingService = require('../services/withholdingService');
+const logger = require('../services/logger');
+
+/**
+ * Determina el código de estado HTTP según el mensaje de error del servicio
+ * @param {Error} error - Error lanzado por el servicio
+ * @returns {number} Código de estado
+ */
+function getErrorStatus(error) {
+  if (error.message.includes('no encontrado')) {
+    return 404;
+  }
+
+  if (error.message.includes('inválid')) {
+    return 400;
+  }
+
+  return 500;
+}
+
+/**
+ * Lista las reglas de retención
+ * GET /api/withholdings/rules
+ */
+async function listRules(req, res) {
+  try {
+    const rules = await withholdingService.listRules();
+
+    res.json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    logger.error('Withholding rules fetch error', {
+      service: 'withholdings',
+      adminId: req.user?.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      error: 'Error al obtener las reglas de retención',
+    });
+  }
+}
+
+/**
+ * Crea o actualiza la regla de un impuesto para una categoría fiscal
+ * PUT /api/withholdings/rules
+ */
+async function upsertRule(req, res) {
+  try {
+    const { impuesto, categoria_fiscal, porcentaje, minimo_no_imponible, activa } = req.body;
+
+    const rule = await withholdingService.upsertRule(
+      { impuesto, categoria_fiscal, porcentaje, minimo_no_imponible, activa },
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      data: rule,
+      message: 'Regla de retención guardada'
+    });
+  } catch (error) {
+    logger.error('Withholding rule update error', {
+      service: 'withholdings',
+      adminId: req.user?.id,
+      error: error.message,
+      ip: req.ip
+    });
+
+    res.status(getErrorStatus(error)).json({
+      error: error.message || 'Error interno del servidor',
+    });
+  }
+}
+
+/**
+ * Resumen anual de ingresos del profesional (JSON, CSV o PDF)
+ * Los administradores pueden consultar el de cualquier profesional con professionalId
+ * GET /api/withholdings/statement?year=2025&format=pdf
+ */
+async function getAnnualStatement(req, res) {
+  try {
+    const { year = new Date().getFullYear(), format = 'json', professionalId } = req.query;
+    const targetId = req.user.rol === 'admin' && professionalId ? professionalId : req.user.id;
+
+    if (!withholdingService.STATEMENT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: `Formato inválido. Opciones: ${withholdingService.STATEMENT_FORMATS.join(', ')}`
+      });
+    }
+
+    if (format === 'json') {
+      const statement = await withholdingService.getAnnualStatement(targetId, year);
+
+      return res.json({
+        success: true,
+        data: statement
+      });
+    }
+
+    const { fileName, contentType, buffer } = await withholdingService.getStatementFile(targetId, year, format);
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(buffer);
+  } catch (error) {
+    logger.error('Earnings statement error', {
+      service: 'withholdings',
+      userId: req.user?.id,
+      year: req.query.year,
+      format: req.query.format,
+      error: error.message
+    });
+
+    res.status(getErrorStatus(error)).json({
+      error: error.message || 'Error interno del servidor',
+    });
+  }
+}
+
+module.exports = {
+  listRules,
+  upsertRule,
+  getAnnualStatement
+};
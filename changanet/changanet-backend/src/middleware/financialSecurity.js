@@ -4,10 +4,15 @@
  * REQ-41 a REQ-45: Cumplimiento de seguridad financiera
  */
 
+const bcrypt = require('bcryptjs');
 const logger = require('../services/logger');
 const { PrismaClient } = require('@prisma/client');
+const fraudScoringService = require('../services/fraudScoringService');
 const prisma = new PrismaClient();
 
+// Header con el que el cliente confirma su contraseña cuando el motor de fraude pide verificación adicional
+const PASSWORD_CONFIRMATION_HEADER = 'X-Password-Confirmation';
+
 // Rate limiting para operaciones financieras
 const financialOperations = new Map();
 
@@ -72,11 +77,27 @@ const validateFinancialOperation = (operationType) => {
       const rolePermissions = {
         create_payment: ['cliente'],
         release_funds: ['cliente'],
+        open_dispute: ['cliente'],
         create_withdrawal: ['profesional'],
         manage_bank_accounts: ['profesional'],
         manage_commissions: ['admin'],
         process_withdrawals: ['admin'],
-        view_financial_reports: ['admin']
+        view_financial_reports: ['admin'],
+        resolve_disputes: ['admin'],
+        refund_payments: ['admin'],
+        reconcile_payments: ['admin'],
+        manage_coupons: ['admin'],
+        manage_installment_plans: ['admin'],
+        manage_subscription: ['profesional'],
+        manage_subscription_plans: ['admin'],
+        manage_fraud_rules: ['admin'],
+        manage_webhooks: ['admin'],
+        manage_withholding_rules: ['admin'],
+        manage_exchange_rates: ['admin'],
+        view_wallet: ['cliente'],
+        manage_wallets: ['admin'],
+        declare_cash_payment: ['profesional'],
+        confirm_cash_payment: ['cliente']
       };
 
       const allowedRoles = rolePermissions[operationType];
@@ -195,7 +216,15 @@ const validateFinancialOperation = (operationType) => {
         }
       }
 
-      // 6. Registrar auditoría de la operación
+      // 7. Puntaje de riesgo para pagos y retiros (permitir, verificar, revisar o bloquear)
+      if (req.method !== 'GET' && fraudScoringService.SCORED_OPERATIONS.includes(operationType)) {
+        const riskResponse = await applyRiskScoring(req, operationType, userId, clientIP, userAgent);
+        if (riskResponse) {
+          return res.status(riskResponse.status).json(riskResponse.body);
+        }
+      }
+
+      // 8. Registrar auditoría de la operación
       await logFinancialAudit({
         userId,
         operation: operationType,
@@ -207,7 +236,7 @@ const validateFinancialOperation = (operationType) => {
         userRole
       });
 
-      // 7. Agregar metadata de seguridad al request
+      // 9. Agregar metadata de seguridad al request
       req.financialSecurity = {
         validated: true,
         operationType,
@@ -308,11 +337,27 @@ function getSecurityLevel(operationType) {
   const securityLevels = {
     create_payment: 'medium',
     release_funds: 'high',
+    open_dispute: 'high',
     create_withdrawal: 'high',
     manage_bank_accounts: 'high',
     manage_commissions: 'critical',
     process_withdrawals: 'critical',
-    view_financial_reports: 'medium'
+    view_financial_reports: 'medium',
+    resolve_disputes: 'critical',
+    refund_payments: 'critical',
+    reconcile_payments: 'high',
+    manage_coupons: 'high',
+    manage_installment_plans: 'high',
+    manage_subscription: 'medium',
+    manage_subscription_plans: 'high',
+    manage_fraud_rules: 'critical',
+    manage_webhooks: 'high',
+    manage_withholding_rules: 'critical',
+    manage_exchange_rates: 'high',
+    view_wallet: 'low',
+    manage_wallets: 'critical',
+    declare_cash_payment: 'medium',
+    confirm_cash_payment: 'high'
   };
 
   return securityLevels[operationType] || 'low';
@@ -323,7 +368,7 @@ function getSecurityLevel(operationType) {
  */
 async function validateFraudPrevention(req, operationType, userId, clientIP) {
   try {
-    const { amount, monto, serviceId, bankDetails } = req.body;
+    const { amount, monto, serviceId } = req.body;
 
     // 1. Validación de montos sospechosos
     const transactionAmount = amount || monto;
@@ -355,18 +400,6 @@ async function validateFraudPrevention(req, operationType, userId, clientIP) {
         });
         throw new Error(`El monto de la transacción debe ser al menos $${minTransactionAmount}`);
       }
-
-      // Verificar patrones de fraude: múltiplos redondos grandes
-      if (transactionAmount >= 50000 && transactionAmount % 10000 === 0) {
-        logger.warn('Suspicious round amount detected', {
-          service: 'fraud_prevention',
-          userId,
-          operationType,
-          amount: transactionAmount,
-          ip: clientIP
-        });
-        // No bloquear, pero registrar para monitoreo
-      }
     }
 
     // 2. Detección de duplicados
@@ -394,62 +427,6 @@ async function validateFraudPrevention(req, operationType, userId, clientIP) {
       }
     }
 
-    // 3. Validación de frecuencia de operaciones
-    if (operationType === 'create_withdrawal') {
-      const recentWithdrawals = await prisma.transactions_log.count({
-        where: {
-          usuario_id: userId,
-          tipo_transaccion: 'create_withdrawal',
-          timestamp: {
-            gte: new Date(Date.now() - 24 * 60 * 60 * 1000) // Últimas 24 horas
-          },
-          exito: true
-        }
-      });
-
-      const maxDailyWithdrawals = parseInt(process.env.MAX_DAILY_WITHDRAWALS || '3');
-      if (recentWithdrawals >= maxDailyWithdrawals) {
-        logger.warn('Daily withdrawal limit exceeded', {
-          service: 'fraud_prevention',
-          userId,
-          operationType,
-          recentWithdrawals,
-          maxAllowed: maxDailyWithdrawals,
-          ip: clientIP
-        });
-        throw new Error(`Ha excedido el límite diario de retiros (${maxDailyWithdrawals}). Intente nuevamente mañana.`);
-      }
-    }
-
-    // 4. Validación de datos bancarios para retiros
-    if (operationType === 'create_withdrawal' && bankDetails) {
-      // Verificar que no se usen los mismos datos bancarios en corto tiempo
-      const recentBankDetails = await prisma.transactions_log.findFirst({
-        where: {
-          usuario_id: userId,
-          tipo_transaccion: 'create_withdrawal',
-          timestamp: {
-            gte: new Date(Date.now() - 60 * 60 * 1000) // Última hora
-          },
-          exito: true,
-          detalles: {
-            path: ['bankDetails', 'cvu'],
-            equals: bankDetails.cvu
-          }
-        }
-      });
-
-      if (recentBankDetails) {
-        logger.warn('Same bank details used recently', {
-          service: 'fraud_prevention',
-          userId,
-          operationType,
-          ip: clientIP
-        });
-        throw new Error('Los mismos datos bancarios fueron usados recientemente. Espere al menos 1 hora entre retiros.');
-      }
-    }
-
   } catch (error) {
     logger.error('Fraud prevention validation error', {
       service: 'fraud_prevention',
@@ -462,6 +439,91 @@ async function validateFraudPrevention(req, operationType, userId, clientIP) {
   }
 }
 
+/**
+ * Evalúa el riesgo de la operación con el motor de puntaje de fraude
+ * Devuelve la respuesta a enviar si la operación no puede continuar, o null si puede seguir
+ */
+async function applyRiskScoring(req, operationType, userId, clientIP, userAgent) {
+  const assessment = await fraudScoringService.assessRisk({
+    userId,
+    operation: operationType,
+    amount: req.body?.amount || req.body?.monto || null,
+    ip: clientIP,
+    userAgent,
+    body: req.body || {}
+  });
+
+  req.fraudAssessment = assessment;
+
+  const { DECISIONS } = fraudScoringService;
+  let decision = assessment.decision;
+
+  if (decision === DECISIONS.STEP_UP) {
+    const password = req.get(PASSWORD_CONFIRMATION_HEADER);
+    const user = await prisma.usuarios.findUnique({
+      where: { id: userId },
+      select: { hash_contrasena: true }
+    });
+
+    // Las cuentas sin contraseña (Google/Facebook) no pueden confirmar: se retienen para revisión
+    if (!user?.hash_contrasena) {
+      decision = DECISIONS.REVIEW;
+      await fraudScoringService.escalateToReview(assessment.id, 'Cuenta sin contraseña para la verificación adicional');
+    } else if (!password) {
+      return {
+        status: 428,
+        body: {
+          error: 'Por seguridad, confirme su contraseña para continuar con la operación',
+          decision,
+          requiresPasswordConfirmation: true,
+          header: PASSWORD_CONFIRMATION_HEADER
+        }
+      };
+    } else {
+      const passed = await bcrypt.compare(password, user.hash_contrasena);
+      await fraudScoringService.recordStepUpResult(assessment.id, userId, passed, clientIP);
+
+      if (!passed) {
+        return {
+          status: 428,
+          body: {
+            error: 'La contraseña de confirmación es incorrecta',
+            decision,
+            requiresPasswordConfirmation: true,
+            header: PASSWORD_CONFIRMATION_HEADER
+          }
+        };
+      }
+
+      return null;
+    }
+  }
+
+  if (decision === DECISIONS.REVIEW) {
+    return {
+      status: 202,
+      body: {
+        success: false,
+        decision,
+        reviewId: assessment.id,
+        message: 'La operación quedó retenida para revisión de seguridad. Le avisaremos cuando pueda volver a realizarla.'
+      }
+    };
+  }
+
+  if (decision === DECISIONS.BLOCK) {
+    return {
+      status: 403,
+      body: {
+        error: 'La operación fue rechazada por controles de seguridad. Contacte al soporte.',
+        decision
+      }
+    };
+  }
+
+  return null;
+}
+
 /**
  * Registra auditoría de operaciones financieras en transactions_log
  */
@@ -549,5 +611,6 @@ setInterval(() => {
 module.exports = {
   validateFinancialOperation,
   validateFinancialAmounts,
-  highRiskOperation
+  highRiskOperation,
+  PASSWORD_CONFIRMATION_HEADER
 };
@@ -0,0 +1,177 @@
+/**
+ * Middleware de idempotencia para operaciones financieras
+ * Implementa REQ-41 a REQ-45: Cumplimiento de seguridad financiera
+ *
+ * Cuando la solicitud trae el header Idempotency-Key:
+ * - La primera ejecución reserva la clave y guarda la respuesta JSON al responder
+ * - Un reintento con la misma clave y el mismo cuerpo recibe la respuesta guardada (header Idempotent-Replayed)
+ * - Un reintento mientras la original sigue en curso recibe 409
+ * - La misma clave con otro cuerpo o en otra ruta recibe 422
+ * Las respuestas 5xx, 409, 428 y 429 no se guardan: la clave se libera para que el cliente pueda reintentar.
+ * Sin el header la solicitud sigue su curso habitual.
+ *
+ * Debe ir después de la autenticación y antes de validateFinancialOperation, para que un reintento
+ * no consuma el límite de operaciones ni choque con la detección de duplicados.
+ * En rutas con archivos debe ir después de multer: el hash incluye el contenido del archivo.
+ */
+
+const crypto = require('crypto');
+const logger = require('../services/logger');
+const { reserveKey, saveResponse, releaseKey } = require('../services/idempotencyService');
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+// Caracteres ASCII visibles, hasta 255 (admite UUIDs y claves propias del cliente)
+const KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+
+// Respuestas que indican un problema transitorio (o piden confirmar la contraseña): no se guardan para permitir el reintento
+const TRANSIENT_STATUS_CODES = [409, 428, 429];
+
+/**
+ * Cuerpo que identifica la solicitud: los campos del formulario más el nombre y el hash del archivo subido
+ * (multer deja el archivo en req.file, fuera de req.body)
+ * @param {Object} req - Request
+ * @returns {Object} Cuerpo a comparar entre reintentos
+ */
+function getRequestBody(req) {
+  if (!req.file) {
+    return req.body;
+  }
+
+  return {
+    ...req.body,
+    [req.file.fieldname]: {
+      nombre: req.file.originalname,
+      sha256: crypto.createHash('sha256').update(req.file.buffer).digest('hex')
+    }
+  };
+}
+
+/**
+ * Indica si una respuesta debe guardarse para repetirse
+ * @param {number} statusCode - Código HTTP
+ * @returns {boolean}
+ */
+function isReplayable(statusCode) {
+  return statusCode < 500 && !TRANSIENT_STATUS_CODES.includes(statusCode);
+}
+
+const idempotency = async (req, res, next) => {
+  const key = req.get(IDEMPOTENCY_HEADER);
+
+  if (!key || req.method === 'GET') {
+    return next();
+  }
+
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      error: `El header ${IDEMPOTENCY_HEADER} debe tener entre 1 y 255 caracteres ASCII visibles`
+    });
+  }
+
+  if (!req.user?.id) {
+    return res.status(401).json({
+      error: 'Autenticación requerida para operaciones financieras'
+    });
+  }
+
+  const path = `${req.baseUrl}${req.path}`;
+
+  let reservation;
+  try {
+    reservation = await reserveKey({
+      key,
+      userId: req.user.id,
+      method: req.method,
+      path,
+      body: getRequestBody(req)
+    });
+  } catch (error) {
+    let status = 500;
+    if (error.message.includes('en curso')) {
+      status = 409;
+    } else if (error.message.includes('otra solicitud')) {
+      status = 422;
+    }
+
+    if (status === 500) {
+      logger.error('Idempotency key reservation error', {
+        service: 'idempotency',
+        userId: req.user.id,
+        path,
+        error: error.message
+      });
+    }
+
+    return res.status(status).json({
+      error: status === 500 ? 'Error interno del servidor' : error.message
+    });
+  }
+
+  if (reservation.action === 'replay') {
+    logger.info('Idempotent request replayed', {
+      service: 'idempotency',
+      userId: req.user.id,
+      path
+    });
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(reservation.record.codigo_respuesta).json(reservation.record.respuesta);
+  }
+
+  const recordId = reservation.record.id;
+  let settled = false;
+
+  const release = () => {
+    if (settled) {
+      return;
+    }
+    settled = true;
+    releaseKey(recordId).catch(error => {
+      logger.error('Idempotency key release error', {
+        service: 'idempotency',
+        recordId,
+        error: error.message
+      });
+    });
+  };
+
+  // La respuesta se guarda antes de enviarse: un reintento inmediato ya la encuentra completa
+  const originalJson = res.json.bind(res);
+  res.json = (responseBody) => {
+    if (settled) {
+      return originalJson(responseBody);
+    }
+
+    if (!isReplayable(res.statusCode)) {
+      release();
+      return originalJson(responseBody);
+    }
+
+    settled = true;
+    saveResponse(recordId, res.statusCode, responseBody)
+      .catch(error => {
+        logger.error('Idempotency response save error', {
+          service: 'idempotency',
+          recordId,
+          error: error.message
+        });
+        settled = false;
+        release();
+      })
+      .finally(() => originalJson(responseBody));
+
+    return res;
+  };
+
+  // Respuestas que no pasan por res.json (o conexiones cortadas) liberan la clave
+  res.on('finish', release);
+  res.on('close', release);
+
+  next();
+};
+
+module.exports = {
+  idempotency,
+  IDEMPOTENCY_HEADER
+};
@@ -121,6 +121,14 @@ const professionalProfileSchema = Joi.object({
       'any.required': 'La descripción del convenio es obligatoria cuando el tipo es "convenio"'
     }),
 
+  // Moneda de las tarifas (operación en Argentina, Uruguay y Chile)
+  moneda: Joi.string()
+    .valid('ARS', 'UYU', 'CLP')
+    .optional()
+    .messages({
+      'any.only': 'La moneda debe ser: ARS, UYU o CLP'
+    }),
+
   // Descripción del perfil
   descripcion: Joi.string()
     .min(10)
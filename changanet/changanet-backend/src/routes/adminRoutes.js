@@ -6,6 +6,7 @@
 const express = require('express');
 const adminController = require('../controllers/adminController');
 const commissionController = require('../controllers/commissionController');
+const searchSynonymController = require('../controllers/searchSynonymController');
 const { authenticateToken } = require('../middleware/authenticate');
 const { validateFinancialOperation, validateFinancialAmounts, highRiskOperation } = require('../middleware/financialSecurity');
 
@@ -59,4 +60,10 @@ router.post('/commission/update',
 router.get('/dashboard/payment-metrics', commissionController.getPaymentDashboard);
 router.get('/dashboard/professional/:professionalId/pending-income', commissionController.getProfessionalPendingIncomeEndpoint);
 
+// Diccionario de sinónimos de búsqueda por categoría
+router.get('/search/synonyms', searchSynonymController.listSynonyms);
+router.post('/search/synonyms', searchSynonymController.createSynonym);
+router.put('/search/synonyms/:synonymId', searchSynonymController.updateSynonym);
+router.delete('/search/synonyms/:synonymId', searchSynonymController.deleteSynonym);
+
 module.exports = router;
@@ -0,0 +1,46 @@
+/**
+ * Rutas de pagos en efectivo (cobros fuera de la plataforma)
+ * El profesional declara el cobro y el cliente lo confirma; la comisión se descuenta de los próximos payouts
+ */
+
+const express = require('express');
+const cashPaymentController = require('../controllers/cashPaymentController');
+const { authenticateToken } = require('../middleware/authenticate');
+const { validateFinancialOperation, validateFinancialAmounts } = require('../middleware/financialSecurity');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(authenticateToken);
+
+// POST /api/cash-payments
+// Declarar un cobro en efectivo { serviceId, amount, notes? } (profesional del servicio)
+router.post('/',
+  validateFinancialOperation('declare_cash_payment'),
+  validateFinancialAmounts,
+  cashPaymentController.declareCashPayment
+);
+
+// GET /api/cash-payments
+// Declaraciones recibidas (cliente) o realizadas (profesional) (?estado=pendiente|confirmado|rechazado)
+router.get('/', cashPaymentController.getDeclarations);
+
+// GET /api/cash-payments/commission-debts
+// Comisiones adeudadas por cobros en efectivo y saldo pendiente por moneda (profesional)
+router.get('/commission-debts', cashPaymentController.getCommissionDebts);
+
+// POST /api/cash-payments/:declarationId/confirm
+// Confirmar el cobro: registra el pago y la comisión adeudada (cliente del servicio)
+router.post('/:declarationId/confirm',
+  validateFinancialOperation('confirm_cash_payment'),
+  cashPaymentController.confirmCashPayment
+);
+
+// POST /api/cash-payments/:declarationId/reject
+// Rechazar el cobro declarado { reason } (cliente del servicio)
+router.post('/:declarationId/reject',
+  validateFinancialOperation('confirm_cash_payment'),
+  cashPaymentController.rejectCashPayment
+);
+
+module.exports = router;
@@ -18,6 +18,13 @@ router.get('/', commissionController.getCommissionSettings);
 // Obtener configuración de comisión aplicable
 router.get('/applicable', commissionController.getApplicableCommission);
 
+// GET /api/commissions/effective (solo admins)
+// Vista previa de la comisión efectiva de un profesional según las reglas vigentes
+router.get('/effective',
+  validateFinancialOperation('manage_commissions'),
+  commissionController.getEffectiveCommission
+);
+
 // POST /api/commissions (solo admins)
 // Crear nueva configuración de comisión
 router.post('/',
@@ -0,0 +1,37 @@
+/**
+ * Rutas de administración de cupones de descuento (solo administradores)
+ * Implementa REQ-41 (Integración pasarelas) y REQ-43 (Comisiones)
+ */
+
+const express = require('express');
+const couponController = require('../controllers/couponController');
+const { authenticateToken } = require('../middleware/authenticate');
+const { validateFinancialOperation } = require('../middleware/financialSecurity');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(authenticateToken);
+
+// GET /api/coupons
+// Listado de cupones (filtro opcional ?activo=true|false)
+router.get('/',
+  validateFinancialOperation('manage_coupons'),
+  couponController.listCoupons
+);
+
+// POST /api/coupons
+// Crear un cupón porcentual o de monto fijo
+router.post('/',
+  validateFinancialOperation('manage_coupons'),
+  couponController.createCoupon
+);
+
+// PUT /api/coupons/:couponId
+// Modificar vigencia, topes, categorías o desactivar un cupón
+router.put('/:couponId',
+  validateFinancialOperation('manage_coupons'),
+  couponController.updateCoupon
+);
+
+module.exports = router;
@@ -1,11 +1,13 @@
 // src/routes/custodyRoutes.js
 const express = require('express');
 const { createCustody, releaseCustody, getCustodyStatus } = require('../controllers/custodyController');
+const { idempotency } = require('../middleware/idempotency');
 
 const router = express.Router();
 
-router.post('/', createCustody);
-router.post('/:custodyId/release', releaseCustody);
+// Los POST aceptan el header Idempotency-Key para reintentos seguros (autenticación en server.js)
+router.post('/', idempotency, createCustody);
+router.post('/:custodyId/release', idempotency, releaseCustody);
 router.get('/service/:serviceId', getCustodyStatus);
 
 module.exports = router;
@@ -0,0 +1,64 @@
+/**
+ * Rutas para disputas de pagos en custodia
+ * Implementa REQ-42: Custodia de fondos hasta liberación
+ */
+
+const express = require('express');
+const multer = require('multer');
+const disputeController = require('../controllers/disputeController');
+const { authenticateToken } = require('../middleware/authenticate');
+const { validateFinancialOperation, validateFinancialAmounts, highRiskOperation } = require('../middleware/financialSecurity');
+
+// Evidencia en memoria para validarla antes de subirla al almacenamiento privado
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB máximo
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['image/jpeg', 'image/png', 'application/pdf'];
+    if (!allowedTypes.includes(file.mimetype)) {
+      return cb(new Error('Tipo de archivo no permitido. Solo se aceptan JPG, PNG y PDF.'), false);
+    }
+    cb(null, true);
+  }
+});
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(authenticateToken);
+
+// GET /api/disputes
+// Listar disputas del usuario autenticado (todas para administradores)
+router.get('/', disputeController.listDisputes);
+
+// POST /api/disputes
+// Abrir disputa sobre un pago en custodia (solo clientes)
+router.post('/',
+  validateFinancialOperation('open_dispute'),
+  disputeController.openDispute
+);
+
+// GET /api/disputes/:disputeId
+// Obtener detalle de una disputa con sus evidencias
+router.get('/:disputeId', disputeController.getDispute);
+
+// POST /api/disputes/:disputeId/evidence
+// Aportar evidencia (cliente o profesional involucrado)
+router.post('/:disputeId/evidence',
+  upload.single('archivo'),
+  disputeController.addEvidence
+);
+
+// POST /api/disputes/:disputeId/resolve (solo admins)
+// Resolver disputa: liberación total, reembolso total o división parcial
+router.post('/:disputeId/resolve',
+  validateFinancialOperation('resolve_disputes'),
+  validateFinancialAmounts,
+  highRiskOperation,
+  disputeController.resolveDispute
+);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+/**
+ * Rutas de monedas y tipos de cambio
+ * Los montos de cada pago se cobran en la moneda del profesional y se consolidan en la moneda base
+ */
+
+const express = require('express');
+const exchangeRateController = require('../controllers/exchangeRateController');
+const { authenticateToken } = require('../middleware/authenticate');
+const { validateFinancialOperation, highRiskOperation } = require('../middleware/financialSecurity');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(authenticateToken);
+
+// GET /api/exchange-rates
+// Monedas habilitadas con su tipo de cambio vigente
+router.get('/', exchangeRateController.listCurrencies);
+
+// GET /api/exchange-rates/:currency/history
+// Historial de tipos de cambio de una moneda (query: page, limit; solo admins)
+router.get('/:currency/history',
+  validateFinancialOperation('manage_exchange_rates'),
+  exchangeRateController.getHistory
+);
+
+// PUT /api/exchange-rates/:currency
+// Cargar un nuevo tipo de cambio { tasa, vigente_desde?, fuente? } (solo admins)
+router.put('/:currency',
+  validateFinancialOperation('manage_exchange_rates'),
+  highRiskOperation,
+  exchangeRateController.setExchangeRate
+);
+
+module.exports = router;
@@ -0,0 +1,46 @@
+/**
+ * Rutas del motor de puntaje de fraude (solo administradores)
+ * Implementa REQ-41 a REQ-45: Cumplimiento de seguridad financiera
+ */
+
+const express = require('express');
+const fraudController = require('../controllers/fraudController');
+const { authenticateToken } = require('../middleware/authenticate');
+const { validateFinancialOperation, highRiskOperation } = require('../middleware/financialSecurity');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(authenticateToken);
+
+// GET /api/fraud/config
+// Umbrales y pesos vigentes por operación
+router.get('/config',
+  validateFinancialOperation('manage_fraud_rules'),
+  fraudController.getConfig
+);
+
+// PUT /api/fraud/config/:operation
+// Actualizar umbrales y pesos { umbral_verificacion?, umbral_revision?, umbral_bloqueo?, pesos? }
+router.put('/config/:operation',
+  validateFinancialOperation('manage_fraud_rules'),
+  highRiskOperation,
+  fraudController.updateConfig
+);
+
+// GET /api/fraud/assessments
+// Evaluaciones de fraude (filtros: estado, decision, userId; por defecto, pendientes de revisión)
+router.get('/assessments',
+  validateFinancialOperation('manage_fraud_rules'),
+  fraudController.listAssessments
+);
+
+// POST /api/fraud/assessments/:assessmentId/review
+// Aprobar o rechazar una operación retenida { action: approve|reject, notes? }
+router.post('/assessments/:assessmentId/review',
+  validateFinancialOperation('manage_fraud_rules'),
+  highRiskOperation,
+  fraudController.reviewAssessment
+);
+
+module.exports = router;
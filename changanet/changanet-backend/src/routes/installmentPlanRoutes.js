@@ -0,0 +1,37 @@
+/**
+ * Rutas de administración de planes de cuotas (solo administradores)
+ * Implementa REQ-41 (Integración pasarelas) y REQ-43 (Comisiones)
+ */
+
+const express = require('express');
+const installmentPlanController = require('../controllers/installmentPlanController');
+const { authenticateToken } = require('../middleware/authenticate');
+const { validateFinancialOperation } = require('../middleware/financialSecurity');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(authenticateToken);
+
+// GET /api/installment-plans
+// Listado de planes de cuotas (filtro opcional ?activo=true|false)
+router.get('/',
+  validateFinancialOperation('manage_installment_plans'),
+  installmentPlanController.listPlans
+);
+
+// POST /api/installment-plans
+// Crear un plan con interés o una promoción sin interés
+router.post('/',
+  validateFinancialOperation('manage_installment_plans'),
+  installmentPlanController.createPlan
+);
+
+// PUT /api/installment-plans/:planId
+// Modificar condiciones, monto mínimo, categorías o desactivar un plan
+router.put('/:planId',
+  validateFinancialOperation('manage_installment_plans'),
+  installmentPlanController.updatePlan
+);
+
+module.exports = router;
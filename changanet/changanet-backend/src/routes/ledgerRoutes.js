@@ -0,0 +1,30 @@
+/**
+ * Rutas del libro mayor de partida doble (solo administradores)
+ * Implementa la conciliación contable de REQ-42, REQ-43 y REQ-44
+ */
+
+const express = require('express');
+const ledgerController = require('../controllers/ledgerController');
+const { authenticateToken } = require('../middleware/authenticate');
+const { validateFinancialOperation } = require('../middleware/financialSecurity');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(authenticateToken);
+
+// GET /api/ledger/trial-balance
+// Balance de comprobación por cuenta con inconsistencias detectadas
+router.get('/trial-balance',
+  validateFinancialOperation('view_financial_reports'),
+  ledgerController.getTrialBalance
+);
+
+// GET /api/ledger/entries
+// Asientos contables con sus movimientos (filtros: tipo, entidadTipo, entidadId, cuenta, usuarioId)
+router.get('/entries',
+  validateFinancialOperation('view_financial_reports'),
+  ledgerController.getJournalEntries
+);
+
+module.exports = router;
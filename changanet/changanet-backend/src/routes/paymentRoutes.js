@@ -5,8 +5,11 @@
 
 const express = require('express');
 const paymentController = require('../controllers/paymentController');
+const milestoneController = require('../controllers/milestoneController');
+const invoiceController = require('../controllers/invoiceController');
 const { authenticateToken } = require('../middleware/authenticate');
 const { validateFinancialOperation, validateFinancialAmounts } = require('../middleware/financialSecurity');
+const { idempotency } = require('../middleware/idempotency');
 
 const router = express.Router();
 
@@ -16,19 +19,69 @@ router.use(authenticateToken);
 // POST /api/payments/create-preference
 // Crea una preferencia de pago con custodia de fondos
 router.post('/create-preference',
+  idempotency,
   validateFinancialOperation('create_payment'),
   validateFinancialAmounts,
   paymentController.createPaymentPreference
 );
 
+// POST /api/payments/coupon-preview
+// Calcula el descuento de un cupón para el servicio sin canjearlo
+router.post('/coupon-preview',
+  validateFinancialOperation('create_payment'),
+  paymentController.previewCoupon
+);
+
+// POST /api/payments/installment-options
+// Planes de cuotas disponibles para el servicio y el monto a cobrar
+router.post('/installment-options',
+  validateFinancialOperation('create_payment'),
+  paymentController.getInstallmentOptions
+);
+
 // POST /api/payments/release-funds
 // Libera los fondos de un pago completado
 router.post('/release-funds',
+  idempotency,
   validateFinancialOperation('release_funds'),
   validateFinancialAmounts,
   paymentController.releaseFunds
 );
 
+// POST /api/payments/:paymentId/refund (solo admins)
+// Reembolso total o parcial con recálculo proporcional de comisión
+router.post('/:paymentId/refund',
+  idempotency,
+  validateFinancialOperation('refund_payments'),
+  paymentController.refundPayment
+);
+
+// POST /api/payments/:paymentId/milestones
+// Define el plan de hitos de un pago en custodia
+router.post('/:paymentId/milestones',
+  validateFinancialOperation('create_payment'),
+  milestoneController.createMilestonePlan
+);
+
+// GET /api/payments/:paymentId/milestones
+// Obtiene los hitos de un pago y su estado de custodia
+router.get('/:paymentId/milestones', milestoneController.getMilestones);
+
+// POST /api/payments/milestones/:milestoneId/request-approval
+// El profesional solicita la aprobación de un hito completado
+router.post('/milestones/:milestoneId/request-approval', milestoneController.requestMilestoneApproval);
+
+// POST /api/payments/milestones/:milestoneId/approve
+// El cliente aprueba un hito y se liberan sus fondos
+router.post('/milestones/:milestoneId/approve',
+  validateFinancialOperation('release_funds'),
+  milestoneController.approveMilestone
+);
+
+// POST /api/payments/milestones/:milestoneId/reject
+// El cliente rechaza un hito en revisión
+router.post('/milestones/:milestoneId/reject', milestoneController.rejectMilestone);
+
 // GET /api/payments/status/:paymentId
 // Obtiene el estado de un pago
 router.get('/status/:paymentId', authenticateToken, paymentController.getPaymentStatus);
@@ -40,6 +93,7 @@ router.post('/webhook', paymentController.handleWebhook);
 // POST /api/payments/withdraw
 // Permite a profesionales retirar fondos a su cuenta bancaria
 router.post('/withdraw',
+  idempotency,
   validateFinancialOperation('create_withdrawal'),
   validateFinancialAmounts,
   paymentController.withdrawFunds
@@ -53,6 +107,29 @@ router.get('/receipt/:paymentId', authenticateToken, paymentController.generateR
 // Descarga un comprobante de pago
 router.get('/receipts/:fileName', authenticateToken, paymentController.downloadReceipt);
 
+// GET /api/payments/invoices
+// Facturas de comisiones del profesional (todas para admins; filtros: professionalId, periodo, estado)
+router.get('/invoices', invoiceController.listInvoices);
+
+// GET /api/payments/invoices/fiscal-data
+// Datos fiscales del profesional para la facturación
+router.get('/invoices/fiscal-data', invoiceController.getFiscalData);
+
+// PUT /api/payments/invoices/fiscal-data
+// Guardar datos fiscales { cuit, razon_social, condicion_iva, domicilio_fiscal }
+router.put('/invoices/fiscal-data', invoiceController.updateFiscalData);
+
+// POST /api/payments/invoices/generate (solo admins)
+// Emitir las facturas de un mes cerrado { year?, month? } (por defecto, el mes anterior)
+router.post('/invoices/generate',
+  validateFinancialOperation('manage_commissions'),
+  invoiceController.generateInvoices
+);
+
+// GET /api/payments/invoices/:invoiceId/download
+// Descargar el PDF de una factura
+router.get('/invoices/:invoiceId/download', invoiceController.downloadInvoice);
+
 // GET /api/payments/:clientId
 // Obtener pagos de un cliente específico
 router.get('/:clientId',
@@ -77,8 +154,10 @@ router.get('/admin/payments',
 router.post('/auto-release', async (req, res) => {
   try {
     const { autoReleaseFunds } = require('../services/mercadoPagoService');
+    const { autoReleaseMilestones } = require('../services/milestoneService');
     const result = await autoReleaseFunds();
-    res.json(result);
+    const milestones = await autoReleaseMilestones();
+    res.json({ ...result, milestones });
   } catch (error) {
     console.error('Error en auto-release:', error);
     res.status(500).json({ error: 'Error en liberación automática' });
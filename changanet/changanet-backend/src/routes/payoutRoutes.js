@@ -6,6 +6,7 @@
 const express = require('express');
 const payoutController = require('../controllers/payoutController');
 const { authenticateToken } = require('../middleware/authenticate');
+const { idempotency } = require('../middleware/idempotency');
 const { validateFinancialOperation, validateFinancialAmounts, highRiskOperation } = require('../middleware/financialSecurity');
 
 const router = express.Router();
@@ -13,6 +14,9 @@ const router = express.Router();
 // Todas las rutas requieren autenticación
 router.use(authenticateToken);
 
+// Los POST aceptan el header Idempotency-Key para reintentos seguros
+router.use(idempotency);
+
 // GET /api/payouts
 // Obtener payouts del profesional autenticado
 router.get('/', payoutController.getPayouts);
@@ -0,0 +1,55 @@
+/**
+ * Rutas de conciliación con Mercado Pago (solo administradores)
+ * Implementa REQ-41 (Integración pasarelas) y REQ-42 (Custodia de fondos)
+ */
+
+const express = require('express');
+const multer = require('multer');
+const reconciliationController = require('../controllers/reconciliationController');
+const { authenticateToken } = require('../middleware/authenticate');
+const { validateFinancialOperation } = require('../middleware/financialSecurity');
+
+// El reporte se procesa en memoria y no se almacena; solo se guarda el resultado
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB máximo
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['text/csv', 'application/vnd.ms-excel', 'text/plain'];
+    if (!allowedTypes.includes(file.mimetype) && !file.originalname.toLowerCase().endsWith('.csv')) {
+      return cb(new Error('Tipo de archivo no permitido. Solo se aceptan reportes CSV.'), false);
+    }
+    cb(null, true);
+  }
+});
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(authenticateToken);
+
+// GET /api/reconciliation
+// Historial de conciliaciones
+router.get('/',
+  validateFinancialOperation('reconcile_payments'),
+  reconciliationController.listReconciliations
+);
+
+// POST /api/reconciliation
+// Subir reporte de liquidaciones o liberaciones de Mercado Pago (campo "archivo")
+router.post('/',
+  validateFinancialOperation('reconcile_payments'),
+  upload.single('archivo'),
+  reconciliationController.uploadSettlementReport
+);
+
+// GET /api/reconciliation/:reconciliationId
+// Detalle de una conciliación: faltantes, duplicados y diferencias de monto
+router.get('/:reconciliationId',
+  validateFinancialOperation('reconcile_payments'),
+  reconciliationController.getReconciliation
+);
+
+module.exports = router;
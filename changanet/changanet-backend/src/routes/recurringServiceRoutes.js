@@ -12,6 +12,8 @@ const {
   cancelRecurringService,
   updateRecurringService,
   getRecurringServiceDetails,
+  authorizeRecurringBilling,
+  getPaymentMethods,
   generateRecurringServices
 } = require('../controllers/recurringServiceController');
 
@@ -26,12 +28,18 @@ router.post('/', createRecurringService);
 // Obtener servicios recurrentes del usuario
 router.get('/', getUserRecurringServices);
 
+// Tarjetas guardadas para el cobro automático
+router.get('/payment-methods', getPaymentMethods);
+
 // Obtener detalles de un servicio recurrente específico
 router.get('/:recurringId', getRecurringServiceDetails);
 
 // Actualizar servicio recurrente
 router.put('/:recurringId', updateRecurringService);
 
+// Autorizar o reemplazar la tarjeta del cobro automático (reanuda la programación pausada)
+router.put('/:recurringId/payment-method', authorizeRecurringBilling);
+
 // Cancelar servicio recurrente
 router.delete('/:recurringId', cancelRecurringService);
 
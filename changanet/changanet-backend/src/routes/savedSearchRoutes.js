@@ -0,0 +1,31 @@
+/**
+ * Rutas de búsquedas guardadas
+ * Permite a los clientes guardar búsquedas y recibir alertas de nuevas coincidencias
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/authenticate');
+const {
+  listSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch
+} = require('../controllers/savedSearchController');
+
+// Todas las rutas requieren autenticación
+router.use(authenticateToken);
+
+// GET /api/saved-searches - Búsquedas guardadas del cliente con sus coincidencias pendientes
+router.get('/', listSavedSearches);
+
+// POST /api/saved-searches - Guardar una búsqueda ({ nombre, frecuencia_alertas, filtros })
+router.post('/', createSavedSearch);
+
+// PUT /api/saved-searches/:searchId - Modificar nombre, filtros o alertas (frecuencia, activas)
+router.put('/:searchId', updateSavedSearch);
+
+// DELETE /api/saved-searches/:searchId - Eliminar una búsqueda guardada
+router.delete('/:searchId', deleteSavedSearch);
+
+module.exports = router;
@@ -13,6 +13,9 @@ const { sanitizeInput, sanitizeObject } = require('../utils/sanitizer');
 
 const router = express.Router();
 
+// Duración máxima de la ventana de disponibilidad (availableFrom - availableTo)
+const MAX_AVAILABILITY_WINDOW_DAYS = 31;
+
 // Middleware de seguridad avanzada para endpoints de búsqueda
 const securityMiddleware = (req, res, next) => {
   try {
@@ -20,7 +23,10 @@ const securityMiddleware = (req, res, next) => {
     req.query = sanitizeObject(req.query);
 
     // Validaciones específicas para parámetros de búsqueda
-    const { q, specialty, city, district, lat, lng, radius, minPrice, maxPrice } = req.query;
+    const {
+      q, specialty, city, district, lat, lng, radius, minPrice, maxPrice, minRating, rateType,
+      availableFrom, availableTo
+    } = req.query;
 
     // Validar y sanitizar términos de búsqueda
     if (q && (typeof q !== 'string' || q.length > 200)) {
@@ -83,6 +89,44 @@ const securityMiddleware = (req, res, next) => {
       }
     }
 
+    // Validar filtros de facetas
+    if (minRating !== undefined) {
+      const minRatingNum = parseFloat(minRating);
+      if (isNaN(minRatingNum) || minRatingNum < 0 || minRatingNum > 5) {
+        return res.status(400).json({
+          error: 'Calificación mínima inválida (0-5)',
+          code: 'INVALID_MIN_RATING'
+        });
+      }
+    }
+
+    if (rateType !== undefined && !['hora', 'servicio', 'convenio'].includes(rateType)) {
+      return res.status(400).json({
+        error: 'Tipo de tarifa inválido',
+        code: 'INVALID_RATE_TYPE'
+      });
+    }
+
+    // Validar ventana de disponibilidad (fechas ISO 8601)
+    const windowStart = availableFrom !== undefined ? new Date(availableFrom) : null;
+    const windowEnd = availableTo !== undefined ? new Date(availableTo) : null;
+    if ((windowStart && isNaN(windowStart.getTime())) || (windowEnd && isNaN(windowEnd.getTime()))) {
+      return res.status(400).json({
+        error: 'Fecha de disponibilidad inválida',
+        code: 'INVALID_AVAILABILITY_DATE'
+      });
+    }
+
+    if (windowStart && windowEnd) {
+      const windowDays = (windowEnd - windowStart) / (24 * 60 * 60 * 1000);
+      if (windowDays <= 0 || windowDays > MAX_AVAILABILITY_WINDOW_DAYS) {
+        return res.status(400).json({
+          error: `La ventana de disponibilidad debe terminar después de empezar y durar hasta ${MAX_AVAILABILITY_WINDOW_DAYS} días`,
+          code: 'INVALID_AVAILABILITY_WINDOW'
+        });
+      }
+    }
+
     // Headers de seguridad
     res.set({
       'X-Content-Type-Options': 'nosniff',
@@ -172,7 +216,9 @@ const loadBalancingMiddleware = (req, res, next) => {
 
 // Ruta principal para buscar profesionales con filtros avanzados
 // REQ-11,12,13,14,15: Implementa búsqueda completa según PRD
-// Parámetros: q, specialty, city, district, radius, minPrice, maxPrice, orderBy, page, limit, lat, lng
+// Parámetros: q, specialty, city, district, radius, minPrice, maxPrice, rateType, minRating, verification,
+// urgent, availableFrom, availableTo, orderBy, page, limit, lat, lng. La respuesta incluye facets con conteos
+// por opción y el próximo turno libre de cada profesional (next_available_slot)
 router.get('/', securityMiddleware, searchLimiter, loadBalancingMiddleware, searchProfessionals);
 
 // Ruta de autocompletado para mejorar UX
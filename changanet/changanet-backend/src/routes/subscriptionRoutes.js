@@ -0,0 +1,66 @@
+/**
+ * Rutas de suscripciones de profesionales
+ * Los profesionales gestionan su plan; los administradores ajustan planes y consultan suscripciones
+ */
+
+const express = require('express');
+const subscriptionController = require('../controllers/subscriptionController');
+const { authenticateToken } = require('../middleware/authenticate');
+const { validateFinancialOperation } = require('../middleware/financialSecurity');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(authenticateToken);
+
+// GET /api/subscriptions/plans
+// Planes disponibles con precios y beneficios
+router.get('/plans', subscriptionController.getPlans);
+
+// PUT /api/subscriptions/plans/:planId (solo admins)
+// Modificar precios y beneficios de un plan
+router.put('/plans/:planId',
+  validateFinancialOperation('manage_subscription_plans'),
+  subscriptionController.updatePlan
+);
+
+// GET /api/subscriptions/me
+// Suscripción actual, beneficios vigentes y cobros del profesional
+router.get('/me', subscriptionController.getMySubscription);
+
+// GET /api/subscriptions (solo admins)
+// Listado de suscripciones (filtros ?estado=&plan=)
+router.get('/',
+  validateFinancialOperation('manage_subscription_plans'),
+  subscriptionController.listSubscriptions
+);
+
+// POST /api/subscriptions
+// Suscribirse a un plan { planCode, periodo: mensual|anual }
+router.post('/',
+  validateFinancialOperation('manage_subscription'),
+  subscriptionController.subscribe
+);
+
+// POST /api/subscriptions/change-plan
+// Cambiar de plan a partir de la próxima renovación
+router.post('/change-plan',
+  validateFinancialOperation('manage_subscription'),
+  subscriptionController.changePlan
+);
+
+// POST /api/subscriptions/cancel
+// Cancelar la suscripción (al final del período si está activa)
+router.post('/cancel',
+  validateFinancialOperation('manage_subscription'),
+  subscriptionController.cancelSubscription
+);
+
+// POST /api/subscriptions/charges/:chargeId/pay
+// Nuevo link de pago para un cobro pendiente o rechazado
+router.post('/charges/:chargeId/pay',
+  validateFinancialOperation('manage_subscription'),
+  subscriptionController.payCharge
+);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+/**
+ * Rutas de propinas
+ * Propina opcional del cliente al profesional después de un servicio completado
+ */
+
+const express = require('express');
+const tipController = require('../controllers/tipController');
+const { authenticateToken } = require('../middleware/authenticate');
+const { validateFinancialOperation, validateFinancialAmounts } = require('../middleware/financialSecurity');
+const { idempotency } = require('../middleware/idempotency');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(authenticateToken);
+
+// POST /api/tips
+// Dejar una propina { serviceId, amount, message? }; devuelve el link de pago de Mercado Pago
+router.post('/',
+  idempotency,
+  validateFinancialOperation('create_payment'),
+  validateFinancialAmounts,
+  tipController.createTip
+);
+
+// GET /api/tips/received
+// Propinas pagadas al profesional autenticado (?desde=&hasta=)
+router.get('/received', tipController.getReceivedTips);
+
+// GET /api/tips/service/:serviceId
+// Propina de un servicio
+router.get('/service/:serviceId', tipController.getServiceTip);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+/**
+ * Rutas de billeteras de clientes (crédito de plataforma)
+ * El crédito se aplica al pagar con POST /api/payments/create-preference (useWallet / walletAmount)
+ */
+
+const express = require('express');
+const walletController = require('../controllers/walletController');
+const { authenticateToken } = require('../middleware/authenticate');
+const { validateFinancialOperation, highRiskOperation } = require('../middleware/financialSecurity');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(authenticateToken);
+
+// GET /api/wallet
+// Saldo y movimientos de la billetera del cliente autenticado (query: page, limit)
+router.get('/',
+  validateFinancialOperation('view_wallet'),
+  walletController.getMyWallet
+);
+
+// GET /api/wallet/users/:userId
+// Saldo y movimientos de la billetera de un cliente (solo admins)
+router.get('/users/:userId',
+  validateFinancialOperation('manage_wallets'),
+  walletController.getUserWallet
+);
+
+// POST /api/wallet/users/:userId/credits
+// Otorgar crédito { monto, tipo: 'compensacion' | 'referido', motivo } (solo admins)
+router.post('/users/:userId/credits',
+  validateFinancialOperation('manage_wallets'),
+  highRiskOperation,
+  walletController.grantCredit
+);
+
+module.exports = router;
@@ -0,0 +1,46 @@
+/**
+ * Rutas de administración de eventos de webhook (solo administradores)
+ * Implementa REQ-41: Integración con pasarelas de pago
+ */
+
+const express = require('express');
+const webhookEventController = require('../controllers/webhookEventController');
+const { authenticateToken } = require('../middleware/authenticate');
+const { validateFinancialOperation, highRiskOperation } = require('../middleware/financialSecurity');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(authenticateToken);
+
+// GET /api/webhook-events
+// Eventos recibidos (filtros: estado, tipo, recursoId, page, limit)
+router.get('/',
+  validateFinancialOperation('manage_webhooks'),
+  webhookEventController.listEvents
+);
+
+// GET /api/webhook-events/:eventId
+// Detalle del evento con headers, cuerpo y resultado
+router.get('/:eventId',
+  validateFinancialOperation('manage_webhooks'),
+  webhookEventController.getEvent
+);
+
+// POST /api/webhook-events/:eventId/retry
+// Reintentar un evento recibido o fallido
+router.post('/:eventId/retry',
+  validateFinancialOperation('manage_webhooks'),
+  highRiskOperation,
+  webhookEventController.retryEvent
+);
+
+// POST /api/webhook-events/:eventId/replay
+// Volver a aplicar un evento con el código actual { ignoreSignature? }
+router.post('/:eventId/replay',
+  validateFinancialOperation('manage_webhooks'),
+  highRiskOperation,
+  webhookEventController.replayEvent
+);
+
+module.exports = router;
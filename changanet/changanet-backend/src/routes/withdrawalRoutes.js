@@ -4,15 +4,37 @@
  */
 
 const express = require('express');
+const multer = require('multer');
 const withdrawalController = require('../controllers/withdrawalController');
+const bankBatchController = require('../controllers/bankBatchController');
 const { authenticateToken } = require('../middleware/authenticate');
+const { idempotency } = require('../middleware/idempotency');
 const { validateFinancialOperation, validateFinancialAmounts, highRiskOperation } = require('../middleware/financialSecurity');
 
+// La respuesta del banco se procesa en memoria y no se almacena
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB máximo
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['text/csv', 'application/vnd.ms-excel', 'text/plain'];
+    if (!allowedTypes.includes(file.mimetype) && !/\.(csv|txt)$/i.test(file.originalname)) {
+      return cb(new Error('Tipo de archivo no permitido. Solo se aceptan archivos CSV o de texto.'), false);
+    }
+    cb(null, true);
+  }
+});
+
 const router = express.Router();
 
 // Todas las rutas requieren autenticación
 router.use(authenticateToken);
 
+// Los POST aceptan el header Idempotency-Key para reintentos seguros (idempotency en cada ruta,
+// después de multer en la que recibe un archivo)
+
 // GET /api/withdrawals
 // Obtener solicitudes de retiro del profesional autenticado
 router.get('/', withdrawalController.getWithdrawalRequests);
@@ -20,6 +42,7 @@ router.get('/', withdrawalController.getWithdrawalRequests);
 // POST /api/withdrawals
 // Crear solicitud de retiro
 router.post('/',
+  idempotency,
   validateFinancialOperation('create_withdrawal'),
   validateFinancialAmounts,
   highRiskOperation,
@@ -36,6 +59,7 @@ router.get('/available-funds',
 // POST /api/withdrawals/:withdrawalId/process (solo admins)
 // Procesar solicitud de retiro
 router.post('/:withdrawalId/process',
+  idempotency,
   validateFinancialOperation('process_withdrawals'),
   highRiskOperation,
   withdrawalController.processWithdrawal
@@ -44,6 +68,7 @@ router.post('/:withdrawalId/process',
 // POST /api/withdrawals/:withdrawalId/complete (solo admins)
 // Completar retiro procesado
 router.post('/:withdrawalId/complete',
+  idempotency,
   validateFinancialOperation('process_withdrawals'),
   highRiskOperation,
   withdrawalController.completeWithdrawal
@@ -56,4 +81,46 @@ router.get('/pending',
   withdrawalController.getPendingWithdrawals
 );
 
+// GET /api/withdrawals/batches (solo admins)
+// Lotes de transferencias bancarias
+router.get('/batches',
+  validateFinancialOperation('process_withdrawals'),
+  bankBatchController.listBatches
+);
+
+// POST /api/withdrawals/batches (solo admins)
+// Crear un lote con todos los retiros aprobados { format: csv|ancho_fijo, currency }
+router.post('/batches',
+  idempotency,
+  validateFinancialOperation('process_withdrawals'),
+  highRiskOperation,
+  bankBatchController.createBatch
+);
+
+// GET /api/withdrawals/batches/:batchId (solo admins)
+// Detalle del lote y sus retiros
+router.get('/batches/:batchId',
+  validateFinancialOperation('process_withdrawals'),
+  bankBatchController.getBatch
+);
+
+// GET /api/withdrawals/batches/:batchId/file (solo admins)
+// Descargar el archivo de transferencias para el banco
+router.get('/batches/:batchId/file',
+  validateFinancialOperation('process_withdrawals'),
+  highRiskOperation,
+  bankBatchController.downloadBatchFile
+);
+
+// POST /api/withdrawals/batches/:batchId/response (solo admins)
+// Importar la respuesta del banco (campo "archivo"): completa o marca como fallido cada retiro
+// El archivo se lee antes de la idempotencia para que un reintento con otro archivo no repita la respuesta anterior
+router.post('/batches/:batchId/response',
+  upload.single('archivo'),
+  idempotency,
+  validateFinancialOperation('process_withdrawals'),
+  highRiskOperation,
+  bankBatchController.importBankResponse
+);
+
 module.exports = router;
@@ -0,0 +1,35 @@
+/**
+ * Rutas de retenciones impositivas y resúmenes anuales de ingresos
+ * Implementa REQ-43: Comisiones y obligaciones fiscales de los profesionales
+ */
+
+const express = require('express');
+const withholdingController = require('../controllers/withholdingController');
+const { authenticateToken } = require('../middleware/authenticate');
+const { validateFinancialOperation, highRiskOperation } = require('../middleware/financialSecurity');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(authenticateToken);
+
+// GET /api/withholdings/rules
+// Reglas de retención por impuesto y categoría fiscal (solo admins)
+router.get('/rules',
+  validateFinancialOperation('manage_withholding_rules'),
+  withholdingController.listRules
+);
+
+// PUT /api/withholdings/rules
+// Crear o actualizar una regla { impuesto, categoria_fiscal, porcentaje, minimo_no_imponible?, activa? } (solo admins)
+router.put('/rules',
+  validateFinancialOperation('manage_withholding_rules'),
+  highRiskOperation,
+  withholdingController.upsertRule
+);
+
+// GET /api/withholdings/statement
+// Resumen anual de ingresos del profesional (query: year, format=json|csv|pdf; admins: professionalId)
+router.get('/statement', withholdingController.getAnnualStatement);
+
+module.exports = router;
@@ -113,6 +113,12 @@ const { scheduleAutomaticReminders } = require('./services/availabilityReminderS
 const { scheduleRecurringServiceGeneration, scheduleAutomaticFundReleases } = require('./services/recurringServiceScheduler');
 const { initializeDefaultAchievements } = require('./controllers/achievementsController');
 const { startExpirationScheduler } = require('./services/budgetRequestService');
+const { startSubscriptionScheduler } = require('./services/subscriptionService');
+const { startRecurringBillingScheduler } = require('./services/recurringBillingService');
+const { startIdempotencyCleanup } = require('./services/idempotencyService');
+const { startWebhookRetryScheduler } = require('./services/webhookEventService');
+const { startInvoiceScheduler } = require('./services/invoiceService');
+const { startSavedSearchAlertScheduler } = require('./services/savedSearchService');
 
 // Initialize WebSocket server for notifications
 const NotificationWebSocketServer = require('./websocket/notificationSocket');
@@ -421,7 +427,8 @@ app.use(cors({
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'cache-control'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'cache-control', 'Idempotency-Key', 'X-Password-Confirmation'],
+  exposedHeaders: ['Idempotent-Replayed'],
 }));
 
 app.use(rateLimiterMiddleware);
@@ -579,6 +586,58 @@ app.use('/api/commissions', commissionRoutes);
 const payoutRoutes = require('./routes/payoutRoutes');
 app.use('/api/payouts', payoutRoutes);
 
+// Rutas de disputas de pagos en custodia con autenticación requerida
+const disputeRoutes = require('./routes/disputeRoutes');
+app.use('/api/disputes', disputeRoutes);
+
+// Rutas del libro mayor (balance de comprobación) solo para administradores
+const ledgerRoutes = require('./routes/ledgerRoutes');
+app.use('/api/ledger', ledgerRoutes);
+
+// Rutas de conciliación con reportes de Mercado Pago solo para administradores
+const reconciliationRoutes = require('./routes/reconciliationRoutes');
+app.use('/api/reconciliation', reconciliationRoutes);
+
+// Rutas de cupones de descuento solo para administradores
+const couponRoutes = require('./routes/couponRoutes');
+app.use('/api/coupons', couponRoutes);
+
+// Rutas de planes de cuotas solo para administradores
+const installmentPlanRoutes = require('./routes/installmentPlanRoutes');
+app.use('/api/installment-plans', installmentPlanRoutes);
+
+// Rutas de suscripciones de profesionales
+const subscriptionRoutes = require('./routes/subscriptionRoutes');
+app.use('/api/subscriptions', subscriptionRoutes);
+
+// Rutas de propinas a profesionales tras un servicio completado
+const tipRoutes = require('./routes/tipRoutes');
+app.use('/api/tips', tipRoutes);
+
+// Rutas del motor de puntaje de fraude solo para administradores
+const fraudRoutes = require('./routes/fraudRoutes');
+app.use('/api/fraud', fraudRoutes);
+
+// Rutas de administración de eventos de webhook (inspección, reintento y replay)
+const webhookEventRoutes = require('./routes/webhookEventRoutes');
+app.use('/api/webhook-events', webhookEventRoutes);
+
+// Rutas de retenciones impositivas y resúmenes anuales de ingresos de profesionales
+const withholdingRoutes = require('./routes/withholdingRoutes');
+app.use('/api/withholdings', withholdingRoutes);
+
+// Rutas de monedas y tipos de cambio (operación en Uruguay y Chile)
+const exchangeRateRoutes = require('./routes/exchangeRateRoutes');
+app.use('/api/exchange-rates', exchangeRateRoutes);
+
+// Rutas de billeteras de clientes (crédito de plataforma)
+const walletRoutes = require('./routes/walletRoutes');
+app.use('/api/wallet', walletRoutes);
+
+// Rutas de pagos en efectivo declarados por el profesional y confirmados por el cliente
+const cashPaymentRoutes = require('./routes/cashPaymentRoutes');
+app.use('/api/cash-payments', cashPaymentRoutes);
+
 // Rutas de galería con autenticación requerida
 app.use('/api/gallery', authenticateToken, galleryRoutes);
 
@@ -615,6 +674,10 @@ app.use('/api/favorites', favoritesRoutes);
 // Rutas de logros y gamificación
 app.use('/api/achievements', achievementsRoutes);
 
+// Rutas de búsquedas guardadas con alertas de nuevas coincidencias
+const savedSearchRoutes = require('./routes/savedSearchRoutes');
+app.use('/api/saved-searches', savedSearchRoutes);
+
 // Rutas de sincronización de calendarios
 const calendarSyncRoutes = require('./routes/calendarSyncRoutes');
 app.use('/api/sync/calendar', calendarSyncRoutes);
@@ -1060,6 +1123,31 @@ if (process.env.NODE_ENV !== 'test') {
   startExpirationScheduler();
   console.log('⏰ Expiración automática de solicitudes de presupuesto programada');
 
+  // Programar renovaciones y vencimientos de suscripciones de profesionales
+  startSubscriptionScheduler();
+  console.log('🔁 Renovación automática de suscripciones programada');
+
+  // Generar los servicios de las programaciones recurrentes y cobrarlos con la tarjeta autorizada
+  scheduleRecurringServiceGeneration();
+  startRecurringBillingScheduler();
+  console.log('🔁 Cobro automático de servicios recurrentes programado');
+
+  // Depurar claves de idempotencia vencidas
+  startIdempotencyCleanup();
+  console.log('🔑 Depuración de claves de idempotencia programada');
+
+  // Reintentar eventos de webhook pendientes o fallidos
+  startWebhookRetryScheduler();
+  console.log('📨 Reintento automático de webhooks programado');
+
+  // Emitir las facturas mensuales de comisiones
+  startInvoiceScheduler();
+  console.log('🧾 Facturación mensual de comisiones programada');
+
+  // Avisar las nuevas coincidencias de búsquedas guardadas según su frecuencia
+  startSavedSearchAlertScheduler();
+  console.log('🔔 Alertas de búsquedas guardadas programadas');
+
   findAvailablePort(PORT).then(availablePort => {
     server.listen(availablePort, () => {
       console.log(`🚀 Backend y Socket.IO corriendo en http://localhost:${availablePort}`);
@@ -53,6 +53,23 @@ function decrypt(encryptedData) {
   }
 }
 
+/**
+ * Datos desencriptados de una cuenta para ordenar una transferencia (uso interno, lotes bancarios)
+ * La cuenta destino es el CVU si fue informado; si no, el número de cuenta
+ * @param {Object} account - Registro de cuentas_bancarias
+ * @returns {Object} { banco, tipoCuenta, titular, alias, documento, cbuCvu }
+ */
+function getTransferDetails(account) {
+  return {
+    banco: account.banco,
+    tipoCuenta: account.tipo_cuenta,
+    titular: account.titular,
+    alias: account.alias,
+    documento: decrypt(account.documento_titular_encrypted),
+    cbuCvu: decrypt(account.cvu_encrypted || account.numero_cuenta_encrypted)
+  };
+}
+
 /**
  * Valida datos bancarios básicos
  * @param {Object} bankData - Datos bancarios
@@ -558,5 +575,6 @@ module.exports = {
   updateBankAccount,
   deleteBankAccount,
   verifyBankAccount,
-  validateBankData
+  validateBankData,
+  getTransferDetails
 };
@@ -0,0 +1,538 @@
+/**
+ * Servicio de lotes de transferencias bancarias
+ * Implementa REQ-44: Retiro de fondos a cuenta bancaria
+ * Exporta en un único archivo todos los retiros aprobados (estado "procesando") de una misma moneda con los
+ * datos bancarios desencriptados, y procesa el archivo de respuesta del banco para completar o marcar
+ * como fallido cada retiro (withdrawalService.completeWithdrawal / failWithdrawal).
+ * El armado y el parseo de archivos son funciones puras para poder probarlas sin base de datos.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const logger = require('./logger');
+const { getTransferDetails } = require('./bankAccountService');
+const { completeWithdrawal, failWithdrawal } = require('./withdrawalService');
+const { splitCsvLine } = require('./reconciliationService');
+const { normalizeCurrency } = require('./currencyService');
+
+const prisma = new PrismaClient();
+
+// Máximo de filas aceptadas en un archivo de respuesta
+const MAX_RESPONSE_ROWS = 10000;
+
+// Códigos de estado del banco que indican una transferencia acreditada
+const SUCCESS_CODES = ['00', 'OK', 'ACEPTADO', 'ACREDITADO', 'COMPLETADO'];
+
+/**
+ * Diseño de campos por defecto del archivo de ancho fijo
+ * Se puede reemplazar con BANK_BATCH_FIXED_LAYOUT (JSON con el mismo formato)
+ */
+const DEFAULT_FIXED_LAYOUT = {
+  lote: [
+    { campo: 'referencia', largo: 36 },
+    { campo: 'cbu_cvu', largo: 22, relleno: '0', alineacion: 'derecha' },
+    { campo: 'documento', largo: 11, relleno: '0', alineacion: 'derecha' },
+    { campo: 'titular', largo: 40 },
+    { campo: 'monto', largo: 15, relleno: '0', alineacion: 'derecha', centavos: true },
+    { campo: 'concepto', largo: 20 }
+  ],
+  respuesta: [
+    { campo: 'referencia', largo: 36 },
+    { campo: 'estado', largo: 2 },
+    { campo: 'referencia_bancaria', largo: 20 },
+    { campo: 'motivo', largo: 60 }
+  ]
+};
+
+/**
+ * Lee un diseño de ancho fijo desde la configuración, con el diseño por defecto como respaldo
+ * @returns {Object} { lote, respuesta }
+ */
+function loadFixedLayout() {
+  if (!process.env.BANK_BATCH_FIXED_LAYOUT) {
+    return DEFAULT_FIXED_LAYOUT;
+  }
+
+  try {
+    return { ...DEFAULT_FIXED_LAYOUT, ...JSON.parse(process.env.BANK_BATCH_FIXED_LAYOUT) };
+  } catch (error) {
+    logger.error('Invalid BANK_BATCH_FIXED_LAYOUT, using default layout', {
+      service: 'bank_batches',
+      error: error.message
+    });
+    return DEFAULT_FIXED_LAYOUT;
+  }
+}
+
+/**
+ * Formatos de archivo soportados
+ * - csv: una fila de encabezado y una fila por retiro (separador BANK_BATCH_CSV_DELIMITER, ";" por defecto)
+ * - ancho_fijo: un registro por retiro con los campos del diseño configurado
+ */
+const BATCH_FORMATS = {
+  csv: {
+    extension: 'csv',
+    contentType: 'text/csv',
+    delimiter: process.env.BANK_BATCH_CSV_DELIMITER || ';',
+    columnas: ['referencia', 'cbu_cvu', 'documento', 'titular', 'monto', 'concepto'],
+    columnasRespuesta: ['referencia', 'estado', 'referencia_bancaria', 'motivo']
+  },
+  ancho_fijo: {
+    extension: 'txt',
+    contentType: 'text/plain',
+    ...loadFixedLayout()
+  }
+};
+
+const DEFAULT_BATCH_FORMAT = BATCH_FORMATS[process.env.BANK_BATCH_FORMAT] ? process.env.BANK_BATCH_FORMAT : 'csv';
+
+/**
+ * Registra una operación de lotes en transactions_log
+ * @param {Object} logData - Datos a registrar
+ */
+async function logTransaction(logData) {
+  try {
+    await prisma.transactions_log.create({
+      data: logData
+    });
+  } catch (error) {
+    logger.error('Error logging bank batch transaction', {
+      service: 'bank_batches',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Devuelve la configuración de un formato de lote
+ * @param {string} format - "csv" o "ancho_fijo"
+ * @returns {Object} Configuración del formato
+ */
+function getBatchFormat(format) {
+  const config = BATCH_FORMATS[format];
+  if (!config) {
+    throw new Error(`Formato de lote inválido. Valores permitidos: ${Object.keys(BATCH_FORMATS).join(', ')}`);
+  }
+  return config;
+}
+
+/**
+ * Quita acentos y caracteres que los bancos no aceptan en archivos de texto
+ * @param {*} value - Valor del campo
+ * @returns {string} Texto normalizado
+ */
+function sanitizeField(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7E]/g, '')
+    .trim();
+}
+
+/**
+ * Ajusta un valor al largo de un campo de ancho fijo
+ * @param {string} value - Valor normalizado
+ * @param {Object} field - Definición del campo
+ * @returns {string} Valor con relleno
+ */
+function padField(value, field) {
+  const fill = field.relleno || ' ';
+  const text = value.slice(0, field.largo);
+  return field.alineacion === 'derecha' ? text.padStart(field.largo, fill) : text.padEnd(field.largo, fill);
+}
+
+/**
+ * Escapa un campo CSV si contiene el separador o comillas
+ * @param {string} value - Valor normalizado
+ * @param {string} delimiter - Separador
+ * @returns {string} Campo listo para escribir
+ */
+function escapeCsvField(value, delimiter) {
+  return value.includes(delimiter) || value.includes('"')
+    ? `"${value.replace(/"/g, '""')}"`
+    : value;
+}
+
+/**
+ * Arma el contenido del archivo de lote
+ * @param {Array} rows - Filas { referencia, cbu_cvu, documento, titular, monto, concepto }
+ * @param {string} format - "csv" o "ancho_fijo"
+ * @returns {string} Contenido del archivo
+ */
+function buildBatchFile(rows, format) {
+  const config = getBatchFormat(format);
+
+  if (format === 'csv') {
+    const lines = [config.columnas.join(config.delimiter)];
+    rows.forEach(row => {
+      lines.push(config.columnas
+        .map(column => escapeCsvField(column === 'monto' ? row.monto.toFixed(2) : sanitizeField(row[column]), config.delimiter))
+        .join(config.delimiter));
+    });
+    return `${lines.join('\r\n')}\r\n`;
+  }
+
+  return rows.map(row => config.lote
+    .map(field => padField(
+      field.centavos ? String(Math.round(row[field.campo] * 100)) : sanitizeField(row[field.campo]),
+      field
+    ))
+    .join('')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Interpreta el archivo de respuesta del banco
+ * @param {string} content - Contenido del archivo
+ * @param {string} format - "csv" o "ancho_fijo"
+ * @returns {Array} Filas { fila, referencia, exitoso, estado, referenciaBancaria, motivo }
+ */
+function parseBankResponse(content, format) {
+  const config = getBatchFormat(format);
+  const lines = String(content || '')
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/);
+
+  const rows = [];
+  let startIndex = 0;
+  let columns = null;
+
+  if (format === 'csv') {
+    startIndex = lines.findIndex(line => line.trim() !== '');
+    if (startIndex === -1) {
+      throw new Error('El archivo de respuesta está vacío');
+    }
+
+    columns = splitCsvLine(lines[startIndex], config.delimiter).map(column => column.toLowerCase());
+    const missing = config.columnasRespuesta.filter(column => !['motivo', 'referencia_bancaria'].includes(column) && !columns.includes(column));
+    if (missing.length > 0) {
+      throw new Error(`Formato de respuesta inválido: faltan las columnas ${missing.join(', ')}`);
+    }
+    startIndex++;
+  }
+
+  for (let i = startIndex; i < lines.length; i++) {
+    if (lines[i].trim() === '') {
+      continue;
+    }
+
+    if (rows.length >= MAX_RESPONSE_ROWS) {
+      throw new Error(`El archivo de respuesta supera el máximo de ${MAX_RESPONSE_ROWS} filas`);
+    }
+
+    let record;
+    if (format === 'csv') {
+      const values = splitCsvLine(lines[i], config.delimiter);
+      record = columns.reduce((acc, column, index) => {
+        acc[column] = values[index] !== undefined ? values[index] : '';
+        return acc;
+      }, {});
+    } else {
+      let offset = 0;
+      record = config.respuesta.reduce((acc, field) => {
+        acc[field.campo] = lines[i].slice(offset, offset + field.largo).trim();
+        offset += field.largo;
+        return acc;
+      }, {});
+    }
+
+    const estado = (record.estado || '').toUpperCase();
+    rows.push({
+      fila: i + 1,
+      referencia: record.referencia,
+      exitoso: SUCCESS_CODES.includes(estado),
+      estado,
+      referenciaBancaria: record.referencia_bancaria || null,
+      motivo: record.motivo || null
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Crea un lote con todos los retiros aprobados que todavía no se exportaron
+ * Un lote tiene una sola moneda: si hay retiros aprobados en varias monedas hay que indicar cuál exportar
+ * @param {Object} data - Datos del lote
+ * @param {string} data.adminId - Administrador que exporta
+ * @param {string} data.format - "csv" o "ancho_fijo" (BANK_BATCH_FORMAT por defecto)
+ * @param {string} [data.currency] - Moneda de los retiros a exportar
+ * @returns {Object} Lote creado
+ */
+async function createWithdrawalBatch({ adminId, format = DEFAULT_BATCH_FORMAT, currency = null }) {
+  getBatchFormat(format);
+
+  const withdrawals = await prisma.retiros.findMany({
+    where: { estado: 'procesando', lote_id: null, ...(currency ? { moneda: normalizeCurrency(currency) } : {}) },
+    select: { id: true, monto: true, moneda: true },
+    orderBy: { fecha_procesamiento: 'asc' }
+  });
+
+  if (withdrawals.length === 0) {
+    throw new Error('No hay retiros aprobados pendientes de exportar');
+  }
+
+  const currencies = [...new Set(withdrawals.map(withdrawal => withdrawal.moneda))];
+  if (currencies.length > 1) {
+    throw new Error(`Hay retiros aprobados en varias monedas (${currencies.join(', ')}); indica la moneda del lote`);
+  }
+
+  const moneda = currencies[0];
+  const montoTotal = Math.round(withdrawals.reduce((sum, withdrawal) => sum + withdrawal.monto, 0) * 100) / 100;
+
+  const batch = await prisma.$transaction(async (tx) => {
+    const created = await tx.lotes_transferencias.create({
+      data: {
+        formato: format,
+        cantidad: withdrawals.length,
+        monto_total: montoTotal,
+        moneda,
+        generado_por: adminId
+      }
+    });
+
+    // Solo se asignan los retiros que siguen sin lote (evita exportarlos dos veces)
+    const assigned = await tx.retiros.updateMany({
+      where: { id: { in: withdrawals.map(withdrawal => withdrawal.id) }, estado: 'procesando', lote_id: null },
+      data: { lote_id: created.id }
+    });
+
+    if (assigned.count !== withdrawals.length) {
+      throw new Error('Los retiros cambiaron durante la exportación; vuelve a intentarlo');
+    }
+
+    return created;
+  });
+
+  await logTransaction({
+    tipo_transaccion: 'withdrawal_batch_created',
+    entidad_tipo: 'lotes_transferencias',
+    entidad_id: batch.id,
+    usuario_id: adminId,
+    monto: montoTotal,
+    detalles: { formato: format, cantidad: withdrawals.length, moneda }
+  });
+
+  logger.info('Withdrawal batch created', {
+    service: 'bank_batches',
+    batchId: batch.id,
+    count: withdrawals.length,
+    total: montoTotal,
+    currency: moneda
+  });
+
+  return batch;
+}
+
+/**
+ * Genera el archivo de un lote con los datos bancarios desencriptados
+ * El archivo no se almacena: se arma en cada descarga
+ * @param {string} batchId - ID del lote
+ * @param {string} adminId - Administrador que descarga
+ * @returns {Object} { fileName, contentType, content }
+ */
+async function getBatchFile(batchId, adminId) {
+  const batch = await prisma.lotes_transferencias.findUnique({
+    where: { id: batchId },
+    include: {
+      retiros: {
+        include: { cuenta_bancaria: true },
+        orderBy: { fecha_procesamiento: 'asc' }
+      }
+    }
+  });
+
+  if (!batch) {
+    throw new Error('Lote de transferencias no encontrado');
+  }
+
+  const rows = batch.retiros.map(withdrawal => {
+    const account = getTransferDetails(withdrawal.cuenta_bancaria);
+    return {
+      referencia: withdrawal.id,
+      cbu_cvu: account.cbuCvu,
+      documento: account.documento,
+      titular: account.titular,
+      monto: withdrawal.monto,
+      concepto: 'RETIRO CHANGANET'
+    };
+  });
+
+  const config = getBatchFormat(batch.formato);
+
+  await logTransaction({
+    tipo_transaccion: 'withdrawal_batch_downloaded',
+    entidad_tipo: 'lotes_transferencias',
+    entidad_id: batch.id,
+    usuario_id: adminId,
+    detalles: { cantidad: rows.length }
+  });
+
+  return {
+    fileName: `lote_retiros_${batch.creado_en.toISOString().slice(0, 10)}_${batch.id.slice(0, 8)}.${config.extension}`,
+    contentType: config.contentType,
+    content: buildBatchFile(rows, batch.formato)
+  };
+}
+
+/**
+ * Importa el archivo de respuesta del banco para un lote
+ * Cada retiro acreditado se completa y cada rechazo se marca como fallido; las filas que no
+ * corresponden al lote o a retiros ya resueltos se informan como errores. Se puede importar
+ * más de una respuesta parcial para el mismo lote.
+ * @param {Object} data - Datos de la importación
+ * @param {string} data.batchId - ID del lote
+ * @param {string} data.fileName - Nombre del archivo
+ * @param {Buffer|string} data.content - Contenido del archivo
+ * @param {string} data.adminId - Administrador que importa
+ * @returns {Object} { lote, resultado: { completados, fallidos, errores } }
+ */
+async function importBankResponse({ batchId, fileName, content, adminId }) {
+  const batch = await prisma.lotes_transferencias.findUnique({
+    where: { id: batchId },
+    include: { retiros: { select: { id: true, estado: true } } }
+  });
+
+  if (!batch) {
+    throw new Error('Lote de transferencias no encontrado');
+  }
+
+  const rows = parseBankResponse(Buffer.isBuffer(content) ? content.toString('utf8') : content, batch.formato);
+  if (rows.length === 0) {
+    throw new Error('El archivo de respuesta no contiene transferencias');
+  }
+
+  const withdrawalsById = new Map(batch.retiros.map(withdrawal => [withdrawal.id, withdrawal]));
+  const resultado = { completados: 0, fallidos: 0, errores: [] };
+
+  for (const row of rows) {
+    const withdrawal = withdrawalsById.get(row.referencia);
+
+    if (!withdrawal) {
+      resultado.errores.push({ fila: row.fila, referencia: row.referencia, detalle: 'El retiro no pertenece al lote' });
+      continue;
+    }
+
+    if (withdrawal.estado !== 'procesando') {
+      resultado.errores.push({ fila: row.fila, referencia: row.referencia, detalle: `El retiro ya está ${withdrawal.estado}` });
+      continue;
+    }
+
+    try {
+      if (row.exitoso) {
+        await completeWithdrawal(withdrawal.id, adminId, row.referenciaBancaria);
+        withdrawal.estado = 'completado';
+        resultado.completados++;
+      } else {
+        await failWithdrawal(withdrawal.id, adminId, row.motivo || `Rechazado por el banco (código ${row.estado || 'sin código'})`);
+        withdrawal.estado = 'fallido';
+        resultado.fallidos++;
+      }
+    } catch (error) {
+      resultado.errores.push({ fila: row.fila, referencia: row.referencia, detalle: error.message });
+    }
+  }
+
+  const pendientes = batch.retiros.filter(withdrawal => withdrawal.estado === 'procesando').length;
+
+  const updated = await prisma.lotes_transferencias.update({
+    where: { id: batch.id },
+    data: {
+      estado: pendientes === 0 ? 'importado' : 'parcial',
+      completados: { increment: resultado.completados },
+      fallidos: { increment: resultado.fallidos },
+      respuesta_archivo: fileName || 'respuesta',
+      importado_por: adminId,
+      importado_en: new Date()
+    }
+  });
+
+  await logTransaction({
+    tipo_transaccion: 'withdrawal_batch_imported',
+    entidad_tipo: 'lotes_transferencias',
+    entidad_id: batch.id,
+    usuario_id: adminId,
+    detalles: {
+      archivo: fileName,
+      completados: resultado.completados,
+      fallidos: resultado.fallidos,
+      errores: resultado.errores.length,
+      pendientes
+    }
+  });
+
+  logger[resultado.errores.length > 0 ? 'warn' : 'info']('Bank response imported', {
+    service: 'bank_batches',
+    batchId: batch.id,
+    completed: resultado.completados,
+    failed: resultado.fallidos,
+    errors: resultado.errores.length
+  });
+
+  return { lote: updated, resultado };
+}
+
+/**
+ * Lista los lotes de transferencias (más recientes primero)
+ * @param {Object} filters - { page, limit }
+ * @returns {Object} { batches, pagination }
+ */
+async function listBatches(filters = {}) {
+  const take = Math.min(parseInt(filters.limit, 10) || 20, 100);
+  const skip = (Math.max(parseInt(filters.page, 10) || 1, 1) - 1) * take;
+
+  const [batches, total] = await Promise.all([
+    prisma.lotes_transferencias.findMany({
+      orderBy: { creado_en: 'desc' },
+      skip,
+      take
+    }),
+    prisma.lotes_transferencias.count()
+  ]);
+
+  return {
+    batches,
+    pagination: {
+      page: Math.floor(skip / take) + 1,
+      limit: take,
+      total,
+      pages: Math.ceil(total / take)
+    }
+  };
+}
+
+/**
+ * Detalle de un lote con sus retiros (sin datos bancarios sensibles)
+ * @param {string} batchId - ID del lote
+ * @returns {Object} Lote
+ */
+async function getBatch(batchId) {
+  const batch = await prisma.lotes_transferencias.findUnique({
+    where: { id: batchId },
+    include: {
+      retiros: {
+        include: {
+          profesional: { select: { id: true, nombre: true } },
+          cuenta_bancaria: { select: { banco: true, alias: true, titular: true } }
+        },
+        orderBy: { fecha_procesamiento: 'asc' }
+      }
+    }
+  });
+
+  if (!batch) {
+    throw new Error('Lote de transferencias no encontrado');
+  }
+
+  return batch;
+}
+
+module.exports = {
+  buildBatchFile,
+  parseBankResponse,
+  createWithdrawalBatch,
+  getBatchFile,
+  importBankResponse,
+  listBatches,
+  getBatch,
+  BATCH_FORMATS,
+  DEFAULT_BATCH_FORMAT
+};
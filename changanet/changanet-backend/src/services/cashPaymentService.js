@@ -0,0 +1,483 @@
+/**
+ * Servicio de pagos en efectivo (cobros fuera de la plataforma)
+ * Muchos profesionales cobran en efectivo en el domicilio del cliente. El profesional declara el monto
+ * cobrado y el cliente lo confirma; al confirmarse se crea el registro en pagos (metodo_pago "efectivo",
+ * ya liberado) para que el servicio quede pagado y la comisión entre en la facturación mensual (invoiceService).
+ *
+ * Como la plataforma no recibe el dinero, la comisión queda como deuda del profesional (deudas_comision)
+ * y se descuenta de sus próximos payouts en la misma moneda (payoutService.createPayout).
+ * En el libro mayor la comisión se registra como comisión a cobrar contra comisiones de plataforma.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const logger = require('./logger');
+const { recordJournalEntry, LEDGER_ACCOUNTS } = require('./ledgerService');
+const { roundAmount, formatAmount, getRateSnapshot } = require('./currencyService');
+
+const prisma = new PrismaClient();
+
+const CASH_PAYMENT_METHOD = 'efectivo';
+
+const DECLARATION_STATES = {
+  PENDING: 'pendiente',
+  CONFIRMED: 'confirmado',
+  REJECTED: 'rechazado'
+};
+
+const DEBT_STATES = {
+  PENDING: 'pendiente',
+  SETTLED: 'cancelada'
+};
+
+const CASH_NOTES_MAX_LENGTH = 280;
+
+/**
+ * Registra una operación de pagos en efectivo en transactions_log
+ * @param {Object} logData - Datos a registrar
+ */
+async function logTransaction(logData) {
+  try {
+    await prisma.transactions_log.create({
+      data: logData
+    });
+  } catch (error) {
+    logger.error('Error logging cash payment transaction', {
+      service: 'cash_payments',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Envía una notificación sin interrumpir el flujo si falla
+ * @param {string} userId - Destinatario
+ * @param {string} type - Tipo de notificación
+ * @param {string} message - Mensaje
+ * @param {Object} metadata - Datos adicionales
+ */
+async function notify(userId, type, message, metadata) {
+  try {
+    const { createNotification } = require('./notificationService');
+    await createNotification(userId, type, message, metadata);
+  } catch (error) {
+    logger.warn('Cash payment notification failed', {
+      service: 'cash_payments',
+      userId,
+      type,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Declara el cobro en efectivo de un servicio; queda pendiente hasta que el cliente lo confirme
+ * @param {string} professionalId - Profesional autenticado
+ * @param {Object} data - { serviceId, amount, notes? }
+ * @returns {Object} Declaración creada
+ */
+async function declareCashPayment(professionalId, { serviceId, amount, notes = null }) {
+  const value = roundAmount(Number(amount));
+
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error('Monto inválido');
+  }
+
+  if (notes && notes.length > CASH_NOTES_MAX_LENGTH) {
+    throw new Error(`Las notas no deben superar ${CASH_NOTES_MAX_LENGTH} caracteres`);
+  }
+
+  const service = await prisma.servicios.findUnique({
+    where: { id: serviceId },
+    include: {
+      pago: { select: { id: true, estado: true } },
+      profesional: { select: { nombre: true, perfil_profesional: { select: { moneda: true } } } },
+      declaraciones_efectivo: { where: { estado: DECLARATION_STATES.PENDING }, select: { id: true } }
+    }
+  });
+
+  if (!service) {
+    throw new Error('Servicio no encontrado');
+  }
+
+  if (service.profesional_id !== professionalId) {
+    throw new Error('Solo el profesional del servicio puede declarar un cobro en efectivo');
+  }
+
+  if (service.estado === 'CANCELADO') {
+    throw new Error('No se puede declarar un cobro en un servicio cancelado');
+  }
+
+  if (service.pago) {
+    throw new Error('Ya existe un pago registrado para este servicio');
+  }
+
+  if (service.declaraciones_efectivo.length > 0) {
+    throw new Error('Ya existe un cobro en efectivo pendiente de confirmación para este servicio');
+  }
+
+  const currency = service.profesional.perfil_profesional?.moneda || 'ARS';
+
+  const declaration = await prisma.declaraciones_efectivo.create({
+    data: {
+      servicio_id: serviceId,
+      profesional_id: professionalId,
+      cliente_id: service.cliente_id,
+      monto: roundAmount(value, currency),
+      moneda: currency,
+      notas: notes || null
+    }
+  });
+
+  await logTransaction({
+    tipo_transaccion: 'cash_payment_declared',
+    entidad_tipo: 'declaraciones_efectivo',
+    entidad_id: declaration.id,
+    usuario_id: professionalId,
+    monto: value,
+    detalles: { serviceId, currency },
+    ip_address: null,
+    user_agent: null
+  });
+
+  await notify(
+    service.cliente_id,
+    'pago_efectivo_declarado',
+    `${service.profesional.nombre} declaró que le pagaste ${formatAmount(value, currency)} en efectivo por "${service.descripcion}". Confirmalo para registrar el pago.`,
+    { declarationId: declaration.id, serviceId, amount: value, currency }
+  );
+
+  logger.info('Cash payment declared', {
+    service: 'cash_payments',
+    declarationId: declaration.id,
+    serviceId,
+    professionalId,
+    amount: value
+  });
+
+  return declaration;
+}
+
+/**
+ * Busca una declaración pendiente del cliente
+ * @param {string} clientId - Cliente autenticado
+ * @param {string} declarationId - ID de la declaración
+ * @returns {Object} Declaración con su servicio
+ */
+async function findPendingDeclaration(clientId, declarationId) {
+  const declaration = await prisma.declaraciones_efectivo.findUnique({
+    where: { id: declarationId },
+    include: { servicio: { select: { id: true, descripcion: true, estado: true } } }
+  });
+
+  if (!declaration) {
+    throw new Error('Declaración de pago en efectivo no encontrada');
+  }
+
+  if (declaration.cliente_id !== clientId) {
+    throw new Error('Solo el cliente del servicio puede responder la declaración');
+  }
+
+  if (declaration.estado !== DECLARATION_STATES.PENDING) {
+    throw new Error('La declaración ya fue respondida');
+  }
+
+  return declaration;
+}
+
+/**
+ * Calcula la comisión de un cobro en efectivo con las mismas reglas que la liberación de fondos
+ * (mercadoPagoService.releaseFunds): porcentaje aplicable al profesional con la comisión mínima
+ * en moneda base convertida con el tipo de cambio del pago
+ * @param {string} professionalId - ID del profesional
+ * @param {number} amount - Monto cobrado
+ * @param {number} exchangeRate - Tipo de cambio del pago
+ * @param {string} currency - Moneda del pago (la comisión mínima se redondea a sus decimales)
+ * @returns {Object} { commission, commissionSettingId }
+ */
+async function calculateCashCommission(professionalId, amount, exchangeRate, currency) {
+  const { getApplicableCommission } = require('./commissionService');
+  const commissionSetting = await getApplicableCommission(null, professionalId);
+
+  const minimumFee = roundAmount(parseFloat(process.env.MINIMUM_COMMISSION_FEE || '0') / (exchangeRate || 1), currency);
+  const commission = Math.min(Math.max(Math.round(amount * (commissionSetting.porcentaje / 100)), minimumFee), amount);
+
+  return {
+    commission: roundAmount(commission),
+    commissionSettingId: commissionSetting.id
+  };
+}
+
+/**
+ * Confirma un cobro en efectivo: crea el pago ya liberado y la deuda de comisión del profesional
+ * Si el servicio no estaba completado, la confirmación del cliente lo completa
+ * @param {string} clientId - Cliente autenticado
+ * @param {string} declarationId - ID de la declaración
+ * @returns {Object} { declaracion, pago, deuda }
+ */
+async function confirmCashPayment(clientId, declarationId) {
+  const declaration = await findPendingDeclaration(clientId, declarationId);
+
+  const rateSnapshot = await getRateSnapshot(declaration.moneda);
+  const { commission, commissionSettingId } = await calculateCashCommission(
+    declaration.profesional_id,
+    declaration.monto,
+    rateSnapshot.tipo_cambio,
+    rateSnapshot.moneda
+  );
+  const now = new Date();
+
+  const { payment, debt, confirmed } = await prisma.$transaction(async (tx) => {
+    // Evita confirmar dos veces la misma declaración si llegan dos solicitudes a la vez
+    const claimed = await tx.declaraciones_efectivo.updateMany({
+      where: { id: declarationId, estado: DECLARATION_STATES.PENDING },
+      data: { estado: DECLARATION_STATES.CONFIRMED, respondido_en: now }
+    });
+
+    if (claimed.count === 0) {
+      throw new Error('La declaración ya fue respondida');
+    }
+
+    const createdPayment = await tx.pagos.create({
+      data: {
+        servicio_id: declaration.servicio_id,
+        cliente_id: declaration.cliente_id,
+        profesional_id: declaration.profesional_id,
+        monto_total: declaration.monto,
+        comision_plataforma: commission,
+        monto_profesional: roundAmount(declaration.monto - commission),
+        ...rateSnapshot,
+        estado: 'liberado',
+        metodo_pago: CASH_PAYMENT_METHOD,
+        fecha_pago: now,
+        fecha_liberacion: now,
+        commission_setting_id: commissionSettingId
+      }
+    });
+
+    const createdDebt = commission > 0
+      ? await tx.deudas_comision.create({
+        data: {
+          profesional_id: declaration.profesional_id,
+          pago_id: createdPayment.id,
+          monto: commission,
+          saldo: commission,
+          moneda: declaration.moneda
+        }
+      })
+      : null;
+
+    const updatedDeclaration = await tx.declaraciones_efectivo.update({
+      where: { id: declarationId },
+      data: { pago_id: createdPayment.id }
+    });
+
+    if (declaration.servicio.estado !== 'COMPLETADO') {
+      await tx.servicios.update({
+        where: { id: declaration.servicio_id },
+        data: { estado: 'COMPLETADO', completado_en: now }
+      });
+    }
+
+    return { payment: createdPayment, debt: createdDebt, confirmed: updatedDeclaration };
+  });
+
+  // Libro mayor: el efectivo nunca pasa por la plataforma; solo se registra la comisión a cobrar al profesional
+  await recordJournalEntry({
+    tipo: 'comision_efectivo',
+    descripcion: `Comisión de ${formatAmount(commission, declaration.moneda)} a cobrar por el pago en efectivo ${payment.id}`,
+    entidadTipo: 'pagos',
+    entidadId: payment.id,
+    creadoPor: clientId,
+    moneda: declaration.moneda,
+    lineas: [
+      { cuenta: LEDGER_ACCOUNTS.COMISIONES_A_COBRAR.codigo, debe: commission, usuarioId: declaration.profesional_id, pagoId: payment.id },
+      { cuenta: LEDGER_ACCOUNTS.COMISIONES.codigo, haber: commission, pagoId: payment.id }
+    ]
+  });
+
+  await logTransaction({
+    tipo_transaccion: 'cash_payment_confirmed',
+    entidad_tipo: 'pagos',
+    entidad_id: payment.id,
+    usuario_id: clientId,
+    monto: declaration.monto,
+    detalles: {
+      declarationId,
+      serviceId: declaration.servicio_id,
+      professionalId: declaration.profesional_id,
+      commission,
+      commissionDebtId: debt ? debt.id : null,
+      currency: declaration.moneda
+    },
+    ip_address: null,
+    user_agent: null
+  });
+
+  await notify(
+    declaration.profesional_id,
+    'pago_efectivo_confirmado',
+    `El cliente confirmó el pago en efectivo de ${formatAmount(declaration.monto, declaration.moneda)} por "${declaration.servicio.descripcion}".` +
+      (commission > 0 ? ` La comisión de ${formatAmount(commission, declaration.moneda)} se descontará de tus próximos payouts.` : ''),
+    { declarationId, paymentId: payment.id, commission }
+  );
+
+  logger.info('Cash payment confirmed', {
+    service: 'cash_payments',
+    declarationId,
+    paymentId: payment.id,
+    commission
+  });
+
+  return { declaracion: confirmed, pago: payment, deuda: debt };
+}
+
+/**
+ * Rechaza un cobro en efectivo declarado por el profesional
+ * @param {string} clientId - Cliente autenticado
+ * @param {string} declarationId - ID de la declaración
+ * @param {string} reason - Motivo del rechazo
+ * @returns {Object} Declaración rechazada
+ */
+async function rejectCashPayment(clientId, declarationId, reason) {
+  const motivo = typeof reason === 'string' ? reason.trim() : '';
+  if (!motivo) {
+    throw new Error('El motivo del rechazo es requerido');
+  }
+
+  const declaration = await findPendingDeclaration(clientId, declarationId);
+
+  const rejected = await prisma.declaraciones_efectivo.update({
+    where: { id: declarationId },
+    data: {
+      estado: DECLARATION_STATES.REJECTED,
+      motivo_rechazo: motivo.slice(0, CASH_NOTES_MAX_LENGTH),
+      respondido_en: new Date()
+    }
+  });
+
+  await logTransaction({
+    tipo_transaccion: 'cash_payment_rejected',
+    entidad_tipo: 'declaraciones_efectivo',
+    entidad_id: declarationId,
+    usuario_id: clientId,
+    monto: declaration.monto,
+    detalles: { serviceId: declaration.servicio_id, motivo },
+    ip_address: null,
+    user_agent: null
+  });
+
+  await notify(
+    declaration.profesional_id,
+    'pago_efectivo_rechazado',
+    `El cliente no reconoció el pago en efectivo de ${formatAmount(declaration.monto, declaration.moneda)} por "${declaration.servicio.descripcion}": ${motivo}`,
+    { declarationId, serviceId: declaration.servicio_id }
+  );
+
+  return rejected;
+}
+
+/**
+ * Declaraciones de pago en efectivo del usuario (las que recibió el cliente o las que hizo el profesional)
+ * @param {Object} user - { id, rol }
+ * @param {Object} filters - { estado }
+ * @returns {Array} Declaraciones
+ */
+async function getDeclarations(user, { estado } = {}) {
+  return prisma.declaraciones_efectivo.findMany({
+    where: {
+      ...(user.rol === 'profesional' ? { profesional_id: user.id } : { cliente_id: user.id }),
+      ...(estado ? { estado } : {})
+    },
+    include: {
+      servicio: { select: { id: true, descripcion: true } },
+      profesional: { select: { id: true, nombre: true } },
+      cliente: { select: { id: true, nombre: true } }
+    },
+    orderBy: { declarado_en: 'desc' }
+  });
+}
+
+/**
+ * Deudas de comisión de un profesional y el saldo pendiente por moneda
+ * @param {string} professionalId - ID del profesional
+ * @returns {Object} { saldos: { [moneda]: saldo }, deudas }
+ */
+async function getCommissionDebts(professionalId) {
+  const debts = await prisma.deudas_comision.findMany({
+    where: { profesional_id: professionalId },
+    include: { pago: { select: { servicio_id: true, monto_total: true, fecha_pago: true } } },
+    orderBy: { creado_en: 'desc' }
+  });
+
+  const saldos = debts
+    .filter(debt => debt.estado === DEBT_STATES.PENDING)
+    .reduce((totals, debt) => ({
+      ...totals,
+      [debt.moneda]: roundAmount((totals[debt.moneda] || 0) + debt.saldo)
+    }), {});
+
+  return { saldos, deudas: debts };
+}
+
+/**
+ * Descuenta deudas de comisión pendientes de un monto a pagar al profesional, empezando por la más antigua
+ * Se usa dentro de la transacción que crea el payout; cada descuento se valida contra el saldo de la deuda
+ * en la misma actualización para que dos payouts simultáneos no cancelen la misma deuda
+ * @param {Object} db - Transacción de Prisma
+ * @param {string} professionalId - ID del profesional
+ * @param {string} currency - Moneda del payout
+ * @param {number} maxAmount - Monto disponible para compensar
+ * @returns {Object} { total, detalle: [{ deudaId, pagoId, monto }] }
+ */
+async function settleCommissionDebts(db, professionalId, currency, maxAmount) {
+  const detalle = [];
+  let remaining = roundAmount(maxAmount);
+
+  if (remaining <= 0) {
+    return { total: 0, detalle };
+  }
+
+  const debts = await db.deudas_comision.findMany({
+    where: { profesional_id: professionalId, moneda: currency, estado: DEBT_STATES.PENDING },
+    orderBy: { creado_en: 'asc' }
+  });
+
+  for (const debt of debts) {
+    if (remaining <= 0) {
+      break;
+    }
+
+    const amount = roundAmount(Math.min(debt.saldo, remaining));
+    const settled = roundAmount(debt.saldo - amount) <= 0;
+
+    const updated = await db.deudas_comision.updateMany({
+      where: { id: debt.id, estado: DEBT_STATES.PENDING, saldo: { gte: amount } },
+      data: {
+        saldo: { decrement: amount },
+        ...(settled ? { estado: DEBT_STATES.SETTLED, cancelada_en: new Date() } : {})
+      }
+    });
+
+    if (updated.count === 0) {
+      continue;
+    }
+
+    detalle.push({ deudaId: debt.id, pagoId: debt.pago_id, monto: amount });
+    remaining = roundAmount(remaining - amount);
+  }
+
+  return {
+    total: roundAmount(detalle.reduce((sum, item) => sum + item.monto, 0)),
+    detalle
+  };
+}
+
+module.exports = {
+  CASH_PAYMENT_METHOD,
+  declareCashPayment,
+  confirmCashPayment,
+  rejectCashPayment,
+  getDeclarations,
+  getCommissionDebts,
+  settleCommissionDebts
+};
@@ -14,6 +14,31 @@ const prisma = new PrismaClient();
 // Cache TTL for commission calculations (5 minutes)
 const COMMISSION_CACHE_TTL = 300;
 
+// Quién absorbe el descuento de un cupón (ver getReleaseBase)
+const DISCOUNT_ABSORBERS = ['plataforma', 'profesional'];
+
+// Reglas condicionadas al profesional, en orden de precedencia: la tarifa negociada gana sobre
+// las reglas por medalla, verificación y volumen. Si ninguna aplica se usa la configuración
+// 'general' (por tipo de servicio o global). La comisión del plan de suscripción se ubica entre
+// la tarifa negociada y el resto (ver resolveProfessionalCommission).
+const COMMISSION_RULE_TYPES = ['profesional', 'medalla', 'verificacion', 'volumen'];
+
+// Ventana para medir el volumen mensual de servicios completados
+const VOLUME_WINDOW_DAYS = 30;
+
+// Comisión sobre propinas, independiente de las reglas de servicios (0 = propinas exentas).
+// Se limita al máximo permitido para servicios.
+const TIP_COMMISSION_PERCENTAGE = Math.min(Math.max(parseFloat(process.env.TIP_COMMISSION_PERCENTAGE || '0') || 0, 0), 10);
+
+/**
+ * Redondea un monto a centavos
+ * @param {number} amount - Monto
+ * @returns {number} Monto redondeado
+ */
+function roundAmount(amount) {
+  return Math.round((amount || 0) * 100) / 100;
+}
+
 /**
  * Obtiene todas las configuraciones de comisión activas
  * @returns {Array} Lista de configuraciones de comisión
@@ -38,13 +63,175 @@ async function getCommissionSettings() {
   }
 }
 
+/**
+ * Obtiene las reglas condicionadas vigentes que podrían aplicar a un profesional
+ * @param {string} professionalId - ID del profesional
+ * @param {Date} date - Fecha de evaluación
+ * @returns {Array} Reglas activas y vigentes
+ */
+async function findActiveCommissionRules(professionalId, date) {
+  return prisma.commission_settings.findMany({
+    where: {
+      activo: true,
+      tipo_regla: { in: COMMISSION_RULE_TYPES },
+      OR: [{ profesional_id: null }, { profesional_id: professionalId }],
+      AND: [
+        { OR: [{ valido_desde: null }, { valido_desde: { lte: date } }] },
+        { OR: [{ valido_hasta: null }, { valido_hasta: { gte: date } }] }
+      ]
+    },
+    orderBy: { fecha_creacion: 'desc' }
+  });
+}
+
+/**
+ * Obtiene los datos del profesional que condicionan su comisión
+ * @param {string} professionalId - ID del profesional
+ * @param {Date} date - Fecha de evaluación
+ * @returns {Object} { verificado, medallas, serviciosCompletados }
+ */
+async function getProfessionalCommissionContext(professionalId, date = new Date()) {
+  const since = new Date(date.getTime() - VOLUME_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const [professional, medals, completedServices] = await Promise.all([
+    prisma.usuarios.findUnique({
+      where: { id: professionalId },
+      select: {
+        esta_verificado: true,
+        perfil_profesional: { select: { estado_verificacion: true } }
+      }
+    }),
+    prisma.user_medals.findMany({
+      where: { usuario_id: professionalId, is_active: true },
+      select: { medal_type: true }
+    }),
+    prisma.servicios.count({
+      where: {
+        profesional_id: professionalId,
+        estado: 'COMPLETADO',
+        completado_en: { gte: since, lte: date }
+      }
+    })
+  ]);
+
+  return {
+    verificado: Boolean(professional?.esta_verificado || professional?.perfil_profesional?.estado_verificacion === 'verificado'),
+    medallas: medals.map(medal => medal.medal_type),
+    serviciosCompletados: completedServices
+  };
+}
+
+/**
+ * Elige la regla condicionada que aplica a un profesional
+ * Precedencia entre tipos según COMMISSION_RULE_TYPES; dentro del mismo tipo gana la regla
+ * específica del tipo de servicio, luego el tramo de volumen más alto y luego la tasa más baja.
+ * @param {Array} rules - Reglas vigentes (ver findActiveCommissionRules)
+ * @param {Object} context - Datos del profesional (ver getProfessionalCommissionContext)
+ * @param {string} professionalId - ID del profesional
+ * @param {string} serviceType - Tipo de servicio (opcional)
+ * @returns {Object|null} Regla aplicable o null
+ */
+function selectCommissionRule(rules, context, professionalId, serviceType = null) {
+  const matches = rules.filter(rule => {
+    if (rule.tipo_servicio && rule.tipo_servicio !== serviceType) {
+      return false;
+    }
+
+    switch (rule.tipo_regla) {
+      case 'profesional':
+        return rule.profesional_id === professionalId;
+      case 'medalla':
+        return context.medallas.includes(rule.medalla_requerida);
+      case 'verificacion':
+        return context.verificado;
+      case 'volumen':
+        return context.serviciosCompletados >= rule.volumen_mensual_minimo;
+      default:
+        return false;
+    }
+  });
+
+  for (const ruleType of COMMISSION_RULE_TYPES) {
+    const candidates = matches
+      .filter(rule => rule.tipo_regla === ruleType)
+      .sort((a, b) =>
+        (Number(Boolean(b.tipo_servicio)) - Number(Boolean(a.tipo_servicio))) ||
+        ((b.volumen_mensual_minimo || 0) - (a.volumen_mensual_minimo || 0)) ||
+        (a.porcentaje - b.porcentaje)
+      );
+
+    if (candidates.length > 0) {
+      return candidates[0];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Configuración equivalente a la comisión del plan de suscripción de un profesional
+ * @param {Object} entitlements - Beneficios (ver subscriptionService.getEntitlements)
+ * @returns {Object} Configuración con tipo_regla 'plan'
+ */
+function buildPlanCommissionSetting(entitlements) {
+  return {
+    id: null,
+    nombre: `Plan ${entitlements.plan.nombre}`,
+    porcentaje: entitlements.comisionPorcentaje,
+    tipo_servicio: null,
+    tipo_regla: 'plan',
+    descripcion: 'Comisión del plan de suscripción',
+    activo: true
+  };
+}
+
+/**
+ * Resuelve la comisión condicionada de un profesional
+ * La tarifa negociada gana sobre el plan de suscripción y el plan sobre las demás reglas
+ * @param {string} professionalId - ID del profesional
+ * @param {string} serviceType - Tipo de servicio (opcional)
+ * @param {Date} date - Fecha de evaluación
+ * @param {Object} options - { withContext: calcular el contexto aunque no haya reglas }
+ * @returns {Object} { setting (null si solo aplica la configuración general), context, entitlements }
+ */
+async function resolveProfessionalCommission(professionalId, serviceType, date, { withContext = false } = {}) {
+  const { getEntitlements } = require('./subscriptionService');
+
+  const [rules, entitlements] = await Promise.all([
+    findActiveCommissionRules(professionalId, date),
+    getEntitlements(professionalId)
+  ]);
+
+  const context = rules.length > 0 || withContext
+    ? await getProfessionalCommissionContext(professionalId, date)
+    : null;
+
+  const rule = context ? selectCommissionRule(rules, context, professionalId, serviceType) : null;
+
+  let setting = rule;
+  if ((!rule || rule.tipo_regla !== 'profesional') && entitlements.comisionPorcentaje !== null) {
+    setting = buildPlanCommissionSetting(entitlements);
+  }
+
+  return { setting, context, entitlements };
+}
+
 /**
  * Obtiene la configuración de comisión aplicable para un tipo de servicio
+ * Si se indica el profesional, primero se evalúan sus reglas condicionadas y su plan de suscripción
  * @param {string} serviceType - Tipo de servicio (opcional)
+ * @param {string} professionalId - ID del profesional que cobra (opcional)
  * @returns {Object} Configuración de comisión aplicable
  */
-async function getApplicableCommission(serviceType = null) {
+async function getApplicableCommission(serviceType = null, professionalId = null) {
   try {
+    if (professionalId) {
+      const { setting } = await resolveProfessionalCommission(professionalId, serviceType, new Date());
+      if (setting) {
+        return setting;
+      }
+    }
+
     // Buscar configuración específica para el tipo de servicio
     let commissionSetting = null;
 
@@ -52,6 +239,7 @@ async function getApplicableCommission(serviceType = null) {
       commissionSetting = await prisma.commission_settings.findFirst({
         where: {
           tipo_servicio: serviceType,
+          tipo_regla: 'general',
           activo: true
         },
         orderBy: { fecha_creacion: 'desc' }
@@ -63,6 +251,7 @@ async function getApplicableCommission(serviceType = null) {
       commissionSetting = await prisma.commission_settings.findFirst({
         where: {
           tipo_servicio: null,
+          tipo_regla: 'general',
           activo: true
         },
         orderBy: { fecha_creacion: 'desc' }
@@ -89,12 +278,124 @@ async function getApplicableCommission(serviceType = null) {
     logger.error('Error getting applicable commission', {
       service: 'commissions',
       serviceType,
+      professionalId,
       error: error.message
     });
     throw error;
   }
 }
 
+/**
+ * Muestra la comisión efectiva de un profesional y por qué aplica (vista previa para administradores)
+ * @param {string} professionalId - ID del profesional
+ * @param {string} serviceType - Tipo de servicio (opcional)
+ * @returns {Object} { profesional, porcentaje, reglaAplicada, configuracion, contexto, plan }
+ */
+async function getEffectiveCommissionPreview(professionalId, serviceType = null) {
+  const professional = await prisma.usuarios.findUnique({
+    where: { id: professionalId },
+    select: { id: true, nombre: true, rol: true }
+  });
+
+  if (!professional || professional.rol !== 'profesional') {
+    throw new Error('Profesional no encontrado');
+  }
+
+  const { setting: rule, context, entitlements } = await resolveProfessionalCommission(
+    professionalId, serviceType, new Date(), { withContext: true }
+  );
+  const setting = rule || await getApplicableCommission(serviceType);
+
+  let appliedRule = 'defecto';
+  if (rule) {
+    appliedRule = rule.tipo_regla;
+  } else if (setting.id) {
+    appliedRule = setting.tipo_servicio ? 'tipo_servicio' : 'general';
+  }
+
+  return {
+    profesional: { id: professional.id, nombre: professional.nombre },
+    porcentaje: setting.porcentaje,
+    reglaAplicada: appliedRule,
+    configuracion: setting,
+    contexto: context,
+    plan: entitlements.plan
+  };
+}
+
+/**
+ * Valida los campos de una regla condicionada y devuelve los que se guardan
+ * @param {Object} data - Configuración completa (existente + cambios)
+ * @returns {Object} Campos de la regla normalizados
+ */
+function buildCommissionRuleData(data) {
+  const ruleType = data.tipo_regla || 'general';
+
+  if (ruleType !== 'general' && !COMMISSION_RULE_TYPES.includes(ruleType)) {
+    throw new Error(`Tipo de regla de comisión inválido. Valores permitidos: general, ${COMMISSION_RULE_TYPES.join(', ')}`);
+  }
+
+  if (ruleType === 'profesional' && !data.profesional_id) {
+    throw new Error('Una tarifa negociada requiere indicar el profesional');
+  }
+
+  if (ruleType === 'medalla' && !data.medalla_requerida) {
+    throw new Error('Una regla por medalla requiere indicar la medalla');
+  }
+
+  const minimumVolume = data.volumen_mensual_minimo !== undefined && data.volumen_mensual_minimo !== null
+    ? parseInt(data.volumen_mensual_minimo, 10)
+    : null;
+  if (ruleType === 'volumen' && (!minimumVolume || minimumVolume <= 0)) {
+    throw new Error('Una regla por volumen requiere un mínimo de servicios completados mayor a 0');
+  }
+
+  const validFrom = data.valido_desde ? new Date(data.valido_desde) : null;
+  const validUntil = data.valido_hasta ? new Date(data.valido_hasta) : null;
+  if ((validFrom && isNaN(validFrom.getTime())) || (validUntil && isNaN(validUntil.getTime()))) {
+    throw new Error('Las fechas de vigencia de la regla son inválidas');
+  }
+  if (validFrom && validUntil && validUntil <= validFrom) {
+    throw new Error('La fecha de fin de vigencia debe ser posterior a la de inicio');
+  }
+
+  // Cada campo solo tiene sentido para su tipo de regla
+  return {
+    tipo_regla: ruleType,
+    profesional_id: ruleType === 'profesional' ? data.profesional_id : null,
+    medalla_requerida: ruleType === 'medalla' ? data.medalla_requerida : null,
+    volumen_mensual_minimo: ruleType === 'volumen' ? minimumVolume : null,
+    valido_desde: ruleType === 'general' ? null : validFrom,
+    valido_hasta: ruleType === 'general' ? null : validUntil
+  };
+}
+
+/**
+ * Verifica que una tarifa negociada no se superponga con otra del mismo profesional
+ * @param {Object} ruleData - Campos de la regla (ver buildCommissionRuleData)
+ * @param {string} serviceType - Tipo de servicio de la regla
+ * @param {string} excludeId - Configuración a excluir (en actualizaciones)
+ */
+async function assertNoOverlappingOverride(ruleData, serviceType, excludeId = null) {
+  const overlapping = await prisma.commission_settings.findFirst({
+    where: {
+      activo: true,
+      tipo_regla: 'profesional',
+      profesional_id: ruleData.profesional_id,
+      tipo_servicio: serviceType || null,
+      ...(excludeId ? { id: { not: excludeId } } : {}),
+      AND: [
+        ruleData.valido_hasta ? { OR: [{ valido_desde: null }, { valido_desde: { lte: ruleData.valido_hasta } }] } : {},
+        ruleData.valido_desde ? { OR: [{ valido_hasta: null }, { valido_hasta: { gte: ruleData.valido_desde } }] } : {}
+      ]
+    }
+  });
+
+  if (overlapping) {
+    throw new Error('Ya existe una tarifa negociada vigente para este profesional en ese período');
+  }
+}
+
 /**
  * Crea una nueva configuración de comisión
  * @param {Object} commissionData - Datos de la comisión
@@ -115,11 +416,17 @@ async function createCommissionSetting(commissionData, adminId) {
       throw new Error('El porcentaje de comisión debe estar entre 5% y 10% según requisitos del sistema');
     }
 
-    // Si es configuración global (tipo_servicio = null), verificar que no exista otra global activa
-    if (!tipo_servicio) {
+    const ruleData = buildCommissionRuleData(commissionData);
+
+    // Las reglas por medalla, verificación y volumen pueden convivir (ver selectCommissionRule)
+    if (ruleData.tipo_regla === 'profesional') {
+      await assertNoOverlappingOverride(ruleData, tipo_servicio);
+    } else if (ruleData.tipo_regla === 'general' && !tipo_servicio) {
+      // Si es configuración global (tipo_servicio = null), verificar que no exista otra global activa
       const existingGlobal = await prisma.commission_settings.findFirst({
         where: {
           tipo_servicio: null,
+          tipo_regla: 'general',
           activo: true
         }
       });
@@ -127,11 +434,12 @@ async function createCommissionSetting(commissionData, adminId) {
       if (existingGlobal) {
         throw new Error('Ya existe una configuración global de comisión activa. Desactívela primero.');
       }
-    } else {
+    } else if (ruleData.tipo_regla === 'general') {
       // Si es configuración específica, verificar que no exista otra para el mismo tipo
       const existingSpecific = await prisma.commission_settings.findFirst({
         where: {
           tipo_servicio: tipo_servicio,
+          tipo_regla: 'general',
           activo: true
         }
       });
@@ -148,6 +456,7 @@ async function createCommissionSetting(commissionData, adminId) {
         porcentaje,
         tipo_servicio,
         descripcion,
+        ...ruleData,
         activo: true,
         creado_por: adminId
       }
@@ -163,7 +472,8 @@ async function createCommissionSetting(commissionData, adminId) {
         nombre,
         porcentaje,
         tipo_servicio,
-        descripcion
+        descripcion,
+        ...ruleData
       },
       ip_address: null,
       user_agent: null
@@ -219,13 +529,22 @@ async function updateCommissionSetting(settingId, updateData, adminId) {
       }
     }
 
+    // Los campos de la regla se validan sobre la configuración resultante
+    const ruleData = buildCommissionRuleData({ ...existingSetting, ...updateData });
+    const serviceType = updateData.tipo_servicio !== undefined ? updateData.tipo_servicio : existingSetting.tipo_servicio;
+
+    if (ruleData.tipo_regla === 'profesional') {
+      await assertNoOverlappingOverride(ruleData, serviceType, settingId);
+    }
+
     // Si se está cambiando el tipo_servicio, verificar conflictos
-    if (updateData.tipo_servicio !== undefined && updateData.tipo_servicio !== existingSetting.tipo_servicio) {
+    if (ruleData.tipo_regla === 'general' && updateData.tipo_servicio !== undefined && updateData.tipo_servicio !== existingSetting.tipo_servicio) {
       if (!updateData.tipo_servicio) {
         // Cambiando a global - verificar que no exista otra global
         const existingGlobal = await prisma.commission_settings.findFirst({
           where: {
             tipo_servicio: null,
+            tipo_regla: 'general',
             activo: true,
             id: { not: settingId }
           }
@@ -239,6 +558,7 @@ async function updateCommissionSetting(settingId, updateData, adminId) {
         const existingSpecific = await prisma.commission_settings.findFirst({
           where: {
             tipo_servicio: updateData.tipo_servicio,
+            tipo_regla: 'general',
             activo: true,
             id: { not: settingId }
           }
@@ -252,7 +572,7 @@ async function updateCommissionSetting(settingId, updateData, adminId) {
 
     const updatedSetting = await prisma.commission_settings.update({
       where: { id: settingId },
-      data: updateData
+      data: { ...updateData, ...ruleData }
     });
 
     // Log de auditoría
@@ -312,10 +632,11 @@ async function deactivateCommissionSetting(settingId, adminId) {
     }
 
     // Verificar que no sea la última configuración global activa
-    if (!setting.tipo_servicio) {
+    if (!setting.tipo_servicio && setting.tipo_regla === 'general') {
       const activeGlobalCount = await prisma.commission_settings.count({
         where: {
           tipo_servicio: null,
+          tipo_regla: 'general',
           activo: true,
           id: { not: settingId }
         }
@@ -371,14 +692,27 @@ async function deactivateCommissionSetting(settingId, adminId) {
 
 /**
  * Calcula la comisión para un monto dado (con caché)
- * @param {number} amount - Monto base
+ * Si se indica un descuento por cupón, la base de la comisión depende de quién lo absorbe:
+ * 'plataforma' cobra comisión sobre el precio de lista; 'profesional' sobre el monto rebajado.
+ * @param {number} amount - Monto base (precio de lista del servicio)
  * @param {string} serviceType - Tipo de servicio (opcional)
+ * @param {Object} discount - Descuento por cupón (opcional)
+ * @param {number} discount.amount - Monto del descuento
+ * @param {string} discount.absorbedBy - 'plataforma' o 'profesional'
+ * @param {string} professionalId - Profesional que cobra, para aplicar sus reglas (opcional)
  * @returns {Object} Detalles del cálculo de comisión
  */
-async function calculateCommission(amount, serviceType = null) {
+async function calculateCommission(amount, serviceType = null, discount = null, professionalId = null) {
   try {
+    const discountAmount = discount ? roundAmount(Math.min(discount.amount || 0, amount)) : 0;
+    const absorbedBy = discountAmount > 0 ? discount.absorbedBy : null;
+
+    if (absorbedBy && !DISCOUNT_ABSORBERS.includes(absorbedBy)) {
+      throw new Error(`Absorción de descuento inválida. Valores permitidos: ${DISCOUNT_ABSORBERS.join(', ')}`);
+    }
+
     // Crear clave de caché
-    const cacheKey = `commission_calc:${amount}:${serviceType || 'global'}`;
+    const cacheKey = `commission_calc:${amount}:${serviceType || 'global'}${absorbedBy ? `:${discountAmount}:${absorbedBy}` : ''}${professionalId ? `:${professionalId}` : ''}`;
 
     // Intentar obtener del caché
     const cachedResult = await redisGet(cacheKey);
@@ -392,10 +726,11 @@ async function calculateCommission(amount, serviceType = null) {
       return JSON.parse(cachedResult);
     }
 
-    const commissionSetting = await getApplicableCommission(serviceType);
+    const commissionSetting = await getApplicableCommission(serviceType, professionalId);
 
-    const commissionAmount = Math.round(amount * (commissionSetting.porcentaje / 100));
-    const professionalAmount = amount - commissionAmount;
+    const commissionBase = absorbedBy === 'profesional' ? amount - discountAmount : amount;
+    const commissionAmount = Math.round(commissionBase * (commissionSetting.porcentaje / 100));
+    const professionalAmount = commissionBase - commissionAmount;
 
     const result = {
       originalAmount: amount,
@@ -405,10 +740,23 @@ async function calculateCommission(amount, serviceType = null) {
       commissionSetting: {
         id: commissionSetting.id,
         nombre: commissionSetting.nombre,
-        tipo_servicio: commissionSetting.tipo_servicio
+        tipo_servicio: commissionSetting.tipo_servicio,
+        tipo_regla: commissionSetting.tipo_regla || 'general'
       }
     };
 
+    if (absorbedBy) {
+      const chargedAmount = roundAmount(amount - discountAmount);
+      Object.assign(result, {
+        discountAmount,
+        discountAbsorbedBy: absorbedBy,
+        chargedAmount,
+        commissionBase,
+        // Lo que efectivamente retiene la plataforma de lo cobrado; negativo si el subsidio supera la comisión
+        platformNetAmount: roundAmount(chargedAmount - professionalAmount)
+      });
+    }
+
     // Cachear el resultado
     await redisSet(cacheKey, JSON.stringify(result), COMMISSION_CACHE_TTL);
 
@@ -432,6 +780,34 @@ async function calculateCommission(amount, serviceType = null) {
   }
 }
 
+/**
+ * Calcula el monto bruto a liberar por una porción cobrada de un pago con cupón o en cuotas
+ * - Descuento absorbido por la plataforma: el profesional cobra como si no hubiera cupón;
+ *   la plataforma subsidia la parte proporcional del descuento y la comisión se calcula sobre el precio de lista.
+ * - Descuento absorbido por el profesional (o sin cupón): la base es lo cobrado al cliente.
+ * - Cuotas sin interés: la plataforma absorbe el costo de financiación y la comisión se calcula sobre
+ *   el neto acreditado (commissionBase); el bruto del profesional no cambia.
+ * @param {Object} payment - Pago con monto_total, monto_descuento, descuento_absorbido_por y costo_financiacion
+ * @param {number} chargedAmount - Porción de lo cobrado al cliente que se libera
+ * @returns {Object} { chargedAmount, subsidyAmount, financingCost, grossAmount, commissionBase }
+ */
+function getReleaseBase(payment, chargedAmount) {
+  const share = payment.monto_total > 0 ? chargedAmount / payment.monto_total : 0;
+  const subsidyAmount = payment.descuento_absorbido_por === 'plataforma' && payment.monto_descuento > 0
+    ? roundAmount(payment.monto_descuento * share)
+    : 0;
+  const financingCost = payment.costo_financiacion > 0 ? roundAmount(payment.costo_financiacion * share) : 0;
+  const grossAmount = roundAmount(chargedAmount + subsidyAmount);
+
+  return {
+    chargedAmount,
+    subsidyAmount,
+    financingCost,
+    grossAmount,
+    commissionBase: roundAmount(grossAmount - financingCost)
+  };
+}
+
 /**
  * Obtiene estadísticas de uso de comisiones
  * @returns {Object} Estadísticas de comisiones
@@ -577,6 +953,143 @@ async function updateGlobalCommission(percentage, minimumFee, adminId) {
   }
 }
 
+/**
+ * Calcula la comisión sobre una propina
+ * Las propinas no usan las reglas de servicios: se les aplica TIP_COMMISSION_PERCENTAGE
+ * @param {number} amount - Monto de la propina
+ * @returns {Object} { porcentaje, commissionAmount, professionalAmount }
+ */
+function calculateTipCommission(amount) {
+  const commissionAmount = Math.round(amount * (TIP_COMMISSION_PERCENTAGE / 100));
+
+  return {
+    porcentaje: TIP_COMMISSION_PERCENTAGE,
+    commissionAmount,
+    professionalAmount: amount - commissionAmount
+  };
+}
+
+/**
+ * Registra en el libro mayor la comisión cobrada al liberar fondos (RB-03)
+ * Debita la custodia del cliente y acredita la cuenta de comisiones de plataforma
+ * @param {Object} params - Datos de la comisión
+ * @param {number} params.amount - Comisión cobrada
+ * @param {string} params.paymentId - Pago del que se descuenta (opcional)
+ * @param {string} params.clientId - Cliente dueño de la custodia (opcional)
+ * @param {string} params.entityType - Entidad que origina la liberación (ej. "payouts")
+ * @param {string} params.entityId - ID de la entidad que origina la liberación
+ * @param {string} [params.currency] - Moneda del pago (por defecto, la base)
+ * @returns {Object|null} Asiento registrado
+ */
+async function recordCommissionEarned({ amount, paymentId = null, clientId = null, entityType, entityId, currency }) {
+  if (!amount || amount <= 0) {
+    return null;
+  }
+
+  const { recordJournalEntry, LEDGER_ACCOUNTS } = require('./ledgerService');
+  return recordJournalEntry({
+    tipo: 'comision_cobrada',
+    descripcion: `Comisión de plataforma de $${amount}${paymentId ? ` sobre el pago ${paymentId}` : ''}`,
+    entidadTipo: entityType,
+    entidadId: entityId,
+    moneda: currency,
+    lineas: [
+      { cuenta: LEDGER_ACCOUNTS.CUSTODIA.codigo, debe: amount, usuarioId: clientId, pagoId: paymentId },
+      { cuenta: LEDGER_ACCOUNTS.COMISIONES.codigo, haber: amount, pagoId: paymentId }
+    ]
+  });
+}
+
+/**
+ * Registra en el libro mayor la reversión de comisión por un reembolso
+ * La comisión vuelve a la custodia para poder devolverse al cliente
+ * @param {Object} params - Datos de la reversión
+ * @param {number} params.amount - Comisión revertida
+ * @param {string} params.paymentId - Pago reembolsado (opcional)
+ * @param {string} params.clientId - Cliente dueño de la custodia (opcional)
+ * @param {string} params.refundId - ID del reembolso que origina la reversión
+ * @param {string} [params.currency] - Moneda del pago (por defecto, la base)
+ * @returns {Object|null} Asiento registrado
+ */
+async function recordCommissionReversal({ amount, paymentId = null, clientId = null, refundId, currency }) {
+  if (!amount || amount <= 0) {
+    return null;
+  }
+
+  const { recordJournalEntry, LEDGER_ACCOUNTS } = require('./ledgerService');
+  return recordJournalEntry({
+    tipo: 'comision_revertida',
+    descripcion: `Reversión de comisión de $${amount} por reembolso ${refundId}`,
+    entidadTipo: 'reembolsos',
+    entidadId: refundId,
+    moneda: currency,
+    lineas: [
+      { cuenta: LEDGER_ACCOUNTS.COMISIONES.codigo, debe: amount, pagoId: paymentId },
+      { cuenta: LEDGER_ACCOUNTS.CUSTODIA.codigo, haber: amount, usuarioId: clientId, pagoId: paymentId }
+    ]
+  });
+}
+
+/**
+ * Registra en el libro mayor el subsidio de la plataforma por un descuento que absorbe
+ * El descuento es un gasto de la plataforma que completa la custodia hasta el precio de lista
+ * @param {Object} params - Datos del subsidio
+ * @param {number} params.amount - Monto subsidiado
+ * @param {string} params.paymentId - Pago con cupón (opcional)
+ * @param {string} params.clientId - Cliente dueño de la custodia (opcional)
+ * @param {string} params.entityType - Entidad que origina la liberación (ej. "payouts")
+ * @param {string} params.entityId - ID de la entidad que origina la liberación
+ * @param {string} [params.currency] - Moneda del pago (por defecto, la base)
+ * @returns {Object|null} Asiento registrado
+ */
+async function recordDiscountSubsidy({ amount, paymentId = null, clientId = null, entityType, entityId, currency }) {
+  if (!amount || amount <= 0) {
+    return null;
+  }
+
+  const { recordJournalEntry, LEDGER_ACCOUNTS } = require('./ledgerService');
+  return recordJournalEntry({
+    tipo: 'subsidio_descuento',
+    descripcion: `Subsidio de plataforma de $${amount} por cupón${paymentId ? ` en el pago ${paymentId}` : ''}`,
+    entidadTipo: entityType,
+    entidadId: entityId,
+    moneda: currency,
+    lineas: [
+      { cuenta: LEDGER_ACCOUNTS.DESCUENTOS.codigo, debe: amount, pagoId: paymentId },
+      { cuenta: LEDGER_ACCOUNTS.CUSTODIA.codigo, haber: amount, usuarioId: clientId, pagoId: paymentId }
+    ]
+  });
+}
+
+/**
+ * Registra en el libro mayor la reversión del subsidio por descuento cuando se reembolsa un pago liberado
+ * @param {Object} params - Datos de la reversión
+ * @param {number} params.amount - Subsidio revertido
+ * @param {string} params.paymentId - Pago reembolsado (opcional)
+ * @param {string} params.clientId - Cliente dueño de la custodia (opcional)
+ * @param {string} params.refundId - ID del reembolso que origina la reversión
+ * @param {string} [params.currency] - Moneda del pago (por defecto, la base)
+ * @returns {Object|null} Asiento registrado
+ */
+async function recordDiscountSubsidyReversal({ amount, paymentId = null, clientId = null, refundId, currency }) {
+  if (!amount || amount <= 0) {
+    return null;
+  }
+
+  const { recordJournalEntry, LEDGER_ACCOUNTS } = require('./ledgerService');
+  return recordJournalEntry({
+    tipo: 'subsidio_revertido',
+    descripcion: `Reversión de subsidio por cupón de $${amount} por reembolso ${refundId}`,
+    entidadTipo: 'reembolsos',
+    entidadId: refundId,
+    moneda: currency,
+    lineas: [
+      { cuenta: LEDGER_ACCOUNTS.CUSTODIA.codigo, debe: amount, usuarioId: clientId, pagoId: paymentId },
+      { cuenta: LEDGER_ACCOUNTS.DESCUENTOS.codigo, haber: amount, pagoId: paymentId }
+    ]
+  });
+}
+
 /**
  * Función auxiliar para logging de transacciones
  */
@@ -596,10 +1109,22 @@ async function logTransaction(logData) {
 module.exports = {
   getCommissionSettings,
   getApplicableCommission,
+  getProfessionalCommissionContext,
+  selectCommissionRule,
+  getEffectiveCommissionPreview,
   createCommissionSetting,
   updateCommissionSetting,
   deactivateCommissionSetting,
   calculateCommission,
+  calculateTipCommission,
   getCommissionStats,
   updateGlobalCommission,
+  getReleaseBase,
+  recordCommissionEarned,
+  recordCommissionReversal,
+  recordDiscountSubsidy,
+  recordDiscountSubsidyReversal,
+  DISCOUNT_ABSORBERS,
+  COMMISSION_RULE_TYPES,
+  TIP_COMMISSION_PERCENTAGE,
 };
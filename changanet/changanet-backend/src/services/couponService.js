@@ -0,0 +1,529 @@
+/**
+ * Servicio de cupones de descuento
+ * Implementa REQ-41 (Integración pasarelas) y REQ-43 (Comisiones)
+ * Los cupones se aplican al crear la preferencia de pago: el cliente paga el precio rebajado
+ * y el pago registra quién absorbe el descuento (ver commissionService.getReleaseBase):
+ * - 'plataforma': el profesional cobra como si no hubiera cupón; la plataforma subsidia el descuento.
+ * - 'profesional': la comisión y el monto del profesional se calculan sobre el precio rebajado.
+ *   Solo se admite en cupones restringidos a un profesional.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const logger = require('./logger');
+const { DISCOUNT_ABSORBERS } = require('./commissionService');
+
+const prisma = new PrismaClient();
+
+const COUPON_TYPES = ['porcentaje', 'monto_fijo'];
+
+// Pagos que ya fueron cobrados (para los cupones de primer servicio)
+const COLLECTED_PAYMENT_STATES = ['aprobado', 'en_disputa', 'liberado', 'reembolsado'];
+
+const COUPON_CODE_PATTERN = /^[A-Z0-9_-]{3,30}$/;
+
+/**
+ * Redondea un monto a centavos
+ * @param {number} amount - Monto
+ * @returns {number} Monto redondeado
+ */
+function roundAmount(amount) {
+  return Math.round((amount || 0) * 100) / 100;
+}
+
+/**
+ * Registra una operación sobre cupones en transactions_log
+ * @param {Object} logData - Datos a registrar
+ */
+async function logTransaction(logData) {
+  try {
+    await prisma.transactions_log.create({
+      data: logData
+    });
+  } catch (error) {
+    logger.error('Error logging coupon transaction', {
+      service: 'coupons',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Normaliza el código ingresado por el usuario
+ * @param {string} code - Código del cupón
+ * @returns {string} Código en mayúsculas sin espacios
+ */
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Convierte un valor opcional a entero positivo o null
+ * @param {*} value - Valor recibido
+ * @param {string} field - Nombre del campo (para el mensaje de error)
+ * @returns {number|null} Entero o null
+ */
+function parseOptionalLimit(value, field) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const parsed = parseInt(value, 10);
+  if (isNaN(parsed) || parsed <= 0) {
+    throw new Error(`El campo ${field} debe ser un entero positivo`);
+  }
+  return parsed;
+}
+
+/**
+ * Valida y normaliza los datos de un cupón
+ * @param {Object} data - Datos recibidos
+ * @param {Object} current - Cupón actual (en actualizaciones)
+ * @returns {Object} Datos listos para Prisma (sin categorías)
+ */
+function buildCouponData(data, current = null) {
+  const merged = { ...(current || {}), ...data };
+  const result = {};
+
+  if (!current || data.codigo !== undefined) {
+    const codigo = normalizeCode(data.codigo);
+    if (!COUPON_CODE_PATTERN.test(codigo)) {
+      throw new Error('El código del cupón debe tener entre 3 y 30 caracteres (letras, números, "-" o "_")');
+    }
+    result.codigo = codigo;
+  }
+
+  if (!COUPON_TYPES.includes(merged.tipo)) {
+    throw new Error(`Tipo de cupón inválido. Valores permitidos: ${COUPON_TYPES.join(', ')}`);
+  }
+
+  const valor = parseFloat(merged.valor);
+  if (isNaN(valor) || valor <= 0 || (merged.tipo === 'porcentaje' && valor > 100)) {
+    throw new Error('El valor del cupón debe ser mayor a 0 (y no superar 100 si es porcentual)');
+  }
+
+  const absorbidoPor = merged.absorbido_por || 'plataforma';
+  if (!DISCOUNT_ABSORBERS.includes(absorbidoPor)) {
+    throw new Error(`Absorción de descuento inválida. Valores permitidos: ${DISCOUNT_ABSORBERS.join(', ')}`);
+  }
+
+  // Un profesional solo resigna ingresos en promociones de sus propios servicios
+  if (absorbidoPor === 'profesional' && !merged.profesional_id) {
+    throw new Error('Un descuento absorbido por el profesional requiere restringir el cupón a ese profesional');
+  }
+
+  const validoDesde = merged.valido_desde ? new Date(merged.valido_desde) : null;
+  const validoHasta = merged.valido_hasta ? new Date(merged.valido_hasta) : null;
+  if ((validoDesde && isNaN(validoDesde.getTime())) || (validoHasta && isNaN(validoHasta.getTime()))) {
+    throw new Error('Las fechas de vigencia del cupón son inválidas');
+  }
+  if (validoDesde && validoHasta && validoHasta <= validoDesde) {
+    throw new Error('La fecha de fin de vigencia debe ser posterior a la de inicio');
+  }
+
+  const montoMaximo = merged.monto_maximo_descuento ? parseFloat(merged.monto_maximo_descuento) : null;
+  const montoMinimo = merged.monto_minimo ? parseFloat(merged.monto_minimo) : null;
+  if ((montoMaximo !== null && (isNaN(montoMaximo) || montoMaximo <= 0)) ||
+      (montoMinimo !== null && (isNaN(montoMinimo) || montoMinimo < 0))) {
+    throw new Error('Los montos máximo de descuento y mínimo de compra deben ser positivos');
+  }
+
+  return {
+    ...result,
+    descripcion: merged.descripcion || null,
+    tipo: merged.tipo,
+    valor,
+    monto_maximo_descuento: montoMaximo,
+    monto_minimo: montoMinimo,
+    absorbido_por: absorbidoPor,
+    profesional_id: merged.profesional_id || null,
+    solo_primer_servicio: Boolean(merged.solo_primer_servicio),
+    max_usos_totales: parseOptionalLimit(merged.max_usos_totales, 'max_usos_totales'),
+    max_usos_por_usuario: parseOptionalLimit(merged.max_usos_por_usuario, 'max_usos_por_usuario'),
+    valido_desde: validoDesde,
+    valido_hasta: validoHasta,
+    ...(merged.activo !== undefined ? { activo: Boolean(merged.activo) } : {})
+  };
+}
+
+/**
+ * Verifica que las categorías indicadas existan
+ * @param {Array<string>} categoryIds - IDs de categories
+ * @returns {Array<string>} IDs validados
+ */
+async function validateCategoryIds(categoryIds) {
+  if (!Array.isArray(categoryIds)) {
+    throw new Error('Las categorías deben enviarse como lista de IDs');
+  }
+
+  const ids = [...new Set(categoryIds)];
+  if (ids.length === 0) {
+    return ids;
+  }
+
+  const found = await prisma.categories.count({ where: { id: { in: ids } } });
+  if (found !== ids.length) {
+    throw new Error('Alguna de las categorías indicadas no existe');
+  }
+
+  return ids;
+}
+
+/**
+ * Crea un cupón
+ * @param {Object} data - Datos del cupón (campos de la tabla cupones y categorias: [ids])
+ * @param {string} adminId - Administrador que lo crea
+ * @returns {Object} Cupón creado
+ */
+async function createCoupon(data, adminId) {
+  const couponData = buildCouponData(data);
+  const categoryIds = data.categorias ? await validateCategoryIds(data.categorias) : [];
+
+  let coupon;
+  try {
+    coupon = await prisma.cupones.create({
+      data: {
+        ...couponData,
+        creado_por: adminId,
+        categorias: { connect: categoryIds.map(id => ({ id })) }
+      },
+      include: { categorias: { select: { id: true, nombre: true } } }
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw new Error('Ya existe un cupón con ese código');
+    }
+    throw error;
+  }
+
+  await logTransaction({
+    tipo_transaccion: 'coupon_created',
+    entidad_tipo: 'cupones',
+    entidad_id: coupon.id,
+    usuario_id: adminId,
+    detalles: {
+      codigo: coupon.codigo,
+      tipo: coupon.tipo,
+      valor: coupon.valor,
+      absorbidoPor: coupon.absorbido_por,
+      categorias: categoryIds
+    }
+  });
+
+  logger.info('Coupon created', {
+    service: 'coupons',
+    adminId,
+    couponId: coupon.id,
+    codigo: coupon.codigo
+  });
+
+  return coupon;
+}
+
+/**
+ * Actualiza un cupón (vigencia, topes, estado o categorías)
+ * @param {string} couponId - ID del cupón
+ * @param {Object} data - Campos a modificar
+ * @param {string} adminId - Administrador que lo modifica
+ * @returns {Object} Cupón actualizado
+ */
+async function updateCoupon(couponId, data, adminId) {
+  const current = await prisma.cupones.findUnique({ where: { id: couponId } });
+
+  if (!current) {
+    throw new Error('Cupón no encontrado');
+  }
+
+  const couponData = buildCouponData(data, current);
+  const categoryIds = data.categorias ? await validateCategoryIds(data.categorias) : null;
+
+  let coupon;
+  try {
+    coupon = await prisma.cupones.update({
+      where: { id: couponId },
+      data: {
+        ...couponData,
+        ...(categoryIds ? { categorias: { set: categoryIds.map(id => ({ id })) } } : {})
+      },
+      include: { categorias: { select: { id: true, nombre: true } } }
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw new Error('Ya existe un cupón con ese código');
+    }
+    throw error;
+  }
+
+  await logTransaction({
+    tipo_transaccion: 'coupon_updated',
+    entidad_tipo: 'cupones',
+    entidad_id: couponId,
+    usuario_id: adminId,
+    detalles: { cambios: Object.keys(data) }
+  });
+
+  return coupon;
+}
+
+/**
+ * Lista cupones con sus categorías
+ * @param {Object} filters - { activo, page, limit }
+ * @returns {Object} { coupons, pagination }
+ */
+async function listCoupons(filters = {}) {
+  const take = Math.min(parseInt(filters.limit, 10) || 20, 100);
+  const skip = (Math.max(parseInt(filters.page, 10) || 1, 1) - 1) * take;
+  const where = filters.activo !== undefined ? { activo: filters.activo === true || filters.activo === 'true' } : {};
+
+  const [coupons, total] = await Promise.all([
+    prisma.cupones.findMany({
+      where,
+      include: { categorias: { select: { id: true, nombre: true } } },
+      orderBy: { creado_en: 'desc' },
+      skip,
+      take
+    }),
+    prisma.cupones.count({ where })
+  ]);
+
+  return {
+    coupons,
+    pagination: {
+      page: Math.floor(skip / take) + 1,
+      limit: take,
+      total,
+      pages: Math.ceil(total / take)
+    }
+  };
+}
+
+/**
+ * Obtiene las especialidades del profesional del servicio (los servicios no tienen categoría propia)
+ * @param {Object} service - Servicio con profesional.perfil_profesional
+ * @returns {Array<string>} Nombres en minúsculas
+ */
+function getServiceCategoryNames(service) {
+  const profile = service.profesional?.perfil_profesional;
+  if (!profile) {
+    return [];
+  }
+
+  let specialties = [];
+  if (profile.especialidades) {
+    try {
+      const parsed = JSON.parse(profile.especialidades);
+      specialties = Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      specialties = [];
+    }
+  }
+
+  return [profile.especialidad, ...specialties]
+    .filter(Boolean)
+    .map(name => String(name).trim().toLowerCase());
+}
+
+/**
+ * Indica si el servicio pertenece a alguna de las categorías (o sus subcategorías)
+ * @param {Array<Object>} categories - Categorías con nombre y subcategories (sin categorías = cualquier servicio)
+ * @param {Object} service - Servicio con profesional.perfil_profesional
+ * @returns {boolean} true si el servicio está alcanzado
+ */
+function matchesServiceCategories(categories, service) {
+  if (!categories || categories.length === 0) {
+    return true;
+  }
+
+  const serviceCategories = getServiceCategoryNames(service);
+  const allowed = categories.flatMap(category => [
+    category.nombre,
+    ...(category.subcategories || []).map(sub => sub.nombre)
+  ]).map(name => name.trim().toLowerCase());
+
+  return serviceCategories.some(name => allowed.includes(name));
+}
+
+/**
+ * Calcula el descuento de un cupón sobre un monto
+ * El precio resultante nunca baja del mínimo de pago aceptado por la pasarela
+ * Los montos fijos del cupón y el mínimo de pago están en moneda base y se convierten con exchangeRate
+ * @param {Object} coupon - Cupón
+ * @param {number} amount - Precio del servicio (en la moneda del pago)
+ * @param {number} [exchangeRate] - Tipo de cambio de la moneda del pago respecto de la moneda base
+ * @returns {number} Monto del descuento
+ */
+function calculateDiscount(coupon, amount, exchangeRate = 1) {
+  let discount = coupon.tipo === 'porcentaje'
+    ? roundAmount(amount * coupon.valor / 100)
+    : roundAmount(coupon.valor / exchangeRate);
+
+  if (coupon.monto_maximo_descuento) {
+    discount = Math.min(discount, roundAmount(coupon.monto_maximo_descuento / exchangeRate));
+  }
+
+  const minPayment = roundAmount(parseFloat(process.env.MIN_PAYMENT_AMOUNT || '500') / exchangeRate);
+  const maxDiscount = roundAmount(amount - minPayment);
+  if (maxDiscount <= 0) {
+    throw new Error(`El monto del servicio no admite descuentos (mínimo de pago $${minPayment})`);
+  }
+
+  return Math.min(discount, maxDiscount);
+}
+
+/**
+ * Valida un cupón para el pago de un servicio y calcula el descuento
+ * @param {string} code - Código ingresado por el cliente
+ * @param {Object} context
+ * @param {string} context.clientId - Cliente que paga
+ * @param {Object} context.service - Servicio con profesional.perfil_profesional
+ * @param {number} context.amount - Precio del servicio antes del descuento
+ * @param {number} [context.exchangeRate] - Tipo de cambio de la moneda del pago respecto de la moneda base
+ * @returns {Object} { coupon, discountAmount, finalAmount, absorbidoPor }
+ */
+async function validateCoupon(code, { clientId, service, amount, exchangeRate = 1 }) {
+  const coupon = await prisma.cupones.findUnique({
+    where: { codigo: normalizeCode(code) },
+    include: {
+      categorias: {
+        select: { id: true, nombre: true, subcategories: { select: { nombre: true } } }
+      }
+    }
+  });
+
+  if (!coupon || !coupon.activo) {
+    throw new Error('Cupón inválido o inactivo');
+  }
+
+  const now = new Date();
+  if (coupon.valido_desde && coupon.valido_desde > now) {
+    throw new Error('El cupón todavía no está vigente');
+  }
+  if (coupon.valido_hasta && coupon.valido_hasta < now) {
+    throw new Error('El cupón está vencido');
+  }
+
+  if (coupon.max_usos_totales !== null && coupon.usos_actuales >= coupon.max_usos_totales) {
+    throw new Error('El cupón alcanzó su límite de usos');
+  }
+
+  if (coupon.profesional_id && coupon.profesional_id !== service.profesional_id) {
+    throw new Error('El cupón no es válido para este profesional');
+  }
+
+  if (!matchesServiceCategories(coupon.categorias, service)) {
+    throw new Error('El cupón no es válido para la categoría de este servicio');
+  }
+
+  if (coupon.monto_minimo && amount < roundAmount(coupon.monto_minimo / exchangeRate)) {
+    throw new Error(`El cupón requiere un monto mínimo de $${roundAmount(coupon.monto_minimo / exchangeRate)}`);
+  }
+
+  if (coupon.max_usos_por_usuario !== null) {
+    const userRedemptions = await prisma.cupones_usos.count({
+      where: { cupon_id: coupon.id, usuario_id: clientId, estado: 'aplicado' }
+    });
+    if (userRedemptions >= coupon.max_usos_por_usuario) {
+      throw new Error('Ya usaste este cupón el máximo de veces permitido');
+    }
+  }
+
+  if (coupon.solo_primer_servicio) {
+    const previousPayments = await prisma.pagos.count({
+      where: { cliente_id: clientId, estado: { in: COLLECTED_PAYMENT_STATES } }
+    });
+    if (previousPayments > 0) {
+      throw new Error('El cupón es válido solo para tu primer servicio');
+    }
+  }
+
+  const discountAmount = calculateDiscount(coupon, amount, exchangeRate);
+
+  return {
+    coupon,
+    discountAmount,
+    finalAmount: roundAmount(amount - discountAmount),
+    absorbidoPor: coupon.absorbido_por
+  };
+}
+
+/**
+ * Registra el canje de un cupón en un pago
+ * El tope global se verifica de forma atómica para evitar canjes de más en pagos simultáneos.
+ * @param {Object} redemption
+ * @param {Object} redemption.coupon - Cupón validado
+ * @param {string} redemption.clientId - Cliente
+ * @param {string} redemption.paymentId - Pago creado con el descuento
+ * @param {number} redemption.discountAmount - Descuento aplicado
+ * @param {Object} db - Cliente Prisma o transacción en curso
+ * @returns {Object} Canje registrado
+ */
+async function redeemCoupon({ coupon, clientId, paymentId, discountAmount }, db = prisma) {
+  if (coupon.max_usos_totales !== null) {
+    const { count } = await db.cupones.updateMany({
+      where: { id: coupon.id, usos_actuales: { lt: coupon.max_usos_totales } },
+      data: { usos_actuales: { increment: 1 } }
+    });
+
+    if (count === 0) {
+      throw new Error('El cupón alcanzó su límite de usos');
+    }
+  } else {
+    await db.cupones.update({
+      where: { id: coupon.id },
+      data: { usos_actuales: { increment: 1 } }
+    });
+  }
+
+  return db.cupones_usos.create({
+    data: {
+      cupon_id: coupon.id,
+      usuario_id: clientId,
+      pago_id: paymentId,
+      monto_descuento: discountAmount
+    }
+  });
+}
+
+/**
+ * Anula el canje de un pago rechazado para que no consuma los topes del cupón
+ * @param {string} paymentId - ID del pago
+ * @returns {Object|null} Canje anulado o null si el pago no usó cupón
+ */
+async function voidCouponRedemption(paymentId) {
+  const redemption = await prisma.cupones_usos.findUnique({ where: { pago_id: paymentId } });
+
+  if (!redemption || redemption.estado !== 'aplicado') {
+    return null;
+  }
+
+  const [voided] = await prisma.$transaction([
+    prisma.cupones_usos.update({
+      where: { id: redemption.id },
+      data: { estado: 'anulado' }
+    }),
+    prisma.cupones.update({
+      where: { id: redemption.cupon_id },
+      data: { usos_actuales: { decrement: 1 } }
+    })
+  ]);
+
+  logger.info('Coupon redemption voided', {
+    service: 'coupons',
+    paymentId,
+    couponId: redemption.cupon_id
+  });
+
+  return voided;
+}
+
+module.exports = {
+  COUPON_TYPES,
+  validateCategoryIds,
+  matchesServiceCategories,
+  createCoupon,
+  updateCoupon,
+  listCoupons,
+  calculateDiscount,
+  validateCoupon,
+  redeemCoupon,
+  voidCouponRedemption
+};
@@ -0,0 +1,274 @@
+/**
+ * Servicio de monedas y tipos de cambio
+ * Implementa la operación en varios países (Argentina, Uruguay, Chile)
+ *
+ * Cada profesional cotiza en su moneda (perfiles_profesionales.moneda) y los pagos se cobran en esa moneda.
+ * Los tipos de cambio se mantienen localmente en tipos_cambio (cargados por administradores) y expresan
+ * cuántas unidades de la moneda base de la plataforma vale una unidad de cada moneda. Cada pago guarda el
+ * tipo de cambio vigente al crearse (pagos.tipo_cambio) para que los reportes consolidados no cambien
+ * cuando se actualiza la tabla.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const logger = require('./logger');
+const { logAuditEvent } = require('./auditService');
+
+const prisma = new PrismaClient();
+
+// Monedas habilitadas; decimales indica cómo se redondean y muestran los montos
+const CURRENCIES = {
+  ARS: { nombre: 'Peso argentino', locale: 'es-AR', decimales: 2 },
+  UYU: { nombre: 'Peso uruguayo', locale: 'es-UY', decimales: 2 },
+  CLP: { nombre: 'Peso chileno', locale: 'es-CL', decimales: 0 }
+};
+
+// Moneda en la que se consolidan reportes, límites de pago y montos fijos (cupones, mínimos)
+const BASE_CURRENCY = process.env.PLATFORM_BASE_CURRENCY || 'ARS';
+
+/**
+ * Indica si una moneda está habilitada
+ * @param {string} currency - Código ISO 4217
+ * @returns {boolean}
+ */
+function isSupportedCurrency(currency) {
+  return Object.prototype.hasOwnProperty.call(CURRENCIES, currency);
+}
+
+/**
+ * Normaliza un código de moneda; sin código devuelve la moneda base
+ * @param {string} [currency] - Código ISO 4217
+ * @returns {string} Código en mayúsculas
+ */
+function normalizeCurrency(currency) {
+  const code = currency ? String(currency).trim().toUpperCase() : BASE_CURRENCY;
+
+  if (!isSupportedCurrency(code)) {
+    throw new Error(`Moneda inválida. Opciones: ${Object.keys(CURRENCIES).join(', ')}`);
+  }
+
+  return code;
+}
+
+/**
+ * Redondea un monto según los decimales de su moneda
+ * @param {number} amount - Monto
+ * @param {string} [currency] - Moneda (por defecto, la base)
+ * @returns {number} Monto redondeado
+ */
+function roundAmount(amount, currency = BASE_CURRENCY) {
+  const factor = 10 ** (CURRENCIES[currency]?.decimales ?? 2);
+  return Math.round((amount || 0) * factor) / factor;
+}
+
+/**
+ * Formatea un monto con el formato local de su moneda (ej. "$ 1.500,50" en ARS, "$15.000" en CLP)
+ * @param {number} amount - Monto
+ * @param {string} [currency] - Moneda (por defecto, la base)
+ * @returns {string} Monto formateado
+ */
+function formatAmount(amount, currency = BASE_CURRENCY) {
+  const definition = CURRENCIES[currency] || CURRENCIES[BASE_CURRENCY];
+
+  return new Intl.NumberFormat(definition.locale, {
+    style: 'currency',
+    currency: isSupportedCurrency(currency) ? currency : BASE_CURRENCY,
+    minimumFractionDigits: definition.decimales,
+    maximumFractionDigits: definition.decimales
+  }).format(amount || 0);
+}
+
+/**
+ * Obtiene el tipo de cambio vigente de una moneda respecto de la moneda base
+ * @param {string} currency - Moneda
+ * @param {Date} [at] - Fecha de referencia
+ * @returns {Object} { moneda, tasa, vigente_desde } (tasa = unidades de moneda base por unidad)
+ */
+async function getExchangeRate(currency, at = new Date()) {
+  const code = normalizeCurrency(currency);
+
+  if (code === BASE_CURRENCY) {
+    return { moneda: code, tasa: 1, vigente_desde: null };
+  }
+
+  const rate = await prisma.tipos_cambio.findFirst({
+    where: { moneda: code, vigente_desde: { lte: at } },
+    orderBy: { vigente_desde: 'desc' }
+  });
+
+  if (!rate) {
+    throw new Error(`No hay tipo de cambio cargado para ${code}`);
+  }
+
+  return { moneda: code, tasa: rate.tasa, vigente_desde: rate.vigente_desde };
+}
+
+/**
+ * Datos de moneda a guardar en un pago: la moneda y el tipo de cambio vigente
+ * @param {string} currency - Moneda del pago
+ * @returns {Object} { moneda, tipo_cambio, tipo_cambio_fecha }
+ */
+async function getRateSnapshot(currency) {
+  const rate = await getExchangeRate(currency);
+
+  return {
+    moneda: rate.moneda,
+    tipo_cambio: rate.tasa,
+    tipo_cambio_fecha: rate.vigente_desde || new Date()
+  };
+}
+
+/**
+ * Convierte un monto a la moneda base con un tipo de cambio dado
+ * @param {number} amount - Monto en la moneda original
+ * @param {number} rate - Tipo de cambio (unidades de moneda base por unidad)
+ * @returns {number} Monto en moneda base
+ */
+function toBaseCurrency(amount, rate = 1) {
+  return roundAmount((amount || 0) * rate, BASE_CURRENCY);
+}
+
+/**
+ * Convierte un monto en moneda base a otra moneda con un tipo de cambio dado
+ * @param {number} amount - Monto en moneda base
+ * @param {string} currency - Moneda destino
+ * @param {number} rate - Tipo de cambio de la moneda destino
+ * @returns {number} Monto en la moneda destino
+ */
+function fromBaseCurrency(amount, currency, rate = 1) {
+  return roundAmount((amount || 0) / rate, currency);
+}
+
+/**
+ * Convierte un monto entre dos monedas con los tipos de cambio vigentes
+ * @param {number} amount - Monto
+ * @param {string} from - Moneda origen
+ * @param {string} to - Moneda destino
+ * @returns {number} Monto convertido
+ */
+async function convert(amount, from, to) {
+  const fromCode = normalizeCurrency(from);
+  const toCode = normalizeCurrency(to);
+
+  if (fromCode === toCode) {
+    return roundAmount(amount, toCode);
+  }
+
+  const [fromRate, toRate] = await Promise.all([getExchangeRate(fromCode), getExchangeRate(toCode)]);
+  return fromBaseCurrency(amount * fromRate.tasa, toCode, toRate.tasa);
+}
+
+/**
+ * Lista las monedas habilitadas con su tipo de cambio vigente
+ * @returns {Object} { base, monedas: [{ codigo, nombre, decimales, tasa, vigente_desde }] }
+ */
+async function listCurrencies() {
+  const currencies = await Promise.all(Object.entries(CURRENCIES).map(async ([code, definition]) => {
+    const rate = await getExchangeRate(code).catch(() => null);
+
+    return {
+      codigo: code,
+      nombre: definition.nombre,
+      decimales: definition.decimales,
+      tasa: rate ? rate.tasa : null,
+      vigente_desde: rate ? rate.vigente_desde : null
+    };
+  }));
+
+  return { base: BASE_CURRENCY, monedas: currencies };
+}
+
+/**
+ * Historial de tipos de cambio de una moneda
+ * @param {string} currency - Moneda
+ * @param {Object} filters - { page, limit }
+ * @returns {Object} { rates, pagination }
+ */
+async function listExchangeRates(currency, { page = 1, limit = 20 } = {}) {
+  const code = normalizeCurrency(currency);
+  const take = Math.min(parseInt(limit, 10) || 20, 100);
+  const currentPage = Math.max(parseInt(page, 10) || 1, 1);
+
+  const [rates, total] = await Promise.all([
+    prisma.tipos_cambio.findMany({
+      where: { moneda: code },
+      orderBy: { vigente_desde: 'desc' },
+      skip: (currentPage - 1) * take,
+      take
+    }),
+    prisma.tipos_cambio.count({ where: { moneda: code } })
+  ]);
+
+  return {
+    rates,
+    pagination: { page: currentPage, limit: take, total, pages: Math.ceil(total / take) }
+  };
+}
+
+/**
+ * Registra un nuevo tipo de cambio; los anteriores quedan como historial
+ * @param {string} currency - Moneda
+ * @param {Object} data - { tasa, vigente_desde?, fuente? }
+ * @param {string} adminId - ID del administrador
+ * @returns {Object} Tipo de cambio creado
+ */
+async function setExchangeRate(currency, { tasa, vigente_desde, fuente }, adminId) {
+  const code = normalizeCurrency(currency);
+
+  if (code === BASE_CURRENCY) {
+    throw new Error(`La moneda base (${BASE_CURRENCY}) no tiene tipo de cambio`);
+  }
+
+  const rate = parseFloat(tasa);
+  if (!(rate > 0)) {
+    throw new Error('Tipo de cambio inválido: debe ser un número mayor a 0');
+  }
+
+  const effectiveFrom = vigente_desde ? new Date(vigente_desde) : new Date();
+  if (isNaN(effectiveFrom.getTime())) {
+    throw new Error('Fecha de vigencia inválida');
+  }
+
+  const exchangeRate = await prisma.tipos_cambio.create({
+    data: {
+      moneda: code,
+      tasa: rate,
+      vigente_desde: effectiveFrom,
+      fuente: fuente || null,
+      creado_por: adminId
+    }
+  });
+
+  await logAuditEvent({
+    usuario_id: adminId,
+    accion: 'set_exchange_rate',
+    entidad_tipo: 'tipos_cambio',
+    entidad_id: exchangeRate.id,
+    detalles: { moneda: code, tasa: rate, vigente_desde: effectiveFrom, fuente }
+  });
+
+  logger.info('Exchange rate updated', {
+    service: 'currency',
+    adminId,
+    currency: code,
+    rate
+  });
+
+  return exchangeRate;
+}
+
+module.exports = {
+  CURRENCIES,
+  BASE_CURRENCY,
+  isSupportedCurrency,
+  normalizeCurrency,
+  roundAmount,
+  formatAmount,
+  getExchangeRate,
+  getRateSnapshot,
+  toBaseCurrency,
+  fromBaseCurrency,
+  convert,
+  listCurrencies,
+  listExchangeRates,
+  setExchangeRate
+};
@@ -0,0 +1,627 @@
+/**
+ * Servicio de disputas y mediación de pagos en custodia
+ * Implementa REQ-42: Custodia de fondos hasta liberación
+ * Permite al cliente disputar un pago antes de su liberación, congelando la
+ * liberación automática (RB-04) hasta que un administrador resuelva el caso.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const logger = require('./logger');
+const { validateFile, uploadDisputeEvidence, getSignedUrl } = require('./storageService');
+const { invalidatePaymentMetricsCache, invalidateProfessionalIncomeCache } = require('./paymentDashboardService');
+const { roundAmount } = require('./currencyService');
+
+const prisma = new PrismaClient();
+
+const ACTIVE_DISPUTE_STATES = ['abierta', 'en_revision'];
+// Estado transitorio mientras un administrador ejecuta la resolución (evita resolver dos veces)
+const RESOLVING_STATE = 'resolviendo';
+const DISPUTE_REASONS = ['servicio_incompleto', 'servicio_no_realizado', 'calidad_insatisfactoria', 'otro'];
+const DISPUTE_RESOLUTIONS = ['liberacion_total', 'reembolso_total', 'division_parcial'];
+
+/**
+ * Función auxiliar para logging de transacciones financieras
+ */
+async function logTransaction(logData) {
+  try {
+    await prisma.transactions_log.create({
+      data: logData
+    });
+  } catch (error) {
+    logger.error('Error logging dispute transaction', {
+      service: 'disputes',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Notifica a cliente y profesional sobre un cambio en la disputa
+ * @param {Object} dispute - Disputa con cliente_id y profesional_id
+ * @param {string} type - Tipo de notificación
+ * @param {Object} messages - Mensajes por destinatario { cliente, profesional }
+ * @param {Object} metadata - Metadatos adicionales
+ */
+async function notifyParties(dispute, type, messages, metadata = {}) {
+  const { createNotification } = require('./notificationService');
+  const payload = { disputeId: dispute.id, paymentId: dispute.pago_id, ...metadata };
+
+  try {
+    await Promise.all([
+      createNotification(dispute.cliente_id, type, messages.cliente, payload, 'HIGH'),
+      createNotification(dispute.profesional_id, type, messages.profesional, payload, 'HIGH')
+    ]);
+  } catch (error) {
+    // La disputa ya quedó registrada; un fallo de notificación no debe revertirla
+    logger.warn('Dispute notification failed', {
+      service: 'disputes',
+      disputeId: dispute.id,
+      type,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Abre una disputa sobre un pago en custodia
+ * El pago pasa a estado 'en_disputa', lo que lo excluye de la liberación automática
+ * @param {string} paymentId - ID del pago (pagos.id)
+ * @param {string} clientId - ID del cliente que disputa
+ * @param {Object} data - Datos de la disputa
+ * @param {string} data.motivo - Motivo de la disputa
+ * @param {string} data.descripcion - Relato del cliente
+ * @returns {Object} Disputa creada
+ */
+async function openDispute(paymentId, clientId, { motivo, descripcion }) {
+  if (!DISPUTE_REASONS.includes(motivo)) {
+    throw new Error(`Motivo de disputa inválido. Valores permitidos: ${DISPUTE_REASONS.join(', ')}`);
+  }
+
+  if (!descripcion || descripcion.trim().length < 10) {
+    throw new Error('La descripción de la disputa debe tener al menos 10 caracteres');
+  }
+
+  const payment = await prisma.pagos.findUnique({
+    where: { id: paymentId },
+    include: {
+      disputas: {
+        where: { estado: { in: ACTIVE_DISPUTE_STATES } },
+        select: { id: true }
+      }
+    }
+  });
+
+  if (!payment) {
+    throw new Error('Pago no encontrado');
+  }
+
+  if (payment.cliente_id !== clientId) {
+    throw new Error('No tienes permiso para disputar este pago');
+  }
+
+  if (payment.disputas.length > 0) {
+    throw new Error('Ya existe una disputa activa para este pago');
+  }
+
+  if (payment.estado !== 'aprobado') {
+    throw new Error('Solo se pueden disputar pagos en custodia que aún no fueron liberados');
+  }
+
+  const dispute = await prisma.$transaction(async (tx) => {
+    // Retener el pago solo si sigue en custodia: una liberación o disputa simultánea lo deja fuera
+    const held = await tx.pagos.updateMany({
+      where: { id: payment.id, estado: 'aprobado' },
+      data: { estado: 'en_disputa' }
+    });
+
+    if (held.count === 0) {
+      throw new Error('Solo se pueden disputar pagos en custodia que aún no fueron liberados');
+    }
+
+    return tx.disputas_pago.create({
+      data: {
+        pago_id: payment.id,
+        cliente_id: payment.cliente_id,
+        profesional_id: payment.profesional_id,
+        motivo,
+        descripcion: descripcion.trim()
+      }
+    });
+  });
+
+  await logTransaction({
+    tipo_transaccion: 'dispute_opened',
+    entidad_tipo: 'disputas_pago',
+    entidad_id: dispute.id,
+    usuario_id: clientId,
+    monto: payment.monto_total,
+    detalles: {
+      paymentId: payment.id,
+      serviceId: payment.servicio_id,
+      motivo,
+      previousPaymentState: payment.estado
+    },
+    ip_address: null,
+    user_agent: null
+  });
+
+  await notifyParties(dispute, 'disputa_abierta', {
+    cliente: `Abriste una disputa por $${payment.monto_total}. Los fondos quedan retenidos hasta su resolución.`,
+    profesional: `El cliente abrió una disputa sobre un pago de $${payment.monto_total}. Podés presentar tu descargo y evidencia.`
+  }, { motivo });
+
+  await invalidatePaymentMetricsCache();
+
+  logger.info('Payment dispute opened', {
+    service: 'disputes',
+    disputeId: dispute.id,
+    paymentId: payment.id,
+    clientId,
+    motivo
+  });
+
+  return dispute;
+}
+
+/**
+ * Agrega evidencia a una disputa activa (cliente o profesional)
+ * Cuando el profesional presenta su descargo la disputa pasa a revisión
+ * @param {string} disputeId - ID de la disputa
+ * @param {string} userId - ID del usuario que aporta la evidencia
+ * @param {Object} data - Evidencia
+ * @param {string} data.descripcion - Descargo o comentario
+ * @param {Object} data.file - Archivo de multer ({ buffer, mimetype, originalname })
+ * @returns {Object} Evidencia creada
+ */
+async function addEvidence(disputeId, userId, { descripcion, file }) {
+  if (!descripcion && !file) {
+    throw new Error('Debe incluir una descripción o un archivo como evidencia');
+  }
+
+  const dispute = await prisma.disputas_pago.findUnique({
+    where: { id: disputeId }
+  });
+
+  if (!dispute) {
+    throw new Error('Disputa no encontrada');
+  }
+
+  let rol;
+  if (dispute.cliente_id === userId) {
+    rol = 'cliente';
+  } else if (dispute.profesional_id === userId) {
+    rol = 'profesional';
+  } else {
+    throw new Error('No tienes permiso para aportar evidencia en esta disputa');
+  }
+
+  if (!ACTIVE_DISPUTE_STATES.includes(dispute.estado)) {
+    throw new Error('La disputa ya fue resuelta');
+  }
+
+  let archivo = null;
+  if (file) {
+    validateFile(file.buffer, file.mimetype, file.originalname);
+    archivo = await uploadDisputeEvidence(file.buffer, file.originalname, disputeId, userId);
+  }
+
+  const evidence = await prisma.evidencias_disputa.create({
+    data: {
+      disputa_id: disputeId,
+      usuario_id: userId,
+      rol_usuario: rol,
+      descripcion: descripcion || null,
+      archivo,
+      tipo_archivo: file ? file.mimetype : null
+    }
+  });
+
+  if (rol === 'profesional' && dispute.estado === 'abierta') {
+    // Condicional: no pisar una resolución que se esté ejecutando
+    await prisma.disputas_pago.updateMany({
+      where: { id: disputeId, estado: 'abierta' },
+      data: { estado: 'en_revision' }
+    });
+  }
+
+  await logTransaction({
+    tipo_transaccion: 'dispute_evidence_added',
+    entidad_tipo: 'disputas_pago',
+    entidad_id: disputeId,
+    usuario_id: userId,
+    monto: null,
+    detalles: {
+      evidenceId: evidence.id,
+      rol,
+      hasFile: Boolean(archivo)
+    },
+    ip_address: null,
+    user_agent: null
+  });
+
+  const author = rol === 'cliente' ? 'El cliente' : 'El profesional';
+  await notifyParties(dispute, 'disputa_evidencia', {
+    cliente: rol === 'cliente'
+      ? 'Tu evidencia fue agregada a la disputa.'
+      : `${author} presentó evidencia en la disputa.`,
+    profesional: rol === 'profesional'
+      ? 'Tu descargo fue agregado a la disputa.'
+      : `${author} presentó evidencia en la disputa.`
+  }, { evidenceId: evidence.id });
+
+  return evidence;
+}
+
+/**
+ * Resuelve una disputa (solo administradores)
+ * - liberacion_total: se liberan los fondos al profesional con la comisión habitual
+ * - reembolso_total: se reembolsa el total al cliente
+ * - division_parcial: se reembolsa montoReembolso y se libera el resto
+ * @param {string} disputeId - ID de la disputa
+ * @param {string} adminId - ID del administrador
+ * @param {Object} data - Resolución
+ * @param {string} data.resolucion - Tipo de resolución
+ * @param {number} data.montoReembolso - Monto a reembolsar (solo division_parcial)
+ * @param {string} data.notas - Fundamento de la decisión
+ * @returns {Object} Resultado de la resolución
+ */
+async function resolveDispute(disputeId, adminId, { resolucion, montoReembolso, notas }) {
+  if (!DISPUTE_RESOLUTIONS.includes(resolucion)) {
+    throw new Error(`Resolución inválida. Valores permitidos: ${DISPUTE_RESOLUTIONS.join(', ')}`);
+  }
+
+  const dispute = await prisma.disputas_pago.findUnique({
+    where: { id: disputeId },
+    include: { pago: { include: { hitos: true } } }
+  });
+
+  if (!dispute) {
+    throw new Error('Disputa no encontrada');
+  }
+
+  if (dispute.estado === RESOLVING_STATE) {
+    throw new Error('La disputa ya se está resolviendo');
+  }
+
+  if (!ACTIVE_DISPUTE_STATES.includes(dispute.estado)) {
+    throw new Error('La disputa ya fue resuelta');
+  }
+
+  // Tomar la disputa antes de mover fondos: una resolución simultánea o repetida no encuentra un estado activo
+  const claim = await prisma.disputas_pago.updateMany({
+    where: { id: disputeId, estado: { in: ACTIVE_DISPUTE_STATES } },
+    data: { estado: RESOLVING_STATE }
+  });
+
+  if (claim.count === 0) {
+    throw new Error('La disputa ya fue resuelta o se está resolviendo');
+  }
+
+  try {
+    return await executeResolution(dispute, adminId, { resolucion, montoReembolso, notas });
+  } catch (error) {
+    // Devolver la disputa a su estado previo para poder reintentar; un reembolso ya hecho queda
+    // registrado en reembolsos (disputa_id) y el reintento lo retoma en lugar de repetirlo
+    await prisma.disputas_pago.updateMany({
+      where: { id: disputeId, estado: RESOLVING_STATE },
+      data: { estado: dispute.estado }
+    });
+    throw error;
+  }
+}
+
+/**
+ * Ejecuta la resolución de una disputa ya tomada por resolveDispute
+ * @param {Object} dispute - Disputa con pago e hitos
+ * @param {string} adminId - ID del administrador
+ * @param {Object} data - Resolución (ver resolveDispute)
+ * @returns {Object} Resultado de la resolución
+ */
+async function executeResolution(dispute, adminId, { resolucion, montoReembolso, notas }) {
+  const disputeId = dispute.id;
+
+  // Reembolso de un intento anterior que falló después de pasar por la pasarela
+  const previousRefund = await prisma.reembolsos.findFirst({
+    where: { disputa_id: disputeId }
+  });
+  const previousRefundAmount = previousRefund ? previousRefund.monto : 0;
+
+  const payment = dispute.pago;
+  const milestones = payment.hitos || [];
+  const expectedStates = previousRefund ? ['en_disputa', 'reembolsado'] : ['en_disputa'];
+  if (!expectedStates.includes(payment.estado)) {
+    throw new Error('El pago asociado no se encuentra retenido por disputa');
+  }
+
+  // Base disputada: lo cobrado menos reembolsos previos a la disputa y hitos ya liberados
+  const releasedMilestonesAmount = milestones
+    .filter(m => m.estado === 'liberado')
+    .reduce((sum, m) => sum + m.monto, 0);
+  const totalAmount = payment.monto_total - ((payment.monto_reembolsado || 0) - previousRefundAmount) - releasedMilestonesAmount;
+  const milestoneCommission = milestones
+    .filter(m => m.estado === 'liberado')
+    .reduce((sum, m) => sum + m.comision_plataforma, 0);
+  const milestoneProfessionalAmount = milestones
+    .filter(m => m.estado === 'liberado')
+    .reduce((sum, m) => sum + m.monto_profesional, 0);
+  let refundAmount;
+
+  if (resolucion === 'liberacion_total') {
+    refundAmount = 0;
+  } else if (resolucion === 'reembolso_total') {
+    refundAmount = totalAmount;
+  } else {
+    refundAmount = Math.round(parseFloat(montoReembolso) * 100) / 100;
+    if (isNaN(refundAmount) || refundAmount <= 0 || refundAmount >= totalAmount) {
+      throw new Error(`El monto a reembolsar debe ser mayor a 0 y menor al total del pago ($${totalAmount})`);
+    }
+  }
+
+  if (previousRefund && Math.abs(previousRefundAmount - refundAmount) > 0.005) {
+    throw new Error(`Un intento anterior ya reembolsó $${previousRefundAmount}; la disputa debe resolverse con ese monto de reembolso`);
+  }
+
+  const releasedAmount = Math.round((totalAmount - refundAmount) * 100) / 100;
+
+  // Reembolso al cliente: queda registrado como asiento propio y, si es total, el pago pasa a 'reembolsado'
+  if (refundAmount > 0 && !previousRefund) {
+    const { processPartialRefund } = require('./mercadoPagoService');
+    await processPartialRefund(payment.id, refundAmount, {
+      motivo: `Resolución de disputa (${resolucion})`,
+      processedBy: adminId,
+      disputeId,
+      notify: false
+    });
+  }
+
+  let commission = 0;
+  let professionalAmount = 0;
+  let grossAmount = 0;
+  let commissionSetting = null;
+
+  if (releasedAmount > 0) {
+    // La comisión se calcula solo sobre la parte liberada (RB-03), incluido el subsidio por cupón si lo absorbe la plataforma
+    const { getApplicableCommission, getReleaseBase } = require('./commissionService');
+    commissionSetting = await getApplicableCommission(null, payment.profesional_id);
+    const minimumFee = roundAmount(parseFloat(process.env.MINIMUM_COMMISSION_FEE || '0') / (payment.tipo_cambio || 1), payment.moneda);
+    const releaseBase = getReleaseBase(payment, releasedAmount);
+    grossAmount = releaseBase.grossAmount;
+
+    commission = Math.min(
+      Math.max(Math.round(releaseBase.commissionBase * (commissionSetting.porcentaje / 100)), minimumFee),
+      grossAmount
+    );
+    professionalAmount = grossAmount - commission;
+  }
+
+  // Liberación, payout, hitos y cierre de la disputa se confirman juntos
+  const { createPayoutInTransaction, dispatchPayout } = require('./payoutService');
+  const { resolved, payoutRecord } = await prisma.$transaction(async (tx) => {
+    let record = null;
+
+    if (releasedAmount > 0) {
+      await tx.pagos.update({
+        where: { id: payment.id },
+        data: {
+          comision_plataforma: milestoneCommission + commission,
+          monto_profesional: milestoneProfessionalAmount + professionalAmount,
+          estado: 'liberado',
+          fecha_liberacion: new Date(),
+          commission_setting_id: commissionSetting.id
+        }
+      });
+
+      await tx.servicios.update({
+        where: { id: payment.servicio_id },
+        data: { estado: 'pagado' }
+      });
+
+      record = await createPayoutInTransaction(
+        tx,
+        payment.profesional_id,
+        payment.servicio_id,
+        grossAmount,
+        commission,
+        professionalAmount,
+        'dispute_resolution',
+        { currency: payment.moneda }
+      );
+    } else if (releasedMilestonesAmount > 0) {
+      // Reembolso del saldo en custodia: el pago queda liberado solo por los hitos ya aprobados
+      await tx.pagos.update({
+        where: { id: payment.id },
+        data: {
+          comision_plataforma: milestoneCommission,
+          monto_profesional: milestoneProfessionalAmount,
+          estado: 'liberado',
+          fecha_liberacion: new Date()
+        }
+      });
+    }
+
+    // Los hitos aún en custodia quedan cubiertos por la resolución
+    if (milestones.length > 0) {
+      await tx.hitos_pago.updateMany({
+        where: { pago_id: payment.id, estado: { in: ['pendiente', 'en_revision'] } },
+        data: { estado: 'cancelado' }
+      });
+    }
+
+    const updated = await tx.disputas_pago.update({
+      where: { id: disputeId },
+      data: {
+        estado: 'resuelta',
+        resolucion,
+        monto_reembolso: refundAmount,
+        monto_liberado: releasedAmount,
+        notas_resolucion: notas || null,
+        resuelta_por: adminId,
+        resuelta_en: new Date()
+      }
+    });
+
+    return { resolved: updated, payoutRecord: record };
+  });
+
+  // Auditoría, libro mayor y cola de transferencias del payout, una vez confirmado
+  const payout = payoutRecord ? await dispatchPayout(payoutRecord) : null;
+
+  await logTransaction({
+    tipo_transaccion: 'dispute_resolved',
+    entidad_tipo: 'disputas_pago',
+    entidad_id: disputeId,
+    usuario_id: adminId,
+    monto: totalAmount,
+    detalles: {
+      paymentId: payment.id,
+      serviceId: payment.servicio_id,
+      resolucion,
+      refundAmount,
+      releasedAmount,
+      commission,
+      professionalAmount,
+      payoutId: payout ? payout.id : null
+    },
+    ip_address: null,
+    user_agent: null
+  });
+
+  await Promise.all([
+    invalidatePaymentMetricsCache(),
+    invalidateProfessionalIncomeCache(payment.profesional_id)
+  ]);
+
+  const resolutionMessages = {
+    liberacion_total: {
+      cliente: 'La disputa fue resuelta a favor del profesional. Los fondos fueron liberados.',
+      profesional: `La disputa fue resuelta a tu favor. Recibiste $${professionalAmount} (comisión $${commission} deducida).`
+    },
+    reembolso_total: {
+      cliente: `La disputa fue resuelta a tu favor. Se reembolsarán $${refundAmount}.`,
+      profesional: 'La disputa fue resuelta a favor del cliente. El pago fue reembolsado.'
+    },
+    division_parcial: {
+      cliente: `La disputa fue resuelta con un reembolso parcial de $${refundAmount}.`,
+      profesional: `La disputa fue resuelta con una liberación parcial. Recibiste $${professionalAmount} (comisión $${commission} deducida).`
+    }
+  };
+
+  await notifyParties(dispute, 'disputa_resuelta', resolutionMessages[resolucion], {
+    resolucion,
+    refundAmount,
+    releasedAmount
+  });
+
+  logger.info('Payment dispute resolved', {
+    service: 'disputes',
+    disputeId,
+    paymentId: payment.id,
+    adminId,
+    resolucion,
+    refundAmount,
+    releasedAmount
+  });
+
+  return {
+    dispute: resolved,
+    refundAmount,
+    releasedAmount,
+    commission,
+    professionalAmount,
+    payoutId: payout ? payout.id : null
+  };
+}
+
+/**
+ * Obtiene el detalle de una disputa con sus evidencias
+ * Los archivos se devuelven con URLs firmadas de corta duración
+ * @param {string} disputeId - ID de la disputa
+ * @param {string} userId - ID del usuario solicitante
+ * @param {string} userRole - Rol del usuario solicitante
+ * @returns {Object} Disputa con evidencias
+ */
+async function getDispute(disputeId, userId, userRole) {
+  const dispute = await prisma.disputas_pago.findUnique({
+    where: { id: disputeId },
+    include: {
+      pago: true,
+      evidencias: { orderBy: { creado_en: 'asc' } }
+    }
+  });
+
+  if (!dispute) {
+    throw new Error('Disputa no encontrada');
+  }
+
+  if (userRole !== 'admin' && dispute.cliente_id !== userId && dispute.profesional_id !== userId) {
+    throw new Error('No tienes permiso para ver esta disputa');
+  }
+
+  const evidencias = await Promise.all(dispute.evidencias.map(async (evidence) => ({
+    ...evidence,
+    url_archivo: evidence.archivo ? await getSignedUrl(evidence.archivo) : null
+  })));
+
+  return { ...dispute, evidencias };
+}
+
+/**
+ * Lista disputas con filtros y paginación
+ * Los administradores ven todas; clientes y profesionales solo las propias
+ * @param {string} userId - ID del usuario solicitante
+ * @param {string} userRole - Rol del usuario solicitante
+ * @param {Object} filters - Filtros { estado, page, limit }
+ * @returns {Object} Disputas y paginación
+ */
+async function listDisputes(userId, userRole, { estado, page = 1, limit = 20 } = {}) {
+  const where = {};
+
+  if (estado) {
+    where.estado = estado;
+  }
+
+  if (userRole === 'cliente') {
+    where.cliente_id = userId;
+  } else if (userRole === 'profesional') {
+    where.profesional_id = userId;
+  }
+
+  const take = Math.min(parseInt(limit) || 20, 100);
+  const skip = (Math.max(parseInt(page) || 1, 1) - 1) * take;
+
+  const [disputes, total] = await Promise.all([
+    prisma.disputas_pago.findMany({
+      where,
+      include: {
+        pago: {
+          select: { id: true, servicio_id: true, monto_total: true, estado: true }
+        },
+        _count: { select: { evidencias: true } }
+      },
+      orderBy: { creado_en: 'desc' },
+      skip,
+      take
+    }),
+    prisma.disputas_pago.count({ where })
+  ]);
+
+  return {
+    disputes,
+    pagination: {
+      page: Math.floor(skip / take) + 1,
+      limit: take,
+      total,
+      totalPages: Math.ceil(total / take)
+    }
+  };
+}
+
+module.exports = {
+  openDispute,
+  addEvidence,
+  resolveDispute,
+  getDispute,
+  listDisputes,
+  DISPUTE_REASONS,
+  DISPUTE_RESOLUTIONS
+};
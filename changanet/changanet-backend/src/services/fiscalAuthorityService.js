@@ -0,0 +1,83 @@
+/**
+ * Envío de facturas a la autoridad fiscal
+ * Implementa REQ-43 (Comisiones) - Facturación electrónica de la comisión de la plataforma
+ *
+ * invoiceService no conoce al proveedor: llama a getFiscalAuthority().authorizeInvoice(factura).
+ * Para integrar el web service real de la autoridad fiscal se registra una implementación con
+ * registerFiscalAuthority y se selecciona con FISCAL_AUTHORITY_PROVIDER. Por defecto se usa el
+ * stub local, que autoriza todas las facturas con un CAE simulado (desarrollo y pruebas).
+ */
+
+const crypto = require('crypto');
+
+/**
+ * @typedef {Object} FiscalAuthorization
+ * @property {string} cae - Código de autorización electrónico
+ * @property {Date} caeVencimiento - Vencimiento del CAE
+ */
+
+/**
+ * @typedef {Object} FiscalAuthority
+ * @property {string} name - Nombre del proveedor
+ * @property {function(Object): Promise<FiscalAuthorization>} authorizeInvoice - Solicita la autorización de
+ *   una factura (registro de facturas); debe lanzar un error si la autoridad la rechaza o no responde
+ */
+
+// Días de validez del CAE simulado
+const STUB_CAE_VALIDITY_DAYS = 10;
+
+/**
+ * Implementación local: no se comunica con ningún servicio externo
+ * @type {FiscalAuthority}
+ */
+const localStubAuthority = {
+  name: 'stub',
+
+  async authorizeInvoice(invoice) {
+    const seed = `${invoice.punto_venta}-${invoice.tipo_comprobante}-${invoice.numero}`;
+    const digits = BigInt(`0x${crypto.createHash('sha256').update(seed).digest('hex').slice(0, 15)}`).toString().slice(0, 14);
+
+    return {
+      cae: digits.padStart(14, '0'),
+      caeVencimiento: new Date(Date.now() + STUB_CAE_VALIDITY_DAYS * 24 * 60 * 60 * 1000)
+    };
+  }
+};
+
+const providers = {
+  stub: localStubAuthority
+};
+
+/**
+ * Registra una implementación de la autoridad fiscal
+ * @param {string} name - Nombre con el que se selecciona en FISCAL_AUTHORITY_PROVIDER
+ * @param {FiscalAuthority} authority - Implementación
+ */
+function registerFiscalAuthority(name, authority) {
+  if (typeof authority?.authorizeInvoice !== 'function') {
+    throw new Error('La autoridad fiscal debe implementar authorizeInvoice(factura)');
+  }
+
+  providers[name] = { name, ...authority };
+}
+
+/**
+ * Obtiene la autoridad fiscal configurada
+ * @returns {FiscalAuthority} Implementación seleccionada
+ */
+function getFiscalAuthority() {
+  const name = process.env.FISCAL_AUTHORITY_PROVIDER || 'stub';
+  const authority = providers[name];
+
+  if (!authority) {
+    throw new Error(`Autoridad fiscal no registrada: ${name}`);
+  }
+
+  return authority;
+}
+
+module.exports = {
+  registerFiscalAuthority,
+  getFiscalAuthority,
+  localStubAuthority
+};
@@ -0,0 +1,743 @@
+/**
+ * Motor de puntaje de fraude para pagos y retiros
+ * Implementa REQ-41 a REQ-45: Cumplimiento de seguridad financiera
+ *
+ * Cada operación se evalúa con un conjunto de señales (antigüedad de la cuenta, intentos fallidos de
+ * acceso, cambio de IP o dispositivo, velocidad, cuentas bancarias nuevas, contracargos y montos
+ * inusuales). Cada señal devuelve una intensidad entre 0 y 1 que se multiplica por su peso; la suma
+ * (máximo 100) se compara con los umbrales de configuracion_fraude para decidir:
+ * - "permitir": la operación sigue su curso
+ * - "verificar": se pide confirmar la contraseña (header X-Password-Confirmation)
+ * - "revisar": la operación queda retenida hasta que un administrador la apruebe
+ * - "bloquear": la operación se rechaza
+ * Cada decisión queda en evaluaciones_fraude y en audit_logs con los factores que sumaron puntos.
+ * Se pueden agregar señales nuevas con registerSignal.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const logger = require('./logger');
+const { logAuditEvent } = require('./auditService');
+
+const prisma = new PrismaClient();
+
+// Operaciones que pasan por el motor de puntaje
+const SCORED_OPERATIONS = ['create_payment', 'create_withdrawal'];
+
+const DECISIONS = {
+  ALLOW: 'permitir',
+  STEP_UP: 'verificar',
+  REVIEW: 'revisar',
+  BLOCK: 'bloquear'
+};
+
+const DEFAULT_THRESHOLDS = {
+  umbral_verificacion: 30,
+  umbral_revision: 50,
+  umbral_bloqueo: 80
+};
+
+const MAX_SCORE = 100;
+
+// Horas durante las que una revisión aprobada habilita el reintento de la operación
+const APPROVED_REVIEW_VALIDITY_HOURS = parseInt(process.env.FRAUD_APPROVED_REVIEW_VALIDITY_HOURS || '24');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Registro de señales: nombre -> { evaluate, weight }
+const signals = new Map();
+
+/**
+ * Registra una señal del motor de puntaje
+ * @param {string} name - Nombre de la señal (clave en configuracion_fraude.pesos)
+ * @param {Function} evaluate - async (context) => null | { intensity: 0..1, detail }
+ * @param {number} defaultWeight - Puntos que aporta la señal con intensidad 1
+ */
+function registerSignal(name, evaluate, defaultWeight) {
+  signals.set(name, { evaluate, weight: defaultWeight });
+}
+
+/**
+ * Devuelve los pesos por defecto de las señales registradas
+ * @returns {Object} { senal: peso }
+ */
+function getDefaultWeights() {
+  const weights = {};
+  for (const [name, signal] of signals.entries()) {
+    weights[name] = signal.weight;
+  }
+  return weights;
+}
+
+// ---------------------------------------------------------------------------
+// Señales
+// ---------------------------------------------------------------------------
+
+// Cuentas recién creadas
+registerSignal('antiguedad_cuenta', async ({ user }) => {
+  if (!user?.creado_en) {
+    return null;
+  }
+
+  const ageDays = (Date.now() - new Date(user.creado_en).getTime()) / DAY_MS;
+  if (ageDays < 1) return { intensity: 1, detail: 'Cuenta creada hace menos de un día' };
+  if (ageDays < 7) return { intensity: 0.6, detail: 'Cuenta creada hace menos de una semana' };
+  if (ageDays < 30) return { intensity: 0.2, detail: 'Cuenta creada hace menos de un mes' };
+  return null;
+}, 25);
+
+// Intentos fallidos de inicio de sesión en las últimas 24 horas
+registerSignal('intentos_fallidos', async ({ userId }) => {
+  const attempts = await prisma.failed_attempts.count({
+    where: {
+      user_id: userId,
+      attempt_time: { gte: new Date(Date.now() - DAY_MS) }
+    }
+  });
+
+  if (attempts >= 5) return { intensity: 1, detail: `${attempts} intentos fallidos de acceso en 24 horas` };
+  if (attempts >= 3) return { intensity: 0.5, detail: `${attempts} intentos fallidos de acceso en 24 horas` };
+  if (attempts >= 1) return { intensity: 0.2, detail: `${attempts} intento(s) fallido(s) de acceso en 24 horas` };
+  return null;
+}, 20);
+
+// IP o dispositivo distintos a los de las operaciones financieras de los últimos 30 días
+registerSignal('cambio_ip_dispositivo', async ({ userId, ip, userAgent }) => {
+  const history = await prisma.transactions_log.findMany({
+    where: {
+      usuario_id: userId,
+      exito: true,
+      timestamp: { gte: new Date(Date.now() - 30 * DAY_MS) }
+    },
+    select: { ip_address: true, user_agent: true },
+    orderBy: { timestamp: 'desc' },
+    take: 20
+  });
+
+  if (history.length === 0) {
+    return null;
+  }
+
+  const details = [];
+  let intensity = 0;
+
+  if (ip && !history.some(entry => entry.ip_address === ip)) {
+    intensity += 0.6;
+    details.push('IP nueva');
+  }
+
+  if (userAgent && !history.some(entry => entry.user_agent === userAgent)) {
+    intensity += 0.4;
+    details.push('dispositivo nuevo');
+  }
+
+  return intensity > 0 ? { intensity, detail: details.join(' y ') } : null;
+}, 15);
+
+// Cantidad de operaciones del mismo tipo en la última hora y el último día
+registerSignal('velocidad', async ({ userId, operation }) => {
+  const countSince = (since) => prisma.transactions_log.count({
+    where: {
+      usuario_id: userId,
+      tipo_transaccion: operation,
+      exito: true,
+      timestamp: { gte: since }
+    }
+  });
+
+  const [lastHour, lastDay] = await Promise.all([
+    countSince(new Date(Date.now() - HOUR_MS)),
+    countSince(new Date(Date.now() - DAY_MS))
+  ]);
+
+  if (operation === 'create_withdrawal') {
+    const maxDailyWithdrawals = parseInt(process.env.MAX_DAILY_WITHDRAWALS || '3');
+    if (lastDay >= maxDailyWithdrawals) {
+      return { intensity: 1, detail: `${lastDay} retiros en 24 horas (límite ${maxDailyWithdrawals})` };
+    }
+    if (lastHour >= 2) {
+      return { intensity: 0.5, detail: `${lastHour} retiros en la última hora` };
+    }
+    return null;
+  }
+
+  if (lastHour >= 5) return { intensity: 1, detail: `${lastHour} operaciones en la última hora` };
+  if (lastHour >= 3) return { intensity: 0.5, detail: `${lastHour} operaciones en la última hora` };
+  if (lastDay >= 10) return { intensity: 0.5, detail: `${lastDay} operaciones en 24 horas` };
+  return null;
+}, 40);
+
+// Retiros a cuentas bancarias recién registradas o con datos bancarios reutilizados
+registerSignal('cuenta_bancaria_nueva', async ({ userId, operation, body }) => {
+  if (operation !== 'create_withdrawal') {
+    return null;
+  }
+
+  if (body.bankAccountId) {
+    const account = await prisma.cuentas_bancarias.findUnique({
+      where: { id: body.bankAccountId },
+      select: { creado_en: true }
+    });
+
+    if (account) {
+      const ageMs = Date.now() - new Date(account.creado_en).getTime();
+      if (ageMs < 2 * DAY_MS) return { intensity: 1, detail: 'Cuenta bancaria registrada hace menos de 48 horas' };
+      if (ageMs < 7 * DAY_MS) return { intensity: 0.5, detail: 'Cuenta bancaria registrada hace menos de una semana' };
+    }
+  }
+
+  if (body.bankDetails?.cvu) {
+    const recentUse = await prisma.transactions_log.findFirst({
+      where: {
+        usuario_id: userId,
+        tipo_transaccion: 'create_withdrawal',
+        timestamp: { gte: new Date(Date.now() - HOUR_MS) },
+        exito: true,
+        detalles: {
+          path: ['bankDetails', 'cvu'],
+          equals: body.bankDetails.cvu
+        }
+      }
+    });
+
+    if (recentUse) {
+      return { intensity: 0.5, detail: 'Mismos datos bancarios usados en la última hora' };
+    }
+  }
+
+  return null;
+}, 20);
+
+// Contracargos sobre pagos del usuario (como cliente o como profesional)
+registerSignal('contracargos', async ({ userId }) => {
+  const refundedPayments = await prisma.pagos.findMany({
+    where: {
+      estado: 'reembolsado',
+      OR: [{ cliente_id: userId }, { profesional_id: userId }]
+    },
+    select: { id: true }
+  });
+
+  if (refundedPayments.length === 0) {
+    return null;
+  }
+
+  const chargebacks = await prisma.asientos_contables.count({
+    where: {
+      tipo: 'contracargo',
+      entidad_tipo: 'pagos',
+      entidad_id: { in: refundedPayments.map(payment => payment.id) }
+    }
+  });
+
+  if (chargebacks >= 2) return { intensity: 1, detail: `${chargebacks} contracargos registrados` };
+  if (chargebacks === 1) return { intensity: 0.5, detail: '1 contracargo registrado' };
+  return null;
+}, 40);
+
+// Montos altos respecto del límite o redondos (múltiplos grandes de 10000)
+registerSignal('monto_inusual', async ({ amount }) => {
+  if (!amount) {
+    return null;
+  }
+
+  const maxTransactionAmount = parseFloat(process.env.MAX_TRANSACTION_AMOUNT || '100000');
+  const details = [];
+  let intensity = 0;
+
+  if (amount >= maxTransactionAmount * 0.5) {
+    intensity += 0.5;
+    details.push('monto superior a la mitad del límite por operación');
+  }
+
+  if (amount >= 50000 && amount % 10000 === 0) {
+    intensity += 0.5;
+    details.push('monto redondo alto');
+  }
+
+  return intensity > 0 ? { intensity, detail: details.join(' y ') } : null;
+}, 15);
+
+// ---------------------------------------------------------------------------
+// Configuración
+// ---------------------------------------------------------------------------
+
+/**
+ * Valida que los umbrales sean crecientes y estén entre 0 y 100
+ * @param {Object} thresholds - { umbral_verificacion, umbral_revision, umbral_bloqueo }
+ */
+function validateThresholds({ umbral_verificacion, umbral_revision, umbral_bloqueo }) {
+  const values = [umbral_verificacion, umbral_revision, umbral_bloqueo];
+
+  if (values.some(value => !Number.isInteger(value) || value < 0 || value > MAX_SCORE)) {
+    throw new Error(`Los umbrales deben ser enteros entre 0 y ${MAX_SCORE}`);
+  }
+
+  if (!(umbral_verificacion <= umbral_revision && umbral_revision <= umbral_bloqueo)) {
+    throw new Error('Los umbrales deben cumplir verificación <= revisión <= bloqueo');
+  }
+}
+
+/**
+ * Obtiene la configuración vigente para una operación (la fila "default" o los valores por defecto si no hay)
+ * @param {string} operation - Tipo de operación
+ * @returns {Object} { operacion, umbral_verificacion, umbral_revision, umbral_bloqueo, pesos }
+ */
+async function getConfig(operation) {
+  const rows = await prisma.configuracion_fraude.findMany({
+    where: { operacion: { in: [operation, 'default'] } }
+  });
+
+  const row = rows.find(config => config.operacion === operation) ||
+    rows.find(config => config.operacion === 'default');
+
+  return {
+    operacion: operation,
+    umbral_verificacion: row?.umbral_verificacion ?? DEFAULT_THRESHOLDS.umbral_verificacion,
+    umbral_revision: row?.umbral_revision ?? DEFAULT_THRESHOLDS.umbral_revision,
+    umbral_bloqueo: row?.umbral_bloqueo ?? DEFAULT_THRESHOLDS.umbral_bloqueo,
+    pesos: { ...getDefaultWeights(), ...(row?.pesos || {}) }
+  };
+}
+
+/**
+ * Lista la configuración vigente de cada operación evaluada
+ * @returns {Object[]} Configuración por operación
+ */
+async function listConfigs() {
+  return Promise.all(['default', ...SCORED_OPERATIONS].map(getConfig));
+}
+
+/**
+ * Actualiza los umbrales y pesos de una operación
+ * @param {string} operation - "default" o una de SCORED_OPERATIONS
+ * @param {Object} data - Umbrales y pesos a modificar
+ * @param {string} adminId - ID del administrador
+ * @returns {Object} Configuración resultante
+ */
+async function updateConfig(operation, data, adminId) {
+  if (operation !== 'default' && !SCORED_OPERATIONS.includes(operation)) {
+    throw new Error(`Operación no válida. Opciones: default, ${SCORED_OPERATIONS.join(', ')}`);
+  }
+
+  const current = await getConfig(operation);
+  const thresholds = {
+    umbral_verificacion: data.umbral_verificacion ?? current.umbral_verificacion,
+    umbral_revision: data.umbral_revision ?? current.umbral_revision,
+    umbral_bloqueo: data.umbral_bloqueo ?? current.umbral_bloqueo
+  };
+  validateThresholds(thresholds);
+
+  let weights;
+  if (data.pesos !== undefined) {
+    const unknown = Object.keys(data.pesos).filter(name => !signals.has(name));
+    if (unknown.length > 0) {
+      throw new Error(`Señales desconocidas: ${unknown.join(', ')}`);
+    }
+    if (Object.values(data.pesos).some(weight => typeof weight !== 'number' || weight < 0 || weight > MAX_SCORE)) {
+      throw new Error(`Los pesos deben ser números entre 0 y ${MAX_SCORE}`);
+    }
+    weights = data.pesos;
+  }
+
+  await prisma.configuracion_fraude.upsert({
+    where: { operacion: operation },
+    create: { operacion: operation, ...thresholds, pesos: weights, actualizado_por: adminId },
+    update: { ...thresholds, ...(weights && { pesos: weights }), actualizado_por: adminId }
+  });
+
+  await logAuditEvent({
+    usuario_id: adminId,
+    accion: 'update_fraud_config',
+    entidad_tipo: 'configuracion_fraude',
+    entidad_id: operation,
+    detalles: { ...thresholds, pesos: weights }
+  });
+
+  logger.info('Fraud scoring configuration updated', {
+    service: 'fraud_scoring',
+    adminId,
+    operation,
+    ...thresholds
+  });
+
+  return getConfig(operation);
+}
+
+// ---------------------------------------------------------------------------
+// Evaluación
+// ---------------------------------------------------------------------------
+
+/**
+ * Traduce un puntaje a una decisión según los umbrales
+ * @param {number} score - Puntaje 0-100
+ * @param {Object} config - Umbrales vigentes
+ * @returns {string} Decisión
+ */
+function decide(score, config) {
+  if (score >= config.umbral_bloqueo) return DECISIONS.BLOCK;
+  if (score >= config.umbral_revision) return DECISIONS.REVIEW;
+  if (score >= config.umbral_verificacion) return DECISIONS.STEP_UP;
+  return DECISIONS.ALLOW;
+}
+
+/**
+ * Busca una revisión aprobada y sin usar para la misma operación y monto, y la consume
+ * @returns {Object|null} Evaluación aprobada
+ */
+async function consumeApprovedReview(userId, operation, amount) {
+  const approved = await prisma.evaluaciones_fraude.findFirst({
+    where: {
+      usuario_id: userId,
+      operacion: operation,
+      monto: amount ?? null,
+      estado_revision: 'aprobada',
+      consumida_en: null,
+      revisado_en: { gte: new Date(Date.now() - APPROVED_REVIEW_VALIDITY_HOURS * HOUR_MS) }
+    },
+    orderBy: { revisado_en: 'desc' }
+  });
+
+  if (!approved) {
+    return null;
+  }
+
+  // Solo un intento puede consumir la aprobación
+  const consumed = await prisma.evaluaciones_fraude.updateMany({
+    where: { id: approved.id, consumida_en: null },
+    data: { consumida_en: new Date() }
+  });
+
+  return consumed.count === 1 ? approved : null;
+}
+
+/**
+ * Calcula el puntaje de una operación sin registrarlo
+ * @param {Object} context - { userId, operation, amount, ip, userAgent, body, user }
+ * @param {Object} config - Configuración vigente (getConfig)
+ * @returns {Object} { score, factors }
+ */
+async function scoreOperation(context, config) {
+  const factors = [];
+
+  for (const [name, signal] of signals.entries()) {
+    const weight = config.pesos[name] ?? signal.weight;
+    if (!weight) {
+      continue;
+    }
+
+    try {
+      const result = await signal.evaluate(context);
+      if (result && result.intensity > 0) {
+        factors.push({
+          senal: name,
+          puntos: Math.round(weight * Math.min(result.intensity, 1)),
+          detalle: result.detail
+        });
+      }
+    } catch (error) {
+      // Una señal que falla no debe impedir evaluar las demás
+      logger.error('Fraud signal evaluation error', {
+        service: 'fraud_scoring',
+        signal: name,
+        userId: context.userId,
+        error: error.message
+      });
+    }
+  }
+
+  const score = Math.min(MAX_SCORE, factors.reduce((sum, factor) => sum + factor.puntos, 0));
+  return { score, factors };
+}
+
+/**
+ * Evalúa el riesgo de una operación, registra la decisión y la devuelve
+ * @param {Object} data - Datos de la operación
+ * @param {string} data.userId - Usuario que opera
+ * @param {string} data.operation - Tipo de operación (create_payment, create_withdrawal)
+ * @param {number} data.amount - Monto de la operación (si aplica)
+ * @param {string} data.ip - IP del cliente
+ * @param {string} data.userAgent - User agent del cliente
+ * @param {Object} data.body - Cuerpo de la solicitud
+ * @returns {Object} { id, score, decision, factors, thresholds }
+ */
+async function assessRisk({ userId, operation, amount, ip, userAgent, body = {} }) {
+  const approved = await consumeApprovedReview(userId, operation, amount);
+  if (approved) {
+    const assessment = await recordAssessment({
+      userId,
+      operation,
+      amount,
+      ip,
+      userAgent,
+      score: approved.puntaje,
+      decision: DECISIONS.ALLOW,
+      factors: [{ senal: 'revision_aprobada', puntos: 0, detalle: `Aprobada por un administrador (evaluación ${approved.id})` }],
+      config: null
+    });
+    return assessment;
+  }
+
+  const [config, user] = await Promise.all([
+    getConfig(operation),
+    prisma.usuarios.findUnique({
+      where: { id: userId },
+      select: { creado_en: true }
+    })
+  ]);
+
+  const { score, factors } = await scoreOperation({ userId, operation, amount, ip, userAgent, body, user }, config);
+
+  return recordAssessment({
+    userId,
+    operation,
+    amount,
+    ip,
+    userAgent,
+    score,
+    decision: decide(score, config),
+    factors,
+    config
+  });
+}
+
+/**
+ * Guarda una evaluación y su registro de auditoría
+ * @returns {Object} { id, score, decision, factors, thresholds }
+ */
+async function recordAssessment({ userId, operation, amount, ip, userAgent, score, decision, factors, config }) {
+  const thresholds = config && {
+    umbral_verificacion: config.umbral_verificacion,
+    umbral_revision: config.umbral_revision,
+    umbral_bloqueo: config.umbral_bloqueo
+  };
+
+  const assessment = await prisma.evaluaciones_fraude.create({
+    data: {
+      usuario_id: userId,
+      operacion: operation,
+      monto: amount ?? null,
+      puntaje: score,
+      decision,
+      factores: factors,
+      ip_address: ip,
+      user_agent: userAgent,
+      estado_revision: decision === DECISIONS.REVIEW ? 'pendiente' : null
+    }
+  });
+
+  await logAuditEvent({
+    usuario_id: userId,
+    accion: 'fraud_assessment',
+    entidad_tipo: 'evaluacion_fraude',
+    entidad_id: assessment.id,
+    detalles: { operation, amount, score, decision, factors, thresholds },
+    ip_address: ip,
+    user_agent: userAgent,
+    exito: decision === DECISIONS.ALLOW
+  });
+
+  if (decision !== DECISIONS.ALLOW) {
+    logger.warn('Financial operation flagged by fraud scoring', {
+      service: 'fraud_scoring',
+      userId,
+      operation,
+      score,
+      decision,
+      factors: factors.map(factor => factor.senal),
+      ip
+    });
+  }
+
+  return { id: assessment.id, score, decision, factors, thresholds };
+}
+
+/**
+ * Registra en auditoría el resultado de la verificación adicional (contraseña) de una evaluación
+ * @param {string} assessmentId - ID de la evaluación
+ * @param {string} userId - Usuario
+ * @param {boolean} passed - Si la verificación fue correcta
+ * @param {string} ip - IP del cliente
+ */
+async function recordStepUpResult(assessmentId, userId, passed, ip) {
+  await logAuditEvent({
+    usuario_id: userId,
+    accion: 'fraud_step_up',
+    entidad_tipo: 'evaluacion_fraude',
+    entidad_id: assessmentId,
+    detalles: { method: 'password' },
+    ip_address: ip,
+    exito: passed,
+    error_mensaje: passed ? null : 'Contraseña de confirmación incorrecta'
+  });
+}
+
+/**
+ * Retiene para revisión una evaluación que pedía verificación adicional que el usuario no puede completar
+ * @param {string} assessmentId - ID de la evaluación
+ * @param {string} reason - Motivo de la escalada
+ */
+async function escalateToReview(assessmentId, reason) {
+  const assessment = await prisma.evaluaciones_fraude.findUnique({
+    where: { id: assessmentId }
+  });
+
+  const factors = [...(assessment?.factores || []), { senal: 'verificacion_no_disponible', puntos: 0, detalle: reason }];
+
+  await prisma.evaluaciones_fraude.update({
+    where: { id: assessmentId },
+    data: {
+      decision: DECISIONS.REVIEW,
+      estado_revision: 'pendiente',
+      factores: factors
+    }
+  });
+
+  await logAuditEvent({
+    usuario_id: assessment?.usuario_id,
+    accion: 'fraud_assessment_escalated',
+    entidad_tipo: 'evaluacion_fraude',
+    entidad_id: assessmentId,
+    detalles: { decision: DECISIONS.REVIEW, reason },
+    exito: false
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Revisión manual
+// ---------------------------------------------------------------------------
+
+/**
+ * Lista evaluaciones de fraude (por defecto, las retenidas pendientes de revisión)
+ * @param {Object} filters - { estado, decision, userId, page, limit }
+ * @returns {Object} { assessments, pagination }
+ */
+async function listAssessments(filters = {}) {
+  const take = Math.min(parseInt(filters.limit, 10) || 20, 100);
+  const skip = (Math.max(parseInt(filters.page, 10) || 1, 1) - 1) * take;
+
+  const where = {};
+  if (filters.decision) {
+    where.decision = filters.decision;
+  } else {
+    where.estado_revision = filters.estado || 'pendiente';
+  }
+  if (filters.userId) {
+    where.usuario_id = filters.userId;
+  }
+
+  const [assessments, total] = await Promise.all([
+    prisma.evaluaciones_fraude.findMany({
+      where,
+      include: {
+        usuario: { select: { id: true, nombre: true, email: true, rol: true } }
+      },
+      orderBy: { creado_en: 'desc' },
+      skip,
+      take
+    }),
+    prisma.evaluaciones_fraude.count({ where })
+  ]);
+
+  return {
+    assessments,
+    pagination: {
+      page: Math.floor(skip / take) + 1,
+      limit: take,
+      total,
+      pages: Math.ceil(total / take)
+    }
+  };
+}
+
+/**
+ * Resuelve una operación retenida para revisión
+ * Al aprobarla, el usuario puede reintentar la misma operación y monto una vez dentro del plazo
+ * @param {string} assessmentId - ID de la evaluación
+ * @param {string} adminId - ID del administrador
+ * @param {boolean} approve - true para aprobar, false para rechazar
+ * @param {string} notes - Notas de la revisión
+ * @returns {Object} Evaluación actualizada
+ */
+async function reviewAssessment(assessmentId, adminId, approve, notes) {
+  const assessment = await prisma.evaluaciones_fraude.findUnique({
+    where: { id: assessmentId }
+  });
+
+  if (!assessment) {
+    throw new Error('Evaluación no encontrada');
+  }
+
+  if (assessment.estado_revision !== 'pendiente') {
+    throw new Error('La evaluación no está pendiente de revisión');
+  }
+
+  const updated = await prisma.evaluaciones_fraude.update({
+    where: { id: assessmentId },
+    data: {
+      estado_revision: approve ? 'aprobada' : 'rechazada',
+      revisado_por: adminId,
+      revisado_en: new Date(),
+      notas_revision: notes || null
+    }
+  });
+
+  await logAuditEvent({
+    usuario_id: adminId,
+    accion: approve ? 'approve_fraud_review' : 'reject_fraud_review',
+    entidad_tipo: 'evaluacion_fraude',
+    entidad_id: assessmentId,
+    detalles: {
+      userId: assessment.usuario_id,
+      operation: assessment.operacion,
+      amount: assessment.monto,
+      score: assessment.puntaje,
+      notes
+    }
+  });
+
+  logger.info('Fraud review resolved', {
+    service: 'fraud_scoring',
+    adminId,
+    assessmentId,
+    approved: approve
+  });
+
+  try {
+    const { createNotification } = require('./notificationService');
+    await createNotification(
+      assessment.usuario_id,
+      approve ? 'operacion_aprobada' : 'operacion_rechazada',
+      approve
+        ? `Tu operación por $${assessment.monto ?? 0} fue aprobada. Podés volver a realizarla dentro de las próximas ${APPROVED_REVIEW_VALIDITY_HOURS} horas.`
+        : `Tu operación por $${assessment.monto ?? 0} fue rechazada tras la revisión de seguridad.`,
+      { assessment_id: assessmentId, operation: assessment.operacion }
+    );
+  } catch (error) {
+    logger.warn('Fraud review notification failed', {
+      service: 'fraud_scoring',
+      assessmentId,
+      error: error.message
+    });
+  }
+
+  return updated;
+}
+
+module.exports = {
+  SCORED_OPERATIONS,
+  DECISIONS,
+  DEFAULT_THRESHOLDS,
+  registerSignal,
+  getDefaultWeights,
+  getConfig,
+  listConfigs,
+  updateConfig,
+  decide,
+  scoreOperation,
+  assessRisk,
+  recordStepUpResult,
+  escalateToReview,
+  listAssessments,
+  reviewAssessment
+};
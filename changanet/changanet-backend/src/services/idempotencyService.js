@@ -0,0 +1,195 @@
+/**
+ * Servicio de claves de idempotencia
+ * Implementa REQ-41 a REQ-45: Cumplimiento de seguridad financiera
+ * Cada POST financiero enviado con el header Idempotency-Key reserva la clave (por usuario) antes de
+ * ejecutarse y guarda su respuesta al terminar. Un reintento con la misma clave y el mismo cuerpo
+ * repite la respuesta guardada; si la solicitud original sigue en curso el reintento se rechaza.
+ * El middleware que usa este servicio está en middleware/idempotency.js.
+ */
+
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const logger = require('./logger');
+
+const prisma = new PrismaClient();
+
+// Horas durante las que se conserva una clave y su respuesta
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24');
+
+// Segundos tras los que una clave que quedó "procesando" (p. ej. por una caída del proceso) puede retomarse
+const IDEMPOTENCY_LOCK_TIMEOUT_SECONDS = parseInt(process.env.IDEMPOTENCY_LOCK_TIMEOUT_SECONDS || '120');
+
+// Frecuencia de la depuración de claves vencidas
+const IDEMPOTENCY_CLEANUP_INTERVAL_MINUTES = parseInt(process.env.IDEMPOTENCY_CLEANUP_INTERVAL_MINUTES || '60');
+
+/**
+ * Calcula la huella de una solicitud para detectar claves reutilizadas con otro contenido
+ * @param {string} method - Método HTTP
+ * @param {string} path - Ruta de la solicitud
+ * @param {Object} body - Cuerpo de la solicitud
+ * @returns {string} Hash SHA-256 en hexadecimal
+ */
+function hashRequest(method, path, body) {
+  return crypto
+    .createHash('sha256')
+    .update(`${method} ${path}\n${JSON.stringify(body || {})}`)
+    .digest('hex');
+}
+
+/**
+ * Reserva una clave de idempotencia para ejecutar la solicitud, o devuelve la respuesta guardada
+ * @param {Object} data - Datos de la solicitud
+ * @param {string} data.key - Valor del header Idempotency-Key
+ * @param {string} data.userId - Usuario autenticado
+ * @param {string} data.method - Método HTTP
+ * @param {string} data.path - Ruta de la solicitud
+ * @param {Object} data.body - Cuerpo de la solicitud
+ * @returns {Object} { action: 'proceed' | 'replay', record }
+ */
+async function reserveKey({ key, userId, method, path, body }) {
+  const requestHash = hashRequest(method, path, body);
+
+  // Dos intentos: el segundo corre después de liberar una clave vencida o abandonada
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const record = await prisma.claves_idempotencia.create({
+        data: {
+          clave: key,
+          usuario_id: userId,
+          metodo: method,
+          ruta: path,
+          hash_solicitud: requestHash,
+          expira_en: new Date(Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000)
+        }
+      });
+      return { action: 'proceed', record };
+    } catch (error) {
+      if (error.code !== 'P2002') {
+        throw error;
+      }
+    }
+
+    const existing = await prisma.claves_idempotencia.findUnique({
+      where: { usuario_id_clave: { usuario_id: userId, clave: key } }
+    });
+
+    if (!existing) {
+      continue;
+    }
+
+    if (existing.expira_en <= new Date()) {
+      await prisma.claves_idempotencia.deleteMany({
+        where: { id: existing.id, expira_en: { lte: new Date() } }
+      });
+      continue;
+    }
+
+    if (existing.hash_solicitud !== requestHash) {
+      logger.warn('Idempotency key reused with a different request', {
+        service: 'idempotency',
+        userId,
+        path
+      });
+      throw new Error('La clave de idempotencia ya se usó con otra solicitud');
+    }
+
+    if (existing.estado === 'completado') {
+      return { action: 'replay', record: existing };
+    }
+
+    // Solo un reintento puede retomar una clave abandonada: se compara la fecha leída
+    const staleBefore = new Date(Date.now() - IDEMPOTENCY_LOCK_TIMEOUT_SECONDS * 1000);
+    if (existing.creado_en <= staleBefore) {
+      const taken = await prisma.claves_idempotencia.updateMany({
+        where: { id: existing.id, estado: 'procesando', creado_en: existing.creado_en },
+        data: { creado_en: new Date() }
+      });
+
+      if (taken.count === 1) {
+        logger.warn('Stale idempotency key taken over', {
+          service: 'idempotency',
+          userId,
+          path
+        });
+        return { action: 'proceed', record: existing };
+      }
+    }
+
+    throw new Error('Hay una solicitud en curso con la misma clave de idempotencia');
+  }
+
+  throw new Error('Hay una solicitud en curso con la misma clave de idempotencia');
+}
+
+/**
+ * Guarda la respuesta de una solicitud para repetirla ante reintentos
+ * @param {string} recordId - ID de la clave reservada
+ * @param {number} statusCode - Código HTTP de la respuesta
+ * @param {*} responseBody - Cuerpo JSON de la respuesta
+ */
+async function saveResponse(recordId, statusCode, responseBody) {
+  await prisma.claves_idempotencia.update({
+    where: { id: recordId },
+    data: {
+      estado: 'completado',
+      codigo_respuesta: statusCode,
+      respuesta: responseBody === undefined ? null : responseBody
+    }
+  });
+}
+
+/**
+ * Libera una clave reservada para que la solicitud pueda reintentarse
+ * Se usa cuando la operación terminó en un error transitorio o sin respuesta
+ * @param {string} recordId - ID de la clave reservada
+ */
+async function releaseKey(recordId) {
+  await prisma.claves_idempotencia.deleteMany({
+    where: { id: recordId, estado: 'procesando' }
+  });
+}
+
+/**
+ * Elimina las claves vencidas
+ * @returns {number} Cantidad de claves eliminadas
+ */
+async function purgeExpiredKeys() {
+  const result = await prisma.claves_idempotencia.deleteMany({
+    where: { expira_en: { lte: new Date() } }
+  });
+
+  if (result.count > 0) {
+    logger.info('Expired idempotency keys purged', {
+      service: 'idempotency',
+      count: result.count
+    });
+  }
+
+  return result.count;
+}
+
+/**
+ * Inicia la depuración periódica de claves vencidas
+ */
+function startIdempotencyCleanup() {
+  const run = () => purgeExpiredKeys().catch(error => {
+    logger.error('Idempotency cleanup error', {
+      service: 'idempotency',
+      error: error.message
+    });
+  });
+
+  setTimeout(run, 60000); // Esperar 1 minuto para iniciar
+  setInterval(run, IDEMPOTENCY_CLEANUP_INTERVAL_MINUTES * 60 * 1000);
+}
+
+module.exports = {
+  hashRequest,
+  reserveKey,
+  saveResponse,
+  releaseKey,
+  purgeExpiredKeys,
+  startIdempotencyCleanup,
+  IDEMPOTENCY_KEY_TTL_HOURS,
+  IDEMPOTENCY_LOCK_TIMEOUT_SECONDS
+};
@@ -0,0 +1,311 @@
+/**
+ * Servicio de planes de cuotas
+ * Implementa REQ-41 (Integración pasarelas) y REQ-43 (Comisiones)
+ * Los planes se configuran por categoría y monto mínimo y se ofrecen en el checkout:
+ * - Con interés: el cliente paga el recargo del plan; lo acreditado es el precio del servicio.
+ * - Sin interés: promoción en la que la plataforma absorbe el costo de financiación que Mercado Pago
+ *   descuenta de lo acreditado. El pago registra ese costo y la comisión se calcula sobre el neto
+ *   acreditado (ver commissionService.getReleaseBase).
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const logger = require('./logger');
+const { validateCategoryIds, matchesServiceCategories } = require('./couponService');
+const { roundAmount } = require('./currencyService');
+
+const prisma = new PrismaClient();
+
+// Cantidad de cuotas admitida por Mercado Pago
+const MIN_INSTALLMENTS = 2;
+const MAX_INSTALLMENTS = 24;
+
+const PLAN_INCLUDE = { categorias: { select: { id: true, nombre: true } } };
+
+/**
+ * Registra una operación sobre planes de cuotas en transactions_log
+ * @param {Object} logData - Datos a registrar
+ */
+async function logTransaction(logData) {
+  try {
+    await prisma.transactions_log.create({
+      data: logData
+    });
+  } catch (error) {
+    logger.error('Error logging installment plan transaction', {
+      service: 'installments',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Convierte un porcentaje opcional a número entre 0 y 100
+ * @param {*} value - Valor recibido
+ * @param {string} field - Nombre del campo (para el mensaje de error)
+ * @returns {number} Porcentaje
+ */
+function parsePercentage(value, field) {
+  if (value === undefined || value === null || value === '') {
+    return 0;
+  }
+
+  const parsed = parseFloat(value);
+  if (isNaN(parsed) || parsed < 0 || parsed > 100) {
+    throw new Error(`El campo ${field} debe ser un porcentaje entre 0 y 100`);
+  }
+  return parsed;
+}
+
+/**
+ * Valida y normaliza los datos de un plan de cuotas
+ * @param {Object} data - Datos recibidos
+ * @param {Object} current - Plan actual (en actualizaciones)
+ * @returns {Object} Datos listos para Prisma (sin categorías)
+ */
+function buildPlanData(data, current = null) {
+  const merged = { ...(current || {}), ...data };
+
+  const nombre = String(merged.nombre || '').trim();
+  if (!nombre) {
+    throw new Error('El nombre del plan de cuotas es requerido');
+  }
+
+  const cuotas = parseInt(merged.cuotas, 10);
+  if (isNaN(cuotas) || cuotas < MIN_INSTALLMENTS || cuotas > MAX_INSTALLMENTS) {
+    throw new Error(`La cantidad de cuotas debe estar entre ${MIN_INSTALLMENTS} y ${MAX_INSTALLMENTS}`);
+  }
+
+  const sinInteres = Boolean(merged.sin_interes);
+  const tasaInteres = parsePercentage(merged.tasa_interes, 'tasa_interes');
+  const costoFinanciacion = parsePercentage(merged.costo_financiacion, 'costo_financiacion');
+
+  // En una promoción sin interés el cliente no paga recargo; en un plan con interés la plataforma no absorbe costo
+  if (sinInteres && tasaInteres > 0) {
+    throw new Error('Un plan sin interés no debe tener tasa de interés para el cliente');
+  }
+  if (!sinInteres && costoFinanciacion > 0) {
+    throw new Error('Solo los planes sin interés tienen costo de financiación a cargo de la plataforma');
+  }
+
+  const montoMinimo = merged.monto_minimo ? parseFloat(merged.monto_minimo) : null;
+  if (montoMinimo !== null && (isNaN(montoMinimo) || montoMinimo < 0)) {
+    throw new Error('El monto mínimo del plan debe ser positivo');
+  }
+
+  return {
+    nombre,
+    cuotas,
+    sin_interes: sinInteres,
+    tasa_interes: sinInteres ? 0 : tasaInteres,
+    costo_financiacion: sinInteres ? costoFinanciacion : 0,
+    monto_minimo: montoMinimo,
+    ...(merged.activo !== undefined ? { activo: Boolean(merged.activo) } : {})
+  };
+}
+
+/**
+ * Crea un plan de cuotas
+ * @param {Object} data - Datos del plan (campos de planes_cuotas y categorias: [ids])
+ * @param {string} adminId - Administrador que lo crea
+ * @returns {Object} Plan creado
+ */
+async function createPlan(data, adminId) {
+  const planData = buildPlanData(data);
+  const categoryIds = data.categorias ? await validateCategoryIds(data.categorias) : [];
+
+  const plan = await prisma.planes_cuotas.create({
+    data: {
+      ...planData,
+      creado_por: adminId,
+      categorias: { connect: categoryIds.map(id => ({ id })) }
+    },
+    include: PLAN_INCLUDE
+  });
+
+  await logTransaction({
+    tipo_transaccion: 'installment_plan_created',
+    entidad_tipo: 'planes_cuotas',
+    entidad_id: plan.id,
+    usuario_id: adminId,
+    detalles: {
+      cuotas: plan.cuotas,
+      sinInteres: plan.sin_interes,
+      tasaInteres: plan.tasa_interes,
+      costoFinanciacion: plan.costo_financiacion,
+      montoMinimo: plan.monto_minimo,
+      categorias: categoryIds
+    }
+  });
+
+  logger.info('Installment plan created', {
+    service: 'installments',
+    adminId,
+    planId: plan.id,
+    cuotas: plan.cuotas
+  });
+
+  return plan;
+}
+
+/**
+ * Actualiza un plan de cuotas (condiciones, umbral, estado o categorías)
+ * @param {string} planId - ID del plan
+ * @param {Object} data - Campos a modificar
+ * @param {string} adminId - Administrador que lo modifica
+ * @returns {Object} Plan actualizado
+ */
+async function updatePlan(planId, data, adminId) {
+  const current = await prisma.planes_cuotas.findUnique({ where: { id: planId } });
+
+  if (!current) {
+    throw new Error('Plan de cuotas no encontrado');
+  }
+
+  const planData = buildPlanData(data, current);
+  const categoryIds = data.categorias ? await validateCategoryIds(data.categorias) : null;
+
+  const plan = await prisma.planes_cuotas.update({
+    where: { id: planId },
+    data: {
+      ...planData,
+      ...(categoryIds ? { categorias: { set: categoryIds.map(id => ({ id })) } } : {})
+    },
+    include: PLAN_INCLUDE
+  });
+
+  await logTransaction({
+    tipo_transaccion: 'installment_plan_updated',
+    entidad_tipo: 'planes_cuotas',
+    entidad_id: planId,
+    usuario_id: adminId,
+    detalles: { cambios: Object.keys(data) }
+  });
+
+  return plan;
+}
+
+/**
+ * Lista los planes de cuotas con sus categorías
+ * @param {Object} filters - { activo }
+ * @returns {Array} Planes ordenados por cantidad de cuotas
+ */
+async function listPlans(filters = {}) {
+  const where = filters.activo !== undefined ? { activo: filters.activo === true || filters.activo === 'true' } : {};
+
+  return prisma.planes_cuotas.findMany({
+    where,
+    include: PLAN_INCLUDE,
+    orderBy: [{ cuotas: 'asc' }, { creado_en: 'desc' }]
+  });
+}
+
+/**
+ * Calcula el desglose de un plan sobre el monto que cobra Mercado Pago
+ * @param {Object} plan - Plan de cuotas
+ * @param {number} amount - Monto a cobrar (en la moneda del pago)
+ * @param {string} [currency] - Moneda del pago
+ * @returns {Object} { planId, nombre, cuotas, sinInteres, montoCuota, recargo, totalAPagar, costoFinanciacion }
+ */
+function calculateInstallments(plan, amount, currency = 'ARS') {
+  const recargo = plan.sin_interes ? 0 : roundAmount(amount * (plan.tasa_interes || 0) / 100, currency);
+  const totalAPagar = roundAmount(amount + recargo, currency);
+
+  return {
+    planId: plan.id,
+    nombre: plan.nombre,
+    cuotas: plan.cuotas,
+    sinInteres: plan.sin_interes,
+    montoCuota: roundAmount(totalAPagar / plan.cuotas, currency),
+    recargo,
+    totalAPagar,
+    costoFinanciacion: plan.sin_interes ? roundAmount(amount * (plan.costo_financiacion || 0) / 100, currency) : 0
+  };
+}
+
+/**
+ * Indica si un plan se ofrece para el servicio y el monto
+ * El monto mínimo está en moneda base y se convierte con exchangeRate
+ * @param {Object} plan - Plan con categorías (y subcategorías)
+ * @param {Object} service - Servicio con profesional.perfil_profesional
+ * @param {number} amount - Monto a cobrar
+ * @param {number} exchangeRate - Tipo de cambio de la moneda del pago respecto de la moneda base
+ * @returns {boolean} true si el plan aplica
+ */
+function isPlanAvailable(plan, service, amount, exchangeRate) {
+  if (!plan.activo) {
+    return false;
+  }
+
+  if (plan.monto_minimo && amount < roundAmount(plan.monto_minimo / exchangeRate)) {
+    return false;
+  }
+
+  return matchesServiceCategories(plan.categorias, service);
+}
+
+/**
+ * Obtiene los planes de cuotas disponibles para pagar un servicio, con su desglose
+ * @param {Object} context
+ * @param {Object} context.service - Servicio con profesional.perfil_profesional
+ * @param {number} context.amount - Monto que cobra Mercado Pago (descuentos y crédito ya aplicados)
+ * @param {string} [context.currency] - Moneda del pago
+ * @param {number} [context.exchangeRate] - Tipo de cambio de la moneda del pago respecto de la moneda base
+ * @returns {Array} Desglose de cada plan disponible
+ */
+async function getInstallmentOptions({ service, amount, currency = 'ARS', exchangeRate = 1 }) {
+  if (!amount || amount <= 0) {
+    return [];
+  }
+
+  const plans = await prisma.planes_cuotas.findMany({
+    where: { activo: true },
+    include: {
+      categorias: {
+        select: { id: true, nombre: true, subcategories: { select: { nombre: true } } }
+      }
+    },
+    orderBy: { cuotas: 'asc' }
+  });
+
+  return plans
+    .filter(plan => isPlanAvailable(plan, service, amount, exchangeRate))
+    .map(plan => calculateInstallments(plan, amount, currency));
+}
+
+/**
+ * Valida el plan de cuotas elegido en el checkout y calcula su desglose
+ * @param {string} planId - Plan elegido por el cliente
+ * @param {Object} context - Igual que getInstallmentOptions
+ * @returns {Object} Desglose del plan (ver calculateInstallments)
+ */
+async function selectInstallmentPlan(planId, { service, amount, currency = 'ARS', exchangeRate = 1 }) {
+  const plan = await prisma.planes_cuotas.findUnique({
+    where: { id: planId },
+    include: {
+      categorias: {
+        select: { id: true, nombre: true, subcategories: { select: { nombre: true } } }
+      }
+    }
+  });
+
+  if (!plan) {
+    throw new Error('Plan de cuotas no encontrado');
+  }
+
+  if (!isPlanAvailable(plan, service, amount, exchangeRate)) {
+    throw new Error('El plan de cuotas no está disponible para este servicio o monto');
+  }
+
+  return calculateInstallments(plan, amount, currency);
+}
+
+module.exports = {
+  MIN_INSTALLMENTS,
+  MAX_INSTALLMENTS,
+  createPlan,
+  updatePlan,
+  listPlans,
+  calculateInstallments,
+  getInstallmentOptions,
+  selectInstallmentPlan
+};
@@ -0,0 +1,687 @@
+/**
+ * Servicio de facturación de comisiones de la plataforma
+ * Implementa REQ-43 (Comisiones) y REQ-45 (Comprobantes)
+ *
+ * Cada mes se emite a cada profesional una factura por la comisión cobrada en sus pagos del mes
+ * (pagos.comision_plataforma, menos la comisión revertida por reembolsos del mes). Las facturas se
+ * numeran en forma correlativa por punto de venta y tipo de comprobante, se autorizan ante la autoridad
+ * fiscal (fiscalAuthorityService) y se guardan en PDF. La comisión se considera con IVA incluido.
+ * Las comisiones de pagos en otras monedas se facturan en moneda base con el tipo de cambio de cada pago.
+ */
+
+const PDFDocument = require('pdfkit');
+const fs = require('fs');
+const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+const logger = require('./logger');
+const { getFiscalAuthority } = require('./fiscalAuthorityService');
+
+const prisma = new PrismaClient();
+
+// Punto de venta habilitado para la facturación electrónica de la plataforma
+const INVOICE_POINT_OF_SALE = parseInt(process.env.INVOICE_POINT_OF_SALE || '1');
+
+// Alícuota de IVA aplicada a la comisión
+const INVOICE_IVA_RATE = parseFloat(process.env.INVOICE_IVA_RATE || '21');
+
+// Datos del emisor
+const PLATFORM_FISCAL_DATA = {
+  razon_social: process.env.PLATFORM_BUSINESS_NAME || 'Changánet S.A.',
+  cuit: process.env.PLATFORM_CUIT || '30-00000000-0',
+  domicilio_fiscal: process.env.PLATFORM_FISCAL_ADDRESS || 'Buenos Aires, Argentina',
+  condicion_iva: 'responsable_inscripto'
+};
+
+// Frecuencia con la que se revisa si falta facturar el mes anterior o autorizar facturas
+const INVOICE_CHECK_INTERVAL = 24 * 60 * 60 * 1000;
+
+// Pagos cuya comisión se factura: la comisión se fija al liberar los fondos (hasta entonces vale 0),
+// por eso se factura en el mes de la liberación. Los reembolsos se descuentan aparte
+const RELEASED_PAYMENT_STATES = ['liberado', 'reembolsado'];
+
+const IVA_CONDITIONS = ['responsable_inscripto', 'monotributista', 'exento'];
+
+const IVA_CONDITION_TEXT = {
+  responsable_inscripto: 'IVA Responsable Inscripto',
+  monotributista: 'Responsable Monotributo',
+  exento: 'IVA Exento',
+  consumidor_final: 'Consumidor Final'
+};
+
+const INVOICE_STATES = {
+  PENDING_AUTHORIZATION: 'pendiente_autorizacion',
+  AUTHORIZED: 'autorizada'
+};
+
+const invoicesDir = path.join(__dirname, '../invoices');
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Número de comprobante con el formato PPPPP-NNNNNNNN
+ */
+function formatInvoiceNumber(pointOfSale, number) {
+  return `${String(pointOfSale).padStart(5, '0')}-${String(number).padStart(8, '0')}`;
+}
+
+/**
+ * Valida un CUIT (11 dígitos con dígito verificador)
+ * @param {string} cuit - CUIT con o sin guiones
+ * @returns {boolean} Si es válido
+ */
+function isValidCuit(cuit) {
+  const digits = String(cuit || '').replace(/[-\s]/g, '');
+  if (!/^\d{11}$/.test(digits)) {
+    return false;
+  }
+
+  const weights = [5, 4, 3, 2, 7, 6, 5, 4, 3, 2];
+  const sum = weights.reduce((total, weight, index) => total + weight * Number(digits[index]), 0);
+  const remainder = 11 - (sum % 11);
+  const checkDigit = remainder === 11 ? 0 : remainder === 10 ? 9 : remainder;
+
+  return checkDigit === Number(digits[10]);
+}
+
+/**
+ * Período mensual a facturar
+ * @param {number} year - Año
+ * @param {number} month - Mes (1-12)
+ * @returns {Object} { periodo, inicio, fin } (fin excluido)
+ */
+function getPeriod(year, month) {
+  return {
+    periodo: `${year}-${String(month).padStart(2, '0')}`,
+    inicio: new Date(year, month - 1, 1),
+    fin: new Date(year, month, 1)
+  };
+}
+
+/**
+ * Mes anterior a la fecha indicada
+ */
+function getPreviousPeriod(now = new Date()) {
+  const previous = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+  return getPeriod(previous.getFullYear(), previous.getMonth() + 1);
+}
+
+/**
+ * Obtiene los datos fiscales de un profesional
+ * @param {string} userId - ID del profesional
+ * @returns {Object|null} Datos fiscales
+ */
+async function getFiscalData(userId) {
+  return prisma.datos_fiscales.findUnique({ where: { usuario_id: userId } });
+}
+
+/**
+ * Guarda los datos fiscales de un profesional
+ * @param {string} userId - ID del profesional
+ * @param {Object} data - { cuit, razon_social, condicion_iva, domicilio_fiscal }
+ * @returns {Object} Datos fiscales guardados
+ */
+async function updateFiscalData(userId, { cuit, razon_social, condicion_iva, domicilio_fiscal }) {
+  if (!isValidCuit(cuit)) {
+    throw new Error('CUIT inválido');
+  }
+
+  if (!IVA_CONDITIONS.includes(condicion_iva)) {
+    throw new Error(`Condición frente al IVA inválida. Opciones: ${IVA_CONDITIONS.join(', ')}`);
+  }
+
+  if (!razon_social?.trim() || !domicilio_fiscal?.trim()) {
+    throw new Error('La razón social y el domicilio fiscal son requeridos');
+  }
+
+  const data = {
+    cuit: String(cuit).replace(/[-\s]/g, ''),
+    razon_social: razon_social.trim(),
+    condicion_iva,
+    domicilio_fiscal: domicilio_fiscal.trim()
+  };
+
+  const fiscalData = await prisma.datos_fiscales.upsert({
+    where: { usuario_id: userId },
+    create: { usuario_id: userId, ...data },
+    update: data
+  });
+
+  logger.info('Fiscal data updated', {
+    service: 'invoices',
+    userId,
+    condicion_iva
+  });
+
+  return fiscalData;
+}
+
+/**
+ * Comisión fijada al liberar un pago, sin la de sus hitos (se facturan por separado al aprobarse)
+ * comision_plataforma ya descuenta los reembolsos posteriores a la liberación; se suman de vuelta
+ * porque esos reembolsos se descuentan en el período en que ocurren
+ * @param {Object} payment - Pago con hitos liberados y reembolsos
+ * @returns {number} Comisión en la moneda del pago
+ */
+function getReleaseCommission(payment) {
+  const milestoneCommission = (payment.hitos || []).reduce((total, milestone) => total + milestone.comision_plataforma, 0);
+  const revertedAfterRelease = (payment.reembolsos || [])
+    .filter(refund => refund.creado_en >= payment.fecha_liberacion)
+    .reduce((total, refund) => total + (refund.comision_revertida || 0), 0);
+
+  return Math.max(payment.comision_plataforma + revertedAfterRelease - milestoneCommission, 0);
+}
+
+/**
+ * Calcula la comisión a facturar a un profesional en un período, en moneda base
+ * Se factura la comisión de los pagos liberados y de los hitos aprobados en el período
+ * @param {string} professionalId - ID del profesional
+ * @param {Object} period - { inicio, fin }
+ * @returns {Object} Importes de la factura
+ */
+async function calculateCommission(professionalId, { inicio, fin }) {
+  const [payments, milestones, refunds] = await Promise.all([
+    prisma.pagos.findMany({
+      where: {
+        profesional_id: professionalId,
+        estado: { in: RELEASED_PAYMENT_STATES },
+        fecha_liberacion: { gte: inicio, lt: fin }
+      },
+      select: {
+        id: true,
+        comision_plataforma: true,
+        tipo_cambio: true,
+        fecha_liberacion: true,
+        hitos: { where: { estado: 'liberado' }, select: { comision_plataforma: true } },
+        reembolsos: { select: { comision_revertida: true, creado_en: true } }
+      }
+    }),
+    prisma.hitos_pago.findMany({
+      where: {
+        estado: 'liberado',
+        aprobado_en: { gte: inicio, lt: fin },
+        pago: { profesional_id: professionalId }
+      },
+      select: { pago_id: true, comision_plataforma: true, pago: { select: { tipo_cambio: true } } }
+    }),
+    prisma.reembolsos.findMany({
+      where: {
+        creado_en: { gte: inicio, lt: fin },
+        pago: { profesional_id: professionalId }
+      },
+      select: { comision_revertida: true, pago: { select: { tipo_cambio: true } } }
+    })
+  ]);
+
+  const grossCommission = round2(
+    payments.reduce((total, payment) => total + getReleaseCommission(payment) * (payment.tipo_cambio || 1), 0) +
+    milestones.reduce((total, milestone) => total + milestone.comision_plataforma * (milestone.pago.tipo_cambio || 1), 0)
+  );
+  const reversedCommission = round2(refunds.reduce(
+    (total, refund) => total + (refund.comision_revertida || 0) * (refund.pago.tipo_cambio || 1), 0
+  ));
+  const total = round2(grossCommission - reversedCommission);
+  const net = round2(total / (1 + INVOICE_IVA_RATE / 100));
+
+  return {
+    cantidad_pagos: new Set([...payments.map(payment => payment.id), ...milestones.map(milestone => milestone.pago_id)]).size,
+    comision_bruta: grossCommission,
+    comision_revertida: reversedCommission,
+    monto_neto: net,
+    alicuota_iva: INVOICE_IVA_RATE,
+    monto_iva: round2(total - net),
+    monto_total: total
+  };
+}
+
+/**
+ * Genera el PDF de una factura
+ * @param {Object} invoice - Factura
+ * @returns {Promise<Buffer>} PDF
+ */
+function generateInvoicePdf(invoice) {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const buffers = [];
+  doc.on('data', buffers.push.bind(buffers));
+
+  const customer = invoice.datos_fiscales;
+  const formatAmount = (value) => `$${value.toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  const formatDate = (value) => new Date(value).toLocaleDateString('es-AR');
+
+  // Encabezado
+  doc.fontSize(20).font('Helvetica-Bold').text(`FACTURA ${invoice.tipo_comprobante}`, { align: 'center' });
+  doc.fontSize(12).font('Helvetica').text(`N° ${formatInvoiceNumber(invoice.punto_venta, invoice.numero)}`, { align: 'center' });
+  doc.text(`Fecha de emisión: ${formatDate(invoice.emitida_en)}`, { align: 'center' });
+  doc.moveDown(2);
+
+  // Emisor
+  doc.fontSize(14).font('Helvetica-Bold').text('EMISOR');
+  doc.moveDown(0.5);
+  doc.fontSize(10).font('Helvetica');
+  doc.text(PLATFORM_FISCAL_DATA.razon_social);
+  doc.text(`CUIT: ${PLATFORM_FISCAL_DATA.cuit}`);
+  doc.text(`Domicilio: ${PLATFORM_FISCAL_DATA.domicilio_fiscal}`);
+  doc.text(IVA_CONDITION_TEXT[PLATFORM_FISCAL_DATA.condicion_iva]);
+  doc.moveDown();
+
+  // Receptor
+  doc.fontSize(14).font('Helvetica-Bold').text('RECEPTOR');
+  doc.moveDown(0.5);
+  doc.fontSize(10).font('Helvetica');
+  doc.text(customer.razon_social);
+  if (customer.cuit) {
+    doc.text(`CUIT: ${customer.cuit}`);
+  }
+  if (customer.domicilio_fiscal) {
+    doc.text(`Domicilio: ${customer.domicilio_fiscal}`);
+  }
+  doc.text(IVA_CONDITION_TEXT[customer.condicion_iva] || customer.condicion_iva);
+  doc.moveDown();
+
+  // Detalle
+  doc.fontSize(14).font('Helvetica-Bold').text('DETALLE');
+  doc.moveDown(0.5);
+  doc.fontSize(10).font('Helvetica');
+  doc.text(`Comisión por intermediación - período ${invoice.periodo} (${invoice.cantidad_pagos} pagos)`);
+  doc.text(`Comisiones del período: ${formatAmount(invoice.comision_bruta)}`);
+  if (invoice.comision_revertida > 0) {
+    doc.text(`Comisiones revertidas por reembolsos: -${formatAmount(invoice.comision_revertida)}`);
+  }
+  doc.moveDown();
+
+  // Totales: la factura A discrimina el IVA; la B lo informa incluido
+  if (invoice.tipo_comprobante === 'A') {
+    doc.text(`Importe neto gravado: ${formatAmount(invoice.monto_neto)}`);
+    doc.text(`IVA ${invoice.alicuota_iva}%: ${formatAmount(invoice.monto_iva)}`);
+  }
+  doc.fontSize(12).font('Helvetica-Bold').text(`TOTAL: ${formatAmount(invoice.monto_total)}`);
+  if (invoice.tipo_comprobante === 'B') {
+    doc.fontSize(9).font('Helvetica').text(`IVA contenido (${invoice.alicuota_iva}%): ${formatAmount(invoice.monto_iva)}`);
+  }
+  doc.moveDown(2);
+
+  // Autorización
+  doc.fontSize(10).font('Helvetica');
+  doc.text(`CAE: ${invoice.cae}`);
+  doc.text(`Vencimiento del CAE: ${formatDate(invoice.cae_vencimiento)}`);
+
+  doc.moveDown(2);
+  doc.fontSize(8).text('Comprobante autorizado. Generado automáticamente por el sistema Changánet.', { align: 'center' });
+
+  doc.end();
+
+  return new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(buffers)));
+    doc.on('error', reject);
+  });
+}
+
+/**
+ * Genera y guarda el PDF de una factura autorizada
+ * @param {Object} invoice - Factura
+ * @returns {string} Nombre del archivo
+ */
+async function saveInvoiceFile(invoice) {
+  const pdfBuffer = await generateInvoicePdf(invoice);
+
+  if (!fs.existsSync(invoicesDir)) {
+    fs.mkdirSync(invoicesDir, { recursive: true });
+  }
+
+  const fileName = `factura_${invoice.tipo_comprobante}_${formatInvoiceNumber(invoice.punto_venta, invoice.numero)}.pdf`;
+  fs.writeFileSync(path.join(invoicesDir, fileName), pdfBuffer);
+
+  return fileName;
+}
+
+/**
+ * Solicita la autorización de una factura y, si se autoriza, genera su PDF
+ * Si la autoridad fiscal falla, la factura queda pendiente y se reintenta en la próxima ejecución
+ * @param {Object} invoice - Factura pendiente de autorización
+ * @returns {Object} Factura actualizada
+ */
+async function authorizeInvoice(invoice) {
+  let authorization;
+
+  try {
+    authorization = await getFiscalAuthority().authorizeInvoice(invoice);
+  } catch (error) {
+    logger.error('Invoice authorization error', {
+      service: 'invoices',
+      invoiceId: invoice.id,
+      number: formatInvoiceNumber(invoice.punto_venta, invoice.numero),
+      error: error.message
+    });
+
+    return prisma.facturas.update({
+      where: { id: invoice.id },
+      data: { autoridad_error: error.message }
+    });
+  }
+
+  const authorized = {
+    ...invoice,
+    estado: INVOICE_STATES.AUTHORIZED,
+    cae: authorization.cae,
+    cae_vencimiento: authorization.caeVencimiento,
+    autorizada_en: new Date(),
+    autoridad_error: null
+  };
+  const fileName = await saveInvoiceFile(authorized);
+
+  const updated = await prisma.facturas.update({
+    where: { id: invoice.id },
+    data: {
+      estado: authorized.estado,
+      cae: authorized.cae,
+      cae_vencimiento: authorized.cae_vencimiento,
+      autorizada_en: authorized.autorizada_en,
+      autoridad_error: null,
+      archivo: fileName
+    }
+  });
+
+  try {
+    const { createNotification } = require('./notificationService');
+    await createNotification(
+      invoice.profesional_id,
+      'factura_emitida',
+      `Tu factura ${invoice.tipo_comprobante} ${formatInvoiceNumber(invoice.punto_venta, invoice.numero)} por la comisión de ${invoice.periodo} está disponible`,
+      { invoiceId: invoice.id, periodo: invoice.periodo, monto_total: invoice.monto_total }
+    );
+  } catch (notificationError) {
+    logger.warn('Invoice notification error', {
+      service: 'invoices',
+      invoiceId: invoice.id,
+      error: notificationError.message
+    });
+  }
+
+  return updated;
+}
+
+/**
+ * Emite la factura de comisiones de un profesional para un período
+ * No emite dos facturas para el mismo período ni facturas sin comisión a cobrar
+ * @param {string} professionalId - ID del profesional
+ * @param {Object} period - { periodo, inicio, fin }
+ * @returns {Object|null} { invoice, created } o null si no hay comisión
+ */
+async function issueInvoice(professionalId, period) {
+  const periodKey = { profesional_id_periodo: { profesional_id: professionalId, periodo: period.periodo } };
+
+  const existing = await prisma.facturas.findUnique({ where: periodKey });
+  if (existing) {
+    return { invoice: existing, created: false };
+  }
+
+  const amounts = await calculateCommission(professionalId, period);
+  if (amounts.monto_total <= 0) {
+    return null;
+  }
+
+  const [fiscalData, professional] = await Promise.all([
+    getFiscalData(professionalId),
+    prisma.usuarios.findUnique({ where: { id: professionalId }, select: { nombre: true, email: true } })
+  ]);
+
+  // Sin datos fiscales se factura como a consumidor final
+  const customer = fiscalData
+    ? {
+      cuit: fiscalData.cuit,
+      razon_social: fiscalData.razon_social,
+      condicion_iva: fiscalData.condicion_iva,
+      domicilio_fiscal: fiscalData.domicilio_fiscal
+    }
+    : { razon_social: professional?.nombre || professional?.email || professionalId, condicion_iva: 'consumidor_final' };
+  const invoiceType = customer.condicion_iva === 'responsable_inscripto' ? 'A' : 'B';
+
+  // Numeración correlativa; si otro proceso tomó el mismo número se reintenta con el siguiente
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const last = await prisma.facturas.findFirst({
+      where: { punto_venta: INVOICE_POINT_OF_SALE, tipo_comprobante: invoiceType },
+      orderBy: { numero: 'desc' },
+      select: { numero: true }
+    });
+
+    try {
+      const invoice = await prisma.facturas.create({
+        data: {
+          profesional_id: professionalId,
+          tipo_comprobante: invoiceType,
+          punto_venta: INVOICE_POINT_OF_SALE,
+          numero: (last?.numero || 0) + 1,
+          periodo: period.periodo,
+          periodo_inicio: period.inicio,
+          periodo_fin: period.fin,
+          ...amounts,
+          datos_fiscales: customer
+        }
+      });
+
+      logger.info('Commission invoice issued', {
+        service: 'invoices',
+        invoiceId: invoice.id,
+        professionalId,
+        periodo: period.periodo,
+        number: formatInvoiceNumber(invoice.punto_venta, invoice.numero),
+        total: invoice.monto_total
+      });
+
+      return { invoice: await authorizeInvoice(invoice), created: true };
+    } catch (error) {
+      if (error.code !== 'P2002') {
+        throw error;
+      }
+
+      const concurrent = await prisma.facturas.findUnique({ where: periodKey });
+      if (concurrent) {
+        return { invoice: concurrent, created: false };
+      }
+    }
+  }
+
+  throw new Error('No se pudo asignar un número de factura');
+}
+
+/**
+ * Emite las facturas de comisiones de un mes cerrado y reintenta las autorizaciones pendientes
+ * @param {Object} options - { year, month } (por defecto, el mes anterior)
+ * @returns {Object} Resumen de la ejecución
+ */
+async function generateMonthlyInvoices({ year, month } = {}) {
+  let period;
+
+  if (year || month) {
+    const y = parseInt(year, 10);
+    const m = parseInt(month, 10);
+
+    if (!y || !m || m < 1 || m > 12) {
+      throw new Error('Período inválido: indique año y mes (1-12)');
+    }
+
+    period = getPeriod(y, m);
+    if (period.fin > new Date()) {
+      throw new Error('Solo se pueden facturar meses cerrados');
+    }
+  } else {
+    period = getPreviousPeriod();
+  }
+
+  // Profesionales con pagos liberados o hitos aprobados en el período
+  const [releasedPayments, releasedMilestones] = await Promise.all([
+    prisma.pagos.findMany({
+      where: {
+        estado: { in: RELEASED_PAYMENT_STATES },
+        fecha_liberacion: { gte: period.inicio, lt: period.fin }
+      },
+      select: { profesional_id: true },
+      distinct: ['profesional_id']
+    }),
+    prisma.hitos_pago.findMany({
+      where: {
+        estado: 'liberado',
+        aprobado_en: { gte: period.inicio, lt: period.fin }
+      },
+      select: { pago: { select: { profesional_id: true } } }
+    })
+  ]);
+  const professionals = [...new Set([
+    ...releasedPayments.map(payment => payment.profesional_id),
+    ...releasedMilestones.map(milestone => milestone.pago.profesional_id)
+  ])].map(profesional_id => ({ profesional_id }));
+
+  const summary = { periodo: period.periodo, emitidas: 0, existentes: 0, sin_comision: 0, errores: 0, autorizaciones_reintentadas: 0 };
+
+  for (const { profesional_id } of professionals) {
+    try {
+      const result = await issueInvoice(profesional_id, period);
+
+      if (!result) {
+        summary.sin_comision++;
+      } else if (result.created) {
+        summary.emitidas++;
+      } else {
+        summary.existentes++;
+      }
+    } catch (error) {
+      summary.errores++;
+      logger.error('Commission invoice error', {
+        service: 'invoices',
+        professionalId: profesional_id,
+        periodo: period.periodo,
+        error: error.message
+      });
+    }
+  }
+
+  // Facturas de ejecuciones anteriores que la autoridad fiscal no autorizó
+  const pending = await prisma.facturas.findMany({
+    where: { estado: INVOICE_STATES.PENDING_AUTHORIZATION, emitida_en: { lt: new Date(Date.now() - 60 * 1000) } },
+    orderBy: { numero: 'asc' }
+  });
+
+  for (const invoice of pending) {
+    await authorizeInvoice(invoice);
+    summary.autorizaciones_reintentadas++;
+  }
+
+  logger.info('Monthly commission invoicing completed', {
+    service: 'invoices',
+    ...summary
+  });
+
+  return summary;
+}
+
+/**
+ * Inicia la facturación mensual automática
+ * Se ejecuta a diario: si el mes anterior ya está facturado no emite nada nuevo
+ */
+function startInvoiceScheduler() {
+  const run = () => generateMonthlyInvoices().catch(error => {
+    logger.error('Invoice scheduler error', {
+      service: 'invoices',
+      error: error.message
+    });
+  });
+
+  setTimeout(run, 60000); // Esperar 1 minuto para iniciar
+  setInterval(run, INVOICE_CHECK_INTERVAL);
+}
+
+/**
+ * Lista facturas: el profesional ve las propias; el administrador, todas
+ * @param {Object} user - Usuario autenticado
+ * @param {Object} filters - { professionalId, periodo, estado, page, limit }
+ * @returns {Object} { invoices, pagination }
+ */
+async function listInvoices(user, filters = {}) {
+  const take = Math.min(parseInt(filters.limit, 10) || 20, 100);
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+
+  const where = {};
+  if (user.rol === 'admin') {
+    if (filters.professionalId) where.profesional_id = filters.professionalId;
+  } else {
+    where.profesional_id = user.id;
+  }
+  if (filters.periodo) where.periodo = filters.periodo;
+  if (filters.estado) where.estado = filters.estado;
+
+  const [invoices, total] = await Promise.all([
+    prisma.facturas.findMany({
+      where,
+      orderBy: [{ periodo: 'desc' }, { numero: 'desc' }],
+      skip: (page - 1) * take,
+      take
+    }),
+    prisma.facturas.count({ where })
+  ]);
+
+  return {
+    invoices: invoices.map(invoice => ({
+      ...invoice,
+      numero_comprobante: formatInvoiceNumber(invoice.punto_venta, invoice.numero)
+    })),
+    pagination: {
+      page,
+      limit: take,
+      total,
+      pages: Math.ceil(total / take)
+    }
+  };
+}
+
+/**
+ * Obtiene el PDF de una factura; si el archivo no está disponible se vuelve a generar
+ * @param {string} invoiceId - ID de la factura
+ * @param {Object} user - Usuario autenticado
+ * @returns {Object} { fileName, buffer }
+ */
+async function getInvoiceFile(invoiceId, user) {
+  const invoice = await prisma.facturas.findUnique({ where: { id: invoiceId } });
+
+  if (!invoice) {
+    throw new Error('Factura no encontrada');
+  }
+
+  if (user.rol !== 'admin' && invoice.profesional_id !== user.id) {
+    throw new Error('No autorizado para ver esta factura');
+  }
+
+  if (invoice.estado !== INVOICE_STATES.AUTHORIZED) {
+    throw new Error('La factura todavía no fue autorizada por la autoridad fiscal');
+  }
+
+  const filePath = invoice.archivo && path.join(invoicesDir, invoice.archivo);
+  if (filePath && fs.existsSync(filePath)) {
+    return { fileName: invoice.archivo, buffer: fs.readFileSync(filePath) };
+  }
+
+  const fileName = await saveInvoiceFile(invoice);
+  if (fileName !== invoice.archivo) {
+    await prisma.facturas.update({ where: { id: invoice.id }, data: { archivo: fileName } });
+  }
+
+  return { fileName, buffer: fs.readFileSync(path.join(invoicesDir, fileName)) };
+}
+
+module.exports = {
+  INVOICE_STATES,
+  IVA_CONDITIONS,
+  isValidCuit,
+  formatInvoiceNumber,
+  getPeriod,
+  getPreviousPeriod,
+  getFiscalData,
+  updateFiscalData,
+  calculateCommission,
+  issueInvoice,
+  authorizeInvoice,
+  generateMonthlyInvoices,
+  startInvoiceScheduler,
+  listInvoices,
+  getInvoiceFile
+};
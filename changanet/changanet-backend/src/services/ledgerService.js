@@ -0,0 +1,559 @@
+/**
+ * Servicio de libro mayor de partida doble
+ * Implementa REQ-42 (Custodia), REQ-43 (Comisiones) y REQ-44 (Retiros) a nivel contable
+ * Cada movimiento de dinero se registra como un asiento cuyos débitos y créditos suman lo mismo.
+ * El balance de comprobación permite detectar diferencias entre el libro y las tablas operativas
+ * (pagos, payouts, retiros) que hasta ahora no tenían ninguna garantía de conciliar.
+ * Cada movimiento está en una moneda (la del pago, payout o retiro que lo origina) y los asientos,
+ * saldos y conciliaciones se calculan por moneda: nunca se suman montos de monedas distintas.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const logger = require('./logger');
+const { BASE_CURRENCY, normalizeCurrency, toBaseCurrency } = require('./currencyService');
+
+const prisma = new PrismaClient();
+
+/**
+ * Plan de cuentas
+ * naturaleza 'deudora': el saldo crece con el debe (activos y gastos)
+ * naturaleza 'acreedora': el saldo crece con el haber (pasivos e ingresos)
+ */
+const LEDGER_ACCOUNTS = {
+  CAJA: { codigo: 'caja_mercadopago', nombre: 'Caja Mercado Pago', naturaleza: 'deudora' },
+  CUSTODIA: { codigo: 'custodia_clientes', nombre: 'Custodia de clientes', naturaleza: 'acreedora' },
+  COMISIONES: { codigo: 'comisiones_plataforma', nombre: 'Comisiones de plataforma', naturaleza: 'acreedora' },
+  SALDO_PROFESIONALES: { codigo: 'saldo_profesionales', nombre: 'Saldo de profesionales', naturaleza: 'acreedora' },
+  PAGOS_BANCARIOS: { codigo: 'pagos_bancarios', nombre: 'Pagos bancarios en tránsito', naturaleza: 'acreedora' },
+  DESCUENTOS: { codigo: 'descuentos_promocionales', nombre: 'Descuentos promocionales subsidiados', naturaleza: 'deudora' },
+  SUSCRIPCIONES: { codigo: 'ingresos_suscripciones', nombre: 'Ingresos por suscripciones', naturaleza: 'acreedora' },
+  RETENCIONES: { codigo: 'retenciones_a_depositar', nombre: 'Retenciones impositivas a depositar', naturaleza: 'acreedora' },
+  CREDITOS_CLIENTES: { codigo: 'creditos_clientes', nombre: 'Crédito de clientes en billetera', naturaleza: 'acreedora' },
+  BONIFICACIONES: { codigo: 'bonificaciones_clientes', nombre: 'Bonificaciones otorgadas a clientes', naturaleza: 'deudora' },
+  COMISIONES_A_COBRAR: { codigo: 'comisiones_a_cobrar', nombre: 'Comisiones a cobrar a profesionales (pagos en efectivo)', naturaleza: 'deudora' },
+  COSTOS_FINANCIACION: { codigo: 'costos_financiacion', nombre: 'Costo de cuotas sin interés absorbido', naturaleza: 'deudora' },
+  // Puente entre la moneda base de las billeteras y la moneda de un pago: su saldo en cada moneda
+  // tiene signo opuesto y por eso no se controla como el resto de las cuentas
+  CONVERSION: { codigo: 'conversion_moneda', nombre: 'Conversión de créditos de billetera entre monedas', naturaleza: 'deudora' }
+};
+
+// Diferencia máxima admitida por redondeo de centavos
+const BALANCE_TOLERANCE = 0.01;
+
+/**
+ * Redondea un monto a centavos
+ * @param {number} amount - Monto
+ * @returns {number} Monto redondeado
+ */
+function roundAmount(amount) {
+  return Math.round((amount || 0) * 100) / 100;
+}
+
+/**
+ * Busca la definición de una cuenta por su código
+ * @param {string} codigo - Código de la cuenta
+ * @returns {Object|undefined} Definición de la cuenta
+ */
+function findAccount(codigo) {
+  return Object.values(LEDGER_ACCOUNTS).find(account => account.codigo === codigo);
+}
+
+/**
+ * Líneas que mueven crédito de billetera (en moneda base) contra un pago en otra moneda
+ * Si el pago está en moneda base es una sola línea; si no, el crédito se registra en moneda base
+ * y la cuenta de conversión traslada su equivalente a la moneda del pago con el tipo de cambio del pago
+ * @param {Object} payment - Pago (moneda, tipo_cambio, cliente_id, id)
+ * @param {number} amount - Crédito aplicado o devuelto, en la moneda del pago
+ * @param {string} side - 'debe' si el crédito sale de la billetera, 'haber' si vuelve a ella
+ * @returns {Array} Líneas del asiento
+ */
+function walletCreditLines(payment, amount, side) {
+  const currency = payment.moneda || BASE_CURRENCY;
+  const opposite = side === 'debe' ? 'haber' : 'debe';
+  const creditLine = { cuenta: LEDGER_ACCOUNTS.CREDITOS_CLIENTES.codigo, usuarioId: payment.cliente_id, pagoId: payment.id };
+
+  if (currency === BASE_CURRENCY) {
+    return [{ ...creditLine, [side]: amount }];
+  }
+
+  const baseAmount = toBaseCurrency(amount, payment.tipo_cambio || 1);
+  return [
+    { ...creditLine, [side]: baseAmount, moneda: BASE_CURRENCY },
+    { cuenta: LEDGER_ACCOUNTS.CONVERSION.codigo, [opposite]: baseAmount, pagoId: payment.id, moneda: BASE_CURRENCY },
+    { cuenta: LEDGER_ACCOUNTS.CONVERSION.codigo, [side]: amount, pagoId: payment.id }
+  ];
+}
+
+/**
+ * Registra un asiento contable balanceado
+ * Es idempotente: si ya existe un asiento del mismo tipo para la misma entidad, lo devuelve
+ * @param {Object} entry - Datos del asiento
+ * @param {string} entry.tipo - Tipo de asiento (ej. "cobro_pago")
+ * @param {string} entry.descripcion - Descripción legible
+ * @param {string} entry.entidadTipo - Tabla de origen ("pagos", "payouts", "reembolsos", "retiros")
+ * @param {string} entry.entidadId - ID de la entidad de origen
+ * @param {string} [entry.creadoPor] - Usuario que originó la operación
+ * @param {string} [entry.moneda] - Moneda de las líneas que no indican otra (por defecto, la base)
+ * @param {Array<{cuenta: string, debe?: number, haber?: number, usuarioId?: string, pagoId?: string, moneda?: string}>} entry.lineas - Líneas del asiento
+ * @returns {Object} Asiento creado (o existente) con sus movimientos
+ */
+async function postJournalEntry({ tipo, descripcion, entidadTipo, entidadId, creadoPor = null, moneda = BASE_CURRENCY, lineas }) {
+  if (!tipo || !entidadTipo || !entidadId) {
+    throw new Error('El asiento debe indicar tipo y entidad de origen');
+  }
+
+  const currency = normalizeCurrency(moneda);
+  const movimientos = (lineas || [])
+    .map(linea => ({
+      cuenta: linea.cuenta,
+      usuario_id: linea.usuarioId || null,
+      pago_id: linea.pagoId || null,
+      debe: roundAmount(linea.debe),
+      haber: roundAmount(linea.haber),
+      moneda: linea.moneda ? normalizeCurrency(linea.moneda) : currency
+    }))
+    .filter(linea => linea.debe !== 0 || linea.haber !== 0);
+
+  if (movimientos.length < 2) {
+    throw new Error('El asiento debe tener al menos dos movimientos con monto');
+  }
+
+  for (const movimiento of movimientos) {
+    if (!findAccount(movimiento.cuenta)) {
+      throw new Error(`Cuenta contable inválida: ${movimiento.cuenta}`);
+    }
+    if (movimiento.debe < 0 || movimiento.haber < 0 || (movimiento.debe > 0 && movimiento.haber > 0)) {
+      throw new Error('Cada movimiento debe tener un único importe positivo en el debe o en el haber');
+    }
+  }
+
+  // Débitos y créditos deben coincidir en cada moneda
+  for (const code of new Set(movimientos.map(m => m.moneda))) {
+    const lines = movimientos.filter(m => m.moneda === code);
+    const totalDebe = roundAmount(lines.reduce((sum, m) => sum + m.debe, 0));
+    const totalHaber = roundAmount(lines.reduce((sum, m) => sum + m.haber, 0));
+
+    if (Math.abs(totalDebe - totalHaber) >= BALANCE_TOLERANCE) {
+      throw new Error(`Asiento desbalanceado en ${code}: debe ${totalDebe} / haber ${totalHaber}`);
+    }
+  }
+
+  try {
+    return await prisma.asientos_contables.create({
+      data: {
+        tipo,
+        descripcion,
+        entidad_tipo: entidadTipo,
+        entidad_id: entidadId,
+        creado_por: creadoPor,
+        movimientos: { create: movimientos }
+      },
+      include: { movimientos: true }
+    });
+  } catch (error) {
+    // Asiento ya registrado para esta operación (reintento de webhook, doble click, etc.)
+    if (error.code === 'P2002') {
+      logger.info('Journal entry already posted', {
+        service: 'ledger',
+        tipo,
+        entidadTipo,
+        entidadId
+      });
+      return prisma.asientos_contables.findUnique({
+        where: { tipo_entidad_tipo_entidad_id: { tipo, entidad_tipo: entidadTipo, entidad_id: entidadId } },
+        include: { movimientos: true }
+      });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Registra un asiento sin interrumpir la operación de negocio si falla
+ * Los asientos faltantes quedan expuestos en el balance de comprobación
+ * @param {Object} entry - Mismos parámetros que postJournalEntry
+ * @returns {Object|null} Asiento registrado o null si falló
+ */
+async function recordJournalEntry(entry) {
+  try {
+    return await postJournalEntry(entry);
+  } catch (error) {
+    logger.error('Error posting journal entry', {
+      service: 'ledger',
+      tipo: entry.tipo,
+      entidadTipo: entry.entidadTipo,
+      entidadId: entry.entidadId,
+      error: error.message
+    });
+    return null;
+  }
+}
+
+/**
+ * Registra el cobro de un pago: el dinero ingresa a la caja y queda en custodia del cliente
+ * La parte pagada con crédito de la billetera sale del saldo de créditos del cliente en lugar de la caja
+ * @param {Object} payment - Registro de pagos
+ * @returns {Object|null} Asiento registrado
+ */
+async function recordPaymentCaptured(payment) {
+  const creditAmount = payment.monto_credito || 0;
+  // En cuotas sin interés Mercado Pago acredita el cobro neto del costo de financiación que absorbe la plataforma
+  const financingCost = payment.costo_financiacion || 0;
+
+  return recordJournalEntry({
+    tipo: 'cobro_pago',
+    descripcion: `Cobro del pago ${payment.id} (servicio ${payment.servicio_id})`,
+    entidadTipo: 'pagos',
+    entidadId: payment.id,
+    creadoPor: payment.cliente_id,
+    moneda: payment.moneda,
+    lineas: [
+      { cuenta: LEDGER_ACCOUNTS.CAJA.codigo, debe: payment.monto_total - creditAmount - financingCost, pagoId: payment.id },
+      ...walletCreditLines(payment, creditAmount, 'debe'),
+      { cuenta: LEDGER_ACCOUNTS.COSTOS_FINANCIACION.codigo, debe: financingCost, pagoId: payment.id },
+      { cuenta: LEDGER_ACCOUNTS.CUSTODIA.codigo, haber: payment.monto_total, usuarioId: payment.cliente_id, pagoId: payment.id }
+    ]
+  });
+}
+
+/**
+ * Registra la devolución de un reembolso al cliente desde la custodia
+ * Si el pago ya estaba liberado, la comisión y el saldo del profesional se revierten antes
+ * a la custodia (commissionService y payoutService), por lo que aquí solo sale el dinero de caja
+ * (la parte del reembolso que vuelve a la billetera del cliente se acredita en sus créditos)
+ * @param {Object} refund - Registro de reembolsos
+ * @param {Object} payment - Pago reembolsado
+ * @returns {Object|null} Asiento registrado
+ */
+async function recordRefundPaid(refund, payment) {
+  return recordJournalEntry({
+    tipo: 'reembolso',
+    descripcion: `Reembolso de $${refund.monto} del pago ${payment.id}`,
+    entidadTipo: 'reembolsos',
+    entidadId: refund.id,
+    creadoPor: refund.procesado_por || null,
+    moneda: payment.moneda,
+    lineas: [
+      { cuenta: LEDGER_ACCOUNTS.CUSTODIA.codigo, debe: refund.monto, usuarioId: payment.cliente_id, pagoId: payment.id },
+      { cuenta: LEDGER_ACCOUNTS.CAJA.codigo, haber: refund.monto - (refund.monto_credito || 0), pagoId: payment.id },
+      ...walletCreditLines(payment, refund.monto_credito || 0, 'haber')
+    ]
+  });
+}
+
+/**
+ * Calcula el saldo de una cuenta en una moneda (opcionalmente de una subcuenta de usuario)
+ * @param {string} cuenta - Código de la cuenta
+ * @param {string} [usuarioId] - Subcuenta de usuario
+ * @param {string} [moneda] - Moneda del saldo (por defecto, la base)
+ * @returns {number} Saldo según la naturaleza de la cuenta
+ */
+async function getAccountBalance(cuenta, usuarioId = null, moneda = BASE_CURRENCY) {
+  const account = findAccount(cuenta);
+  if (!account) {
+    throw new Error(`Cuenta contable inválida: ${cuenta}`);
+  }
+
+  const result = await prisma.movimientos_contables.aggregate({
+    where: { cuenta, moneda: normalizeCurrency(moneda), ...(usuarioId ? { usuario_id: usuarioId } : {}) },
+    _sum: { debe: true, haber: true }
+  });
+
+  const debe = result._sum.debe || 0;
+  const haber = result._sum.haber || 0;
+
+  return roundAmount(account.naturaleza === 'deudora' ? debe - haber : haber - debe);
+}
+
+/**
+ * Genera el balance de comprobación y señala inconsistencias
+ * Verifica, en cada moneda: que el libro balancee, que cada asiento balancee, que ninguna cuenta o subcuenta
+ * tenga saldo de signo contrario a su naturaleza, y que los saldos coincidan con las tablas operativas
+ * @returns {Object} Balance por cuenta y moneda, totales por moneda e inconsistencias detectadas
+ */
+async function getTrialBalance() {
+  const inconsistencies = [];
+
+  const byAccount = await prisma.movimientos_contables.groupBy({
+    by: ['moneda', 'cuenta'],
+    _sum: { debe: true, haber: true }
+  });
+
+  // La moneda base se informa siempre, aunque todavía no tenga movimientos
+  const currencies = [...new Set([BASE_CURRENCY, ...byAccount.map(row => row.moneda)])];
+
+  const accounts = currencies.flatMap(moneda => Object.values(LEDGER_ACCOUNTS).map(account => {
+    const row = byAccount.find(r => r.moneda === moneda && r.cuenta === account.codigo);
+    const debe = roundAmount(row?._sum.debe || 0);
+    const haber = roundAmount(row?._sum.haber || 0);
+    const saldo = roundAmount(account.naturaleza === 'deudora' ? debe - haber : haber - debe);
+
+    if (saldo < -BALANCE_TOLERANCE && account.codigo !== LEDGER_ACCOUNTS.CONVERSION.codigo) {
+      inconsistencies.push({
+        tipo: 'saldo_negativo',
+        cuenta: account.codigo,
+        moneda,
+        detalle: `La cuenta ${account.nombre} tiene saldo negativo en ${moneda} (${saldo})`
+      });
+    }
+
+    return { ...account, moneda, debe, haber, saldo };
+  }));
+
+  // Movimientos en cuentas que no pertenecen al plan de cuentas
+  byAccount
+    .filter(row => !findAccount(row.cuenta))
+    .forEach(row => inconsistencies.push({
+      tipo: 'cuenta_desconocida',
+      cuenta: row.cuenta,
+      moneda: row.moneda,
+      detalle: `Existen movimientos en la cuenta no registrada ${row.cuenta}`
+    }));
+
+  const totals = Object.fromEntries(currencies.map(moneda => {
+    const rows = byAccount.filter(row => row.moneda === moneda);
+    return [moneda, {
+      debe: roundAmount(rows.reduce((sum, row) => sum + (row._sum.debe || 0), 0)),
+      haber: roundAmount(rows.reduce((sum, row) => sum + (row._sum.haber || 0), 0))
+    }];
+  }));
+
+  Object.entries(totals)
+    .filter(([, total]) => Math.abs(total.debe - total.haber) >= BALANCE_TOLERANCE)
+    .forEach(([moneda, total]) => inconsistencies.push({
+      tipo: 'libro_desbalanceado',
+      moneda,
+      detalle: `En ${moneda}, el total del debe (${total.debe}) no coincide con el total del haber (${total.haber})`
+    }));
+
+  // Asientos individuales desbalanceados (ej. movimientos editados manualmente)
+  const byEntry = await prisma.movimientos_contables.groupBy({
+    by: ['asiento_id', 'moneda'],
+    _sum: { debe: true, haber: true }
+  });
+  byEntry
+    .filter(row => Math.abs((row._sum.debe || 0) - (row._sum.haber || 0)) >= BALANCE_TOLERANCE)
+    .forEach(row => inconsistencies.push({
+      tipo: 'asiento_desbalanceado',
+      asientoId: row.asiento_id,
+      moneda: row.moneda,
+      detalle: `El asiento ${row.asiento_id} tiene debe ${roundAmount(row._sum.debe)} y haber ${roundAmount(row._sum.haber)} en ${row.moneda}`
+    }));
+
+  // Subcuentas de profesionales con saldo negativo (retiraron más de lo acreditado)
+  const professionalBalances = await prisma.movimientos_contables.groupBy({
+    by: ['usuario_id', 'moneda'],
+    where: { cuenta: LEDGER_ACCOUNTS.SALDO_PROFESIONALES.codigo },
+    _sum: { debe: true, haber: true }
+  });
+  professionalBalances
+    .filter(row => (row._sum.haber || 0) - (row._sum.debe || 0) < -BALANCE_TOLERANCE)
+    .forEach(row => inconsistencies.push({
+      tipo: 'saldo_profesional_negativo',
+      usuarioId: row.usuario_id,
+      moneda: row.moneda,
+      detalle: `El profesional ${row.usuario_id} tiene saldo negativo en ${row.moneda} (${roundAmount((row._sum.haber || 0) - (row._sum.debe || 0))})`
+    }));
+
+  // Conciliación contra tablas operativas, moneda por moneda
+  const operational = await getOperationalTotals();
+  const ledgerBalance = (moneda, codigo) => accounts.find(a => a.moneda === moneda && a.codigo === codigo)?.saldo || 0;
+
+  const reconciliations = [...new Set([...currencies, ...Object.keys(operational)])].flatMap(moneda => {
+    const expected = operational[moneda] || {};
+
+    return [
+      { cuenta: LEDGER_ACCOUNTS.CUSTODIA.codigo, operativo: expected.custodia, fuente: 'pagos en custodia' },
+      { cuenta: LEDGER_ACCOUNTS.COMISIONES.codigo, operativo: expected.comisiones, fuente: 'comisiones de pagos y propinas' },
+      { cuenta: LEDGER_ACCOUNTS.SALDO_PROFESIONALES.codigo, operativo: expected.saldoProfesionales, fuente: 'payouts menos retiros' },
+      { cuenta: LEDGER_ACCOUNTS.PAGOS_BANCARIOS.codigo, operativo: expected.retirosEnProceso, fuente: 'retiros en proceso' },
+      { cuenta: LEDGER_ACCOUNTS.SUSCRIPCIONES.codigo, operativo: expected.suscripciones, fuente: 'cobros de suscripción aprobados' },
+      { cuenta: LEDGER_ACCOUNTS.CREDITOS_CLIENTES.codigo, operativo: expected.creditosClientes, fuente: 'saldos de billeteras y créditos en pagos pendientes' },
+      { cuenta: LEDGER_ACCOUNTS.COMISIONES_A_COBRAR.codigo, operativo: expected.comisionesACobrar, fuente: 'deudas de comisión de pagos en efectivo' }
+    ].map(item => {
+      const libro = ledgerBalance(moneda, item.cuenta);
+      const operativo = roundAmount(item.operativo);
+      return { ...item, moneda, libro, operativo, diferencia: roundAmount(libro - operativo) };
+    });
+  });
+
+  reconciliations
+    .filter(item => Math.abs(item.diferencia) >= BALANCE_TOLERANCE)
+    .forEach(item => inconsistencies.push({
+      tipo: 'diferencia_conciliacion',
+      cuenta: item.cuenta,
+      moneda: item.moneda,
+      detalle: `El saldo contable en ${item.moneda} (${item.libro}) difiere de ${item.fuente} (${item.operativo}) en ${item.diferencia}`
+    }));
+
+  // Pagos cobrados que nunca ingresaron al libro (los pagos en efectivo solo registran la comisión a cobrar)
+  const capturedPayments = await prisma.pagos.findMany({
+    where: { estado: { in: ['aprobado', 'en_disputa', 'liberado', 'reembolsado'] } },
+    select: { id: true }
+  });
+  const postedCaptures = await prisma.asientos_contables.findMany({
+    where: { tipo: { in: ['cobro_pago', 'comision_efectivo'] }, entidad_tipo: 'pagos' },
+    select: { entidad_id: true }
+  });
+  const postedIds = new Set(postedCaptures.map(entry => entry.entidad_id));
+  const missingCaptures = capturedPayments.filter(payment => !postedIds.has(payment.id)).map(payment => payment.id);
+
+  if (missingCaptures.length > 0) {
+    inconsistencies.push({
+      tipo: 'pagos_sin_asiento',
+      pagoIds: missingCaptures,
+      detalle: `${missingCaptures.length} pagos cobrados no tienen asiento de cobro`
+    });
+  }
+
+  return {
+    generadoEn: new Date(),
+    cuentas: accounts,
+    totales: totals,
+    balanceado: inconsistencies.length === 0,
+    conciliaciones: reconciliations,
+    inconsistencias: inconsistencies
+  };
+}
+
+/**
+ * Calcula los saldos esperados a partir de las tablas operativas, por moneda
+ * Pagos, propinas, payouts, retiros y deudas de comisión están en su propia moneda; billeteras y
+ * suscripciones en la moneda base (el crédito aplicado a pagos pendientes se convierte con su tipo de cambio)
+ * @returns {Object} Por moneda: custodia, comisiones, saldo de profesionales, retiros en proceso, suscripciones cobradas,
+ * créditos de clientes y comisiones a cobrar por pagos en efectivo
+ */
+async function getOperationalTotals() {
+  const [heldPayments, commissions, tipCommissions, payouts, withdrawals, inProcessWithdrawals, subscriptionCharges, wallets, pendingCredits, commissionDebts] = await Promise.all([
+    prisma.pagos.findMany({
+      where: { estado: { in: ['aprobado', 'en_disputa'] } },
+      select: {
+        moneda: true,
+        monto_total: true,
+        monto_reembolsado: true,
+        hitos: { where: { estado: 'liberado' }, select: { monto: true } }
+      }
+    }),
+    prisma.pagos.groupBy({ by: ['moneda'], _sum: { comision_plataforma: true } }),
+    prisma.propinas.groupBy({
+      by: ['moneda'],
+      where: { estado: 'aprobado' },
+      _sum: { comision: true }
+    }),
+    // Los ajustes por reembolso son payouts con montos negativos
+    prisma.payouts.groupBy({
+      by: ['moneda'],
+      where: { estado: { not: 'cancelado' } },
+      _sum: { monto_neto: true }
+    }),
+    prisma.retiros.groupBy({
+      by: ['moneda'],
+      where: { estado: { in: ['procesando', 'completado'] } },
+      _sum: { monto: true }
+    }),
+    prisma.retiros.groupBy({
+      by: ['moneda'],
+      where: { estado: 'procesando' },
+      _sum: { monto: true }
+    }),
+    prisma.cobros_suscripcion.aggregate({
+      where: { estado: 'aprobado' },
+      _sum: { monto: true }
+    }),
+    prisma.billeteras.aggregate({ _sum: { saldo: true } }),
+    // El crédito aplicado a un pago pendiente ya salió de la billetera pero todavía no del libro
+    prisma.pagos.findMany({
+      where: { estado: 'pendiente', monto_credito: { gt: 0 } },
+      select: { monto_credito: true, tipo_cambio: true }
+    }),
+    prisma.deudas_comision.groupBy({ by: ['moneda'], _sum: { saldo: true } })
+  ]);
+
+  const totals = {};
+  const add = (moneda, key, amount) => {
+    const code = moneda || BASE_CURRENCY;
+    totals[code] = totals[code] || {
+      custodia: 0,
+      comisiones: 0,
+      saldoProfesionales: 0,
+      retirosEnProceso: 0,
+      suscripciones: 0,
+      creditosClientes: 0,
+      comisionesACobrar: 0
+    };
+    totals[code][key] = roundAmount(totals[code][key] + (amount || 0));
+  };
+
+  heldPayments.forEach(payment => {
+    const releasedMilestones = (payment.hitos || []).reduce((acc, milestone) => acc + milestone.monto, 0);
+    add(payment.moneda, 'custodia', payment.monto_total - (payment.monto_reembolsado || 0) - releasedMilestones);
+  });
+  commissions.forEach(row => add(row.moneda, 'comisiones', row._sum.comision_plataforma));
+  tipCommissions.forEach(row => add(row.moneda, 'comisiones', row._sum.comision));
+  payouts.forEach(row => add(row.moneda, 'saldoProfesionales', row._sum.monto_neto));
+  withdrawals.forEach(row => add(row.moneda, 'saldoProfesionales', -(row._sum.monto || 0)));
+  inProcessWithdrawals.forEach(row => add(row.moneda, 'retirosEnProceso', row._sum.monto));
+  add(BASE_CURRENCY, 'suscripciones', subscriptionCharges._sum.monto);
+  add(BASE_CURRENCY, 'creditosClientes', wallets._sum.saldo);
+  pendingCredits.forEach(payment => add(BASE_CURRENCY, 'creditosClientes', toBaseCurrency(payment.monto_credito, payment.tipo_cambio || 1)));
+  commissionDebts.forEach(row => add(row.moneda, 'comisionesACobrar', row._sum.saldo));
+
+  return totals;
+}
+
+/**
+ * Lista asientos contables con sus movimientos
+ * @param {Object} filters - Filtros opcionales
+ * @returns {Object} Asientos paginados
+ */
+async function getJournalEntries(filters = {}) {
+  const { tipo, entidadTipo, entidadId, cuenta, usuarioId, page = 1, limit = 50 } = filters;
+  const take = Math.min(parseInt(limit, 10) || 50, 200);
+  const skip = (Math.max(parseInt(page, 10) || 1, 1) - 1) * take;
+
+  const where = {
+    ...(tipo ? { tipo } : {}),
+    ...(entidadTipo ? { entidad_tipo: entidadTipo } : {}),
+    ...(entidadId ? { entidad_id: entidadId } : {}),
+    ...(cuenta || usuarioId ? {
+      movimientos: {
+        some: {
+          ...(cuenta ? { cuenta } : {}),
+          ...(usuarioId ? { usuario_id: usuarioId } : {})
+        }
+      }
+    } : {})
+  };
+
+  const [entries, total] = await Promise.all([
+    prisma.asientos_contables.findMany({
+      where,
+      include: { movimientos: true },
+      orderBy: { creado_en: 'desc' },
+      skip,
+      take
+    }),
+    prisma.asientos_contables.count({ where })
+  ]);
+
+  return {
+    entries,
+    pagination: {
+      page: Math.floor(skip / take) + 1,
+      limit: take,
+      total,
+      pages: Math.ceil(total / take)
+    }
+  };
+}
+
+module.exports = {
+  LEDGER_ACCOUNTS,
+  postJournalEntry,
+  recordJournalEntry,
+  recordPaymentCaptured,
+  recordRefundPaid,
+  getAccountBalance,
+  getTrialBalance,
+  getJournalEntries
+};
@@ -5,10 +5,12 @@
  * Implementa sección 7.9 del PRD: Pagos Integrados y Comisiones
  */
 
-const { MercadoPagoConfig, Preference, Payment } = require('mercadopago');
+const { MercadoPagoConfig, Preference, Payment, PaymentRefund, Customer, CustomerCard, CardToken } = require('mercadopago');
 const crypto = require('crypto');
 const { PrismaClient } = require('@prisma/client');
 const { invalidatePaymentMetricsCache, invalidateProfessionalIncomeCache } = require('./paymentDashboardService');
+const { recordPaymentCaptured, recordRefundPaid, recordJournalEntry, LEDGER_ACCOUNTS } = require('./ledgerService');
+const { BASE_CURRENCY, roundAmount } = require('./currencyService');
 const prisma = new PrismaClient();
 
 /**
@@ -59,14 +61,17 @@ const configureMercadoPago = () => {
  * REQ-42: Custodia de fondos hasta aprobación
  * @param {Object} paymentData - Datos del pago
  * @param {string} paymentData.serviceId - ID del servicio
- * @param {number} paymentData.amount - Monto en ARS
+ * @param {number} paymentData.amount - Monto en la moneda del pago
+ * @param {string} [paymentData.currency] - Moneda del pago (ARS por defecto)
+ * @param {number} [paymentData.exchangeRate] - Tipo de cambio de la moneda respecto de la moneda base
  * @param {string} paymentData.description - Descripción del servicio
  * @param {Object} paymentData.client - Datos del cliente
  * @param {Object} paymentData.professional - Datos del profesional
+ * @param {number} [paymentData.installments] - Cuotas del plan elegido por el cliente (installmentPlanService)
  */
 exports.createPaymentPreference = async (paymentData) => {
   try {
-    const { serviceId, amount, description, client, professional } = paymentData;
+    const { serviceId, amount, currency = 'ARS', exchangeRate = 1, description, client, professional, installments = 1 } = paymentData;
 
     if (!configureMercadoPago()) {
       // Modo simulado para desarrollo
@@ -79,16 +84,16 @@ exports.createPaymentPreference = async (paymentData) => {
       };
     }
 
-    // Validar montos razonables
-    const minPayment = parseFloat(process.env.MIN_PAYMENT_AMOUNT || '500');
-    const maxPayment = parseFloat(process.env.MAX_PAYMENT_AMOUNT || '500000');
+    // Validar montos razonables (los límites están en moneda base y se convierten a la moneda del pago)
+    const minPayment = roundAmount(parseFloat(process.env.MIN_PAYMENT_AMOUNT || '500') / exchangeRate, currency);
+    const maxPayment = roundAmount(parseFloat(process.env.MAX_PAYMENT_AMOUNT || '500000') / exchangeRate, currency);
 
     if (amount < minPayment) {
-      throw new Error(`El monto mínimo de pago es ${minPayment} ARS`);
+      throw new Error(`El monto mínimo de pago es ${minPayment} ${currency}`);
     }
 
     if (amount > maxPayment) {
-      throw new Error(`El monto máximo de pago es ${maxPayment} ARS`);
+      throw new Error(`El monto máximo de pago es ${maxPayment} ${currency}`);
     }
 
     // Según RB-03: La comisión se cobra solo si el servicio se completa
@@ -103,7 +108,7 @@ exports.createPaymentPreference = async (paymentData) => {
           title: `Servicio: ${description}`,
           description: `Servicio profesional en Changánet: ${description}`,
           quantity: 1,
-          currency_id: 'ARS',
+          currency_id: currency,
           unit_price: amount
         }
       ],
@@ -116,6 +121,13 @@ exports.createPaymentPreference = async (paymentData) => {
         }
       },
       binary_mode: true, // Custodia de fondos según REQ-42
+      // El checkout de Mercado Pago ofrece hasta las cuotas del plan elegido y lo preselecciona
+      ...(installments > 1 && {
+        payment_methods: {
+          installments,
+          default_installments: installments
+        }
+      }),
       back_urls: {
         success: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/payments/success?serviceId=${serviceId}`,
         failure: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/payments/failure`,
@@ -129,6 +141,8 @@ exports.createPaymentPreference = async (paymentData) => {
         client_id: client.id,
         professional_id: professional.id,
         amount: amount,
+        currency,
+        installments,
         created_at: new Date().toISOString()
       }
     };
@@ -151,6 +165,265 @@ exports.createPaymentPreference = async (paymentData) => {
   }
 };
 
+/**
+ * Crear preferencia de pago para un cobro de suscripción de un profesional
+ * El pago no queda en custodia: es ingreso de la plataforma (ver subscriptionService).
+ * Los planes tienen precio en moneda base, que es la moneda en la que se cobran y se registran en el libro mayor
+ * @param {Object} chargeData - Datos del cobro
+ * @param {string} chargeData.chargeId - ID del cobro de suscripción
+ * @param {string} chargeData.reference - external_reference ("suscripcion:<cobro>")
+ * @param {number} chargeData.amount - Monto en moneda base
+ * @param {string} chargeData.description - Plan y período cobrados
+ * @param {Object} chargeData.professional - Datos del profesional
+ */
+exports.createSubscriptionPreference = async (chargeData) => {
+  try {
+    const { chargeId, reference, amount, description, professional } = chargeData;
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+    if (!configureMercadoPago()) {
+      console.log('🧪 MODO SIMULADO: Creando preferencia de suscripción simulada');
+      return {
+        id: `sim_sub_${Date.now()}`,
+        init_point: `${frontendUrl}/subscriptions/success?chargeId=${chargeId}`,
+        sandbox_init_point: `${frontendUrl}/subscriptions/success?chargeId=${chargeId}`,
+        simulated: true
+      };
+    }
+
+    const preference = {
+      items: [
+        {
+          id: chargeId,
+          title: `Suscripción Changánet: ${description}`,
+          quantity: 1,
+          currency_id: BASE_CURRENCY,
+          unit_price: amount
+        }
+      ],
+      payer: {
+        name: professional.nombre,
+        email: professional.email
+      },
+      binary_mode: true,
+      back_urls: {
+        success: `${frontendUrl}/subscriptions/success?chargeId=${chargeId}`,
+        failure: `${frontendUrl}/subscriptions/failure?chargeId=${chargeId}`,
+        pending: `${frontendUrl}/subscriptions/pending?chargeId=${chargeId}`
+      },
+      auto_return: 'approved',
+      external_reference: reference,
+      notification_url: `${process.env.BACKEND_URL || 'http://localhost:3003'}/api/payments/webhook`,
+      metadata: {
+        subscription_charge_id: chargeId,
+        professional_id: professional.id,
+        amount: amount
+      }
+    };
+
+    const preferenceClient = new Preference(client);
+    const response = await preferenceClient.create({ body: preference });
+
+    console.log(`💳 Preferencia de suscripción creada: ${response.id} para cobro ${chargeId} - Monto: $${amount}`);
+
+    return {
+      id: response.id,
+      init_point: response.init_point,
+      sandbox_init_point: response.sandbox_init_point,
+      simulated: false
+    };
+  } catch (error) {
+    console.error('Error creando preferencia de suscripción:', error);
+    throw new Error(`No se pudo crear la preferencia de pago: ${error.message}`);
+  }
+};
+
+/**
+ * Crear preferencia de pago para la propina de un cliente a un profesional
+ * La propina no queda en custodia: el servicio ya está completado y se paga con un payout (ver tipService)
+ * @param {Object} tipData - Datos de la propina
+ * @param {string} tipData.tipId - ID de la propina
+ * @param {string} tipData.reference - external_reference ("propina:<id>")
+ * @param {number} tipData.amount - Monto en la moneda de la propina
+ * @param {string} [tipData.currency] - Moneda de la propina (la del profesional)
+ * @param {string} tipData.serviceId - Servicio por el que se deja la propina
+ * @param {Object} tipData.client - Datos del cliente
+ * @param {Object} tipData.professional - Datos del profesional
+ */
+exports.createTipPreference = async (tipData) => {
+  try {
+    const { tipId, reference, amount, currency = BASE_CURRENCY, serviceId, client: payer, professional } = tipData;
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+    if (!configureMercadoPago()) {
+      console.log('🧪 MODO SIMULADO: Creando preferencia de propina simulada');
+      return {
+        id: `sim_tip_${Date.now()}`,
+        init_point: `${frontendUrl}/payments/tip/success?serviceId=${serviceId}`,
+        sandbox_init_point: `${frontendUrl}/payments/tip/success?serviceId=${serviceId}`,
+        simulated: true
+      };
+    }
+
+    const preference = {
+      items: [
+        {
+          id: tipId,
+          title: `Propina para ${professional.nombre}`,
+          quantity: 1,
+          currency_id: currency,
+          unit_price: amount
+        }
+      ],
+      payer: {
+        name: payer.nombre,
+        email: payer.email
+      },
+      binary_mode: true,
+      back_urls: {
+        success: `${frontendUrl}/payments/tip/success?serviceId=${serviceId}`,
+        failure: `${frontendUrl}/payments/tip/failure?serviceId=${serviceId}`,
+        pending: `${frontendUrl}/payments/tip/pending?serviceId=${serviceId}`
+      },
+      auto_return: 'approved',
+      external_reference: reference,
+      notification_url: `${process.env.BACKEND_URL || 'http://localhost:3003'}/api/payments/webhook`,
+      metadata: {
+        tip_id: tipId,
+        service_id: serviceId,
+        client_id: payer.id,
+        professional_id: professional.id,
+        amount: amount,
+        currency
+      }
+    };
+
+    const preferenceClient = new Preference(client);
+    const response = await preferenceClient.create({ body: preference });
+
+    console.log(`💳 Preferencia de propina creada: ${response.id} para servicio ${serviceId} - Monto: $${amount}`);
+
+    return {
+      id: response.id,
+      init_point: response.init_point,
+      sandbox_init_point: response.sandbox_init_point,
+      simulated: false
+    };
+  } catch (error) {
+    console.error('Error creando preferencia de propina:', error);
+    throw new Error(`No se pudo crear la preferencia de pago: ${error.message}`);
+  }
+};
+
+/**
+ * Guardar la tarjeta de un cliente en Mercado Pago para cobros automáticos
+ * Reutiliza el cliente (customer) de Mercado Pago del usuario o lo crea a partir de su email
+ * @param {Object} cardData - Datos de la tarjeta
+ * @param {string} cardData.cardToken - Token generado por el formulario de tarjeta de Mercado Pago
+ * @param {Object} cardData.user - Usuario { id, nombre, email }
+ * @param {string} [cardData.customerId] - Cliente de Mercado Pago ya asociado al usuario
+ * @returns {Object} { customerId, cardId, paymentMethodId, lastFour, expirationMonth, expirationYear, simulated }
+ */
+exports.saveCustomerCard = async (cardData) => {
+  try {
+    const { cardToken, user, customerId: knownCustomerId = null } = cardData;
+
+    if (!configureMercadoPago()) {
+      console.log('🧪 MODO SIMULADO: Guardando tarjeta simulada');
+      return {
+        customerId: knownCustomerId || `sim_customer_${user.id}`,
+        cardId: `sim_card_${Date.now()}`,
+        paymentMethodId: 'visa',
+        lastFour: '0000',
+        expirationMonth: null,
+        expirationYear: null,
+        simulated: true
+      };
+    }
+
+    let customerId = knownCustomerId;
+    if (!customerId) {
+      const customerClient = new Customer(client);
+      const existing = await customerClient.search({ options: { email: user.email } });
+      customerId = existing.results && existing.results.length > 0
+        ? existing.results[0].id
+        : (await customerClient.create({ body: { email: user.email, first_name: user.nombre } })).id;
+    }
+
+    const cardClient = new CustomerCard(client);
+    const card = await cardClient.create({ customerId, body: { token: cardToken } });
+
+    console.log(`💳 Tarjeta guardada para cobros automáticos: cliente ${customerId} - terminada en ${card.last_four_digits}`);
+
+    return {
+      customerId,
+      cardId: card.id,
+      paymentMethodId: card.payment_method ? card.payment_method.id : null,
+      lastFour: card.last_four_digits || null,
+      expirationMonth: card.expiration_month || null,
+      expirationYear: card.expiration_year || null,
+      simulated: false
+    };
+  } catch (error) {
+    console.error('Error guardando tarjeta en Mercado Pago:', error);
+    throw new Error(`No se pudo guardar la tarjeta: ${error.message}`);
+  }
+};
+
+/**
+ * Cobrar con una tarjeta guardada, sin intervención del cliente
+ * El resultado llega en la respuesta y también por webhook (external_reference del cobro)
+ * @param {Object} chargeData - Datos del cobro
+ * @param {string} chargeData.reference - external_reference ("recurrente:<cobro>")
+ * @param {string} chargeData.idempotencyKey - Clave del intento (evita cobros duplicados ante reintentos de red)
+ * @param {number} chargeData.amount - Monto a cobrar
+ * @param {string} chargeData.description - Descripción del cobro
+ * @param {Object} chargeData.card - { customerId, cardId, paymentMethodId }
+ * @param {string} chargeData.payerEmail - Email del cliente
+ * @param {Object} [chargeData.metadata] - Datos adicionales
+ * @returns {Object} { id, status, status_detail, simulated }
+ */
+exports.chargeStoredCard = async (chargeData) => {
+  const { reference, idempotencyKey, amount, description, card, payerEmail, metadata = {} } = chargeData;
+
+  if (!configureMercadoPago()) {
+    console.log(`🧪 MODO SIMULADO: Cobro automático simulado por $${amount} (${reference})`);
+    return { id: `sim_charge_${Date.now()}`, status: 'approved', status_detail: 'accredited', simulated: true };
+  }
+
+  // Cada cobro con tarjeta guardada requiere un token nuevo generado a partir de la tarjeta
+  const cardTokenClient = new CardToken(client);
+  const token = await cardTokenClient.create({
+    body: { card_id: card.cardId, customer_id: card.customerId }
+  });
+
+  const paymentClient = new Payment(client);
+  const response = await paymentClient.create({
+    body: {
+      transaction_amount: amount,
+      token: token.id,
+      description,
+      installments: 1,
+      payment_method_id: card.paymentMethodId || undefined,
+      payer: { type: 'customer', id: card.customerId, email: payerEmail },
+      binary_mode: true,
+      external_reference: reference,
+      notification_url: `${process.env.BACKEND_URL || 'http://localhost:3003'}/api/payments/webhook`,
+      metadata
+    },
+    requestOptions: { idempotencyKey }
+  });
+
+  console.log(`💳 Cobro automático ${reference}: ${response.status} (${response.status_detail}) - Monto: $${amount}`);
+
+  return {
+    id: response.id,
+    status: response.status,
+    status_detail: response.status_detail,
+    simulated: false
+  };
+};
+
 /**
  * Validar firma del webhook de Mercado Pago
  * @param {string} xSignature - Firma del webhook
@@ -198,6 +471,8 @@ const validateWebhookSignature = (xSignature, xRequestId, body) => {
   }
 };
 
+exports.validateWebhookSignature = validateWebhookSignature;
+
 /**
  * Procesar webhook de Mercado Pago con validación de firma
  * Maneja todos los estados de pago: pending, approved, failed, cancelled, charged_back
@@ -205,15 +480,54 @@ const validateWebhookSignature = (xSignature, xRequestId, body) => {
  * @param {Object} paymentData - Datos del pago desde webhook
  */
 exports.processPaymentWebhook = async (headers, paymentData) => {
+  // Validar firma del webhook
+  const xSignature = headers['x-signature'];
+  const xRequestId = headers['x-request-id'];
+
+  if (!validateWebhookSignature(xSignature, xRequestId, paymentData)) {
+    throw new Error('Firma del webhook inválida');
+  }
+
+  return exports.applyPaymentNotification(paymentData);
+};
+
+/**
+ * Aplica una notificación de pago ya validada (sin verificar la firma)
+ * La usan processPaymentWebhook y el almacén de eventos de webhook para reintentos y replays
+ * @param {Object} paymentData - Datos del pago desde webhook
+ */
+exports.applyPaymentNotification = async (paymentData) => {
   try {
     const { id, status, external_reference, transaction_amount, status_detail } = paymentData;
 
-    // Validar firma del webhook
-    const xSignature = headers['x-signature'];
-    const xRequestId = headers['x-request-id'];
+    // Cobros de suscripciones de profesionales (no son pagos de servicios)
+    const { SUBSCRIPTION_REFERENCE_PREFIX, processChargeWebhook } = require('./subscriptionService');
+    if (typeof external_reference === 'string' && external_reference.startsWith(SUBSCRIPTION_REFERENCE_PREFIX)) {
+      return processChargeWebhook(external_reference.slice(SUBSCRIPTION_REFERENCE_PREFIX.length), {
+        mercadoPagoId: id.toString(),
+        status,
+        statusDetail: status_detail
+      });
+    }
 
-    if (!validateWebhookSignature(xSignature, xRequestId, paymentData)) {
-      throw new Error('Firma del webhook inválida');
+    // Cobros automáticos de servicios recurrentes con tarjeta guardada
+    const { RECURRING_REFERENCE_PREFIX, processRecurringChargeWebhook } = require('./recurringBillingService');
+    if (typeof external_reference === 'string' && external_reference.startsWith(RECURRING_REFERENCE_PREFIX)) {
+      return processRecurringChargeWebhook(external_reference.slice(RECURRING_REFERENCE_PREFIX.length), {
+        mercadoPagoId: id.toString(),
+        status,
+        statusDetail: status_detail
+      });
+    }
+
+    // Propinas de clientes tras un servicio completado
+    const { TIP_REFERENCE_PREFIX, processTipWebhook } = require('./tipService');
+    if (typeof external_reference === 'string' && external_reference.startsWith(TIP_REFERENCE_PREFIX)) {
+      return processTipWebhook(external_reference.slice(TIP_REFERENCE_PREFIX.length), {
+        mercadoPagoId: id.toString(),
+        status,
+        statusDetail: status_detail
+      });
     }
 
     console.log(`💳 Webhook recibido - Pago ${id}: ${status} (${status_detail}) - Servicio: ${external_reference}`);
@@ -267,52 +581,9 @@ exports.processPaymentWebhook = async (headers, paymentData) => {
         console.log(`⏳ Pago pendiente: ${payment.id}`);
         break;
 
-      case 'approved': {
-        await prisma.pagos.update({
-          where: { id: payment.id },
-          data: {
-            estado: 'aprobado',
-            mercado_pago_id: id.toString(),
-            fecha_pago: new Date(),
-            metodo_pago: 'mercadopago'
-          }
-        });
-
-        // Programar liberación automática de fondos en 24 horas (RB-04)
-        const releaseDate = new Date();
-        releaseDate.setHours(releaseDate.getHours() + 24);
-
-        await prisma.pagos.update({
-          where: { id: payment.id },
-          data: {
-            fecha_liberacion: releaseDate
-          }
-        });
-
-        // Notificar al cliente y profesional
-        await createNotification(
-          payment.cliente_id,
-          'pago_aprobado_cliente',
-          `¡Pago aprobado! El servicio comenzará pronto. Monto: $${payment.monto_total}`,
-          { payment_id: payment.id, service_id: external_reference }
-        );
-
-        await createNotification(
-          payment.profesional_id,
-          'pago_aprobado_profesional',
-          `¡Pago aprobado! Los fondos estarán disponibles automáticamente en 24 horas. Monto total: $${payment.monto_total}`,
-          { payment_id: payment.id, release_date: releaseDate, service_id: external_reference }
-        );
-
-        // Invalidar caché de métricas de pagos y del profesional
-        await Promise.all([
-          invalidatePaymentMetricsCache(),
-          invalidateProfessionalIncomeCache(payment.profesional_id)
-        ]);
-
-        console.log(`✅ Pago aprobado y programado para liberación automática en 24h: ${payment.id}`);
+      case 'approved':
+        await exports.capturePayment(payment, { mercadoPagoId: id.toString() });
         break;
-      }
 
       case 'rejected':
       case 'cancelled':
@@ -326,6 +597,12 @@ exports.processPaymentWebhook = async (headers, paymentData) => {
           }
         });
 
+        // El cupón canjeado vuelve a estar disponible para el cliente
+        await require('./couponService').voidCouponRedemption(payment.id);
+
+        // El crédito de billetera aplicado vuelve al cliente
+        await require('./walletService').restorePaymentCredit(payment.id);
+
         // Notificar al cliente del fallo
         await createNotification(
           payment.cliente_id,
@@ -338,6 +615,23 @@ exports.processPaymentWebhook = async (headers, paymentData) => {
         break;
 
       case 'charged_back':
+        // Libro mayor: el contracargo sobre fondos en custodia sale de caja
+        // (sobre pagos ya liberados queda como diferencia a revisar en el balance de comprobación)
+        if (['aprobado', 'en_disputa'].includes(payment.estado)) {
+          const heldAmount = payment.monto_total - (payment.monto_reembolsado || 0);
+          await recordJournalEntry({
+            tipo: 'contracargo',
+            descripcion: `Contracargo de $${heldAmount} sobre el pago ${payment.id}`,
+            entidadTipo: 'pagos',
+            entidadId: payment.id,
+            moneda: payment.moneda,
+            lineas: [
+              { cuenta: LEDGER_ACCOUNTS.CUSTODIA.codigo, debe: heldAmount, usuarioId: payment.cliente_id, pagoId: payment.id },
+              { cuenta: LEDGER_ACCOUNTS.CAJA.codigo, haber: heldAmount, pagoId: payment.id }
+            ]
+          });
+        }
+
         await prisma.pagos.update({
           where: { id: payment.id },
           data: {
@@ -372,6 +666,67 @@ exports.processPaymentWebhook = async (headers, paymentData) => {
   }
 };
 
+/**
+ * Registrar un pago como cobrado: queda en custodia y se programa la liberación automática (RB-04)
+ * Lo usan el webhook de Mercado Pago y los pagos cubiertos en su totalidad con crédito de la billetera
+ * @param {Object} payment - Registro de pagos
+ * @param {Object} options - Datos del cobro
+ * @param {string} options.mercadoPagoId - ID del pago en Mercado Pago (null si no pasó por la pasarela)
+ * @param {string} options.metodoPago - Medio de cobro ("mercadopago" o "credito_plataforma")
+ */
+exports.capturePayment = async (payment, { mercadoPagoId = null, metodoPago = 'mercadopago' } = {}) => {
+  const { createNotification } = require('./notificationService');
+
+  await prisma.pagos.update({
+    where: { id: payment.id },
+    data: {
+      estado: 'aprobado',
+      mercado_pago_id: mercadoPagoId,
+      fecha_pago: new Date(),
+      metodo_pago: metodoPago
+    }
+  });
+
+  // Libro mayor: el cobro ingresa a caja y queda en custodia (idempotente ante webhooks repetidos)
+  await recordPaymentCaptured(payment);
+
+  // Programar liberación automática de fondos en 24 horas (RB-04)
+  const releaseDate = new Date();
+  releaseDate.setHours(releaseDate.getHours() + 24);
+
+  await prisma.pagos.update({
+    where: { id: payment.id },
+    data: {
+      fecha_liberacion: releaseDate
+    }
+  });
+
+  // Notificar al cliente y profesional
+  await createNotification(
+    payment.cliente_id,
+    'pago_aprobado_cliente',
+    `¡Pago aprobado! El servicio comenzará pronto. Monto: $${payment.monto_total}`,
+    { payment_id: payment.id, service_id: payment.servicio_id }
+  );
+
+  await createNotification(
+    payment.profesional_id,
+    'pago_aprobado_profesional',
+    `¡Pago aprobado! Los fondos estarán disponibles automáticamente en 24 horas. Monto total: $${payment.monto_total}`,
+    { payment_id: payment.id, release_date: releaseDate, service_id: payment.servicio_id }
+  );
+
+  // Invalidar caché de métricas de pagos y del profesional
+  await Promise.all([
+    invalidatePaymentMetricsCache(),
+    invalidateProfessionalIncomeCache(payment.profesional_id)
+  ]);
+
+  console.log(`✅ Pago aprobado y programado para liberación automática en 24h: ${payment.id}`);
+
+  return { releaseDate };
+};
+
 /**
  * Obtener estado de un pago
  * @param {string} paymentId - ID del pago en Mercado Pago
@@ -403,14 +758,27 @@ exports.getPaymentStatus = async (paymentId) => {
 /**
  * Reembolsar un pago
  * @param {string} paymentId - ID del pago a reembolsar
+ * @param {number|null} amount - Monto a reembolsar; si se omite se reembolsa el total
  */
-exports.refundPayment = async (paymentId) => {
+exports.refundPayment = async (paymentId, amount = null) => {
   try {
     if (!configureMercadoPago()) {
-      console.log('🧪 MODO SIMULADO: Reembolso simulado');
+      console.log(`🧪 MODO SIMULADO: Reembolso simulado${amount ? ` por $${amount}` : ''}`);
       return { success: true, simulated: true };
     }
 
+    // Reembolso parcial: el pago conserva su estado, el llamador ajusta los montos
+    if (amount) {
+      const refundClient = new PaymentRefund(client);
+      const response = await refundClient.create({
+        payment_id: paymentId,
+        body: { amount }
+      });
+
+      console.log(`💸 Reembolso parcial procesado: ${paymentId} - Monto: $${amount}`);
+      return { success: true, refund_id: response.id, amount };
+    }
+
     const paymentClient = new Payment(client);
     const response = await paymentClient.refund({ id: paymentId });
 
@@ -429,6 +797,217 @@ exports.refundPayment = async (paymentId) => {
   }
 };
 
+/**
+ * Reembolsar parcialmente un pago registrado en la plataforma
+ * Recalcula comision_plataforma y monto_profesional en proporción al saldo que queda
+ * y registra el reembolso como asiento propio (reembolsos + transactions_log).
+ * Si el saldo reembolsable llega a cero el pago pasa a estado 'reembolsado'.
+ * @param {string} pagoId - ID del pago (pagos.id)
+ * @param {number} amount - Monto a reembolsar
+ * @param {Object} options - Opciones del reembolso
+ * @param {string} options.motivo - Motivo del reembolso
+ * @param {string} options.processedBy - ID del usuario que registra el reembolso
+ * @param {string} options.disputeId - Disputa que origina el reembolso (opcional)
+ * @param {boolean} options.notify - Notificar a cliente y profesional (default: true)
+ * @returns {Object} Reembolso registrado y montos recalculados
+ */
+exports.processPartialRefund = async (pagoId, amount, { motivo = null, processedBy = null, disputeId = null, notify = true } = {}) => {
+  try {
+    const payment = await prisma.pagos.findUnique({
+      where: { id: pagoId }
+    });
+
+    if (!payment) {
+      throw new Error('Pago no encontrado');
+    }
+
+    if (!['aprobado', 'en_disputa', 'liberado'].includes(payment.estado)) {
+      throw new Error('Solo se pueden reembolsar pagos aprobados, en disputa o liberados');
+    }
+
+    // Los montos se redondean a los decimales de la moneda del pago (CLP no tiene centavos)
+    const currency = payment.moneda;
+    const refundableAmount = roundAmount(payment.monto_total - (payment.monto_reembolsado || 0), currency);
+    const refundAmount = roundAmount(parseFloat(amount), currency);
+
+    if (isNaN(refundAmount) || refundAmount <= 0 || refundAmount > refundableAmount) {
+      throw new Error(`El monto a reembolsar debe ser mayor a 0 y no superar el saldo reembolsable ($${refundableAmount})`);
+    }
+
+    // La parte cobrada por Mercado Pago se reembolsa primero; lo pagado con crédito vuelve a la billetera
+    const gatewayPaid = roundAmount(payment.monto_total - (payment.monto_credito || 0), currency);
+    const gatewayRefundAmount = Math.min(refundAmount, roundAmount(Math.max(gatewayPaid - (payment.monto_reembolsado || 0), 0), currency));
+    const creditRefundAmount = roundAmount(refundAmount - gatewayRefundAmount, currency);
+
+    // Recalcular montos en proporción al saldo remanente
+    const remainingAmount = roundAmount(refundableAmount - refundAmount, currency);
+    const ratio = refundableAmount > 0 ? remainingAmount / refundableAmount : 0;
+    // Subsidio por cupón que la plataforma sumó al monto del profesional al liberar (0 si no hubo)
+    const subsidyAmount = roundAmount(Math.max(payment.comision_plataforma + payment.monto_profesional - refundableAmount, 0), currency);
+    const newSubsidy = roundAmount(subsidyAmount * ratio, currency);
+    const newCommission = roundAmount(payment.comision_plataforma * ratio, currency);
+    const newProfessionalAmount = roundAmount(remainingAmount + newSubsidy - newCommission, currency);
+    const commissionReverted = roundAmount(payment.comision_plataforma - newCommission, currency);
+    const professionalReverted = roundAmount(payment.monto_profesional - newProfessionalAmount, currency);
+    const subsidyReverted = roundAmount(subsidyAmount - newSubsidy, currency);
+    const fullyRefunded = remainingAmount === 0;
+    const newState = fullyRefunded ? 'reembolsado' : payment.estado;
+
+    // Reservar el monto antes de llamar a la pasarela. La actualización solo aplica si el pago sigue como se leyó:
+    // dos reembolsos simultáneos no pueden superar lo cobrado ni calcular sobre montos desactualizados
+    const reservation = await prisma.pagos.updateMany({
+      where: {
+        id: payment.id,
+        estado: payment.estado,
+        monto_reembolsado: payment.monto_reembolsado,
+        comision_plataforma: payment.comision_plataforma
+      },
+      data: {
+        monto_reembolsado: { increment: refundAmount },
+        comision_plataforma: newCommission,
+        monto_profesional: newProfessionalAmount,
+        estado: newState
+      }
+    });
+
+    if (reservation.count === 0) {
+      throw new Error('El pago cambió mientras se procesaba el reembolso. Intenta nuevamente');
+    }
+
+    // Reembolso en la pasarela (modo simulado si no hay credenciales); si falla se libera la reserva
+    let gatewayRefund = { success: true, simulated: true };
+    if (payment.mercado_pago_id && gatewayRefundAmount > 0) {
+      try {
+        gatewayRefund = await exports.refundPayment(payment.mercado_pago_id, gatewayRefundAmount);
+      } catch (gatewayError) {
+        await prisma.pagos.updateMany({
+          where: { id: payment.id },
+          data: {
+            monto_reembolsado: { decrement: refundAmount },
+            comision_plataforma: { increment: commissionReverted },
+            monto_profesional: { increment: professionalReverted },
+            estado: payment.estado
+          }
+        });
+        throw gatewayError;
+      }
+    }
+
+    const refund = await prisma.reembolsos.create({
+      data: {
+        pago_id: payment.id,
+        monto: refundAmount,
+        comision_revertida: commissionReverted,
+        monto_profesional_revertido: professionalReverted,
+        motivo,
+        mercado_pago_refund_id: gatewayRefund.refund_id ? String(gatewayRefund.refund_id) : null,
+        disputa_id: disputeId,
+        monto_credito: creditRefundAmount,
+        procesado_por: processedBy
+      }
+    });
+    const updatedPayment = {
+      ...payment,
+      monto_reembolsado: roundAmount((payment.monto_reembolsado || 0) + refundAmount, currency),
+      comision_plataforma: newCommission,
+      monto_profesional: newProfessionalAmount,
+      estado: newState
+    };
+
+    // Si los fondos ya se liberaron, el payout del servicio debe reflejar la reducción
+    let payoutAdjustment = null;
+    if (payment.estado === 'liberado') {
+      const { adjustPayoutForRefund } = require('./payoutService');
+      payoutAdjustment = await adjustPayoutForRefund(payment.profesional_id, payment.servicio_id, {
+        grossAmount: roundAmount(refundAmount + subsidyReverted, currency),
+        commissionAmount: commissionReverted,
+        netAmount: professionalReverted,
+        subsidyAmount: subsidyReverted,
+        refundId: refund.id,
+        paymentId: payment.id,
+        clientId: payment.cliente_id
+      });
+    }
+
+    if (creditRefundAmount > 0) {
+      await require('./walletService').refundCreditToWallet({
+        clientId: payment.cliente_id,
+        paymentId: payment.id,
+        amount: creditRefundAmount,
+        exchangeRate: payment.tipo_cambio || 1
+      });
+    }
+
+    // Libro mayor: el monto reembolsado sale de la custodia hacia el cliente
+    await recordRefundPaid(refund, payment);
+
+    await logTransaction({
+      tipo_transaccion: 'payment_refund',
+      entidad_tipo: 'reembolsos',
+      entidad_id: refund.id,
+      usuario_id: processedBy || payment.cliente_id,
+      monto: refundAmount,
+      detalles: {
+        paymentId: payment.id,
+        serviceId: payment.servicio_id,
+        mercadoPagoRefundId: refund.mercado_pago_refund_id,
+        previousState: payment.estado,
+        fullyRefunded,
+        commissionReverted,
+        professionalReverted,
+        subsidyReverted,
+        creditRefundAmount,
+        remainingAmount,
+        newCommission,
+        newProfessionalAmount,
+        disputeId,
+        motivo,
+        payoutAdjustmentId: payoutAdjustment ? payoutAdjustment.id : null
+      },
+      ip_address: null,
+      user_agent: null
+    });
+
+    await Promise.all([
+      invalidatePaymentMetricsCache(),
+      invalidateProfessionalIncomeCache(payment.profesional_id)
+    ]);
+
+    if (notify) {
+      const { createNotification } = require('./notificationService');
+      await createNotification(
+        payment.cliente_id,
+        'pago_reembolsado',
+        `Se reembolsaron $${refundAmount} de tu pago de $${payment.monto_total}.${creditRefundAmount > 0 ? ` $${creditRefundAmount} vuelven a tu billetera como crédito.` : ''}`,
+        { paymentId: payment.id, refundId: refund.id, amount: refundAmount }
+      );
+      await createNotification(
+        payment.profesional_id,
+        'pago_reembolsado',
+        `Se reembolsaron $${refundAmount} al cliente. Tu monto para este servicio ahora es $${newProfessionalAmount}.`,
+        { paymentId: payment.id, refundId: refund.id, amount: refundAmount, professionalAmount: newProfessionalAmount }
+      );
+    }
+
+    console.log(`💸 Reembolso registrado: pago ${payment.id} - Monto: $${refundAmount}${fullyRefunded ? ' (total)' : ''}`);
+
+    return {
+      success: true,
+      refund,
+      payment: updatedPayment,
+      refundAmount,
+      remainingAmount,
+      commissionReverted,
+      professionalReverted,
+      fullyRefunded
+    };
+
+  } catch (error) {
+    console.error('Error procesando reembolso parcial:', error);
+    throw error;
+  }
+};
+
 /**
  * Liberar fondos de un pago completado
  * Implementa RB-03: Comisión se cobra solo si el servicio se completa
@@ -464,22 +1043,39 @@ exports.releaseFunds = async (paymentId, serviceId, clientId) => {
       throw new Error('No se encontró el registro de pago para este servicio');
     }
 
-    // Obtener configuración de comisión aplicable
-    const { getApplicableCommission } = require('./commissionService');
-    const commissionSetting = await getApplicableCommission();
+    if (service.pago.estado === 'en_disputa') {
+      throw new Error('El pago tiene una disputa abierta. Los fondos quedan retenidos hasta su resolución');
+    }
+
+    // Los pagos con plan de hitos se liberan hito por hito (milestoneService)
+    const milestoneCount = await prisma.hitos_pago.count({ where: { pago_id: service.pago.id } });
+    if (milestoneCount > 0) {
+      throw new Error('Este pago se libera por hitos. Aprobá cada hito para liberar sus fondos');
+    }
+
+    // Obtener configuración de comisión aplicable (incluye reglas por profesional)
+    const { getApplicableCommission, getReleaseBase } = require('./commissionService');
+    const commissionSetting = await getApplicableCommission(null, service.profesional_id);
 
-    const totalAmount = service.pago.monto_total;
+    // Los reembolsos parciales previos reducen la base sobre la que se cobra comisión;
+    // un cupón absorbido por la plataforma la lleva al precio de lista y las cuotas sin interés al neto acreditado
+    const { grossAmount: totalAmount, subsidyAmount, commissionBase } = getReleaseBase(
+      service.pago,
+      service.pago.monto_total - (service.pago.monto_reembolsado || 0)
+    );
     const commissionPercentage = commissionSetting.porcentaje / 100;
-    const calculatedCommission = totalAmount * commissionPercentage;
+    const calculatedCommission = commissionBase * commissionPercentage;
 
     // Aplicar lógica: max(amount * percentage, minimum_fee)
-    const minimumFee = parseFloat(process.env.MINIMUM_COMMISSION_FEE || '0');
+    // La comisión mínima está en moneda base y se convierte con el tipo de cambio del pago
+    const minimumFee = roundAmount(parseFloat(process.env.MINIMUM_COMMISSION_FEE || '0') / (service.pago.tipo_cambio || 1), service.pago.moneda);
     const commission = Math.max(Math.round(calculatedCommission), minimumFee);
     const professionalAmount = totalAmount - commission;
 
-    // Actualizar el registro de pago con la comisión calculada
-    await prisma.pagos.update({
-      where: { id: service.pago.id },
+    // Actualizar el registro de pago con la comisión calculada, solo si no cambió desde que se leyó:
+    // una disputa abierta lo deja en 'en_disputa' y un reembolso confirmado cambia la base de la comisión
+    const released = await prisma.pagos.updateMany({
+      where: { id: service.pago.id, estado: 'aprobado', monto_reembolsado: service.pago.monto_reembolsado },
       data: {
         comision_plataforma: commission,
         monto_profesional: professionalAmount,
@@ -489,6 +1085,10 @@ exports.releaseFunds = async (paymentId, serviceId, clientId) => {
       },
     });
 
+    if (released.count === 0) {
+      throw new Error('El pago cambió mientras se liberaban los fondos (disputa abierta, reembolso o liberación previa). No se liberaron fondos');
+    }
+
     // Liberar fondos usando la API de Mercado Pago con marketplace_fee
     if (configureMercadoPago()) {
       const paymentClient = new Payment(client);
@@ -496,7 +1096,8 @@ exports.releaseFunds = async (paymentId, serviceId, clientId) => {
         id: paymentId,
         updatePaymentRequest: {
           status: 'approved',
-          marketplace_fee: commission, // Aplicar comisión al liberar fondos
+          // Aplicar comisión al liberar fondos; el subsidio por cupón lo aporta la plataforma
+          marketplace_fee: Math.max(commission - subsidyAmount, 0),
         },
       });
     }
@@ -517,7 +1118,9 @@ exports.releaseFunds = async (paymentId, serviceId, clientId) => {
       totalAmount,
       commission,
       professionalAmount,
-      'platform_manual_release'
+      'platform_manual_release',
+      true,
+      { currency: service.pago.moneda }
     );
 
     // Log de transacción financiera
@@ -532,6 +1135,7 @@ exports.releaseFunds = async (paymentId, serviceId, clientId) => {
         paymentId,
         totalAmount,
         commission,
+        subsidyAmount,
         commissionRate: commissionSetting.porcentaje,
         payoutId: payout.id
       },
@@ -586,8 +1190,9 @@ exports.autoReleaseFunds = async () => {
           lt: twentyFourHoursAgo,
         },
         pago: {
-          estado: 'aprobado', // Solo liberar pagos que están en custodia
-          fecha_liberacion: null // Que no hayan sido liberados aún
+          estado: 'aprobado', // Solo liberar pagos en custodia (excluye 'en_disputa')
+          fecha_liberacion: null, // Que no hayan sido liberados aún
+          hitos: { none: {} } // Los pagos por hitos se liberan con autoReleaseMilestones
         }
       },
       include: {
@@ -625,21 +1230,22 @@ exports.autoReleaseFunds = async () => {
         }
 
         // Obtener configuración de comisión aplicable
-        const { getApplicableCommission } = require('./commissionService');
-        const commissionSetting = await getApplicableCommission();
+        const { getApplicableCommission, getReleaseBase } = require('./commissionService');
+        const commissionSetting = await getApplicableCommission(null, service.profesional_id);
 
-        const totalAmount = payment.monto_total;
+        const { grossAmount: totalAmount, commissionBase } = getReleaseBase(payment, payment.monto_total - (payment.monto_reembolsado || 0));
         const commissionPercentage = commissionSetting.porcentaje / 100;
-        const calculatedCommission = totalAmount * commissionPercentage;
+        const calculatedCommission = commissionBase * commissionPercentage;
 
         // Aplicar lógica: max(amount * percentage, minimum_fee)
-        const minimumFee = parseFloat(process.env.MINIMUM_COMMISSION_FEE || '0');
+        const minimumFee = roundAmount(parseFloat(process.env.MINIMUM_COMMISSION_FEE || '0') / (payment.tipo_cambio || 1), payment.moneda);
         const commission = Math.max(Math.round(calculatedCommission), minimumFee);
         const professionalAmount = totalAmount - commission;
 
-        // Actualizar el pago con comisión y liberación
-        await prisma.pagos.update({
-          where: { id: payment.id },
+        // Actualizar el pago con comisión y liberación, solo si no cambió desde que se buscó (disputa o reembolso);
+        // si cambió se saltea y la próxima corrida recalcula con el saldo actualizado
+        const released = await prisma.pagos.updateMany({
+          where: { id: payment.id, estado: 'aprobado', monto_reembolsado: payment.monto_reembolsado },
           data: {
             comision_plataforma: commission,
             monto_profesional: professionalAmount,
@@ -649,6 +1255,15 @@ exports.autoReleaseFunds = async () => {
           },
         });
 
+        if (released.count === 0) {
+          results.push({
+            serviceId: service.id,
+            status: 'skipped',
+            reason: 'payment changed since it was read'
+          });
+          continue;
+        }
+
         // Actualizar estado del servicio
         await prisma.servicios.update({
           where: { id: service.id },
@@ -665,7 +1280,9 @@ exports.autoReleaseFunds = async () => {
           totalAmount,
           commission,
           professionalAmount,
-          'platform_auto_release'
+          'platform_auto_release',
+          true,
+          { currency: payment.moneda }
         );
 
         // Invalidar caché del profesional específico
@@ -782,6 +1399,19 @@ exports.withdrawFunds = async (professionalId, amount, bankDetails) => {
     // Crear registro de retiro (en producción se guardaría en tabla de retiros)
     const withdrawalId = `wd_${Date.now()}`;
 
+    // Libro mayor: el retiro directo debita el saldo del profesional y sale de caja
+    await recordJournalEntry({
+      tipo: 'retiro_directo',
+      descripcion: `Retiro directo de $${amount} a la cuenta ${bankDetails.alias}`,
+      entidadTipo: 'retiros',
+      entidadId: withdrawalId,
+      creadoPor: professionalId,
+      lineas: [
+        { cuenta: LEDGER_ACCOUNTS.SALDO_PROFESIONALES.codigo, debe: amount, usuarioId: professionalId },
+        { cuenta: LEDGER_ACCOUNTS.CAJA.codigo, haber: amount }
+      ]
+    });
+
     // Enviar notificación de retiro exitoso
     const { createNotification } = require('./notificationService');
     await createNotification(
@@ -0,0 +1,551 @@
+/**
+ * Servicio de pagos por hitos
+ * Implementa REQ-42: Custodia de fondos hasta liberación, aplicada por hito
+ * Permite dividir un pago grande (ej. 30% materiales, 40% avance, 30% finalización)
+ * en hitos con monto, custodia y aprobación del cliente propios. Cada hito aprobado
+ * genera su propio payout con la comisión calculada sobre el monto del hito (RB-03).
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const logger = require('./logger');
+const { invalidatePaymentMetricsCache, invalidateProfessionalIncomeCache } = require('./paymentDashboardService');
+const { roundAmount } = require('./currencyService');
+
+const prisma = new PrismaClient();
+
+const MIN_MILESTONES = 2;
+const MAX_MILESTONES = 10;
+
+/**
+ * Función auxiliar para logging de transacciones financieras
+ */
+async function logTransaction(logData) {
+  try {
+    await prisma.transactions_log.create({
+      data: logData
+    });
+  } catch (error) {
+    logger.error('Error logging milestone transaction', {
+      service: 'milestones',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Envía una notificación sin interrumpir la operación si falla
+ */
+async function notify(userId, type, message, metadata) {
+  try {
+    const { createNotification } = require('./notificationService');
+    await createNotification(userId, type, message, metadata);
+  } catch (error) {
+    logger.warn('Milestone notification failed', {
+      service: 'milestones',
+      userId,
+      type,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Horas que tiene el cliente para aprobar un hito antes de su liberación automática
+ */
+function getApprovalWindowHours() {
+  return parseInt(process.env.MILESTONE_APPROVAL_WINDOW_HOURS || '72', 10);
+}
+
+/**
+ * Crea el plan de hitos de un pago
+ * Solo el cliente puede definirlo y únicamente antes de que se libere cualquier fondo
+ * @param {string} paymentId - ID del pago (pagos.id)
+ * @param {string} clientId - ID del cliente
+ * @param {Array<{descripcion: string, porcentaje: number}>} milestones - Hitos en orden
+ * @returns {Array} Hitos creados
+ */
+async function createMilestonePlan(paymentId, clientId, milestones) {
+  if (!Array.isArray(milestones) || milestones.length < MIN_MILESTONES || milestones.length > MAX_MILESTONES) {
+    throw new Error(`El plan debe tener entre ${MIN_MILESTONES} y ${MAX_MILESTONES} hitos`);
+  }
+
+  for (const milestone of milestones) {
+    if (!milestone.descripcion || !milestone.descripcion.trim()) {
+      throw new Error('Cada hito debe tener una descripción');
+    }
+    if (typeof milestone.porcentaje !== 'number' || milestone.porcentaje <= 0) {
+      throw new Error('Cada hito debe tener un porcentaje mayor a 0');
+    }
+  }
+
+  const totalPercentage = milestones.reduce((sum, milestone) => sum + milestone.porcentaje, 0);
+  if (Math.abs(totalPercentage - 100) > 0.01) {
+    throw new Error(`Los porcentajes de los hitos deben sumar 100% (suman ${totalPercentage}%)`);
+  }
+
+  const payment = await prisma.pagos.findUnique({
+    where: { id: paymentId },
+    include: { hitos: { select: { id: true } } }
+  });
+
+  if (!payment) {
+    throw new Error('Pago no encontrado');
+  }
+
+  if (payment.cliente_id !== clientId) {
+    throw new Error('No tienes permiso para modificar este pago');
+  }
+
+  if (!['pendiente', 'aprobado'].includes(payment.estado)) {
+    throw new Error('Solo se pueden definir hitos en pagos pendientes o en custodia');
+  }
+
+  if (payment.hitos.length > 0) {
+    throw new Error('El pago ya tiene un plan de hitos');
+  }
+
+  // El último hito absorbe la diferencia de redondeo para que la suma sea exacta
+  const baseAmount = payment.monto_total - (payment.monto_reembolsado || 0);
+  let assigned = 0;
+  const rows = milestones.map((milestone, index) => {
+    const isLast = index === milestones.length - 1;
+    const amount = isLast
+      ? Math.round((baseAmount - assigned) * 100) / 100
+      : Math.round(baseAmount * milestone.porcentaje) / 100;
+    assigned += amount;
+
+    return {
+      pago_id: payment.id,
+      orden: index + 1,
+      descripcion: milestone.descripcion.trim(),
+      porcentaje: milestone.porcentaje,
+      monto: amount
+    };
+  });
+
+  const created = await prisma.$transaction(
+    rows.map((data) => prisma.hitos_pago.create({ data }))
+  );
+
+  await logTransaction({
+    tipo_transaccion: 'milestone_plan_created',
+    entidad_tipo: 'pagos',
+    entidad_id: payment.id,
+    usuario_id: clientId,
+    monto: baseAmount,
+    detalles: {
+      serviceId: payment.servicio_id,
+      milestones: created.map(m => ({ id: m.id, orden: m.orden, porcentaje: m.porcentaje, monto: m.monto }))
+    },
+    ip_address: null,
+    user_agent: null
+  });
+
+  await notify(
+    payment.profesional_id,
+    'hitos_definidos',
+    `El cliente dividió el pago de $${baseAmount} en ${created.length} hitos. Solicitá la aprobación de cada uno al completarlo.`,
+    { paymentId: payment.id, serviceId: payment.servicio_id }
+  );
+
+  logger.info('Milestone plan created', {
+    service: 'milestones',
+    paymentId: payment.id,
+    clientId,
+    milestones: created.length
+  });
+
+  return created;
+}
+
+/**
+ * Obtiene el plan de hitos de un pago
+ * @param {string} paymentId - ID del pago
+ * @param {string} userId - ID del usuario solicitante
+ * @param {string} userRole - Rol del usuario solicitante
+ * @returns {Object} Resumen del pago y sus hitos
+ */
+async function getMilestones(paymentId, userId, userRole) {
+  const payment = await prisma.pagos.findUnique({
+    where: { id: paymentId },
+    include: { hitos: { orderBy: { orden: 'asc' } } }
+  });
+
+  if (!payment) {
+    throw new Error('Pago no encontrado');
+  }
+
+  if (userRole !== 'admin' && payment.cliente_id !== userId && payment.profesional_id !== userId) {
+    throw new Error('No tienes permiso para ver este pago');
+  }
+
+  const released = payment.hitos.filter(m => m.estado === 'liberado');
+
+  return {
+    paymentId: payment.id,
+    serviceId: payment.servicio_id,
+    estado: payment.estado,
+    montoTotal: payment.monto_total,
+    montoLiberado: released.reduce((sum, m) => sum + m.monto, 0),
+    montoEnCustodia: payment.hitos
+      .filter(m => ['pendiente', 'en_revision'].includes(m.estado))
+      .reduce((sum, m) => sum + m.monto, 0),
+    hitos: payment.hitos
+  };
+}
+
+/**
+ * El profesional informa que completó un hito y solicita su aprobación
+ * Desde este momento corre el plazo de liberación automática del hito
+ * @param {string} milestoneId - ID del hito
+ * @param {string} professionalId - ID del profesional
+ * @returns {Object} Hito actualizado
+ */
+async function requestMilestoneApproval(milestoneId, professionalId) {
+  const milestone = await prisma.hitos_pago.findUnique({
+    where: { id: milestoneId },
+    include: { pago: true }
+  });
+
+  if (!milestone) {
+    throw new Error('Hito no encontrado');
+  }
+
+  if (milestone.pago.profesional_id !== professionalId) {
+    throw new Error('No tienes permiso para gestionar este hito');
+  }
+
+  if (milestone.estado !== 'pendiente') {
+    throw new Error('Solo se puede solicitar aprobación de hitos pendientes');
+  }
+
+  if (milestone.pago.estado !== 'aprobado') {
+    throw new Error('Los fondos del pago no están en custodia');
+  }
+
+  const now = new Date();
+  const updated = await prisma.hitos_pago.update({
+    where: { id: milestoneId },
+    data: {
+      estado: 'en_revision',
+      solicitado_en: now,
+      escrow_release_deadline: new Date(now.getTime() + getApprovalWindowHours() * 60 * 60 * 1000)
+    }
+  });
+
+  await logTransaction({
+    tipo_transaccion: 'milestone_approval_requested',
+    entidad_tipo: 'hitos_pago',
+    entidad_id: milestoneId,
+    usuario_id: professionalId,
+    monto: milestone.monto,
+    detalles: {
+      paymentId: milestone.pago_id,
+      orden: milestone.orden,
+      deadline: updated.escrow_release_deadline
+    },
+    ip_address: null,
+    user_agent: null
+  });
+
+  await notify(
+    milestone.pago.cliente_id,
+    'hito_aprobacion_solicitada',
+    `El profesional completó el hito "${milestone.descripcion}" ($${milestone.monto}). Aprobalo o rechazalo antes de ${getApprovalWindowHours()} horas; si no, se liberará automáticamente.`,
+    { paymentId: milestone.pago_id, milestoneId }
+  );
+
+  return updated;
+}
+
+/**
+ * Libera los fondos de un hito: cobra la comisión sobre el monto del hito,
+ * genera el payout y, si era el último hito, marca el pago como liberado
+ * @param {Object} milestone - Hito con su pago incluido
+ * @param {string} approvedBy - ID del cliente o "auto"
+ * @returns {Object} Resultado de la liberación
+ */
+async function releaseMilestone(milestone, approvedBy) {
+  const payment = milestone.pago;
+
+  const { getApplicableCommission, getReleaseBase } = require('./commissionService');
+  const commissionSetting = await getApplicableCommission(null, payment.profesional_id);
+  const minimumFee = roundAmount(parseFloat(process.env.MINIMUM_COMMISSION_FEE || '0') / (payment.tipo_cambio || 1), payment.moneda);
+
+  // Con un cupón absorbido por la plataforma, el hito se libera sobre su parte del precio de lista
+  const { grossAmount, subsidyAmount, commissionBase } = getReleaseBase(payment, milestone.monto);
+  const commission = Math.min(
+    Math.max(Math.round(commissionBase * (commissionSetting.porcentaje / 100)), minimumFee),
+    grossAmount
+  );
+  const professionalAmount = grossAmount - commission;
+
+  const pendingMilestones = await prisma.hitos_pago.count({
+    where: {
+      pago_id: payment.id,
+      id: { not: milestone.id },
+      estado: { in: ['pendiente', 'en_revision'] }
+    }
+  });
+  const isLastMilestone = pendingMilestones === 0;
+
+  const now = new Date();
+  await prisma.$transaction([
+    prisma.hitos_pago.update({
+      where: { id: milestone.id },
+      data: {
+        estado: 'liberado',
+        comision_plataforma: commission,
+        monto_profesional: professionalAmount,
+        aprobado_en: now,
+        aprobado_por: approvedBy
+      }
+    }),
+    // La comisión del hito se descuenta del monto profesional del pago (y se suma el subsidio por cupón, si hay)
+    prisma.pagos.update({
+      where: { id: payment.id },
+      data: {
+        comision_plataforma: { increment: commission },
+        monto_profesional: subsidyAmount > 0
+          ? { increment: Math.round((subsidyAmount - commission) * 100) / 100 }
+          : { decrement: commission },
+        commission_setting_id: commissionSetting.id,
+        ...(isLastMilestone ? { estado: 'liberado', fecha_liberacion: now } : {})
+      }
+    })
+  ]);
+
+  if (isLastMilestone) {
+    await prisma.servicios.update({
+      where: { id: payment.servicio_id },
+      data: { estado: 'pagado' }
+    });
+  }
+
+  // Payout por hito liberado
+  const { createPayout } = require('./payoutService');
+  const payout = await createPayout(
+    payment.profesional_id,
+    payment.servicio_id,
+    grossAmount,
+    commission,
+    professionalAmount,
+    'milestone_release',
+    true,
+    { currency: payment.moneda }
+  );
+
+  const updatedMilestone = await prisma.hitos_pago.update({
+    where: { id: milestone.id },
+    data: { payout_id: payout.id }
+  });
+
+  await logTransaction({
+    tipo_transaccion: 'milestone_released',
+    entidad_tipo: 'hitos_pago',
+    entidad_id: milestone.id,
+    usuario_id: payment.profesional_id,
+    monto: professionalAmount,
+    detalles: {
+      paymentId: payment.id,
+      serviceId: payment.servicio_id,
+      orden: milestone.orden,
+      grossAmount,
+      commission,
+      commissionRate: commissionSetting.porcentaje,
+      payoutId: payout.id,
+      approvedBy,
+      paymentFullyReleased: isLastMilestone
+    },
+    ip_address: null,
+    user_agent: null
+  });
+
+  await Promise.all([
+    invalidatePaymentMetricsCache(),
+    invalidateProfessionalIncomeCache(payment.profesional_id)
+  ]);
+
+  await notify(
+    payment.profesional_id,
+    'hito_liberado',
+    `Se liberó el hito "${milestone.descripcion}". Recibiste $${professionalAmount} (comisión $${commission} deducida).`,
+    { paymentId: payment.id, milestoneId: milestone.id, amount: professionalAmount, commission, payoutId: payout.id }
+  );
+
+  return {
+    milestone: updatedMilestone,
+    grossAmount,
+    commission,
+    professionalAmount,
+    payoutId: payout.id,
+    paymentFullyReleased: isLastMilestone
+  };
+}
+
+/**
+ * El cliente aprueba un hito y se liberan sus fondos
+ * @param {string} milestoneId - ID del hito
+ * @param {string} clientId - ID del cliente
+ * @returns {Object} Resultado de la liberación
+ */
+async function approveMilestone(milestoneId, clientId) {
+  const milestone = await prisma.hitos_pago.findUnique({
+    where: { id: milestoneId },
+    include: { pago: true }
+  });
+
+  if (!milestone) {
+    throw new Error('Hito no encontrado');
+  }
+
+  if (milestone.pago.cliente_id !== clientId) {
+    throw new Error('No tienes permiso para gestionar este hito');
+  }
+
+  if (!['pendiente', 'en_revision'].includes(milestone.estado)) {
+    throw new Error('El hito ya fue liberado o cancelado');
+  }
+
+  if (milestone.pago.estado === 'en_disputa') {
+    throw new Error('El pago tiene una disputa abierta. Los fondos quedan retenidos hasta su resolución');
+  }
+
+  if (milestone.pago.estado !== 'aprobado') {
+    throw new Error('Los fondos del pago no están en custodia');
+  }
+
+  return releaseMilestone(milestone, clientId);
+}
+
+/**
+ * El cliente rechaza la solicitud de aprobación de un hito
+ * El hito vuelve a pendiente y se detiene la liberación automática
+ * @param {string} milestoneId - ID del hito
+ * @param {string} clientId - ID del cliente
+ * @param {string} motivo - Motivo del rechazo
+ * @returns {Object} Hito actualizado
+ */
+async function rejectMilestone(milestoneId, clientId, motivo) {
+  if (!motivo || !motivo.trim()) {
+    throw new Error('Debe indicar el motivo del rechazo');
+  }
+
+  const milestone = await prisma.hitos_pago.findUnique({
+    where: { id: milestoneId },
+    include: { pago: true }
+  });
+
+  if (!milestone) {
+    throw new Error('Hito no encontrado');
+  }
+
+  if (milestone.pago.cliente_id !== clientId) {
+    throw new Error('No tienes permiso para gestionar este hito');
+  }
+
+  if (milestone.estado !== 'en_revision') {
+    throw new Error('Solo se pueden rechazar hitos en revisión');
+  }
+
+  const updated = await prisma.hitos_pago.update({
+    where: { id: milestoneId },
+    data: {
+      estado: 'pendiente',
+      escrow_release_deadline: null,
+      notas_rechazo: motivo.trim()
+    }
+  });
+
+  await logTransaction({
+    tipo_transaccion: 'milestone_rejected',
+    entidad_tipo: 'hitos_pago',
+    entidad_id: milestoneId,
+    usuario_id: clientId,
+    monto: milestone.monto,
+    detalles: {
+      paymentId: milestone.pago_id,
+      orden: milestone.orden,
+      motivo: motivo.trim()
+    },
+    ip_address: null,
+    user_agent: null
+  });
+
+  await notify(
+    milestone.pago.profesional_id,
+    'hito_rechazado',
+    `El cliente rechazó el hito "${milestone.descripcion}": ${motivo.trim()}`,
+    { paymentId: milestone.pago_id, milestoneId }
+  );
+
+  return updated;
+}
+
+/**
+ * Libera automáticamente los hitos en revisión cuyo plazo de aprobación venció
+ * Debe ejecutarse junto con la liberación automática de pagos (RB-04)
+ * @returns {Object} Resultado de las liberaciones
+ */
+async function autoReleaseMilestones() {
+  const expired = await prisma.hitos_pago.findMany({
+    where: {
+      estado: 'en_revision',
+      escrow_release_deadline: { lt: new Date() },
+      pago: { estado: 'aprobado' } // Excluye pagos en disputa
+    },
+    include: { pago: true },
+    orderBy: [{ pago_id: 'asc' }, { orden: 'asc' }]
+  });
+
+  const results = [];
+  for (const milestone of expired) {
+    try {
+      const result = await releaseMilestone(milestone, 'auto');
+      results.push({ milestoneId: milestone.id, status: 'released', amount: result.professionalAmount });
+    } catch (error) {
+      logger.error('Error auto-releasing milestone', {
+        service: 'milestones',
+        milestoneId: milestone.id,
+        error: error.message
+      });
+      results.push({ milestoneId: milestone.id, status: 'error', error: error.message });
+    }
+  }
+
+  return {
+    processed: results.filter(r => r.status === 'released').length,
+    results
+  };
+}
+
+/**
+ * Suma el monto profesional de hitos liberados cuyo pago todavía no está
+ * liberado por completo (esos fondos ya están disponibles para retiro)
+ * @param {string} professionalId - ID del profesional
+ * @returns {number} Monto neto liberado por hitos
+ */
+async function getReleasedMilestoneEarnings(professionalId) {
+  const result = await prisma.hitos_pago.aggregate({
+    where: {
+      estado: 'liberado',
+      pago: {
+        profesional_id: professionalId,
+        estado: { not: 'liberado' }
+      }
+    },
+    _sum: { monto_profesional: true }
+  });
+
+  return result._sum.monto_profesional || 0;
+}
+
+module.exports = {
+  createMilestonePlan,
+  getMilestones,
+  requestMilestoneApproval,
+  approveMilestone,
+  rejectMilestone,
+  autoReleaseMilestones,
+  getReleasedMilestoneEarnings
+};
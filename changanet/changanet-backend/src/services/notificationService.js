@@ -805,7 +805,16 @@ function getNotificationTitle(type) {
     [NOTIFICATION_TYPES.URGENT_NEARBY]: '¡Solicitud Urgente Cerca!',
     'servicio_urgente_agendado': '¡Servicio Urgente Agendado!',
     'fondos_liberados': 'Fondos Liberados',
-    'fondos_liberados_auto': 'Fondos Liberados Automáticamente'
+    'fondos_liberados_auto': 'Fondos Liberados Automáticamente',
+    'disputa_abierta': 'Disputa de Pago Abierta',
+    'disputa_evidencia': 'Nueva Evidencia en Disputa',
+    'disputa_resuelta': 'Disputa de Pago Resuelta',
+    'pago_reembolsado': 'Reembolso de Pago',
+    'hitos_definidos': 'Plan de Pago por Hitos',
+    'hito_aprobacion_solicitada': 'Hito Listo para Aprobar',
+    'hito_rechazado': 'Hito Rechazado',
+    'hito_liberado': 'Hito Liberado',
+    'busqueda_guardada': 'Nuevas coincidencias para tu búsqueda'
   };
   return titles[type] || 'Nueva notificación';
 }
@@ -840,6 +849,13 @@ function getDefaultPriority(type) {
       [NOTIFICATION_TYPES.APPOINTMENT_RESCHEDULED]: NOTIFICATION_PRIORITIES.HIGH,
       [NOTIFICATION_TYPES.URGENT_COMPLETED]: NOTIFICATION_PRIORITIES.HIGH,
       [NOTIFICATION_TYPES.URGENT_CANCELLED]: NOTIFICATION_PRIORITIES.HIGH,
+      'disputa_abierta': NOTIFICATION_PRIORITIES.HIGH,
+      'disputa_evidencia': NOTIFICATION_PRIORITIES.HIGH,
+      'disputa_resuelta': NOTIFICATION_PRIORITIES.HIGH,
+      'pago_reembolsado': NOTIFICATION_PRIORITIES.HIGH,
+      'hito_aprobacion_solicitada': NOTIFICATION_PRIORITIES.HIGH,
+      'hito_rechazado': NOTIFICATION_PRIORITIES.HIGH,
+      'hito_liberado': NOTIFICATION_PRIORITIES.CRITICAL,
 
       // MEDIA
       [NOTIFICATION_TYPES.COTIZACION]: NOTIFICATION_PRIORITIES.MEDIUM,
@@ -16,9 +16,26 @@ const {
   getCachedProfessionalPendingIncome,
   invalidateProfessionalPendingIncome
 } = require('./cacheService');
+const { BASE_CURRENCY, formatAmount, roundAmount, toBaseCurrency } = require('./currencyService');
 
 const prisma = new PrismaClient();
 
+/**
+ * Consolida en moneda base los montos de pagos agrupados por moneda y tipo de cambio
+ * Cada grupo se convierte con el tipo de cambio guardado en sus pagos, no con el vigente
+ * @param {Array} groups - Resultado de pagos.groupBy por ['moneda', 'tipo_cambio', ...]
+ * @param {Function} getAmount - Monto de un grupo en su moneda
+ * @returns {Object} { total, byCurrency: { [moneda]: monto } }
+ */
+function consolidateByCurrency(groups, getAmount) {
+  return groups.reduce((acc, group) => {
+    const amount = getAmount(group);
+    acc.total = roundAmount(acc.total + toBaseCurrency(amount, group.tipo_cambio));
+    acc.byCurrency[group.moneda] = roundAmount((acc.byCurrency[group.moneda] || 0) + amount, group.moneda);
+    return acc;
+  }, { total: 0, byCurrency: {} });
+}
+
 /**
  * Obtiene métricas generales del dashboard de pagos con caché
  * @returns {Promise<Object>} Métricas del dashboard
@@ -41,10 +58,8 @@ async function getPaymentDashboardMetrics() {
       approvedPayments,
       releasedPayments,
       failedPayments,
-      totalRevenue,
-      pendingRevenue,
-      releasedRevenue,
-      commissionRevenue
+      revenueGroups,
+      refunds
     ] = await Promise.all([
       // Total de pagos
       prisma.pagos.count(),
@@ -61,31 +76,52 @@ async function getPaymentDashboardMetrics() {
       // Pagos fallidos
       prisma.pagos.count({ where: { estado: 'fallido' } }),
 
-      // Ingresos totales
-      prisma.pagos.aggregate({
-        _sum: { monto_total: true },
+      // Ingresos en custodia y liberados por moneda y tipo de cambio (netos de reembolsos parciales)
+      prisma.pagos.groupBy({
+        by: ['estado', 'moneda', 'tipo_cambio'],
+        _sum: { monto_total: true, monto_reembolsado: true, monto_profesional: true, comision_plataforma: true },
         where: { estado: { in: ['aprobado', 'liberado'] } }
       }),
 
-      // Ingresos pendientes
-      prisma.pagos.aggregate({
-        _sum: { monto_total: true },
-        where: { estado: 'aprobado' }
-      }),
-
-      // Ingresos liberados
-      prisma.pagos.aggregate({
-        _sum: { monto_profesional: true },
-        where: { estado: 'liberado' }
-      }),
-
-      // Comisiones totales
-      prisma.pagos.aggregate({
-        _sum: { comision_plataforma: true },
-        where: { estado: 'liberado' }
+      // Reembolsos registrados (parciales y totales) con el tipo de cambio de su pago
+      prisma.reembolsos.findMany({
+        select: { monto: true, comision_revertida: true, pago: { select: { moneda: true, tipo_cambio: true } } }
       })
     ]);
 
+    const netCharged = group => (group._sum.monto_total || 0) - (group._sum.monto_reembolsado || 0);
+    const pendingGroups = revenueGroups.filter(group => group.estado === 'aprobado');
+    const releasedGroups = revenueGroups.filter(group => group.estado === 'liberado');
+
+    const totalRevenue = consolidateByCurrency(revenueGroups, netCharged);
+    const pendingRevenue = consolidateByCurrency(pendingGroups, netCharged);
+    const releasedRevenue = consolidateByCurrency(releasedGroups, group => group._sum.monto_profesional || 0);
+    const commissionRevenue = consolidateByCurrency(releasedGroups, group => group._sum.comision_plataforma || 0);
+
+    // Cada reembolso se consolida con el tipo de cambio de su pago
+    const refundGroups = refunds.map(refund => ({ moneda: refund.pago.moneda, tipo_cambio: refund.pago.tipo_cambio, _sum: refund }));
+    const refundTotals = consolidateByCurrency(refundGroups, group => group._sum.monto);
+    const revertedCommission = consolidateByCurrency(refundGroups, group => group._sum.comision_revertida || 0);
+
+    // Desglose en la moneda original de cada pago, con los montos formateados
+    const currencies = [...new Set(revenueGroups.map(group => group.moneda))];
+    const byCurrency = currencies.map(currency => {
+      const amounts = {
+        total: totalRevenue.byCurrency[currency] || 0,
+        pending: pendingRevenue.byCurrency[currency] || 0,
+        released: releasedRevenue.byCurrency[currency] || 0,
+        commissions: commissionRevenue.byCurrency[currency] || 0
+      };
+
+      return {
+        currency,
+        ...amounts,
+        formatted: Object.fromEntries(
+          Object.entries(amounts).map(([key, value]) => [key, formatAmount(value, currency)])
+        )
+      };
+    });
+
     const metrics = {
       payments: {
         total: totalPayments,
@@ -94,11 +130,19 @@ async function getPaymentDashboardMetrics() {
         released: releasedPayments,
         failed: failedPayments
       },
+      // Totales consolidados en moneda base
       revenue: {
-        total: totalRevenue._sum.monto_total || 0,
-        pending: pendingRevenue._sum.monto_total || 0,
-        released: releasedRevenue._sum.monto_profesional || 0,
-        commissions: commissionRevenue._sum.comision_plataforma || 0
+        currency: BASE_CURRENCY,
+        total: totalRevenue.total,
+        pending: pendingRevenue.total,
+        released: releasedRevenue.total,
+        commissions: commissionRevenue.total,
+        byCurrency
+      },
+      refunds: {
+        count: refunds.length,
+        total: refundTotals.total,
+        commissionReverted: revertedCommission.total
       },
       calculatedAt: new Date().toISOString()
     };
@@ -140,42 +184,47 @@ async function getCommissionMetrics() {
       // Configuraciones activas
       prisma.commission_settings.count({ where: { activo: true } }),
 
-      // Total de comisiones cobradas
-      prisma.pagos.aggregate({
+      // Total de comisiones cobradas, consolidado en moneda base
+      prisma.pagos.groupBy({
+        by: ['moneda', 'tipo_cambio'],
         _sum: { comision_plataforma: true },
         where: { estado: 'liberado' }
-      }),
+      }).then(groups => consolidateByCurrency(groups, group => group._sum.comision_plataforma || 0)),
 
       // Tasa promedio de comisión
       prisma.pagos.findMany({
         where: { estado: 'liberado', comision_plataforma: { not: null } },
         select: {
           monto_total: true,
-          comision_plataforma: true
+          monto_reembolsado: true,
+          comision_plataforma: true,
+          tipo_cambio: true
         }
       }).then(payments => {
         if (payments.length === 0) return 0;
-        const totalAmount = payments.reduce((sum, p) => sum + p.monto_total, 0);
-        const totalCommission = payments.reduce((sum, p) => sum + p.comision_plataforma, 0);
+        const totalAmount = payments.reduce((sum, p) => sum + (p.monto_total - (p.monto_reembolsado || 0)) * p.tipo_cambio, 0);
+        const totalCommission = payments.reduce((sum, p) => sum + p.comision_plataforma * p.tipo_cambio, 0);
         return totalAmount > 0 ? (totalCommission / totalAmount) * 100 : 0;
       }),
 
       // Comisiones por tipo de servicio
       prisma.pagos.groupBy({
-        by: ['commission_setting_id'],
+        by: ['commission_setting_id', 'moneda', 'tipo_cambio'],
         where: { estado: 'liberado' },
         _sum: { comision_plataforma: true },
         _count: true
       }).then(groups => {
-        return Promise.all(groups.map(async group => {
+        const settingIds = [...new Set(groups.map(group => group.commission_setting_id))];
+        return Promise.all(settingIds.map(async settingId => {
+          const settingGroups = groups.filter(group => group.commission_setting_id === settingId);
           const setting = await prisma.commission_settings.findUnique({
-            where: { id: group.commission_setting_id },
+            where: { id: settingId },
             select: { nombre: true, tipo_servicio: true, porcentaje: true }
           });
           return {
             setting: setting || { nombre: 'Sin configuración', tipo_servicio: null, porcentaje: 0 },
-            totalCommission: group._sum.comision_plataforma || 0,
-            paymentCount: group._count
+            totalCommission: consolidateByCurrency(settingGroups, group => group._sum.comision_plataforma || 0).total,
+            paymentCount: settingGroups.reduce((sum, group) => sum + group._count, 0)
           };
         }));
       }),
@@ -184,7 +233,7 @@ async function getCommissionMetrics() {
       prisma.$queryRaw`
         SELECT
           strftime('%Y-%m', fecha_liberacion) as month,
-          SUM(comision_plataforma) as total_commission,
+          SUM(comision_plataforma * tipo_cambio) as total_commission,
           COUNT(*) as payment_count
         FROM pagos
         WHERE estado = 'liberado'
@@ -196,7 +245,9 @@ async function getCommissionMetrics() {
 
     const metrics = {
       activeSettings: activeCommissionSettings,
-      totalCollected: totalCommissionCollected._sum.comision_plataforma || 0,
+      currency: BASE_CURRENCY,
+      totalCollected: totalCommissionCollected.total,
+      collectedByCurrency: totalCommissionCollected.byCurrency,
       averageRate: Math.round(averageCommissionRate * 100) / 100,
       byServiceType: commissionByServiceType,
       monthlyTrend: monthlyCommissionTrend,
@@ -233,7 +284,8 @@ async function getProfessionalPendingIncome(professionalId) {
     // Calcular ingresos pendientes
     const [
       pendingPayments,
-      totalPendingAmount,
+      pendingByCurrency,
+      profile,
       nextReleaseDate,
       pendingServices
     ] = await Promise.all([
@@ -245,8 +297,9 @@ async function getProfessionalPendingIncome(professionalId) {
         }
       }),
 
-      // Monto total pendiente
-      prisma.pagos.aggregate({
+      // Monto pendiente por moneda
+      prisma.pagos.groupBy({
+        by: ['moneda'],
         _sum: { monto_profesional: true },
         where: {
           profesional_id: professionalId,
@@ -254,6 +307,12 @@ async function getProfessionalPendingIncome(professionalId) {
         }
       }),
 
+      // Moneda en la que cobra el profesional
+      prisma.perfiles_profesionales.findUnique({
+        where: { usuario_id: professionalId },
+        select: { moneda: true }
+      }),
+
       // Próxima fecha de liberación automática
       prisma.pagos.findFirst({
         where: {
@@ -285,16 +344,29 @@ async function getProfessionalPendingIncome(professionalId) {
       })
     ]);
 
+    // El total se informa en la moneda del profesional; pagos en otra moneda (si cambió de moneda) van en byCurrency
+    const currency = profile?.moneda || BASE_CURRENCY;
+    const totalPendingAmount = pendingByCurrency.find(group => group.moneda === currency)?._sum.monto_profesional || 0;
+
     const income = {
       professionalId,
       pendingPayments,
-      totalPendingAmount: totalPendingAmount._sum.monto_profesional || 0,
+      currency,
+      totalPendingAmount,
+      totalPendingFormatted: formatAmount(totalPendingAmount, currency),
+      byCurrency: pendingByCurrency.map(group => ({
+        currency: group.moneda,
+        amount: group._sum.monto_profesional || 0,
+        formatted: formatAmount(group._sum.monto_profesional || 0, group.moneda)
+      })),
       nextReleaseDate: nextReleaseDate?.fecha_liberacion || null,
       pendingServices: pendingServices.map(p => ({
         serviceId: p.servicio_id,
         description: p.servicio.descripcion,
         clientName: p.servicio.cliente.nombre,
         amount: p.monto_profesional,
+        currency: p.moneda,
+        formattedAmount: formatAmount(p.monto_profesional, p.moneda),
         releaseDate: p.fecha_liberacion
       })),
       calculatedAt: new Date().toISOString()
@@ -169,17 +169,33 @@ async function releaseFunds(paymentId, serviceId, clientId) {
       throw new Error('No se encontró el registro de pago para este servicio');
     }
 
-    // Obtener configuración de comisión aplicable
-    const { getApplicableCommission } = require('./commissionService');
-    const commissionSetting = await getApplicableCommission();
+    if (service.pago.estado === 'en_disputa') {
+      throw new Error('El pago tiene una disputa abierta. Los fondos quedan retenidos hasta su resolución');
+    }
 
-    const totalAmount = service.pago.monto_total;
-    const commission = Math.round(totalAmount * (commissionSetting.porcentaje / 100));
+    // Los pagos con plan de hitos se liberan hito por hito (milestoneService)
+    const milestoneCount = await prisma.hitos_pago.count({ where: { pago_id: service.pago.id } });
+    if (milestoneCount > 0) {
+      throw new Error('Este pago se libera por hitos. Aprobá cada hito para liberar sus fondos');
+    }
+
+    // Obtener configuración de comisión aplicable
+    const { getApplicableCommission, getReleaseBase } = require('./commissionService');
+    const commissionSetting = await getApplicableCommission(null, service.profesional_id);
+
+    // Los reembolsos parciales previos reducen la base sobre la que se cobra comisión;
+    // un cupón absorbido por la plataforma la lleva al precio de lista y las cuotas sin interés al neto acreditado
+    const { grossAmount: totalAmount, subsidyAmount, commissionBase } = getReleaseBase(
+      service.pago,
+      service.pago.monto_total - (service.pago.monto_reembolsado || 0)
+    );
+    const commission = Math.round(commissionBase * (commissionSetting.porcentaje / 100));
     const professionalAmount = totalAmount - commission;
 
-    // Actualizar el registro de pago con la comisión calculada
-    await prisma.pagos.update({
-      where: { id: service.pago.id },
+    // Actualizar el registro de pago con la comisión calculada, solo si no cambió desde que se leyó:
+    // una disputa abierta lo deja en 'en_disputa' y un reembolso confirmado cambia la base de la comisión
+    const released = await prisma.pagos.updateMany({
+      where: { id: service.pago.id, estado: 'aprobado', monto_reembolsado: service.pago.monto_reembolsado },
       data: {
         comision_plataforma: commission,
         monto_profesional: professionalAmount,
@@ -189,13 +205,18 @@ async function releaseFunds(paymentId, serviceId, clientId) {
       },
     });
 
+    if (released.count === 0) {
+      throw new Error('El pago cambió mientras se liberaban los fondos (disputa abierta, reembolso o liberación previa). No se liberaron fondos');
+    }
+
     // Liberar fondos usando la API de Mercado Pago con marketplace_fee
     const paymentClient = new Payment(client);
     const response = await paymentClient.update({
       id: paymentId,
       updatePaymentRequest: {
         status: 'approved',
-        marketplace_fee: commission, // Aplicar comisión al liberar fondos
+        // Aplicar comisión al liberar fondos; el subsidio por cupón lo aporta la plataforma
+        marketplace_fee: Math.max(commission - subsidyAmount, 0),
       },
     });
 
@@ -215,7 +236,9 @@ async function releaseFunds(paymentId, serviceId, clientId) {
       totalAmount,
       commission,
       professionalAmount,
-      'platform_manual_release'
+      'platform_manual_release',
+      true,
+      { currency: service.pago.moneda }
     );
 
     // Notificar al profesional sobre la liberación de fondos
@@ -276,8 +299,9 @@ async function autoReleaseFunds() {
           lt: twentyFourHoursAgo,
         },
         pago: {
-          estado: 'aprobado', // Solo liberar pagos que están en custodia
-          fecha_liberacion: null // Que no hayan sido liberados aún
+          estado: 'aprobado', // Solo liberar pagos en custodia (excluye 'en_disputa')
+          fecha_liberacion: null, // Que no hayan sido liberados aún
+          hitos: { none: {} } // Los pagos por hitos se liberan con autoReleaseMilestones
         }
       },
       include: {
@@ -315,16 +339,17 @@ async function autoReleaseFunds() {
         }
 
         // Obtener configuración de comisión aplicable
-        const { getApplicableCommission } = require('./commissionService');
-        const commissionSetting = await getApplicableCommission();
+        const { getApplicableCommission, getReleaseBase } = require('./commissionService');
+        const commissionSetting = await getApplicableCommission(null, service.profesional_id);
 
-        const totalAmount = payment.monto_total;
-        const commission = Math.round(totalAmount * (commissionSetting.porcentaje / 100));
+        const { grossAmount: totalAmount, commissionBase } = getReleaseBase(payment, payment.monto_total - (payment.monto_reembolsado || 0));
+        const commission = Math.round(commissionBase * (commissionSetting.porcentaje / 100));
         const professionalAmount = totalAmount - commission;
 
-        // Actualizar el pago con comisión y liberación
-        await prisma.pagos.update({
-          where: { id: payment.id },
+        // Actualizar el pago con comisión y liberación, solo si no cambió desde que se buscó (disputa o reembolso);
+        // si cambió se saltea y la próxima corrida recalcula con el saldo actualizado
+        const released = await prisma.pagos.updateMany({
+          where: { id: payment.id, estado: 'aprobado', monto_reembolsado: payment.monto_reembolsado },
           data: {
             comision_plataforma: commission,
             monto_profesional: professionalAmount,
@@ -334,6 +359,15 @@ async function autoReleaseFunds() {
           },
         });
 
+        if (released.count === 0) {
+          results.push({
+            serviceId: service.id,
+            status: 'skipped',
+            reason: 'payment changed since it was read'
+          });
+          continue;
+        }
+
         // Actualizar estado del servicio
         await prisma.servicios.update({
           where: { id: service.id },
@@ -350,7 +384,9 @@ async function autoReleaseFunds() {
           totalAmount,
           commission,
           professionalAmount,
-          'platform_auto_release'
+          'platform_auto_release',
+          true,
+          { currency: payment.moneda }
         );
 
         // Enviar notificación al profesional
@@ -477,6 +513,20 @@ async function withdrawFunds(professionalId, amount, bankDetails) {
     //   }
     // });
 
+    // Libro mayor: el retiro directo debita el saldo del profesional y sale de caja
+    const { recordJournalEntry, LEDGER_ACCOUNTS } = require('./ledgerService');
+    await recordJournalEntry({
+      tipo: 'retiro_directo',
+      descripcion: `Retiro directo de $${amount} a la cuenta ${bankDetails.alias}`,
+      entidadTipo: 'retiros',
+      entidadId: withdrawalId,
+      creadoPor: professionalId,
+      lineas: [
+        { cuenta: LEDGER_ACCOUNTS.SALDO_PROFESIONALES.codigo, debe: amount, usuarioId: professionalId },
+        { cuenta: LEDGER_ACCOUNTS.CAJA.codigo, haber: amount }
+      ]
+    });
+
     // Enviar notificación de retiro exitoso
     const { createNotification } = require('./notificationService');
     await createNotification(
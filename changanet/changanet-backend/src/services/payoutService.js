@@ -6,137 +6,225 @@
 
 const { PrismaClient } = require('@prisma/client');
 const logger = require('./logger');
+const { BASE_CURRENCY } = require('./currencyService');
 
 const prisma = new PrismaClient();
 
+// Método de los payouts de ajuste generados por reembolsos sobre fondos ya pagados
+const REFUND_ADJUSTMENT_METHOD = 'refund_adjustment';
+
 /**
  * Crea un registro de payout cuando se liberan fondos
+ * Las retenciones impositivas vigentes (withholdingService) se descuentan del neto del payout, y después
+ * las deudas de comisión por pagos en efectivo en la misma moneda (cashPaymentService)
  * @param {string} professionalId - ID del profesional
  * @param {string} serviceId - ID del servicio (opcional)
  * @param {number} grossAmount - Monto bruto antes de deducciones
  * @param {number} commissionAmount - Comisión deducida
- * @param {number} netAmount - Monto neto pagado al profesional
+ * @param {number} netAmount - Monto del profesional (bruto menos comisión), antes de retenciones
  * @param {string} paymentMethod - Método de pago usado
  * @param {boolean} asyncProcessing - Si procesar de forma asíncrona (default: true)
+ * @param {Object} options - Opciones adicionales
+ * @param {string} options.tipId - Propina que origina el payout (opcional)
+ * @param {string} options.currency - Moneda del pago que origina el payout (por defecto, la moneda base)
  * @returns {Object} Payout creado
  */
-async function createPayout(professionalId, serviceId, grossAmount, commissionAmount, netAmount, paymentMethod = 'bank_transfer', asyncProcessing = true) {
+async function createPayout(professionalId, serviceId, grossAmount, commissionAmount, netAmount, paymentMethod = 'bank_transfer', asyncProcessing = true, options = {}) {
   try {
-    // Verificar que el usuario sea profesional
-    const professional = await prisma.usuarios.findUnique({
-      where: { id: professionalId },
-      select: { rol: true, nombre: true, email: true }
+    // La compensación de deudas y el payout se registran juntos: si el payout falla, las deudas siguen pendientes
+    const record = await prisma.$transaction((tx) =>
+      createPayoutInTransaction(tx, professionalId, serviceId, grossAmount, commissionAmount, netAmount, paymentMethod, options)
+    );
+
+    return await dispatchPayout(record, { asyncProcessing });
+
+  } catch (error) {
+    logger.error('Error creating payout', {
+      service: 'payouts',
+      professionalId,
+      serviceId,
+      grossAmount,
+      commissionAmount,
+      netAmount,
+      error: error.message
     });
+    throw error;
+  }
+}
 
-    if (!professional || professional.rol !== 'profesional') {
-      throw new Error('Solo se pueden crear payouts para profesionales');
-    }
+/**
+ * Registra el payout dentro de una transacción existente, para que quien libera los fondos confirme
+ * el payout junto con el resto de sus escrituras. Después del commit hay que llamar a dispatchPayout.
+ * @param {Object} tx - Cliente de transacción de Prisma
+ * @param {string} professionalId - ID del profesional
+ * @param {string} serviceId - ID del servicio (opcional)
+ * @param {number} grossAmount - Monto bruto antes de deducciones
+ * @param {number} commissionAmount - Comisión deducida
+ * @param {number} netAmount - Monto del profesional (bruto menos comisión), antes de retenciones
+ * @param {string} paymentMethod - Método de pago usado
+ * @param {Object} options - Mismas opciones que createPayout
+ * @returns {Object} Registro para dispatchPayout { payout, offset, withholdings, ... }
+ */
+async function createPayoutInTransaction(tx, professionalId, serviceId, grossAmount, commissionAmount, netAmount, paymentMethod = 'bank_transfer', options = {}) {
+  // Verificar que el usuario sea profesional
+  const professional = await tx.usuarios.findUnique({
+    where: { id: professionalId },
+    select: { rol: true, nombre: true, email: true }
+  });
+
+  if (!professional || professional.rol !== 'profesional') {
+    throw new Error('Solo se pueden crear payouts para profesionales');
+  }
 
-    // Validar montos
-    if (grossAmount <= 0 || commissionAmount < 0 || netAmount <= 0) {
-      throw new Error('Los montos deben ser positivos');
-    }
+  // Validar montos
+  if (grossAmount <= 0 || commissionAmount < 0 || netAmount <= 0) {
+    throw new Error('Los montos deben ser positivos');
+  }
 
-    if (netAmount !== (grossAmount - commissionAmount)) {
-      throw new Error('El monto neto debe ser igual al monto bruto menos la comisión');
-    }
+  if (netAmount !== (grossAmount - commissionAmount)) {
+    throw new Error('El monto neto debe ser igual al monto bruto menos la comisión');
+  }
 
-    // Crear registro de payout
-    const payout = await prisma.payouts.create({
-      data: {
-        profesional_id: professionalId,
-        servicio_id: serviceId,
-        monto_bruto: grossAmount,
-        comision_plataforma: commissionAmount,
-        monto_neto: netAmount,
-        metodo_pago: paymentMethod,
-        estado: 'pendiente' // Inicialmente pendiente hasta que se procese
+  // Las reglas de retención son impuestos argentinos: solo se aplican a payouts en pesos argentinos
+  const currency = options.currency || BASE_CURRENCY;
+  const { calculateWithholdings } = require('./withholdingService');
+  const withholdings = currency === 'ARS'
+    ? await calculateWithholdings(professionalId, netAmount)
+    : { total: 0, detalle: [] };
+  const withheldNet = Math.round((netAmount - withholdings.total) * 100) / 100;
+
+  const { settleCommissionDebts } = require('./cashPaymentService');
+  const settlement = await settleCommissionDebts(tx, professionalId, currency, withheldNet);
+  const amountToPay = Math.round((withheldNet - settlement.total) * 100) / 100;
+
+  // Crear registro de payout; si las deudas absorben todo el neto no queda nada por transferir
+  const payout = await tx.payouts.create({
+    data: {
+      profesional_id: professionalId,
+      servicio_id: serviceId,
+      propina_id: options.tipId || null,
+      monto_bruto: grossAmount,
+      comision_plataforma: commissionAmount,
+      monto_neto: amountToPay,
+      retenciones: withholdings.total,
+      detalle_retenciones: withholdings.detalle.length > 0 ? withholdings.detalle : undefined,
+      compensacion_comisiones: settlement.total,
+      detalle_compensacion: settlement.detalle.length > 0 ? settlement.detalle : undefined,
+      moneda: currency,
+      metodo_pago: paymentMethod,
+      ...(amountToPay > 0
+        ? { estado: 'pendiente' } // Inicialmente pendiente hasta que se procese
+        : { estado: 'completado', fecha_pago: new Date(), procesado_en: new Date(), notas: 'Neto compensado con deudas de comisión' })
+    },
+    include: {
+      profesional: {
+        select: {
+          nombre: true,
+          email: true
+        }
       },
-      include: {
-        profesional: {
-          select: {
-            nombre: true,
-            email: true
-          }
-        },
-        servicio: serviceId ? {
-          select: {
-            descripcion: true,
-            cliente: {
-              select: {
-                nombre: true
-              }
+      servicio: serviceId ? {
+        select: {
+          descripcion: true,
+          cliente: {
+            select: {
+              nombre: true
             }
           }
-        } : false
-      }
-    });
+        }
+      } : false
+    }
+  });
+
+  return {
+    payout,
+    offset: settlement,
+    withholdings,
+    professionalId,
+    serviceId,
+    grossAmount,
+    commissionAmount,
+    netAmount,
+    paymentMethod,
+    currency,
+    tipId: options.tipId
+  };
+}
 
-    // Log de auditoría
-    await logTransaction({
-      tipo_transaccion: 'payout_created',
-      entidad_tipo: 'payouts',
-      entidad_id: payout.id,
-      usuario_id: professionalId,
-      monto: netAmount,
-      detalles: {
+/**
+ * Completa un payout ya confirmado en la base: auditoría, libro mayor y envío a la cola de transferencias
+ * @param {Object} record - Resultado de createPayoutInTransaction
+ * @param {Object} options - Opciones
+ * @param {boolean} options.asyncProcessing - Si procesar de forma asíncrona (default: true)
+ * @returns {Object} Payout creado
+ */
+async function dispatchPayout(record, { asyncProcessing = true } = {}) {
+  const { payout, offset, withholdings, professionalId, serviceId, grossAmount, commissionAmount, netAmount, paymentMethod, currency } = record;
+  const paidAmount = payout.monto_neto;
+
+  // Log de auditoría
+  await logTransaction({
+    tipo_transaccion: 'payout_created',
+    entidad_tipo: 'payouts',
+    entidad_id: payout.id,
+    usuario_id: professionalId,
+    monto: paidAmount,
+    detalles: {
+      grossAmount,
+      commissionAmount,
+      netAmount: paidAmount,
+      withholdings: withholdings.detalle,
+      commissionDebtOffset: offset.total,
+      commissionDebts: offset.detalle,
+      currency,
+      paymentMethod,
+      serviceId,
+      tipId: record.tipId
+    },
+    ip_address: null,
+    user_agent: null
+  });
+
+  // Libro mayor: la custodia se transfiere a comisión de plataforma y saldo del profesional
+  await recordPayoutRelease(payout);
+
+  // Procesamiento asíncrono con colas si está habilitado (un payout compensado por completo no se transfiere)
+  if (asyncProcessing && paidAmount > 0) {
+    try {
+      const { enqueuePayout } = require('./queueService');
+      await enqueuePayout({
+        id: payout.id,
+        professionalId,
+        serviceId,
         grossAmount,
         commissionAmount,
         netAmount,
         paymentMethod,
-        serviceId
-      },
-      ip_address: null,
-      user_agent: null
-    });
-
-    // Procesamiento asíncrono con colas si está habilitado
-    if (asyncProcessing) {
-      try {
-        const { enqueuePayout } = require('./queueService');
-        await enqueuePayout({
-          id: payout.id,
-          professionalId,
-          serviceId,
-          grossAmount,
-          commissionAmount,
-          netAmount,
-          paymentMethod
-        });
-      } catch (queueError) {
-        logger.warn('Error encolando payout, procesando de forma síncrona', {
-          service: 'payouts',
-          payoutId: payout.id,
-          error: queueError.message
-        });
-        // Procesar inmediatamente si falla la cola
-        await processPayoutImmediately(payout.id);
-      }
+        currency
+      });
+    } catch (queueError) {
+      logger.warn('Error encolando payout, procesando de forma síncrona', {
+        service: 'payouts',
+        payoutId: payout.id,
+        error: queueError.message
+      });
+      // Procesar inmediatamente si falla la cola
+      await processPayoutImmediately(payout.id);
     }
-
-    logger.info('Payout created successfully', {
-      service: 'payouts',
-      professionalId,
-      payoutId: payout.id,
-      netAmount,
-      serviceId,
-      asyncProcessing
-    });
-
-    return payout;
-
-  } catch (error) {
-    logger.error('Error creating payout', {
-      service: 'payouts',
-      professionalId,
-      serviceId,
-      grossAmount,
-      commissionAmount,
-      netAmount,
-      error: error.message
-    });
-    throw error;
   }
+
+  logger.info('Payout created successfully', {
+    service: 'payouts',
+    professionalId,
+    payoutId: payout.id,
+    netAmount: paidAmount,
+    withholdings: withholdings.total,
+    commissionDebtOffset: offset.total,
+    serviceId,
+    asyncProcessing
+  });
+
+  return payout;
 }
 
 /**
@@ -213,7 +301,7 @@ async function processPayout(payoutId, adminId, reference = null) {
     await createNotification(
       payout.profesional_id,
       'pago_recibido',
-      `Has recibido un pago de ${payout.monto_neto} ARS. ${reference ? `Referencia: ${reference}` : ''}`,
+      `Has recibido un pago de ${payout.monto_neto} ${payout.moneda}. ${reference ? `Referencia: ${reference}` : ''}`,
       {
         payoutId,
         amount: payout.monto_neto,
@@ -404,11 +492,12 @@ async function getPayoutStats(professionalId) {
     const completedPayouts = await prisma.payouts.count({
       where: {
         profesional_id: professionalId,
-        estado: 'completado'
+        estado: 'completado',
+        metodo_pago: { not: REFUND_ADJUSTMENT_METHOD }
       }
     });
 
-    // Suma total de montos netos pagados
+    // Suma total de montos netos pagados (incluye ajustes negativos por reembolsos)
     const totalResult = await prisma.payouts.aggregate({
       where: {
         profesional_id: professionalId,
@@ -427,7 +516,8 @@ async function getPayoutStats(professionalId) {
     const latestPayout = await prisma.payouts.findFirst({
       where: {
         profesional_id: professionalId,
-        estado: 'completado'
+        estado: 'completado',
+        metodo_pago: { not: REFUND_ADJUSTMENT_METHOD }
       },
       orderBy: { fecha_pago: 'desc' },
       select: {
@@ -474,10 +564,10 @@ async function getGlobalPayoutStats() {
   try {
     // Total de payouts completados
     const totalCompleted = await prisma.payouts.count({
-      where: { estado: 'completado' }
+      where: { estado: 'completado', metodo_pago: { not: REFUND_ADJUSTMENT_METHOD } }
     });
 
-    // Suma total de pagos realizados
+    // Suma total de pagos realizados (incluye ajustes negativos por reembolsos)
     const totalResult = await prisma.payouts.aggregate({
       where: { estado: 'completado' },
       _sum: {
@@ -517,6 +607,141 @@ async function getGlobalPayoutStats() {
   }
 }
 
+/**
+ * Ajusta los payouts de un servicio cuando se reembolsa parte de un pago ya liberado
+ * Si el payout sigue pendiente se reducen sus montos; si ya fue pagado se registra
+ * un payout de ajuste con montos negativos para que los totales reflejen el reembolso
+ * Las retenciones del payout se revierten en la misma proporción que el monto reembolsado
+ * @param {string} professionalId - ID del profesional
+ * @param {string} serviceId - ID del servicio
+ * @param {Object} reduction - Montos a descontar
+ * @param {number} reduction.grossAmount - Monto bruto reembolsado
+ * @param {number} reduction.commissionAmount - Comisión revertida
+ * @param {number} reduction.netAmount - Monto del profesional revertido (antes de retenciones)
+ * @param {number} reduction.subsidyAmount - Subsidio por cupón revertido (incluido en grossAmount)
+ * @param {string} reduction.refundId - ID del reembolso que origina el ajuste
+ * @returns {Object} Payout actualizado o ajuste creado
+ */
+async function adjustPayoutForRefund(professionalId, serviceId, { grossAmount, commissionAmount, netAmount, subsidyAmount = 0, refundId, paymentId = null, clientId = null }) {
+  try {
+    const payout = await prisma.payouts.findFirst({
+      where: {
+        profesional_id: professionalId,
+        servicio_id: serviceId,
+        metodo_pago: { not: REFUND_ADJUSTMENT_METHOD },
+        estado: { in: ['pendiente', 'procesando', 'completado'] }
+      },
+      orderBy: { creado_en: 'desc' }
+    });
+
+    const { getProportionalWithholdings } = require('./withholdingService');
+    const withheld = getProportionalWithholdings(payout, netAmount);
+    const paidAmount = Math.round((netAmount - withheld.total) * 100) / 100;
+
+    let adjusted;
+    if (payout && payout.estado === 'pendiente') {
+      const remainingNet = payout.monto_neto - paidAmount;
+      adjusted = await prisma.payouts.update({
+        where: { id: payout.id },
+        data: {
+          monto_bruto: payout.monto_bruto - grossAmount,
+          comision_plataforma: payout.comision_plataforma - commissionAmount,
+          monto_neto: remainingNet,
+          ...(withheld.total > 0 && {
+            retenciones: Math.round((payout.retenciones - withheld.total) * 100) / 100,
+            detalle_retenciones: payout.detalle_retenciones.map((item, index) => ({
+              ...item,
+              monto: Math.round((item.monto - withheld.detalle[index].monto) * 100) / 100
+            }))
+          }),
+          estado: remainingNet > 0 ? 'pendiente' : 'cancelado',
+          notas: `Reducido por reembolso ${refundId}`
+        }
+      });
+    } else {
+      adjusted = await prisma.payouts.create({
+        data: {
+          profesional_id: professionalId,
+          servicio_id: serviceId,
+          monto_bruto: -grossAmount,
+          comision_plataforma: -commissionAmount,
+          monto_neto: -paidAmount,
+          retenciones: -withheld.total,
+          detalle_retenciones: withheld.detalle.length > 0
+            ? withheld.detalle.map(item => ({ ...item, monto: -item.monto }))
+            : undefined,
+          moneda: payout ? payout.moneda : BASE_CURRENCY,
+          metodo_pago: REFUND_ADJUSTMENT_METHOD,
+          estado: 'completado',
+          fecha_pago: new Date(),
+          procesado_en: new Date(),
+          notas: `Ajuste por reembolso ${refundId}${payout ? ` sobre payout ${payout.id}` : ''}`
+        }
+      });
+    }
+
+    // Libro mayor: la comisión, el saldo del profesional y lo retenido vuelven a la custodia para devolverse al cliente
+    // y el subsidio por cupón que ya no corresponde vuelve a la plataforma
+    const { recordCommissionReversal, recordDiscountSubsidyReversal } = require('./commissionService');
+    await recordCommissionReversal({ amount: commissionAmount, paymentId, clientId, refundId, currency: adjusted.moneda });
+    await recordDiscountSubsidyReversal({ amount: subsidyAmount, paymentId, clientId, refundId, currency: adjusted.moneda });
+    const { recordJournalEntry, LEDGER_ACCOUNTS } = require('./ledgerService');
+    await recordJournalEntry({
+      tipo: 'reversion_liberacion',
+      descripcion: `Reversión de $${netAmount} del saldo del profesional por reembolso ${refundId}`,
+      entidadTipo: 'reembolsos',
+      entidadId: refundId,
+      moneda: adjusted.moneda,
+      lineas: [
+        { cuenta: LEDGER_ACCOUNTS.SALDO_PROFESIONALES.codigo, debe: paidAmount, usuarioId: professionalId, pagoId: paymentId },
+        { cuenta: LEDGER_ACCOUNTS.RETENCIONES.codigo, debe: withheld.total, usuarioId: professionalId, pagoId: paymentId },
+        { cuenta: LEDGER_ACCOUNTS.CUSTODIA.codigo, haber: netAmount, usuarioId: clientId, pagoId: paymentId }
+      ]
+    });
+
+    await logTransaction({
+      tipo_transaccion: 'payout_refund_adjustment',
+      entidad_tipo: 'payouts',
+      entidad_id: adjusted.id,
+      usuario_id: professionalId,
+      monto: -paidAmount,
+      detalles: {
+        refundId,
+        serviceId,
+        originalPayoutId: payout ? payout.id : null,
+        grossAmount,
+        commissionAmount,
+        netAmount,
+        withheldAmount: withheld.total,
+        subsidyAmount
+      },
+      ip_address: null,
+      user_agent: null
+    });
+
+    logger.info('Payout adjusted for refund', {
+      service: 'payouts',
+      professionalId,
+      serviceId,
+      payoutId: adjusted.id,
+      refundId,
+      netAmount
+    });
+
+    return adjusted;
+
+  } catch (error) {
+    logger.error('Error adjusting payout for refund', {
+      service: 'payouts',
+      professionalId,
+      serviceId,
+      refundId,
+      error: error.message
+    });
+    throw error;
+  }
+}
+
 /**
  * Procesa un payout inmediatamente (para fallback cuando falla la cola)
  * @param {string} payoutId - ID del payout
@@ -600,6 +825,80 @@ async function processPayoutImmediately(payoutId) {
   }
 }
 
+/**
+ * Registra en el libro mayor la liberación de fondos que representa un payout:
+ * la comisión pasa a la plataforma (commissionService), el neto al saldo del profesional
+ * y lo retenido por impuestos a la cuenta de retenciones a depositar
+ * Los payouts no generan un egreso de caja; el dinero sale del sistema con los retiros
+ * Las deudas de comisión por pagos en efectivo compensadas en el payout cancelan las comisiones a cobrar
+ * Si el pago tuvo un cupón absorbido por la plataforma, la parte subsidiada del bruto se registra como gasto
+ * Los payouts de propinas se descuentan de la custodia del cliente que dejó la propina, sin pago asociado
+ * @param {Object} payout - Payout creado
+ */
+async function recordPayoutRelease(payout) {
+  try {
+    let payment = null;
+    if (payout.propina_id) {
+      const tip = await prisma.propinas.findUnique({
+        where: { id: payout.propina_id },
+        select: { cliente_id: true }
+      });
+      payment = tip ? { id: null, cliente_id: tip.cliente_id } : null;
+    } else if (payout.servicio_id) {
+      payment = await prisma.pagos.findUnique({
+        where: { servicio_id: payout.servicio_id },
+        select: { id: true, cliente_id: true, monto_total: true, monto_descuento: true, descuento_absorbido_por: true }
+      });
+    }
+
+    // El bruto del payout es lo cobrado más el subsidio proporcional (commissionService.getReleaseBase)
+    const subsidyAmount = payment && payment.descuento_absorbido_por === 'plataforma' && payment.monto_descuento > 0
+      ? Math.round(payout.monto_bruto * (payment.monto_descuento / (payment.monto_total + payment.monto_descuento)) * 100) / 100
+      : 0;
+
+    const { recordCommissionEarned, recordDiscountSubsidy } = require('./commissionService');
+    await recordDiscountSubsidy({
+      amount: subsidyAmount,
+      paymentId: payment?.id,
+      clientId: payment?.cliente_id,
+      entityType: 'payouts',
+      entityId: payout.id,
+      currency: payout.moneda
+    });
+    await recordCommissionEarned({
+      amount: payout.comision_plataforma,
+      paymentId: payment?.id,
+      clientId: payment?.cliente_id,
+      entityType: 'payouts',
+      entityId: payout.id,
+      currency: payout.moneda
+    });
+
+    const withheld = payout.retenciones || 0;
+    const offset = payout.compensacion_comisiones || 0;
+    const { recordJournalEntry, LEDGER_ACCOUNTS } = require('./ledgerService');
+    await recordJournalEntry({
+      tipo: 'liberacion_fondos',
+      descripcion: `Liberación de $${payout.monto_neto} al profesional (payout ${payout.id})`,
+      entidadTipo: 'payouts',
+      entidadId: payout.id,
+      moneda: payout.moneda,
+      lineas: [
+        { cuenta: LEDGER_ACCOUNTS.CUSTODIA.codigo, debe: payout.monto_neto + withheld + offset, usuarioId: payment?.cliente_id, pagoId: payment?.id },
+        { cuenta: LEDGER_ACCOUNTS.SALDO_PROFESIONALES.codigo, haber: payout.monto_neto, usuarioId: payout.profesional_id, pagoId: payment?.id },
+        { cuenta: LEDGER_ACCOUNTS.RETENCIONES.codigo, haber: withheld, usuarioId: payout.profesional_id, pagoId: payment?.id },
+        ...(offset > 0 ? [{ cuenta: LEDGER_ACCOUNTS.COMISIONES_A_COBRAR.codigo, haber: offset, usuarioId: payout.profesional_id }] : [])
+      ]
+    });
+  } catch (error) {
+    logger.error('Error posting payout ledger entries', {
+      service: 'payouts',
+      payoutId: payout.id,
+      error: error.message
+    });
+  }
+}
+
 /**
  * Función auxiliar para logging de transacciones
  */
@@ -618,10 +917,13 @@ async function logTransaction(logData) {
 
 module.exports = {
   createPayout,
+  createPayoutInTransaction,
+  dispatchPayout,
   processPayout,
   getPayouts,
   getPayoutById,
   getPendingPayouts,
   getPayoutStats,
   getGlobalPayoutStats,
+  adjustPayoutForRefund,
 };
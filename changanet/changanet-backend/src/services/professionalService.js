@@ -321,6 +321,7 @@ class ProfessionalService {
                 especialidades: true,
                 zona_cobertura: true,
                 tarifa_hora: true,
+                moneda: true,
                 calificacion_promedio: true,
                 anos_experiencia: true,
                 descripcion: true,
@@ -169,6 +169,7 @@ async function enqueuePayout(payoutData, priority = 'normal') {
 /**
  * Agrega un webhook a la cola para procesamiento asíncrono
  * @param {Object} webhookData - Datos del webhook
+ * @returns {boolean} Si se pudo encolar
  */
 async function enqueueWebhook(webhookData) {
   const queueType = 'webhooks';
@@ -188,7 +189,7 @@ async function enqueueWebhook(webhookData) {
       });
 
       console.log(`🐰 Webhook encolado en RabbitMQ: ${webhookData.type}`);
-      return;
+      return true;
     } catch (error) {
       console.warn('Error encolando webhook en RabbitMQ:', error.message);
     }
@@ -203,10 +204,13 @@ async function enqueueWebhook(webhookData) {
         enqueuedAt: new Date().toISOString()
       }));
       console.log(`💳 Webhook encolado en Redis: ${webhookData.type}`);
+      return true;
     } catch (error) {
       console.error('Error encolando webhook en Redis:', error);
     }
   }
+
+  return false;
 }
 
 /**
@@ -353,7 +357,9 @@ async function processPayout(payoutData) {
       payoutData.grossAmount,
       payoutData.commissionAmount,
       payoutData.netAmount,
-      payoutData.paymentMethod || 'bank_transfer'
+      payoutData.paymentMethod || 'bank_transfer',
+      true,
+      { currency: payoutData.currency }
     );
 
     // Aquí se podría integrar con servicios bancarios externos
@@ -515,11 +521,21 @@ async function processReportQueue() {
 
 /**
  * Función auxiliar para procesar webhooks
+ * Los webhooks encolados solo llevan el ID del evento guardado en eventos_webhook;
+ * si el procesamiento falla se lanza el error para que la cola lo reintente
  */
 async function processWebhook(webhookData) {
-  // Implementar lógica de procesamiento de webhooks
-  console.log(`Procesando webhook: ${webhookData.type}`, webhookData);
-  // Aquí iría la lógica específica del webhook
+  if (!webhookData.eventId) {
+    console.warn(`Webhook encolado sin eventId, descartado: ${webhookData.type}`);
+    return;
+  }
+
+  const { processWebhookEvent, EVENT_STATES } = require('./webhookEventService');
+  const { event } = await processWebhookEvent(webhookData.eventId);
+
+  if (event.estado === EVENT_STATES.FAILED) {
+    throw new Error(event.ultimo_error || 'Error procesando evento de webhook');
+  }
 }
 
 /**
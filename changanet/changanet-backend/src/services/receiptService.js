@@ -5,6 +5,7 @@
 
 const PDFDocument = require('pdfkit');
 const { PrismaClient } = require('@prisma/client');
+const { BASE_CURRENCY, formatAmount } = require('./currencyService');
 const prisma = new PrismaClient();
 const fs = require('fs');
 const path = require('path');
@@ -27,10 +28,17 @@ exports.generatePaymentReceipt = async (paymentId) => {
               include: {
                 perfil_profesional: true
               }
-            }
+            },
+            propina: true
           }
         },
         commission_setting: true,
+        cupon_uso: {
+          include: { cupon: true }
+        },
+        reembolsos: {
+          orderBy: { creado_en: 'asc' }
+        },
         payouts: {
           where: { estado: 'completado' },
           orderBy: { fecha_pago: 'desc' },
@@ -70,6 +78,12 @@ exports.generatePaymentReceipt = async (paymentId) => {
     doc.text(`ID de Mercado Pago: ${payment.mercado_pago_id || 'N/A'}`);
     doc.text(`Fecha de Pago: ${payment.fecha_pago ? new Date(payment.fecha_pago).toLocaleDateString('es-AR') : 'Pendiente'}`);
     doc.text(`Estado: ${payment.estado.toUpperCase()}`);
+    // Los montos del comprobante están en la moneda del pago
+    const currency = payment.moneda || BASE_CURRENCY;
+    doc.text(`Moneda: ${currency}`);
+    if (currency !== BASE_CURRENCY && payment.tipo_cambio) {
+      doc.text(`Tipo de Cambio: 1 ${currency} = ${formatAmount(payment.tipo_cambio, BASE_CURRENCY)}`);
+    }
     doc.moveDown();
 
     // Información del servicio
@@ -103,19 +117,82 @@ exports.generatePaymentReceipt = async (paymentId) => {
     doc.moveDown(0.5);
 
     doc.fontSize(10).font('Helvetica');
-    doc.text(`Monto Total Pagado: $${payment.monto_total.toFixed(2)}`);
+
+    // Cupón de descuento: el cliente pagó el precio de lista menos el descuento
+    const discountAmount = payment.monto_descuento || 0;
+    if (discountAmount > 0) {
+      doc.text(`Precio del Servicio: ${formatAmount(payment.monto_total + discountAmount, currency)}`);
+      doc.text(`Descuento${payment.cupon_uso ? ` (cupón ${payment.cupon_uso.cupon.codigo})` : ''}: -${formatAmount(discountAmount, currency)}`);
+      doc.text(`Descuento a cargo de: ${payment.descuento_absorbido_por === 'profesional' ? 'el profesional' : 'Changánet'}`);
+    }
+
+    doc.text(`Monto Total Pagado: ${formatAmount(payment.monto_total, currency)}`);
+
+    // Parte del pago cubierta con crédito de la billetera del cliente
+    const creditAmount = payment.monto_credito || 0;
+    if (creditAmount > 0) {
+      doc.text(`Pagado con Crédito de Billetera: ${formatAmount(creditAmount, currency)}`);
+      doc.text(`Pagado con Mercado Pago: ${formatAmount(payment.monto_total - creditAmount, currency)}`);
+    }
+
+    // Plan de cuotas: el interés lo cobra Mercado Pago al cliente y no forma parte del monto del servicio
+    if (payment.cuotas > 1) {
+      const installmentDetail = payment.recargo_financiacion > 0
+        ? `con interés de ${formatAmount(payment.recargo_financiacion, currency)}`
+        : 'sin interés';
+      doc.text(`Cuotas: ${payment.cuotas} de ${formatAmount(payment.monto_cuota, currency)} (${installmentDetail})`);
+    }
+
+    // Los reembolsos reducen la base sobre la que se calcularon comisión y monto profesional
+    const refundedAmount = payment.monto_reembolsado || 0;
+    const netAmount = payment.monto_total - refundedAmount;
+    if (refundedAmount > 0) {
+      doc.text(`Monto Reembolsado: -${formatAmount(refundedAmount, currency)}`);
+      doc.text(`Monto Neto Cobrado: ${formatAmount(netAmount, currency)}`);
+    }
 
     if (payment.commission_setting) {
       doc.text(`Configuración de Comisión: ${payment.commission_setting.nombre}`);
       doc.text(`Porcentaje de Comisión: ${payment.commission_setting.porcentaje}%`);
     } else {
-      doc.text(`Porcentaje de Comisión: ${(payment.comision_plataforma / payment.monto_total * 100).toFixed(1)}%`);
+      // La base de la comisión incluye el descuento subsidiado por la plataforma
+      const commissionBase = payment.comision_plataforma + payment.monto_profesional;
+      doc.text(`Porcentaje de Comisión: ${commissionBase > 0 ? (payment.comision_plataforma / commissionBase * 100).toFixed(1) : '0.0'}%`);
     }
 
-    doc.text(`Comisión Plataforma: $${payment.comision_plataforma.toFixed(2)}`);
-    doc.text(`Monto Profesional: $${payment.monto_profesional.toFixed(2)}`);
+    doc.text(`Comisión Plataforma: ${formatAmount(payment.comision_plataforma, currency)}`);
+    doc.text(`Monto Profesional: ${formatAmount(payment.monto_profesional, currency)}`);
     doc.moveDown();
 
+    // Detalle de reembolsos
+    if (payment.reembolsos && payment.reembolsos.length > 0) {
+      doc.fontSize(14).font('Helvetica-Bold').text('REEMBOLSOS');
+      doc.moveDown(0.5);
+      doc.fontSize(10).font('Helvetica');
+      payment.reembolsos.forEach((refund) => {
+        doc.text(`${new Date(refund.creado_en).toLocaleDateString('es-AR')} - ${formatAmount(refund.monto, currency)} (comisión revertida: ${formatAmount(refund.comision_revertida, currency)})${refund.motivo ? ` - ${refund.motivo}` : ''}`);
+      });
+      doc.moveDown();
+    }
+
+    // Propina pagada por el cliente tras completar el servicio (se liquida con su propio payout)
+    const tip = payment.servicio.propina;
+    if (tip && tip.estado === 'aprobado') {
+      doc.fontSize(14).font('Helvetica-Bold').text('PROPINA');
+      doc.moveDown(0.5);
+      doc.fontSize(10).font('Helvetica');
+      doc.text(`Fecha de Pago: ${new Date(tip.pagado_en).toLocaleDateString('es-AR')}`);
+      doc.text(`Monto de la Propina: ${formatAmount(tip.monto)}`);
+      doc.text(tip.comision > 0
+        ? `Comisión sobre Propina (${tip.porcentaje_comision}%): ${formatAmount(tip.comision)}`
+        : 'Comisión sobre Propina: exenta');
+      doc.text(`Propina para el Profesional: ${formatAmount(tip.monto_profesional)}`);
+      if (tip.mensaje) {
+        doc.text(`Mensaje: "${tip.mensaje}"`);
+      }
+      doc.moveDown();
+    }
+
     // Información de liberación de fondos
     if (payment.estado === 'aprobado') {
       doc.fontSize(12).font('Helvetica-Bold').text('💰 FONDOS EN CUSTODIA', { color: '#E30613' });
@@ -140,6 +217,12 @@ exports.generatePaymentReceipt = async (paymentId) => {
         doc.text(`Referencia: ${payout.referencia_pago || 'N/A'}`);
       }
       doc.moveDown();
+    } else if (payment.estado === 'reembolsado') {
+      doc.fontSize(12).font('Helvetica-Bold').text('↩ PAGO REEMBOLSADO');
+      doc.moveDown(0.5);
+      doc.fontSize(10).font('Helvetica');
+      doc.text('El monto total del pago fue devuelto al cliente.');
+      doc.moveDown();
     }
 
     // Pie de página
@@ -0,0 +1,549 @@
+/**
+ * Servicio de conciliación con Mercado Pago
+ * Implementa REQ-41 (Integración pasarelas) y REQ-42 (Custodia de fondos)
+ * Compara los reportes de liquidaciones (settlement) y de liberaciones (release) que descarga
+ * un administrador desde Mercado Pago contra lo que processPaymentWebhook registró en pagos.
+ * El parseo y el cruce son funciones puras para poder probarlos sin base de datos con CSV de ejemplo.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const logger = require('./logger');
+
+const prisma = new PrismaClient();
+
+// Diferencia máxima admitida por redondeo de centavos
+const AMOUNT_TOLERANCE = 0.01;
+
+// Estados de pagos que Mercado Pago ya cobró y por lo tanto deben figurar en el reporte
+const SETTLED_PAYMENT_STATES = ['aprobado', 'en_disputa', 'liberado', 'reembolsado'];
+
+// Máximo de filas aceptadas por archivo
+const MAX_REPORT_ROWS = 50000;
+
+/**
+ * Formatos de reporte soportados
+ * - liquidaciones: "Reporte de liquidaciones" (TRANSACTION_TYPE: SETTLEMENT, REFUND, CHARGEBACK...)
+ * - liberaciones: "Reporte de dinero liberado" (RECORD_TYPE: release; DESCRIPTION: payment, refund...)
+ */
+const REPORT_FORMATS = {
+  liquidaciones: {
+    typeColumn: 'TRANSACTION_TYPE',
+    amountColumn: 'TRANSACTION_AMOUNT',
+    dateColumn: 'TRANSACTION_DATE',
+    operationTypes: { SETTLEMENT: 'pago', REFUND: 'reembolso', CHARGEBACK: 'contracargo' }
+  },
+  liberaciones: {
+    typeColumn: 'DESCRIPTION',
+    amountColumn: 'GROSS_AMOUNT',
+    dateColumn: 'DATE',
+    recordTypeColumn: 'RECORD_TYPE',
+    operationTypes: { PAYMENT: 'pago', REFUND: 'reembolso', CHARGEBACK: 'contracargo' }
+  }
+};
+
+/**
+ * Redondea un monto a centavos
+ * @param {number} amount - Monto
+ * @returns {number} Monto redondeado
+ */
+function roundAmount(amount) {
+  return Math.round((amount || 0) * 100) / 100;
+}
+
+/**
+ * Registra la corrida en transactions_log
+ * @param {Object} logData - Datos a registrar
+ */
+async function logTransaction(logData) {
+  try {
+    await prisma.transactions_log.create({
+      data: logData
+    });
+  } catch (error) {
+    logger.error('Error logging reconciliation transaction', {
+      service: 'reconciliation',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Divide una línea CSV respetando campos entre comillas
+ * @param {string} line - Línea del archivo
+ * @param {string} delimiter - Separador de campos
+ * @returns {Array<string>} Campos de la línea
+ */
+function splitCsvLine(line, delimiter) {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (char === '"') {
+      if (inQuotes && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        inQuotes = !inQuotes;
+      }
+    } else if (char === delimiter && !inQuotes) {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  fields.push(current.trim());
+  return fields;
+}
+
+/**
+ * Convierte un monto del reporte a número
+ * El último "." o "," es el separador decimal y el otro se toma como separador de miles
+ * ("1.234,56" y "1,234.56" son 1234.56)
+ * @param {string} value - Valor de la celda
+ * @returns {number|null} Monto o null si no es numérico
+ */
+function parseAmount(value) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+
+  const decimalSeparator = value.lastIndexOf(',') > value.lastIndexOf('.') ? ',' : '.';
+  // Un separador repetido ("1.234.567") solo puede ser de miles
+  const decimalIndex = value.split(decimalSeparator).length > 2 ? -1 : value.lastIndexOf(decimalSeparator);
+  const integerPart = (decimalIndex === -1 ? value : value.slice(0, decimalIndex)).replace(/[.,]/g, '');
+  const amount = parseFloat(decimalIndex === -1 ? integerPart : `${integerPart}.${value.slice(decimalIndex + 1)}`);
+
+  return Number.isNaN(amount) ? null : amount;
+}
+
+/**
+ * Interpreta un reporte CSV de Mercado Pago
+ * Detecta el separador (";" o ",") y el tipo de reporte a partir del encabezado.
+ * @param {string} content - Contenido del archivo
+ * @returns {Object} { tipoReporte, totalFilas, filas: [{ fila, mercadoPagoId, operacion, monto, fecha }] }
+ */
+function parseSettlementReport(content) {
+  const lines = String(content || '')
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/);
+
+  const headerIndex = lines.findIndex(line => line.trim() !== '');
+  if (headerIndex === -1) {
+    throw new Error('El archivo de conciliación está vacío');
+  }
+
+  const headerLine = lines[headerIndex];
+  const delimiter = headerLine.split(';').length > headerLine.split(',').length ? ';' : ',';
+  const headers = splitCsvLine(headerLine, delimiter).map(header => header.toUpperCase());
+
+  const tipoReporte = Object.keys(REPORT_FORMATS).find(key => {
+    const format = REPORT_FORMATS[key];
+    return headers.includes(format.typeColumn) && headers.includes(format.amountColumn);
+  });
+
+  if (!tipoReporte || !headers.includes('SOURCE_ID')) {
+    throw new Error('Formato de reporte no reconocido: se esperaba un reporte de liquidaciones o de liberaciones de Mercado Pago');
+  }
+
+  const format = REPORT_FORMATS[tipoReporte];
+  const filas = [];
+  let totalFilas = 0;
+
+  for (let i = headerIndex + 1; i < lines.length; i++) {
+    if (lines[i].trim() === '') {
+      continue;
+    }
+
+    totalFilas++;
+    if (totalFilas > MAX_REPORT_ROWS) {
+      throw new Error(`El reporte supera el máximo de ${MAX_REPORT_ROWS} filas`);
+    }
+
+    const values = splitCsvLine(lines[i], delimiter);
+    const row = headers.reduce((acc, header, index) => {
+      acc[header] = values[index] !== undefined ? values[index] : '';
+      return acc;
+    }, {});
+
+    // El reporte de liberaciones incluye filas de saldo inicial y totales que no son operaciones
+    if (format.recordTypeColumn && row[format.recordTypeColumn].toLowerCase() !== 'release') {
+      continue;
+    }
+
+    const operacion = format.operationTypes[row[format.typeColumn].toUpperCase()];
+    if (!operacion || !row.SOURCE_ID) {
+      continue;
+    }
+
+    const monto = parseAmount(row[format.amountColumn]);
+    const fecha = row[format.dateColumn] ? new Date(row[format.dateColumn]) : null;
+
+    filas.push({
+      fila: i + 1,
+      mercadoPagoId: row.SOURCE_ID,
+      operacion,
+      monto: monto === null ? null : roundAmount(Math.abs(monto)),
+      fecha: fecha && !Number.isNaN(fecha.getTime()) ? fecha : null
+    });
+  }
+
+  return { tipoReporte, totalFilas, filas };
+}
+
+/**
+ * Calcula el período cubierto por las filas del reporte
+ * @param {Array} filas - Filas interpretadas
+ * @returns {Object} { desde, hasta } (null si ninguna fila tiene fecha)
+ */
+function getReportPeriod(filas) {
+  const dates = filas.filter(row => row.fecha).map(row => row.fecha.getTime());
+
+  if (dates.length === 0) {
+    return { desde: null, hasta: null };
+  }
+
+  return {
+    desde: new Date(dates.reduce((min, date) => Math.min(min, date))),
+    hasta: new Date(dates.reduce((max, date) => Math.max(max, date)))
+  };
+}
+
+/**
+ * Monto que cobró Mercado Pago: el total del pago menos el crédito de billetera aplicado
+ * @param {Object} payment - Pago con monto_total y monto_credito
+ * @returns {number} Monto cobrado por la pasarela
+ */
+function getGatewayChargedAmount(payment) {
+  return roundAmount(payment.monto_total - (payment.monto_credito || 0));
+}
+
+/**
+ * Monto que devolvió Mercado Pago: lo reembolsado menos la parte devuelta a la billetera del cliente
+ * @param {Object} payment - Pago con monto_reembolsado y sus reembolsos ({ monto_credito })
+ * @returns {number} Monto reembolsado por la pasarela
+ */
+function getGatewayRefundedAmount(payment) {
+  const creditRefunded = (payment.reembolsos || []).reduce((sum, refund) => sum + (refund.monto_credito || 0), 0);
+  return roundAmount((payment.monto_reembolsado || 0) - creditRefunded);
+}
+
+/**
+ * Cruza las filas del reporte con los pagos registrados
+ * Los montos del sistema se comparan sin la parte pagada o devuelta con crédito de billetera,
+ * que nunca pasa por Mercado Pago.
+ * Función pura: no accede a la base de datos.
+ * @param {Array} filas - Filas interpretadas por parseSettlementReport
+ * @param {Array} payments - Pagos con { id, mercado_pago_id, monto_total, monto_credito, monto_reembolsado, estado, fecha_pago, reembolsos }
+ * @param {Object} [options]
+ * @param {Object} [options.periodo] - { desde, hasta }; por defecto, el período del reporte
+ * @returns {Object} { conciliados, diferencias, resumen }
+ */
+function matchSettlementRows(filas, payments, options = {}) {
+  const periodo = options.periodo || getReportPeriod(filas);
+  const paymentsByMpId = new Map(
+    payments.filter(payment => payment.mercado_pago_id).map(payment => [String(payment.mercado_pago_id), payment])
+  );
+
+  const groupByMpId = (operacion) => filas
+    .filter(row => row.operacion === operacion)
+    .reduce((acc, row) => {
+      if (!acc.has(row.mercadoPagoId)) {
+        acc.set(row.mercadoPagoId, []);
+      }
+      acc.get(row.mercadoPagoId).push(row);
+      return acc;
+    }, new Map());
+
+  const chargeRows = groupByMpId('pago');
+  const refundRows = groupByMpId('reembolso');
+  const diferencias = [];
+  let conciliados = 0;
+
+  chargeRows.forEach((rows, mercadoPagoId) => {
+    const payment = paymentsByMpId.get(mercadoPagoId);
+    const filasTexto = rows.map(row => row.fila).join(',');
+    const montoReporte = rows[0].monto;
+    let hasDifference = false;
+
+    if (rows.length > 1) {
+      hasDifference = true;
+      diferencias.push({
+        tipo: 'duplicado',
+        mercado_pago_id: mercadoPagoId,
+        pago_id: payment ? payment.id : null,
+        monto_reporte: roundAmount(rows.reduce((sum, row) => sum + (row.monto || 0), 0)),
+        monto_sistema: payment ? getGatewayChargedAmount(payment) : null,
+        diferencia: null,
+        filas: filasTexto,
+        detalle: `El pago figura ${rows.length} veces en el reporte`
+      });
+    }
+
+    if (!payment) {
+      diferencias.push({
+        tipo: 'faltante_en_sistema',
+        mercado_pago_id: mercadoPagoId,
+        pago_id: null,
+        monto_reporte: montoReporte,
+        monto_sistema: null,
+        diferencia: montoReporte,
+        filas: filasTexto,
+        detalle: 'Mercado Pago liquidó el pago pero no hay ningún pago registrado con ese ID'
+      });
+      return;
+    }
+
+    const montoSistema = getGatewayChargedAmount(payment);
+    const diferencia = roundAmount((montoReporte || 0) - montoSistema);
+    if (montoReporte === null || Math.abs(diferencia) > AMOUNT_TOLERANCE) {
+      hasDifference = true;
+      diferencias.push({
+        tipo: 'diferencia_monto',
+        mercado_pago_id: mercadoPagoId,
+        pago_id: payment.id,
+        monto_reporte: montoReporte,
+        monto_sistema: montoSistema,
+        diferencia,
+        filas: filasTexto,
+        detalle: 'El monto liquidado no coincide con el monto cobrado por Mercado Pago'
+      });
+    }
+
+    if (!hasDifference) {
+      conciliados++;
+    }
+  });
+
+  refundRows.forEach((rows, mercadoPagoId) => {
+    const payment = paymentsByMpId.get(mercadoPagoId);
+    const filasTexto = rows.map(row => row.fila).join(',');
+    const montoReporte = roundAmount(rows.reduce((sum, row) => sum + (row.monto || 0), 0));
+
+    if (!payment) {
+      diferencias.push({
+        tipo: 'faltante_en_sistema',
+        mercado_pago_id: mercadoPagoId,
+        pago_id: null,
+        monto_reporte: montoReporte,
+        monto_sistema: null,
+        diferencia: montoReporte,
+        filas: filasTexto,
+        detalle: 'Mercado Pago informó un reembolso sobre un pago que no está registrado'
+      });
+      return;
+    }
+
+    const montoSistema = getGatewayRefundedAmount(payment);
+    const diferencia = roundAmount(montoReporte - montoSistema);
+    if (Math.abs(diferencia) > AMOUNT_TOLERANCE) {
+      diferencias.push({
+        tipo: 'diferencia_monto',
+        mercado_pago_id: mercadoPagoId,
+        pago_id: payment.id,
+        monto_reporte: montoReporte,
+        monto_sistema: montoSistema,
+        diferencia,
+        filas: filasTexto,
+        detalle: 'Los reembolsos informados no coinciden con el monto reembolsado por Mercado Pago'
+      });
+    }
+  });
+
+  // Pagos cobrados dentro del período del reporte que Mercado Pago no liquidó
+  if (periodo.desde && periodo.hasta) {
+    payments
+      .filter(payment =>
+        payment.mercado_pago_id &&
+        SETTLED_PAYMENT_STATES.includes(payment.estado) &&
+        payment.fecha_pago &&
+        new Date(payment.fecha_pago) >= periodo.desde &&
+        new Date(payment.fecha_pago) <= periodo.hasta &&
+        !chargeRows.has(String(payment.mercado_pago_id))
+      )
+      .forEach(payment => {
+        diferencias.push({
+          tipo: 'faltante_en_reporte',
+          mercado_pago_id: String(payment.mercado_pago_id),
+          pago_id: payment.id,
+          monto_reporte: null,
+          monto_sistema: getGatewayChargedAmount(payment),
+          diferencia: roundAmount(-getGatewayChargedAmount(payment)),
+          filas: null,
+          detalle: `El pago figura como "${payment.estado}" pero no aparece en el reporte de Mercado Pago`
+        });
+      });
+  }
+
+  const countByType = (tipo) => diferencias.filter(item => item.tipo === tipo).length;
+
+  return {
+    conciliados,
+    diferencias,
+    resumen: {
+      conciliados,
+      faltantesEnSistema: countByType('faltante_en_sistema'),
+      faltantesEnReporte: countByType('faltante_en_reporte'),
+      duplicados: countByType('duplicado'),
+      diferenciasMonto: countByType('diferencia_monto')
+    }
+  };
+}
+
+/**
+ * Procesa un reporte subido por un administrador y guarda el resultado de la conciliación
+ * @param {Object} data
+ * @param {string} data.fileName - Nombre del archivo
+ * @param {Buffer|string} data.content - Contenido del CSV
+ * @param {string} data.adminId - Administrador que subió el archivo
+ * @returns {Object} Conciliación creada con sus diferencias
+ */
+async function reconcileSettlementReport({ fileName, content, adminId }) {
+  const report = parseSettlementReport(Buffer.isBuffer(content) ? content.toString('utf8') : content);
+
+  if (report.filas.length === 0) {
+    throw new Error('El reporte no contiene operaciones de pago para conciliar');
+  }
+
+  const periodo = getReportPeriod(report.filas);
+  const mercadoPagoIds = [...new Set(report.filas.map(row => row.mercadoPagoId))];
+
+  const payments = await prisma.pagos.findMany({
+    where: {
+      OR: [
+        { mercado_pago_id: { in: mercadoPagoIds } },
+        ...(periodo.desde ? [{
+          mercado_pago_id: { not: null },
+          estado: { in: SETTLED_PAYMENT_STATES },
+          fecha_pago: { gte: periodo.desde, lte: periodo.hasta }
+        }] : [])
+      ]
+    },
+    select: {
+      id: true,
+      mercado_pago_id: true,
+      monto_total: true,
+      monto_credito: true,
+      monto_reembolsado: true,
+      estado: true,
+      fecha_pago: true,
+      reembolsos: { select: { monto_credito: true } }
+    }
+  });
+
+  const result = matchSettlementRows(report.filas, payments, { periodo });
+
+  const reconciliation = await prisma.conciliaciones_mp.create({
+    data: {
+      archivo_nombre: fileName || 'reporte.csv',
+      tipo_reporte: report.tipoReporte,
+      periodo_desde: periodo.desde,
+      periodo_hasta: periodo.hasta,
+      total_filas: report.totalFilas,
+      conciliados: result.resumen.conciliados,
+      faltantes_en_sistema: result.resumen.faltantesEnSistema,
+      faltantes_en_reporte: result.resumen.faltantesEnReporte,
+      duplicados: result.resumen.duplicados,
+      diferencias_monto: result.resumen.diferenciasMonto,
+      estado: result.diferencias.length === 0 ? 'conciliado' : 'con_diferencias',
+      subido_por: adminId,
+      diferencias: {
+        create: result.diferencias
+      }
+    },
+    include: { diferencias: true }
+  });
+
+  await logTransaction({
+    tipo_transaccion: 'settlement_reconciliation',
+    entidad_tipo: 'conciliaciones_mp',
+    entidad_id: reconciliation.id,
+    usuario_id: adminId,
+    detalles: {
+      archivo: reconciliation.archivo_nombre,
+      tipoReporte: report.tipoReporte,
+      totalFilas: report.totalFilas,
+      ...result.resumen
+    }
+  });
+
+  if (result.diferencias.length > 0) {
+    logger.warn('Settlement reconciliation found differences', {
+      service: 'reconciliation',
+      reconciliationId: reconciliation.id,
+      ...result.resumen
+    });
+  } else {
+    logger.info('Settlement reconciliation completed without differences', {
+      service: 'reconciliation',
+      reconciliationId: reconciliation.id,
+      conciliados: result.resumen.conciliados
+    });
+  }
+
+  return reconciliation;
+}
+
+/**
+ * Lista las corridas de conciliación (más recientes primero)
+ * @param {Object} filters - { page, limit }
+ * @returns {Object} { reconciliations, pagination }
+ */
+async function listReconciliations(filters = {}) {
+  const take = Math.min(parseInt(filters.limit, 10) || 20, 100);
+  const skip = (Math.max(parseInt(filters.page, 10) || 1, 1) - 1) * take;
+
+  const [reconciliations, total] = await Promise.all([
+    prisma.conciliaciones_mp.findMany({
+      orderBy: { creado_en: 'desc' },
+      skip,
+      take
+    }),
+    prisma.conciliaciones_mp.count()
+  ]);
+
+  return {
+    reconciliations,
+    pagination: {
+      page: Math.floor(skip / take) + 1,
+      limit: take,
+      total,
+      pages: Math.ceil(total / take)
+    }
+  };
+}
+
+/**
+ * Obtiene una corrida de conciliación con sus diferencias
+ * @param {string} reconciliationId - ID de la conciliación
+ * @returns {Object} Conciliación con diferencias
+ */
+async function getReconciliation(reconciliationId) {
+  const reconciliation = await prisma.conciliaciones_mp.findUnique({
+    where: { id: reconciliationId },
+    include: {
+      diferencias: {
+        orderBy: [{ tipo: 'asc' }, { mercado_pago_id: 'asc' }]
+      }
+    }
+  });
+
+  if (!reconciliation) {
+    throw new Error('Conciliación no encontrada');
+  }
+
+  return reconciliation;
+}
+
+module.exports = {
+  splitCsvLine,
+  parseSettlementReport,
+  matchSettlementRows,
+  reconcileSettlementReport,
+  listReconciliations,
+  getReconciliation
+};
@@ -0,0 +1,738 @@
+/**
+ * Servicio de cobro automático de servicios recurrentes
+ * Al crear (o después) una programación recurrente el cliente autoriza una tarjeta guardada en Mercado Pago.
+ * Cada servicio generado por recurringServiceScheduler se cobra CHARGE_DAYS_BEFORE días antes de la fecha
+ * agendada con descuento_recurrencia aplicado (external_reference "recurrente:<cobro>"); el pago aprobado
+ * queda en custodia como cualquier otro pago del servicio.
+ *
+ * Dunning de cobros rechazados:
+ * - cada rechazo reprograma el cobro según RETRY_DELAYS_DAYS y avisa al cliente
+ * - al llegar a MAX_FAILED_CHARGES rechazos consecutivos la programación se pausa (no genera ni cobra)
+ * - autorizar una tarjeta nueva reanuda la programación y reintenta los cobros pendientes
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const logger = require('./logger');
+const { roundAmount, normalizeCurrency, getRateSnapshot } = require('./currencyService');
+
+const prisma = new PrismaClient();
+
+const RECURRING_REFERENCE_PREFIX = 'recurrente:';
+
+// Anticipación del cobro respecto de la fecha agendada del servicio
+const CHARGE_DAYS_BEFORE = parseInt(process.env.RECURRING_CHARGE_DAYS_BEFORE || '2');
+
+// Rechazos consecutivos tras los que se pausa la programación
+const MAX_FAILED_CHARGES = parseInt(process.env.RECURRING_MAX_FAILED_CHARGES || '3');
+
+// Espera antes de cada reintento (según la cantidad de rechazos del cobro)
+const RETRY_DELAYS_DAYS = [1, 3, 5];
+
+const BILLING_CHECK_INTERVAL = 60 * 60 * 1000; // 1 hora
+
+// Estados de servicio que todavía deben cobrarse
+const CHARGEABLE_SERVICE_STATES = ['PENDIENTE', 'AGENDADO'];
+
+/**
+ * Registra una operación de cobros recurrentes en transactions_log
+ * @param {Object} logData - Datos a registrar
+ */
+async function logTransaction(logData) {
+  try {
+    await prisma.transactions_log.create({
+      data: logData
+    });
+  } catch (error) {
+    logger.error('Error logging recurring billing transaction', {
+      service: 'recurring_billing',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Envía una notificación sin interrumpir el flujo si falla
+ * @param {string} userId - Destinatario
+ * @param {string} type - Tipo de notificación
+ * @param {string} message - Mensaje
+ * @param {Object} metadata - Datos adicionales
+ */
+async function notify(userId, type, message, metadata) {
+  try {
+    const { createNotification } = require('./notificationService');
+    await createNotification(userId, type, message, metadata);
+  } catch (error) {
+    logger.warn('Recurring billing notification failed', {
+      service: 'recurring_billing',
+      userId,
+      type,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Suma días a una fecha
+ * @param {Date} date - Fecha base
+ * @param {number} days - Días a sumar
+ * @returns {Date} Nueva fecha
+ */
+function addDays(date, days) {
+  return new Date(new Date(date).getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Monto a cobrar por cada servicio de una programación: tarifa_base con descuento_recurrencia
+ * @param {Object} recurring - Programación recurrente
+ * @param {string} currency - Moneda del cobro
+ * @returns {number} Monto redondeado
+ */
+function calculateChargeAmount(recurring, currency) {
+  const discount = Math.min(Math.max(recurring.descuento_recurrencia || 0, 0), 100);
+  return roundAmount(recurring.tarifa_base * (1 - discount / 100), currency);
+}
+
+/**
+ * Guarda una tarjeta del usuario en Mercado Pago
+ * Reutiliza el cliente de Mercado Pago de una tarjeta anterior del mismo usuario
+ * @param {string} userId - ID del usuario
+ * @param {string} cardToken - Token del formulario de tarjeta de Mercado Pago
+ * @returns {Object} Método de pago guardado
+ */
+async function savePaymentMethod(userId, cardToken) {
+  const { saveCustomerCard } = require('./mercadoPagoService');
+
+  const user = await prisma.usuarios.findUnique({
+    where: { id: userId },
+    select: { id: true, nombre: true, email: true }
+  });
+
+  if (!user) {
+    throw new Error('Usuario no encontrado');
+  }
+
+  const previous = await prisma.metodos_pago_guardados.findFirst({
+    where: { usuario_id: userId },
+    orderBy: { creado_en: 'desc' }
+  });
+
+  const card = await saveCustomerCard({
+    cardToken,
+    user,
+    customerId: previous ? previous.mp_customer_id : null
+  });
+
+  const data = {
+    usuario_id: userId,
+    mp_customer_id: card.customerId,
+    mp_card_id: card.cardId,
+    medio_pago: card.paymentMethodId,
+    ultimos_digitos: card.lastFour,
+    vencimiento_mes: card.expirationMonth,
+    vencimiento_anio: card.expirationYear,
+    activo: true
+  };
+
+  return prisma.metodos_pago_guardados.upsert({
+    where: { mp_customer_id_mp_card_id: { mp_customer_id: card.customerId, mp_card_id: card.cardId } },
+    create: data,
+    update: data
+  });
+}
+
+/**
+ * Obtiene el método de pago con el que el cliente autoriza los cobros automáticos
+ * @param {string} clientId - ID del cliente
+ * @param {Object} authorization - { cardToken } para guardar una tarjeta nueva o { metodoPagoId } para usar una guardada
+ * @returns {Object} Método de pago guardado
+ */
+async function resolvePaymentMethod(clientId, { cardToken, metodoPagoId } = {}) {
+  if (metodoPagoId) {
+    const method = await prisma.metodos_pago_guardados.findUnique({ where: { id: metodoPagoId } });
+
+    if (!method || method.usuario_id !== clientId || !method.activo) {
+      throw new Error('Método de pago no encontrado');
+    }
+    return method;
+  }
+
+  if (cardToken) {
+    return savePaymentMethod(clientId, cardToken);
+  }
+
+  throw new Error('Debes indicar una tarjeta para autorizar el cobro automático');
+}
+
+/**
+ * Lista las tarjetas guardadas de un usuario
+ * @param {string} userId - ID del usuario
+ * @returns {Array} Métodos de pago activos
+ */
+async function listPaymentMethods(userId) {
+  return prisma.metodos_pago_guardados.findMany({
+    where: { usuario_id: userId, activo: true },
+    select: {
+      id: true,
+      medio_pago: true,
+      ultimos_digitos: true,
+      vencimiento_mes: true,
+      vencimiento_anio: true,
+      creado_en: true
+    },
+    orderBy: { creado_en: 'desc' }
+  });
+}
+
+/**
+ * Autoriza (o reemplaza) la tarjeta con la que se cobran los servicios de una programación
+ * Si la programación estaba pausada por cobros rechazados, se reanuda y los cobros fallidos vuelven a intentarse
+ * @param {string} recurringId - ID de la programación recurrente
+ * @param {string} clientId - Cliente que autoriza
+ * @param {Object} authorization - { cardToken } o { metodoPagoId }
+ * @returns {Object} Programación actualizada
+ */
+async function authorizeRecurringBilling(recurringId, clientId, authorization) {
+  const recurring = await prisma.servicios_recurrrentes.findUnique({
+    where: { id: recurringId }
+  });
+
+  if (!recurring) {
+    throw new Error('Programación recurrente no encontrada');
+  }
+
+  if (recurring.cliente_id !== clientId) {
+    throw new Error('Solo el cliente de la programación puede autorizar el cobro automático');
+  }
+
+  if (!recurring.activo) {
+    throw new Error('La programación recurrente está cancelada');
+  }
+
+  const method = await resolvePaymentMethod(clientId, authorization);
+  const wasPaused = Boolean(recurring.pausado_en);
+
+  const updated = await prisma.$transaction(async (tx) => {
+    const result = await tx.servicios_recurrrentes.update({
+      where: { id: recurringId },
+      data: {
+        cobro_automatico: true,
+        metodo_pago_id: method.id,
+        cobros_fallidos: 0,
+        pausado_en: null,
+        motivo_pausa: null,
+        actualizado_en: new Date()
+      }
+    });
+
+    // Los cobros que agotaron los reintentos vuelven a intentarse con la tarjeta nueva
+    if (wasPaused) {
+      await tx.cobros_recurrentes.updateMany({
+        where: {
+          servicio_recurrente_id: recurringId,
+          estado: 'fallido',
+          servicio: { estado: { in: CHARGEABLE_SERVICE_STATES } }
+        },
+        data: { estado: 'pendiente', proximo_intento: new Date() }
+      });
+    }
+
+    return result;
+  });
+
+  await logTransaction({
+    tipo_transaccion: 'recurring_billing_authorized',
+    entidad_tipo: 'servicios_recurrrentes',
+    entidad_id: recurringId,
+    usuario_id: clientId,
+    detalles: { metodoPagoId: method.id, reanudada: wasPaused }
+  });
+
+  return updated;
+}
+
+/**
+ * Genera el cobro de los servicios recurrentes que se acercan a su fecha
+ * @param {Date} now - Fecha de referencia
+ * @returns {number} Cobros creados
+ */
+async function createUpcomingCharges(now = new Date()) {
+  const services = await prisma.servicios.findMany({
+    where: {
+      estado: { in: CHARGEABLE_SERVICE_STATES },
+      fecha_agendada: { lte: addDays(now, CHARGE_DAYS_BEFORE) },
+      cobro_recurrente: null,
+      pago: null,
+      servicio_recurrente: {
+        activo: true,
+        cobro_automatico: true,
+        pausado_en: null
+      }
+    },
+    include: {
+      servicio_recurrente: true,
+      profesional: { include: { perfil_profesional: true } }
+    }
+  });
+
+  let created = 0;
+
+  for (const service of services) {
+    try {
+      const recurring = service.servicio_recurrente;
+      const currency = normalizeCurrency(service.profesional.perfil_profesional?.moneda);
+
+      await prisma.cobros_recurrentes.create({
+        data: {
+          servicio_recurrente_id: recurring.id,
+          servicio_id: service.id,
+          monto_lista: recurring.tarifa_base,
+          descuento_porcentaje: recurring.descuento_recurrencia || 0,
+          monto: calculateChargeAmount(recurring, currency),
+          moneda: currency,
+          proximo_intento: now
+        }
+      });
+      created++;
+    } catch (error) {
+      logger.error('Error creating recurring charge', {
+        service: 'recurring_billing',
+        serviceId: service.id,
+        error: error.message
+      });
+    }
+  }
+
+  return created;
+}
+
+/**
+ * Crea el pago en custodia del servicio asociado al cobro (una sola vez, antes del primer intento)
+ * @param {Object} charge - Cobro recurrente con servicio y programación
+ * @returns {Object} Pago del servicio
+ */
+async function ensureChargePayment(charge) {
+  if (charge.pago_id) {
+    return prisma.pagos.findUnique({ where: { id: charge.pago_id } });
+  }
+
+  const rateSnapshot = await getRateSnapshot(charge.moneda);
+
+  return prisma.$transaction(async (tx) => {
+    const payment = await tx.pagos.create({
+      data: {
+        servicio_id: charge.servicio_id,
+        cliente_id: charge.servicio_recurrente.cliente_id,
+        profesional_id: charge.servicio_recurrente.profesional_id,
+        monto_total: charge.monto,
+        comision_plataforma: 0, // Se calcula al liberar los fondos (RB-03)
+        monto_profesional: charge.monto,
+        ...rateSnapshot,
+        estado: 'pendiente'
+      }
+    });
+
+    await tx.cobros_recurrentes.update({
+      where: { id: charge.id },
+      data: { pago_id: payment.id }
+    });
+
+    return payment;
+  });
+}
+
+/**
+ * Intenta cobrar un cobro recurrente con la tarjeta autorizada
+ * @param {Object} charge - Cobro con servicio y programación (con metodo_pago y cliente)
+ * @param {Date} now - Fecha de referencia
+ * @returns {Object} Resultado (ver processRecurringChargeWebhook)
+ */
+async function attemptCharge(charge, now = new Date()) {
+  const { chargeStoredCard } = require('./mercadoPagoService');
+  const recurring = charge.servicio_recurrente;
+
+  // El servicio se canceló después de generarse el cobro
+  if (!CHARGEABLE_SERVICE_STATES.includes(charge.servicio.estado)) {
+    await prisma.cobros_recurrentes.update({
+      where: { id: charge.id },
+      data: { estado: 'cancelado', proximo_intento: null }
+    });
+    return { success: true, status: 'cancelled', chargeId: charge.id };
+  }
+
+  // Se retira de la cola antes de llamar a Mercado Pago: si otra corrida superpuesta ya lo tomó, no se cobra dos veces
+  const claimed = await prisma.cobros_recurrentes.updateMany({
+    where: { id: charge.id, proximo_intento: charge.proximo_intento, estado: charge.estado },
+    data: { proximo_intento: null }
+  });
+
+  if (claimed.count === 0) {
+    return { success: true, status: 'skipped', chargeId: charge.id };
+  }
+
+  let result;
+  try {
+    await ensureChargePayment(charge);
+
+    result = await chargeStoredCard({
+      reference: `${RECURRING_REFERENCE_PREFIX}${charge.id}`,
+      idempotencyKey: `${charge.id}-${charge.intentos}`,
+      amount: charge.monto,
+      description: `${recurring.descripcion} (${charge.servicio.fecha_agendada.toISOString().slice(0, 10)})`,
+      card: {
+        customerId: recurring.metodo_pago.mp_customer_id,
+        cardId: recurring.metodo_pago.mp_card_id,
+        paymentMethodId: recurring.metodo_pago.medio_pago
+      },
+      payerEmail: recurring.cliente.email,
+      metadata: {
+        recurring_charge_id: charge.id,
+        recurring_service_id: recurring.id,
+        service_id: charge.servicio_id
+      }
+    });
+  } catch (error) {
+    // Un error al crear el pago (sin tipo de cambio para la moneda) o de la pasarela (tarjeta dada de baja,
+    // token inválido) cuenta como rechazo del intento: el cobro ya salió de la cola y así se reprograma
+    return handleFailedCharge(charge.id, { mercadoPagoId: null, statusDetail: error.message }, now);
+  }
+
+  return processRecurringChargeWebhook(charge.id, {
+    mercadoPagoId: result.id.toString(),
+    status: result.status,
+    statusDetail: result.status_detail
+  }, now);
+}
+
+/**
+ * Registra un cobro rechazado: reprograma el reintento o pausa la programación
+ * @param {string} chargeId - ID del cobro
+ * @param {Object} failure - { mercadoPagoId, statusDetail }
+ * @param {Date} now - Fecha de referencia
+ * @returns {Object} Resultado del procesamiento
+ */
+async function handleFailedCharge(chargeId, { mercadoPagoId, statusDetail }, now = new Date()) {
+  const charge = await prisma.cobros_recurrentes.findUnique({
+    where: { id: chargeId },
+    include: { servicio_recurrente: true }
+  });
+  const recurring = charge.servicio_recurrente;
+
+  // El rechazo llega en la respuesta del cobro y otra vez por webhook: se registra una sola vez
+  if (mercadoPagoId && charge.mercado_pago_id === mercadoPagoId && ['rechazado', 'fallido'].includes(charge.estado)) {
+    return { success: true, status: 'rejected', chargeId, duplicate: true };
+  }
+
+  // Un rechazo tardío de un cobro ya cancelado no cuenta para pausar la programación
+  if (charge.estado === 'cancelado') {
+    return { success: true, status: 'rejected', chargeId, ignored: true };
+  }
+
+  const attempts = charge.intentos + 1;
+  const failures = recurring.cobros_fallidos + 1;
+  const pause = failures >= MAX_FAILED_CHARGES;
+  const nextAttempt = pause
+    ? null
+    : addDays(now, RETRY_DELAYS_DAYS[Math.min(attempts, RETRY_DELAYS_DAYS.length) - 1]);
+
+  await prisma.$transaction(async (tx) => {
+    await tx.cobros_recurrentes.update({
+      where: { id: chargeId },
+      data: {
+        estado: pause ? 'fallido' : 'rechazado',
+        intentos: attempts,
+        proximo_intento: nextAttempt,
+        mercado_pago_id: mercadoPagoId,
+        ultimo_error: statusDetail || 'rejected'
+      }
+    });
+
+    await tx.servicios_recurrrentes.update({
+      where: { id: recurring.id },
+      data: {
+        cobros_fallidos: failures,
+        ...(pause && {
+          pausado_en: now,
+          motivo_pausa: `Cobro automático rechazado ${failures} veces seguidas`
+        })
+      }
+    });
+  });
+
+  if (pause) {
+    await notify(
+      recurring.cliente_id,
+      'servicio_recurrente_pausado',
+      `Pausamos "${recurring.descripcion}" porque no pudimos cobrar ${failures} veces. Actualiza tu tarjeta para reanudarlo.`,
+      { recurringId: recurring.id, cobro_id: chargeId, reason: statusDetail }
+    );
+    await notify(
+      recurring.profesional_id,
+      'servicio_recurrente_pausado',
+      `El servicio recurrente "${recurring.descripcion}" quedó pausado porque no se pudo cobrar al cliente.`,
+      { recurringId: recurring.id }
+    );
+  } else {
+    await notify(
+      recurring.cliente_id,
+      'servicio_recurrente_cobro_fallido',
+      `No pudimos cobrar "${recurring.descripcion}" ($${charge.monto}). Lo reintentaremos el ${nextAttempt.toLocaleDateString('es-AR')}; ` +
+        `si vuelve a fallar ${MAX_FAILED_CHARGES - failures} ${MAX_FAILED_CHARGES - failures === 1 ? 'vez' : 'veces'} se pausará el servicio.`,
+      { recurringId: recurring.id, cobro_id: chargeId, reason: statusDetail, proximo_intento: nextAttempt }
+    );
+  }
+
+  await logTransaction({
+    tipo_transaccion: 'recurring_charge_rejected',
+    entidad_tipo: 'cobros_recurrentes',
+    entidad_id: chargeId,
+    usuario_id: recurring.cliente_id,
+    monto: charge.monto,
+    detalles: { servicioRecurrenteId: recurring.id, mercadoPagoId, intentos: attempts, pausada: pause },
+    exito: false,
+    error_mensaje: statusDetail || 'rejected'
+  });
+
+  return { success: true, status: 'rejected', chargeId, paused: pause };
+}
+
+/**
+ * Procesa el resultado de un cobro recurrente (respuesta del cobro o notificación de Mercado Pago)
+ * @param {string} chargeId - ID del cobro (de external_reference)
+ * @param {Object} paymentData - { mercadoPagoId, status, statusDetail }
+ * @param {Date} now - Fecha de referencia
+ * @returns {Object} Resultado del procesamiento
+ */
+async function processRecurringChargeWebhook(chargeId, { mercadoPagoId, status, statusDetail }, now = new Date()) {
+  const charge = await prisma.cobros_recurrentes.findUnique({
+    where: { id: chargeId },
+    include: { servicio_recurrente: true }
+  });
+
+  if (!charge) {
+    throw new Error('Cobro recurrente no encontrado');
+  }
+
+  // Mercado Pago reintenta las notificaciones: un cobro aprobado no se reprocesa
+  if (['aprobado', 'reembolsado'].includes(charge.estado)) {
+    return { success: true, status, chargeId, duplicate: true };
+  }
+
+  if (status === 'approved') {
+    const { capturePayment } = require('./mercadoPagoService');
+
+    await prisma.$transaction(async (tx) => {
+      await tx.cobros_recurrentes.update({
+        where: { id: chargeId },
+        data: {
+          estado: 'aprobado',
+          mercado_pago_id: mercadoPagoId,
+          proximo_intento: null,
+          ultimo_error: null,
+          cobrado_en: now
+        }
+      });
+
+      await tx.servicios_recurrrentes.update({
+        where: { id: charge.servicio_recurrente_id },
+        data: { cobros_fallidos: 0 }
+      });
+    });
+
+    // El pago del servicio queda cobrado y en custodia como cualquier pago de Mercado Pago
+    const payment = await prisma.pagos.findUnique({ where: { id: charge.pago_id } });
+    await capturePayment(payment, { mercadoPagoId });
+
+    if (charge.estado === 'cancelado') {
+      // Cobro aprobado después de cancelarse el servicio: queda en custodia y requiere reembolso manual
+      logger.warn('Recurring charge approved after cancellation', {
+        service: 'recurring_billing',
+        chargeId,
+        paymentId: payment.id
+      });
+    }
+
+    await logTransaction({
+      tipo_transaccion: 'recurring_charge_approved',
+      entidad_tipo: 'cobros_recurrentes',
+      entidad_id: chargeId,
+      usuario_id: charge.servicio_recurrente.cliente_id,
+      monto: charge.monto,
+      detalles: {
+        servicioRecurrenteId: charge.servicio_recurrente_id,
+        pagoId: charge.pago_id,
+        mercadoPagoId,
+        montoLista: charge.monto_lista,
+        descuentoRecurrencia: charge.descuento_porcentaje
+      }
+    });
+
+    return { success: true, status, chargeId };
+  }
+
+  if (['rejected', 'cancelled'].includes(status)) {
+    return handleFailedCharge(chargeId, { mercadoPagoId, statusDetail }, now);
+  }
+
+  logger.info('Recurring charge status not handled', {
+    service: 'recurring_billing',
+    chargeId,
+    status
+  });
+
+  return { success: true, status, chargeId };
+}
+
+/**
+ * Cobra los servicios recurrentes próximos y reintenta los rechazados cuyo reintento venció
+ * @param {Date} now - Fecha de referencia
+ * @returns {Object} { cobrosGenerados, aprobados, rechazados, pausadas }
+ */
+async function processRecurringCharges(now = new Date()) {
+  const summary = { cobrosGenerados: 0, aprobados: 0, rechazados: 0, pausadas: 0 };
+
+  summary.cobrosGenerados = await createUpcomingCharges(now);
+
+  const dueCharges = await prisma.cobros_recurrentes.findMany({
+    where: {
+      estado: { in: ['pendiente', 'rechazado'] },
+      proximo_intento: { lte: now },
+      servicio_recurrente: {
+        activo: true,
+        cobro_automatico: true,
+        pausado_en: null
+      }
+    },
+    include: {
+      servicio: true,
+      servicio_recurrente: {
+        include: {
+          metodo_pago: true,
+          cliente: { select: { id: true, nombre: true, email: true } }
+        }
+      }
+    },
+    orderBy: { proximo_intento: 'asc' }
+  });
+
+  const pausedPlans = new Set();
+
+  for (const charge of dueCharges) {
+    // Un rechazo anterior de la misma corrida pudo pausar la programación
+    if (pausedPlans.has(charge.servicio_recurrente_id)) continue;
+
+    try {
+      const result = await attemptCharge(charge, now);
+
+      if (result.status === 'approved') summary.aprobados++;
+      if (result.status === 'rejected') summary.rechazados++;
+      if (result.paused) {
+        pausedPlans.add(charge.servicio_recurrente_id);
+        summary.pausadas++;
+      }
+    } catch (error) {
+      logger.error('Error processing recurring charge', {
+        service: 'recurring_billing',
+        chargeId: charge.id,
+        error: error.message
+      });
+    }
+  }
+
+  if (Object.values(summary).some(count => count > 0)) {
+    logger.info('Recurring charges processed', {
+      service: 'recurring_billing',
+      ...summary
+    });
+  }
+
+  return summary;
+}
+
+/**
+ * Cierra los cobros de los servicios cancelados de una programación
+ * Los cobros sin aprobar se cancelan; los aprobados (fondos en custodia) se reembolsan al cliente
+ * @param {string} recurringId - ID de la programación
+ * @returns {Object} { cancelados, reembolsados }
+ */
+async function cancelRecurringCharges(recurringId) {
+  const { processPartialRefund } = require('./mercadoPagoService');
+  const summary = { cancelados: 0, reembolsados: 0 };
+
+  const charges = await prisma.cobros_recurrentes.findMany({
+    where: {
+      servicio_recurrente_id: recurringId,
+      estado: { in: ['pendiente', 'rechazado', 'fallido', 'aprobado'] },
+      servicio: { estado: 'CANCELADO' }
+    },
+    include: { pago: true }
+  });
+
+  for (const charge of charges) {
+    try {
+      if (charge.estado === 'aprobado') {
+        if (charge.pago && charge.pago.estado === 'aprobado') {
+          await processPartialRefund(charge.pago.id, charge.pago.monto_total - (charge.pago.monto_reembolsado || 0), {
+            motivo: 'Servicio recurrente cancelado'
+          });
+          await prisma.cobros_recurrentes.update({
+            where: { id: charge.id },
+            data: { estado: 'reembolsado' }
+          });
+          summary.reembolsados++;
+        }
+        continue;
+      }
+
+      await prisma.cobros_recurrentes.update({
+        where: { id: charge.id },
+        data: { estado: 'cancelado', proximo_intento: null }
+      });
+
+      if (charge.pago && charge.pago.estado === 'pendiente') {
+        await prisma.pagos.update({
+          where: { id: charge.pago.id },
+          data: { estado: 'cancelado' }
+        });
+      }
+      summary.cancelados++;
+    } catch (error) {
+      logger.error('Error cancelling recurring charge', {
+        service: 'recurring_billing',
+        chargeId: charge.id,
+        error: error.message
+      });
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Inicia el proceso periódico de cobros automáticos y reintentos
+ */
+function startRecurringBillingScheduler() {
+  const run = () => processRecurringCharges().catch(error => {
+    logger.error('Recurring billing scheduler error', {
+      service: 'recurring_billing',
+      error: error.message
+    });
+  });
+
+  setTimeout(run, 60000); // Esperar 1 minuto para iniciar
+  setInterval(run, BILLING_CHECK_INTERVAL);
+}
+
+module.exports = {
+  RECURRING_REFERENCE_PREFIX,
+  CHARGE_DAYS_BEFORE,
+  MAX_FAILED_CHARGES,
+  RETRY_DELAYS_DAYS,
+  calculateChargeAmount,
+  resolvePaymentMethod,
+  listPaymentMethods,
+  authorizeRecurringBilling,
+  processRecurringCharges,
+  processRecurringChargeWebhook,
+  cancelRecurringCharges,
+  startRecurringBillingScheduler
+};
@@ -8,6 +8,8 @@ const { PrismaClient } = require('@prisma/client');
 const { createNotification, NOTIFICATION_TYPES, processScheduledNotifications } = require('./notificationService');
 const { sendPushNotification } = require('./pushNotificationService');
 const { autoReleaseFunds } = require('./paymentsService');
+const { autoReleaseMilestones } = require('./milestoneService');
+const { cancelRecurringCharges } = require('./recurringBillingService');
 
 const prisma = new PrismaClient();
 
@@ -22,6 +24,7 @@ async function generateRecurringServices() {
     const activeRecurringServices = await prisma.servicios_recurrrentes.findMany({
       where: {
         activo: true,
+        pausado_en: null, // Pausada por cobros automáticos rechazados (recurringBillingService)
         OR: [
           { fecha_fin: null }, // Sin fecha fin
           { fecha_fin: { gte: new Date() } } // Fecha fin futura
@@ -246,7 +249,10 @@ async function createRecurringService(data) {
         descuento_recurrencia: data.descuento_recurrencia || 0,
         fecha_inicio: new Date(data.fecha_inicio),
         fecha_fin: data.fecha_fin ? new Date(data.fecha_fin) : null,
-        activo: true
+        activo: true,
+        // Tarjeta autorizada por el cliente: cada servicio generado se cobra automáticamente
+        cobro_automatico: Boolean(data.metodo_pago_id),
+        metodo_pago_id: data.metodo_pago_id || null
       }
     });
 
@@ -300,6 +306,9 @@ async function cancelRecurringService(recurringId, userId) {
       }
     });
 
+    // Cancelar los cobros automáticos de esos servicios (y reembolsar los ya cobrados)
+    await cancelRecurringCharges(recurringId);
+
     // Notificar a ambas partes
     await notifyRecurringServiceCancelled(recurring, userId);
 
@@ -381,7 +390,14 @@ async function processAutomaticFundReleases() {
       console.log(`✅ Procesadas ${result.processed} liberaciones automáticas de fondos`);
     }
 
-    return result;
+    // Hitos en revisión cuyo plazo de aprobación venció
+    const milestones = await autoReleaseMilestones();
+
+    if (milestones.processed > 0) {
+      console.log(`✅ Liberados ${milestones.processed} hitos de pago automáticamente`);
+    }
+
+    return { ...result, milestones };
   } catch (error) {
     console.error('Error en liberación automática de fondos:', error);
     throw error;
@@ -0,0 +1,626 @@
+/**
+ * Servicio de búsquedas guardadas con alertas de nuevas coincidencias
+ * El cliente guarda una búsqueda (texto, filtros, ubicación y radio) y recibe un aviso cuando:
+ * - un profesional recién verificado coincide con ella (motivo "nuevo_verificado")
+ * - un profesional que coincide baja su tarifa por debajo del precio máximo guardado (motivo "baja_tarifa")
+ *
+ * Las coincidencias se registran al ocurrir el evento (verificationService, profileController) usando el
+ * mismo motor que la búsqueda (searchService.buildSearchConditions) y quedan pendientes. El envío agrupa
+ * las pendientes de cada búsqueda según frecuencia_alertas; si notificationService omite el aviso por el
+ * horario silencioso del cliente, quedan pendientes para la próxima pasada.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const logger = require('./logger');
+const searchService = require('./searchService');
+
+const prisma = new PrismaClient();
+
+// Intervalo mínimo entre avisos de una misma búsqueda según su frecuencia
+const ALERT_FREQUENCIES = {
+  inmediata: 0,
+  diaria: 24 * 60 * 60 * 1000,
+  semanal: 7 * 24 * 60 * 60 * 1000
+};
+
+// Cada pasada también reintenta los avisos diferidos por el horario silencioso
+const ALERT_CHECK_INTERVAL = 15 * 60 * 1000; // 15 minutos
+
+const MAX_SAVED_SEARCHES_PER_CLIENT = parseInt(process.env.MAX_SAVED_SEARCHES_PER_CLIENT || '20');
+
+const RATE_TYPES = ['hora', 'servicio', 'convenio'];
+
+const NOTIFICATION_TYPE = 'busqueda_guardada';
+
+/**
+ * Envía una notificación sin interrumpir el flujo si falla
+ * @param {string} userId - Destinatario
+ * @param {string} type - Tipo de notificación
+ * @param {string} message - Mensaje
+ * @param {Object} metadata - Datos adicionales
+ * @returns {Promise<Object|null>} Resultado de notificationService, o null si falló
+ */
+async function notify(userId, type, message, metadata) {
+  try {
+    const { createNotification } = require('./notificationService');
+    return await createNotification(userId, type, message, metadata, 'LOW');
+  } catch (error) {
+    logger.warn('Saved search notification failed', {
+      service: 'saved_search',
+      userId,
+      type,
+      error: error.message
+    });
+    return null;
+  }
+}
+
+/**
+ * Lee un número opcional de los filtros
+ * @param {*} value - Valor recibido
+ * @param {string} field - Nombre del filtro (para el mensaje de error)
+ * @returns {number|null} Número o null si no se indicó
+ */
+function parseOptionalNumber(value, field) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const number = parseFloat(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`Filtro inválido: ${field}`);
+  }
+  return number;
+}
+
+/**
+ * Normaliza los filtros de búsqueda (mismos parámetros que GET /api/search) a columnas de busquedas_guardadas
+ * @param {Object} filters - { q, specialty, city, district, category, rateType, minPrice, maxPrice, minRating, verification, lat, lng, radius }
+ * @returns {Object} Columnas de la búsqueda guardada
+ */
+function buildSearchData(filters = {}) {
+  const lat = filters.lat !== undefined && filters.lat !== '' ? parseFloat(filters.lat) : null;
+  const lng = filters.lng !== undefined && filters.lng !== '' ? parseFloat(filters.lng) : null;
+  if ((lat !== null && (!Number.isFinite(lat) || Math.abs(lat) > 90)) ||
+      (lng !== null && (!Number.isFinite(lng) || Math.abs(lng) > 180))) {
+    throw new Error('Filtro inválido: ubicación');
+  }
+
+  const data = {
+    termino: filters.q ? String(filters.q).trim() || null : null,
+    especialidad: filters.specialty || null,
+    zona: filters.city || filters.district || null,
+    categoria_id: filters.category || null,
+    tipo_tarifa: filters.rateType || null,
+    precio_min: parseOptionalNumber(filters.minPrice, 'minPrice'),
+    precio_max: parseOptionalNumber(filters.maxPrice, 'maxPrice'),
+    calificacion_min: parseOptionalNumber(filters.minRating, 'minRating'),
+    solo_verificados: filters.verification === 'verificado',
+    latitud: lat,
+    longitud: lng,
+    radio_km: parseOptionalNumber(filters.radius, 'radius')
+  };
+
+  if (data.tipo_tarifa && !RATE_TYPES.includes(data.tipo_tarifa)) {
+    throw new Error('Filtro inválido: rateType');
+  }
+
+  if (data.precio_min !== null && data.precio_max !== null && data.precio_min > data.precio_max) {
+    throw new Error('Filtro inválido: minPrice no puede superar a maxPrice');
+  }
+
+  if (data.radio_km !== null && (data.latitud === null || data.longitud === null)) {
+    throw new Error('Debe indicar la ubicación (lat y lng) para guardar una búsqueda con radio');
+  }
+
+  return data;
+}
+
+/**
+ * Filtros de búsqueda de una búsqueda guardada, con los mismos nombres que GET /api/search
+ * Permite al frontend volver a ejecutarla tal cual
+ * @param {Object} search - Búsqueda guardada
+ * @returns {Object} Filtros (solo los definidos)
+ */
+function toSearchFilters(search) {
+  const filters = {
+    q: search.termino,
+    specialty: search.especialidad,
+    city: search.zona,
+    category: search.categoria_id,
+    rateType: search.tipo_tarifa,
+    minPrice: search.precio_min,
+    maxPrice: search.precio_max,
+    minRating: search.calificacion_min,
+    verification: search.solo_verificados ? 'verificado' : null,
+    lat: search.latitud,
+    lng: search.longitud,
+    radius: search.radio_km
+  };
+
+  return Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== null && value !== undefined));
+}
+
+/**
+ * Criterios del motor de búsqueda para una búsqueda guardada (ver searchService.buildSearchConditions)
+ * @param {Object} search - Búsqueda guardada
+ * @param {Array} dictionary - Diccionario de sinónimos
+ * @returns {Object} Criterios
+ */
+function buildCriteria(search, dictionary = []) {
+  const expansion = searchService.expandSearchTerms(search.termino, dictionary, { categoryId: search.categoria_id });
+
+  return {
+    textGroups: expansion.groups,
+    specialty: search.especialidad,
+    zone: search.zona,
+    rateType: search.tipo_tarifa,
+    minPrice: search.precio_min,
+    maxPrice: search.precio_max,
+    minRating: search.calificacion_min,
+    verification: search.solo_verificados ? 'verificado' : null,
+    radiusKm: search.radio_km,
+    lat: search.latitud,
+    lng: search.longitud
+  };
+}
+
+/**
+ * Verifica si un profesional coincide hoy con una búsqueda guardada
+ * @param {Object} search - Búsqueda guardada
+ * @param {string} professionalId - ID del profesional (usuario)
+ * @param {Array} dictionary - Diccionario de sinónimos
+ * @returns {Promise<boolean>} Si coincide
+ */
+async function matchesSavedSearch(search, professionalId, dictionary = []) {
+  const params = [professionalId];
+  const { conditions } = searchService.buildSearchConditions(buildCriteria(search, dictionary), params);
+
+  const rows = await prisma.$queryRawUnsafe(`
+    SELECT 1
+    FROM perfiles_profesionales p
+    WHERE p.usuario_id = $1 AND ${searchService.joinConditions(conditions)}
+    LIMIT 1
+  `, ...params);
+
+  return rows.length > 0;
+}
+
+/**
+ * Guarda una búsqueda del cliente
+ * @param {string} clientId - ID del cliente
+ * @param {Object} data - { nombre, frecuencia_alertas, filtros }
+ * @returns {Promise<Object>} Búsqueda guardada
+ */
+async function createSavedSearch(clientId, data) {
+  const nombre = data.nombre ? String(data.nombre).trim() : '';
+  if (!nombre) {
+    throw new Error('El nombre de la búsqueda es requerido');
+  }
+
+  const frecuencia = data.frecuencia_alertas || 'diaria';
+  if (ALERT_FREQUENCIES[frecuencia] === undefined) {
+    throw new Error('Frecuencia de alertas inválida');
+  }
+
+  const count = await prisma.busquedas_guardadas.count({ where: { cliente_id: clientId } });
+  if (count >= MAX_SAVED_SEARCHES_PER_CLIENT) {
+    throw new Error(`Límite de ${MAX_SAVED_SEARCHES_PER_CLIENT} búsquedas guardadas alcanzado`);
+  }
+
+  const search = await prisma.busquedas_guardadas.create({
+    data: {
+      cliente_id: clientId,
+      nombre: nombre.slice(0, 100),
+      frecuencia_alertas: frecuencia,
+      ...buildSearchData(data.filtros)
+    }
+  });
+
+  logger.info('Saved search created', {
+    service: 'saved_search',
+    clientId,
+    searchId: search.id,
+    frequency: frecuencia
+  });
+
+  return search;
+}
+
+/**
+ * Lista las búsquedas guardadas del cliente con sus filtros y coincidencias pendientes
+ * @param {string} clientId - ID del cliente
+ * @returns {Promise<Array>} Búsquedas guardadas
+ */
+async function listSavedSearches(clientId) {
+  const searches = await prisma.busquedas_guardadas.findMany({
+    where: { cliente_id: clientId },
+    include: {
+      _count: {
+        select: { coincidencias: { where: { notificado_en: null } } }
+      }
+    },
+    orderBy: { creado_en: 'desc' }
+  });
+
+  return searches.map(({ _count, ...search }) => ({
+    ...search,
+    filtros: toSearchFilters(search),
+    coincidencias_pendientes: _count.coincidencias
+  }));
+}
+
+/**
+ * Busca una búsqueda guardada del cliente
+ * @param {string} searchId - ID de la búsqueda
+ * @param {string} clientId - ID del cliente
+ * @returns {Promise<Object>} Búsqueda guardada
+ */
+async function getOwnedSearch(searchId, clientId) {
+  const search = await prisma.busquedas_guardadas.findUnique({ where: { id: searchId } });
+  if (!search) {
+    throw new Error('Búsqueda guardada no encontrada');
+  }
+  if (search.cliente_id !== clientId) {
+    throw new Error('No autorizado para modificar esta búsqueda guardada');
+  }
+  return search;
+}
+
+/**
+ * Modifica el nombre, los filtros o las alertas de una búsqueda guardada
+ * @param {string} searchId - ID de la búsqueda
+ * @param {string} clientId - ID del cliente
+ * @param {Object} data - { nombre, frecuencia_alertas, alertas_activas, filtros }
+ * @returns {Promise<Object>} Búsqueda actualizada
+ */
+async function updateSavedSearch(searchId, clientId, data) {
+  await getOwnedSearch(searchId, clientId);
+
+  const update = {};
+
+  if (data.nombre !== undefined) {
+    const nombre = String(data.nombre).trim();
+    if (!nombre) {
+      throw new Error('El nombre de la búsqueda es requerido');
+    }
+    update.nombre = nombre.slice(0, 100);
+  }
+
+  if (data.frecuencia_alertas !== undefined) {
+    if (ALERT_FREQUENCIES[data.frecuencia_alertas] === undefined) {
+      throw new Error('Frecuencia de alertas inválida');
+    }
+    update.frecuencia_alertas = data.frecuencia_alertas;
+  }
+
+  if (data.alertas_activas !== undefined) {
+    update.alertas_activas = data.alertas_activas === true || data.alertas_activas === 'true';
+  }
+
+  if (data.filtros !== undefined) {
+    Object.assign(update, buildSearchData(data.filtros));
+  }
+
+  const updated = await prisma.busquedas_guardadas.update({
+    where: { id: searchId },
+    data: update
+  });
+
+  // Las coincidencias pendientes se calcularon con los filtros anteriores
+  if (data.filtros !== undefined) {
+    await prisma.coincidencias_busqueda.deleteMany({
+      where: { busqueda_id: searchId, notificado_en: null }
+    });
+  }
+
+  return updated;
+}
+
+/**
+ * Elimina una búsqueda guardada (y sus coincidencias)
+ * @param {string} searchId - ID de la búsqueda
+ * @param {string} clientId - ID del cliente
+ */
+async function deleteSavedSearch(searchId, clientId) {
+  await getOwnedSearch(searchId, clientId);
+  await prisma.busquedas_guardadas.delete({ where: { id: searchId } });
+}
+
+/**
+ * Registra una coincidencia pendiente (una por búsqueda, profesional y motivo)
+ * Una nueva baja de tarifa vuelve a dejar pendiente el aviso con la tarifa actual
+ * @param {Object} search - Búsqueda guardada
+ * @param {string} professionalId - ID del profesional
+ * @param {string} reason - nuevo_verificado | baja_tarifa
+ * @param {number|null} rate - Tarifa nueva (baja_tarifa)
+ * @returns {Promise<Object>} Coincidencia
+ */
+async function recordMatch(search, professionalId, reason, rate = null) {
+  return prisma.coincidencias_busqueda.upsert({
+    where: {
+      busqueda_id_profesional_id_motivo: {
+        busqueda_id: search.id,
+        profesional_id: professionalId,
+        motivo: reason
+      }
+    },
+    create: {
+      busqueda_id: search.id,
+      profesional_id: professionalId,
+      motivo: reason,
+      tarifa: rate
+    },
+    update: reason === 'baja_tarifa'
+      ? { tarifa: rate, notificado_en: null }
+      : {}
+  });
+}
+
+/**
+ * Registra las coincidencias de un conjunto de búsquedas candidatas y avisa las de frecuencia inmediata
+ * @param {Array} searches - Búsquedas candidatas
+ * @param {string} professionalId - ID del profesional
+ * @param {string} reason - Motivo de la coincidencia
+ * @param {number|null} rate - Tarifa nueva
+ * @returns {Promise<number>} Cantidad de búsquedas que coincidieron
+ */
+async function recordMatches(searches, professionalId, reason, rate = null) {
+  if (searches.length === 0) {
+    return 0;
+  }
+
+  const dictionary = searches.some(search => search.termino)
+    ? await searchService.getSynonymDictionary()
+    : [];
+
+  let matched = 0;
+  for (const search of searches) {
+    // El profesional no recibe alertas de sus propias búsquedas
+    if (search.cliente_id === professionalId) {
+      continue;
+    }
+
+    if (!await matchesSavedSearch(search, professionalId, dictionary)) {
+      continue;
+    }
+
+    await recordMatch(search, professionalId, reason, rate);
+    matched++;
+
+    if (search.frecuencia_alertas === 'inmediata') {
+      await deliverSearchAlert(search);
+    }
+  }
+
+  return matched;
+}
+
+/**
+ * Registra al profesional recién verificado en las búsquedas guardadas con las que coincide
+ * No interrumpe la verificación si falla
+ * @param {string} professionalId - ID del profesional (usuario)
+ * @returns {Promise<number>} Cantidad de búsquedas que coincidieron
+ */
+async function recordNewlyVerified(professionalId) {
+  try {
+    const searches = await prisma.busquedas_guardadas.findMany({
+      where: { alertas_activas: true }
+    });
+
+    return await recordMatches(searches, professionalId, 'nuevo_verificado');
+  } catch (error) {
+    logger.error('Saved search verification match error', {
+      service: 'saved_search',
+      professionalId,
+      error: error.message
+    });
+    return 0;
+  }
+}
+
+/**
+ * Registra una baja de tarifa que deja al profesional por debajo del precio máximo de búsquedas guardadas
+ * Solo cuentan las búsquedas cuyo precio máximo quedó entre la tarifa anterior y la nueva
+ * No interrumpe la actualización del perfil si falla
+ * @param {string} professionalId - ID del profesional (usuario)
+ * @param {Object} previous - { tarifa_hora, tarifa_servicio } antes del cambio
+ * @param {Object} current - { tarifa_hora, tarifa_servicio } después del cambio
+ * @returns {Promise<number>} Cantidad de búsquedas que coincidieron
+ */
+async function recordRateChange(professionalId, previous, current) {
+  try {
+    let matched = 0;
+
+    // La búsqueda filtra por tarifa de servicio solo si se guardó con ese tipo (ver searchService.getPriceColumn)
+    const rateFilters = [
+      { column: 'tarifa_hora', tipoTarifa: { OR: [{ tipo_tarifa: null }, { tipo_tarifa: 'hora' }] } },
+      { column: 'tarifa_servicio', tipoTarifa: { tipo_tarifa: 'servicio' } }
+    ];
+
+    for (const { column, tipoTarifa } of rateFilters) {
+      const before = previous[column];
+      const after = current[column];
+      if (after === null || after === undefined || before === null || before === undefined || after >= before) {
+        continue;
+      }
+
+      const searches = await prisma.busquedas_guardadas.findMany({
+        where: {
+          alertas_activas: true,
+          precio_max: { gte: after, lt: before },
+          ...tipoTarifa
+        }
+      });
+
+      matched += await recordMatches(searches, professionalId, 'baja_tarifa', after);
+    }
+
+    return matched;
+  } catch (error) {
+    logger.error('Saved search rate change match error', {
+      service: 'saved_search',
+      professionalId,
+      error: error.message
+    });
+    return 0;
+  }
+}
+
+/**
+ * Indica si corresponde avisar una búsqueda según su frecuencia y el último aviso
+ * @param {Object} search - Búsqueda guardada
+ * @param {Date} now - Fecha de referencia
+ * @returns {boolean} Si está en fecha
+ */
+function isAlertDue(search, now = new Date()) {
+  if (!search.ultima_alerta_en) {
+    return true;
+  }
+
+  const interval = ALERT_FREQUENCIES[search.frecuencia_alertas] ?? ALERT_FREQUENCIES.diaria;
+  return now.getTime() - new Date(search.ultima_alerta_en).getTime() >= interval;
+}
+
+/**
+ * Arma el mensaje de aviso de una búsqueda con sus coincidencias pendientes
+ * @param {Object} search - Búsqueda guardada
+ * @param {Array} matches - Coincidencias (con profesional.nombre)
+ * @returns {string} Mensaje
+ */
+function buildAlertMessage(search, matches) {
+  if (matches.length > 1) {
+    return `${matches.length} profesionales nuevos coinciden con tu búsqueda "${search.nombre}"`;
+  }
+
+  const [match] = matches;
+  const name = match.profesional?.nombre || 'Un profesional';
+  if (match.motivo === 'baja_tarifa') {
+    return `${name} bajó su tarifa a $${match.tarifa} y coincide con tu búsqueda "${search.nombre}"`;
+  }
+  return `${name} fue verificado y coincide con tu búsqueda "${search.nombre}"`;
+}
+
+/**
+ * Envía un único aviso con las coincidencias pendientes de una búsqueda
+ * Si el aviso se omite por el horario silencioso del cliente (o falla) quedan pendientes para la próxima pasada
+ * @param {Object} search - Búsqueda guardada
+ * @param {Date} now - Fecha de referencia
+ * @returns {Promise<Object>} { sent, matches, reason }
+ */
+async function deliverSearchAlert(search, now = new Date()) {
+  const matches = await prisma.coincidencias_busqueda.findMany({
+    where: { busqueda_id: search.id, notificado_en: null },
+    include: { profesional: { select: { nombre: true } } },
+    orderBy: { creado_en: 'asc' }
+  });
+
+  if (matches.length === 0) {
+    return { sent: false, matches: 0, reason: 'no_matches' };
+  }
+
+  const result = await notify(search.cliente_id, NOTIFICATION_TYPE, buildAlertMessage(search, matches), {
+    busquedaId: search.id,
+    filtros: toSearchFilters(search),
+    coincidencias: matches.map(match => ({
+      profesionalId: match.profesional_id,
+      motivo: match.motivo,
+      tarifa: match.tarifa
+    }))
+  });
+
+  if (!result || (result.skipped && result.reason === 'quiet_hours')) {
+    return { sent: false, matches: matches.length, reason: result ? result.reason : 'notification_failed' };
+  }
+
+  // Notificaciones desactivadas u otros descartes definitivos también cierran las coincidencias
+  await prisma.$transaction([
+    prisma.coincidencias_busqueda.updateMany({
+      where: { id: { in: matches.map(match => match.id) } },
+      data: { notificado_en: now }
+    }),
+    prisma.busquedas_guardadas.update({
+      where: { id: search.id },
+      data: { ultima_alerta_en: now }
+    })
+  ]);
+
+  return { sent: !result.skipped, matches: matches.length, reason: result.skipped ? result.reason : null };
+}
+
+/**
+ * Envía los avisos de las búsquedas con coincidencias pendientes que están en fecha según su frecuencia
+ * @param {Date} now - Fecha de referencia
+ * @returns {Promise<Object>} { processed, sent, deferred }
+ */
+async function processSavedSearchAlerts(now = new Date()) {
+  const searches = await prisma.busquedas_guardadas.findMany({
+    where: {
+      alertas_activas: true,
+      coincidencias: { some: { notificado_en: null } }
+    }
+  });
+
+  const summary = { processed: 0, sent: 0, deferred: 0 };
+
+  for (const search of searches.filter(item => isAlertDue(item, now))) {
+    summary.processed++;
+    try {
+      const result = await deliverSearchAlert(search, now);
+      if (result.sent) {
+        summary.sent++;
+      } else if (result.matches > 0 && (result.reason === 'quiet_hours' || result.reason === 'notification_failed')) {
+        summary.deferred++;
+      }
+    } catch (error) {
+      logger.error('Saved search alert error', {
+        service: 'saved_search',
+        searchId: search.id,
+        error: error.message
+      });
+    }
+  }
+
+  if (summary.processed > 0) {
+    logger.info('Saved search alerts processed', {
+      service: 'saved_search',
+      ...summary
+    });
+  }
+
+  return summary;
+}
+
+/**
+ * Programa el envío periódico de avisos de búsquedas guardadas
+ */
+function startSavedSearchAlertScheduler() {
+  const run = () => processSavedSearchAlerts().catch(error => {
+    logger.error('Saved search alert scheduler error', {
+      service: 'saved_search',
+      error: error.message
+    });
+  });
+
+  setTimeout(run, 60000); // Esperar 1 minuto para iniciar
+  setInterval(run, ALERT_CHECK_INTERVAL);
+}
+
+module.exports = {
+  ALERT_FREQUENCIES,
+  MAX_SAVED_SEARCHES_PER_CLIENT,
+  buildSearchData,
+  toSearchFilters,
+  buildCriteria,
+  matchesSavedSearch,
+  createSavedSearch,
+  listSavedSearches,
+  updateSavedSearch,
+  deleteSavedSearch,
+  recordNewlyVerified,
+  recordRateChange,
+  isAlertDue,
+  deliverSearchAlert,
+  processSavedSearchAlerts,
+  startSavedSearchAlertScheduler
+};
@@ -0,0 +1,764 @@
+/**
+ * Servicio del motor de búsqueda de profesionales
+ * Implementa REQ-11 (Búsqueda por palabra clave) y REQ-14 (Ordenamiento)
+ *
+ * - Coincidencia tolerante a errores de tipeo por trigramas (pg_trgm, operador <%) sobre
+ *   perfiles_profesionales.search_vector, el documento normalizado que mantiene un trigger.
+ * - Sin acentos: consulta y documento se comparan en minúsculas y sin diacríticos (unaccent).
+ * - Diccionario de sinónimos por categoría administrado desde el panel (sinonimos_busqueda):
+ *   cada palabra de la consulta se expande con su grupo de términos equivalentes.
+ * - Ranking combinado de relevancia de texto, calificación y cercanía.
+ * - Facetas con conteos: cada faceta se cuenta bajo todos los filtros activos salvo el propio,
+ *   para que las opciones muestren cuántos resultados quedarían al elegirlas.
+ * - Disponibilidad real: turnos libres de availability_slots (descontando blocked_slots) dentro de
+ *   una ventana de fecha y hora, y el próximo turno libre de cada profesional.
+ * - Cobertura por áreas de servicio: con ubicación y radio, el punto del cliente debe caer dentro del
+ *   área dibujada por el profesional; sin área se usa el radio por Haversine sobre su ubicación.
+ * El mismo motor resuelve la búsqueda principal, sus facetas y el autocompletado.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const logger = require('./logger');
+const cacheService = require('./cacheService');
+
+const prisma = new PrismaClient();
+
+const SYNONYMS_CACHE_KEY = 'search:synonyms';
+const SYNONYMS_CACHE_TTL = 600; // 10 minutos
+
+// Las palabras más cortas (artículos, preposiciones) no filtran resultados
+const MIN_TOKEN_LENGTH = 3;
+// Tope de términos por palabra tras la expansión con sinónimos
+const MAX_TERMS_PER_TOKEN = 8;
+
+/**
+ * Lee un peso del ranking desde el entorno
+ * @param {string} name - Variable de entorno
+ * @param {number} fallback - Valor por defecto
+ * @returns {number} Peso
+ */
+function readWeight(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// Pesos del ranking combinado: relevancia de texto (0-1), calificación (0-5 normalizada) y cercanía (0-1)
+const RANKING_WEIGHTS = {
+  texto: readWeight('SEARCH_WEIGHT_TEXT', 0.6),
+  calificacion: readWeight('SEARCH_WEIGHT_RATING', 0.25),
+  distancia: readWeight('SEARCH_WEIGHT_DISTANCE', 0.15)
+};
+
+// Distancia en km a la que la cercanía aporta la mitad de su peso
+const DISTANCE_HALF_SCORE_KM = 10;
+
+// Tipos de tarifa válidos (perfiles_profesionales.tipo_tarifa)
+const RATE_TYPES = ['hora', 'servicio', 'convenio'];
+
+// Rangos de la faceta de precio (tarifa por hora, o por servicio si se filtra ese tipo de tarifa)
+const PRICE_RANGES = [
+  { value: '0-5000', min: 0, max: 5000 },
+  { value: '5000-10000', min: 5000, max: 10000 },
+  { value: '10000-20000', min: 10000, max: 20000 },
+  { value: '20000+', min: 20000, max: null }
+];
+
+// Bandas de calificación acumulativas ("4 o más")
+const RATING_BANDS = [4.5, 4, 3];
+
+// Ventana con turnos libres para considerar a un profesional disponible para urgencias (ver urgentService)
+const URGENT_WINDOW_HOURS = 24;
+
+// Máximo de opciones por faceta de valores (especialidad, zona, ...)
+const FACET_LIMIT = 20;
+
+// Columnas sugeridas por el autocompletado (expresiones SQL sobre perfiles_profesionales p)
+const SUGGESTION_FIELDS = {
+  specialties: 'p.especialidad',
+  cities: "trim(split_part(p.zona_cobertura, ',', 1))",
+  districts: 'p.zona_cobertura'
+};
+
+/**
+ * Normaliza un texto para búsqueda: minúsculas, sin acentos ni signos
+ * Equivale a lower(immutable_unaccent(...)) de la base para las letras del español
+ * @param {string} text - Texto original
+ * @returns {string} Texto normalizado ('' si no hay contenido)
+ */
+function normalizeSearchText(text) {
+  if (text === undefined || text === null) {
+    return '';
+  }
+
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normaliza una lista de sinónimos (array o texto separado por comas) sin duplicados
+ * @param {Array|string} value - Sinónimos recibidos
+ * @returns {Array<string>} Sinónimos normalizados
+ */
+function parseSynonymList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(list.map(normalizeSearchText).filter(Boolean))];
+}
+
+/**
+ * Obtiene el diccionario de sinónimos activo (cacheado)
+ * @returns {Promise<Array>} [{ categoria_id, termino, sinonimos }]
+ */
+async function getSynonymDictionary() {
+  const cached = await cacheService.get(SYNONYMS_CACHE_KEY);
+  if (cached) {
+    try {
+      return JSON.parse(cached);
+    } catch (error) {
+      logger.warn('Invalid cached synonym dictionary', { service: 'search', error: error.message });
+    }
+  }
+
+  const dictionary = await prisma.sinonimos_busqueda.findMany({
+    where: { activo: true },
+    select: { categoria_id: true, termino: true, sinonimos: true }
+  });
+
+  await cacheService.set(SYNONYMS_CACHE_KEY, JSON.stringify(dictionary), SYNONYMS_CACHE_TTL);
+  return dictionary;
+}
+
+/**
+ * Invalida el diccionario cacheado y las búsquedas que lo usaron
+ */
+async function invalidateSynonymDictionary() {
+  await cacheService.del(SYNONYMS_CACHE_KEY);
+  await cacheService.invalidateSearchCache();
+}
+
+/**
+ * Devuelve los términos equivalentes a uno dado según el diccionario
+ * @param {string} term - Término normalizado
+ * @param {Array} dictionary - Entradas del diccionario
+ * @returns {Array<string>} Términos equivalentes (sin incluir el propio término)
+ */
+function findEquivalents(term, dictionary) {
+  const equivalents = new Set();
+
+  dictionary.forEach(entry => {
+    const group = [entry.termino, ...(entry.sinonimos || [])];
+    if (group.includes(term)) {
+      group.forEach(word => equivalents.add(word));
+    }
+  });
+
+  equivalents.delete(term);
+  return [...equivalents];
+}
+
+/**
+ * Expande una consulta en grupos de términos: una palabra debe coincidir con alguno de los
+ * términos de su grupo (ella misma o sus sinónimos) y todas las palabras deben coincidir.
+ * Si la frase completa está en el diccionario (ej: "aire acondicionado") forma un único grupo.
+ * @param {string} query - Consulta del usuario
+ * @param {Array} dictionary - Entradas del diccionario de sinónimos
+ * @param {Object} options - { categoryId } para limitar los sinónimos a una categoría
+ * @returns {Object} { normalized, groups: [[termino, ...sinonimos]], synonyms }
+ */
+function expandSearchTerms(query, dictionary = [], options = {}) {
+  const normalized = normalizeSearchText(query);
+  if (!normalized) {
+    return { normalized, groups: [], synonyms: [] };
+  }
+
+  const entries = options.categoryId
+    ? dictionary.filter(entry => entry.categoria_id === options.categoryId)
+    : dictionary;
+
+  const phraseEquivalents = findEquivalents(normalized, entries);
+  let tokens;
+  if (phraseEquivalents.length > 0) {
+    tokens = [normalized];
+  } else {
+    tokens = normalized.split(' ').filter(token => token.length >= MIN_TOKEN_LENGTH);
+    if (tokens.length === 0) {
+      tokens = [normalized];
+    }
+  }
+
+  const synonyms = new Set();
+  const groups = [...new Set(tokens)].map(token => {
+    const equivalents = findEquivalents(token, entries).slice(0, MAX_TERMS_PER_TOKEN - 1);
+    equivalents.forEach(word => synonyms.add(word));
+    return [token, ...equivalents];
+  });
+
+  return { normalized, groups, synonyms: [...synonyms] };
+}
+
+/**
+ * Arma la condición y la relevancia SQL de coincidencia de texto sobre una columna normalizada
+ * Cada término usa un único parámetro posicional; la relevancia es el promedio por palabra
+ * del mejor word_similarity de su grupo (0 a 1).
+ * @param {Array<Array<string>>} groups - Grupos de expandSearchTerms
+ * @param {string} column - Expresión SQL normalizada (minúsculas y sin acentos)
+ * @param {number} startIndex - Primer índice de parámetro ($n) disponible
+ * @param {Object} options - { prefix } para aceptar también coincidencias por prefijo (autocompletado)
+ * @returns {Object} { condition, relevance, params, nextIndex }
+ */
+function buildTextMatch(groups, column, startIndex, options = {}) {
+  const params = [];
+  let index = startIndex;
+
+  const conditions = [];
+  const relevances = [];
+
+  groups.forEach(terms => {
+    const termConditions = [];
+    const termScores = [];
+
+    terms.forEach(term => {
+      termConditions.push(`$${index} <% ${column}`);
+      if (options.prefix) {
+        termConditions.push(`${column} LIKE $${index} || '%'`);
+      }
+      termScores.push(`word_similarity($${index}, ${column})`);
+      params.push(term);
+      index++;
+    });
+
+    conditions.push(`(${termConditions.join(' OR ')})`);
+    relevances.push(termScores.length > 1 ? `GREATEST(${termScores.join(', ')})` : termScores[0]);
+  });
+
+  if (conditions.length === 0) {
+    return { condition: 'TRUE', relevance: '0', params, nextIndex: index };
+  }
+
+  return {
+    condition: conditions.join(' AND '),
+    relevance: `((${relevances.join(' + ')}) / ${relevances.length})`,
+    params,
+    nextIndex: index
+  };
+}
+
+/**
+ * Arma la expresión SQL del ranking combinado (mayor es mejor)
+ * @param {Object} parts - { relevance, distance } expresiones SQL (distance en km, opcional)
+ * @returns {string} Expresión de puntaje
+ */
+function buildRankingExpression({ relevance = '0', distance = null }) {
+  const distanceScore = distance
+    ? `COALESCE(1 / (1 + (${distance}) / ${DISTANCE_HALF_SCORE_KM}), 0)`
+    : '0';
+
+  return `(${RANKING_WEIGHTS.texto} * ${relevance}` +
+    ` + ${RANKING_WEIGHTS.calificacion} * COALESCE(p.calificacion_promedio, 0) / 5` +
+    ` + ${RANKING_WEIGHTS.distancia} * ${distanceScore})`;
+}
+
+/**
+ * Columna de precio que corresponde al tipo de tarifa filtrado
+ * @param {string} rateType - Tipo de tarifa
+ * @returns {string} Columna SQL
+ */
+function getPriceColumn(rateType) {
+  return rateType === 'servicio' ? 'p.tarifa_servicio' : 'p.tarifa_hora';
+}
+
+/**
+ * Distancia SQL en km por Haversine entre la ubicación del perfil (p.latitud, p.longitud) y un punto
+ * (misma fórmula que utils/geospatial.calcularDistanciaHaversine)
+ * @param {string} lat - Marcador ($n) de la latitud del punto
+ * @param {string} lng - Marcador ($n) de la longitud del punto
+ * @returns {string} Expresión SQL
+ */
+function buildHaversineDistance(lat, lng) {
+  return `(6371 * 2 * asin(sqrt(
+      power(sin(radians(p.latitud - ${lat}::float8) / 2), 2) +
+      cos(radians(${lat}::float8)) * cos(radians(p.latitud)) * power(sin(radians(p.longitud - ${lng}::float8) / 2), 2)
+    )))`;
+}
+
+/**
+ * Condición SQL de cobertura de un punto: dentro del área de servicio del profesional (punto en polígono)
+ * o, si no dibujó un área, a no más del radio de su ubicación
+ * @param {string} lat - Marcador ($n) de la latitud del punto
+ * @param {string} lng - Marcador ($n) de la longitud del punto
+ * @param {string} radiusKm - Marcador ($n) del radio en km
+ * @returns {string} Condición SQL
+ */
+function buildCoverageCondition(lat, lng, radiusKm) {
+  return `(CASE
+      WHEN p.area_servicio_geom IS NOT NULL
+        THEN ST_Covers(p.area_servicio_geom, ST_SetSRID(ST_MakePoint(${lng}::float8, ${lat}::float8), 4326))
+      ELSE p.latitud IS NOT NULL AND p.longitud IS NOT NULL AND ${buildHaversineDistance(lat, lng)} <= ${radiusKm}::float8
+    END)`;
+}
+
+/**
+ * Filtro SQL de los turnos libres (alias sl) de un profesional que empiezan dentro de una ventana
+ * Un turno está libre si sigue disponible y no se superpone con un bloqueo activo (ver slotGenerationService)
+ * @param {Function} addParam - Agrega un parámetro y devuelve su marcador ($n)
+ * @param {Date} from - Inicio de la ventana
+ * @param {Date|null} to - Fin de la ventana (exclusivo); null para no acotarla
+ * @returns {string} Condición SQL sobre availability_slots sl
+ */
+function buildFreeSlotFilter(addParam, from, to = null) {
+  const filters = [
+    'sl.professional_id = p.usuario_id',
+    "sl.status = 'available'",
+    'sl.is_available = true',
+    `sl.start_time >= ${addParam(from)}`
+  ];
+
+  if (to) {
+    filters.push(`sl.start_time < ${addParam(to)}`);
+  }
+
+  filters.push(`NOT EXISTS (
+            SELECT 1 FROM blocked_slots bl
+            WHERE bl.professional_id = sl.professional_id
+              AND bl.is_active = true
+              AND bl.start_time < sl.end_time
+              AND bl.end_time > sl.start_time
+          )`);
+
+  return filters.join('\n          AND ');
+}
+
+/**
+ * Ventana de disponibilidad pedida en la búsqueda, sin turnos pasados
+ * @param {Object} criteria - Criterios de búsqueda ({ availableFrom, availableTo })
+ * @param {Date} now - Fecha de referencia
+ * @returns {Object} { from, to } (to en null si la ventana no tiene fin)
+ */
+function getAvailabilityWindow(criteria, now) {
+  const from = criteria.availableFrom && criteria.availableFrom > now ? criteria.availableFrom : now;
+  return { from, to: criteria.availableTo || null };
+}
+
+/**
+ * Condición SQL de disponibilidad para urgencias: perfil disponible con turnos libres próximos
+ * @param {Function} addParam - Agrega un parámetro y devuelve su marcador ($n)
+ * @param {Date} now - Fecha de referencia
+ * @returns {string} Condición SQL
+ */
+function buildUrgentCondition(addParam, now) {
+  const until = new Date(now.getTime() + URGENT_WINDOW_HOURS * 60 * 60 * 1000);
+
+  return `(p.esta_disponible = true AND EXISTS (
+        SELECT 1 FROM availability_slots sl
+        WHERE ${buildFreeSlotFilter(addParam, now, until)}
+      ))`;
+}
+
+/**
+ * Join lateral con el próximo turno libre de cada profesional (alias ns: id, start_time, end_time)
+ * Dentro de la ventana de disponibilidad pedida, o desde ahora si no se pidió ninguna.
+ * Usa el índice (professional_id, start_time) de availability_slots.
+ * @param {Object} criteria - Criterios de búsqueda ({ availableFrom, availableTo })
+ * @param {Array} params - Parámetros de la consulta; se agregan los del join
+ * @param {Date} now - Fecha de referencia
+ * @returns {string} Cláusula LEFT JOIN LATERAL
+ */
+function buildNextSlotJoin(criteria, params, now = new Date()) {
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const { from, to } = getAvailabilityWindow(criteria, now);
+
+  return `LEFT JOIN LATERAL (
+        SELECT sl.id, sl.start_time, sl.end_time
+        FROM availability_slots sl
+        WHERE ${buildFreeSlotFilter(addParam, from, to)}
+        ORDER BY sl.start_time ASC
+        LIMIT 1
+      ) ns ON true`;
+}
+
+/**
+ * Arma las condiciones WHERE de la búsqueda sobre perfiles_profesionales p
+ * Los filtros con faceta (specialty, zone, rate_type, price, rating, verification, urgent) pueden
+ * excluirse para contar esa faceta bajo el resto de los filtros activos.
+ * @param {Object} criteria - { textGroups, specialty, zone, rateType, minPrice, maxPrice, minRating,
+ *   verification, urgent, availableFrom, availableTo, available, radiusKm, lat, lng }
+ * @param {Array} params - Parámetros de la consulta; se agregan los de las condiciones
+ * @param {Object} options - { exclude: faceta a omitir, now }
+ * @returns {Object} { conditions: [sql], relevance: expresión de relevancia de texto }
+ */
+function buildSearchConditions(criteria, params, options = {}) {
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const applies = (facet) => options.exclude !== facet;
+
+  const conditions = [];
+  let relevance = '0';
+
+  // Texto: cada palabra (o un sinónimo) debe coincidir por trigramas
+  if (criteria.textGroups && criteria.textGroups.length > 0) {
+    const match = buildTextMatch(criteria.textGroups, 'p.search_vector', params.length + 1);
+    params.push(...match.params);
+    conditions.push(match.condition);
+    relevance = match.relevance;
+  }
+
+  if (criteria.specialty && applies('specialty')) {
+    conditions.push(`lower(immutable_unaccent(p.especialidad)) = lower(immutable_unaccent(${addParam(criteria.specialty)}))`);
+  }
+
+  if (criteria.zone && applies('zone')) {
+    conditions.push(`immutable_unaccent(p.zona_cobertura) ILIKE immutable_unaccent(${addParam(`%${criteria.zone}%`)})`);
+  }
+
+  if (criteria.rateType && RATE_TYPES.includes(criteria.rateType) && applies('rate_type')) {
+    conditions.push(`p.tipo_tarifa = ${addParam(criteria.rateType)}`);
+  }
+
+  // Precio sobre la tarifa por hora, o por servicio si se filtra ese tipo (las tarifas "a convenio" no tienen monto)
+  if (applies('price') && criteria.rateType !== 'convenio') {
+    const priceColumn = getPriceColumn(criteria.rateType);
+    if (criteria.minPrice) {
+      conditions.push(`${priceColumn} >= ${addParam(parseFloat(criteria.minPrice))}`);
+    }
+    if (criteria.maxPrice) {
+      conditions.push(`${priceColumn} <= ${addParam(parseFloat(criteria.maxPrice))}`);
+    }
+  }
+
+  if (criteria.minRating && applies('rating')) {
+    conditions.push(`COALESCE(p.calificacion_promedio, 0) >= ${addParam(parseFloat(criteria.minRating))}`);
+  }
+
+  if (criteria.verification && applies('verification')) {
+    conditions.push(`p.estado_verificacion = ${addParam(criteria.verification)}`);
+  }
+
+  if (criteria.urgent && applies('urgent')) {
+    conditions.push(buildUrgentCondition(addParam, options.now || new Date()));
+  }
+
+  // Turno libre dentro de la ventana pedida ("mañana a la mañana")
+  if (criteria.availableFrom || criteria.availableTo) {
+    const { from, to } = getAvailabilityWindow(criteria, options.now || new Date());
+    conditions.push(`EXISTS (
+        SELECT 1 FROM availability_slots sl
+        WHERE ${buildFreeSlotFilter(addParam, from, to)}
+      )`);
+  }
+
+  if (criteria.available !== undefined && criteria.available !== null) {
+    conditions.push(`p.esta_disponible = ${addParam(criteria.available)}`);
+  }
+
+  // Cobertura del punto del cliente: área de servicio dibujada (PostGIS) o, sin área, radio por Haversine
+  if (criteria.radiusKm && criteria.lat && criteria.lng) {
+    conditions.push(buildCoverageCondition(
+      addParam(parseFloat(criteria.lat)),
+      addParam(parseFloat(criteria.lng)),
+      addParam(parseFloat(criteria.radiusKm))
+    ));
+  }
+
+  return { conditions, relevance };
+}
+
+/**
+ * Une las condiciones de buildSearchConditions en una cláusula WHERE
+ * @param {Array<string>} conditions - Condiciones SQL
+ * @returns {string} Cláusula (sin la palabra WHERE)
+ */
+function joinConditions(conditions) {
+  return ['1=1', ...conditions].join(' AND ');
+}
+
+/**
+ * Cuenta una faceta de valores agrupando por una columna
+ * @param {Object} criteria - Criterios de búsqueda
+ * @param {string} facet - Faceta (se excluye su propio filtro)
+ * @param {string} column - Columna SQL agrupada
+ * @param {Date} now - Fecha de referencia
+ * @returns {Promise<Array>} [{ value, count }]
+ */
+async function countValueFacet(criteria, facet, column, now) {
+  const params = [];
+  const { conditions } = buildSearchConditions(criteria, params, { exclude: facet, now });
+
+  const rows = await prisma.$queryRawUnsafe(`
+    SELECT ${column} AS value, COUNT(*)::int AS count
+    FROM perfiles_profesionales p
+    WHERE ${joinConditions(conditions)} AND ${column} IS NOT NULL AND ${column} <> ''
+    GROUP BY ${column}
+    ORDER BY count DESC, value ASC
+    LIMIT ${FACET_LIMIT}`,
+  ...params);
+
+  return rows.map(row => ({ value: row.value, count: Number(row.count) }));
+}
+
+/**
+ * Cuenta una faceta de rangos con COUNT(*) FILTER por cada bucket
+ * @param {Object} criteria - Criterios de búsqueda
+ * @param {string} facet - Faceta (se excluye su propio filtro)
+ * @param {Array<string>} filters - Condición SQL de cada bucket (puede usar parámetros vía addParam)
+ * @param {Array} params - Parámetros ya usados por los buckets
+ * @param {Date} now - Fecha de referencia
+ * @returns {Promise<Array<number>>} Conteo de cada bucket
+ */
+async function countBucketFacet(criteria, facet, filters, params, now) {
+  const { conditions } = buildSearchConditions(criteria, params, { exclude: facet, now });
+  const selects = filters.map((filter, index) => `COUNT(*) FILTER (WHERE ${filter})::int AS b${index}`);
+
+  const rows = await prisma.$queryRawUnsafe(`
+    SELECT ${selects.join(', ')}
+    FROM perfiles_profesionales p
+    WHERE ${joinConditions(conditions)}`,
+  ...params);
+
+  const row = rows[0] || {};
+  return filters.map((filter, index) => Number(row[`b${index}`] || 0));
+}
+
+/**
+ * Calcula las facetas de la búsqueda con sus conteos
+ * Cada faceta se cuenta bajo todos los filtros activos excepto el propio (facetado disyuntivo),
+ * así el usuario ve cuántos resultados obtendría al cambiar esa opción.
+ * @param {Object} criteria - Criterios de búsqueda (ver buildSearchConditions)
+ * @param {Date} now - Fecha de referencia para la disponibilidad de urgencia
+ * @returns {Promise<Object>} { specialty, zone, price_range, rating_band, verification_status,
+ *   urgent_available, rate_type } con buckets { value, count }
+ */
+async function getSearchFacets(criteria, now = new Date()) {
+  const priceColumn = getPriceColumn(criteria.rateType);
+  const priceFilters = PRICE_RANGES.map(range => (range.max !== null
+    ? `${priceColumn} >= ${range.min} AND ${priceColumn} < ${range.max}`
+    : `${priceColumn} >= ${range.min}`));
+  const ratingFilters = RATING_BANDS.map(band => `COALESCE(p.calificacion_promedio, 0) >= ${band}`);
+
+  const urgentParams = [];
+  const urgentFilter = buildUrgentCondition((value) => {
+    urgentParams.push(value);
+    return `$${urgentParams.length}`;
+  }, now);
+
+  const [specialty, zone, rateType, verification, priceCounts, ratingCounts, urgentCounts] = await Promise.all([
+    countValueFacet(criteria, 'specialty', 'p.especialidad', now),
+    countValueFacet(criteria, 'zone', 'p.zona_cobertura', now),
+    countValueFacet(criteria, 'rate_type', 'p.tipo_tarifa', now),
+    countValueFacet(criteria, 'verification', 'p.estado_verificacion', now),
+    countBucketFacet(criteria, 'price', priceFilters, [], now),
+    countBucketFacet(criteria, 'rating', ratingFilters, [], now),
+    countBucketFacet(criteria, 'urgent', [urgentFilter], urgentParams, now)
+  ]);
+
+  return {
+    specialty,
+    zone,
+    price_range: PRICE_RANGES.map((range, index) => ({ ...range, count: priceCounts[index] })),
+    rating_band: RATING_BANDS.map((band, index) => ({ value: band, count: ratingCounts[index] })),
+    verification_status: verification,
+    urgent_available: [{ value: true, count: urgentCounts[0] }],
+    rate_type: rateType
+  };
+}
+
+/**
+ * Sugerencias de autocompletado con el motor de búsqueda
+ * @param {string} field - specialties | cities | districts
+ * @param {string} query - Texto tipeado
+ * @param {Object} options - { limit, categoryId }
+ * @returns {Promise<Array>} [{ value, count }] ordenado por coincidencia y cantidad de profesionales
+ */
+async function getSuggestions(field, query, options = {}) {
+  const expression = SUGGESTION_FIELDS[field];
+  if (!expression) {
+    throw new Error(`Campo de autocompletado inválido: ${field}`);
+  }
+
+  const dictionary = await getSynonymDictionary();
+  const { groups } = expandSearchTerms(query, dictionary, { categoryId: options.categoryId });
+  if (groups.length === 0) {
+    return [];
+  }
+
+  const column = `lower(immutable_unaccent(${expression}))`;
+  const match = buildTextMatch(groups, column, 1, { prefix: true });
+
+  const rows = await prisma.$queryRawUnsafe(`
+    SELECT ${expression} AS value, COUNT(*)::int AS count, MAX(${match.relevance}) AS score
+    FROM perfiles_profesionales p
+    WHERE p.esta_disponible = true
+      AND p.estado_verificacion = 'verificado'
+      AND ${expression} <> ''
+      AND ${match.condition}
+    GROUP BY ${expression}
+    ORDER BY score DESC, count DESC
+    LIMIT $${match.nextIndex}`,
+  ...match.params, options.limit || 10);
+
+  return rows.map(row => ({ value: row.value, count: Number(row.count) }));
+}
+
+/**
+ * Valida los datos de una entrada del diccionario
+ * @param {Object} data - { termino, sinonimos, activo }
+ * @param {Object} current - Entrada actual (en actualizaciones)
+ * @returns {Object} Datos normalizados
+ */
+function buildSynonymData(data, current = null) {
+  const termino = normalizeSearchText(data.termino !== undefined ? data.termino : current?.termino);
+  if (!termino) {
+    throw new Error('El término es requerido');
+  }
+
+  const sinonimos = parseSynonymList(data.sinonimos !== undefined ? data.sinonimos : current?.sinonimos)
+    .filter(word => word !== termino);
+  if (sinonimos.length === 0) {
+    throw new Error('Debe indicar al menos un sinónimo distinto del término');
+  }
+
+  return {
+    termino,
+    sinonimos,
+    ...(data.activo !== undefined ? { activo: Boolean(data.activo) } : {})
+  };
+}
+
+/**
+ * Crea una entrada del diccionario de sinónimos de una categoría
+ * @param {Object} data - { categoria_id, termino, sinonimos }
+ * @param {string} adminId - Administrador que la crea
+ * @returns {Object} Entrada creada
+ */
+async function createSynonym(data, adminId) {
+  const synonymData = buildSynonymData(data);
+
+  const category = data.categoria_id
+    ? await prisma.categories.findUnique({ where: { id: data.categoria_id }, select: { id: true } })
+    : null;
+  if (!category) {
+    throw new Error('Categoría no encontrada');
+  }
+
+  try {
+    const synonym = await prisma.sinonimos_busqueda.create({
+      data: { ...synonymData, categoria_id: category.id, creado_por: adminId }
+    });
+
+    await invalidateSynonymDictionary();
+
+    logger.info('Search synonym created', {
+      service: 'search',
+      adminId,
+      synonymId: synonym.id,
+      termino: synonym.termino
+    });
+
+    return synonym;
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw new Error('Ya existe una entrada para ese término en la categoría');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Actualiza una entrada del diccionario (término, sinónimos o estado)
+ * @param {string} synonymId - ID de la entrada
+ * @param {Object} data - Campos a modificar
+ * @param {string} adminId - Administrador que la modifica
+ * @returns {Object} Entrada actualizada
+ */
+async function updateSynonym(synonymId, data, adminId) {
+  const current = await prisma.sinonimos_busqueda.findUnique({ where: { id: synonymId } });
+  if (!current) {
+    throw new Error('Sinónimo no encontrado');
+  }
+
+  const synonymData = buildSynonymData(data, current);
+
+  try {
+    const synonym = await prisma.sinonimos_busqueda.update({
+      where: { id: synonymId },
+      data: synonymData
+    });
+
+    await invalidateSynonymDictionary();
+
+    logger.info('Search synonym updated', { service: 'search', adminId, synonymId });
+
+    return synonym;
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw new Error('Ya existe una entrada para ese término en la categoría');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Elimina una entrada del diccionario
+ * @param {string} synonymId - ID de la entrada
+ * @param {string} adminId - Administrador que la elimina
+ */
+async function deleteSynonym(synonymId, adminId) {
+  const current = await prisma.sinonimos_busqueda.findUnique({ where: { id: synonymId } });
+  if (!current) {
+    throw new Error('Sinónimo no encontrado');
+  }
+
+  await prisma.sinonimos_busqueda.delete({ where: { id: synonymId } });
+  await invalidateSynonymDictionary();
+
+  logger.info('Search synonym deleted', { service: 'search', adminId, synonymId, termino: current.termino });
+}
+
+/**
+ * Lista el diccionario de sinónimos
+ * @param {Object} filters - { categoria_id, activo }
+ * @returns {Array} Entradas con su categoría
+ */
+async function listSynonyms(filters = {}) {
+  const where = {};
+  if (filters.categoria_id) {
+    where.categoria_id = filters.categoria_id;
+  }
+  if (filters.activo !== undefined) {
+    where.activo = filters.activo === true || filters.activo === 'true';
+  }
+
+  return prisma.sinonimos_busqueda.findMany({
+    where,
+    include: { categoria: { select: { id: true, nombre: true } } },
+    orderBy: [{ categoria_id: 'asc' }, { termino: 'asc' }]
+  });
+}
+
+module.exports = {
+  RANKING_WEIGHTS,
+  PRICE_RANGES,
+  RATING_BANDS,
+  normalizeSearchText,
+  getSynonymDictionary,
+  expandSearchTerms,
+  buildTextMatch,
+  buildRankingExpression,
+  buildSearchConditions,
+  buildCoverageCondition,
+  joinConditions,
+  buildNextSlotJoin,
+  getSearchFacets,
+  getSuggestions,
+  createSynonym,
+  updateSynonym,
+  deleteSynonym,
+  listSynonyms
+};
@@ -63,6 +63,39 @@ const uploadVerificationDocument = async (fileBuffer, originalName, userId) => {
   }
 };
 
+/**
+ * Sube evidencia de una disputa de pago a Google Cloud Storage (bucket privado)
+ * @param {Buffer} fileBuffer - Buffer del archivo
+ * @param {string} originalName - Nombre original del archivo
+ * @param {string} disputeId - ID de la disputa
+ * @param {string} userId - ID del usuario que aporta la evidencia
+ * @returns {Promise<string>} Nombre del archivo subido
+ */
+const uploadDisputeEvidence = async (fileBuffer, originalName, disputeId, userId) => {
+  try {
+    const sanitizedName = originalName.replace(/[^a-zA-Z0-9.-]/g, '_');
+    const fileName = `disputes/${disputeId}/${userId}_${Date.now()}_${sanitizedName}`;
+
+    const file = bucket.file(fileName);
+
+    await file.save(fileBuffer, {
+      metadata: {
+        originalName: originalName,
+        uploadedBy: userId,
+        disputeId: disputeId,
+        uploadedAt: new Date().toISOString(),
+        contentType: getContentType(originalName)
+      }
+    });
+
+    console.log(`✅ Evidencia de disputa subida a GCS: ${fileName}`);
+    return fileName;
+  } catch (error) {
+    console.error('❌ Error subiendo evidencia de disputa a GCS:', error);
+    throw new Error('Error al subir la evidencia de la disputa');
+  }
+};
+
 /**
  * Genera URL firmada para acceder al documento (válida 15 minutos)
  * @param {string} fileName - Nombre del archivo en GCS
@@ -314,6 +347,7 @@ const deleteImage = async (publicId) => {
 
 module.exports = {
   uploadVerificationDocument,
+  uploadDisputeEvidence,
   getSignedUrl,
   generatePresignedUploadUrl,
   validateFile,
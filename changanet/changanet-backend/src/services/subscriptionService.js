@@ -0,0 +1,883 @@
+/**
+ * Servicio de suscripciones de profesionales
+ * Planes pagos (Básico, Pro, Premium) con período de facturación mensual o anual.
+ * Cada período se cobra con una preferencia de Mercado Pago (external_reference "suscripcion:<cobro>");
+ * el webhook de pagos deriva esos cobros a processChargeWebhook.
+ *
+ * Ciclo de vida:
+ * - pendiente: suscripción creada, primer cobro sin pagar (sin beneficios)
+ * - activa: período pago vigente; RENEWAL_NOTICE_DAYS antes del fin se genera el cobro de renovación
+ * - en_gracia: terminó el período sin renovación paga; conserva los beneficios GRACE_PERIOD_DAYS días
+ * - vencida: terminó la gracia sin pago (un pago posterior la reactiva)
+ * - cancelada: el profesional canceló; los beneficios duran hasta el fin del período pago
+ *
+ * Los beneficios se consultan siempre con getEntitlements.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const logger = require('./logger');
+const { recordJournalEntry, LEDGER_ACCOUNTS } = require('./ledgerService');
+
+const prisma = new PrismaClient();
+
+// Meses de cada período de facturación
+const BILLING_PERIODS = { mensual: 1, anual: 12 };
+
+// Estados con beneficios del plan
+const ENTITLED_STATES = ['activa', 'en_gracia'];
+
+// Estados que impiden crear otra suscripción
+const OPEN_STATES = ['pendiente', 'activa', 'en_gracia'];
+
+const GRACE_PERIOD_DAYS = parseInt(process.env.SUBSCRIPTION_GRACE_DAYS || '7');
+const RENEWAL_NOTICE_DAYS = 3;
+const RENEWAL_CHECK_INTERVAL = 60 * 60 * 1000; // 1 hora
+
+const SUBSCRIPTION_REFERENCE_PREFIX = 'suscripcion:';
+
+// Beneficios de un profesional sin plan
+const FREE_ENTITLEMENTS = {
+  plan: { codigo: 'gratuito', nombre: 'Gratuito' },
+  estado: null,
+  suscripcionId: null,
+  comisionPorcentaje: null,
+  impulsoBusqueda: 0,
+  maxCotizacionesActivas: parseInt(process.env.FREE_PLAN_MAX_ACTIVE_QUOTES || '5'),
+  analyticsAvanzados: false,
+  vigenteHasta: null
+};
+
+/**
+ * Registra una operación de suscripciones en transactions_log
+ * @param {Object} logData - Datos a registrar
+ */
+async function logTransaction(logData) {
+  try {
+    await prisma.transactions_log.create({
+      data: logData
+    });
+  } catch (error) {
+    logger.error('Error logging subscription transaction', {
+      service: 'subscriptions',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Envía una notificación sin interrumpir el flujo si falla
+ * @param {string} userId - Destinatario
+ * @param {string} type - Tipo de notificación
+ * @param {string} message - Mensaje
+ * @param {Object} metadata - Datos adicionales
+ */
+async function notify(userId, type, message, metadata) {
+  try {
+    const { createNotification } = require('./notificationService');
+    await createNotification(userId, type, message, metadata);
+  } catch (error) {
+    logger.warn('Subscription notification failed', {
+      service: 'subscriptions',
+      userId,
+      type,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Suma un período de facturación a una fecha
+ * @param {Date} date - Fecha de inicio
+ * @param {string} periodo - "mensual" o "anual"
+ * @returns {Date} Fecha de fin del período
+ */
+function addBillingPeriod(date, periodo) {
+  const end = new Date(date);
+  end.setMonth(end.getMonth() + BILLING_PERIODS[periodo]);
+  return end;
+}
+
+/**
+ * Suma días a una fecha
+ * @param {Date} date - Fecha base
+ * @param {number} days - Días a sumar
+ * @returns {Date} Nueva fecha
+ */
+function addDays(date, days) {
+  return new Date(new Date(date).getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Precio de un plan para el período elegido
+ * @param {Object} plan - Plan de suscripción
+ * @param {string} periodo - "mensual" o "anual"
+ * @returns {number} Precio en ARS
+ */
+function getPlanPrice(plan, periodo) {
+  if (periodo === 'anual') {
+    if (!plan.precio_anual) {
+      throw new Error(`El plan ${plan.nombre} no admite facturación anual`);
+    }
+    return plan.precio_anual;
+  }
+  return plan.precio_mensual;
+}
+
+/**
+ * Traduce una suscripción a los beneficios vigentes
+ * @param {Object|null} subscription - Suscripción con su plan
+ * @returns {Object} Beneficios (ver FREE_ENTITLEMENTS)
+ */
+function buildEntitlements(subscription) {
+  if (!subscription || !ENTITLED_STATES.includes(subscription.estado)) {
+    return { ...FREE_ENTITLEMENTS };
+  }
+
+  const { plan } = subscription;
+  return {
+    plan: { codigo: plan.codigo, nombre: plan.nombre },
+    estado: subscription.estado,
+    suscripcionId: subscription.id,
+    comisionPorcentaje: plan.porcentaje_comision ?? null,
+    impulsoBusqueda: plan.impulso_busqueda || 0,
+    maxCotizacionesActivas: plan.max_cotizaciones_activas ?? null,
+    analyticsAvanzados: plan.analytics_avanzados,
+    vigenteHasta: subscription.estado === 'en_gracia' ? subscription.gracia_hasta : subscription.periodo_fin
+  };
+}
+
+/**
+ * Obtiene la suscripción abierta (pendiente, activa o en gracia) de un profesional
+ * @param {string} professionalId - ID del profesional
+ * @returns {Object|null} Suscripción con plan y plan siguiente
+ */
+async function getCurrentSubscription(professionalId) {
+  return prisma.suscripciones_profesionales.findFirst({
+    where: {
+      profesional_id: professionalId,
+      estado: { in: OPEN_STATES }
+    },
+    include: { plan: true, plan_siguiente: true },
+    orderBy: { creado_en: 'desc' }
+  });
+}
+
+/**
+ * Beneficios vigentes de un profesional: punto único de consulta para comisiones,
+ * búsqueda, cotizaciones y analytics
+ * @param {string} professionalId - ID del profesional
+ * @returns {Object} { plan, estado, suscripcionId, comisionPorcentaje, impulsoBusqueda,
+ *   maxCotizacionesActivas, analyticsAvanzados, vigenteHasta }
+ */
+async function getEntitlements(professionalId) {
+  const subscription = await prisma.suscripciones_profesionales.findFirst({
+    where: {
+      profesional_id: professionalId,
+      estado: { in: ENTITLED_STATES }
+    },
+    include: { plan: true },
+    orderBy: { creado_en: 'desc' }
+  });
+
+  return buildEntitlements(subscription);
+}
+
+/**
+ * Lista los planes de suscripción
+ * @param {Object} options - { includeInactive }
+ * @returns {Array} Planes ordenados
+ */
+async function listPlans({ includeInactive = false } = {}) {
+  return prisma.planes_suscripcion.findMany({
+    where: includeInactive ? {} : { activo: true },
+    orderBy: { orden: 'asc' }
+  });
+}
+
+/**
+ * Actualiza precios y beneficios de un plan (solo administradores)
+ * Los cambios de precio se aplican desde el próximo cobro
+ * @param {string} planId - ID del plan
+ * @param {Object} data - Campos a modificar
+ * @param {string} adminId - Administrador que realiza el cambio
+ * @returns {Object} Plan actualizado
+ */
+async function updatePlan(planId, data, adminId) {
+  const plan = await prisma.planes_suscripcion.findUnique({ where: { id: planId } });
+  if (!plan) {
+    throw new Error('Plan no encontrado');
+  }
+
+  const updateData = {};
+
+  ['nombre', 'descripcion'].forEach(field => {
+    if (data[field] !== undefined) updateData[field] = data[field];
+  });
+
+  ['precio_mensual', 'precio_anual'].forEach(field => {
+    if (data[field] === undefined) return;
+    if (data[field] === null && field === 'precio_anual') {
+      updateData[field] = null;
+      return;
+    }
+    const price = parseFloat(data[field]);
+    if (isNaN(price) || price <= 0) {
+      throw new Error(`El campo ${field} debe ser un monto mayor a 0`);
+    }
+    updateData[field] = price;
+  });
+
+  if (data.porcentaje_comision !== undefined) {
+    if (data.porcentaje_comision === null) {
+      updateData.porcentaje_comision = null;
+    } else {
+      const percentage = parseFloat(data.porcentaje_comision);
+      if (isNaN(percentage) || percentage < 5 || percentage > 10) {
+        throw new Error('La comisión del plan debe estar entre 5% y 10%');
+      }
+      updateData.porcentaje_comision = percentage;
+    }
+  }
+
+  if (data.impulso_busqueda !== undefined) {
+    const boost = parseFloat(data.impulso_busqueda);
+    if (isNaN(boost) || boost < 0 || boost > 1) {
+      throw new Error('El impulso de búsqueda debe estar entre 0 y 1');
+    }
+    updateData.impulso_busqueda = boost;
+  }
+
+  if (data.max_cotizaciones_activas !== undefined) {
+    if (data.max_cotizaciones_activas === null) {
+      updateData.max_cotizaciones_activas = null;
+    } else {
+      const maxQuotes = parseInt(data.max_cotizaciones_activas);
+      if (isNaN(maxQuotes) || maxQuotes < 1) {
+        throw new Error('El máximo de cotizaciones activas debe ser un entero mayor a 0');
+      }
+      updateData.max_cotizaciones_activas = maxQuotes;
+    }
+  }
+
+  ['analytics_avanzados', 'activo'].forEach(field => {
+    if (data[field] !== undefined) updateData[field] = Boolean(data[field]);
+  });
+
+  const updated = await prisma.planes_suscripcion.update({
+    where: { id: planId },
+    data: updateData
+  });
+
+  await logTransaction({
+    tipo_transaccion: 'subscription_plan_updated',
+    entidad_tipo: 'planes_suscripcion',
+    entidad_id: planId,
+    usuario_id: adminId,
+    detalles: { codigo: plan.codigo, cambios: updateData }
+  });
+
+  logger.info('Subscription plan updated', {
+    service: 'subscriptions',
+    planId,
+    adminId
+  });
+
+  return updated;
+}
+
+/**
+ * Crea la preferencia de Mercado Pago para un cobro y la asocia al cobro
+ * @param {Object} charge - Cobro de suscripción
+ * @param {Object} plan - Plan cobrado
+ * @param {Object} professional - Usuario profesional { id, nombre, email }
+ * @returns {Object} Preferencia { id, init_point, sandbox_init_point, simulated }
+ */
+async function createChargePreference(charge, plan, professional) {
+  const { createSubscriptionPreference } = require('./mercadoPagoService');
+
+  const preference = await createSubscriptionPreference({
+    chargeId: charge.id,
+    reference: `${SUBSCRIPTION_REFERENCE_PREFIX}${charge.id}`,
+    amount: charge.monto,
+    description: `Plan ${plan.nombre} (${charge.periodo_inicio.toISOString().slice(0, 10)} a ${charge.periodo_fin.toISOString().slice(0, 10)})`,
+    professional
+  });
+
+  await prisma.cobros_suscripcion.update({
+    where: { id: charge.id },
+    data: { mercado_pago_preference_id: preference.id }
+  });
+
+  return preference;
+}
+
+/**
+ * Suscribe a un profesional a un plan y genera el primer cobro
+ * La suscripción queda pendiente hasta que Mercado Pago aprueba el pago
+ * @param {string} professionalId - ID del profesional
+ * @param {string} planCode - Código del plan
+ * @param {string} periodo - "mensual" o "anual"
+ * @returns {Object} { suscripcion, cobro, pago }
+ */
+async function subscribe(professionalId, planCode, periodo = 'mensual') {
+  if (!BILLING_PERIODS[periodo]) {
+    throw new Error('Período de facturación inválido');
+  }
+
+  const professional = await prisma.usuarios.findUnique({
+    where: { id: professionalId },
+    select: { id: true, nombre: true, email: true, rol: true }
+  });
+  if (!professional || professional.rol !== 'profesional') {
+    throw new Error('Solo los profesionales pueden suscribirse a un plan');
+  }
+
+  const plan = await prisma.planes_suscripcion.findFirst({
+    where: { codigo: planCode, activo: true }
+  });
+  if (!plan) {
+    throw new Error('Plan no encontrado');
+  }
+
+  const amount = getPlanPrice(plan, periodo);
+
+  const current = await getCurrentSubscription(professionalId);
+  if (current && ENTITLED_STATES.includes(current.estado)) {
+    throw new Error('Ya existe una suscripción vigente; usa el cambio de plan');
+  }
+
+  const now = new Date();
+  const { subscription, charge } = await prisma.$transaction(async (tx) => {
+    // Una suscripción pendiente que nunca se pagó se reemplaza por la nueva
+    if (current) {
+      await tx.suscripciones_profesionales.update({
+        where: { id: current.id },
+        data: { estado: 'cancelada', cancelada_en: now }
+      });
+    }
+
+    const subscription = await tx.suscripciones_profesionales.create({
+      data: {
+        profesional_id: professionalId,
+        plan_id: plan.id,
+        periodo,
+        estado: 'pendiente'
+      }
+    });
+
+    const charge = await tx.cobros_suscripcion.create({
+      data: {
+        suscripcion_id: subscription.id,
+        plan_id: plan.id,
+        monto: amount,
+        periodo_inicio: now,
+        periodo_fin: addBillingPeriod(now, periodo)
+      }
+    });
+
+    return { subscription, charge };
+  });
+
+  const preference = await createChargePreference(charge, plan, professional);
+
+  await logTransaction({
+    tipo_transaccion: 'subscription_created',
+    entidad_tipo: 'suscripciones_profesionales',
+    entidad_id: subscription.id,
+    usuario_id: professionalId,
+    monto: amount,
+    detalles: { cobroId: charge.id, plan: plan.codigo, periodo }
+  });
+
+  logger.info('Subscription created', {
+    service: 'subscriptions',
+    professionalId,
+    subscriptionId: subscription.id,
+    plan: plan.codigo,
+    periodo
+  });
+
+  return { suscripcion: { ...subscription, plan }, cobro: charge, pago: preference };
+}
+
+/**
+ * Programa un cambio de plan para la próxima renovación
+ * @param {string} professionalId - ID del profesional
+ * @param {string} planCode - Código del nuevo plan
+ * @returns {Object} Suscripción actualizada
+ */
+async function changePlan(professionalId, planCode) {
+  const current = await getCurrentSubscription(professionalId);
+  if (!current || !ENTITLED_STATES.includes(current.estado)) {
+    throw new Error('Suscripción vigente no encontrada');
+  }
+
+  const plan = await prisma.planes_suscripcion.findFirst({
+    where: { codigo: planCode, activo: true }
+  });
+  if (!plan) {
+    throw new Error('Plan no encontrado');
+  }
+
+  // Valida que el plan admita el período de la suscripción
+  getPlanPrice(plan, current.periodo);
+
+  const updated = await prisma.suscripciones_profesionales.update({
+    where: { id: current.id },
+    data: {
+      plan_siguiente_id: plan.id === current.plan_id ? null : plan.id,
+      cancelar_al_final: false
+    },
+    include: { plan: true, plan_siguiente: true }
+  });
+
+  await logTransaction({
+    tipo_transaccion: 'subscription_plan_changed',
+    entidad_tipo: 'suscripciones_profesionales',
+    entidad_id: current.id,
+    usuario_id: professionalId,
+    detalles: { planActual: current.plan.codigo, planSiguiente: plan.codigo }
+  });
+
+  return updated;
+}
+
+/**
+ * Cancela la suscripción de un profesional
+ * Una suscripción pendiente o en gracia se cancela de inmediato; una activa conserva
+ * los beneficios hasta el fin del período pago
+ * @param {string} professionalId - ID del profesional
+ * @returns {Object} Suscripción actualizada
+ */
+async function cancelSubscription(professionalId) {
+  const current = await getCurrentSubscription(professionalId);
+  if (!current) {
+    throw new Error('Suscripción no encontrada');
+  }
+
+  const data = current.estado === 'activa'
+    ? { cancelar_al_final: true, plan_siguiente_id: null }
+    : { estado: 'cancelada', cancelada_en: new Date() };
+
+  const updated = await prisma.suscripciones_profesionales.update({
+    where: { id: current.id },
+    data,
+    include: { plan: true }
+  });
+
+  await logTransaction({
+    tipo_transaccion: 'subscription_cancelled',
+    entidad_tipo: 'suscripciones_profesionales',
+    entidad_id: current.id,
+    usuario_id: professionalId,
+    detalles: { estadoAnterior: current.estado, alFinalDelPeriodo: current.estado === 'activa' }
+  });
+
+  logger.info('Subscription cancelled', {
+    service: 'subscriptions',
+    professionalId,
+    subscriptionId: current.id,
+    immediate: current.estado !== 'activa'
+  });
+
+  return updated;
+}
+
+/**
+ * Genera una nueva preferencia de pago para un cobro pendiente o rechazado
+ * @param {string} professionalId - ID del profesional
+ * @param {string} chargeId - ID del cobro
+ * @returns {Object} { cobro, pago }
+ */
+async function payCharge(professionalId, chargeId) {
+  const charge = await prisma.cobros_suscripcion.findUnique({
+    where: { id: chargeId },
+    include: { suscripcion: true, plan: true }
+  });
+
+  if (!charge || charge.suscripcion.profesional_id !== professionalId) {
+    throw new Error('Cobro de suscripción no encontrado');
+  }
+
+  if (charge.estado === 'aprobado') {
+    throw new Error('El cobro ya fue pagado');
+  }
+
+  if (charge.suscripcion.estado === 'cancelada') {
+    throw new Error('La suscripción fue cancelada');
+  }
+
+  const professional = await prisma.usuarios.findUnique({
+    where: { id: professionalId },
+    select: { id: true, nombre: true, email: true }
+  });
+
+  const pendingCharge = charge.estado === 'rechazado'
+    ? await prisma.cobros_suscripcion.update({ where: { id: charge.id }, data: { estado: 'pendiente' } })
+    : charge;
+
+  const preference = await createChargePreference(pendingCharge, charge.plan, professional);
+
+  return { cobro: pendingCharge, pago: preference };
+}
+
+/**
+ * Procesa la notificación de Mercado Pago sobre un cobro de suscripción
+ * @param {string} chargeId - ID del cobro (de external_reference)
+ * @param {Object} paymentData - { mercadoPagoId, status, statusDetail }
+ * @returns {Object} Resultado del procesamiento
+ */
+async function processChargeWebhook(chargeId, { mercadoPagoId, status, statusDetail }) {
+  const charge = await prisma.cobros_suscripcion.findUnique({
+    where: { id: chargeId },
+    include: { suscripcion: true, plan: true }
+  });
+
+  if (!charge) {
+    throw new Error('Cobro de suscripción no encontrado');
+  }
+
+  const subscription = charge.suscripcion;
+
+  // Mercado Pago reintenta las notificaciones: un cobro aprobado no se reprocesa
+  if (charge.estado === 'aprobado') {
+    return { success: true, status, chargeId, duplicate: true };
+  }
+
+  if (status === 'approved') {
+    const now = new Date();
+
+    // Un pago tardío (suscripción vencida o período ya transcurrido) abre un período nuevo desde hoy
+    const restart = subscription.estado === 'vencida' || charge.periodo_fin <= now;
+    const periodStart = restart ? now : charge.periodo_inicio;
+    const periodEnd = restart ? addBillingPeriod(now, subscription.periodo) : charge.periodo_fin;
+
+    await prisma.$transaction(async (tx) => {
+      await tx.cobros_suscripcion.update({
+        where: { id: charge.id },
+        data: {
+          estado: 'aprobado',
+          mercado_pago_id: mercadoPagoId,
+          cobrado_en: now,
+          periodo_inicio: periodStart,
+          periodo_fin: periodEnd
+        }
+      });
+
+      if (subscription.estado === 'cancelada') {
+        return;
+      }
+
+      await tx.suscripciones_profesionales.update({
+        where: { id: subscription.id },
+        data: {
+          estado: 'activa',
+          plan_id: charge.plan_id,
+          plan_siguiente_id: subscription.plan_siguiente_id === charge.plan_id ? null : subscription.plan_siguiente_id,
+          periodo_inicio: periodStart,
+          periodo_fin: periodEnd,
+          gracia_hasta: null
+        }
+      });
+    });
+
+    await recordJournalEntry({
+      tipo: 'cobro_suscripcion',
+      descripcion: `Cobro de suscripción ${charge.plan.nombre} (cobro ${charge.id})`,
+      entidadTipo: 'cobros_suscripcion',
+      entidadId: charge.id,
+      creadoPor: subscription.profesional_id,
+      lineas: [
+        { cuenta: LEDGER_ACCOUNTS.CAJA.codigo, debe: charge.monto },
+        { cuenta: LEDGER_ACCOUNTS.SUSCRIPCIONES.codigo, haber: charge.monto, usuarioId: subscription.profesional_id }
+      ]
+    });
+
+    if (subscription.estado === 'cancelada') {
+      // El profesional pagó un cobro de una suscripción ya reemplazada: requiere devolución manual
+      logger.warn('Payment approved for cancelled subscription', {
+        service: 'subscriptions',
+        subscriptionId: subscription.id,
+        chargeId: charge.id
+      });
+    } else {
+      await notify(
+        subscription.profesional_id,
+        'suscripcion_activada',
+        `Tu plan ${charge.plan.nombre} está activo hasta el ${periodEnd.toLocaleDateString('es-AR')}`,
+        { suscripcion_id: subscription.id, cobro_id: charge.id }
+      );
+    }
+
+    await logTransaction({
+      tipo_transaccion: 'subscription_charge_approved',
+      entidad_tipo: 'cobros_suscripcion',
+      entidad_id: charge.id,
+      usuario_id: subscription.profesional_id,
+      monto: charge.monto,
+      detalles: { suscripcionId: subscription.id, mercadoPagoId }
+    });
+
+    return { success: true, status, chargeId };
+  }
+
+  if (['rejected', 'cancelled'].includes(status)) {
+    await prisma.cobros_suscripcion.update({
+      where: { id: charge.id },
+      data: {
+        estado: 'rechazado',
+        mercado_pago_id: mercadoPagoId,
+        intentos: { increment: 1 },
+        ultimo_error: statusDetail || status
+      }
+    });
+
+    const deadline = subscription.estado === 'en_gracia' ? subscription.gracia_hasta : subscription.periodo_fin;
+    await notify(
+      subscription.profesional_id,
+      'suscripcion_pago_fallido',
+      deadline
+        ? `El pago de tu plan ${charge.plan.nombre} fue rechazado. Reintenta antes del ${new Date(deadline).toLocaleDateString('es-AR')} para conservar los beneficios.`
+        : `El pago de tu plan ${charge.plan.nombre} fue rechazado. Puedes reintentarlo desde tu panel.`,
+      { suscripcion_id: subscription.id, cobro_id: charge.id, reason: statusDetail }
+    );
+
+    await logTransaction({
+      tipo_transaccion: 'subscription_charge_rejected',
+      entidad_tipo: 'cobros_suscripcion',
+      entidad_id: charge.id,
+      usuario_id: subscription.profesional_id,
+      monto: charge.monto,
+      detalles: { suscripcionId: subscription.id, mercadoPagoId, statusDetail },
+      exito: false,
+      error_mensaje: statusDetail || status
+    });
+
+    return { success: true, status, chargeId };
+  }
+
+  logger.info('Subscription charge status not handled', {
+    service: 'subscriptions',
+    chargeId,
+    status
+  });
+
+  return { success: true, status, chargeId };
+}
+
+/**
+ * Genera los cobros de renovación y avanza los estados por vencimiento
+ * - Activas que terminan en RENEWAL_NOTICE_DAYS: cobro del próximo período (con el plan siguiente si lo hay)
+ * - Activas con período terminado: canceladas si así se pidió, si no pasan a gracia
+ * - En gracia con la gracia terminada: vencidas
+ * @param {Date} now - Fecha de referencia
+ * @returns {Object} Contadores de cada transición
+ */
+async function processSubscriptionRenewals(now = new Date()) {
+  const summary = { renovacionesGeneradas: 0, enGracia: 0, canceladas: 0, vencidas: 0 };
+
+  const dueForRenewal = await prisma.suscripciones_profesionales.findMany({
+    where: {
+      estado: 'activa',
+      cancelar_al_final: false,
+      periodo_fin: { lte: addDays(now, RENEWAL_NOTICE_DAYS) }
+    },
+    include: { plan: true, plan_siguiente: true }
+  });
+
+  for (const subscription of dueForRenewal) {
+    try {
+      const existing = await prisma.cobros_suscripcion.findFirst({
+        where: { suscripcion_id: subscription.id, periodo_inicio: subscription.periodo_fin }
+      });
+      if (existing) continue;
+
+      const plan = subscription.plan_siguiente || subscription.plan;
+      const charge = await prisma.cobros_suscripcion.create({
+        data: {
+          suscripcion_id: subscription.id,
+          plan_id: plan.id,
+          monto: getPlanPrice(plan, subscription.periodo),
+          periodo_inicio: subscription.periodo_fin,
+          periodo_fin: addBillingPeriod(subscription.periodo_fin, subscription.periodo)
+        }
+      });
+
+      const professional = await prisma.usuarios.findUnique({
+        where: { id: subscription.profesional_id },
+        select: { id: true, nombre: true, email: true }
+      });
+      const preference = await createChargePreference(charge, plan, professional);
+
+      await notify(
+        subscription.profesional_id,
+        'suscripcion_renovacion',
+        `Tu plan ${plan.nombre} se renueva el ${subscription.periodo_fin.toLocaleDateString('es-AR')}. Monto: $${charge.monto}`,
+        { suscripcion_id: subscription.id, cobro_id: charge.id, init_point: preference.init_point }
+      );
+
+      summary.renovacionesGeneradas++;
+    } catch (error) {
+      logger.error('Error generating subscription renewal', {
+        service: 'subscriptions',
+        subscriptionId: subscription.id,
+        error: error.message
+      });
+    }
+  }
+
+  const ended = await prisma.suscripciones_profesionales.findMany({
+    where: { estado: 'activa', periodo_fin: { lte: now } },
+    include: { plan: true }
+  });
+
+  for (const subscription of ended) {
+    if (subscription.cancelar_al_final) {
+      await prisma.suscripciones_profesionales.update({
+        where: { id: subscription.id },
+        data: { estado: 'cancelada', cancelada_en: now }
+      });
+      summary.canceladas++;
+      continue;
+    }
+
+    // El cobro de renovación no se pagó a tiempo
+    const graceEnd = addDays(subscription.periodo_fin, GRACE_PERIOD_DAYS);
+    await prisma.suscripciones_profesionales.update({
+      where: { id: subscription.id },
+      data: { estado: 'en_gracia', gracia_hasta: graceEnd }
+    });
+
+    await notify(
+      subscription.profesional_id,
+      'suscripcion_en_gracia',
+      `No recibimos el pago de tu plan ${subscription.plan.nombre}. Conservas los beneficios hasta el ${graceEnd.toLocaleDateString('es-AR')}.`,
+      { suscripcion_id: subscription.id }
+    );
+    summary.enGracia++;
+  }
+
+  const expired = await prisma.suscripciones_profesionales.findMany({
+    where: { estado: 'en_gracia', gracia_hasta: { lte: now } },
+    include: { plan: true }
+  });
+
+  for (const subscription of expired) {
+    await prisma.suscripciones_profesionales.update({
+      where: { id: subscription.id },
+      data: { estado: 'vencida' }
+    });
+
+    await notify(
+      subscription.profesional_id,
+      'suscripcion_vencida',
+      `Tu plan ${subscription.plan.nombre} venció por falta de pago. Puedes reactivarlo pagando el cobro pendiente.`,
+      { suscripcion_id: subscription.id }
+    );
+    summary.vencidas++;
+  }
+
+  if (Object.values(summary).some(count => count > 0)) {
+    logger.info('Subscription renewals processed', {
+      service: 'subscriptions',
+      ...summary
+    });
+  }
+
+  return summary;
+}
+
+/**
+ * Inicia el proceso periódico de renovaciones y vencimientos
+ */
+function startSubscriptionScheduler() {
+  const run = () => processSubscriptionRenewals().catch(error => {
+    logger.error('Subscription scheduler error', {
+      service: 'subscriptions',
+      error: error.message
+    });
+  });
+
+  setTimeout(run, 60000); // Esperar 1 minuto para iniciar
+  setInterval(run, RENEWAL_CHECK_INTERVAL);
+}
+
+/**
+ * Suscripción actual, beneficios y cobros recientes de un profesional
+ * @param {string} professionalId - ID del profesional
+ * @returns {Object} { suscripcion, beneficios, cobros }
+ */
+async function getSubscriptionOverview(professionalId) {
+  const subscription = await getCurrentSubscription(professionalId);
+
+  const charges = subscription
+    ? await prisma.cobros_suscripcion.findMany({
+      where: { suscripcion_id: subscription.id },
+      include: { plan: { select: { codigo: true, nombre: true } } },
+      orderBy: { creado_en: 'desc' },
+      take: 12
+    })
+    : [];
+
+  return {
+    suscripcion: subscription,
+    beneficios: buildEntitlements(subscription),
+    cobros: charges
+  };
+}
+
+/**
+ * Lista suscripciones para administración
+ * @param {Object} filters - { estado, plan, page, limit }
+ * @returns {Object} Suscripciones paginadas
+ */
+async function listSubscriptions({ estado, plan, page = 1, limit = 20 } = {}) {
+  const where = {};
+  if (estado) where.estado = estado;
+  if (plan) where.plan = { codigo: plan };
+
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [subscriptions, total] = await Promise.all([
+    prisma.suscripciones_profesionales.findMany({
+      where,
+      include: { plan: { select: { codigo: true, nombre: true } } },
+      orderBy: { creado_en: 'desc' },
+      skip: (pageNum - 1) * limitNum,
+      take: limitNum
+    }),
+    prisma.suscripciones_profesionales.count({ where })
+  ]);
+
+  return {
+    suscripciones: subscriptions,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages: Math.ceil(total / limitNum)
+    }
+  };
+}
+
+module.exports = {
+  getEntitlements,
+  buildEntitlements,
+  getCurrentSubscription,
+  getSubscriptionOverview,
+  listPlans,
+  updatePlan,
+  subscribe,
+  changePlan,
+  cancelSubscription,
+  payCharge,
+  processChargeWebhook,
+  processSubscriptionRenewals,
+  startSubscriptionScheduler,
+  listSubscriptions,
+  addBillingPeriod,
+  ENTITLED_STATES,
+  GRACE_PERIOD_DAYS,
+  SUBSCRIPTION_REFERENCE_PREFIX
+};
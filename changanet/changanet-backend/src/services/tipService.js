@@ -0,0 +1,385 @@
+/**
+ * Servicio de propinas
+ * Después de que un servicio pasa a COMPLETADO el cliente puede dejar una propina opcional al profesional.
+ * La propina se cobra con una preferencia de Mercado Pago (external_reference "propina:<id>");
+ * el webhook de pagos deriva esos cobros a processTipWebhook.
+ *
+ * Al aprobarse, el cobro ingresa a la custodia del cliente y se libera en el acto con un payout
+ * (payouts.propina_id). La comisión de plataforma sobre propinas se configura aparte de la de
+ * servicios (commissionService.calculateTipCommission); por defecto las propinas están exentas.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const logger = require('./logger');
+const { recordJournalEntry, LEDGER_ACCOUNTS } = require('./ledgerService');
+const { calculateTipCommission } = require('./commissionService');
+const { getRateSnapshot, roundAmount } = require('./currencyService');
+
+const prisma = new PrismaClient();
+
+const TIP_REFERENCE_PREFIX = 'propina:';
+
+// Días posteriores a la finalización del servicio en los que se acepta una propina
+const TIP_WINDOW_DAYS = parseInt(process.env.TIP_WINDOW_DAYS || '30');
+
+// Límites del monto de una propina (moneda base; se convierten a la moneda del profesional)
+const TIP_MIN_AMOUNT = parseFloat(process.env.TIP_MIN_AMOUNT || '100');
+const TIP_MAX_AMOUNT = parseFloat(process.env.TIP_MAX_AMOUNT || '100000');
+
+const TIP_MESSAGE_MAX_LENGTH = 280;
+
+/**
+ * Registra una operación de propinas en transactions_log
+ * @param {Object} logData - Datos a registrar
+ */
+async function logTransaction(logData) {
+  try {
+    await prisma.transactions_log.create({
+      data: logData
+    });
+  } catch (error) {
+    logger.error('Error logging tip transaction', {
+      service: 'tips',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Envía una notificación sin interrumpir el flujo si falla
+ * @param {string} userId - Destinatario
+ * @param {string} type - Tipo de notificación
+ * @param {string} message - Mensaje
+ * @param {Object} metadata - Datos adicionales
+ */
+async function notify(userId, type, message, metadata) {
+  try {
+    const { createNotification } = require('./notificationService');
+    await createNotification(userId, type, message, metadata);
+  } catch (error) {
+    logger.warn('Tip notification failed', {
+      service: 'tips',
+      userId,
+      type,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Valida el monto de una propina
+ * @param {number} amount - Monto ingresado por el cliente, en la moneda del profesional
+ * @param {Object} rateSnapshot - { moneda, tipo_cambio } de la propina
+ * @returns {number} Monto redondeado a los decimales de la moneda
+ */
+function validateTipAmount(amount, { moneda, tipo_cambio }) {
+  const value = Number(amount);
+
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error('El monto de la propina es inválido');
+  }
+
+  const minAmount = roundAmount(TIP_MIN_AMOUNT / tipo_cambio, moneda);
+  const maxAmount = roundAmount(TIP_MAX_AMOUNT / tipo_cambio, moneda);
+
+  if (value < minAmount || value > maxAmount) {
+    throw new Error(`La propina debe estar entre ${minAmount} y ${maxAmount} ${moneda}`);
+  }
+
+  return roundAmount(value, moneda);
+}
+
+/**
+ * Crea (o reintenta) la propina de un cliente para un servicio completado y genera su link de pago
+ * Una propina pendiente o rechazada se reemplaza con el nuevo monto.
+ * Se cobra en la moneda del profesional, como los pagos del servicio, y guarda el tipo de cambio vigente
+ * @param {string} clientId - Cliente autenticado
+ * @param {string} serviceId - Servicio completado
+ * @param {number} amount - Monto de la propina, en la moneda del profesional
+ * @param {string} message - Mensaje opcional para el profesional
+ * @returns {Object} { propina, pago }
+ */
+async function createTip(clientId, serviceId, amount, message = null) {
+  if (message && message.length > TIP_MESSAGE_MAX_LENGTH) {
+    throw new Error(`El mensaje no debe superar ${TIP_MESSAGE_MAX_LENGTH} caracteres`);
+  }
+
+  const service = await prisma.servicios.findUnique({
+    where: { id: serviceId },
+    include: {
+      cliente: { select: { id: true, nombre: true, email: true } },
+      profesional: {
+        select: { id: true, nombre: true, email: true, perfil_profesional: { select: { moneda: true } } }
+      },
+      propina: true
+    }
+  });
+
+  if (!service) {
+    throw new Error('Servicio no encontrado');
+  }
+
+  if (service.cliente_id !== clientId) {
+    throw new Error('Solo el cliente del servicio puede dejar una propina');
+  }
+
+  if (service.estado !== 'COMPLETADO') {
+    throw new Error('Solo se puede dejar propina en servicios completados');
+  }
+
+  const completedAt = service.completado_en || service.creado_en;
+  if (Date.now() - new Date(completedAt).getTime() > TIP_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+    throw new Error(`El plazo para dejar propina (${TIP_WINDOW_DAYS} días) está vencido`);
+  }
+
+  if (service.propina && service.propina.estado === 'aprobado') {
+    throw new Error('Ya existe una propina pagada para este servicio');
+  }
+
+  const rateSnapshot = await getRateSnapshot(service.profesional.perfil_profesional?.moneda);
+  const tipAmount = validateTipAmount(amount, rateSnapshot);
+
+  const commission = calculateTipCommission(tipAmount);
+  const tipData = {
+    monto: tipAmount,
+    ...rateSnapshot,
+    porcentaje_comision: commission.porcentaje,
+    comision: commission.commissionAmount,
+    monto_profesional: commission.professionalAmount,
+    mensaje: message || null,
+    estado: 'pendiente',
+    mercado_pago_preference_id: null,
+    mercado_pago_id: null
+  };
+
+  const tip = service.propina
+    ? await prisma.propinas.update({ where: { id: service.propina.id }, data: tipData })
+    : await prisma.propinas.create({
+      data: {
+        ...tipData,
+        servicio_id: service.id,
+        cliente_id: clientId,
+        profesional_id: service.profesional_id
+      }
+    });
+
+  const { createTipPreference } = require('./mercadoPagoService');
+  const preference = await createTipPreference({
+    tipId: tip.id,
+    reference: `${TIP_REFERENCE_PREFIX}${tip.id}`,
+    amount: tipAmount,
+    currency: tip.moneda,
+    serviceId: service.id,
+    client: service.cliente,
+    professional: service.profesional
+  });
+
+  const updated = await prisma.propinas.update({
+    where: { id: tip.id },
+    data: { mercado_pago_preference_id: preference.id }
+  });
+
+  await logTransaction({
+    tipo_transaccion: 'tip_created',
+    entidad_tipo: 'propinas',
+    entidad_id: tip.id,
+    usuario_id: clientId,
+    monto: tipAmount,
+    detalles: { servicioId: service.id, profesionalId: service.profesional_id, comision: commission.commissionAmount, moneda: tip.moneda }
+  });
+
+  logger.info('Tip created', {
+    service: 'tips',
+    tipId: tip.id,
+    serviceId: service.id,
+    amount: tipAmount,
+    currency: tip.moneda
+  });
+
+  return { propina: updated, pago: preference };
+}
+
+/**
+ * Libera la propina aprobada al profesional con un payout (una sola vez por propina)
+ * @param {Object} tip - Propina aprobada
+ * @returns {Object} Payout de la propina
+ */
+async function releaseTipPayout(tip) {
+  const existing = await prisma.payouts.findUnique({ where: { propina_id: tip.id } });
+  if (existing) {
+    return existing;
+  }
+
+  const { createPayout } = require('./payoutService');
+  return createPayout(
+    tip.profesional_id,
+    tip.servicio_id,
+    tip.monto,
+    tip.comision,
+    tip.monto_profesional,
+    'bank_transfer',
+    true,
+    { tipId: tip.id, currency: tip.moneda }
+  );
+}
+
+/**
+ * Procesa la notificación de Mercado Pago de una propina
+ * @param {string} tipId - ID de la propina (external_reference sin prefijo)
+ * @param {Object} paymentInfo - Datos del pago en Mercado Pago
+ * @returns {Object} Resultado del procesamiento
+ */
+async function processTipWebhook(tipId, { mercadoPagoId, status, statusDetail }) {
+  const tip = await prisma.propinas.findUnique({ where: { id: tipId } });
+
+  if (!tip) {
+    throw new Error('Propina no encontrada');
+  }
+
+  // Mercado Pago reintenta las notificaciones: solo se completa el payout si había fallado
+  if (tip.estado === 'aprobado') {
+    await releaseTipPayout(tip);
+    return { success: true, status, tipId, duplicate: true };
+  }
+
+  if (status === 'approved') {
+    const approved = await prisma.propinas.update({
+      where: { id: tip.id },
+      data: {
+        estado: 'aprobado',
+        mercado_pago_id: mercadoPagoId,
+        pagado_en: new Date()
+      }
+    });
+
+    // El cobro ingresa a la custodia del cliente; el payout la transfiere a comisión y saldo del profesional
+    await recordJournalEntry({
+      tipo: 'cobro_propina',
+      descripcion: `Cobro de propina de $${tip.monto} (servicio ${tip.servicio_id})`,
+      entidadTipo: 'propinas',
+      entidadId: tip.id,
+      creadoPor: tip.cliente_id,
+      moneda: tip.moneda,
+      lineas: [
+        { cuenta: LEDGER_ACCOUNTS.CAJA.codigo, debe: tip.monto },
+        { cuenta: LEDGER_ACCOUNTS.CUSTODIA.codigo, haber: tip.monto, usuarioId: tip.cliente_id }
+      ]
+    });
+
+    const payout = await releaseTipPayout(approved);
+
+    await notify(
+      tip.profesional_id,
+      'propina_recibida',
+      `Recibiste una propina de $${tip.monto_profesional}${tip.mensaje ? `: "${tip.mensaje}"` : ''}`,
+      { propina_id: tip.id, servicio_id: tip.servicio_id, payout_id: payout.id }
+    );
+
+    await logTransaction({
+      tipo_transaccion: 'tip_approved',
+      entidad_tipo: 'propinas',
+      entidad_id: tip.id,
+      usuario_id: tip.cliente_id,
+      monto: tip.monto,
+      detalles: { mercadoPagoId, payoutId: payout.id, comision: tip.comision }
+    });
+
+    return { success: true, status, tipId, payoutId: payout.id };
+  }
+
+  if (['rejected', 'cancelled'].includes(status)) {
+    await prisma.propinas.update({
+      where: { id: tip.id },
+      data: { estado: 'rechazado', mercado_pago_id: mercadoPagoId }
+    });
+
+    await notify(
+      tip.cliente_id,
+      'propina_rechazada',
+      'El pago de tu propina fue rechazado. Puedes intentarlo nuevamente.',
+      { propina_id: tip.id, servicio_id: tip.servicio_id, motivo: statusDetail }
+    );
+
+    await logTransaction({
+      tipo_transaccion: 'tip_rejected',
+      entidad_tipo: 'propinas',
+      entidad_id: tip.id,
+      usuario_id: tip.cliente_id,
+      monto: tip.monto,
+      exito: false,
+      error_mensaje: statusDetail || status
+    });
+  }
+
+  return { success: true, status, tipId };
+}
+
+/**
+ * Propina de un servicio, visible para su cliente y su profesional
+ * @param {string} userId - Usuario autenticado
+ * @param {string} serviceId - Servicio
+ * @returns {Object|null} Propina del servicio
+ */
+async function getServiceTip(userId, serviceId) {
+  const service = await prisma.servicios.findUnique({
+    where: { id: serviceId },
+    select: { cliente_id: true, profesional_id: true, propina: true }
+  });
+
+  if (!service || (service.cliente_id !== userId && service.profesional_id !== userId)) {
+    throw new Error('Servicio no encontrado');
+  }
+
+  return service.propina;
+}
+
+/**
+ * Propinas pagadas a un profesional, con totales
+ * @param {string} professionalId - ID del profesional
+ * @param {Object} filters - Rango opcional { desde, hasta } sobre la fecha de pago
+ * @returns {Object} { propinas, resumen }
+ */
+async function getProfessionalTips(professionalId, { desde, hasta } = {}) {
+  const tips = await prisma.propinas.findMany({
+    where: {
+      profesional_id: professionalId,
+      estado: 'aprobado',
+      ...(desde || hasta ? {
+        pagado_en: {
+          ...(desde ? { gte: new Date(desde) } : {}),
+          ...(hasta ? { lte: new Date(hasta) } : {})
+        }
+      } : {})
+    },
+    include: {
+      servicio: {
+        select: {
+          descripcion: true,
+          cliente: { select: { nombre: true } }
+        }
+      },
+      payout: { select: { id: true, estado: true, fecha_pago: true } }
+    },
+    orderBy: { pagado_en: 'desc' }
+  });
+
+  const resumen = tips.reduce((acc, tip) => ({
+    cantidad: acc.cantidad + 1,
+    total: acc.total + tip.monto,
+    comision: acc.comision + tip.comision,
+    neto: acc.neto + tip.monto_profesional
+  }), { cantidad: 0, total: 0, comision: 0, neto: 0 });
+
+  return { propinas: tips, resumen };
+}
+
+module.exports = {
+  createTip,
+  processTipWebhook,
+  getServiceTip,
+  getProfessionalTips,
+  TIP_REFERENCE_PREFIX,
+  TIP_WINDOW_DAYS,
+  TIP_MIN_AMOUNT,
+  TIP_MAX_AMOUNT
+};
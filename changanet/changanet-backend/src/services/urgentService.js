@@ -6,11 +6,12 @@
  * @impacto Social/Económico: Sistema completo de gestión de emergencias profesionales
  */
 
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
 const { sendPushNotification } = require('./pushNotificationService');
 const { sendEmail } = require('./emailService');
 const { sendSMS } = require('./smsService');
 const { createNotification } = require('./notificationService');
+const { puntoEnAreaServicio, profesionalCubrePunto, calcularCentroArea } = require('../utils/geospatial');
 
 const prisma = new PrismaClient();
 
@@ -38,7 +39,7 @@ function calculateDistance(lat1, lon1, lat2, lon2) {
  * @función findNearbyRequests - Encontrar solicitudes urgentes cercanas
  * @param {number} profLat - Latitud del profesional
  * @param {number} profLon - Longitud del profesional
- * @param {number} radiusKm - Radio de búsqueda en km
+ * @param {number} radiusKm - Radio de búsqueda en km (si el profesional no dibujó un área de servicio)
  * @param {Object} professionalProfile - Perfil del profesional
  * @returns {Array} Lista de solicitudes urgentes cercanas
  */
@@ -66,7 +67,12 @@ async function findNearbyRequests(profLat, profLon, radiusKm, professionalProfil
         request.latitude, request.longitude
       );
 
-      if (distance <= radiusKm) {
+      // Con área de servicio dibujada manda el polígono; si no, el radio desde la ubicación del profesional
+      const isCovered = professionalProfile.area_servicio
+        ? puntoEnAreaServicio(request.latitude, request.longitude, professionalProfile.area_servicio)
+        : distance <= radiusKm;
+
+      if (isCovered) {
         // Verificar compatibilidad de especialidad
         const isCompatible = checkSpecialtyCompatibility(
           professionalProfile,
@@ -256,7 +262,7 @@ async function autoAssignProfessionals(requestId) {
  * @param {number} lat - Latitud de la solicitud
  * @param {number} lon - Longitud de la solicitud
  * @param {string} serviceCategory - Categoría del servicio
- * @param {number} radiusKm - Radio de búsqueda
+ * @param {number} radiusKm - Radio de búsqueda (para profesionales sin área de servicio dibujada)
  * @returns {Array} Lista de profesionales disponibles ordenados por prioridad
  */
 async function findAvailableProfessionals(lat, lon, serviceCategory, radiusKm) {
@@ -265,8 +271,11 @@ async function findAvailableProfessionals(lat, lon, serviceCategory, radiusKm) {
     const professionals = await prisma.perfiles_profesionales.findMany({
       where: {
         esta_disponible: true,
-        latitud: { not: null },
-        longitud: { not: null },
+        // Ubicación para el radio o área de servicio dibujada
+        OR: [
+          { latitud: { not: null }, longitud: { not: null } },
+          { area_servicio: { not: Prisma.DbNull } }
+        ],
         usuario: {
           rol: 'profesional',
           bloqueado: false
@@ -296,9 +305,14 @@ async function findAvailableProfessionals(lat, lon, serviceCategory, radiusKm) {
     const scoredProfessionals = [];
 
     for (const prof of professionals) {
-      const distance = calculateDistance(lat, lon, prof.latitud, prof.longitud);
+      // Punto en el área de servicio del profesional o, si no dibujó una, radio Haversine desde su ubicación
+      if (profesionalCubrePunto(prof, lat, lon, radiusKm)) {
+        // Distancia para la puntuación: desde su ubicación o, sin ubicación, desde el centro de su área
+        const origin = prof.latitud !== null && prof.longitud !== null
+          ? { lat: prof.latitud, lng: prof.longitud }
+          : calcularCentroArea(prof.area_servicio);
+        const distance = calculateDistance(lat, lon, origin.lat, origin.lng);
 
-      if (distance <= radiusKm) {
         // Verificar compatibilidad de especialidad
         if (!checkSpecialtyCompatibility(prof, serviceCategory)) {
           continue;
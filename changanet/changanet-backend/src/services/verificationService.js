@@ -290,6 +290,10 @@ async function approveVerification(requestId, adminId, comentario = null) {
     // Invalidar caché
     await invalidateVerificationCache(request.usuario_id);
 
+    // Registrar al profesional en las búsquedas guardadas con las que ahora coincide (sin demorar la aprobación)
+    const { recordNewlyVerified } = require('./savedSearchService');
+    recordNewlyVerified(request.usuario_id);
+
     return updatedRequest;
   } catch (error) {
     console.error('Error aprobando verificación:', error);
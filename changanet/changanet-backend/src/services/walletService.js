@@ -0,0 +1,353 @@
+/**
+ * Servicio de billetera de clientes (crédito de plataforma)
+ * Los administradores otorgan crédito como compensación o premio por referidos; el cliente lo aplica,
+ * total o parcialmente, al crear la preferencia de pago de un servicio. Si un pago con crédito se rechaza,
+ * el crédito vuelve a la billetera; si se reembolsa, la parte pagada con crédito se devuelve a la billetera
+ * y solo la parte cobrada con tarjeta vuelve por Mercado Pago.
+ *
+ * El saldo se lleva en la moneda base (currencyService.BASE_CURRENCY). Cada movimiento guarda el saldo
+ * resultante, por lo que movimientos_billetera es el historial completo de la billetera.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const logger = require('./logger');
+const { recordJournalEntry, LEDGER_ACCOUNTS } = require('./ledgerService');
+const { BASE_CURRENCY, roundAmount, toBaseCurrency, fromBaseCurrency, formatAmount } = require('./currencyService');
+
+const prisma = new PrismaClient();
+
+// Motivos por los que un administrador puede otorgar crédito
+const WALLET_GRANT_TYPES = ['compensacion', 'referido'];
+
+// Tope de cada crédito otorgado por un administrador (moneda base)
+const WALLET_MAX_GRANT_AMOUNT = parseFloat(process.env.WALLET_MAX_GRANT_AMOUNT || '100000');
+
+// Mínimo que se puede cobrar por Mercado Pago (mismo valor que mercadoPagoService.createPaymentPreference):
+// si el crédito deja un saldo a cobrar menor, se aplica menos crédito
+const MIN_PAYMENT_AMOUNT = parseFloat(process.env.MIN_PAYMENT_AMOUNT || '500');
+
+/**
+ * Registra una operación de la billetera en transactions_log
+ * @param {Object} logData - Datos a registrar
+ */
+async function logTransaction(logData) {
+  try {
+    await prisma.transactions_log.create({
+      data: logData
+    });
+  } catch (error) {
+    logger.error('Error logging wallet transaction', {
+      service: 'wallet',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Acredita un monto en la billetera (la crea si no existe) y registra el movimiento
+ * @param {Object} db - Cliente Prisma o transacción
+ * @param {string} userId - ID del cliente
+ * @param {number} amount - Monto a acreditar (moneda base)
+ * @param {Object} movement - { tipo, pago_id?, motivo?, creado_por? }
+ * @returns {Object} Movimiento creado
+ */
+async function creditWallet(db, userId, amount, movement) {
+  const wallet = await db.billeteras.upsert({
+    where: { usuario_id: userId },
+    create: { usuario_id: userId, saldo: amount },
+    update: { saldo: { increment: amount } }
+  });
+
+  return db.movimientos_billetera.create({
+    data: {
+      billetera_id: wallet.id,
+      monto: amount,
+      saldo_resultante: roundAmount(wallet.saldo),
+      ...movement
+    }
+  });
+}
+
+/**
+ * Saldo disponible de un cliente (0 si todavía no tiene billetera)
+ * @param {string} userId - ID del cliente
+ * @returns {number} Saldo en moneda base
+ */
+async function getBalance(userId) {
+  const wallet = await prisma.billeteras.findUnique({ where: { usuario_id: userId } });
+  return wallet ? roundAmount(wallet.saldo) : 0;
+}
+
+/**
+ * Billetera de un cliente con su historial de movimientos
+ * @param {string} userId - ID del cliente
+ * @param {Object} filters - { page, limit }
+ * @returns {Object} { saldo, moneda, movimientos, pagination }
+ */
+async function getWallet(userId, { page = 1, limit = 20 } = {}) {
+  const take = Math.min(parseInt(limit, 10) || 20, 100);
+  const currentPage = Math.max(parseInt(page, 10) || 1, 1);
+
+  const wallet = await prisma.billeteras.findUnique({ where: { usuario_id: userId } });
+
+  if (!wallet) {
+    return {
+      saldo: 0,
+      moneda: BASE_CURRENCY,
+      movimientos: [],
+      pagination: { page: currentPage, limit: take, total: 0, pages: 0 }
+    };
+  }
+
+  const [movements, total] = await Promise.all([
+    prisma.movimientos_billetera.findMany({
+      where: { billetera_id: wallet.id },
+      orderBy: { creado_en: 'desc' },
+      skip: (currentPage - 1) * take,
+      take
+    }),
+    prisma.movimientos_billetera.count({ where: { billetera_id: wallet.id } })
+  ]);
+
+  return {
+    saldo: roundAmount(wallet.saldo),
+    moneda: BASE_CURRENCY,
+    movimientos: movements,
+    pagination: { page: currentPage, limit: take, total, pages: Math.ceil(total / take) }
+  };
+}
+
+/**
+ * Otorga crédito de plataforma a un cliente
+ * El otorgamiento queda en transactions_log con el motivo y en el libro mayor como bonificación
+ * @param {string} userId - ID del cliente
+ * @param {Object} data - { monto, tipo, motivo }
+ * @param {string} adminId - ID del administrador
+ * @returns {Object} Movimiento creado
+ */
+async function grantCredit(userId, { monto, tipo = 'compensacion', motivo }, adminId) {
+  const amount = roundAmount(parseFloat(monto));
+
+  if (!(amount > 0) || amount > WALLET_MAX_GRANT_AMOUNT) {
+    throw new Error(`Monto inválido: debe ser mayor a 0 y no superar ${formatAmount(WALLET_MAX_GRANT_AMOUNT)}`);
+  }
+
+  if (!WALLET_GRANT_TYPES.includes(tipo)) {
+    throw new Error(`Tipo de crédito inválido. Opciones: ${WALLET_GRANT_TYPES.join(', ')}`);
+  }
+
+  const reason = typeof motivo === 'string' ? motivo.trim() : '';
+  if (reason.length < 5) {
+    throw new Error('El motivo del crédito es requerido (mínimo 5 caracteres)');
+  }
+
+  const user = await prisma.usuarios.findUnique({
+    where: { id: userId },
+    select: { id: true, rol: true }
+  });
+
+  if (!user) {
+    throw new Error('Usuario no encontrado');
+  }
+
+  if (user.rol !== 'cliente') {
+    throw new Error('Solo se puede otorgar crédito a clientes');
+  }
+
+  const movement = await prisma.$transaction(tx => creditWallet(tx, userId, amount, {
+    tipo,
+    motivo: reason,
+    creado_por: adminId
+  }));
+
+  // Libro mayor: la bonificación es un gasto de la plataforma y un pasivo con el cliente
+  await recordJournalEntry({
+    tipo: 'credito_billetera',
+    descripcion: `Crédito de ${formatAmount(amount)} otorgado al cliente ${userId} (${tipo})`,
+    entidadTipo: 'movimientos_billetera',
+    entidadId: movement.id,
+    creadoPor: adminId,
+    lineas: [
+      { cuenta: LEDGER_ACCOUNTS.BONIFICACIONES.codigo, debe: amount, usuarioId: userId },
+      { cuenta: LEDGER_ACCOUNTS.CREDITOS_CLIENTES.codigo, haber: amount, usuarioId: userId }
+    ]
+  });
+
+  await logTransaction({
+    tipo_transaccion: 'wallet_credit_granted',
+    entidad_tipo: 'movimientos_billetera',
+    entidad_id: movement.id,
+    usuario_id: adminId,
+    monto: amount,
+    detalles: {
+      clientId: userId,
+      tipo,
+      motivo: reason,
+      moneda: BASE_CURRENCY,
+      saldoResultante: movement.saldo_resultante
+    },
+    ip_address: null,
+    user_agent: null
+  });
+
+  try {
+    const { createNotification } = require('./notificationService');
+    await createNotification(
+      userId,
+      'credito_billetera',
+      `Recibiste ${formatAmount(amount)} de crédito en tu billetera. Podés usarlo en tu próximo pago.`,
+      { movementId: movement.id, amount }
+    );
+  } catch (error) {
+    logger.warn('Wallet credit notification failed', {
+      service: 'wallet',
+      userId,
+      error: error.message
+    });
+  }
+
+  logger.info('Wallet credit granted', {
+    service: 'wallet',
+    adminId,
+    userId,
+    amount,
+    tipo
+  });
+
+  return movement;
+}
+
+/**
+ * Calcula cuánto crédito de la billetera se aplica a un pago
+ * El crédito no supera el saldo ni el monto del pago; si deja un saldo a cobrar menor al mínimo
+ * de Mercado Pago, se reduce para que el resto alcance ese mínimo
+ * @param {string} clientId - ID del cliente
+ * @param {Object} params
+ * @param {number} params.amount - Monto del pago (moneda del pago)
+ * @param {string} params.currency - Moneda del pago
+ * @param {number} params.exchangeRate - Tipo de cambio del pago
+ * @param {number} [params.requestedAmount] - Crédito pedido por el cliente (moneda del pago); sin él se usa el máximo
+ * @returns {Object} { creditAmount (moneda del pago), creditBase (moneda base), chargeAmount, balance }
+ */
+async function calculateWalletCredit(clientId, { amount, currency = BASE_CURRENCY, exchangeRate = 1, requestedAmount = null }) {
+  const requested = requestedAmount === null || requestedAmount === undefined ? null : parseFloat(requestedAmount);
+
+  if (requested !== null && !(requested > 0)) {
+    throw new Error('Monto de crédito inválido: debe ser mayor a 0');
+  }
+
+  const balance = await getBalance(clientId);
+  const available = fromBaseCurrency(balance, currency, exchangeRate);
+
+  let creditAmount = roundAmount(Math.min(available, amount, requested === null ? Infinity : requested), currency);
+
+  const minCharge = roundAmount(MIN_PAYMENT_AMOUNT / exchangeRate, currency);
+  const remaining = roundAmount(amount - creditAmount, currency);
+  if (remaining > 0 && remaining < minCharge) {
+    creditAmount = roundAmount(Math.max(amount - minCharge, 0), currency);
+  }
+
+  return {
+    creditAmount,
+    creditBase: Math.min(toBaseCurrency(creditAmount, exchangeRate), balance),
+    chargeAmount: roundAmount(amount - creditAmount, currency),
+    balance
+  };
+}
+
+/**
+ * Debita de la billetera el crédito aplicado a un pago
+ * Debe ejecutarse en la misma transacción que crea el pago
+ * @param {Object} params - { clientId, paymentId, amount (moneda base) }
+ * @param {Object} db - Transacción de Prisma
+ * @returns {Object} Movimiento creado
+ */
+async function applyCredit({ clientId, paymentId, amount }, db = prisma) {
+  // El saldo se valida en la misma actualización para que dos pagos simultáneos no lo dejen negativo
+  const { count } = await db.billeteras.updateMany({
+    where: { usuario_id: clientId, saldo: { gte: amount } },
+    data: { saldo: { decrement: amount } }
+  });
+
+  if (count === 0) {
+    throw new Error('Saldo insuficiente en la billetera');
+  }
+
+  const wallet = await db.billeteras.findUnique({ where: { usuario_id: clientId } });
+
+  return db.movimientos_billetera.create({
+    data: {
+      billetera_id: wallet.id,
+      tipo: 'pago',
+      monto: -amount,
+      saldo_resultante: roundAmount(wallet.saldo),
+      pago_id: paymentId
+    }
+  });
+}
+
+/**
+ * Devuelve a la billetera el crédito de un pago rechazado o cancelado
+ * Es idempotente ante webhooks repetidos
+ * @param {string} paymentId - ID del pago
+ * @returns {Object|null} Movimiento creado o null si el pago no usó crédito
+ */
+async function restorePaymentCredit(paymentId) {
+  const movements = await prisma.movimientos_billetera.findMany({
+    where: { pago_id: paymentId, tipo: { in: ['pago', 'pago_anulado'] } },
+    include: { billetera: true }
+  });
+
+  const applied = movements.find(movement => movement.tipo === 'pago');
+  if (!applied || movements.some(movement => movement.tipo === 'pago_anulado')) {
+    return null;
+  }
+
+  const movement = await prisma.$transaction(tx => creditWallet(tx, applied.billetera.usuario_id, -applied.monto, {
+    tipo: 'pago_anulado',
+    pago_id: paymentId
+  }));
+
+  logger.info('Wallet credit restored for failed payment', {
+    service: 'wallet',
+    paymentId,
+    userId: applied.billetera.usuario_id,
+    amount: movement.monto
+  });
+
+  return movement;
+}
+
+/**
+ * Acredita en la billetera la parte de un reembolso que se había pagado con crédito
+ * @param {Object} params - { clientId, paymentId, amount (moneda del pago), exchangeRate }
+ * @returns {Object} Movimiento creado
+ */
+async function refundCreditToWallet({ clientId, paymentId, amount, exchangeRate = 1 }) {
+  const baseAmount = toBaseCurrency(amount, exchangeRate);
+
+  const movement = await prisma.$transaction(tx => creditWallet(tx, clientId, baseAmount, {
+    tipo: 'reembolso',
+    pago_id: paymentId
+  }));
+
+  logger.info('Refund credited to wallet', {
+    service: 'wallet',
+    paymentId,
+    userId: clientId,
+    amount: baseAmount
+  });
+
+  return movement;
+}
+
+module.exports = {
+  WALLET_GRANT_TYPES,
+  getBalance,
+  getWallet,
+  grantCredit,
+  calculateWalletCredit,
+  applyCredit,
+  restorePaymentCredit,
+  refundCreditToWallet
+};
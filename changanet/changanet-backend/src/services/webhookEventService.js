@@ -0,0 +1,433 @@
+/**
+ * Almacén de eventos de webhook de Mercado Pago
+ * Implementa REQ-41 (Integración pasarelas) y REQ-42 (Custodia de fondos)
+ *
+ * Cada notificación entrante se guarda (headers, cuerpo y resultado de la firma) antes de procesarse,
+ * y se procesa de forma idempotente por ID de evento: una notificación repetida por Mercado Pago no
+ * vuelve a aplicarse si ya se procesó, y una que falló a mitad de camino se reintenta automáticamente
+ * (startWebhookRetryScheduler) o desde la administración. El replay vuelve a aplicar un evento con el
+ * código actual aunque ya se haya procesado.
+ */
+
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const logger = require('./logger');
+const { logAuditEvent } = require('./auditService');
+
+const prisma = new PrismaClient();
+
+const WEBHOOK_PROVIDER = 'mercadopago';
+
+// Estados de un evento
+const EVENT_STATES = {
+  RECEIVED: 'recibido',
+  PROCESSING: 'procesando',
+  PROCESSED: 'procesado',
+  FAILED: 'fallido',
+  REJECTED: 'rechazado', // Firma inválida
+  IGNORED: 'ignorado' // Tipo de notificación que no se procesa
+};
+
+// Prefijo del ID de evento de las notificaciones con firma inválida
+const INVALID_SIGNATURE_EVENT_PREFIX = 'firma_invalida:';
+
+// Headers que no se guardan
+const REDACTED_HEADERS = ['authorization', 'cookie'];
+
+// Reintentos automáticos de eventos fallidos antes de dejarlos para revisión manual
+const WEBHOOK_MAX_AUTO_RETRIES = parseInt(process.env.WEBHOOK_MAX_AUTO_RETRIES || '5');
+
+// Frecuencia del reintento automático
+const WEBHOOK_RETRY_INTERVAL_MINUTES = parseInt(process.env.WEBHOOK_RETRY_INTERVAL_MINUTES || '5');
+
+// Minutos tras los que un evento que quedó "procesando" (p. ej. por una caída del proceso) puede retomarse
+const WEBHOOK_PROCESSING_TIMEOUT_MINUTES = 5;
+
+/**
+ * Obtiene el ID de evento de una notificación: el ID de la notificación de Mercado Pago,
+ * o el x-request-id, o un hash del cuerpo si no vienen
+ * @param {Object} headers - Headers de la solicitud
+ * @param {Object} body - Cuerpo de la notificación
+ * @returns {string} ID de evento
+ */
+function getEventId(headers, body) {
+  if (body?.id !== undefined && body?.id !== null) {
+    return String(body.id);
+  }
+
+  if (headers['x-request-id']) {
+    return `req:${headers['x-request-id']}`;
+  }
+
+  return `sha256:${crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex')}`;
+}
+
+/**
+ * Guarda una notificación entrante
+ * Si el evento ya existe (Mercado Pago reenvía la misma notificación) devuelve el guardado.
+ * Las notificaciones con firma inválida se guardan con un ID de evento propio: no reservan el ID de la
+ * notificación, así una falsificada que llega primero no convierte en duplicada a la real de Mercado Pago
+ * @param {Object} data - { headers, body, ip }
+ * @returns {Object} { event, duplicate }
+ */
+async function recordWebhookEvent({ headers, body, ip }) {
+  const { validateWebhookSignature } = require('./mercadoPagoService');
+
+  const storedHeaders = Object.fromEntries(
+    Object.entries(headers || {}).filter(([name]) => !REDACTED_HEADERS.includes(name.toLowerCase()))
+  );
+  const signatureValid = validateWebhookSignature(headers['x-signature'], headers['x-request-id'], body?.data || {});
+  const eventId = signatureValid
+    ? getEventId(headers, body)
+    : `${INVALID_SIGNATURE_EVENT_PREFIX}${getEventId(headers, body)}:${crypto.randomUUID()}`;
+
+  try {
+    const event = await prisma.eventos_webhook.create({
+      data: {
+        proveedor: WEBHOOK_PROVIDER,
+        id_evento: eventId,
+        tipo: body?.type || body?.topic || null,
+        accion: body?.action || null,
+        recurso_id: body?.data?.id !== undefined ? String(body.data.id) : null,
+        headers: storedHeaders,
+        cuerpo: body || {},
+        firma_valida: signatureValid,
+        ip_address: ip || null
+      }
+    });
+
+    return { event, duplicate: false };
+  } catch (error) {
+    if (error.code !== 'P2002') {
+      throw error;
+    }
+
+    const event = await prisma.eventos_webhook.findUnique({
+      where: { proveedor_id_evento: { proveedor: WEBHOOK_PROVIDER, id_evento: eventId } }
+    });
+
+    logger.info('Duplicate webhook event received', {
+      service: 'webhook_events',
+      eventId,
+      estado: event.estado
+    });
+
+    return { event, duplicate: true };
+  }
+}
+
+/**
+ * Toma un evento para procesarlo; solo un proceso a la vez puede tomarlo
+ * @param {string} id - ID del evento
+ * @param {string[]} states - Estados desde los que se puede tomar
+ * @returns {boolean} Si se tomó el evento
+ */
+async function claimEvent(id, states) {
+  const staleBefore = new Date(Date.now() - WEBHOOK_PROCESSING_TIMEOUT_MINUTES * 60 * 1000);
+
+  const claimed = await prisma.eventos_webhook.updateMany({
+    where: {
+      id,
+      OR: [
+        { estado: { in: states } },
+        { estado: EVENT_STATES.PROCESSING, ultimo_intento_en: { lt: staleBefore } }
+      ]
+    },
+    data: {
+      estado: EVENT_STATES.PROCESSING,
+      intentos: { increment: 1 },
+      ultimo_intento_en: new Date()
+    }
+  });
+
+  return claimed.count === 1;
+}
+
+/**
+ * Procesa un evento guardado
+ * @param {string} id - ID del evento (eventos_webhook.id)
+ * @param {Object} options - Opciones
+ * @param {boolean} options.replay - Volver a aplicar aunque ya se haya procesado
+ * @param {boolean} options.ignoreSignature - Procesar aunque la firma haya sido inválida (solo administración)
+ * @param {string} options.adminId - Administrador que pidió el reintento o replay
+ * @returns {Object} { event, processed }
+ */
+async function processWebhookEvent(id, { replay = false, ignoreSignature = false, adminId = null } = {}) {
+  const states = replay
+    ? [EVENT_STATES.RECEIVED, EVENT_STATES.FAILED, EVENT_STATES.PROCESSED, EVENT_STATES.REJECTED, EVENT_STATES.IGNORED]
+    : [EVENT_STATES.RECEIVED, EVENT_STATES.FAILED];
+
+  if (!await claimEvent(id, states)) {
+    const current = await prisma.eventos_webhook.findUnique({ where: { id } });
+    if (!current) {
+      throw new Error('Evento de webhook no encontrado');
+    }
+    return { event: current, processed: false };
+  }
+
+  const event = await prisma.eventos_webhook.findUnique({ where: { id } });
+  const finish = (data) => prisma.eventos_webhook.update({
+    where: { id },
+    data: { ...data, reprocesado_por: adminId || undefined }
+  });
+
+  if (!event.firma_valida && !ignoreSignature) {
+    logger.warn('Webhook event rejected: invalid signature', {
+      service: 'webhook_events',
+      eventId: event.id_evento,
+      ip: event.ip_address
+    });
+
+    return {
+      event: await finish({ estado: EVENT_STATES.REJECTED, ultimo_error: 'Firma del webhook inválida' }),
+      processed: true
+    };
+  }
+
+  if (event.tipo !== 'payment') {
+    return {
+      event: await finish({ estado: EVENT_STATES.IGNORED, procesado_en: new Date(), ultimo_error: null }),
+      processed: true
+    };
+  }
+
+  try {
+    const { applyPaymentNotification } = require('./mercadoPagoService');
+    const result = await applyPaymentNotification(event.cuerpo.data || {});
+
+    logger.info('Webhook event processed', {
+      service: 'webhook_events',
+      eventId: event.id_evento,
+      resourceId: event.recurso_id,
+      attempt: event.intentos,
+      replay,
+      adminId
+    });
+
+    return {
+      event: await finish({
+        estado: EVENT_STATES.PROCESSED,
+        resultado: result || null,
+        procesado_en: new Date(),
+        ultimo_error: null
+      }),
+      processed: true
+    };
+  } catch (error) {
+    logger.error('Webhook event processing error', {
+      service: 'webhook_events',
+      eventId: event.id_evento,
+      resourceId: event.recurso_id,
+      attempt: event.intentos,
+      error: error.message
+    });
+
+    return {
+      event: await finish({ estado: EVENT_STATES.FAILED, ultimo_error: error.message }),
+      processed: true
+    };
+  }
+}
+
+/**
+ * Reintenta los eventos recibidos que no se procesaron y los fallidos que no agotaron los reintentos
+ * @returns {Object} { retried, processed, failed }
+ */
+async function retryPendingWebhookEvents() {
+  const events = await prisma.eventos_webhook.findMany({
+    where: {
+      OR: [
+        // Recibidos hace más de un minuto y nunca procesados (p. ej. encolados y perdidos)
+        { estado: EVENT_STATES.RECEIVED, recibido_en: { lt: new Date(Date.now() - 60 * 1000) } },
+        { estado: EVENT_STATES.FAILED, intentos: { lt: WEBHOOK_MAX_AUTO_RETRIES } }
+      ]
+    },
+    orderBy: { recibido_en: 'asc' },
+    take: 50
+  });
+
+  const summary = { retried: 0, processed: 0, failed: 0 };
+
+  for (const pending of events) {
+    const { event, processed } = await processWebhookEvent(pending.id);
+    if (!processed) {
+      continue;
+    }
+
+    summary.retried++;
+    if (event.estado === EVENT_STATES.FAILED) {
+      summary.failed++;
+    } else {
+      summary.processed++;
+    }
+  }
+
+  if (summary.retried > 0) {
+    logger.info('Pending webhook events retried', {
+      service: 'webhook_events',
+      ...summary
+    });
+  }
+
+  return summary;
+}
+
+/**
+ * Inicia el reintento periódico de eventos pendientes o fallidos
+ */
+function startWebhookRetryScheduler() {
+  const run = () => retryPendingWebhookEvents().catch(error => {
+    logger.error('Webhook retry scheduler error', {
+      service: 'webhook_events',
+      error: error.message
+    });
+  });
+
+  setTimeout(run, 60000); // Esperar 1 minuto para iniciar
+  setInterval(run, WEBHOOK_RETRY_INTERVAL_MINUTES * 60 * 1000);
+}
+
+/**
+ * Lista eventos de webhook
+ * @param {Object} filters - { estado, tipo, recursoId, page, limit }
+ * @returns {Object} { events, pagination }
+ */
+async function listWebhookEvents(filters = {}) {
+  const take = Math.min(parseInt(filters.limit, 10) || 20, 100);
+  const skip = (Math.max(parseInt(filters.page, 10) || 1, 1) - 1) * take;
+
+  const where = {};
+  if (filters.estado) where.estado = filters.estado;
+  if (filters.tipo) where.tipo = filters.tipo;
+  if (filters.recursoId) where.recurso_id = String(filters.recursoId);
+
+  const [events, total] = await Promise.all([
+    prisma.eventos_webhook.findMany({
+      where,
+      select: {
+        id: true,
+        proveedor: true,
+        id_evento: true,
+        tipo: true,
+        accion: true,
+        recurso_id: true,
+        firma_valida: true,
+        estado: true,
+        intentos: true,
+        ultimo_error: true,
+        recibido_en: true,
+        procesado_en: true,
+        ultimo_intento_en: true
+      },
+      orderBy: { recibido_en: 'desc' },
+      skip,
+      take
+    }),
+    prisma.eventos_webhook.count({ where })
+  ]);
+
+  return {
+    events,
+    pagination: {
+      page: Math.floor(skip / take) + 1,
+      limit: take,
+      total,
+      pages: Math.ceil(total / take)
+    }
+  };
+}
+
+/**
+ * Obtiene un evento con sus headers, cuerpo y resultado
+ * @param {string} id - ID del evento
+ * @returns {Object} Evento
+ */
+async function getWebhookEvent(id) {
+  const event = await prisma.eventos_webhook.findUnique({ where: { id } });
+
+  if (!event) {
+    throw new Error('Evento de webhook no encontrado');
+  }
+
+  return event;
+}
+
+/**
+ * Reintenta un evento fallido o sin procesar (solo administración)
+ * @param {string} id - ID del evento
+ * @param {string} adminId - ID del administrador
+ * @returns {Object} Evento actualizado
+ */
+async function retryWebhookEvent(id, adminId) {
+  const current = await getWebhookEvent(id);
+
+  if (![EVENT_STATES.RECEIVED, EVENT_STATES.FAILED].includes(current.estado)) {
+    throw new Error(`Solo se pueden reintentar eventos recibidos o fallidos (estado actual: ${current.estado})`);
+  }
+
+  const { event, processed } = await processWebhookEvent(id, { adminId });
+  if (!processed) {
+    throw new Error('El evento se está procesando en este momento');
+  }
+
+  await logAuditEvent({
+    usuario_id: adminId,
+    accion: 'retry_webhook_event',
+    entidad_tipo: 'eventos_webhook',
+    entidad_id: id,
+    detalles: { id_evento: event.id_evento, estado: event.estado, intentos: event.intentos },
+    exito: event.estado !== EVENT_STATES.FAILED,
+    error_mensaje: event.estado === EVENT_STATES.FAILED ? event.ultimo_error : null
+  });
+
+  return event;
+}
+
+/**
+ * Vuelve a aplicar un evento con el código actual, aunque ya se haya procesado (solo administración)
+ * @param {string} id - ID del evento
+ * @param {string} adminId - ID del administrador
+ * @param {Object} options - { ignoreSignature }
+ * @returns {Object} Evento actualizado
+ */
+async function replayWebhookEvent(id, adminId, { ignoreSignature = false } = {}) {
+  await getWebhookEvent(id);
+
+  const { event, processed } = await processWebhookEvent(id, { replay: true, ignoreSignature, adminId });
+  if (!processed) {
+    throw new Error('El evento se está procesando en este momento');
+  }
+
+  await logAuditEvent({
+    usuario_id: adminId,
+    accion: 'replay_webhook_event',
+    entidad_tipo: 'eventos_webhook',
+    entidad_id: id,
+    detalles: { id_evento: event.id_evento, estado: event.estado, intentos: event.intentos, ignoreSignature },
+    exito: event.estado !== EVENT_STATES.FAILED,
+    error_mensaje: event.estado === EVENT_STATES.FAILED ? event.ultimo_error : null
+  });
+
+  logger.warn('Webhook event replayed', {
+    service: 'webhook_events',
+    eventId: event.id_evento,
+    adminId,
+    ignoreSignature,
+    estado: event.estado
+  });
+
+  return event;
+}
+
+module.exports = {
+  EVENT_STATES,
+  getEventId,
+  recordWebhookEvent,
+  processWebhookEvent,
+  retryPendingWebhookEvents,
+  startWebhookRetryScheduler,
+  listWebhookEvents,
+  getWebhookEvent,
+  retryWebhookEvent,
+  replayWebhookEvent
+};
@@ -6,6 +6,8 @@
 
 const { PrismaClient } = require('@prisma/client');
 const logger = require('./logger');
+const { recordJournalEntry, LEDGER_ACCOUNTS } = require('./ledgerService');
+const { BASE_CURRENCY, getExchangeRate, roundAmount } = require('./currencyService');
 
 const prisma = new PrismaClient();
 
@@ -18,15 +20,41 @@ const prisma = new PrismaClient();
 async function calculateAvailableFunds(professionalId) {
   try {
     // Suma de pagos liberados (con comisión ya deducida) menos retiros previos
+    // Los pagos en efectivo los cobró el profesional en mano: no generan fondos para retirar
+    const { CASH_PAYMENT_METHOD } = require('./cashPaymentService');
     const payments = await prisma.pagos.findMany({
       where: {
         profesional_id: professionalId,
-        estado: 'liberado'
+        estado: 'liberado',
+        OR: [{ metodo_pago: null }, { metodo_pago: { not: CASH_PAYMENT_METHOD } }]
       },
       select: { monto_profesional: true }
     });
 
-    const totalEarned = payments.reduce((sum, payment) => sum + payment.monto_profesional, 0);
+    // Hitos ya liberados de pagos que todavía tienen otros hitos en custodia
+    const { getReleasedMilestoneEarnings } = require('./milestoneService');
+    const milestoneEarnings = await getReleasedMilestoneEarnings(professionalId);
+
+    // Propinas pagadas (se liquidan al aprobarse, ver tipService)
+    const tips = await prisma.propinas.aggregate({
+      where: {
+        profesional_id: professionalId,
+        estado: 'aprobado'
+      },
+      _sum: { monto_profesional: true }
+    });
+
+    // Deudas de comisión de pagos en efectivo ya descontadas de los payouts
+    const offsets = await prisma.payouts.aggregate({
+      where: {
+        profesional_id: professionalId,
+        estado: { not: 'cancelado' }
+      },
+      _sum: { compensacion_comisiones: true }
+    });
+
+    const totalEarned = payments.reduce((sum, payment) => sum + payment.monto_profesional, 0) +
+      milestoneEarnings + (tips._sum.monto_profesional || 0) - (offsets._sum.compensacion_comisiones || 0);
 
     // Restar retiros completados
     const completedWithdrawals = await prisma.retiros.findMany({
@@ -64,13 +92,16 @@ async function createWithdrawalRequest(professionalId, bankAccountId, amount) {
     // Verificar que el usuario sea profesional
     const professional = await prisma.usuarios.findUnique({
       where: { id: professionalId },
-      select: { rol: true, nombre: true, email: true }
+      select: { rol: true, nombre: true, email: true, perfil_profesional: { select: { moneda: true } } }
     });
 
     if (!professional || professional.rol !== 'profesional') {
       throw new Error('Solo los profesionales pueden solicitar retiros');
     }
 
+    // Los fondos del profesional están en la moneda de sus payouts (la de su perfil)
+    const currency = professional.perfil_profesional?.moneda || BASE_CURRENCY;
+
     // Verificar que la cuenta bancaria pertenezca al profesional y esté verificada
     const bankAccount = await prisma.cuentas_bancarias.findFirst({
       where: {
@@ -85,23 +116,24 @@ async function createWithdrawalRequest(professionalId, bankAccountId, amount) {
       throw new Error('Cuenta bancaria no encontrada o no verificada');
     }
 
-    // REQ-44: Validar límites de retiro
-    const minWithdrawal = parseFloat(process.env.MIN_WITHDRAWAL_AMOUNT || '100'); // Mínimo $100 ARS
-    const maxWithdrawal = parseFloat(process.env.MAX_WITHDRAWAL_AMOUNT || '50000'); // Máximo $50,000 ARS
+    // REQ-44: Validar límites de retiro (en moneda base, convertidos a la moneda del profesional)
+    const { tasa } = await getExchangeRate(currency);
+    const minWithdrawal = roundAmount(parseFloat(process.env.MIN_WITHDRAWAL_AMOUNT || '100') / tasa, currency); // Mínimo $100 ARS
+    const maxWithdrawal = roundAmount(parseFloat(process.env.MAX_WITHDRAWAL_AMOUNT || '50000') / tasa, currency); // Máximo $50,000 ARS
 
     if (amount < minWithdrawal) {
-      throw new Error(`El monto mínimo de retiro es ${minWithdrawal} ARS`);
+      throw new Error(`El monto mínimo de retiro es ${minWithdrawal} ${currency}`);
     }
 
     if (amount > maxWithdrawal) {
-      throw new Error(`El monto máximo de retiro es ${maxWithdrawal} ARS`);
+      throw new Error(`El monto máximo de retiro es ${maxWithdrawal} ${currency}`);
     }
 
     // Calcular fondos disponibles
     const availableFunds = await calculateAvailableFunds(professionalId);
 
     if (availableFunds < amount) {
-      throw new Error(`Fondos insuficientes. Disponible: ${availableFunds} ARS`);
+      throw new Error(`Fondos insuficientes. Disponible: ${availableFunds} ${currency}`);
     }
 
     // Verificar que no haya retiros pendientes
@@ -122,6 +154,7 @@ async function createWithdrawalRequest(professionalId, bankAccountId, amount) {
         profesional_id: professionalId,
         cuenta_bancaria_id: bankAccountId,
         monto: amount,
+        moneda: currency,
         estado: 'pendiente'
       },
       include: {
@@ -157,7 +190,7 @@ async function createWithdrawalRequest(professionalId, bankAccountId, amount) {
     await createNotification(
       professionalId,
       'retiro_solicitado',
-      `Tu solicitud de retiro de ${amount} ARS ha sido registrada y está siendo procesada.`,
+      `Tu solicitud de retiro de ${amount} ${currency} ha sido registrada y está siendo procesada.`,
       {
         withdrawalId: withdrawal.id,
         amount,
@@ -177,6 +210,7 @@ async function createWithdrawalRequest(professionalId, bankAccountId, amount) {
     return {
       id: withdrawal.id,
       monto: withdrawal.monto,
+      moneda: withdrawal.moneda,
       estado: withdrawal.estado,
       fecha_solicitud: withdrawal.fecha_solicitud,
       cuenta_bancaria: withdrawal.cuenta_bancaria
@@ -282,7 +316,7 @@ async function processWithdrawal(withdrawalId, adminId, action, reason = null) {
       updateData.referencia_bancaria = `REF_${Date.now()}`;
 
       notificationType = 'retiro_aprobado';
-      notificationMessage = `Tu retiro de ${withdrawal.monto} ARS ha sido aprobado y está siendo procesado.`;
+      notificationMessage = `Tu retiro de ${withdrawal.monto} ${withdrawal.moneda} ha sido aprobado y está siendo procesado.`;
 
     } else if (action === 'reject') {
       if (!reason) {
@@ -293,7 +327,7 @@ async function processWithdrawal(withdrawalId, adminId, action, reason = null) {
       updateData.motivo_rechazo = reason;
 
       notificationType = 'retiro_rechazado';
-      notificationMessage = `Tu retiro de ${withdrawal.monto} ARS ha sido rechazado. Motivo: ${reason}`;
+      notificationMessage = `Tu retiro de ${withdrawal.monto} ${withdrawal.moneda} ha sido rechazado. Motivo: ${reason}`;
 
     } else {
       throw new Error('Acción inválida. Debe ser "approve" o "reject"');
@@ -314,6 +348,22 @@ async function processWithdrawal(withdrawalId, adminId, action, reason = null) {
       }
     });
 
+    // Libro mayor: al aprobarse, el monto sale del saldo del profesional y queda en tránsito bancario
+    if (action === 'approve') {
+      await recordJournalEntry({
+        tipo: 'retiro_aprobado',
+        descripcion: `Retiro de $${withdrawal.monto} aprobado hacia ${withdrawal.cuenta_bancaria.banco}`,
+        entidadTipo: 'retiros',
+        entidadId: withdrawalId,
+        creadoPor: adminId,
+        moneda: withdrawal.moneda,
+        lineas: [
+          { cuenta: LEDGER_ACCOUNTS.SALDO_PROFESIONALES.codigo, debe: withdrawal.monto, usuarioId: withdrawal.profesional_id },
+          { cuenta: LEDGER_ACCOUNTS.PAGOS_BANCARIOS.codigo, haber: withdrawal.monto, usuarioId: withdrawal.profesional_id }
+        ]
+      });
+    }
+
     // Log de auditoría
     await logTransaction({
       tipo_transaccion: action === 'approve' ? 'withdrawal_approved' : 'withdrawal_rejected',
@@ -369,12 +419,13 @@ async function processWithdrawal(withdrawalId, adminId, action, reason = null) {
 }
 
 /**
- * Completa un retiro procesado (simula recepción bancaria)
+ * Completa un retiro procesado (recepción bancaria manual o respuesta de un lote)
  * @param {string} withdrawalId - ID del retiro
  * @param {string} adminId - ID del admin
+ * @param {string} bankReference - Referencia informada por el banco (opcional)
  * @returns {Object} Retiro completado
  */
-async function completeWithdrawal(withdrawalId, adminId) {
+async function completeWithdrawal(withdrawalId, adminId, bankReference = null) {
   try {
     const withdrawal = await prisma.retiros.findUnique({
       where: { id: withdrawalId },
@@ -402,10 +453,25 @@ async function completeWithdrawal(withdrawalId, adminId) {
       data: {
         estado: 'completado',
         procesado_por: adminId,
-        procesado_en: new Date()
+        procesado_en: new Date(),
+        ...(bankReference ? { referencia_bancaria: bankReference } : {})
       }
     });
 
+    // Libro mayor: la transferencia se acreditó y el dinero sale de caja
+    await recordJournalEntry({
+      tipo: 'retiro_completado',
+      descripcion: `Transferencia de $${withdrawal.monto} acreditada en ${withdrawal.cuenta_bancaria.banco}`,
+      entidadTipo: 'retiros',
+      entidadId: withdrawalId,
+      creadoPor: adminId,
+      moneda: withdrawal.moneda,
+      lineas: [
+        { cuenta: LEDGER_ACCOUNTS.PAGOS_BANCARIOS.codigo, debe: withdrawal.monto, usuarioId: withdrawal.profesional_id },
+        { cuenta: LEDGER_ACCOUNTS.CAJA.codigo, haber: withdrawal.monto }
+      ]
+    });
+
     // Log de auditoría
     await logTransaction({
       tipo_transaccion: 'withdrawal_completed',
@@ -426,7 +492,7 @@ async function completeWithdrawal(withdrawalId, adminId) {
     await createNotification(
       withdrawal.profesional_id,
       'retiro_completado',
-      `Tu retiro de ${withdrawal.monto} ARS a ${withdrawal.cuenta_bancaria.banco} (${withdrawal.cuenta_bancaria.alias}) ha sido completado exitosamente.`,
+      `Tu retiro de ${withdrawal.monto} ${withdrawal.moneda} a ${withdrawal.cuenta_bancaria.banco} (${withdrawal.cuenta_bancaria.alias}) ha sido completado exitosamente.`,
       {
         withdrawalId,
         amount: withdrawal.monto,
@@ -455,6 +521,113 @@ async function completeWithdrawal(withdrawalId, adminId) {
   }
 }
 
+/**
+ * Marca como fallido un retiro procesado que el banco no pudo acreditar
+ * El monto vuelve al saldo disponible del profesional
+ * @param {string} withdrawalId - ID del retiro
+ * @param {string} adminId - ID del admin
+ * @param {string} reason - Motivo informado por el banco
+ * @returns {Object} Retiro fallido
+ */
+async function failWithdrawal(withdrawalId, adminId, reason) {
+  try {
+    const withdrawal = await prisma.retiros.findUnique({
+      where: { id: withdrawalId },
+      include: {
+        profesional: { select: { nombre: true, email: true } },
+        cuenta_bancaria: {
+          select: {
+            banco: true,
+            alias: true
+          }
+        }
+      }
+    });
+
+    if (!withdrawal) {
+      throw new Error('Solicitud de retiro no encontrada');
+    }
+
+    if (withdrawal.estado !== 'procesando') {
+      throw new Error('El retiro debe estar en estado "procesando" para marcarse como fallido');
+    }
+
+    const failedWithdrawal = await prisma.retiros.update({
+      where: { id: withdrawalId },
+      data: {
+        estado: 'fallido',
+        motivo_rechazo: reason,
+        procesado_por: adminId,
+        procesado_en: new Date()
+      }
+    });
+
+    // Libro mayor: la transferencia no salió y el monto vuelve al saldo del profesional
+    await recordJournalEntry({
+      tipo: 'retiro_fallido',
+      descripcion: `Transferencia de $${withdrawal.monto} rechazada por ${withdrawal.cuenta_bancaria.banco}`,
+      entidadTipo: 'retiros',
+      entidadId: withdrawalId,
+      creadoPor: adminId,
+      moneda: withdrawal.moneda,
+      lineas: [
+        { cuenta: LEDGER_ACCOUNTS.PAGOS_BANCARIOS.codigo, debe: withdrawal.monto, usuarioId: withdrawal.profesional_id },
+        { cuenta: LEDGER_ACCOUNTS.SALDO_PROFESIONALES.codigo, haber: withdrawal.monto, usuarioId: withdrawal.profesional_id }
+      ]
+    });
+
+    // Log de auditoría
+    await logTransaction({
+      tipo_transaccion: 'withdrawal_failed',
+      entidad_tipo: 'retiros',
+      entidad_id: withdrawalId,
+      usuario_id: adminId,
+      monto: withdrawal.monto,
+      exito: false,
+      error_mensaje: reason,
+      detalles: {
+        banco: withdrawal.cuenta_bancaria.banco,
+        profesional: withdrawal.profesional.nombre
+      },
+      ip_address: null,
+      user_agent: null
+    });
+
+    // Notificar al profesional
+    const { createNotification } = require('./notificationService');
+    await createNotification(
+      withdrawal.profesional_id,
+      'retiro_fallido',
+      `Tu retiro de ${withdrawal.monto} ${withdrawal.moneda} a ${withdrawal.cuenta_bancaria.banco} no pudo acreditarse. Motivo: ${reason}. El monto vuelve a estar disponible.`,
+      {
+        withdrawalId,
+        amount: withdrawal.monto,
+        banco: withdrawal.cuenta_bancaria.banco,
+        reason
+      }
+    );
+
+    logger.warn('Withdrawal failed at bank', {
+      service: 'withdrawals',
+      adminId,
+      withdrawalId,
+      amount: withdrawal.monto,
+      reason
+    });
+
+    return failedWithdrawal;
+
+  } catch (error) {
+    logger.error('Error failing withdrawal', {
+      service: 'withdrawals',
+      adminId,
+      withdrawalId,
+      error: error.message
+    });
+    throw error;
+  }
+}
+
 /**
  * Obtiene todas las solicitudes de retiro pendientes (solo admins)
  * @returns {Array} Lista de retiros pendientes
@@ -514,6 +687,7 @@ module.exports = {
   getWithdrawalRequests,
   processWithdrawal,
   completeWithdrawal,
+  failWithdrawal,
   getPendingWithdrawals,
   calculateAvailableFunds,
 };
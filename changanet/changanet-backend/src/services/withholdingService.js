@@ -0,0 +1,415 @@
+/**
+ * Servicio de retenciones impositivas y resúmenes anuales de ingresos
+ * Implementa REQ-43 (Comisiones) - Retenciones de Ganancias e IIBB sobre los cobros de los profesionales
+ *
+ * Las reglas (reglas_retencion) definen un porcentaje por impuesto y categoría fiscal del profesional.
+ * payoutService.createPayout aplica las reglas vigentes sobre lo que cobra el profesional (bruto menos
+ * comisión) y guarda lo retenido en el payout, de modo que monto_neto ya llega descontado.
+ * El resumen anual agrupa los payouts por mes para que el profesional declare sus ingresos.
+ */
+
+const PDFDocument = require('pdfkit');
+const { PrismaClient } = require('@prisma/client');
+const logger = require('./logger');
+const { logAuditEvent } = require('./auditService');
+const { IVA_CONDITIONS } = require('./invoiceService');
+
+const prisma = new PrismaClient();
+
+const WITHHOLDING_TAXES = ['ganancias', 'iibb'];
+
+const TAX_TEXT = {
+  ganancias: 'Ganancias',
+  iibb: 'Ingresos Brutos'
+};
+
+// Categoría de los profesionales que no cargaron datos fiscales
+const NO_FISCAL_DATA_CATEGORY = 'sin_datos_fiscales';
+
+const FISCAL_CATEGORIES = [...IVA_CONDITIONS, NO_FISCAL_DATA_CATEGORY];
+
+// Payouts que cuentan como ingreso del profesional (incluye los ajustes negativos por reembolso)
+const STATEMENT_PAYOUT_STATES = ['pendiente', 'procesando', 'completado'];
+
+const STATEMENT_FORMATS = ['json', 'csv', 'pdf'];
+
+const MONTH_NAMES = [
+  'Enero', 'Febrero', 'Marzo', 'Abril', 'Mayo', 'Junio',
+  'Julio', 'Agosto', 'Septiembre', 'Octubre', 'Noviembre', 'Diciembre'
+];
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Lista las reglas de retención
+ * @returns {Array} Reglas ordenadas por impuesto y categoría
+ */
+async function listRules() {
+  return prisma.reglas_retencion.findMany({
+    orderBy: [{ impuesto: 'asc' }, { categoria_fiscal: 'asc' }]
+  });
+}
+
+/**
+ * Crea o actualiza la regla de un impuesto para una categoría fiscal
+ * @param {Object} data - { impuesto, categoria_fiscal, porcentaje, minimo_no_imponible?, activa? }
+ * @param {string} adminId - ID del administrador
+ * @returns {Object} Regla guardada
+ */
+async function upsertRule({ impuesto, categoria_fiscal, porcentaje, minimo_no_imponible, activa }, adminId) {
+  if (!WITHHOLDING_TAXES.includes(impuesto)) {
+    throw new Error(`Impuesto inválido. Opciones: ${WITHHOLDING_TAXES.join(', ')}`);
+  }
+
+  if (!FISCAL_CATEGORIES.includes(categoria_fiscal)) {
+    throw new Error(`Categoría fiscal inválida. Opciones: ${FISCAL_CATEGORIES.join(', ')}`);
+  }
+
+  if (typeof porcentaje !== 'number' || porcentaje < 0 || porcentaje > 100) {
+    throw new Error('El porcentaje es inválido: debe ser un número entre 0 y 100');
+  }
+
+  if (minimo_no_imponible !== undefined && (typeof minimo_no_imponible !== 'number' || minimo_no_imponible < 0)) {
+    throw new Error('El mínimo no imponible es inválido: debe ser un número mayor o igual a 0');
+  }
+
+  const data = {
+    porcentaje,
+    ...(minimo_no_imponible !== undefined && { minimo_no_imponible }),
+    ...(activa !== undefined && { activa: Boolean(activa) }),
+    actualizado_por: adminId
+  };
+
+  const rule = await prisma.reglas_retencion.upsert({
+    where: { impuesto_categoria_fiscal: { impuesto, categoria_fiscal } },
+    create: { impuesto, categoria_fiscal, ...data },
+    update: data
+  });
+
+  await logAuditEvent({
+    usuario_id: adminId,
+    accion: 'update_withholding_rule',
+    entidad_tipo: 'reglas_retencion',
+    entidad_id: rule.id,
+    detalles: { impuesto, categoria_fiscal, porcentaje, minimo_no_imponible, activa: rule.activa }
+  });
+
+  logger.info('Withholding rule updated', {
+    service: 'withholdings',
+    adminId,
+    impuesto,
+    categoria_fiscal,
+    porcentaje
+  });
+
+  return rule;
+}
+
+/**
+ * Categoría fiscal de un profesional según sus datos fiscales
+ * @param {string} professionalId - ID del profesional
+ * @returns {string} Condición frente al IVA o "sin_datos_fiscales"
+ */
+async function getFiscalCategory(professionalId) {
+  const fiscalData = await prisma.datos_fiscales.findUnique({
+    where: { usuario_id: professionalId },
+    select: { condicion_iva: true }
+  });
+
+  return fiscalData?.condicion_iva || NO_FISCAL_DATA_CATEGORY;
+}
+
+/**
+ * Calcula las retenciones a aplicar sobre un cobro del profesional
+ * @param {string} professionalId - ID del profesional
+ * @param {number} taxableAmount - Monto sujeto a retención (bruto menos comisión)
+ * @returns {Object} { categoria_fiscal, total, detalle: [{ impuesto, porcentaje, monto }] }
+ */
+async function calculateWithholdings(professionalId, taxableAmount) {
+  const category = await getFiscalCategory(professionalId);
+
+  if (!(taxableAmount > 0)) {
+    return { categoria_fiscal: category, total: 0, detalle: [] };
+  }
+
+  const rules = await prisma.reglas_retencion.findMany({
+    where: { categoria_fiscal: category, activa: true }
+  });
+
+  const detail = rules
+    .filter(rule => rule.porcentaje > 0 && taxableAmount > rule.minimo_no_imponible)
+    .map(rule => ({
+      impuesto: rule.impuesto,
+      porcentaje: rule.porcentaje,
+      monto: round2(taxableAmount * rule.porcentaje / 100)
+    }));
+
+  return {
+    categoria_fiscal: category,
+    total: round2(detail.reduce((total, item) => total + item.monto, 0)),
+    detalle: detail
+  };
+}
+
+/**
+ * Parte de las retenciones de un payout que corresponde a un monto revertido
+ * Se usa al ajustar un payout por reembolso para devolver lo retenido en la misma proporción
+ * @param {Object} payout - Payout original
+ * @param {number} reversedAmount - Monto del profesional revertido (antes de retenciones)
+ * @returns {Object} { total, detalle }
+ */
+function getProportionalWithholdings(payout, reversedAmount) {
+  const taxableAmount = payout ? payout.monto_bruto - payout.comision_plataforma : 0;
+
+  if (!payout?.retenciones || !(taxableAmount > 0)) {
+    return { total: 0, detalle: [] };
+  }
+
+  const ratio = Math.min(reversedAmount / taxableAmount, 1);
+  const detail = (payout.detalle_retenciones || []).map(item => ({
+    ...item,
+    monto: round2(item.monto * ratio)
+  }));
+
+  return {
+    total: round2(payout.retenciones * ratio),
+    detalle: detail
+  };
+}
+
+/**
+ * Resumen anual de ingresos de un profesional, mes por mes
+ * @param {string} professionalId - ID del profesional
+ * @param {number} year - Año
+ * @returns {Object} { anio, profesional, meses, totales }
+ */
+async function getAnnualStatement(professionalId, year) {
+  const statementYear = parseInt(year, 10);
+  if (!statementYear || statementYear < 2000 || statementYear > new Date().getFullYear()) {
+    throw new Error('Año inválido');
+  }
+
+  const [professional, fiscalData, payouts] = await Promise.all([
+    prisma.usuarios.findUnique({
+      where: { id: professionalId },
+      select: { nombre: true, email: true }
+    }),
+    prisma.datos_fiscales.findUnique({ where: { usuario_id: professionalId } }),
+    prisma.payouts.findMany({
+      where: {
+        profesional_id: professionalId,
+        estado: { in: STATEMENT_PAYOUT_STATES },
+        creado_en: { gte: new Date(statementYear, 0, 1), lt: new Date(statementYear + 1, 0, 1) }
+      },
+      select: {
+        monto_bruto: true,
+        comision_plataforma: true,
+        retenciones: true,
+        detalle_retenciones: true,
+        monto_neto: true,
+        creado_en: true
+      }
+    })
+  ]);
+
+  if (!professional) {
+    throw new Error('Profesional no encontrado');
+  }
+
+  const emptyTotals = () => ({
+    cantidad_payouts: 0,
+    monto_bruto: 0,
+    comision: 0,
+    retenciones: Object.fromEntries(WITHHOLDING_TAXES.map(tax => [tax, 0])),
+    total_retenciones: 0,
+    monto_neto: 0
+  });
+
+  const months = MONTH_NAMES.map((name, index) => ({
+    mes: index + 1,
+    nombre: name,
+    periodo: `${statementYear}-${String(index + 1).padStart(2, '0')}`,
+    ...emptyTotals()
+  }));
+  const totals = emptyTotals();
+
+  for (const payout of payouts) {
+    const month = months[new Date(payout.creado_en).getMonth()];
+
+    for (const row of [month, totals]) {
+      row.cantidad_payouts += 1;
+      row.monto_bruto += payout.monto_bruto;
+      row.comision += payout.comision_plataforma;
+      row.total_retenciones += payout.retenciones || 0;
+      row.monto_neto += payout.monto_neto;
+      for (const item of payout.detalle_retenciones || []) {
+        row.retenciones[item.impuesto] = (row.retenciones[item.impuesto] || 0) + item.monto;
+      }
+    }
+  }
+
+  for (const row of [...months, totals]) {
+    row.monto_bruto = round2(row.monto_bruto);
+    row.comision = round2(row.comision);
+    row.total_retenciones = round2(row.total_retenciones);
+    row.monto_neto = round2(row.monto_neto);
+    for (const tax of Object.keys(row.retenciones)) {
+      row.retenciones[tax] = round2(row.retenciones[tax]);
+    }
+  }
+
+  return {
+    anio: statementYear,
+    profesional: {
+      nombre: fiscalData?.razon_social || professional.nombre,
+      email: professional.email,
+      cuit: fiscalData?.cuit || null,
+      categoria_fiscal: fiscalData?.condicion_iva || NO_FISCAL_DATA_CATEGORY
+    },
+    meses: months,
+    totales: totals
+  };
+}
+
+/**
+ * Genera el CSV del resumen anual (una fila por mes y una de totales)
+ * @param {Object} statement - Resumen de getAnnualStatement
+ * @returns {string} CSV
+ */
+function generateStatementCsv(statement) {
+  const header = [
+    'periodo',
+    'cantidad_payouts',
+    'monto_bruto',
+    'comision',
+    ...WITHHOLDING_TAXES.map(tax => `retencion_${tax}`),
+    'total_retenciones',
+    'monto_neto'
+  ];
+
+  const toRow = (periodo, row) => [
+    periodo,
+    row.cantidad_payouts,
+    row.monto_bruto.toFixed(2),
+    row.comision.toFixed(2),
+    ...WITHHOLDING_TAXES.map(tax => (row.retenciones[tax] || 0).toFixed(2)),
+    row.total_retenciones.toFixed(2),
+    row.monto_neto.toFixed(2)
+  ];
+
+  const rows = [
+    header,
+    ...statement.meses.map(month => toRow(month.periodo, month)),
+    toRow('total', statement.totales)
+  ];
+
+  return rows.map(row => row.join(',')).join('\n') + '\n';
+}
+
+/**
+ * Genera el PDF del resumen anual
+ * @param {Object} statement - Resumen de getAnnualStatement
+ * @returns {Promise<Buffer>} PDF
+ */
+function generateStatementPdf(statement) {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const buffers = [];
+  doc.on('data', buffers.push.bind(buffers));
+
+  const formatAmount = (value) => `$${value.toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+  // Encabezado
+  doc.fontSize(18).font('Helvetica-Bold').text(`RESUMEN ANUAL DE INGRESOS ${statement.anio}`, { align: 'center' });
+  doc.moveDown();
+  doc.fontSize(10).font('Helvetica');
+  doc.text(statement.profesional.nombre);
+  if (statement.profesional.cuit) {
+    doc.text(`CUIT: ${statement.profesional.cuit}`);
+  }
+  doc.text(statement.profesional.email);
+  doc.moveDown();
+
+  // Detalle mensual
+  const columns = [
+    { label: 'Mes', x: 50, width: 70, align: 'left' },
+    { label: 'Bruto', x: 120, width: 80 },
+    { label: 'Comisión', x: 200, width: 70 },
+    ...WITHHOLDING_TAXES.map((tax, index) => ({ label: `Ret. ${TAX_TEXT[tax]}`, x: 270 + index * 75, width: 75 })),
+    { label: 'Neto', x: 420, width: 80 }
+  ];
+
+  const drawRow = (values, bold = false) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    columns.forEach((column, index) => {
+      doc.text(values[index], column.x, y, { width: column.width, align: column.align || 'right' });
+    });
+    doc.x = 50;
+    doc.moveDown(0.5);
+  };
+
+  const amounts = (row) => [
+    formatAmount(row.monto_bruto),
+    formatAmount(row.comision),
+    ...WITHHOLDING_TAXES.map(tax => formatAmount(row.retenciones[tax] || 0)),
+    formatAmount(row.monto_neto)
+  ];
+
+  doc.fontSize(9);
+  drawRow(columns.map(column => column.label), true);
+  statement.meses.forEach(month => drawRow([month.nombre, ...amounts(month)]));
+  drawRow(['Total', ...amounts(statement.totales)], true);
+
+  doc.moveDown(2);
+  doc.fontSize(8).font('Helvetica').text(
+    'Importes liberados al profesional en el año, incluidos los ajustes por reembolsos. ' +
+    'Generado automáticamente por el sistema Changánet.',
+    50, doc.y, { align: 'center' }
+  );
+
+  doc.end();
+
+  return new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(buffers)));
+    doc.on('error', reject);
+  });
+}
+
+/**
+ * Genera el archivo del resumen anual en el formato pedido
+ * @param {string} professionalId - ID del profesional
+ * @param {number} year - Año
+ * @param {string} format - "csv" o "pdf"
+ * @returns {Object} { fileName, contentType, buffer }
+ */
+async function getStatementFile(professionalId, year, format) {
+  if (!['csv', 'pdf'].includes(format)) {
+    throw new Error('Formato inválido. Opciones: csv, pdf');
+  }
+
+  const statement = await getAnnualStatement(professionalId, year);
+  const fileName = `resumen_ingresos_${statement.anio}.${format}`;
+
+  if (format === 'csv') {
+    return { fileName, contentType: 'text/csv; charset=utf-8', buffer: Buffer.from(generateStatementCsv(statement), 'utf8') };
+  }
+
+  return { fileName, contentType: 'application/pdf', buffer: await generateStatementPdf(statement) };
+}
+
+module.exports = {
+  WITHHOLDING_TAXES,
+  FISCAL_CATEGORIES,
+  STATEMENT_FORMATS,
+  listRules,
+  upsertRule,
+  getFiscalCategory,
+  calculateWithholdings,
+  getProportionalWithholdings,
+  getAnnualStatement,
+  generateStatementCsv,
+  generateStatementPdf,
+  getStatementFile
+};
@@ -10,6 +10,11 @@ const {
     calcularPuntoDestino,
     estaDentroDelRadio,
     calcularBoundingBox,
+    normalizarAreaServicio,
+    puntoEnPoligono,
+    puntoEnAreaServicio,
+    calcularCentroArea,
+    profesionalCubrePunto,
     prepararConsultaFullText,
     calcularRelevancia
 } = require('../utils/geospatial');
@@ -238,6 +243,72 @@ describe('Utilidades Geoespaciales - Cobertura Completa', () => {
         });
     });
 
+    describe('Áreas de servicio', () => {
+        // Cuadrados aproximados sobre Palermo y Belgrano (GeoJSON: [lng, lat])
+        const palermo = [[[-58.44, -34.59], [-58.41, -34.59], [-58.41, -34.57], [-58.44, -34.57], [-58.44, -34.59]]];
+        const belgrano = [[[-58.47, -34.57], [-58.44, -34.57], [-58.44, -34.55], [-58.47, -34.55], [-58.47, -34.57]]];
+        const area = { type: 'MultiPolygon', coordinates: [palermo, belgrano] };
+
+        test('normaliza un Polygon a MultiPolygon y cierra los anillos', () => {
+            const abierto = { type: 'Polygon', coordinates: [palermo[0].slice(0, 4)] };
+            const normalizada = normalizarAreaServicio(abierto);
+
+            expect(normalizada.type).toBe('MultiPolygon');
+            expect(normalizada.coordinates).toEqual([palermo]);
+        });
+
+        test('acepta Features y texto JSON, y null para quitar el área', () => {
+            const feature = JSON.stringify({ type: 'Feature', geometry: area, properties: {} });
+
+            expect(normalizarAreaServicio(feature)).toEqual(area);
+            expect(normalizarAreaServicio(null)).toBeNull();
+            expect(normalizarAreaServicio('null')).toBeNull();
+        });
+
+        test('rechaza geometrías inválidas', () => {
+            expect(() => normalizarAreaServicio({ type: 'Point', coordinates: [-58.4, -34.6] })).toThrow('Polygon o MultiPolygon');
+            expect(() => normalizarAreaServicio({ type: 'Polygon', coordinates: [[[-58.4, -34.6], [-58.3, -34.6]]] })).toThrow('al menos 3 puntos');
+            expect(() => normalizarAreaServicio({ type: 'Polygon', coordinates: [[[-58.4, -95], [-58.3, -34.6], [-58.3, -34.5]]] })).toThrow('fuera de rango');
+            expect(() => normalizarAreaServicio('{no es json')).toThrow('GeoJSON válido');
+        });
+
+        test('verifica punto en polígono respetando los huecos', () => {
+            const conHueco = [
+                palermo[0],
+                [[-58.43, -34.585], [-58.42, -34.585], [-58.42, -34.575], [-58.43, -34.575], [-58.43, -34.585]]
+            ];
+
+            expect(puntoEnPoligono(-34.588, -58.435, conHueco)).toBe(true);
+            expect(puntoEnPoligono(-34.58, -58.425, conHueco)).toBe(false);
+            expect(puntoEnPoligono(-34.60, -58.425, conHueco)).toBe(false);
+        });
+
+        test('cubre Palermo y Belgrano pero no Recoleta', () => {
+            expect(puntoEnAreaServicio(-34.58, -58.425, area)).toBe(true); // Palermo
+            expect(puntoEnAreaServicio(-34.56, -58.455, area)).toBe(true); // Belgrano
+            expect(puntoEnAreaServicio(-34.5875, -58.3975, area)).toBe(false); // Recoleta
+        });
+
+        test('calcula el centro del área', () => {
+            const centro = calcularCentroArea({ type: 'MultiPolygon', coordinates: [palermo] });
+
+            expect(centro.lat).toBeCloseTo(-34.58);
+            expect(centro.lng).toBeCloseTo(-58.425);
+        });
+
+        test('usa el área si existe y el radio Haversine como alternativa', () => {
+            const conArea = { area_servicio: area, latitud: -34.5875, longitud: -58.3975 };
+            const sinArea = { area_servicio: null, latitud: -34.58, longitud: -58.425 };
+
+            // Recoleta queda fuera del área aunque sea la ubicación del profesional
+            expect(profesionalCubrePunto(conArea, -34.5875, -58.3975, 10)).toBe(false);
+            expect(profesionalCubrePunto(conArea, -34.56, -58.455, 1)).toBe(true);
+            expect(profesionalCubrePunto(sinArea, -34.5875, -58.3975, 5)).toBe(true);
+            expect(profesionalCubrePunto(sinArea, -34.5875, -58.3975, 1)).toBe(false);
+            expect(profesionalCubrePunto({ area_servicio: null, latitud: null, longitud: null }, -34.58, -58.42, 50)).toBe(false);
+        });
+    });
+
     // Tests de edge cases y errores
     describe('Edge Cases y Validación', () => {
         test('maneja coordenadas en polos', () => {
@@ -237,7 +237,7 @@ describe('Search Controller - Unit Tests', () => {
             expect(query).toContain('esta_disponible =');
         });
 
-        test('agrega filtro geográfico PostGIS', async () => {
+        test('agrega filtro de cobertura por área de servicio con radio Haversine como alternativa', async () => {
             mockReq.query = {
                 radio_km: 10,
                 user_lat: -34.6037,
@@ -250,9 +250,9 @@ describe('Search Controller - Unit Tests', () => {
             await searchProfessionalsOptimized(mockReq, mockRes);
 
             const [query] = mockPrisma.$queryRawUnsafe.mock.calls[0];
-            expect(query).toContain('ST_DWithin');
-            expect(query).toContain('ST_Point');
-            expect(query).toContain('::geography');
+            expect(query).toContain('ST_Covers(p.area_servicio_geom');
+            expect(query).toContain('ST_MakePoint');
+            expect(query).toContain('radians(p.latitud');
         });
 
         test('agrega cálculo de distancia cuando hay coordenadas', async () => {
@@ -1,6 +1,7 @@
 /**
  * Utilidades geoespaciales para el Sistema de Búsqueda y Filtros
  * Incluye cálculos de distancia Haversine como fallback y funciones de búsqueda
+ * Áreas de servicio: polígonos GeoJSON dibujados por el profesional y verificación de punto en polígono
  */
 
 /**
@@ -113,6 +114,206 @@ function calcularBoundingBox(lat, lng, radiusKm) {
     };
 }
 
+// Límites de un área de servicio dibujada en el mapa
+const MAX_POLIGONOS_AREA = 20;
+const MAX_VERTICES_AREA = 1000;
+
+/**
+ * Valida un anillo GeoJSON ([lng, lat]) y lo devuelve cerrado
+ * @param {Array} anillo - Posiciones del anillo
+ * @returns {Array} Anillo cerrado
+ */
+function normalizarAnillo(anillo) {
+    if (!Array.isArray(anillo)) {
+        throw new Error('Área de servicio inválida: cada polígono debe ser una lista de puntos');
+    }
+
+    const puntos = anillo.map(posicion => {
+        if (!Array.isArray(posicion) || posicion.length < 2) {
+            throw new Error('Área de servicio inválida: cada punto debe ser [longitud, latitud]');
+        }
+        const lng = Number(posicion[0]);
+        const lat = Number(posicion[1]);
+        if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            throw new Error('Área de servicio inválida: coordenadas fuera de rango');
+        }
+        return [lng, lat];
+    });
+
+    const [primero] = puntos;
+    const ultimo = puntos[puntos.length - 1];
+    if (primero && (primero[0] !== ultimo[0] || primero[1] !== ultimo[1])) {
+        puntos.push([primero[0], primero[1]]);
+    }
+
+    // Un triángulo cerrado tiene 4 posiciones
+    if (puntos.length < 4) {
+        throw new Error('Área de servicio inválida: cada polígono necesita al menos 3 puntos');
+    }
+
+    return puntos;
+}
+
+/**
+ * Valida un área de servicio GeoJSON y la normaliza a MultiPolygon con anillos cerrados
+ * Acepta Polygon, MultiPolygon o un Feature con alguna de esas geometrías (también como texto JSON)
+ * @param {Object|string} area - Área de servicio
+ * @returns {Object|null} GeoJSON MultiPolygon, o null si no se indicó área
+ */
+function normalizarAreaServicio(area) {
+    if (area === null || area === undefined || area === '') {
+        return null;
+    }
+
+    let geometria = area;
+    if (typeof geometria === 'string') {
+        try {
+            geometria = JSON.parse(geometria);
+        } catch {
+            throw new Error('Área de servicio inválida: no es un GeoJSON válido');
+        }
+        if (geometria === null) {
+            return null;
+        }
+    }
+
+    if (geometria && geometria.type === 'Feature') {
+        geometria = geometria.geometry;
+    }
+
+    let poligonos;
+    if (geometria && geometria.type === 'Polygon') {
+        poligonos = [geometria.coordinates];
+    } else if (geometria && geometria.type === 'MultiPolygon') {
+        poligonos = geometria.coordinates;
+    } else {
+        throw new Error('Área de servicio inválida: debe ser un Polygon o MultiPolygon');
+    }
+
+    if (!Array.isArray(poligonos) || poligonos.length === 0) {
+        throw new Error('Área de servicio inválida: no tiene polígonos');
+    }
+    if (poligonos.length > MAX_POLIGONOS_AREA) {
+        throw new Error(`Área de servicio inválida: máximo ${MAX_POLIGONOS_AREA} polígonos`);
+    }
+
+    const coordinates = poligonos.map(anillos => {
+        if (!Array.isArray(anillos) || anillos.length === 0) {
+            throw new Error('Área de servicio inválida: polígono vacío');
+        }
+        return anillos.map(normalizarAnillo);
+    });
+
+    const vertices = coordinates.flat(2).length;
+    if (vertices > MAX_VERTICES_AREA) {
+        throw new Error(`Área de servicio inválida: máximo ${MAX_VERTICES_AREA} puntos`);
+    }
+
+    return { type: 'MultiPolygon', coordinates };
+}
+
+/**
+ * Verifica si un punto está dentro de un anillo (algoritmo de ray casting)
+ * @param {number} lat - Latitud del punto
+ * @param {number} lng - Longitud del punto
+ * @param {Array} anillo - Anillo GeoJSON cerrado ([lng, lat])
+ * @returns {boolean}
+ */
+function puntoEnAnillo(lat, lng, anillo) {
+    let dentro = false;
+
+    for (let i = 0, j = anillo.length - 1; i < anillo.length; j = i++) {
+        const [lngI, latI] = anillo[i];
+        const [lngJ, latJ] = anillo[j];
+
+        const cruza = (latI > lat) !== (latJ > lat) &&
+                      lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI;
+        if (cruza) {
+            dentro = !dentro;
+        }
+    }
+
+    return dentro;
+}
+
+/**
+ * Verifica si un punto está dentro de un polígono GeoJSON (primer anillo exterior, el resto huecos)
+ * @param {number} lat - Latitud del punto
+ * @param {number} lng - Longitud del punto
+ * @param {Array} anillos - Coordenadas del polígono
+ * @returns {boolean}
+ */
+function puntoEnPoligono(lat, lng, anillos) {
+    const [exterior, ...huecos] = anillos;
+    if (!exterior || !puntoEnAnillo(lat, lng, exterior)) {
+        return false;
+    }
+    return !huecos.some(hueco => puntoEnAnillo(lat, lng, hueco));
+}
+
+/**
+ * Verifica si un punto está dentro de un área de servicio (alguno de sus polígonos)
+ * @param {number} lat - Latitud del punto
+ * @param {number} lng - Longitud del punto
+ * @param {Object} area - Área de servicio GeoJSON (Polygon o MultiPolygon)
+ * @returns {boolean}
+ */
+function puntoEnAreaServicio(lat, lng, area) {
+    if (!area || !Array.isArray(area.coordinates)) {
+        return false;
+    }
+
+    const poligonos = area.type === 'Polygon' ? [area.coordinates] : area.coordinates;
+    return poligonos.some(anillos => puntoEnPoligono(lat, lng, anillos));
+}
+
+/**
+ * Calcula el centro (del bounding box) de un área de servicio
+ * @param {Object} area - Área de servicio GeoJSON
+ * @returns {Object|null} {lat, lng}
+ */
+function calcularCentroArea(area) {
+    if (!area || !Array.isArray(area.coordinates)) {
+        return null;
+    }
+
+    const poligonos = area.type === 'Polygon' ? [area.coordinates] : area.coordinates;
+    // Solo los anillos exteriores delimitan el área
+    const puntos = poligonos.flatMap(anillos => anillos[0] || []);
+    if (puntos.length === 0) {
+        return null;
+    }
+
+    const lats = puntos.map(([, lat]) => lat);
+    const lngs = puntos.map(([lng]) => lng);
+    return {
+        lat: (Math.min(...lats) + Math.max(...lats)) / 2,
+        lng: (Math.min(...lngs) + Math.max(...lngs)) / 2
+    };
+}
+
+/**
+ * Verifica si un profesional cubre un punto: dentro de su área de servicio si la dibujó,
+ * o (como alternativa) a no más de radiusKm de su ubicación por Haversine
+ * @param {Object} profesional - Perfil con area_servicio, latitud y longitud
+ * @param {number} lat - Latitud del punto
+ * @param {number} lng - Longitud del punto
+ * @param {number} radiusKm - Radio alternativo en km
+ * @returns {boolean}
+ */
+function profesionalCubrePunto(profesional, lat, lng, radiusKm) {
+    if (profesional.area_servicio) {
+        return puntoEnAreaServicio(lat, lng, profesional.area_servicio);
+    }
+
+    if (profesional.latitud === null || profesional.latitud === undefined ||
+        profesional.longitud === null || profesional.longitud === undefined) {
+        return false;
+    }
+
+    return estaDentroDelRadio(profesional.latitud, profesional.longitud, lat, lng, radiusKm);
+}
+
 /**
  * Prepara consulta de búsqueda full-text para PostgreSQL
  * @param {string} query - Término de búsqueda
@@ -194,6 +395,13 @@ module.exports = {
     calcularPuntoDestino,
     estaDentroDelRadio,
     calcularBoundingBox,
+    MAX_POLIGONOS_AREA,
+    MAX_VERTICES_AREA,
+    normalizarAreaServicio,
+    puntoEnPoligono,
+    puntoEnAreaServicio,
+    calcularCentroArea,
+    profesionalCubrePunto,
     prepararConsultaFullText,
     calcularRelevancia
 };
@@ -0,0 +1,275 @@
+/**
+ * Unit tests for bankBatchService.js
+ * Covers: archivo de lote CSV y de ancho fijo, parseo de la respuesta del banco, creación del lote
+ * e importación de la respuesta (retiros completados, fallidos y filas con errores)
+ */
+
+const mockPrisma = {
+  retiros: {
+    findMany: jest.fn(),
+    updateMany: jest.fn()
+  },
+  lotes_transferencias: {
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    update: jest.fn()
+  },
+  transactions_log: {
+    create: jest.fn()
+  },
+  $transaction: jest.fn()
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+jest.mock('../../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../src/services/bankAccountService', () => ({
+  getTransferDetails: jest.fn()
+}));
+jest.mock('../../src/services/withdrawalService', () => ({
+  completeWithdrawal: jest.fn(),
+  failWithdrawal: jest.fn()
+}));
+jest.mock('../../src/services/reconciliationService', () => ({
+  splitCsvLine: (line, delimiter) => line.split(delimiter).map(value => value.trim())
+}));
+
+const bankBatchService = require('../../src/services/bankBatchService');
+const { getTransferDetails } = require('../../src/services/bankAccountService');
+const { completeWithdrawal, failWithdrawal } = require('../../src/services/withdrawalService');
+
+describe('Bank Batch Service - Unit Tests', () => {
+  const transferRow = {
+    referencia: 'ret-1',
+    cbu_cvu: '0110599520000001234567',
+    documento: '20123456789',
+    titular: 'José Pérez',
+    monto: 15000.5,
+    concepto: 'RETIRO CHANGANET'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.$transaction.mockImplementation(callback => callback(mockPrisma));
+    mockPrisma.lotes_transferencias.update.mockImplementation(({ where, data }) => Promise.resolve({ id: where.id, ...data }));
+  });
+
+  describe('buildBatchFile', () => {
+    test('debe generar el CSV con encabezado, montos con dos decimales y sin acentos', () => {
+      const content = bankBatchService.buildBatchFile([transferRow], 'csv');
+
+      expect(content).toBe(
+        'referencia;cbu_cvu;documento;titular;monto;concepto\r\n' +
+        'ret-1;0110599520000001234567;20123456789;Jose Perez;15000.50;RETIRO CHANGANET\r\n'
+      );
+    });
+
+    test('debe generar registros de ancho fijo con el monto en centavos', () => {
+      const content = bankBatchService.buildBatchFile([{ ...transferRow, cbu_cvu: '1234' }], 'ancho_fijo');
+      const [record] = content.split('\r\n');
+
+      expect(record).toHaveLength(36 + 22 + 11 + 40 + 15 + 20);
+      expect(record.slice(0, 36)).toBe('ret-1'.padEnd(36));
+      expect(record.slice(36, 58)).toBe('1234'.padStart(22, '0'));
+      expect(record.slice(69, 109)).toBe('Jose Perez'.padEnd(40));
+      expect(record.slice(109, 124)).toBe('000000001500050');
+    });
+
+    test('debe rechazar formatos desconocidos', () => {
+      expect(() => bankBatchService.buildBatchFile([transferRow], 'xml'))
+        .toThrow('Formato de lote inválido');
+    });
+  });
+
+  describe('parseBankResponse', () => {
+    test('debe interpretar la respuesta CSV y los códigos de éxito', () => {
+      const rows = bankBatchService.parseBankResponse(
+        'Referencia;Estado;Referencia_Bancaria;Motivo\nret-1;00;TRF-991;\nret-2;R3;;CBU inexistente\n',
+        'csv'
+      );
+
+      expect(rows).toEqual([
+        { fila: 2, referencia: 'ret-1', exitoso: true, estado: '00', referenciaBancaria: 'TRF-991', motivo: null },
+        { fila: 3, referencia: 'ret-2', exitoso: false, estado: 'R3', referenciaBancaria: null, motivo: 'CBU inexistente' }
+      ]);
+    });
+
+    test('debe interpretar la respuesta de ancho fijo', () => {
+      const line = 'ret-1'.padEnd(36) + '00' + 'TRF-991'.padEnd(20) + ''.padEnd(60);
+      const [row] = bankBatchService.parseBankResponse(line, 'ancho_fijo');
+
+      expect(row).toEqual({ fila: 1, referencia: 'ret-1', exitoso: true, estado: '00', referenciaBancaria: 'TRF-991', motivo: null });
+    });
+
+    test('debe rechazar archivos vacíos o sin las columnas obligatorias', () => {
+      expect(() => bankBatchService.parseBankResponse('\n\n', 'csv')).toThrow('El archivo de respuesta está vacío');
+      expect(() => bankBatchService.parseBankResponse('referencia;resultado\nret-1;00', 'csv'))
+        .toThrow('faltan las columnas estado');
+    });
+  });
+
+  describe('createWithdrawalBatch', () => {
+    test('debe agrupar los retiros aprobados sin lote y asignarles el lote', async () => {
+      mockPrisma.retiros.findMany.mockResolvedValue([{ id: 'ret-1', monto: 1000.1, moneda: 'ARS' }, { id: 'ret-2', monto: 2000.2, moneda: 'ARS' }]);
+      mockPrisma.lotes_transferencias.create.mockResolvedValue({ id: 'lote-1' });
+      mockPrisma.retiros.updateMany.mockResolvedValue({ count: 2 });
+
+      const batch = await bankBatchService.createWithdrawalBatch({ adminId: 'admin-1', format: 'csv' });
+
+      expect(mockPrisma.retiros.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { estado: 'procesando', lote_id: null }
+      }));
+      expect(mockPrisma.lotes_transferencias.create).toHaveBeenCalledWith({
+        data: { formato: 'csv', cantidad: 2, monto_total: 3000.3, moneda: 'ARS', generado_por: 'admin-1' }
+      });
+      expect(mockPrisma.retiros.updateMany).toHaveBeenCalledWith({
+        where: { id: { in: ['ret-1', 'ret-2'] }, estado: 'procesando', lote_id: null },
+        data: { lote_id: 'lote-1' }
+      });
+      expect(batch).toEqual({ id: 'lote-1' });
+    });
+
+    test('debe fallar si no hay retiros aprobados o si cambiaron durante la exportación', async () => {
+      mockPrisma.retiros.findMany.mockResolvedValueOnce([]);
+      await expect(bankBatchService.createWithdrawalBatch({ adminId: 'admin-1', format: 'csv' }))
+        .rejects.toThrow('No hay retiros aprobados pendientes de exportar');
+
+      mockPrisma.retiros.findMany.mockResolvedValueOnce([{ id: 'ret-1', monto: 1000, moneda: 'ARS' }]);
+      mockPrisma.lotes_transferencias.create.mockResolvedValue({ id: 'lote-1' });
+      mockPrisma.retiros.updateMany.mockResolvedValue({ count: 0 });
+      await expect(bankBatchService.createWithdrawalBatch({ adminId: 'admin-1', format: 'csv' }))
+        .rejects.toThrow('Los retiros cambiaron durante la exportación');
+    });
+
+    test('debe rechazar un lote con retiros de varias monedas si no se indica la moneda', async () => {
+      mockPrisma.retiros.findMany.mockResolvedValue([{ id: 'ret-1', monto: 1000, moneda: 'ARS' }, { id: 'ret-2', monto: 500, moneda: 'UYU' }]);
+
+      await expect(bankBatchService.createWithdrawalBatch({ adminId: 'admin-1', format: 'csv' }))
+        .rejects.toThrow('Hay retiros aprobados en varias monedas (ARS, UYU)');
+      expect(mockPrisma.lotes_transferencias.create).not.toHaveBeenCalled();
+    });
+
+    test('debe exportar solo los retiros de la moneda indicada', async () => {
+      mockPrisma.retiros.findMany.mockResolvedValue([{ id: 'ret-2', monto: 500, moneda: 'UYU' }]);
+      mockPrisma.lotes_transferencias.create.mockResolvedValue({ id: 'lote-2' });
+      mockPrisma.retiros.updateMany.mockResolvedValue({ count: 1 });
+
+      await bankBatchService.createWithdrawalBatch({ adminId: 'admin-1', format: 'csv', currency: 'uyu' });
+
+      expect(mockPrisma.retiros.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { estado: 'procesando', lote_id: null, moneda: 'UYU' }
+      }));
+      expect(mockPrisma.lotes_transferencias.create).toHaveBeenCalledWith({
+        data: { formato: 'csv', cantidad: 1, monto_total: 500, moneda: 'UYU', generado_por: 'admin-1' }
+      });
+    });
+  });
+
+  describe('getBatchFile', () => {
+    test('debe armar el archivo con el CBU/CVU desencriptado', async () => {
+      mockPrisma.lotes_transferencias.findUnique.mockResolvedValue({
+        id: 'lote-1234567890',
+        formato: 'csv',
+        creado_en: new Date('2025-12-24T10:00:00Z'),
+        retiros: [{ id: 'ret-1', monto: 15000.5, cuenta_bancaria: { id: 'cb-1' } }]
+      });
+      getTransferDetails.mockReturnValue({
+        cbuCvu: transferRow.cbu_cvu,
+        documento: transferRow.documento,
+        titular: transferRow.titular
+      });
+
+      const file = await bankBatchService.getBatchFile('lote-1234567890', 'admin-1');
+
+      expect(getTransferDetails).toHaveBeenCalledWith({ id: 'cb-1' });
+      expect(file.fileName).toBe('lote_retiros_2025-12-24_lote-123.csv');
+      expect(file.contentType).toBe('text/csv');
+      expect(file.content).toContain('ret-1;0110599520000001234567;20123456789;Jose Perez;15000.50');
+    });
+  });
+
+  describe('importBankResponse', () => {
+    const batch = {
+      id: 'lote-1',
+      formato: 'csv',
+      retiros: [
+        { id: 'ret-1', estado: 'procesando' },
+        { id: 'ret-2', estado: 'procesando' },
+        { id: 'ret-3', estado: 'completado' }
+      ]
+    };
+
+    test('debe completar los acreditados, marcar fallidos los rechazados e informar filas con errores', async () => {
+      mockPrisma.lotes_transferencias.findUnique.mockResolvedValue({
+        ...batch,
+        retiros: batch.retiros.map(withdrawal => ({ ...withdrawal }))
+      });
+      const content = Buffer.from(
+        'referencia;estado;referencia_bancaria;motivo\n' +
+        'ret-1;00;TRF-1;\n' +
+        'ret-2;R3;;CBU inexistente\n' +
+        'ret-3;00;TRF-3;\n' +
+        'ret-x;00;TRF-X;\n'
+      );
+
+      const result = await bankBatchService.importBankResponse({
+        batchId: 'lote-1',
+        fileName: 'respuesta.csv',
+        content,
+        adminId: 'admin-1'
+      });
+
+      expect(completeWithdrawal).toHaveBeenCalledTimes(1);
+      expect(completeWithdrawal).toHaveBeenCalledWith('ret-1', 'admin-1', 'TRF-1');
+      expect(failWithdrawal).toHaveBeenCalledWith('ret-2', 'admin-1', 'CBU inexistente');
+      expect(result.resultado.completados).toBe(1);
+      expect(result.resultado.fallidos).toBe(1);
+      expect(result.resultado.errores).toEqual([
+        { fila: 4, referencia: 'ret-3', detalle: 'El retiro ya está completado' },
+        { fila: 5, referencia: 'ret-x', detalle: 'El retiro no pertenece al lote' }
+      ]);
+      expect(mockPrisma.lotes_transferencias.update).toHaveBeenCalledWith({
+        where: { id: 'lote-1' },
+        data: expect.objectContaining({
+          estado: 'importado',
+          completados: { increment: 1 },
+          fallidos: { increment: 1 },
+          respuesta_archivo: 'respuesta.csv'
+        })
+      });
+    });
+
+    test('debe dejar el lote parcial si quedan retiros sin respuesta', async () => {
+      mockPrisma.lotes_transferencias.findUnique.mockResolvedValue({
+        ...batch,
+        retiros: batch.retiros.map(withdrawal => ({ ...withdrawal }))
+      });
+      failWithdrawal.mockRejectedValueOnce(new Error('El retiro debe estar en estado "procesando" para marcarse como fallido'));
+
+      const result = await bankBatchService.importBankResponse({
+        batchId: 'lote-1',
+        fileName: 'respuesta.csv',
+        content: 'referencia;estado\nret-1;OK\nret-2;R1\n',
+        adminId: 'admin-1'
+      });
+
+      expect(result.resultado.completados).toBe(1);
+      expect(result.resultado.errores).toHaveLength(1);
+      expect(mockPrisma.lotes_transferencias.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ estado: 'parcial' })
+      }));
+    });
+
+    test('debe fallar si el lote no existe', async () => {
+      mockPrisma.lotes_transferencias.findUnique.mockResolvedValue(null);
+
+      await expect(bankBatchService.importBankResponse({ batchId: 'x', content: 'a', adminId: 'admin-1' }))
+        .rejects.toThrow('Lote de transferencias no encontrado');
+    });
+  });
+});
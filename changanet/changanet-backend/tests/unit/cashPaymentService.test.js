@@ -0,0 +1,268 @@
+/**
+ * Unit tests for cashPaymentService.js
+ * Covers: declaración del profesional, confirmación y rechazo del cliente, deuda de comisión
+ * y su compensación en los payouts (payoutService)
+ */
+
+const mockPrisma = {
+  servicios: {
+    findUnique: jest.fn(),
+    update: jest.fn()
+  },
+  declaraciones_efectivo: {
+    findUnique: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn()
+  },
+  pagos: {
+    create: jest.fn(),
+    findUnique: jest.fn()
+  },
+  deudas_comision: {
+    findMany: jest.fn(),
+    create: jest.fn(),
+    updateMany: jest.fn()
+  },
+  usuarios: {
+    findUnique: jest.fn()
+  },
+  payouts: {
+    create: jest.fn()
+  },
+  transactions_log: {
+    create: jest.fn()
+  },
+  $transaction: jest.fn((callback) => callback(mockPrisma))
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+jest.mock('../../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  createNotification: jest.fn().mockResolvedValue({})
+}));
+jest.mock('../../src/services/withholdingService', () => ({
+  calculateWithholdings: jest.fn().mockResolvedValue({ total: 0, detalle: [] })
+}));
+jest.mock('../../src/services/commissionService', () => ({
+  getApplicableCommission: jest.fn().mockResolvedValue({ id: 'comision-1', porcentaje: 10 }),
+  recordCommissionEarned: jest.fn(),
+  recordDiscountSubsidy: jest.fn()
+}));
+jest.mock('../../src/services/ledgerService', () => ({
+  recordJournalEntry: jest.fn(),
+  LEDGER_ACCOUNTS: {
+    CUSTODIA: { codigo: 'custodia_clientes' },
+    COMISIONES: { codigo: 'comisiones_plataforma' },
+    SALDO_PROFESIONALES: { codigo: 'saldo_profesionales' },
+    RETENCIONES: { codigo: 'retenciones_a_depositar' },
+    COMISIONES_A_COBRAR: { codigo: 'comisiones_a_cobrar' }
+  }
+}));
+
+const cashPaymentService = require('../../src/services/cashPaymentService');
+const { createPayout } = require('../../src/services/payoutService');
+const { recordJournalEntry } = require('../../src/services/ledgerService');
+const { createNotification } = require('../../src/services/notificationService');
+
+describe('Cash Payment Service - Unit Tests', () => {
+  const service = {
+    id: 'servicio-1',
+    cliente_id: 'cliente-1',
+    profesional_id: 'prof-1',
+    descripcion: 'Arreglo de cañería',
+    estado: 'AGENDADO',
+    pago: null,
+    profesional: { nombre: 'Ana', perfil_profesional: { moneda: 'ARS' } },
+    declaraciones_efectivo: []
+  };
+
+  const declaration = {
+    id: 'declaracion-1',
+    servicio_id: 'servicio-1',
+    profesional_id: 'prof-1',
+    cliente_id: 'cliente-1',
+    monto: 20000,
+    moneda: 'ARS',
+    estado: 'pendiente',
+    servicio: { id: 'servicio-1', descripcion: 'Arreglo de cañería', estado: 'AGENDADO' }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.declaraciones_efectivo.create.mockImplementation(({ data }) => Promise.resolve({ id: 'declaracion-1', ...data }));
+    mockPrisma.declaraciones_efectivo.update.mockImplementation(({ data }) => Promise.resolve({ ...declaration, ...data }));
+    mockPrisma.pagos.create.mockImplementation(({ data }) => Promise.resolve({ id: 'pago-1', ...data }));
+    mockPrisma.deudas_comision.create.mockImplementation(({ data }) => Promise.resolve({ id: 'deuda-1', ...data }));
+  });
+
+  describe('declareCashPayment', () => {
+    test('debe registrar la declaración pendiente y avisar al cliente', async () => {
+      mockPrisma.servicios.findUnique.mockResolvedValue(service);
+
+      const result = await cashPaymentService.declareCashPayment('prof-1', { serviceId: 'servicio-1', amount: '20000' });
+
+      expect(result).toMatchObject({ servicio_id: 'servicio-1', cliente_id: 'cliente-1', monto: 20000, moneda: 'ARS' });
+      expect(createNotification).toHaveBeenCalledWith('cliente-1', 'pago_efectivo_declarado', expect.any(String), expect.any(Object));
+    });
+
+    test('solo el profesional del servicio puede declarar y solo si no hay otro pago', async () => {
+      mockPrisma.servicios.findUnique.mockResolvedValue(service);
+      await expect(cashPaymentService.declareCashPayment('prof-2', { serviceId: 'servicio-1', amount: 100 }))
+        .rejects.toThrow('Solo el profesional del servicio');
+
+      mockPrisma.servicios.findUnique.mockResolvedValue({ ...service, pago: { id: 'pago-mp', estado: 'aprobado' } });
+      await expect(cashPaymentService.declareCashPayment('prof-1', { serviceId: 'servicio-1', amount: 100 }))
+        .rejects.toThrow('Ya existe un pago registrado');
+
+      mockPrisma.servicios.findUnique.mockResolvedValue({ ...service, declaraciones_efectivo: [{ id: 'otra' }] });
+      await expect(cashPaymentService.declareCashPayment('prof-1', { serviceId: 'servicio-1', amount: 100 }))
+        .rejects.toThrow('pendiente de confirmación');
+
+      await expect(cashPaymentService.declareCashPayment('prof-1', { serviceId: 'servicio-1', amount: 0 }))
+        .rejects.toThrow('Monto inválido');
+      expect(mockPrisma.declaraciones_efectivo.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('confirmCashPayment', () => {
+    beforeEach(() => {
+      mockPrisma.declaraciones_efectivo.findUnique.mockResolvedValue(declaration);
+      mockPrisma.declaraciones_efectivo.updateMany.mockResolvedValue({ count: 1 });
+    });
+
+    test('debe crear el pago liberado, la deuda de comisión y la comisión a cobrar en el libro mayor', async () => {
+      const result = await cashPaymentService.confirmCashPayment('cliente-1', 'declaracion-1');
+
+      expect(mockPrisma.pagos.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          servicio_id: 'servicio-1',
+          monto_total: 20000,
+          comision_plataforma: 2000,
+          monto_profesional: 18000,
+          moneda: 'ARS',
+          estado: 'liberado',
+          metodo_pago: 'efectivo',
+          commission_setting_id: 'comision-1'
+        })
+      });
+      expect(result.deuda).toMatchObject({ profesional_id: 'prof-1', pago_id: 'pago-1', monto: 2000, saldo: 2000 });
+      expect(mockPrisma.servicios.update).toHaveBeenCalledWith({
+        where: { id: 'servicio-1' },
+        data: { estado: 'COMPLETADO', completado_en: expect.any(Date) }
+      });
+      expect(recordJournalEntry).toHaveBeenCalledWith(expect.objectContaining({
+        tipo: 'comision_efectivo',
+        entidadTipo: 'pagos',
+        entidadId: 'pago-1',
+        lineas: [
+          expect.objectContaining({ cuenta: 'comisiones_a_cobrar', debe: 2000, usuarioId: 'prof-1' }),
+          expect.objectContaining({ cuenta: 'comisiones_plataforma', haber: 2000 })
+        ]
+      }));
+      expect(createNotification).toHaveBeenCalledWith('prof-1', 'pago_efectivo_confirmado', expect.any(String), expect.any(Object));
+    });
+
+    test('no debe confirmar dos veces la misma declaración', async () => {
+      mockPrisma.declaraciones_efectivo.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(cashPaymentService.confirmCashPayment('cliente-1', 'declaracion-1'))
+        .rejects.toThrow('La declaración ya fue respondida');
+      expect(mockPrisma.pagos.create).not.toHaveBeenCalled();
+    });
+
+    test('solo el cliente del servicio puede confirmar', async () => {
+      await expect(cashPaymentService.confirmCashPayment('cliente-2', 'declaracion-1'))
+        .rejects.toThrow('Solo el cliente del servicio');
+    });
+  });
+
+  describe('rejectCashPayment', () => {
+    test('debe rechazar con motivo y avisar al profesional', async () => {
+      mockPrisma.declaraciones_efectivo.findUnique.mockResolvedValue(declaration);
+
+      const result = await cashPaymentService.rejectCashPayment('cliente-1', 'declaracion-1', 'Pagué 15000, no 20000');
+
+      expect(result).toMatchObject({ estado: 'rechazado', motivo_rechazo: 'Pagué 15000, no 20000' });
+      expect(createNotification).toHaveBeenCalledWith('prof-1', 'pago_efectivo_rechazado', expect.any(String), expect.any(Object));
+      await expect(cashPaymentService.rejectCashPayment('cliente-1', 'declaracion-1', ' '))
+        .rejects.toThrow('El motivo del rechazo es requerido');
+    });
+  });
+
+  describe('settleCommissionDebts', () => {
+    test('debe cancelar las deudas más antiguas hasta el monto disponible', async () => {
+      mockPrisma.deudas_comision.findMany.mockResolvedValue([
+        { id: 'deuda-1', pago_id: 'pago-1', saldo: 800 },
+        { id: 'deuda-2', pago_id: 'pago-2', saldo: 1500 }
+      ]);
+      mockPrisma.deudas_comision.updateMany.mockResolvedValue({ count: 1 });
+
+      const result = await cashPaymentService.settleCommissionDebts(mockPrisma, 'prof-1', 'ARS', 1000);
+
+      expect(result).toEqual({
+        total: 1000,
+        detalle: [
+          { deudaId: 'deuda-1', pagoId: 'pago-1', monto: 800 },
+          { deudaId: 'deuda-2', pagoId: 'pago-2', monto: 200 }
+        ]
+      });
+      expect(mockPrisma.deudas_comision.findMany).toHaveBeenCalledWith({
+        where: { profesional_id: 'prof-1', moneda: 'ARS', estado: 'pendiente' },
+        orderBy: { creado_en: 'asc' }
+      });
+      expect(mockPrisma.deudas_comision.updateMany).toHaveBeenNthCalledWith(1, {
+        where: { id: 'deuda-1', estado: 'pendiente', saldo: { gte: 800 } },
+        data: { saldo: { decrement: 800 }, estado: 'cancelada', cancelada_en: expect.any(Date) }
+      });
+      expect(mockPrisma.deudas_comision.updateMany).toHaveBeenNthCalledWith(2, {
+        where: { id: 'deuda-2', estado: 'pendiente', saldo: { gte: 200 } },
+        data: { saldo: { decrement: 200 } }
+      });
+    });
+  });
+
+  describe('createPayout con deudas de comisión', () => {
+    beforeEach(() => {
+      mockPrisma.usuarios.findUnique.mockResolvedValue({ rol: 'profesional', nombre: 'Ana', email: 'ana@example.com' });
+      mockPrisma.payouts.create.mockImplementation(({ data }) => Promise.resolve({ id: 'payout-1', ...data }));
+      mockPrisma.pagos.findUnique.mockResolvedValue({ id: 'pago-mp', cliente_id: 'cliente-2', monto_total: 10000, monto_descuento: 0 });
+      mockPrisma.deudas_comision.updateMany.mockResolvedValue({ count: 1 });
+    });
+
+    test('debe descontar la deuda del neto y cancelar la comisión a cobrar en el libro mayor', async () => {
+      mockPrisma.deudas_comision.findMany.mockResolvedValue([{ id: 'deuda-1', pago_id: 'pago-1', saldo: 2000 }]);
+
+      const payout = await createPayout('prof-1', 'servicio-2', 10000, 1000, 9000, 'bank_transfer', false);
+
+      expect(payout).toMatchObject({
+        monto_neto: 7000,
+        compensacion_comisiones: 2000,
+        detalle_compensacion: [{ deudaId: 'deuda-1', pagoId: 'pago-1', monto: 2000 }],
+        estado: 'pendiente'
+      });
+      expect(recordJournalEntry).toHaveBeenCalledWith(expect.objectContaining({
+        tipo: 'liberacion_fondos',
+        lineas: expect.arrayContaining([
+          expect.objectContaining({ cuenta: 'custodia_clientes', debe: 9000 }),
+          expect.objectContaining({ cuenta: 'saldo_profesionales', haber: 7000 }),
+          expect.objectContaining({ cuenta: 'comisiones_a_cobrar', haber: 2000, usuarioId: 'prof-1' })
+        ])
+      }));
+    });
+
+    test('si la deuda absorbe todo el neto el payout queda completado sin transferencia', async () => {
+      mockPrisma.deudas_comision.findMany.mockResolvedValue([{ id: 'deuda-1', pago_id: 'pago-1', saldo: 12000 }]);
+
+      const payout = await createPayout('prof-1', 'servicio-2', 10000, 1000, 9000, 'bank_transfer', false);
+
+      expect(payout).toMatchObject({ monto_neto: 0, compensacion_comisiones: 9000, estado: 'completado' });
+    });
+  });
+});
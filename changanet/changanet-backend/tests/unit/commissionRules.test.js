@@ -0,0 +1,217 @@
+/**
+ * Unit tests for commission rules in commissionService.js
+ * Covers: precedencia entre tarifa negociada, plan de suscripción, medalla, verificación y volumen,
+ * vigencia de las reglas, validación al crearlas y vista previa de la comisión efectiva
+ */
+
+const mockPrisma = {
+  commission_settings: {
+    findMany: jest.fn(),
+    findFirst: jest.fn(),
+    create: jest.fn()
+  },
+  usuarios: {
+    findUnique: jest.fn()
+  },
+  user_medals: {
+    findMany: jest.fn()
+  },
+  servicios: {
+    count: jest.fn()
+  },
+  transactions_log: {
+    create: jest.fn()
+  }
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+jest.mock('../../src/services/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../src/services/paymentDashboardService', () => ({
+  invalidateCommissionMetrics: jest.fn()
+}));
+jest.mock('../../src/services/cacheService', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  set: jest.fn().mockResolvedValue(true)
+}));
+jest.mock('../../src/services/subscriptionService', () => ({
+  getEntitlements: jest.fn()
+}));
+
+const commissionService = require('../../src/services/commissionService');
+const { getEntitlements } = require('../../src/services/subscriptionService');
+
+describe('Commission Rules - Unit Tests', () => {
+  const globalSetting = { id: 'global', nombre: 'Global', porcentaje: 10, tipo_servicio: null, tipo_regla: 'general' };
+
+  const rules = {
+    override: { id: 'negociada', porcentaje: 6, tipo_regla: 'profesional', profesional_id: 'prof-1', tipo_servicio: null },
+    medal: { id: 'medalla', porcentaje: 7, tipo_regla: 'medalla', medalla_requerida: 'calificaciones', tipo_servicio: null },
+    verified: { id: 'verificado', porcentaje: 9, tipo_regla: 'verificacion', tipo_servicio: null },
+    volume10: { id: 'volumen-10', porcentaje: 8.5, tipo_regla: 'volumen', volumen_mensual_minimo: 10, tipo_servicio: null },
+    volume30: { id: 'volumen-30', porcentaje: 8, tipo_regla: 'volumen', volumen_mensual_minimo: 30, tipo_servicio: null }
+  };
+
+  const context = { verificado: true, medallas: ['calificaciones'], serviciosCompletados: 35 };
+
+  const freeEntitlements = { plan: { codigo: 'gratuito', nombre: 'Gratuito' }, comisionPorcentaje: null };
+  const proEntitlements = { plan: { codigo: 'pro', nombre: 'Pro' }, comisionPorcentaje: 6.5 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.commission_settings.findFirst.mockResolvedValue(globalSetting);
+    mockPrisma.usuarios.findUnique.mockResolvedValue({ id: 'prof-1', nombre: 'Ana', rol: 'profesional', esta_verificado: true, perfil_profesional: null });
+    mockPrisma.user_medals.findMany.mockResolvedValue([{ medal_type: 'calificaciones' }]);
+    mockPrisma.servicios.count.mockResolvedValue(35);
+    getEntitlements.mockResolvedValue(freeEntitlements);
+  });
+
+  describe('selectCommissionRule', () => {
+    test('la tarifa negociada tiene precedencia sobre las demás reglas', () => {
+      const rule = commissionService.selectCommissionRule(Object.values(rules), context, 'prof-1');
+
+      expect(rule.id).toBe('negociada');
+    });
+
+    test('debe aplicar medalla, verificación y volumen en ese orden', () => {
+      // La tarifa negociada de prof-1 no aplica a otro profesional
+      const all = Object.values(rules);
+
+      expect(commissionService.selectCommissionRule(all, context, 'prof-2').id).toBe('medalla');
+      expect(commissionService.selectCommissionRule([rules.verified, rules.volume10], context, 'prof-2').id).toBe('verificado');
+      expect(commissionService.selectCommissionRule(all, { ...context, medallas: [], verificado: false }, 'prof-2').id)
+        .toBe('volumen-30');
+    });
+
+    test('debe elegir el tramo de volumen alcanzado más alto', () => {
+      const rule = commissionService.selectCommissionRule(
+        [rules.volume10, rules.volume30],
+        { verificado: false, medallas: [], serviciosCompletados: 12 },
+        'prof-2'
+      );
+
+      expect(rule.id).toBe('volumen-10');
+    });
+
+    test('debe ignorar reglas de otro tipo de servicio y preferir las específicas', () => {
+      const plumbing = { ...rules.verified, id: 'verificado-plomeria', porcentaje: 9.5, tipo_servicio: 'plomeria' };
+      const electrical = { ...rules.verified, id: 'verificado-electricidad', tipo_servicio: 'electricidad' };
+
+      expect(commissionService.selectCommissionRule([rules.verified, plumbing, electrical], context, 'prof-2', 'plomeria').id)
+        .toBe('verificado-plomeria');
+      expect(commissionService.selectCommissionRule([electrical], context, 'prof-2', 'plomeria')).toBeNull();
+    });
+  });
+
+  describe('getApplicableCommission', () => {
+    test('debe evaluar las reglas vigentes del profesional', async () => {
+      mockPrisma.commission_settings.findMany.mockResolvedValue([rules.medal, rules.volume30]);
+
+      const setting = await commissionService.getApplicableCommission(null, 'prof-1');
+
+      expect(setting.id).toBe('medalla');
+      expect(mockPrisma.commission_settings.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({
+          activo: true,
+          OR: [{ profesional_id: null }, { profesional_id: 'prof-1' }]
+        })
+      }));
+      expect(mockPrisma.servicios.count).toHaveBeenCalledWith({
+        where: expect.objectContaining({ profesional_id: 'prof-1', estado: 'COMPLETADO' })
+      });
+    });
+
+    test('debe usar la configuración general si no hay reglas aplicables', async () => {
+      mockPrisma.commission_settings.findMany.mockResolvedValue([]);
+
+      const setting = await commissionService.getApplicableCommission(null, 'prof-1');
+
+      expect(setting.id).toBe('global');
+      expect(mockPrisma.servicios.count).not.toHaveBeenCalled();
+      expect(mockPrisma.commission_settings.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+        where: { tipo_servicio: null, tipo_regla: 'general', activo: true }
+      }));
+    });
+
+    test('el plan de suscripción gana sobre las reglas salvo la tarifa negociada', async () => {
+      getEntitlements.mockResolvedValue(proEntitlements);
+      mockPrisma.commission_settings.findMany.mockResolvedValue([rules.medal, rules.volume30]);
+
+      const planSetting = await commissionService.getApplicableCommission(null, 'prof-1');
+
+      expect(planSetting).toEqual(expect.objectContaining({ id: null, tipo_regla: 'plan', porcentaje: 6.5 }));
+
+      mockPrisma.commission_settings.findMany.mockResolvedValue([rules.override, rules.medal]);
+
+      expect((await commissionService.getApplicableCommission(null, 'prof-1')).id).toBe('negociada');
+    });
+  });
+
+  describe('createCommissionSetting', () => {
+    test('debe validar los datos de cada tipo de regla', async () => {
+      const base = { nombre: 'Regla', porcentaje: 7 };
+
+      await expect(commissionService.createCommissionSetting({ ...base, tipo_regla: 'profesional' }, 'admin-1'))
+        .rejects.toThrow('requiere indicar el profesional');
+      await expect(commissionService.createCommissionSetting({ ...base, tipo_regla: 'volumen', volumen_mensual_minimo: 0 }, 'admin-1'))
+        .rejects.toThrow('mínimo de servicios completados');
+      await expect(commissionService.createCommissionSetting({ ...base, tipo_regla: 'antiguedad' }, 'admin-1'))
+        .rejects.toThrow('Tipo de regla de comisión inválido');
+      expect(mockPrisma.commission_settings.create).not.toHaveBeenCalled();
+    });
+
+    test('debe rechazar tarifas negociadas superpuestas para el mismo profesional', async () => {
+      mockPrisma.commission_settings.findFirst.mockResolvedValue(rules.override);
+
+      await expect(commissionService.createCommissionSetting({
+        nombre: 'Acuerdo 2026',
+        porcentaje: 5.5,
+        tipo_regla: 'profesional',
+        profesional_id: 'prof-1',
+        valido_desde: '2026-01-01',
+        valido_hasta: '2026-12-31'
+      }, 'admin-1')).rejects.toThrow('Ya existe una tarifa negociada vigente');
+    });
+
+    test('una regla condicionada no compite con la configuración global', async () => {
+      mockPrisma.commission_settings.create.mockImplementation(({ data }) => Promise.resolve({ id: 'regla-1', ...data }));
+
+      const created = await commissionService.createCommissionSetting({
+        nombre: 'Verificados',
+        porcentaje: 9,
+        tipo_regla: 'verificacion',
+        medalla_requerida: 'ignorada'
+      }, 'admin-1');
+
+      expect(mockPrisma.commission_settings.findFirst).not.toHaveBeenCalled();
+      expect(created).toEqual(expect.objectContaining({ tipo_regla: 'verificacion', medalla_requerida: null, profesional_id: null }));
+    });
+  });
+
+  describe('getEffectiveCommissionPreview', () => {
+    test('debe informar la regla aplicada y los datos del profesional', async () => {
+      mockPrisma.commission_settings.findMany.mockResolvedValue([rules.volume10]);
+      mockPrisma.user_medals.findMany.mockResolvedValue([]);
+
+      const preview = await commissionService.getEffectiveCommissionPreview('prof-1');
+
+      expect(preview).toEqual(expect.objectContaining({
+        porcentaje: 8.5,
+        reglaAplicada: 'volumen',
+        contexto: { verificado: true, medallas: [], serviciosCompletados: 35 }
+      }));
+    });
+
+    test('debe rechazar usuarios que no son profesionales', async () => {
+      mockPrisma.usuarios.findUnique.mockResolvedValue({ id: 'cliente-1', nombre: 'Luis', rol: 'cliente' });
+
+      await expect(commissionService.getEffectiveCommissionPreview('cliente-1')).rejects.toThrow('Profesional no encontrado');
+    });
+  });
+});
@@ -0,0 +1,294 @@
+/**
+ * Unit tests for couponService.js
+ * Covers: validación de cupones (vigencia, topes, categorías), cálculo del descuento,
+ * canje atómico, anulación y absorción del descuento en calculateCommission / getReleaseBase
+ */
+
+const mockPrisma = {
+  cupones: {
+    create: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    count: jest.fn()
+  },
+  cupones_usos: {
+    create: jest.fn(),
+    update: jest.fn(),
+    findUnique: jest.fn(),
+    count: jest.fn()
+  },
+  categories: {
+    count: jest.fn()
+  },
+  pagos: {
+    count: jest.fn()
+  },
+  commission_settings: {
+    findFirst: jest.fn()
+  },
+  transactions_log: {
+    create: jest.fn()
+  },
+  $transaction: jest.fn()
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+jest.mock('../../src/services/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../src/services/paymentDashboardService', () => ({
+  invalidateCommissionMetrics: jest.fn()
+}));
+jest.mock('../../src/services/cacheService', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  set: jest.fn().mockResolvedValue(true)
+}));
+
+const couponService = require('../../src/services/couponService');
+const { calculateCommission, getReleaseBase } = require('../../src/services/commissionService');
+
+describe('Coupon Service - Unit Tests', () => {
+  const baseCoupon = {
+    id: 'cupon-1',
+    codigo: 'PRIMERO15',
+    descripcion: '15% off en tu primer servicio',
+    tipo: 'porcentaje',
+    valor: 15,
+    monto_maximo_descuento: null,
+    monto_minimo: null,
+    absorbido_por: 'plataforma',
+    profesional_id: null,
+    solo_primer_servicio: false,
+    max_usos_totales: null,
+    max_usos_por_usuario: 1,
+    usos_actuales: 0,
+    valido_desde: null,
+    valido_hasta: null,
+    activo: true,
+    categorias: []
+  };
+
+  const service = {
+    id: 'servicio-1',
+    profesional_id: 'prof-1',
+    profesional: {
+      perfil_profesional: {
+        especialidad: 'Plomería',
+        especialidades: '["Gasista"]'
+      }
+    }
+  };
+
+  const context = { clientId: 'cliente-1', service, amount: 10000 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.cupones_usos.count.mockResolvedValue(0);
+    mockPrisma.pagos.count.mockResolvedValue(0);
+  });
+
+  describe('createCoupon', () => {
+    test('debe normalizar el código y conectar las categorías', async () => {
+      mockPrisma.categories.count.mockResolvedValue(1);
+      mockPrisma.cupones.create.mockImplementation(({ data }) => Promise.resolve({ id: 'cupon-1', ...data }));
+
+      await couponService.createCoupon({ codigo: ' primero15 ', tipo: 'porcentaje', valor: '15', categorias: ['cat-1'] }, 'admin-1');
+
+      expect(mockPrisma.cupones.create).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({
+          codigo: 'PRIMERO15',
+          valor: 15,
+          absorbido_por: 'plataforma',
+          creado_por: 'admin-1',
+          categorias: { connect: [{ id: 'cat-1' }] }
+        })
+      }));
+    });
+
+    test('debe rechazar datos inválidos', async () => {
+      await expect(couponService.createCoupon({ codigo: 'X', tipo: 'porcentaje', valor: 10 }, 'admin-1'))
+        .rejects.toThrow('código del cupón');
+      await expect(couponService.createCoupon({ codigo: 'MITAD', tipo: 'porcentaje', valor: 150 }, 'admin-1'))
+        .rejects.toThrow('no superar 100');
+      await expect(couponService.createCoupon({ codigo: 'PROF10', tipo: 'monto_fijo', valor: 1000, absorbido_por: 'profesional' }, 'admin-1'))
+        .rejects.toThrow('requiere restringir el cupón');
+      await expect(couponService.createCoupon({ codigo: 'VERANO', tipo: 'monto_fijo', valor: 1000, valido_desde: '2026-02-01', valido_hasta: '2026-01-01' }, 'admin-1'))
+        .rejects.toThrow('posterior a la de inicio');
+      expect(mockPrisma.cupones.create).not.toHaveBeenCalled();
+    });
+
+    test('debe informar códigos duplicados', async () => {
+      mockPrisma.cupones.create.mockRejectedValue(Object.assign(new Error('Unique'), { code: 'P2002' }));
+
+      await expect(couponService.createCoupon({ codigo: 'PRIMERO15', tipo: 'porcentaje', valor: 15 }, 'admin-1'))
+        .rejects.toThrow('Ya existe un cupón con ese código');
+    });
+  });
+
+  describe('validateCoupon', () => {
+    test('debe calcular el descuento porcentual con tope máximo', async () => {
+      mockPrisma.cupones.findUnique.mockResolvedValue({ ...baseCoupon, monto_maximo_descuento: 1000 });
+
+      const result = await couponService.validateCoupon('primero15', context);
+
+      expect(mockPrisma.cupones.findUnique).toHaveBeenCalledWith(expect.objectContaining({ where: { codigo: 'PRIMERO15' } }));
+      expect(result).toEqual(expect.objectContaining({ discountAmount: 1000, finalAmount: 9000, absorbidoPor: 'plataforma' }));
+    });
+
+    test('no debe dejar el precio por debajo del mínimo de pago', async () => {
+      mockPrisma.cupones.findUnique.mockResolvedValue({ ...baseCoupon, tipo: 'monto_fijo', valor: 5000 });
+
+      const result = await couponService.validateCoupon('FIJO', { ...context, amount: 2000 });
+
+      expect(result.finalAmount).toBe(500);
+    });
+
+    test('debe rechazar cupones fuera de vigencia o agotados', async () => {
+      mockPrisma.cupones.findUnique.mockResolvedValueOnce({ ...baseCoupon, valido_hasta: new Date('2020-01-01') });
+      await expect(couponService.validateCoupon('PRIMERO15', context)).rejects.toThrow('El cupón está vencido');
+
+      mockPrisma.cupones.findUnique.mockResolvedValueOnce({ ...baseCoupon, valido_desde: new Date(Date.now() + 86400000) });
+      await expect(couponService.validateCoupon('PRIMERO15', context)).rejects.toThrow('todavía no está vigente');
+
+      mockPrisma.cupones.findUnique.mockResolvedValueOnce({ ...baseCoupon, max_usos_totales: 100, usos_actuales: 100 });
+      await expect(couponService.validateCoupon('PRIMERO15', context)).rejects.toThrow('alcanzó su límite de usos');
+
+      mockPrisma.cupones.findUnique.mockResolvedValueOnce({ ...baseCoupon, activo: false });
+      await expect(couponService.validateCoupon('PRIMERO15', context)).rejects.toThrow('Cupón inválido o inactivo');
+    });
+
+    test('debe respetar el tope por usuario y la restricción de primer servicio', async () => {
+      mockPrisma.cupones.findUnique.mockResolvedValue({ ...baseCoupon, solo_primer_servicio: true });
+
+      mockPrisma.cupones_usos.count.mockResolvedValueOnce(1);
+      await expect(couponService.validateCoupon('PRIMERO15', context)).rejects.toThrow('máximo de veces permitido');
+      expect(mockPrisma.cupones_usos.count).toHaveBeenCalledWith({
+        where: { cupon_id: 'cupon-1', usuario_id: 'cliente-1', estado: 'aplicado' }
+      });
+
+      mockPrisma.pagos.count.mockResolvedValueOnce(2);
+      await expect(couponService.validateCoupon('PRIMERO15', context)).rejects.toThrow('solo para tu primer servicio');
+    });
+
+    test('debe validar las categorías contra las especialidades del profesional', async () => {
+      mockPrisma.cupones.findUnique.mockResolvedValueOnce({
+        ...baseCoupon,
+        categorias: [{ id: 'cat-1', nombre: 'Electricidad', subcategories: [{ nombre: 'Instalaciones' }] }]
+      });
+      await expect(couponService.validateCoupon('PRIMERO15', context))
+        .rejects.toThrow('no es válido para la categoría de este servicio');
+
+      // Coincidencia por subcategoría, sin distinguir mayúsculas
+      mockPrisma.cupones.findUnique.mockResolvedValueOnce({
+        ...baseCoupon,
+        categorias: [{ id: 'cat-2', nombre: 'Hogar', subcategories: [{ nombre: 'gasista' }] }]
+      });
+      await expect(couponService.validateCoupon('PRIMERO15', context)).resolves.toEqual(expect.objectContaining({ finalAmount: 8500 }));
+    });
+
+    test('debe rechazar cupones de otro profesional', async () => {
+      mockPrisma.cupones.findUnique.mockResolvedValue({ ...baseCoupon, profesional_id: 'prof-2', absorbido_por: 'profesional' });
+
+      await expect(couponService.validateCoupon('PRIMERO15', context)).rejects.toThrow('no es válido para este profesional');
+    });
+  });
+
+  describe('redeemCoupon', () => {
+    test('debe verificar el tope global de forma atómica', async () => {
+      mockPrisma.cupones.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(couponService.redeemCoupon({
+        coupon: { ...baseCoupon, max_usos_totales: 50 },
+        clientId: 'cliente-1',
+        paymentId: 'pago-1',
+        discountAmount: 1500
+      })).rejects.toThrow('alcanzó su límite de usos');
+
+      expect(mockPrisma.cupones.updateMany).toHaveBeenCalledWith({
+        where: { id: 'cupon-1', usos_actuales: { lt: 50 } },
+        data: { usos_actuales: { increment: 1 } }
+      });
+      expect(mockPrisma.cupones_usos.create).not.toHaveBeenCalled();
+    });
+
+    test('debe registrar el canje dentro de la transacción recibida', async () => {
+      const tx = {
+        cupones: { update: jest.fn(), updateMany: jest.fn() },
+        cupones_usos: { create: jest.fn().mockResolvedValue({ id: 'uso-1' }) }
+      };
+
+      await couponService.redeemCoupon({ coupon: baseCoupon, clientId: 'cliente-1', paymentId: 'pago-1', discountAmount: 1500 }, tx);
+
+      expect(tx.cupones.update).toHaveBeenCalledWith({ where: { id: 'cupon-1' }, data: { usos_actuales: { increment: 1 } } });
+      expect(tx.cupones_usos.create).toHaveBeenCalledWith({
+        data: { cupon_id: 'cupon-1', usuario_id: 'cliente-1', pago_id: 'pago-1', monto_descuento: 1500 }
+      });
+    });
+  });
+
+  describe('voidCouponRedemption', () => {
+    test('debe anular el canje y liberar el uso del cupón', async () => {
+      mockPrisma.cupones_usos.findUnique.mockResolvedValue({ id: 'uso-1', cupon_id: 'cupon-1', estado: 'aplicado' });
+      mockPrisma.$transaction.mockResolvedValue([{ id: 'uso-1', estado: 'anulado' }]);
+
+      const result = await couponService.voidCouponRedemption('pago-1');
+
+      expect(result.estado).toBe('anulado');
+      expect(mockPrisma.cupones.update).toHaveBeenCalledWith({ where: { id: 'cupon-1' }, data: { usos_actuales: { decrement: 1 } } });
+    });
+
+    test('no debe hacer nada si el pago no usó cupón', async () => {
+      mockPrisma.cupones_usos.findUnique.mockResolvedValue(null);
+
+      await expect(couponService.voidCouponRedemption('pago-1')).resolves.toBeNull();
+      expect(mockPrisma.$transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('absorción del descuento', () => {
+    beforeEach(() => {
+      mockPrisma.commission_settings.findFirst.mockResolvedValue({ id: 'global', nombre: 'Global', porcentaje: 10, tipo_servicio: null });
+    });
+
+    test('calculateCommission debe usar el precio de lista cuando absorbe la plataforma', async () => {
+      const result = await calculateCommission(10000, null, { amount: 1500, absorbedBy: 'plataforma' });
+
+      expect(result).toEqual(expect.objectContaining({
+        commissionBase: 10000,
+        commissionAmount: 1000,
+        professionalAmount: 9000,
+        chargedAmount: 8500,
+        platformNetAmount: -500
+      }));
+    });
+
+    test('calculateCommission debe usar el precio cobrado cuando absorbe el profesional', async () => {
+      const result = await calculateCommission(10000, null, { amount: 1500, absorbedBy: 'profesional' });
+
+      expect(result).toEqual(expect.objectContaining({
+        commissionBase: 8500,
+        commissionAmount: 850,
+        professionalAmount: 7650,
+        platformNetAmount: 850
+      }));
+    });
+
+    test('getReleaseBase debe sumar el subsidio proporcional de la plataforma', () => {
+      const payment = { monto_total: 8500, monto_descuento: 1500, descuento_absorbido_por: 'plataforma' };
+
+      expect(getReleaseBase(payment, 8500)).toEqual({
+        chargedAmount: 8500, subsidyAmount: 1500, financingCost: 0, grossAmount: 10000, commissionBase: 10000
+      });
+      expect(getReleaseBase({ ...payment, descuento_absorbido_por: 'profesional' }, 8500)).toEqual({
+        chargedAmount: 8500, subsidyAmount: 0, financingCost: 0, grossAmount: 8500, commissionBase: 8500
+      });
+    });
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Unit tests for currencyService.js
+ * Covers: formato y redondeo por moneda, tipos de cambio vigentes e historial, conversión entre monedas,
+ * cupones con montos fijos en moneda base y payouts en la moneda del pago
+ */
+
+const mockPrisma = {
+  tipos_cambio: {
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    count: jest.fn(),
+    create: jest.fn()
+  },
+  usuarios: {
+    findUnique: jest.fn()
+  },
+  payouts: {
+    create: jest.fn()
+  },
+  transactions_log: {
+    create: jest.fn()
+  },
+  deudas_comision: {
+    findMany: jest.fn().mockResolvedValue([])
+  },
+  $transaction: jest.fn((callback) => callback(mockPrisma))
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+jest.mock('../../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../src/services/auditService', () => ({
+  logAuditEvent: jest.fn()
+}));
+jest.mock('../../src/services/withholdingService', () => ({
+  calculateWithholdings: jest.fn()
+}));
+jest.mock('../../src/services/commissionService', () => ({
+  recordCommissionEarned: jest.fn(),
+  recordDiscountSubsidy: jest.fn()
+}));
+jest.mock('../../src/services/ledgerService', () => ({
+  recordJournalEntry: jest.fn(),
+  LEDGER_ACCOUNTS: {
+    CUSTODIA: { codigo: 'custodia_clientes' },
+    SALDO_PROFESIONALES: { codigo: 'saldo_profesionales' },
+    RETENCIONES: { codigo: 'retenciones_a_depositar' }
+  }
+}));
+
+const currencyService = require('../../src/services/currencyService');
+const { calculateDiscount } = require('../../src/services/couponService');
+const { createPayout } = require('../../src/services/payoutService');
+const { calculateWithholdings } = require('../../src/services/withholdingService');
+const { logAuditEvent } = require('../../src/services/auditService');
+
+describe('Currency Service - Unit Tests', () => {
+  const uyuRate = { moneda: 'UYU', tasa: 24.2, vigente_desde: new Date('2026-10-01T00:00:00Z') };
+  const clpRate = { moneda: 'CLP', tasa: 1.1, vigente_desde: new Date('2026-10-01T00:00:00Z') };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.tipos_cambio.findFirst.mockImplementation(({ where }) =>
+      Promise.resolve({ UYU: uyuRate, CLP: clpRate }[where.moneda] || null)
+    );
+    mockPrisma.tipos_cambio.create.mockImplementation(({ data }) => Promise.resolve({ id: 'tc-1', ...data }));
+  });
+
+  describe('formatAmount / roundAmount', () => {
+    test('debe formatear cada moneda con su formato local y decimales', () => {
+      expect(currencyService.formatAmount(1500.5, 'ARS')).toBe('$ 1.500,50');
+      expect(currencyService.formatAmount(1500.5, 'UYU')).toBe('$ 1.500,50');
+      expect(currencyService.formatAmount(15000.4, 'CLP')).toBe('$15.000');
+    });
+
+    test('debe redondear los pesos chilenos sin decimales', () => {
+      expect(currencyService.roundAmount(1234.56, 'CLP')).toBe(1235);
+      expect(currencyService.roundAmount(1234.567, 'UYU')).toBe(1234.57);
+    });
+
+    test('debe rechazar monedas no habilitadas', () => {
+      expect(() => currencyService.normalizeCurrency('usd')).toThrow('Moneda inválida');
+      expect(currencyService.normalizeCurrency('uyu')).toBe('UYU');
+      expect(currencyService.normalizeCurrency()).toBe('ARS');
+    });
+  });
+
+  describe('getExchangeRate / getRateSnapshot', () => {
+    test('la moneda base tiene tipo de cambio 1 sin consultar la tabla', async () => {
+      const rate = await currencyService.getExchangeRate('ARS');
+
+      expect(rate.tasa).toBe(1);
+      expect(mockPrisma.tipos_cambio.findFirst).not.toHaveBeenCalled();
+    });
+
+    test('debe tomar el último tipo de cambio vigente de la moneda', async () => {
+      const snapshot = await currencyService.getRateSnapshot('UYU');
+
+      expect(snapshot).toEqual({ moneda: 'UYU', tipo_cambio: 24.2, tipo_cambio_fecha: uyuRate.vigente_desde });
+      expect(mockPrisma.tipos_cambio.findFirst).toHaveBeenCalledWith({
+        where: { moneda: 'UYU', vigente_desde: { lte: expect.any(Date) } },
+        orderBy: { vigente_desde: 'desc' }
+      });
+    });
+
+    test('debe fallar si la moneda no tiene tipo de cambio cargado', async () => {
+      mockPrisma.tipos_cambio.findFirst.mockResolvedValue(null);
+
+      await expect(currencyService.getRateSnapshot('CLP')).rejects.toThrow('No hay tipo de cambio cargado para CLP');
+    });
+  });
+
+  describe('convert', () => {
+    test('debe convertir entre monedas pasando por la moneda base', async () => {
+      expect(await currencyService.convert(100, 'UYU', 'ARS')).toBe(2420);
+      expect(await currencyService.convert(100, 'UYU', 'CLP')).toBe(2200);
+      expect(await currencyService.convert(100.555, 'ARS', 'ARS')).toBe(100.56);
+    });
+  });
+
+  describe('setExchangeRate', () => {
+    test('debe registrar el tipo de cambio y auditar el cambio', async () => {
+      const rate = await currencyService.setExchangeRate('uyu', { tasa: '25.1', fuente: 'BCU' }, 'admin-1');
+
+      expect(rate).toMatchObject({ moneda: 'UYU', tasa: 25.1, fuente: 'BCU', creado_por: 'admin-1' });
+      expect(logAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+        usuario_id: 'admin-1',
+        accion: 'set_exchange_rate',
+        entidad_tipo: 'tipos_cambio',
+        entidad_id: 'tc-1'
+      }));
+    });
+
+    test('debe rechazar tasas inválidas y la moneda base', async () => {
+      await expect(currencyService.setExchangeRate('UYU', { tasa: 0 }, 'admin-1'))
+        .rejects.toThrow('Tipo de cambio inválido');
+      await expect(currencyService.setExchangeRate('ARS', { tasa: 1 }, 'admin-1'))
+        .rejects.toThrow('no tiene tipo de cambio');
+      await expect(currencyService.setExchangeRate('UYU', { tasa: 25, vigente_desde: 'ayer' }, 'admin-1'))
+        .rejects.toThrow('Fecha de vigencia inválida');
+      expect(mockPrisma.tipos_cambio.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cupones en otra moneda', () => {
+    test('debe convertir el monto fijo y el tope del cupón con el tipo de cambio del pago', () => {
+      const coupon = { tipo: 'monto_fijo', valor: 2420, monto_maximo_descuento: null };
+
+      // 2420 ARS equivalen a 100 UYU
+      expect(calculateDiscount(coupon, 1000, 24.2)).toBe(100);
+      expect(calculateDiscount({ tipo: 'porcentaje', valor: 50, monto_maximo_descuento: 4840 }, 1000, 24.2)).toBe(200);
+    });
+  });
+
+  describe('createPayout en otra moneda', () => {
+    beforeEach(() => {
+      mockPrisma.usuarios.findUnique.mockResolvedValue({ rol: 'profesional', nombre: 'Ana', email: 'ana@example.com' });
+      mockPrisma.payouts.create.mockImplementation(({ data }) => Promise.resolve({ id: 'payout-1', ...data }));
+      calculateWithholdings.mockResolvedValue({ total: 90, detalle: [{ impuesto: 'ganancias', porcentaje: 2, monto: 90 }] });
+    });
+
+    test('debe guardar la moneda del pago y no aplicar retenciones argentinas', async () => {
+      const payout = await createPayout('prof-1', 'servicio-1', 5000, 500, 4500, 'platform_manual_release', false, { currency: 'UYU' });
+
+      expect(calculateWithholdings).not.toHaveBeenCalled();
+      expect(payout).toMatchObject({ moneda: 'UYU', monto_neto: 4500, retenciones: 0 });
+    });
+
+    test('sin moneda indicada el payout queda en moneda base con retenciones', async () => {
+      const payout = await createPayout('prof-1', 'servicio-1', 5000, 500, 4500, 'platform_manual_release', false);
+
+      expect(calculateWithholdings).toHaveBeenCalledWith('prof-1', 4500);
+      expect(payout).toMatchObject({ moneda: 'ARS', monto_neto: 4410, retenciones: 90 });
+    });
+  });
+});
@@ -0,0 +1,333 @@
+/**
+ * Unit tests for disputeService.js
+ * Covers: apertura de disputas, evidencia, resolución (total, reembolso, parcial)
+ */
+
+const mockPrisma = {
+  pagos: {
+    findUnique: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn()
+  },
+  servicios: {
+    update: jest.fn()
+  },
+  disputas_pago: {
+    create: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    count: jest.fn()
+  },
+  evidencias_disputa: {
+    create: jest.fn()
+  },
+  reembolsos: {
+    findFirst: jest.fn()
+  },
+  hitos_pago: {
+    updateMany: jest.fn()
+  },
+  transactions_log: {
+    create: jest.fn()
+  },
+  $transaction: jest.fn((callback) => callback(mockPrisma))
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+jest.mock('../../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  createNotification: jest.fn().mockResolvedValue({})
+}));
+jest.mock('../../src/services/storageService', () => ({
+  validateFile: jest.fn(),
+  uploadDisputeEvidence: jest.fn().mockResolvedValue('disputes/dispute-1/file.pdf'),
+  getSignedUrl: jest.fn().mockResolvedValue('https://signed.example.com/file.pdf')
+}));
+jest.mock('../../src/services/paymentDashboardService', () => ({
+  invalidatePaymentMetricsCache: jest.fn(),
+  invalidateProfessionalIncomeCache: jest.fn()
+}));
+jest.mock('../../src/services/commissionService', () => ({
+  getApplicableCommission: jest.fn().mockResolvedValue({ id: 'commission-1', porcentaje: 10 }),
+  getReleaseBase: jest.fn((payment, chargedAmount) => ({
+    chargedAmount, subsidyAmount: 0, financingCost: 0, grossAmount: chargedAmount, commissionBase: chargedAmount
+  }))
+}));
+jest.mock('../../src/services/payoutService', () => ({
+  createPayoutInTransaction: jest.fn().mockResolvedValue({ payout: { id: 'payout-1' } }),
+  dispatchPayout: jest.fn().mockResolvedValue({ id: 'payout-1' })
+}));
+jest.mock('../../src/services/mercadoPagoService', () => ({
+  processPartialRefund: jest.fn().mockResolvedValue({ success: true })
+}));
+
+const disputeService = require('../../src/services/disputeService');
+const { createNotification } = require('../../src/services/notificationService');
+const { createPayoutInTransaction, dispatchPayout } = require('../../src/services/payoutService');
+const { processPartialRefund } = require('../../src/services/mercadoPagoService');
+const { uploadDisputeEvidence } = require('../../src/services/storageService');
+
+describe('Dispute Service - Unit Tests', () => {
+  const heldPayment = {
+    id: 'pago-1',
+    servicio_id: 'servicio-1',
+    cliente_id: 'cliente-1',
+    profesional_id: 'prof-1',
+    monto_total: 10000,
+    mercado_pago_id: 'mp-1',
+    moneda: 'ARS',
+    estado: 'en_disputa'
+  };
+
+  const activeDispute = {
+    id: 'dispute-1',
+    pago_id: 'pago-1',
+    cliente_id: 'cliente-1',
+    profesional_id: 'prof-1',
+    estado: 'abierta',
+    pago: heldPayment
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.disputas_pago.update.mockImplementation(({ data }) => Promise.resolve({ ...activeDispute, ...data }));
+    mockPrisma.disputas_pago.updateMany.mockResolvedValue({ count: 1 });
+    mockPrisma.pagos.updateMany.mockResolvedValue({ count: 1 });
+    mockPrisma.reembolsos.findFirst.mockResolvedValue(null);
+  });
+
+  describe('openDispute', () => {
+    const disputeData = { motivo: 'servicio_incompleto', descripcion: 'El trabajo quedó a medio terminar' };
+
+    test('debe abrir la disputa y retener el pago', async () => {
+      mockPrisma.pagos.findUnique.mockResolvedValue({ ...heldPayment, estado: 'aprobado', disputas: [] });
+      mockPrisma.disputas_pago.create.mockResolvedValue(activeDispute);
+
+      const result = await disputeService.openDispute('pago-1', 'cliente-1', disputeData);
+
+      expect(result.id).toBe('dispute-1');
+      expect(mockPrisma.pagos.updateMany).toHaveBeenCalledWith({
+        where: { id: 'pago-1', estado: 'aprobado' },
+        data: { estado: 'en_disputa' }
+      });
+      expect(mockPrisma.transactions_log.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ tipo_transaccion: 'dispute_opened' })
+      });
+      expect(createNotification).toHaveBeenCalledTimes(2);
+    });
+
+    test('debe rechazar pagos ya liberados', async () => {
+      mockPrisma.pagos.findUnique.mockResolvedValue({ ...heldPayment, estado: 'liberado', disputas: [] });
+
+      await expect(disputeService.openDispute('pago-1', 'cliente-1', disputeData))
+        .rejects.toThrow('Solo se pueden disputar pagos en custodia');
+    });
+
+    test('debe rechazar si el pago dejó de estar en custodia antes de retenerlo', async () => {
+      mockPrisma.pagos.findUnique.mockResolvedValue({ ...heldPayment, estado: 'aprobado', disputas: [] });
+      mockPrisma.pagos.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(disputeService.openDispute('pago-1', 'cliente-1', disputeData))
+        .rejects.toThrow('Solo se pueden disputar pagos en custodia');
+      expect(mockPrisma.disputas_pago.create).not.toHaveBeenCalled();
+    });
+
+    test('debe rechazar si el pago pertenece a otro cliente', async () => {
+      mockPrisma.pagos.findUnique.mockResolvedValue({ ...heldPayment, estado: 'aprobado', disputas: [] });
+
+      await expect(disputeService.openDispute('pago-1', 'otro-cliente', disputeData))
+        .rejects.toThrow('No tienes permiso');
+    });
+
+    test('debe rechazar una segunda disputa activa', async () => {
+      mockPrisma.pagos.findUnique.mockResolvedValue({ ...heldPayment, estado: 'aprobado', disputas: [{ id: 'dispute-0' }] });
+
+      await expect(disputeService.openDispute('pago-1', 'cliente-1', disputeData))
+        .rejects.toThrow('Ya existe una disputa activa');
+    });
+  });
+
+  describe('addEvidence', () => {
+    test('debe pasar la disputa a revisión cuando el profesional presenta su descargo', async () => {
+      mockPrisma.disputas_pago.findUnique.mockResolvedValue(activeDispute);
+      mockPrisma.evidencias_disputa.create.mockResolvedValue({ id: 'evidence-1' });
+
+      const file = { buffer: Buffer.from('pdf'), mimetype: 'application/pdf', originalname: 'factura.pdf' };
+      await disputeService.addEvidence('dispute-1', 'prof-1', { descripcion: 'Adjunto comprobante', file });
+
+      expect(uploadDisputeEvidence).toHaveBeenCalledWith(file.buffer, 'factura.pdf', 'dispute-1', 'prof-1');
+      expect(mockPrisma.evidencias_disputa.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ rol_usuario: 'profesional', archivo: 'disputes/dispute-1/file.pdf' })
+      });
+      expect(mockPrisma.disputas_pago.updateMany).toHaveBeenCalledWith({
+        where: { id: 'dispute-1', estado: 'abierta' },
+        data: { estado: 'en_revision' }
+      });
+    });
+
+    test('debe rechazar evidencia de terceros', async () => {
+      mockPrisma.disputas_pago.findUnique.mockResolvedValue(activeDispute);
+
+      await expect(disputeService.addEvidence('dispute-1', 'intruso', { descripcion: 'Hola' }))
+        .rejects.toThrow('No tienes permiso');
+    });
+  });
+
+  describe('resolveDispute', () => {
+    beforeEach(() => {
+      mockPrisma.disputas_pago.findUnique.mockResolvedValue(activeDispute);
+    });
+
+    test('liberación total debe liberar fondos con comisión y crear payout', async () => {
+      const result = await disputeService.resolveDispute('dispute-1', 'admin-1', { resolucion: 'liberacion_total' });
+
+      expect(processPartialRefund).not.toHaveBeenCalled();
+      expect(result.commission).toBe(1000);
+      expect(result.professionalAmount).toBe(9000);
+      expect(mockPrisma.disputas_pago.updateMany).toHaveBeenCalledWith({
+        where: { id: 'dispute-1', estado: { in: ['abierta', 'en_revision'] } },
+        data: { estado: 'resolviendo' }
+      });
+      expect(dispatchPayout).toHaveBeenCalledWith({ payout: { id: 'payout-1' } });
+      expect(createPayoutInTransaction).toHaveBeenCalledWith(mockPrisma, 'prof-1', 'servicio-1', 10000, 1000, 9000, 'dispute_resolution', { currency: 'ARS' });
+    });
+
+    test('reembolso total debe reembolsar todo el pago sin payout', async () => {
+      const result = await disputeService.resolveDispute('dispute-1', 'admin-1', { resolucion: 'reembolso_total' });
+
+      expect(processPartialRefund).toHaveBeenCalledWith('pago-1', 10000, expect.objectContaining({
+        disputeId: 'dispute-1',
+        notify: false
+      }));
+      expect(createPayoutInTransaction).not.toHaveBeenCalled();
+      expect(result.refundAmount).toBe(10000);
+    });
+
+    test('división parcial debe reembolsar una parte y liberar el resto', async () => {
+      const result = await disputeService.resolveDispute('dispute-1', 'admin-1', {
+        resolucion: 'division_parcial',
+        montoReembolso: 4000
+      });
+
+      expect(processPartialRefund).toHaveBeenCalledWith('pago-1', 4000, expect.objectContaining({ processedBy: 'admin-1' }));
+      expect(result.releasedAmount).toBe(6000);
+      expect(result.commission).toBe(600);
+      expect(createPayoutInTransaction).toHaveBeenCalledWith(mockPrisma, 'prof-1', 'servicio-1', 6000, 600, 5400, 'dispute_resolution', { currency: 'ARS' });
+      expect(mockPrisma.transactions_log.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ tipo_transaccion: 'dispute_resolved' })
+      });
+      expect(createNotification).toHaveBeenCalledTimes(2);
+    });
+
+    test('debe tomar como base el saldo neto de reembolsos previos', async () => {
+      mockPrisma.disputas_pago.findUnique.mockResolvedValue({
+        ...activeDispute,
+        pago: { ...heldPayment, monto_reembolsado: 2000 }
+      });
+
+      const result = await disputeService.resolveDispute('dispute-1', 'admin-1', { resolucion: 'liberacion_total' });
+
+      expect(result.releasedAmount).toBe(8000);
+      expect(createPayoutInTransaction).toHaveBeenCalledWith(mockPrisma, 'prof-1', 'servicio-1', 8000, 800, 7200, 'dispute_resolution', { currency: 'ARS' });
+    });
+
+    test('debe excluir de la base los hitos ya liberados y cancelar los pendientes', async () => {
+      mockPrisma.disputas_pago.findUnique.mockResolvedValue({
+        ...activeDispute,
+        pago: {
+          ...heldPayment,
+          hitos: [
+            { id: 'hito-1', estado: 'liberado', monto: 3000, comision_plataforma: 300, monto_profesional: 2700 },
+            { id: 'hito-2', estado: 'en_revision', monto: 7000, comision_plataforma: 0, monto_profesional: 0 }
+          ]
+        }
+      });
+
+      const result = await disputeService.resolveDispute('dispute-1', 'admin-1', { resolucion: 'reembolso_total' });
+
+      expect(result.refundAmount).toBe(7000);
+      expect(processPartialRefund).toHaveBeenCalledWith('pago-1', 7000, expect.any(Object));
+      expect(mockPrisma.pagos.update).toHaveBeenCalledWith({
+        where: { id: 'pago-1' },
+        data: expect.objectContaining({ estado: 'liberado', comision_plataforma: 300, monto_profesional: 2700 })
+      });
+      expect(mockPrisma.hitos_pago.updateMany).toHaveBeenCalledWith({
+        where: { pago_id: 'pago-1', estado: { in: ['pendiente', 'en_revision'] } },
+        data: { estado: 'cancelado' }
+      });
+    });
+
+    test('división parcial debe rechazar montos fuera de rango', async () => {
+      await expect(disputeService.resolveDispute('dispute-1', 'admin-1', {
+        resolucion: 'division_parcial',
+        montoReembolso: 10000
+      })).rejects.toThrow('El monto a reembolsar');
+    });
+
+    test('no debe mover fondos si otra resolución tomó la disputa primero', async () => {
+      mockPrisma.disputas_pago.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(disputeService.resolveDispute('dispute-1', 'admin-1', { resolucion: 'reembolso_total' }))
+        .rejects.toThrow('se está resolviendo');
+      expect(processPartialRefund).not.toHaveBeenCalled();
+      expect(mockPrisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    test('debe devolver la disputa a su estado previo si la resolución falla', async () => {
+      processPartialRefund.mockRejectedValueOnce(new Error('Mercado Pago no disponible'));
+
+      await expect(disputeService.resolveDispute('dispute-1', 'admin-1', { resolucion: 'reembolso_total' }))
+        .rejects.toThrow('Mercado Pago no disponible');
+      expect(mockPrisma.disputas_pago.updateMany).toHaveBeenLastCalledWith({
+        where: { id: 'dispute-1', estado: 'resolviendo' },
+        data: { estado: 'abierta' }
+      });
+      expect(mockPrisma.disputas_pago.update).not.toHaveBeenCalled();
+    });
+
+    test('un reintento debe retomar el reembolso ya hecho en lugar de repetirlo', async () => {
+      mockPrisma.disputas_pago.findUnique.mockResolvedValue({
+        ...activeDispute,
+        pago: { ...heldPayment, monto_reembolsado: 4000 }
+      });
+      mockPrisma.reembolsos.findFirst.mockResolvedValue({ id: 'refund-1', disputa_id: 'dispute-1', monto: 4000 });
+
+      const result = await disputeService.resolveDispute('dispute-1', 'admin-1', {
+        resolucion: 'division_parcial',
+        montoReembolso: 4000
+      });
+
+      expect(processPartialRefund).not.toHaveBeenCalled();
+      expect(result.refundAmount).toBe(4000);
+      expect(result.releasedAmount).toBe(6000);
+      expect(createPayoutInTransaction).toHaveBeenCalledWith(mockPrisma, 'prof-1', 'servicio-1', 6000, 600, 5400, 'dispute_resolution', { currency: 'ARS' });
+    });
+
+    test('un reintento debe rechazar un monto distinto al ya reembolsado', async () => {
+      mockPrisma.disputas_pago.findUnique.mockResolvedValue({
+        ...activeDispute,
+        pago: { ...heldPayment, monto_reembolsado: 4000 }
+      });
+      mockPrisma.reembolsos.findFirst.mockResolvedValue({ id: 'refund-1', disputa_id: 'dispute-1', monto: 4000 });
+
+      await expect(disputeService.resolveDispute('dispute-1', 'admin-1', { resolucion: 'liberacion_total' }))
+        .rejects.toThrow('Un intento anterior ya reembolsó $4000');
+      expect(createPayoutInTransaction).not.toHaveBeenCalled();
+    });
+
+    test('debe rechazar disputas ya resueltas', async () => {
+      mockPrisma.disputas_pago.findUnique.mockResolvedValue({ ...activeDispute, estado: 'resuelta' });
+
+      await expect(disputeService.resolveDispute('dispute-1', 'admin-1', { resolucion: 'liberacion_total' }))
+        .rejects.toThrow('ya fue resuelta');
+    });
+  });
+});
@@ -9,6 +9,13 @@ const { PrismaClient } = require('@prisma/client');
 
 jest.mock('@prisma/client');
 jest.mock('../../src/services/logger');
+jest.mock('../../src/services/fraudScoringService', () => ({
+  SCORED_OPERATIONS: ['create_payment', 'create_withdrawal'],
+  DECISIONS: { ALLOW: 'permitir', STEP_UP: 'verificar', REVIEW: 'revisar', BLOCK: 'bloquear' },
+  assessRisk: jest.fn().mockResolvedValue({ id: 'eval-1', score: 0, decision: 'permitir', factors: [] }),
+  recordStepUpResult: jest.fn(),
+  escalateToReview: jest.fn()
+}));
 
 const mockPrisma = {
   usuarios: {
@@ -308,6 +315,48 @@ describe('Financial Security Middleware - Unit Tests', () => {
     });
   });
 
+  describe('Risk Scoring (fraudScoringService)', () => {
+    const { assessRisk } = require('../../src/services/fraudScoringService');
+
+    test('debe retener la operación para revisión con 202', async () => {
+      assessRisk.mockResolvedValueOnce({ id: 'eval-2', score: 60, decision: 'revisar', factors: [] });
+      mockReq.user = { id: 'user-risk-review', rol: 'cliente' };
+
+      const middleware = financialSecurity.validateFinancialOperation('create_payment');
+      await middleware(mockReq, mockRes, mockNext);
+
+      expect(mockNext).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(202);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        decision: 'revisar',
+        reviewId: 'eval-2'
+      }));
+    });
+
+    test('debe bloquear la operación con 403', async () => {
+      assessRisk.mockResolvedValueOnce({ id: 'eval-3', score: 90, decision: 'bloquear', factors: [] });
+      mockReq.user = { id: 'user-risk-block', rol: 'cliente' };
+
+      const middleware = financialSecurity.validateFinancialOperation('create_payment');
+      await middleware(mockReq, mockRes, mockNext);
+
+      expect(mockNext).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ decision: 'bloquear' }));
+    });
+
+    test('no debe puntuar consultas GET', async () => {
+      mockReq.user = { id: 'user-risk-get', rol: 'cliente' };
+      mockReq.method = 'GET';
+
+      const middleware = financialSecurity.validateFinancialOperation('create_payment');
+      await middleware(mockReq, mockRes, mockNext);
+
+      expect(assessRisk).not.toHaveBeenCalled();
+      expect(mockNext).toHaveBeenCalled();
+    });
+  });
+
   describe('Webhook Signature Validation', () => {
     test('debe validar firma HMAC-SHA256 correcta', () => {
       // This would be tested through the paymentController.handleWebhook
@@ -0,0 +1,263 @@
+/**
+ * Unit tests for fraudScoringService.js
+ * Covers: señales del puntaje, decisión según umbrales, configuración editable, registro en auditoría,
+ * revisión manual y reintento aprobado
+ */
+
+const mockPrisma = {
+  usuarios: {
+    findUnique: jest.fn()
+  },
+  failed_attempts: {
+    count: jest.fn()
+  },
+  transactions_log: {
+    findMany: jest.fn(),
+    count: jest.fn(),
+    findFirst: jest.fn()
+  },
+  cuentas_bancarias: {
+    findUnique: jest.fn()
+  },
+  pagos: {
+    findMany: jest.fn()
+  },
+  asientos_contables: {
+    count: jest.fn()
+  },
+  configuracion_fraude: {
+    findMany: jest.fn(),
+    upsert: jest.fn()
+  },
+  evaluaciones_fraude: {
+    findFirst: jest.fn(),
+    findUnique: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn()
+  }
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+jest.mock('../../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../src/services/auditService', () => ({
+  logAuditEvent: jest.fn()
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  createNotification: jest.fn()
+}));
+
+const fraudScoringService = require('../../src/services/fraudScoringService');
+const { logAuditEvent } = require('../../src/services/auditService');
+const { createNotification } = require('../../src/services/notificationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Fraud Scoring Service - Unit Tests', () => {
+  const withdrawal = {
+    userId: 'prof-1',
+    operation: 'create_withdrawal',
+    amount: 20000,
+    ip: '10.0.0.1',
+    userAgent: 'Mozilla/5.0 (Android)',
+    body: { bankAccountId: 'cuenta-1', amount: 20000 }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    // Usuario antiguo, sin señales de riesgo
+    mockPrisma.usuarios.findUnique.mockResolvedValue({ creado_en: new Date(Date.now() - 365 * DAY_MS) });
+    mockPrisma.failed_attempts.count.mockResolvedValue(0);
+    mockPrisma.transactions_log.findMany.mockResolvedValue([
+      { ip_address: '10.0.0.1', user_agent: 'Mozilla/5.0 (Android)' }
+    ]);
+    mockPrisma.transactions_log.count.mockResolvedValue(0);
+    mockPrisma.transactions_log.findFirst.mockResolvedValue(null);
+    mockPrisma.cuentas_bancarias.findUnique.mockResolvedValue({ creado_en: new Date(Date.now() - 90 * DAY_MS) });
+    mockPrisma.pagos.findMany.mockResolvedValue([]);
+    mockPrisma.asientos_contables.count.mockResolvedValue(0);
+    mockPrisma.configuracion_fraude.findMany.mockResolvedValue([]);
+    mockPrisma.evaluaciones_fraude.findFirst.mockResolvedValue(null);
+    mockPrisma.evaluaciones_fraude.create.mockImplementation(({ data }) => Promise.resolve({ id: 'eval-1', ...data }));
+  });
+
+  describe('decide', () => {
+    const config = { umbral_verificacion: 30, umbral_revision: 50, umbral_bloqueo: 80 };
+
+    test.each([
+      [0, 'permitir'],
+      [29, 'permitir'],
+      [30, 'verificar'],
+      [55, 'revisar'],
+      [80, 'bloquear'],
+      [100, 'bloquear']
+    ])('puntaje %i -> %s', (score, decision) => {
+      expect(fraudScoringService.decide(score, config)).toBe(decision);
+    });
+  });
+
+  describe('assessRisk', () => {
+    test('debe permitir una operación sin señales de riesgo y registrarla en auditoría', async () => {
+      const result = await fraudScoringService.assessRisk(withdrawal);
+
+      expect(result).toMatchObject({ id: 'eval-1', score: 0, decision: 'permitir', factors: [] });
+      expect(mockPrisma.evaluaciones_fraude.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          usuario_id: 'prof-1',
+          operacion: 'create_withdrawal',
+          puntaje: 0,
+          decision: 'permitir',
+          estado_revision: null
+        })
+      });
+      expect(logAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+        usuario_id: 'prof-1',
+        accion: 'fraud_assessment',
+        entidad_id: 'eval-1',
+        exito: true
+      }));
+    });
+
+    test('debe sumar las señales de cuenta nueva, cuenta bancaria nueva y cambio de dispositivo', async () => {
+      mockPrisma.usuarios.findUnique.mockResolvedValue({ creado_en: new Date(Date.now() - 2 * DAY_MS) });
+      mockPrisma.cuentas_bancarias.findUnique.mockResolvedValue({ creado_en: new Date(Date.now() - 3600 * 1000) });
+      mockPrisma.transactions_log.findMany.mockResolvedValue([
+        { ip_address: '192.168.0.9', user_agent: 'Mozilla/5.0 (iPhone)' }
+      ]);
+
+      const result = await fraudScoringService.assessRisk(withdrawal);
+
+      const points = Object.fromEntries(result.factors.map(factor => [factor.senal, factor.puntos]));
+      expect(points).toEqual({
+        antiguedad_cuenta: 15, // 25 * 0.6
+        cambio_ip_dispositivo: 15, // IP y dispositivo nuevos
+        cuenta_bancaria_nueva: 20
+      });
+      expect(result.score).toBe(50);
+      expect(result.decision).toBe('revisar');
+      expect(mockPrisma.evaluaciones_fraude.create.mock.calls[0][0].data.estado_revision).toBe('pendiente');
+      expect(logAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+        accion: 'fraud_assessment',
+        exito: false,
+        detalles: expect.objectContaining({ score: 50, decision: 'revisar', factors: result.factors })
+      }));
+    });
+
+    test('debe puntuar la velocidad de retiros y los contracargos', async () => {
+      mockPrisma.transactions_log.count.mockResolvedValue(3);
+      mockPrisma.pagos.findMany.mockResolvedValue([{ id: 'pago-1' }, { id: 'pago-2' }]);
+      mockPrisma.asientos_contables.count.mockResolvedValue(2);
+
+      const result = await fraudScoringService.assessRisk(withdrawal);
+
+      expect(result.factors.map(factor => factor.senal)).toEqual(['velocidad', 'contracargos']);
+      expect(result.score).toBe(80);
+      expect(result.decision).toBe('bloquear');
+      expect(mockPrisma.asientos_contables.count).toHaveBeenCalledWith({
+        where: { tipo: 'contracargo', entidad_tipo: 'pagos', entidad_id: { in: ['pago-1', 'pago-2'] } }
+      });
+    });
+
+    test('debe usar los umbrales y pesos configurados por el administrador', async () => {
+      mockPrisma.configuracion_fraude.findMany.mockResolvedValue([
+        { operacion: 'default', umbral_verificacion: 50, umbral_revision: 70, umbral_bloqueo: 90, pesos: null },
+        { operacion: 'create_withdrawal', umbral_verificacion: 5, umbral_revision: 60, umbral_bloqueo: 90, pesos: { intentos_fallidos: 10 } }
+      ]);
+      mockPrisma.failed_attempts.count.mockResolvedValue(5);
+
+      const result = await fraudScoringService.assessRisk(withdrawal);
+
+      expect(result.factors).toEqual([
+        { senal: 'intentos_fallidos', puntos: 10, detalle: '5 intentos fallidos de acceso en 24 horas' }
+      ]);
+      expect(result.thresholds.umbral_verificacion).toBe(5);
+      expect(result.decision).toBe('verificar');
+    });
+
+    test('una señal que falla no debe impedir la evaluación', async () => {
+      mockPrisma.failed_attempts.count.mockRejectedValue(new Error('DB down'));
+      mockPrisma.usuarios.findUnique.mockResolvedValue({ creado_en: new Date() });
+
+      const result = await fraudScoringService.assessRisk(withdrawal);
+
+      expect(result.factors.map(factor => factor.senal)).toEqual(['antiguedad_cuenta']);
+      expect(result.score).toBe(25);
+    });
+
+    test('debe permitir una vez el reintento de una operación aprobada en revisión', async () => {
+      mockPrisma.evaluaciones_fraude.findFirst.mockResolvedValue({ id: 'eval-0', puntaje: 65 });
+      mockPrisma.evaluaciones_fraude.updateMany.mockResolvedValue({ count: 1 });
+
+      const result = await fraudScoringService.assessRisk(withdrawal);
+
+      expect(mockPrisma.evaluaciones_fraude.updateMany).toHaveBeenCalledWith({
+        where: { id: 'eval-0', consumida_en: null },
+        data: { consumida_en: expect.any(Date) }
+      });
+      expect(result.decision).toBe('permitir');
+      expect(result.factors[0].senal).toBe('revision_aprobada');
+      expect(mockPrisma.failed_attempts.count).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateConfig', () => {
+    test('debe rechazar umbrales fuera de orden', async () => {
+      await expect(fraudScoringService.updateConfig('create_payment', {
+        umbral_verificacion: 60,
+        umbral_revision: 40,
+        umbral_bloqueo: 90
+      }, 'admin-1')).rejects.toThrow('verificación <= revisión <= bloqueo');
+
+      expect(mockPrisma.configuracion_fraude.upsert).not.toHaveBeenCalled();
+    });
+
+    test('debe rechazar señales desconocidas', async () => {
+      await expect(fraudScoringService.updateConfig('create_payment', { pesos: { ubicacion: 10 } }, 'admin-1'))
+        .rejects.toThrow('Señales desconocidas: ubicacion');
+    });
+
+    test('debe guardar los umbrales y auditar el cambio', async () => {
+      await fraudScoringService.updateConfig('create_payment', { umbral_bloqueo: 95 }, 'admin-1');
+
+      expect(mockPrisma.configuracion_fraude.upsert).toHaveBeenCalledWith({
+        where: { operacion: 'create_payment' },
+        create: expect.objectContaining({ operacion: 'create_payment', umbral_verificacion: 30, umbral_revision: 50, umbral_bloqueo: 95 }),
+        update: { umbral_verificacion: 30, umbral_revision: 50, umbral_bloqueo: 95, actualizado_por: 'admin-1' }
+      });
+      expect(logAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+        usuario_id: 'admin-1',
+        accion: 'update_fraud_config',
+        entidad_id: 'create_payment'
+      }));
+    });
+  });
+
+  describe('reviewAssessment', () => {
+    test('debe aprobar una operación retenida y avisar al usuario', async () => {
+      mockPrisma.evaluaciones_fraude.findUnique.mockResolvedValue({
+        id: 'eval-2', usuario_id: 'prof-1', operacion: 'create_withdrawal', monto: 20000, puntaje: 55, estado_revision: 'pendiente'
+      });
+      mockPrisma.evaluaciones_fraude.update.mockImplementation(({ data }) => Promise.resolve({ id: 'eval-2', ...data }));
+
+      const result = await fraudScoringService.reviewAssessment('eval-2', 'admin-1', true, 'Titular verificado por teléfono');
+
+      expect(result).toMatchObject({ estado_revision: 'aprobada', revisado_por: 'admin-1' });
+      expect(logAuditEvent).toHaveBeenCalledWith(expect.objectContaining({ accion: 'approve_fraud_review', entidad_id: 'eval-2' }));
+      expect(createNotification).toHaveBeenCalledWith('prof-1', 'operacion_aprobada', expect.any(String), expect.any(Object));
+    });
+
+    test('debe rechazar revisar una evaluación ya resuelta', async () => {
+      mockPrisma.evaluaciones_fraude.findUnique.mockResolvedValue({ id: 'eval-2', estado_revision: 'rechazada' });
+
+      await expect(fraudScoringService.reviewAssessment('eval-2', 'admin-1', true))
+        .rejects.toThrow('no está pendiente');
+    });
+  });
+});
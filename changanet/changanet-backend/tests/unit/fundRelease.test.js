@@ -0,0 +1,169 @@
+/**
+ * Unit tests for fund releases
+ * Covers: liberación manual y automática (mercadoPagoService y paymentsService) condicionada a que el pago
+ * no haya cambiado, sin pisar una disputa abierta ni un reembolso confirmado entre la lectura y la escritura
+ */
+
+const mockPrisma = {
+  servicios: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    update: jest.fn()
+  },
+  pagos: {
+    updateMany: jest.fn()
+  },
+  hitos_pago: {
+    count: jest.fn()
+  },
+  transactions_log: {
+    create: jest.fn()
+  }
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+jest.mock('mercadopago', () => {
+  const mockPaymentUpdate = jest.fn().mockResolvedValue({ status: 'approved' });
+  return {
+    MercadoPagoConfig: jest.fn(),
+    Preference: jest.fn(),
+    Payment: jest.fn(() => ({ update: mockPaymentUpdate })),
+    PaymentRefund: jest.fn(),
+    Customer: jest.fn(),
+    CustomerCard: jest.fn(),
+    CardToken: jest.fn(),
+    mockPaymentUpdate
+  };
+});
+jest.mock('../../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../src/services/commissionService', () => ({
+  ...jest.requireActual('../../src/services/commissionService'),
+  getApplicableCommission: jest.fn()
+}));
+jest.mock('../../src/services/payoutService', () => ({
+  createPayout: jest.fn()
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  createNotification: jest.fn().mockResolvedValue({})
+}));
+jest.mock('../../src/services/paymentDashboardService', () => ({
+  invalidatePaymentMetricsCache: jest.fn(),
+  invalidateProfessionalIncomeCache: jest.fn()
+}));
+
+const mercadoPagoService = require('../../src/services/mercadoPagoService');
+const paymentsService = require('../../src/services/paymentsService');
+const { mockPaymentUpdate } = require('mercadopago');
+const { getApplicableCommission } = require('../../src/services/commissionService');
+const { createPayout } = require('../../src/services/payoutService');
+
+describe('Fund Release - Unit Tests', () => {
+  const escrowedPayment = {
+    id: 'pago-1',
+    monto_total: 10000,
+    monto_reembolsado: 0,
+    moneda: 'ARS',
+    tipo_cambio: 1,
+    estado: 'aprobado',
+    fecha_liberacion: null
+  };
+
+  const completedService = {
+    id: 'servicio-1',
+    cliente_id: 'cliente-1',
+    profesional_id: 'prof-1',
+    estado: 'COMPLETADO',
+    pago: escrowedPayment
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.MERCADO_PAGO_ACCESS_TOKEN;
+    delete process.env.MINIMUM_COMMISSION_FEE;
+    mockPrisma.servicios.findUnique.mockResolvedValue(completedService);
+    mockPrisma.servicios.findMany.mockResolvedValue([completedService]);
+    mockPrisma.hitos_pago.count.mockResolvedValue(0);
+    mockPrisma.pagos.updateMany.mockResolvedValue({ count: 1 });
+    getApplicableCommission.mockResolvedValue({ id: 'config-1', porcentaje: 10 });
+    createPayout.mockResolvedValue({ id: 'payout-1' });
+  });
+
+  describe.each([
+    ['mercadoPagoService', mercadoPagoService],
+    ['paymentsService', paymentsService]
+  ])('%s', (_name, service) => {
+    test('releaseFunds debe liberar solo si el pago sigue en custodia', async () => {
+      const result = await service.releaseFunds('mp-1', 'servicio-1', 'cliente-1');
+
+      expect(mockPrisma.pagos.updateMany).toHaveBeenCalledWith({
+        where: { id: 'pago-1', estado: 'aprobado', monto_reembolsado: 0 },
+        data: expect.objectContaining({ estado: 'liberado', comision_plataforma: 1000, monto_profesional: 9000 })
+      });
+      expect(createPayout).toHaveBeenCalled();
+      expect(result.professionalAmount).toBe(9000);
+    });
+
+    test('releaseFunds no debe pagar si se abrió una disputa después de leer el pago', async () => {
+      mockPrisma.pagos.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(service.releaseFunds('mp-1', 'servicio-1', 'cliente-1'))
+        .rejects.toThrow('El pago cambió mientras se liberaban los fondos');
+
+      expect(mockPaymentUpdate).not.toHaveBeenCalled();
+      expect(mockPrisma.servicios.update).not.toHaveBeenCalled();
+      expect(createPayout).not.toHaveBeenCalled();
+    });
+
+    test('releaseFunds no debe pagar sobre el monto previo a un reembolso confirmado en el medio', async () => {
+      mockPrisma.servicios.findUnique.mockResolvedValue({
+        ...completedService,
+        pago: { ...escrowedPayment, monto_reembolsado: 2000 }
+      });
+      mockPrisma.pagos.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(service.releaseFunds('mp-1', 'servicio-1', 'cliente-1'))
+        .rejects.toThrow('El pago cambió mientras se liberaban los fondos');
+
+      expect(mockPrisma.pagos.updateMany).toHaveBeenCalledWith({
+        where: { id: 'pago-1', estado: 'aprobado', monto_reembolsado: 2000 },
+        data: expect.objectContaining({ comision_plataforma: 800, monto_profesional: 7200 })
+      });
+      expect(createPayout).not.toHaveBeenCalled();
+    });
+
+    test('autoReleaseFunds debe saltear el pago si se abrió una disputa después de buscarlo', async () => {
+      mockPrisma.pagos.updateMany.mockResolvedValue({ count: 0 });
+
+      const result = await service.autoReleaseFunds();
+
+      expect(mockPrisma.pagos.updateMany).toHaveBeenCalledWith({
+        where: { id: 'pago-1', estado: 'aprobado', monto_reembolsado: 0 },
+        data: expect.objectContaining({ estado: 'liberado' })
+      });
+      expect(result.releasedCount).toBe(0);
+      expect(result.skippedCount).toBe(1);
+      expect(mockPrisma.servicios.update).not.toHaveBeenCalled();
+      expect(createPayout).not.toHaveBeenCalled();
+    });
+  });
+
+  test('debe redondear la comisión mínima convertida a los decimales de la moneda del pago', async () => {
+    process.env.MINIMUM_COMMISSION_FEE = '1000';
+    mockPrisma.servicios.findUnique.mockResolvedValue({
+      ...completedService,
+      pago: { ...escrowedPayment, moneda: 'CLP', monto_total: 3000, tipo_cambio: 0.9 }
+    });
+
+    const result = await mercadoPagoService.releaseFunds('mp-1', 'servicio-1', 'cliente-1');
+
+    // 1000 ARS / 0,9 = 1111,11 CLP, que no tiene centavos
+    expect(result.commission).toBe(1111);
+    expect(result.professionalAmount).toBe(1889);
+  });
+});
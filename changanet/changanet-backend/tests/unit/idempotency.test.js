@@ -0,0 +1,282 @@
+/**
+ * Unit tests for idempotencyService.js and middleware/idempotency.js
+ * Covers: reserva de claves, repetición de la respuesta guardada, reintentos concurrentes,
+ * claves reutilizadas con otro cuerpo, claves vencidas o abandonadas y depuración periódica
+ */
+
+const crypto = require('crypto');
+
+const mockPrisma = {
+  claves_idempotencia: {
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+    deleteMany: jest.fn()
+  }
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+jest.mock('../../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const idempotencyService = require('../../src/services/idempotencyService');
+const { idempotency } = require('../../src/middleware/idempotency');
+
+const uniqueViolation = () => Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+
+describe('Idempotency - Unit Tests', () => {
+  const request = {
+    key: 'retiro-123',
+    userId: 'user-1',
+    method: 'POST',
+    path: '/api/withdrawals/',
+    body: { amount: 5000 }
+  };
+  const requestHash = idempotencyService.hashRequest(request.method, request.path, request.body);
+
+  const storedKey = (overrides = {}) => ({
+    id: 'key-1',
+    clave: request.key,
+    usuario_id: request.userId,
+    hash_solicitud: requestHash,
+    estado: 'completado',
+    codigo_respuesta: 201,
+    respuesta: { success: true, id: 'ret-1' },
+    creado_en: new Date(),
+    expira_en: new Date(Date.now() + 60 * 60 * 1000),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('reserveKey', () => {
+    test('debe reservar una clave nueva con el vencimiento configurado', async () => {
+      mockPrisma.claves_idempotencia.create.mockImplementation(({ data }) => Promise.resolve({ id: 'key-1', ...data }));
+
+      const result = await idempotencyService.reserveKey(request);
+
+      expect(result.action).toBe('proceed');
+      const { data } = mockPrisma.claves_idempotencia.create.mock.calls[0][0];
+      expect(data).toMatchObject({ clave: 'retiro-123', usuario_id: 'user-1', hash_solicitud: requestHash });
+      const ttlMs = data.expira_en.getTime() - Date.now();
+      expect(ttlMs).toBeGreaterThan((idempotencyService.IDEMPOTENCY_KEY_TTL_HOURS * 60 - 1) * 60 * 1000);
+    });
+
+    test('debe devolver la respuesta guardada si la clave ya se completó', async () => {
+      mockPrisma.claves_idempotencia.create.mockRejectedValue(uniqueViolation());
+      mockPrisma.claves_idempotencia.findUnique.mockResolvedValue(storedKey());
+
+      const result = await idempotencyService.reserveKey(request);
+
+      expect(result.action).toBe('replay');
+      expect(result.record.respuesta).toEqual({ success: true, id: 'ret-1' });
+    });
+
+    test('debe rechazar un reintento mientras la solicitud original sigue en curso', async () => {
+      mockPrisma.claves_idempotencia.create.mockRejectedValue(uniqueViolation());
+      mockPrisma.claves_idempotencia.findUnique.mockResolvedValue(storedKey({ estado: 'procesando', respuesta: null }));
+
+      await expect(idempotencyService.reserveKey(request)).rejects.toThrow('en curso');
+      expect(mockPrisma.claves_idempotencia.updateMany).not.toHaveBeenCalled();
+    });
+
+    test('debe rechazar la misma clave con otro cuerpo', async () => {
+      mockPrisma.claves_idempotencia.create.mockRejectedValue(uniqueViolation());
+      mockPrisma.claves_idempotencia.findUnique.mockResolvedValue(storedKey());
+
+      await expect(idempotencyService.reserveKey({ ...request, body: { amount: 9000 } }))
+        .rejects.toThrow('otra solicitud');
+    });
+
+    test('debe eliminar una clave vencida y reservarla de nuevo', async () => {
+      mockPrisma.claves_idempotencia.create
+        .mockRejectedValueOnce(uniqueViolation())
+        .mockResolvedValueOnce({ id: 'key-2' });
+      mockPrisma.claves_idempotencia.findUnique.mockResolvedValue(storedKey({ expira_en: new Date(Date.now() - 1000) }));
+      mockPrisma.claves_idempotencia.deleteMany.mockResolvedValue({ count: 1 });
+
+      const result = await idempotencyService.reserveKey(request);
+
+      expect(mockPrisma.claves_idempotencia.deleteMany).toHaveBeenCalledWith({
+        where: { id: 'key-1', expira_en: { lte: expect.any(Date) } }
+      });
+      expect(result).toEqual({ action: 'proceed', record: { id: 'key-2' } });
+    });
+
+    test('debe permitir retomar una clave abandonada en "procesando"', async () => {
+      const abandonedAt = new Date(Date.now() - (idempotencyService.IDEMPOTENCY_LOCK_TIMEOUT_SECONDS + 5) * 1000);
+      mockPrisma.claves_idempotencia.create.mockRejectedValue(uniqueViolation());
+      mockPrisma.claves_idempotencia.findUnique.mockResolvedValue(storedKey({ estado: 'procesando', creado_en: abandonedAt }));
+      mockPrisma.claves_idempotencia.updateMany.mockResolvedValue({ count: 1 });
+
+      const result = await idempotencyService.reserveKey(request);
+
+      expect(result.action).toBe('proceed');
+      expect(mockPrisma.claves_idempotencia.updateMany).toHaveBeenCalledWith({
+        where: { id: 'key-1', estado: 'procesando', creado_en: abandonedAt },
+        data: { creado_en: expect.any(Date) }
+      });
+    });
+  });
+
+  describe('purgeExpiredKeys', () => {
+    test('debe eliminar las claves vencidas', async () => {
+      mockPrisma.claves_idempotencia.deleteMany.mockResolvedValue({ count: 3 });
+
+      const count = await idempotencyService.purgeExpiredKeys();
+
+      expect(count).toBe(3);
+      expect(mockPrisma.claves_idempotencia.deleteMany).toHaveBeenCalledWith({
+        where: { expira_en: { lte: expect.any(Date) } }
+      });
+    });
+  });
+
+  describe('middleware idempotency', () => {
+    const buildReq = (key, overrides = {}) => ({
+      method: 'POST',
+      baseUrl: '/api/withdrawals',
+      path: '/',
+      body: { amount: 5000 },
+      user: { id: 'user-1' },
+      get: jest.fn(() => key),
+      ...overrides
+    });
+
+    const buildRes = () => {
+      const res = {
+        statusCode: 200,
+        headers: {},
+        listeners: {},
+        on: jest.fn((event, handler) => { res.listeners[event] = handler; }),
+        set: jest.fn((name, value) => { res.headers[name] = value; return res; }),
+        status: jest.fn(code => { res.statusCode = code; return res; }),
+        json: jest.fn(() => res)
+      };
+      return res;
+    };
+
+    const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+    test('sin el header debe continuar sin reservar clave', async () => {
+      const next = jest.fn();
+
+      await idempotency(buildReq(undefined), buildRes(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(mockPrisma.claves_idempotencia.create).not.toHaveBeenCalled();
+    });
+
+    test('debe rechazar claves con caracteres inválidos', async () => {
+      const res = buildRes();
+      const next = jest.fn();
+
+      await idempotency(buildReq('clave con espacios'), res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('debe guardar la respuesta exitosa de la primera ejecución', async () => {
+      mockPrisma.claves_idempotencia.create.mockResolvedValue({ id: 'key-1' });
+      mockPrisma.claves_idempotencia.update.mockResolvedValue({});
+      const res = buildRes();
+      const originalJson = res.json;
+      const next = jest.fn();
+
+      await idempotency(buildReq('retiro-123'), res, next);
+      expect(next).toHaveBeenCalled();
+
+      res.status(201).json({ success: true, id: 'ret-1' });
+      await flushPromises();
+
+      expect(mockPrisma.claves_idempotencia.update).toHaveBeenCalledWith({
+        where: { id: 'key-1' },
+        data: { estado: 'completado', codigo_respuesta: 201, respuesta: { success: true, id: 'ret-1' } }
+      });
+      expect(originalJson).toHaveBeenCalledWith({ success: true, id: 'ret-1' });
+    });
+
+    test('debe repetir la respuesta guardada con el header Idempotent-Replayed', async () => {
+      mockPrisma.claves_idempotencia.create.mockRejectedValue(uniqueViolation());
+      mockPrisma.claves_idempotencia.findUnique.mockResolvedValue(storedKey());
+      const res = buildRes();
+      const next = jest.fn();
+
+      await idempotency(buildReq('retiro-123'), res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.headers['Idempotent-Replayed']).toBe('true');
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({ success: true, id: 'ret-1' });
+    });
+
+    test('debe responder 409 ante un reintento concurrente', async () => {
+      mockPrisma.claves_idempotencia.create.mockRejectedValue(uniqueViolation());
+      mockPrisma.claves_idempotencia.findUnique.mockResolvedValue(storedKey({ estado: 'procesando' }));
+      const res = buildRes();
+
+      await idempotency(buildReq('retiro-123'), res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(409);
+    });
+
+    test('debe responder 422 si la clave se reutiliza con otro cuerpo', async () => {
+      mockPrisma.claves_idempotencia.create.mockRejectedValue(uniqueViolation());
+      mockPrisma.claves_idempotencia.findUnique.mockResolvedValue(storedKey());
+      const res = buildRes();
+
+      await idempotency(buildReq('retiro-123', { body: { amount: 1 } }), res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(422);
+    });
+
+    test('debe incluir el contenido del archivo subido en el hash de la solicitud', async () => {
+      mockPrisma.claves_idempotencia.create.mockRejectedValue(uniqueViolation());
+      const fileRequest = (content) => buildReq('respuesta-123', {
+        baseUrl: '/api/withdrawals',
+        path: '/batches/lote-1/response',
+        body: {},
+        file: { fieldname: 'archivo', originalname: 'respuesta.csv', buffer: Buffer.from(content) }
+      });
+      const storedHash = idempotencyService.hashRequest('POST', '/api/withdrawals/batches/lote-1/response', {
+        archivo: {
+          nombre: 'respuesta.csv',
+          sha256: crypto.createHash('sha256').update('ret-1;00').digest('hex')
+        }
+      });
+      mockPrisma.claves_idempotencia.findUnique.mockResolvedValue(storedKey({ hash_solicitud: storedHash }));
+
+      const replayed = buildRes();
+      await idempotency(fileRequest('ret-1;00'), replayed, jest.fn());
+      expect(replayed.headers['Idempotent-Replayed']).toBe('true');
+
+      const otherFile = buildRes();
+      await idempotency(fileRequest('ret-1;R3'), otherFile, jest.fn());
+      expect(otherFile.status).toHaveBeenCalledWith(422);
+    });
+
+    test('debe liberar la clave cuando la operación termina con error del servidor', async () => {
+      mockPrisma.claves_idempotencia.create.mockResolvedValue({ id: 'key-1' });
+      mockPrisma.claves_idempotencia.deleteMany.mockResolvedValue({ count: 1 });
+      const res = buildRes();
+
+      await idempotency(buildReq('retiro-123'), res, jest.fn());
+      res.status(500).json({ error: 'Error interno del servidor' });
+      await flushPromises();
+
+      expect(mockPrisma.claves_idempotencia.update).not.toHaveBeenCalled();
+      expect(mockPrisma.claves_idempotencia.deleteMany).toHaveBeenCalledWith({
+        where: { id: 'key-1', estado: 'procesando' }
+      });
+    });
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Unit tests for installmentPlanService.js
+ * Covers: validación de planes, disponibilidad por categoría y monto mínimo, desglose de cuotas
+ * y comisión sobre el neto acreditado en cuotas sin interés (getReleaseBase)
+ */
+
+const mockPrisma = {
+  planes_cuotas: {
+    create: jest.fn(),
+    update: jest.fn(),
+    findUnique: jest.fn(),
+    findMany: jest.fn()
+  },
+  categories: {
+    count: jest.fn()
+  },
+  transactions_log: {
+    create: jest.fn()
+  }
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+jest.mock('../../src/services/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../src/services/paymentDashboardService', () => ({
+  invalidateCommissionMetrics: jest.fn()
+}));
+jest.mock('../../src/services/cacheService', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  set: jest.fn().mockResolvedValue(true)
+}));
+
+const installmentPlanService = require('../../src/services/installmentPlanService');
+const { getReleaseBase } = require('../../src/services/commissionService');
+
+describe('Installment Plan Service - Unit Tests', () => {
+  const interestPlan = {
+    id: 'plan-6',
+    nombre: '6 cuotas',
+    cuotas: 6,
+    sin_interes: false,
+    tasa_interes: 30,
+    costo_financiacion: 0,
+    monto_minimo: null,
+    activo: true,
+    categorias: []
+  };
+
+  const promoPlan = {
+    id: 'plan-3',
+    nombre: '3 cuotas sin interés',
+    cuotas: 3,
+    sin_interes: true,
+    tasa_interes: 0,
+    costo_financiacion: 8,
+    monto_minimo: 30000,
+    activo: true,
+    categorias: [{ id: 'cat-1', nombre: 'Plomería', subcategories: [{ nombre: 'Gasista' }] }]
+  };
+
+  const service = {
+    id: 'servicio-1',
+    profesional_id: 'prof-1',
+    profesional: {
+      perfil_profesional: { especialidad: 'Gasista', especialidades: null }
+    }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createPlan', () => {
+    test('debe crear el plan con sus categorías', async () => {
+      mockPrisma.categories.count.mockResolvedValue(1);
+      mockPrisma.planes_cuotas.create.mockImplementation(({ data }) => Promise.resolve({ id: 'plan-1', ...data }));
+
+      await installmentPlanService.createPlan({
+        nombre: '3 cuotas sin interés',
+        cuotas: '3',
+        sin_interes: true,
+        costo_financiacion: 8,
+        monto_minimo: 30000,
+        categorias: ['cat-1']
+      }, 'admin-1');
+
+      expect(mockPrisma.planes_cuotas.create).toHaveBeenCalledWith({
+        data: {
+          nombre: '3 cuotas sin interés',
+          cuotas: 3,
+          sin_interes: true,
+          tasa_interes: 0,
+          costo_financiacion: 8,
+          monto_minimo: 30000,
+          creado_por: 'admin-1',
+          categorias: { connect: [{ id: 'cat-1' }] }
+        },
+        include: { categorias: { select: { id: true, nombre: true } } }
+      });
+    });
+
+    test('debe rechazar cuotas fuera de rango y combinaciones de interés inválidas', async () => {
+      await expect(installmentPlanService.createPlan({ nombre: 'Plan', cuotas: 1 }, 'admin-1'))
+        .rejects.toThrow('La cantidad de cuotas debe estar entre 2 y 24');
+      await expect(installmentPlanService.createPlan({ nombre: 'Plan', cuotas: 3, sin_interes: true, tasa_interes: 10 }, 'admin-1'))
+        .rejects.toThrow('Un plan sin interés no debe tener tasa de interés');
+      await expect(installmentPlanService.createPlan({ nombre: 'Plan', cuotas: 3, costo_financiacion: 5 }, 'admin-1'))
+        .rejects.toThrow('Solo los planes sin interés tienen costo de financiación');
+      expect(mockPrisma.planes_cuotas.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('calculateInstallments', () => {
+    test('plan con interés: el cliente paga el recargo y no hay costo para la plataforma', () => {
+      expect(installmentPlanService.calculateInstallments(interestPlan, 12000)).toEqual({
+        planId: 'plan-6',
+        nombre: '6 cuotas',
+        cuotas: 6,
+        sinInteres: false,
+        montoCuota: 2600,
+        recargo: 3600,
+        totalAPagar: 15600,
+        costoFinanciacion: 0
+      });
+    });
+
+    test('plan sin interés: cuotas del precio y costo de financiación a cargo de la plataforma', () => {
+      expect(installmentPlanService.calculateInstallments(promoPlan, 30000)).toMatchObject({
+        montoCuota: 10000,
+        recargo: 0,
+        totalAPagar: 30000,
+        costoFinanciacion: 2400
+      });
+    });
+  });
+
+  describe('getInstallmentOptions', () => {
+    test('debe ofrecer solo los planes de la categoría del servicio que superan el monto mínimo', async () => {
+      mockPrisma.planes_cuotas.findMany.mockResolvedValue([promoPlan, interestPlan]);
+
+      const below = await installmentPlanService.getInstallmentOptions({ service, amount: 20000 });
+      expect(below.map(option => option.planId)).toEqual(['plan-6']);
+
+      const above = await installmentPlanService.getInstallmentOptions({ service, amount: 30000 });
+      expect(above.map(option => option.planId)).toEqual(['plan-3', 'plan-6']);
+
+      const otherService = { ...service, profesional: { perfil_profesional: { especialidad: 'Pintor' } } };
+      const other = await installmentPlanService.getInstallmentOptions({ service: otherService, amount: 30000 });
+      expect(other.map(option => option.planId)).toEqual(['plan-6']);
+    });
+
+    test('el monto mínimo en moneda base se convierte con el tipo de cambio', async () => {
+      mockPrisma.planes_cuotas.findMany.mockResolvedValue([promoPlan]);
+
+      // 30000 ARS / 24.2 = 1239.67 UYU
+      const options = await installmentPlanService.getInstallmentOptions({
+        service, amount: 1300, currency: 'UYU', exchangeRate: 24.2
+      });
+      expect(options).toHaveLength(1);
+      expect(options[0].costoFinanciacion).toBe(104);
+    });
+  });
+
+  describe('selectInstallmentPlan', () => {
+    test('debe rechazar planes inactivos o que no aplican al monto', async () => {
+      mockPrisma.planes_cuotas.findUnique.mockResolvedValue(null);
+      await expect(installmentPlanService.selectInstallmentPlan('plan-x', { service, amount: 30000 }))
+        .rejects.toThrow('Plan de cuotas no encontrado');
+
+      mockPrisma.planes_cuotas.findUnique.mockResolvedValue(promoPlan);
+      await expect(installmentPlanService.selectInstallmentPlan('plan-3', { service, amount: 10000 }))
+        .rejects.toThrow('El plan de cuotas no está disponible');
+
+      mockPrisma.planes_cuotas.findUnique.mockResolvedValue({ ...interestPlan, activo: false });
+      await expect(installmentPlanService.selectInstallmentPlan('plan-6', { service, amount: 30000 }))
+        .rejects.toThrow('El plan de cuotas no está disponible');
+    });
+  });
+
+  describe('comisión sobre el neto acreditado', () => {
+    test('getReleaseBase descuenta el costo de financiación solo de la base de comisión', () => {
+      const payment = { monto_total: 30000, monto_descuento: 0, costo_financiacion: 2400 };
+
+      expect(getReleaseBase(payment, 30000)).toEqual({
+        chargedAmount: 30000,
+        subsidyAmount: 0,
+        financingCost: 2400,
+        grossAmount: 30000,
+        commissionBase: 27600
+      });
+      // Tras un reembolso parcial el costo se prorratea sobre lo que se libera
+      expect(getReleaseBase(payment, 15000)).toMatchObject({ financingCost: 1200, commissionBase: 13800 });
+    });
+  });
+});
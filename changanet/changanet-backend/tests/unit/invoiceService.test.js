@@ -0,0 +1,413 @@
+/**
+ * Unit tests for invoiceService.js
+ * Covers: validación de CUIT y datos fiscales, cálculo de la comisión mensual con IVA, numeración
+ * correlativa, tipo de comprobante, autorización ante la autoridad fiscal y acceso a las facturas
+ */
+
+const fs = require('fs');
+
+const mockPrisma = {
+  pagos: {
+    findMany: jest.fn()
+  },
+  reembolsos: {
+    findMany: jest.fn()
+  },
+  hitos_pago: {
+    findMany: jest.fn()
+  },
+  usuarios: {
+    findUnique: jest.fn()
+  },
+  datos_fiscales: {
+    findUnique: jest.fn(),
+    upsert: jest.fn()
+  },
+  facturas: {
+    findUnique: jest.fn(),
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    count: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn()
+  }
+};
+
+const mockAuthority = {
+  name: 'test',
+  authorizeInvoice: jest.fn()
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+jest.mock('../../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  createNotification: jest.fn()
+}));
+jest.mock('../../src/services/fiscalAuthorityService', () => ({
+  getFiscalAuthority: jest.fn(() => mockAuthority)
+}));
+
+const invoiceService = require('../../src/services/invoiceService');
+const { createNotification } = require('../../src/services/notificationService');
+
+describe('Invoice Service - Unit Tests', () => {
+  const period = invoiceService.getPeriod(2026, 9);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    jest.spyOn(fs, 'existsSync').mockReturnValue(true);
+    jest.spyOn(fs, 'writeFileSync').mockImplementation(() => {});
+
+    mockPrisma.pagos.findMany.mockResolvedValue([
+      { id: 'pago-1', comision_plataforma: 605 },
+      { id: 'pago-2', comision_plataforma: 1210 }
+    ]);
+    mockPrisma.reembolsos.findMany.mockResolvedValue([]);
+    mockPrisma.hitos_pago.findMany.mockResolvedValue([]);
+    mockPrisma.usuarios.findUnique.mockResolvedValue({ nombre: 'Juan Pérez', email: 'juan@example.com' });
+    mockPrisma.datos_fiscales.findUnique.mockResolvedValue(null);
+    mockPrisma.facturas.findUnique.mockResolvedValue(null);
+    mockPrisma.facturas.findFirst.mockResolvedValue({ numero: 41 });
+    mockPrisma.facturas.create.mockImplementation(({ data }) => Promise.resolve({
+      id: 'fac-1',
+      estado: 'pendiente_autorizacion',
+      emitida_en: new Date('2026-10-01T12:00:00Z'),
+      ...data
+    }));
+    mockPrisma.facturas.update.mockImplementation(({ data }) => Promise.resolve({ id: 'fac-1', ...data }));
+    mockAuthority.authorizeInvoice.mockResolvedValue({
+      cae: '74123456789012',
+      caeVencimiento: new Date('2026-10-11T00:00:00Z')
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('isValidCuit', () => {
+    test.each([
+      ['20-12345678-6', true],
+      ['20123456786', true],
+      ['20-12345678-5', false],
+      ['2012345678', false],
+      ['abc', false]
+    ])('%s -> %s', (cuit, valid) => {
+      expect(invoiceService.isValidCuit(cuit)).toBe(valid);
+    });
+  });
+
+  describe('updateFiscalData', () => {
+    test('debe rechazar un CUIT inválido', async () => {
+      await expect(invoiceService.updateFiscalData('prof-1', {
+        cuit: '20-12345678-5',
+        razon_social: 'Juan Pérez',
+        condicion_iva: 'monotributista',
+        domicilio_fiscal: 'Calle 123'
+      })).rejects.toThrow('CUIT inválido');
+
+      expect(mockPrisma.datos_fiscales.upsert).not.toHaveBeenCalled();
+    });
+
+    test('debe rechazar una condición frente al IVA desconocida', async () => {
+      await expect(invoiceService.updateFiscalData('prof-1', {
+        cuit: '20-12345678-6',
+        razon_social: 'Juan Pérez',
+        condicion_iva: 'otro',
+        domicilio_fiscal: 'Calle 123'
+      })).rejects.toThrow('Condición frente al IVA inválida');
+    });
+
+    test('debe guardar el CUIT normalizado', async () => {
+      await invoiceService.updateFiscalData('prof-1', {
+        cuit: '20-12345678-6',
+        razon_social: ' Juan Pérez ',
+        condicion_iva: 'responsable_inscripto',
+        domicilio_fiscal: 'Calle 123'
+      });
+
+      expect(mockPrisma.datos_fiscales.upsert).toHaveBeenCalledWith({
+        where: { usuario_id: 'prof-1' },
+        create: { usuario_id: 'prof-1', cuit: '20123456786', razon_social: 'Juan Pérez', condicion_iva: 'responsable_inscripto', domicilio_fiscal: 'Calle 123' },
+        update: { cuit: '20123456786', razon_social: 'Juan Pérez', condicion_iva: 'responsable_inscripto', domicilio_fiscal: 'Calle 123' }
+      });
+    });
+  });
+
+  describe('calculateCommission', () => {
+    test('debe sumar la comisión del período, descontar reembolsos y discriminar el IVA', async () => {
+      mockPrisma.reembolsos.findMany.mockResolvedValue([{ comision_revertida: 121, pago: { tipo_cambio: 1 } }]);
+
+      const amounts = await invoiceService.calculateCommission('prof-1', period);
+
+      expect(amounts).toEqual({
+        cantidad_pagos: 2,
+        comision_bruta: 1815,
+        comision_revertida: 121,
+        monto_neto: 1400,
+        alicuota_iva: 21,
+        monto_iva: 294,
+        monto_total: 1694
+      });
+      expect(mockPrisma.pagos.findMany).toHaveBeenCalledWith({
+        where: {
+          profesional_id: 'prof-1',
+          estado: { in: ['liberado', 'reembolsado'] },
+          fecha_liberacion: { gte: period.inicio, lt: period.fin }
+        },
+        select: expect.objectContaining({ id: true, comision_plataforma: true, tipo_cambio: true })
+      });
+    });
+
+    test('debe facturar la comisión en el mes en que se liberó el pago, no en el que se cobró', async () => {
+      // Cobrado en septiembre, todavía en custodia: sin liberación en septiembre no hay comisión
+      mockPrisma.pagos.findMany.mockImplementation(({ where }) => Promise.resolve(
+        where.fecha_liberacion.gte.getTime() === invoiceService.getPeriod(2026, 10).inicio.getTime()
+          ? [{
+            id: 'pago-1',
+            comision_plataforma: 1210,
+            tipo_cambio: 1,
+            fecha_pago: new Date(2026, 8, 20),
+            fecha_liberacion: new Date(2026, 9, 3),
+            hitos: [],
+            reembolsos: []
+          }]
+          : []
+      ));
+
+      const september = await invoiceService.calculateCommission('prof-1', period);
+      const october = await invoiceService.calculateCommission('prof-1', invoiceService.getPeriod(2026, 10));
+
+      expect(september.monto_total).toBe(0);
+      expect(october.comision_bruta).toBe(1210);
+      expect(october.cantidad_pagos).toBe(1);
+    });
+
+    test('debe facturar los hitos aprobados en el período sin volver a cobrarlos al liberar el pago', async () => {
+      mockPrisma.pagos.findMany.mockResolvedValue([{
+        id: 'pago-1',
+        comision_plataforma: 1000,
+        tipo_cambio: 1,
+        fecha_liberacion: new Date(2026, 8, 25),
+        hitos: [{ comision_plataforma: 400 }, { comision_plataforma: 600 }],
+        reembolsos: []
+      }]);
+      mockPrisma.hitos_pago.findMany.mockResolvedValue([{ pago_id: 'pago-1', comision_plataforma: 600, pago: { tipo_cambio: 1 } }]);
+
+      const amounts = await invoiceService.calculateCommission('prof-1', period);
+
+      // El primer hito (400) se facturó en el mes en que se aprobó
+      expect(amounts.comision_bruta).toBe(600);
+      expect(amounts.cantidad_pagos).toBe(1);
+    });
+
+    test('no debe descontar dos veces un reembolso posterior a la liberación en el mismo mes', async () => {
+      const releasedAt = new Date(2026, 8, 10);
+      const refundedAt = new Date(2026, 8, 15);
+      mockPrisma.pagos.findMany.mockResolvedValue([{
+        id: 'pago-1',
+        comision_plataforma: 500, // 1000 al liberar, la mitad revertida por el reembolso
+        tipo_cambio: 1,
+        fecha_liberacion: releasedAt,
+        hitos: [],
+        reembolsos: [{ comision_revertida: 500, creado_en: refundedAt }]
+      }]);
+      mockPrisma.reembolsos.findMany.mockResolvedValue([{ comision_revertida: 500, pago: { tipo_cambio: 1 } }]);
+
+      const amounts = await invoiceService.calculateCommission('prof-1', period);
+
+      expect(amounts.comision_bruta).toBe(1000);
+      expect(amounts.comision_revertida).toBe(500);
+      expect(amounts.monto_total).toBe(500);
+    });
+
+    test('debe convertir a moneda base la comisión de pagos en otra moneda con su tipo de cambio', async () => {
+      mockPrisma.pagos.findMany.mockResolvedValue([
+        { id: 'pago-1', comision_plataforma: 605, tipo_cambio: 1 },
+        { id: 'pago-2', comision_plataforma: 50, tipo_cambio: 24.2 }
+      ]);
+      mockPrisma.reembolsos.findMany.mockResolvedValue([{ comision_revertida: 5, pago: { tipo_cambio: 24.2 } }]);
+
+      const amounts = await invoiceService.calculateCommission('prof-1', period);
+
+      expect(amounts.comision_bruta).toBe(1815);
+      expect(amounts.comision_revertida).toBe(121);
+      expect(amounts.monto_total).toBe(1694);
+    });
+  });
+
+  describe('issueInvoice', () => {
+    test('debe emitir una factura B numerada a consumidor final si no hay datos fiscales', async () => {
+      const { invoice, created } = await invoiceService.issueInvoice('prof-1', period);
+
+      expect(created).toBe(true);
+      expect(mockPrisma.facturas.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          profesional_id: 'prof-1',
+          tipo_comprobante: 'B',
+          punto_venta: 1,
+          numero: 42,
+          periodo: '2026-09',
+          monto_total: 1815,
+          datos_fiscales: { razon_social: 'Juan Pérez', condicion_iva: 'consumidor_final' }
+        })
+      });
+      expect(mockAuthority.authorizeInvoice).toHaveBeenCalledWith(expect.objectContaining({ numero: 42 }));
+      expect(invoice).toMatchObject({
+        estado: 'autorizada',
+        cae: '74123456789012',
+        archivo: 'factura_B_00001-00000042.pdf'
+      });
+      expect(fs.writeFileSync).toHaveBeenCalledWith(expect.stringContaining('factura_B_00001-00000042.pdf'), expect.any(Buffer));
+      expect(createNotification).toHaveBeenCalledWith('prof-1', 'factura_emitida', expect.stringContaining('00001-00000042'), expect.any(Object));
+    });
+
+    test('debe emitir factura A a un responsable inscripto con sus datos fiscales', async () => {
+      mockPrisma.datos_fiscales.findUnique.mockResolvedValue({
+        cuit: '20123456786',
+        razon_social: 'Pérez Instalaciones SRL',
+        condicion_iva: 'responsable_inscripto',
+        domicilio_fiscal: 'Calle 123'
+      });
+      mockPrisma.facturas.findFirst.mockResolvedValue(null);
+
+      await invoiceService.issueInvoice('prof-1', period);
+
+      expect(mockPrisma.facturas.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+        where: { punto_venta: 1, tipo_comprobante: 'A' }
+      }));
+      expect(mockPrisma.facturas.create.mock.calls[0][0].data).toMatchObject({
+        tipo_comprobante: 'A',
+        numero: 1,
+        datos_fiscales: { cuit: '20123456786', razon_social: 'Pérez Instalaciones SRL' }
+      });
+    });
+
+    test('no debe emitir dos facturas para el mismo período', async () => {
+      mockPrisma.facturas.findUnique.mockResolvedValue({ id: 'fac-0', periodo: '2026-09' });
+
+      const result = await invoiceService.issueInvoice('prof-1', period);
+
+      expect(result).toEqual({ invoice: { id: 'fac-0', periodo: '2026-09' }, created: false });
+      expect(mockPrisma.facturas.create).not.toHaveBeenCalled();
+    });
+
+    test('no debe emitir facturas sin comisión a cobrar', async () => {
+      mockPrisma.pagos.findMany.mockResolvedValue([]);
+
+      const result = await invoiceService.issueInvoice('prof-1', period);
+
+      expect(result).toBeNull();
+      expect(mockPrisma.facturas.create).not.toHaveBeenCalled();
+    });
+
+    test('debe tomar el siguiente número si otro proceso usó el mismo', async () => {
+      mockPrisma.facturas.findFirst
+        .mockResolvedValueOnce({ numero: 41 })
+        .mockResolvedValueOnce({ numero: 42 });
+      mockPrisma.facturas.create.mockRejectedValueOnce(Object.assign(new Error('Unique constraint'), { code: 'P2002' }));
+
+      await invoiceService.issueInvoice('prof-1', period);
+
+      expect(mockPrisma.facturas.create).toHaveBeenCalledTimes(2);
+      expect(mockPrisma.facturas.create.mock.calls[1][0].data.numero).toBe(43);
+    });
+
+    test('debe dejar la factura pendiente si la autoridad fiscal no responde', async () => {
+      mockAuthority.authorizeInvoice.mockRejectedValue(new Error('Servicio no disponible'));
+
+      const { invoice } = await invoiceService.issueInvoice('prof-1', period);
+
+      expect(mockPrisma.facturas.update).toHaveBeenCalledWith({
+        where: { id: 'fac-1' },
+        data: { autoridad_error: 'Servicio no disponible' }
+      });
+      expect(invoice.autoridad_error).toBe('Servicio no disponible');
+      expect(fs.writeFileSync).not.toHaveBeenCalled();
+      expect(createNotification).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('generateMonthlyInvoices', () => {
+    test('debe rechazar facturar un mes que no cerró', async () => {
+      const now = new Date();
+
+      await expect(invoiceService.generateMonthlyInvoices({ year: now.getFullYear(), month: now.getMonth() + 1 }))
+        .rejects.toThrow('Solo se pueden facturar meses cerrados');
+    });
+
+    test('debe emitir una factura por profesional y reintentar las autorizaciones pendientes', async () => {
+      mockPrisma.pagos.findMany
+        .mockResolvedValueOnce([{ profesional_id: 'prof-1' }])
+        .mockResolvedValue([{ id: 'pago-1', comision_plataforma: 605 }]);
+      mockPrisma.hitos_pago.findMany
+        .mockResolvedValueOnce([{ pago: { profesional_id: 'prof-1' } }, { pago: { profesional_id: 'prof-2' } }])
+        .mockResolvedValue([]);
+      mockPrisma.facturas.findUnique
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ id: 'fac-0' });
+      mockPrisma.facturas.findMany.mockResolvedValue([
+        { id: 'fac-9', profesional_id: 'prof-3', tipo_comprobante: 'B', punto_venta: 1, numero: 40, periodo: '2026-08', datos_fiscales: { razon_social: 'Ana', condicion_iva: 'consumidor_final' }, comision_bruta: 100, comision_revertida: 0, monto_neto: 82.64, monto_iva: 17.36, monto_total: 100, alicuota_iva: 21, cantidad_pagos: 1, emitida_en: new Date() }
+      ]);
+
+      const summary = await invoiceService.generateMonthlyInvoices({ year: 2026, month: 9 });
+
+      expect(summary).toEqual({
+        periodo: '2026-09',
+        emitidas: 1,
+        existentes: 1,
+        sin_comision: 0,
+        errores: 0,
+        autorizaciones_reintentadas: 1
+      });
+      expect(mockAuthority.authorizeInvoice).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('getInvoiceFile', () => {
+    test('no debe permitir a un profesional descargar facturas de otro', async () => {
+      mockPrisma.facturas.findUnique.mockResolvedValue({ id: 'fac-1', profesional_id: 'prof-2', estado: 'autorizada' });
+
+      await expect(invoiceService.getInvoiceFile('fac-1', { id: 'prof-1', rol: 'profesional' }))
+        .rejects.toThrow('No autorizado para ver esta factura');
+    });
+
+    test('debe rechazar la descarga de una factura sin autorizar', async () => {
+      mockPrisma.facturas.findUnique.mockResolvedValue({ id: 'fac-1', profesional_id: 'prof-1', estado: 'pendiente_autorizacion' });
+
+      await expect(invoiceService.getInvoiceFile('fac-1', { id: 'prof-1', rol: 'profesional' }))
+        .rejects.toThrow('todavía no fue autorizada');
+    });
+
+    test('debe devolver el PDF guardado', async () => {
+      mockPrisma.facturas.findUnique.mockResolvedValue({
+        id: 'fac-1', profesional_id: 'prof-1', estado: 'autorizada', archivo: 'factura_B_00001-00000042.pdf'
+      });
+      jest.spyOn(fs, 'readFileSync').mockReturnValue(Buffer.from('%PDF'));
+
+      const result = await invoiceService.getInvoiceFile('fac-1', { id: 'admin-1', rol: 'admin' });
+
+      expect(result).toEqual({ fileName: 'factura_B_00001-00000042.pdf', buffer: Buffer.from('%PDF') });
+    });
+  });
+
+  describe('listInvoices', () => {
+    test('un profesional solo debe ver sus propias facturas', async () => {
+      mockPrisma.facturas.findMany.mockResolvedValue([{ id: 'fac-1', punto_venta: 1, numero: 42 }]);
+      mockPrisma.facturas.count.mockResolvedValue(1);
+
+      const result = await invoiceService.listInvoices({ id: 'prof-1', rol: 'profesional' }, { professionalId: 'prof-2' });
+
+      expect(mockPrisma.facturas.findMany.mock.calls[0][0].where).toEqual({ profesional_id: 'prof-1' });
+      expect(result.invoices[0].numero_comprobante).toBe('00001-00000042');
+      expect(result.pagination).toEqual({ page: 1, limit: 20, total: 1, pages: 1 });
+    });
+  });
+});
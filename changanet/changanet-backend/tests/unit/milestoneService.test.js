@@ -0,0 +1,238 @@
+/**
+ * Unit tests for milestoneService.js
+ * Covers: plan de hitos, solicitud/aprobación/rechazo y liberación automática por hito
+ */
+
+const mockPrisma = {
+  pagos: {
+    findUnique: jest.fn(),
+    update: jest.fn()
+  },
+  servicios: {
+    update: jest.fn()
+  },
+  hitos_pago: {
+    create: jest.fn(),
+    update: jest.fn(),
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    count: jest.fn()
+  },
+  transactions_log: {
+    create: jest.fn()
+  },
+  $transaction: jest.fn((operations) => Promise.all(operations))
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+jest.mock('../../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  createNotification: jest.fn().mockResolvedValue({})
+}));
+jest.mock('../../src/services/paymentDashboardService', () => ({
+  invalidatePaymentMetricsCache: jest.fn(),
+  invalidateProfessionalIncomeCache: jest.fn()
+}));
+jest.mock('../../src/services/commissionService', () => ({
+  getApplicableCommission: jest.fn().mockResolvedValue({ id: 'commission-1', porcentaje: 10 }),
+  getReleaseBase: jest.fn((payment, chargedAmount) => ({
+    chargedAmount, subsidyAmount: 0, financingCost: 0, grossAmount: chargedAmount, commissionBase: chargedAmount
+  }))
+}));
+jest.mock('../../src/services/payoutService', () => ({
+  createPayout: jest.fn().mockResolvedValue({ id: 'payout-1' })
+}));
+
+const milestoneService = require('../../src/services/milestoneService');
+const { createNotification } = require('../../src/services/notificationService');
+const { createPayout } = require('../../src/services/payoutService');
+
+describe('Milestone Service - Unit Tests', () => {
+  const heldPayment = {
+    id: 'pago-1',
+    servicio_id: 'servicio-1',
+    cliente_id: 'cliente-1',
+    profesional_id: 'prof-1',
+    monto_total: 10001,
+    moneda: 'ARS',
+    monto_reembolsado: 0,
+    estado: 'aprobado'
+  };
+
+  const milestoneInReview = {
+    id: 'hito-1',
+    pago_id: 'pago-1',
+    orden: 1,
+    descripcion: 'Materiales',
+    monto: 3000,
+    estado: 'en_revision',
+    pago: heldPayment
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.MINIMUM_COMMISSION_FEE;
+    mockPrisma.hitos_pago.create.mockImplementation(({ data }) => Promise.resolve({ id: `hito-${data.orden}`, ...data }));
+    mockPrisma.hitos_pago.update.mockImplementation(({ where, data }) => Promise.resolve({ ...milestoneInReview, id: where.id, ...data }));
+  });
+
+  describe('createMilestonePlan', () => {
+    const plan = [
+      { descripcion: 'Materiales', porcentaje: 30 },
+      { descripcion: 'Avance de obra', porcentaje: 40 },
+      { descripcion: 'Finalización', porcentaje: 30 }
+    ];
+
+    test('debe dividir el pago y asignar el redondeo al último hito', async () => {
+      mockPrisma.pagos.findUnique.mockResolvedValue({ ...heldPayment, hitos: [] });
+
+      const result = await milestoneService.createMilestonePlan('pago-1', 'cliente-1', plan);
+
+      expect(result.map(m => m.monto)).toEqual([3000.3, 4000.4, 3000.3]);
+      expect(result.reduce((sum, m) => sum + m.monto, 0)).toBeCloseTo(10001, 2);
+      expect(mockPrisma.transactions_log.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ tipo_transaccion: 'milestone_plan_created', entidad_id: 'pago-1' })
+      });
+      expect(createNotification).toHaveBeenCalledWith('prof-1', 'hitos_definidos', expect.any(String), expect.any(Object));
+    });
+
+    test('debe rechazar porcentajes que no suman 100', async () => {
+      await expect(milestoneService.createMilestonePlan('pago-1', 'cliente-1', [
+        { descripcion: 'Materiales', porcentaje: 30 },
+        { descripcion: 'Final', porcentaje: 30 }
+      ])).rejects.toThrow('deben sumar 100%');
+    });
+
+    test('debe rechazar un pago que ya tiene hitos', async () => {
+      mockPrisma.pagos.findUnique.mockResolvedValue({ ...heldPayment, hitos: [{ id: 'hito-1' }] });
+
+      await expect(milestoneService.createMilestonePlan('pago-1', 'cliente-1', plan))
+        .rejects.toThrow('ya tiene un plan de hitos');
+    });
+
+    test('debe rechazar si el pago pertenece a otro cliente', async () => {
+      mockPrisma.pagos.findUnique.mockResolvedValue({ ...heldPayment, hitos: [] });
+
+      await expect(milestoneService.createMilestonePlan('pago-1', 'otro-cliente', plan))
+        .rejects.toThrow('No tienes permiso');
+    });
+  });
+
+  describe('requestMilestoneApproval', () => {
+    test('debe pasar el hito a revisión con plazo de liberación automática', async () => {
+      mockPrisma.hitos_pago.findUnique.mockResolvedValue({ ...milestoneInReview, estado: 'pendiente' });
+
+      const result = await milestoneService.requestMilestoneApproval('hito-1', 'prof-1');
+
+      expect(result.estado).toBe('en_revision');
+      expect(result.escrow_release_deadline.getTime()).toBeGreaterThan(Date.now());
+      expect(createNotification).toHaveBeenCalledWith('cliente-1', 'hito_aprobacion_solicitada', expect.any(String), expect.any(Object));
+    });
+
+    test('debe rechazar solicitudes de terceros', async () => {
+      mockPrisma.hitos_pago.findUnique.mockResolvedValue({ ...milestoneInReview, estado: 'pendiente' });
+
+      await expect(milestoneService.requestMilestoneApproval('hito-1', 'otro-prof'))
+        .rejects.toThrow('No tienes permiso');
+    });
+  });
+
+  describe('approveMilestone', () => {
+    test('debe liberar el hito con su comisión y generar su payout', async () => {
+      mockPrisma.hitos_pago.findUnique.mockResolvedValue(milestoneInReview);
+      mockPrisma.hitos_pago.count.mockResolvedValue(2);
+
+      const result = await milestoneService.approveMilestone('hito-1', 'cliente-1');
+
+      expect(result.commission).toBe(300);
+      expect(result.professionalAmount).toBe(2700);
+      expect(result.paymentFullyReleased).toBe(false);
+      expect(createPayout).toHaveBeenCalledWith('prof-1', 'servicio-1', 3000, 300, 2700, 'milestone_release', true, { currency: 'ARS' });
+      expect(mockPrisma.pagos.update).toHaveBeenCalledWith({
+        where: { id: 'pago-1' },
+        data: {
+          comision_plataforma: { increment: 300 },
+          monto_profesional: { decrement: 300 },
+          commission_setting_id: 'commission-1'
+        }
+      });
+      expect(mockPrisma.servicios.update).not.toHaveBeenCalled();
+    });
+
+    test('el último hito debe marcar el pago como liberado', async () => {
+      mockPrisma.hitos_pago.findUnique.mockResolvedValue(milestoneInReview);
+      mockPrisma.hitos_pago.count.mockResolvedValue(0);
+
+      const result = await milestoneService.approveMilestone('hito-1', 'cliente-1');
+
+      expect(result.paymentFullyReleased).toBe(true);
+      expect(mockPrisma.pagos.update).toHaveBeenCalledWith({
+        where: { id: 'pago-1' },
+        data: expect.objectContaining({ estado: 'liberado' })
+      });
+      expect(mockPrisma.servicios.update).toHaveBeenCalledWith({
+        where: { id: 'servicio-1' },
+        data: { estado: 'pagado' }
+      });
+    });
+
+    test('debe rechazar la aprobación si el pago está en disputa', async () => {
+      mockPrisma.hitos_pago.findUnique.mockResolvedValue({
+        ...milestoneInReview,
+        pago: { ...heldPayment, estado: 'en_disputa' }
+      });
+
+      await expect(milestoneService.approveMilestone('hito-1', 'cliente-1'))
+        .rejects.toThrow('disputa abierta');
+      expect(createPayout).not.toHaveBeenCalled();
+    });
+
+    test('debe rechazar hitos ya liberados', async () => {
+      mockPrisma.hitos_pago.findUnique.mockResolvedValue({ ...milestoneInReview, estado: 'liberado' });
+
+      await expect(milestoneService.approveMilestone('hito-1', 'cliente-1'))
+        .rejects.toThrow('ya fue liberado');
+    });
+  });
+
+  describe('rejectMilestone', () => {
+    test('debe devolver el hito a pendiente y notificar al profesional', async () => {
+      mockPrisma.hitos_pago.findUnique.mockResolvedValue(milestoneInReview);
+
+      const result = await milestoneService.rejectMilestone('hito-1', 'cliente-1', 'Faltan materiales');
+
+      expect(result.estado).toBe('pendiente');
+      expect(result.escrow_release_deadline).toBeNull();
+      expect(createNotification).toHaveBeenCalledWith('prof-1', 'hito_rechazado', expect.stringContaining('Faltan materiales'), expect.any(Object));
+    });
+
+    test('debe exigir un motivo', async () => {
+      await expect(milestoneService.rejectMilestone('hito-1', 'cliente-1', ' '))
+        .rejects.toThrow('Debe indicar el motivo');
+    });
+  });
+
+  describe('autoReleaseMilestones', () => {
+    test('debe liberar los hitos vencidos y continuar ante errores', async () => {
+      mockPrisma.hitos_pago.findMany.mockResolvedValue([
+        milestoneInReview,
+        { ...milestoneInReview, id: 'hito-2', orden: 2 }
+      ]);
+      mockPrisma.hitos_pago.count.mockResolvedValue(1);
+      createPayout
+        .mockResolvedValueOnce({ id: 'payout-1' })
+        .mockRejectedValueOnce(new Error('Monto neto inválido'));
+
+      const result = await milestoneService.autoReleaseMilestones();
+
+      expect(result.processed).toBe(1);
+      expect(result.results[1]).toEqual(expect.objectContaining({ milestoneId: 'hito-2', status: 'error' }));
+    });
+  });
+});
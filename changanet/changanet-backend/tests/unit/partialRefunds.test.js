@@ -0,0 +1,299 @@
+/**
+ * Unit tests for partial refunds
+ * Covers: mercadoPagoService.processPartialRefund y payoutService.adjustPayoutForRefund
+ */
+
+const mockPrisma = {
+  pagos: {
+    findUnique: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn()
+  },
+  reembolsos: {
+    create: jest.fn()
+  },
+  payouts: {
+    findFirst: jest.fn(),
+    update: jest.fn(),
+    create: jest.fn()
+  },
+  transactions_log: {
+    create: jest.fn()
+  },
+  asientos_contables: {
+    create: jest.fn().mockResolvedValue({ id: 'asiento-1' })
+  },
+  $transaction: jest.fn((operations) => Promise.all(operations))
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+jest.mock('../../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  createNotification: jest.fn().mockResolvedValue({})
+}));
+jest.mock('../../src/services/paymentDashboardService', () => ({
+  invalidatePaymentMetricsCache: jest.fn(),
+  invalidateProfessionalIncomeCache: jest.fn()
+}));
+jest.mock('../../src/services/walletService', () => ({
+  refundCreditToWallet: jest.fn().mockResolvedValue({ id: 'movimiento-1' })
+}));
+
+const mercadoPagoService = require('../../src/services/mercadoPagoService');
+const { processPartialRefund } = mercadoPagoService;
+const { adjustPayoutForRefund } = require('../../src/services/payoutService');
+const { createNotification } = require('../../src/services/notificationService');
+const { refundCreditToWallet } = require('../../src/services/walletService');
+
+describe('Partial Refunds - Unit Tests', () => {
+  const releasedPayment = {
+    id: 'pago-1',
+    servicio_id: 'servicio-1',
+    cliente_id: 'cliente-1',
+    profesional_id: 'prof-1',
+    monto_total: 10000,
+    monto_reembolsado: 0,
+    comision_plataforma: 1000,
+    monto_profesional: 9000,
+    mercado_pago_id: null,
+    estado: 'liberado'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.MERCADO_PAGO_ACCESS_TOKEN;
+    mockPrisma.reembolsos.create.mockImplementation(({ data }) => Promise.resolve({ id: 'refund-1', ...data }));
+    mockPrisma.pagos.update.mockImplementation(({ data }) => Promise.resolve({ ...releasedPayment, ...data }));
+    mockPrisma.pagos.updateMany.mockResolvedValue({ count: 1 });
+    mockPrisma.payouts.update.mockImplementation(({ data }) => Promise.resolve({ id: 'payout-1', ...data }));
+    mockPrisma.payouts.create.mockImplementation(({ data }) => Promise.resolve({ id: 'payout-adj', ...data }));
+  });
+
+  describe('processPartialRefund', () => {
+    test('debe recalcular comisión y monto profesional proporcionalmente', async () => {
+      mockPrisma.pagos.findUnique.mockResolvedValue(releasedPayment);
+      mockPrisma.payouts.findFirst.mockResolvedValue({ id: 'payout-1', estado: 'completado' });
+
+      const result = await processPartialRefund('pago-1', 5000, { motivo: 'Trabajo a medias', processedBy: 'admin-1' });
+
+      expect(result.commissionReverted).toBe(500);
+      expect(result.professionalReverted).toBe(4500);
+      expect(result.fullyRefunded).toBe(false);
+      expect(mockPrisma.pagos.updateMany).toHaveBeenCalledWith({
+        where: { id: 'pago-1', estado: 'liberado', monto_reembolsado: 0, comision_plataforma: 1000 },
+        data: {
+          monto_reembolsado: { increment: 5000 },
+          comision_plataforma: 500,
+          monto_profesional: 4500,
+          estado: 'liberado'
+        }
+      });
+      expect(mockPrisma.transactions_log.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ tipo_transaccion: 'payment_refund', entidad_id: 'refund-1', monto: 5000 })
+      });
+      expect(createNotification).toHaveBeenCalledTimes(2);
+    });
+
+    test('debe registrar un ajuste negativo si el payout ya fue pagado', async () => {
+      mockPrisma.pagos.findUnique.mockResolvedValue(releasedPayment);
+      mockPrisma.payouts.findFirst.mockResolvedValue({ id: 'payout-1', estado: 'completado' });
+
+      await processPartialRefund('pago-1', 2000, { processedBy: 'admin-1' });
+
+      expect(mockPrisma.payouts.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          monto_bruto: -2000,
+          comision_plataforma: -200,
+          monto_neto: -1800,
+          metodo_pago: 'refund_adjustment'
+        })
+      });
+    });
+
+    test('debe revertir comisión y saldo profesional a custodia y luego devolverlo en el libro mayor', async () => {
+      mockPrisma.pagos.findUnique.mockResolvedValue(releasedPayment);
+      mockPrisma.payouts.findFirst.mockResolvedValue({ id: 'payout-1', estado: 'completado' });
+
+      await processPartialRefund('pago-1', 2000, { processedBy: 'admin-1' });
+
+      const entries = mockPrisma.asientos_contables.create.mock.calls.map(([{ data }]) => data);
+      expect(entries.map(entry => entry.tipo)).toEqual(['comision_revertida', 'reversion_liberacion', 'reembolso']);
+      entries.forEach(entry => {
+        const lines = entry.movimientos.create;
+        const debe = lines.reduce((sum, line) => sum + line.debe, 0);
+        const haber = lines.reduce((sum, line) => sum + line.haber, 0);
+        expect(debe).toBe(haber);
+      });
+      expect(entries[2].movimientos.create).toEqual([
+        expect.objectContaining({ cuenta: 'custodia_clientes', debe: 2000, pago_id: 'pago-1' }),
+        expect.objectContaining({ cuenta: 'caja_mercadopago', haber: 2000 })
+      ]);
+    });
+
+    test('debe tomar como base el saldo luego de reembolsos previos', async () => {
+      mockPrisma.pagos.findUnique.mockResolvedValue({
+        ...releasedPayment,
+        monto_reembolsado: 5000,
+        comision_plataforma: 500,
+        monto_profesional: 4500
+      });
+      mockPrisma.payouts.findFirst.mockResolvedValue(null);
+
+      const result = await processPartialRefund('pago-1', 5000, { processedBy: 'admin-1' });
+
+      expect(result.fullyRefunded).toBe(true);
+      expect(result.commissionReverted).toBe(500);
+      expect(mockPrisma.pagos.updateMany).toHaveBeenCalledWith({
+        where: expect.objectContaining({ id: 'pago-1', monto_reembolsado: 5000 }),
+        data: expect.objectContaining({ comision_plataforma: 0, monto_profesional: 0, estado: 'reembolsado' })
+      });
+    });
+
+    test('no debe llamar a la pasarela si otro reembolso cambió el pago antes de reservar', async () => {
+      mockPrisma.pagos.findUnique.mockResolvedValue({ ...releasedPayment, mercado_pago_id: 'mp-1' });
+      mockPrisma.pagos.updateMany.mockResolvedValue({ count: 0 });
+      const refundSpy = jest.spyOn(mercadoPagoService, 'refundPayment');
+
+      await expect(processPartialRefund('pago-1', 6000, { processedBy: 'admin-1' }))
+        .rejects.toThrow('El pago cambió mientras se procesaba el reembolso');
+      expect(refundSpy).not.toHaveBeenCalled();
+      expect(mockPrisma.reembolsos.create).not.toHaveBeenCalled();
+      refundSpy.mockRestore();
+    });
+
+    test('debe liberar la reserva si la pasarela rechaza el reembolso', async () => {
+      mockPrisma.pagos.findUnique.mockResolvedValue({ ...releasedPayment, mercado_pago_id: 'mp-1' });
+      const refundSpy = jest.spyOn(mercadoPagoService, 'refundPayment')
+        .mockRejectedValue(new Error('Mercado Pago no disponible'));
+
+      await expect(processPartialRefund('pago-1', 5000, { processedBy: 'admin-1' }))
+        .rejects.toThrow('Mercado Pago no disponible');
+      expect(mockPrisma.pagos.updateMany).toHaveBeenLastCalledWith({
+        where: { id: 'pago-1' },
+        data: {
+          monto_reembolsado: { decrement: 5000 },
+          comision_plataforma: { increment: 500 },
+          monto_profesional: { increment: 4500 },
+          estado: 'liberado'
+        }
+      });
+      expect(mockPrisma.reembolsos.create).not.toHaveBeenCalled();
+      refundSpy.mockRestore();
+    });
+
+    test('no debe ajustar payouts de pagos aún en custodia', async () => {
+      mockPrisma.pagos.findUnique.mockResolvedValue({
+        ...releasedPayment,
+        estado: 'aprobado',
+        comision_plataforma: 0,
+        monto_profesional: 10000
+      });
+
+      const result = await processPartialRefund('pago-1', 3000, { notify: false });
+
+      expect(result.professionalReverted).toBe(3000);
+      expect(mockPrisma.payouts.findFirst).not.toHaveBeenCalled();
+      expect(createNotification).not.toHaveBeenCalled();
+    });
+
+    test('debe redondear los montos recalculados a los decimales de la moneda del pago', async () => {
+      mockPrisma.pagos.findUnique.mockResolvedValue({
+        ...releasedPayment,
+        moneda: 'CLP',
+        monto_total: 10001,
+        comision_plataforma: 1001,
+        monto_profesional: 9000
+      });
+      mockPrisma.payouts.findFirst.mockResolvedValue(null);
+
+      const result = await processPartialRefund('pago-1', 3000, { notify: false });
+
+      // CLP no tiene centavos: la comisión remanente (700,73) se redondea a 701
+      expect(result.commissionReverted).toBe(300);
+      expect(result.professionalReverted).toBe(2700);
+      expect(mockPrisma.pagos.updateMany).toHaveBeenCalledWith({
+        where: expect.objectContaining({ id: 'pago-1' }),
+        data: expect.objectContaining({ comision_plataforma: 701, monto_profesional: 6300 })
+      });
+    });
+
+    test('debe devolver a la billetera la parte del reembolso pagada con crédito', async () => {
+      // 7000 cobrados por Mercado Pago (2000 ya reembolsados) y 3000 pagados con crédito
+      mockPrisma.pagos.findUnique.mockResolvedValue({
+        ...releasedPayment,
+        estado: 'aprobado',
+        comision_plataforma: 0,
+        monto_profesional: 10000,
+        monto_reembolsado: 2000,
+        monto_credito: 3000,
+        tipo_cambio: 1
+      });
+
+      await processPartialRefund('pago-1', 6000, { notify: false });
+
+      expect(mockPrisma.reembolsos.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ monto: 6000, monto_credito: 1000 })
+      });
+      expect(refundCreditToWallet).toHaveBeenCalledWith({
+        clientId: 'cliente-1',
+        paymentId: 'pago-1',
+        amount: 1000,
+        exchangeRate: 1
+      });
+
+      const refundEntry = mockPrisma.asientos_contables.create.mock.calls.map(([{ data }]) => data).find(entry => entry.tipo === 'reembolso');
+      expect(refundEntry.movimientos.create).toEqual([
+        expect.objectContaining({ cuenta: 'custodia_clientes', debe: 6000 }),
+        expect.objectContaining({ cuenta: 'caja_mercadopago', haber: 5000 }),
+        expect.objectContaining({ cuenta: 'creditos_clientes', haber: 1000, usuario_id: 'cliente-1' })
+      ]);
+    });
+
+    test('debe rechazar montos mayores al saldo reembolsable', async () => {
+      mockPrisma.pagos.findUnique.mockResolvedValue({ ...releasedPayment, monto_reembolsado: 8000 });
+
+      await expect(processPartialRefund('pago-1', 3000))
+        .rejects.toThrow('no superar el saldo reembolsable ($2000)');
+    });
+
+    test('debe rechazar pagos pendientes', async () => {
+      mockPrisma.pagos.findUnique.mockResolvedValue({ ...releasedPayment, estado: 'pendiente' });
+
+      await expect(processPartialRefund('pago-1', 1000))
+        .rejects.toThrow('Solo se pueden reembolsar');
+    });
+  });
+
+  describe('adjustPayoutForRefund', () => {
+    test('debe reducir un payout pendiente en lugar de crear un ajuste', async () => {
+      mockPrisma.payouts.findFirst.mockResolvedValue({
+        id: 'payout-1',
+        estado: 'pendiente',
+        monto_bruto: 10000,
+        comision_plataforma: 1000,
+        monto_neto: 9000
+      });
+
+      const result = await adjustPayoutForRefund('prof-1', 'servicio-1', {
+        grossAmount: 4000,
+        commissionAmount: 400,
+        netAmount: 3600,
+        refundId: 'refund-1'
+      });
+
+      expect(mockPrisma.payouts.create).not.toHaveBeenCalled();
+      expect(result).toEqual(expect.objectContaining({
+        monto_bruto: 6000,
+        comision_plataforma: 600,
+        monto_neto: 5400,
+        estado: 'pendiente'
+      }));
+    });
+  });
+});
@@ -1,16 +1,75 @@
 /**
  * Comprehensive unit tests for paymentController.js
- * Covers: Webhook handling with HMAC-SHA256 signature validation,
+ * Covers: Webhook handling through the webhook event store (signature result, idempotency, retries),
  * payment preference creation, fund releases, and error handling
  */
 
+const mockPrisma = {
+  servicios: {
+    findUnique: jest.fn()
+  },
+  pagos: {
+    create: jest.fn()
+  },
+  transactions_log: {
+    create: jest.fn()
+  },
+  $transaction: jest.fn()
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+
 const paymentController = require('../../src/controllers/paymentController');
 const mercadoPagoService = require('../../src/services/mercadoPagoService');
 const receiptService = require('../../src/services/receiptService');
+const webhookEventService = require('../../src/services/webhookEventService');
+const queueService = require('../../src/services/queueService');
 
 jest.mock('../../src/services/mercadoPagoService');
 jest.mock('../../src/services/receiptService');
 jest.mock('../../src/services/logger');
+jest.mock('../../src/services/auditService', () => ({
+  logAuditEvent: jest.fn()
+}));
+jest.mock('../../src/services/currencyService', () => ({
+  ...jest.requireActual('../../src/services/currencyService'),
+  getRateSnapshot: jest.fn(() => Promise.resolve({ moneda: 'ARS', tipo_cambio: 1, tipo_cambio_fecha: new Date('2025-03-01T00:00:00Z') }))
+}));
+jest.mock('../../src/services/couponService');
+jest.mock('../../src/services/walletService');
+jest.mock('../../src/services/installmentPlanService');
+jest.mock('../../src/services/queueService', () => ({
+  enqueueWebhook: jest.fn()
+}));
+jest.mock('../../src/services/webhookEventService', () => ({
+  EVENT_STATES: {
+    RECEIVED: 'recibido',
+    PROCESSING: 'procesando',
+    PROCESSED: 'procesado',
+    FAILED: 'fallido',
+    REJECTED: 'rechazado',
+    IGNORED: 'ignorado'
+  },
+  recordWebhookEvent: jest.fn(),
+  processWebhookEvent: jest.fn()
+}));
+
+/**
+ * Evento guardado en eventos_webhook para una notificación
+ */
+function storedEvent(body, overrides = {}) {
+  return {
+    id: `evt-${body?.data?.id}`,
+    id_evento: String(body?.id || body?.data?.id),
+    tipo: body?.type,
+    recurso_id: body?.data?.id,
+    firma_valida: true,
+    estado: 'recibido',
+    ...overrides
+  };
+}
 
 describe('Payment Controller - Unit Tests', () => {
   let mockReq, mockRes, mockNext;
@@ -23,15 +82,28 @@ describe('Payment Controller - Unit Tests', () => {
       ip: '127.0.0.1',
       body: {},
       params: {},
+      headers: {},
       get: jest.fn()
     };
 
     mockRes = {
       status: jest.fn().mockReturnThis(),
       json: jest.fn(),
-      send: jest.fn()
+      send: jest.fn(),
+      setHeader: jest.fn()
     };
 
+    mockPrisma.servicios.findUnique.mockResolvedValue({
+      id: 'service-123',
+      cliente_id: 'client-123',
+      descripcion: 'Servicio de plomería',
+      profesional: { id: 'prof-123', nombre: 'Juan Pérez', email: 'juan@example.com' },
+      cliente: { id: 'client-123', nombre: 'Cliente Test', email: 'cliente@example.com' },
+      pago: null
+    });
+    mockPrisma.$transaction.mockImplementation(callback => callback(mockPrisma));
+    mockPrisma.pagos.create.mockImplementation(({ data }) => Promise.resolve({ id: 'payment-123', ...data }));
+
     mockNext = jest.fn();
   });
 
@@ -64,7 +136,7 @@ describe('Payment Controller - Unit Tests', () => {
         pago: null
       };
 
-      // Mock Prisma through mercadoPagoService
+      mockPrisma.servicios.findUnique.mockResolvedValue(mockService);
       mercadoPagoService.createPaymentPreference = jest.fn().mockResolvedValue(mockPreference);
 
       await paymentController.createPaymentPreference(mockReq, mockRes);
@@ -72,6 +144,8 @@ describe('Payment Controller - Unit Tests', () => {
       expect(mercadoPagoService.createPaymentPreference).toHaveBeenCalledWith({
         serviceId: 'service-123',
         amount: 1000, // Default amount
+        currency: 'ARS',
+        exchangeRate: 1,
         description: 'Servicio de plomería',
         client: {
           id: 'client-123',
@@ -82,13 +156,14 @@ describe('Payment Controller - Unit Tests', () => {
           id: 'prof-123',
           nombre: 'Juan Pérez',
           email: 'juan@example.com'
-        }
+        },
+        installments: 1
       });
 
       expect(mockRes.status).toHaveBeenCalledWith(201);
       expect(mockRes.json).toHaveBeenCalledWith({
         success: true,
-        data: mockPreference
+        data: expect.objectContaining({ ...mockPreference, paymentId: 'payment-123', chargeAmount: 1000 })
       });
     });
 
@@ -118,53 +193,75 @@ describe('Payment Controller - Unit Tests', () => {
   });
 
   describe('handleWebhook', () => {
-    test('debe procesar webhook de pago válido con firma HMAC-SHA256', async () => {
-      const webhookData = {
-        type: 'payment',
-        data: {
-          id: 'payment_123',
-          status: 'approved'
-        }
-      };
+    const webhookData = {
+      id: 12345,
+      type: 'payment',
+      data: {
+        id: 'payment_123',
+        status: 'approved'
+      }
+    };
 
+    beforeEach(() => {
       mockReq.body = webhookData;
       mockReq.headers = {
         'x-signature': 'ts=1234567890,v1=valid_signature',
         'x-request-id': 'req_123'
       };
-      mockReq.ip = '127.0.0.1';
-
-      const mockWebhookResult = {
-        status: 'approved',
-        paymentId: 'payment_123'
-      };
+      webhookEventService.recordWebhookEvent.mockImplementation(({ body }) =>
+        Promise.resolve({ event: storedEvent(body), duplicate: false }));
+      webhookEventService.processWebhookEvent.mockImplementation(id =>
+        Promise.resolve({ event: storedEvent(webhookData, { id, estado: 'procesado' }), processed: true }));
+    });
 
-      mercadoPagoService.processPaymentWebhook = jest.fn().mockResolvedValue(mockWebhookResult);
+    afterEach(() => {
+      delete process.env.WEBHOOK_ASYNC_PROCESSING;
+    });
 
+    test('debe guardar el webhook antes de procesarlo y responder OK', async () => {
       await paymentController.handleWebhook(mockReq, mockRes);
 
-      expect(mercadoPagoService.processPaymentWebhook).toHaveBeenCalledWith(
-        mockReq.headers,
-        webhookData.data
-      );
-
+      expect(webhookEventService.recordWebhookEvent).toHaveBeenCalledWith({
+        headers: mockReq.headers,
+        body: webhookData,
+        ip: '127.0.0.1'
+      });
+      expect(webhookEventService.processWebhookEvent).toHaveBeenCalledWith('evt-payment_123');
       expect(mockRes.status).toHaveBeenCalledWith(200);
       expect(mockRes.send).toHaveBeenCalledWith('OK');
     });
 
-    test('debe validar firma HMAC-SHA256 correcta', async () => {
-      const webhookData = {
-        type: 'payment',
-        data: { id: 'payment_123' }
-      };
+    test('debe rechazar con 401 un webhook con firma inválida', async () => {
+      webhookEventService.processWebhookEvent.mockResolvedValue({
+        event: storedEvent(webhookData, { firma_valida: false, estado: 'rechazado' }),
+        processed: true
+      });
 
-      mockReq.body = webhookData;
-      mockReq.headers = {
-        'x-signature': 'ts=1234567890,v1=invalid_signature',
-        'x-request-id': 'req_123'
-      };
+      await paymentController.handleWebhook(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockRes.send).toHaveBeenCalledWith('Firma del webhook inválida');
+    });
+
+    test('debe responder 200 a notificaciones que no son de pago', async () => {
+      mockReq.body = { type: 'other_event', data: { id: 'other_123' } };
+      webhookEventService.processWebhookEvent.mockResolvedValue({
+        event: storedEvent(mockReq.body, { estado: 'ignorado' }),
+        processed: true
+      });
+
+      await paymentController.handleWebhook(mockReq, mockRes);
+
+      expect(mercadoPagoService.processPaymentWebhook).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.send).toHaveBeenCalledWith('OK');
+    });
 
-      mercadoPagoService.processPaymentWebhook.mockRejectedValue(new Error('Invalid signature'));
+    test('debe responder 500 si el procesamiento falla para que Mercado Pago reintente', async () => {
+      webhookEventService.processWebhookEvent.mockResolvedValue({
+        event: storedEvent(webhookData, { estado: 'fallido', ultimo_error: 'Processing failed' }),
+        processed: true
+      });
 
       await paymentController.handleWebhook(mockReq, mockRes);
 
@@ -172,94 +269,58 @@ describe('Payment Controller - Unit Tests', () => {
       expect(mockRes.send).toHaveBeenCalledWith('Error procesando webhook');
     });
 
-    test('debe rechazar webhook sin firma', async () => {
-      mockReq.body = {
-        type: 'payment',
-        data: { id: 'payment_123' }
-      };
-      mockReq.headers = {}; // No signature
-
-      mercadoPagoService.processPaymentWebhook.mockRejectedValue(new Error('Missing signature'));
+    test('debe responder 500 si no se puede guardar el webhook', async () => {
+      webhookEventService.recordWebhookEvent.mockRejectedValue(new Error('DB down'));
 
       await paymentController.handleWebhook(mockReq, mockRes);
 
+      expect(webhookEventService.processWebhookEvent).not.toHaveBeenCalled();
       expect(mockRes.status).toHaveBeenCalledWith(500);
     });
 
-    test('debe procesar solo webhooks de tipo payment', async () => {
-      mockReq.body = {
-        type: 'other_event',
-        data: { id: 'other_123' }
-      };
-      mockReq.headers = {
-        'x-signature': 'ts=1234567890,v1=valid_signature'
-      };
-
-      // Should not call processPaymentWebhook for non-payment events
-      mercadoPagoService.processPaymentWebhook.mockResolvedValue({});
+    test('no debe volver a procesar un webhook duplicado ya procesado', async () => {
+      webhookEventService.recordWebhookEvent.mockResolvedValue({
+        event: storedEvent(webhookData, { estado: 'procesado' }),
+        duplicate: true
+      });
 
       await paymentController.handleWebhook(mockReq, mockRes);
 
-      expect(mercadoPagoService.processPaymentWebhook).not.toHaveBeenCalled();
+      expect(webhookEventService.processWebhookEvent).not.toHaveBeenCalled();
       expect(mockRes.status).toHaveBeenCalledWith(200);
-      expect(mockRes.send).toHaveBeenCalledWith('OK');
     });
 
-    test('debe manejar errores de procesamiento de webhook', async () => {
-      mockReq.body = {
-        type: 'payment',
-        data: { id: 'payment_123' }
-      };
-      mockReq.headers = {
-        'x-signature': 'ts=1234567890,v1=valid_signature'
-      };
-
-      mercadoPagoService.processPaymentWebhook.mockRejectedValue(new Error('Processing failed'));
+    test('debe reintentar un webhook duplicado que había fallado', async () => {
+      webhookEventService.recordWebhookEvent.mockResolvedValue({
+        event: storedEvent(webhookData, { estado: 'fallido' }),
+        duplicate: true
+      });
 
       await paymentController.handleWebhook(mockReq, mockRes);
 
-      expect(mockRes.status).toHaveBeenCalledWith(500);
-      expect(mockRes.send).toHaveBeenCalledWith('Error procesando webhook');
+      expect(webhookEventService.processWebhookEvent).toHaveBeenCalledWith('evt-payment_123');
+      expect(mockRes.status).toHaveBeenCalledWith(200);
     });
 
-    test('debe validar timestamp de firma no expirado', async () => {
-      const currentTime = Math.floor(Date.now() / 1000);
-      const expiredTime = currentTime - 400; // 400 seconds ago (expired)
-
-      mockReq.body = {
-        type: 'payment',
-        data: { id: 'payment_123' }
-      };
-      mockReq.headers = {
-        'x-signature': `ts=${expiredTime},v1=signature123`
-      };
-
-      mercadoPagoService.processPaymentWebhook.mockRejectedValue(new Error('Signature expired'));
+    test('debe encolar el evento con WEBHOOK_ASYNC_PROCESSING', async () => {
+      process.env.WEBHOOK_ASYNC_PROCESSING = 'true';
+      queueService.enqueueWebhook.mockResolvedValue(true);
 
       await paymentController.handleWebhook(mockReq, mockRes);
 
-      expect(mockRes.status).toHaveBeenCalledWith(500);
+      expect(queueService.enqueueWebhook).toHaveBeenCalledWith({ type: 'payment', eventId: 'evt-payment_123' });
+      expect(webhookEventService.processWebhookEvent).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(200);
     });
 
-    test('debe prevenir replay attacks con request IDs', async () => {
-      mockReq.body = {
-        type: 'payment',
-        data: { id: 'payment_123' }
-      };
-      mockReq.headers = {
-        'x-signature': 'ts=1234567890,v1=valid_signature',
-        'x-request-id': 'duplicate_req_123'
-      };
-
-      // First call succeeds
-      mercadoPagoService.processPaymentWebhook.mockResolvedValueOnce({});
+    test('debe procesar en línea si no hay cola disponible', async () => {
+      process.env.WEBHOOK_ASYNC_PROCESSING = 'true';
+      queueService.enqueueWebhook.mockResolvedValue(false);
 
       await paymentController.handleWebhook(mockReq, mockRes);
-      expect(mockRes.status).toHaveBeenCalledWith(200);
 
-      // Second call with same request ID should be handled gracefully
-      await paymentController.handleWebhook(mockReq, mockRes);
-      expect(mockRes.status).toHaveBeenCalledWith(200); // Still responds OK
+      expect(webhookEventService.processWebhookEvent).toHaveBeenCalledWith('evt-payment_123');
+      expect(mockRes.status).toHaveBeenCalledWith(200);
     });
   });
 
@@ -435,7 +496,11 @@ describe('Payment Controller - Unit Tests', () => {
         'x-signature': 'ts=1234567890,v1=valid_signature'
       };
 
-      mercadoPagoService.processPaymentWebhook.mockResolvedValue({});
+      webhookEventService.recordWebhookEvent.mockResolvedValue({ event: storedEvent(largePayload), duplicate: false });
+      webhookEventService.processWebhookEvent.mockResolvedValue({
+        event: storedEvent(largePayload, { estado: 'procesado' }),
+        processed: true
+      });
 
       await paymentController.handleWebhook(mockReq, mockRes);
 
@@ -457,18 +522,25 @@ describe('Payment Controller - Unit Tests', () => {
         'x-request-id': 'req_123'
       };
 
-      // First webhook succeeds
-      mercadoPagoService.processPaymentWebhook.mockResolvedValueOnce({
-        status: 'approved',
-        paymentId: 'payment_123'
+      // Primer webhook: se guarda y se procesa
+      webhookEventService.recordWebhookEvent.mockResolvedValueOnce({ event: storedEvent(webhookData), duplicate: false });
+      webhookEventService.processWebhookEvent.mockResolvedValueOnce({
+        event: storedEvent(webhookData, { estado: 'procesado' }),
+        processed: true
       });
 
       await paymentController.handleWebhook(mockReq, mockRes);
       expect(mockRes.status).toHaveBeenCalledWith(200);
 
-      // Second identical webhook should be handled gracefully
+      // Segundo webhook idéntico: ya procesado, no se vuelve a aplicar
+      webhookEventService.recordWebhookEvent.mockResolvedValueOnce({
+        event: storedEvent(webhookData, { estado: 'procesado' }),
+        duplicate: true
+      });
+
       await paymentController.handleWebhook(mockReq, mockRes);
-      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(webhookEventService.processWebhookEvent).toHaveBeenCalledTimes(1);
+      expect(mockRes.status).toHaveBeenLastCalledWith(200);
     });
 
     test('debe prevenir inyección en parámetros de URL', async () => {
@@ -529,7 +601,11 @@ describe('Payment Controller - Unit Tests', () => {
           'x-request-id': `req_${i}`
         };
 
-        mercadoPagoService.processPaymentWebhook.mockResolvedValue({});
+        webhookEventService.recordWebhookEvent.mockResolvedValue({ event: storedEvent(mockReq.body), duplicate: false });
+        webhookEventService.processWebhookEvent.mockResolvedValue({
+          event: storedEvent(mockReq.body, { estado: 'procesado' }),
+          processed: true
+        });
 
         await paymentController.handleWebhook(mockReq, mockRes);
       }
@@ -241,6 +241,7 @@ describe('Payout Service - Unit Tests', () => {
         id: 'payout-123',
         profesional_id: 'prof-123',
         monto_neto: 920,
+        moneda: 'ARS',
         estado: 'pendiente',
         servicio_id: 'service-123',
         profesional: {
@@ -300,6 +301,7 @@ describe('Payout Service - Unit Tests', () => {
         id: 'payout-123',
         profesional_id: 'prof-123',
         monto_neto: 920,
+        moneda: 'UYU',
         estado: 'pendiente',
         profesional: { nombre: 'Juan Pérez' }
       };
@@ -319,7 +321,7 @@ describe('Payout Service - Unit Tests', () => {
       expect(createNotification).toHaveBeenCalledWith(
         'prof-123',
         'pago_recibido',
-        'Has recibido un pago de 920 ARS. ',
+        'Has recibido un pago de 920 UYU. ',
         expect.objectContaining({
           reference: undefined
         })
@@ -0,0 +1,224 @@
+/**
+ * Unit tests for reconciliationService.js
+ * Covers: lectura de reportes de Mercado Pago y cruce contra pagos con CSV de ejemplo (sin base de datos)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const mockPrisma = {
+  pagos: {
+    findMany: jest.fn()
+  },
+  conciliaciones_mp: {
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    count: jest.fn()
+  },
+  transactions_log: {
+    create: jest.fn()
+  }
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+jest.mock('../../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const reconciliationService = require('../../src/services/reconciliationService');
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, '../fixtures/mercadopago', name), 'utf8');
+
+describe('Reconciliation Service - Unit Tests', () => {
+  const settlementCsv = readFixture('settlement_report.csv');
+  const releaseCsv = readFixture('release_report.csv');
+
+  // Pagos registrados por processPaymentWebhook para el período del reporte de liquidaciones
+  const payments = [
+    { id: 'pago-1', mercado_pago_id: '1001', monto_total: 10000, monto_reembolsado: 2000, estado: 'reembolsado', fecha_pago: new Date('2025-12-01T13:00:05Z') },
+    { id: 'pago-2', mercado_pago_id: '1002', monto_total: 4500, monto_reembolsado: 0, estado: 'liberado', fecha_pago: new Date('2025-12-01T18:30:05Z') },
+    { id: 'pago-4', mercado_pago_id: '1004', monto_total: 3000, monto_reembolsado: 0, estado: 'aprobado', fecha_pago: new Date('2025-12-02T14:45:05Z') },
+    { id: 'pago-6', mercado_pago_id: '1006', monto_total: 7000, monto_reembolsado: 0, estado: 'aprobado', fecha_pago: new Date('2025-12-02T20:00:00Z') },
+    { id: 'pago-7', mercado_pago_id: '1007', monto_total: 1500, monto_reembolsado: 0, estado: 'pendiente', fecha_pago: new Date('2025-12-02T20:00:00Z') },
+    { id: 'pago-8', mercado_pago_id: '1008', monto_total: 9000, monto_reembolsado: 0, estado: 'liberado', fecha_pago: new Date('2025-11-01T12:00:00Z') }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.conciliaciones_mp.create.mockImplementation(({ data }) => Promise.resolve({
+      id: 'conciliacion-1',
+      ...data,
+      diferencias: data.diferencias.create
+    }));
+  });
+
+  describe('parseSettlementReport', () => {
+    test('debe interpretar el reporte de liquidaciones separado por punto y coma', () => {
+      const report = reconciliationService.parseSettlementReport(settlementCsv);
+
+      expect(report.tipoReporte).toBe('liquidaciones');
+      expect(report.totalFilas).toBe(7);
+      // El retiro (WITHDRAWAL) no es una operación de pago y se ignora
+      expect(report.filas).toHaveLength(6);
+      expect(report.filas[0]).toEqual({
+        fila: 2,
+        mercadoPagoId: '1001',
+        operacion: 'pago',
+        monto: 10000,
+        fecha: new Date('2025-12-01T13:00:00.000Z')
+      });
+      expect(report.filas[5]).toEqual(expect.objectContaining({ operacion: 'reembolso', monto: 2000 }));
+    });
+
+    test('debe interpretar el reporte de liberaciones ignorando saldos y totales', () => {
+      const report = reconciliationService.parseSettlementReport(releaseCsv);
+
+      expect(report.tipoReporte).toBe('liberaciones');
+      expect(report.totalFilas).toBe(5);
+      expect(report.filas.map(row => [row.mercadoPagoId, row.operacion, row.monto])).toEqual([
+        ['1001', 'pago', 10000],
+        ['1002', 'pago', 4500],
+        ['1001', 'reembolso', 2000]
+      ]);
+    });
+
+    test('debe interpretar montos con separador de miles en formato local e internacional', () => {
+      const header = settlementCsv.split('\n')[0];
+      const row = (id, amount) =>
+        `servicio-1;${id};45872312;credit_card;visa;MLA;SETTLEMENT;${amount};ARS;2025-12-01T10:00:00.000-03:00;0;0;ARS;2025-12-15T10:00:00.000-03:00`;
+      const report = reconciliationService.parseSettlementReport(
+        [header, row('2001', '1.234,56'), row('2002', '1,234.56'), row('2003', '1.234.567'), row('2004', '99,5')].join('\n')
+      );
+
+      expect(report.filas.map(item => item.monto)).toEqual([1234.56, 1234.56, 1234567, 99.5]);
+    });
+
+    test('debe rechazar archivos que no son reportes de Mercado Pago', () => {
+      expect(() => reconciliationService.parseSettlementReport('id,monto\n1,100'))
+        .toThrow('Formato de reporte no reconocido');
+      expect(() => reconciliationService.parseSettlementReport('\n\n'))
+        .toThrow('está vacío');
+    });
+  });
+
+  describe('matchSettlementRows', () => {
+    test('debe detectar faltantes, duplicados y diferencias de monto', () => {
+      const { filas } = reconciliationService.parseSettlementReport(settlementCsv);
+      const result = reconciliationService.matchSettlementRows(filas, payments);
+
+      expect(result.resumen).toEqual({
+        conciliados: 1,
+        faltantesEnSistema: 1,
+        faltantesEnReporte: 1,
+        duplicados: 1,
+        diferenciasMonto: 1
+      });
+
+      const byType = (tipo) => result.diferencias.find(item => item.tipo === tipo);
+      expect(byType('diferencia_monto')).toEqual(expect.objectContaining({
+        mercado_pago_id: '1002',
+        pago_id: 'pago-2',
+        monto_reporte: 5000,
+        monto_sistema: 4500,
+        diferencia: 500
+      }));
+      expect(byType('faltante_en_sistema')).toEqual(expect.objectContaining({ mercado_pago_id: '1003', pago_id: null, filas: '4' }));
+      expect(byType('duplicado')).toEqual(expect.objectContaining({ mercado_pago_id: '1004', filas: '5,6' }));
+      // Solo el pago cobrado dentro del período falta en el reporte (el pendiente y el de noviembre no)
+      expect(byType('faltante_en_reporte')).toEqual(expect.objectContaining({ mercado_pago_id: '1006', pago_id: 'pago-6', diferencia: -7000 }));
+    });
+
+    test('debe señalar reembolsos informados que no coinciden con el monto reembolsado', () => {
+      const { filas } = reconciliationService.parseSettlementReport(releaseCsv);
+      const result = reconciliationService.matchSettlementRows(filas, [
+        { ...payments[0], monto_reembolsado: 0 },
+        payments[1]
+      ]);
+
+      expect(result.conciliados).toBe(2);
+      expect(result.diferencias).toEqual([
+        expect.objectContaining({
+          tipo: 'diferencia_monto',
+          mercado_pago_id: '1001',
+          monto_reporte: 2000,
+          monto_sistema: 0,
+          filas: '5'
+        })
+      ]);
+    });
+    test('debe comparar contra lo cobrado y reembolsado por Mercado Pago en pagos con crédito de billetera', () => {
+      const { filas } = reconciliationService.parseSettlementReport(settlementCsv);
+      // Pago de 12500 con 2500 de crédito: Mercado Pago cobró 10000 y devolvió 2000 de un reembolso de 2500
+      const creditPayment = {
+        ...payments[0],
+        monto_total: 12500,
+        monto_credito: 2500,
+        monto_reembolsado: 2500,
+        reembolsos: [{ monto_credito: 500 }]
+      };
+
+      const result = reconciliationService.matchSettlementRows(filas, [creditPayment, ...payments.slice(1)]);
+
+      expect(result.diferencias.filter(item => item.mercado_pago_id === '1001')).toEqual([]);
+      expect(result.resumen.diferenciasMonto).toBe(1);
+    });
+  });
+
+  describe('reconcileSettlementReport', () => {
+    test('debe guardar la corrida con sus diferencias y registrarla en el log', async () => {
+      mockPrisma.pagos.findMany.mockResolvedValue(payments);
+
+      const result = await reconciliationService.reconcileSettlementReport({
+        fileName: 'settlement_report.csv',
+        content: Buffer.from(settlementCsv),
+        adminId: 'admin-1'
+      });
+
+      expect(result.estado).toBe('con_diferencias');
+      expect(result.diferencias).toHaveLength(4);
+      expect(mockPrisma.pagos.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: {
+          OR: [
+            { mercado_pago_id: { in: ['1001', '1002', '1003', '1004'] } },
+            expect.objectContaining({ fecha_pago: { gte: new Date('2025-12-01T13:00:00.000Z'), lte: new Date('2025-12-03T15:00:00.000Z') } })
+          ]
+        }
+      }));
+      expect(mockPrisma.conciliaciones_mp.create).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({
+          tipo_reporte: 'liquidaciones',
+          total_filas: 7,
+          conciliados: 1,
+          duplicados: 1,
+          subido_por: 'admin-1'
+        })
+      }));
+      expect(mockPrisma.transactions_log.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ tipo_transaccion: 'settlement_reconciliation', entidad_id: 'conciliacion-1' })
+      });
+    });
+
+    test('debe rechazar reportes sin operaciones de pago', async () => {
+      await expect(reconciliationService.reconcileSettlementReport({
+        fileName: 'vacio.csv',
+        content: 'SOURCE_ID;TRANSACTION_TYPE;TRANSACTION_AMOUNT;TRANSACTION_DATE\n9001;WITHDRAWAL;-100;2025-12-01',
+        adminId: 'admin-1'
+      })).rejects.toThrow('no contiene operaciones de pago');
+      expect(mockPrisma.conciliaciones_mp.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getReconciliation', () => {
+    test('debe fallar si la conciliación no existe', async () => {
+      mockPrisma.conciliaciones_mp.findUnique.mockResolvedValue(null);
+
+      await expect(reconciliationService.getReconciliation('inexistente'))
+        .rejects.toThrow('Conciliación no encontrada');
+    });
+  });
+});
@@ -0,0 +1,356 @@
+/**
+ * Unit tests for recurringBillingService.js
+ * Covers: monto con descuento_recurrencia, cobro automático de servicios próximos,
+ * dunning de cobros rechazados (reintento y pausa) y reanudación al autorizar una tarjeta nueva
+ */
+
+const mockPrisma = {
+  servicios: {
+    findMany: jest.fn()
+  },
+  servicios_recurrrentes: {
+    findUnique: jest.fn(),
+    update: jest.fn()
+  },
+  cobros_recurrentes: {
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn()
+  },
+  pagos: {
+    create: jest.fn(),
+    findUnique: jest.fn()
+  },
+  metodos_pago_guardados: {
+    findUnique: jest.fn()
+  },
+  transactions_log: {
+    create: jest.fn()
+  },
+  $transaction: jest.fn()
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+jest.mock('../../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../src/services/currencyService', () => ({
+  ...jest.requireActual('../../src/services/currencyService'),
+  getRateSnapshot: jest.fn((moneda) => Promise.resolve({ moneda, tipo_cambio: 1, tipo_cambio_fecha: new Date('2025-03-01T00:00:00Z') }))
+}));
+jest.mock('../../src/services/mercadoPagoService', () => ({
+  chargeStoredCard: jest.fn(),
+  capturePayment: jest.fn(),
+  saveCustomerCard: jest.fn(),
+  processPartialRefund: jest.fn()
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  createNotification: jest.fn()
+}));
+
+const recurringBillingService = require('../../src/services/recurringBillingService');
+const { chargeStoredCard, capturePayment } = require('../../src/services/mercadoPagoService');
+const { createNotification } = require('../../src/services/notificationService');
+const { getRateSnapshot } = require('../../src/services/currencyService');
+
+describe('Recurring Billing Service - Unit Tests', () => {
+  const now = new Date('2025-03-10T12:00:00Z');
+
+  const recurring = {
+    id: 'rec-1',
+    cliente_id: 'cliente-1',
+    profesional_id: 'prof-1',
+    descripcion: 'Limpieza de piscina',
+    tarifa_base: 10000,
+    descuento_recurrencia: 15,
+    activo: true,
+    cobro_automatico: true,
+    cobros_fallidos: 0,
+    pausado_en: null,
+    metodo_pago: { id: 'mp-1', mp_customer_id: 'cust-1', mp_card_id: 'card-1', medio_pago: 'visa' },
+    cliente: { id: 'cliente-1', nombre: 'Ana', email: 'ana@test.com' }
+  };
+
+  const service = {
+    id: 'servicio-1',
+    estado: 'PENDIENTE',
+    fecha_agendada: new Date('2025-03-11T10:00:00Z'),
+    servicio_recurrente: recurring,
+    profesional: { perfil_profesional: { moneda: 'ARS' } }
+  };
+
+  const pendingCharge = {
+    id: 'cobro-1',
+    servicio_recurrente_id: 'rec-1',
+    servicio_id: 'servicio-1',
+    pago_id: null,
+    monto_lista: 10000,
+    descuento_porcentaje: 15,
+    monto: 8500,
+    moneda: 'ARS',
+    estado: 'pendiente',
+    intentos: 0,
+    proximo_intento: now,
+    mercado_pago_id: null,
+    servicio: service,
+    servicio_recurrente: recurring
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.$transaction.mockImplementation((callback) => callback(mockPrisma));
+    mockPrisma.servicios.findMany.mockResolvedValue([]);
+    mockPrisma.cobros_recurrentes.findMany.mockResolvedValue([]);
+    mockPrisma.pagos.create.mockResolvedValue({ id: 'pago-1' });
+    mockPrisma.cobros_recurrentes.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  describe('calculateChargeAmount', () => {
+    test('debe aplicar descuento_recurrencia y redondear según la moneda', () => {
+      expect(recurringBillingService.calculateChargeAmount(recurring, 'ARS')).toBe(8500);
+      expect(recurringBillingService.calculateChargeAmount({ tarifa_base: 33333, descuento_recurrencia: 10 }, 'CLP')).toBe(30000);
+      expect(recurringBillingService.calculateChargeAmount({ tarifa_base: 5000, descuento_recurrencia: null }, 'ARS')).toBe(5000);
+    });
+  });
+
+  describe('processRecurringCharges', () => {
+    test('debe generar el cobro de los servicios próximos con el descuento aplicado', async () => {
+      mockPrisma.servicios.findMany.mockResolvedValue([service]);
+
+      const summary = await recurringBillingService.processRecurringCharges(now);
+
+      expect(mockPrisma.cobros_recurrentes.create).toHaveBeenCalledWith({
+        data: {
+          servicio_recurrente_id: 'rec-1',
+          servicio_id: 'servicio-1',
+          monto_lista: 10000,
+          descuento_porcentaje: 15,
+          monto: 8500,
+          moneda: 'ARS',
+          proximo_intento: now
+        }
+      });
+      expect(summary.cobrosGenerados).toBe(1);
+    });
+
+    test('un cobro aprobado crea el pago del servicio y lo deja en custodia', async () => {
+      mockPrisma.cobros_recurrentes.findMany.mockResolvedValue([pendingCharge]);
+      chargeStoredCard.mockResolvedValue({ id: 555, status: 'approved', status_detail: 'accredited' });
+      mockPrisma.cobros_recurrentes.findUnique.mockResolvedValue({ ...pendingCharge, pago_id: 'pago-1' });
+      mockPrisma.pagos.findUnique.mockResolvedValue({ id: 'pago-1', monto_total: 8500 });
+
+      const summary = await recurringBillingService.processRecurringCharges(now);
+
+      expect(mockPrisma.pagos.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          servicio_id: 'servicio-1',
+          cliente_id: 'cliente-1',
+          profesional_id: 'prof-1',
+          monto_total: 8500,
+          moneda: 'ARS',
+          estado: 'pendiente'
+        })
+      });
+      expect(chargeStoredCard).toHaveBeenCalledWith(expect.objectContaining({
+        reference: 'recurrente:cobro-1',
+        idempotencyKey: 'cobro-1-0',
+        amount: 8500,
+        card: { customerId: 'cust-1', cardId: 'card-1', paymentMethodId: 'visa' },
+        payerEmail: 'ana@test.com'
+      }));
+      expect(mockPrisma.cobros_recurrentes.update).toHaveBeenCalledWith({
+        where: { id: 'cobro-1' },
+        data: expect.objectContaining({ estado: 'aprobado', mercado_pago_id: '555', cobrado_en: now })
+      });
+      expect(capturePayment).toHaveBeenCalledWith({ id: 'pago-1', monto_total: 8500 }, { mercadoPagoId: '555' });
+      expect(summary.aprobados).toBe(1);
+    });
+
+    test('no debe cobrar ni crear el pago si otra corrida ya tomó el cobro', async () => {
+      mockPrisma.cobros_recurrentes.findMany.mockResolvedValue([pendingCharge]);
+      mockPrisma.cobros_recurrentes.updateMany.mockResolvedValue({ count: 0 });
+
+      const summary = await recurringBillingService.processRecurringCharges(now);
+
+      expect(mockPrisma.cobros_recurrentes.updateMany).toHaveBeenCalledWith({
+        where: { id: 'cobro-1', proximo_intento: now, estado: 'pendiente' },
+        data: { proximo_intento: null }
+      });
+      expect(mockPrisma.pagos.create).not.toHaveBeenCalled();
+      expect(chargeStoredCard).not.toHaveBeenCalled();
+      expect(summary.aprobados).toBe(0);
+      expect(summary.rechazados).toBe(0);
+    });
+
+    test('no debe cobrar servicios cancelados después de generarse el cobro', async () => {
+      mockPrisma.cobros_recurrentes.findMany.mockResolvedValue([
+        { ...pendingCharge, servicio: { ...service, estado: 'CANCELADO' } }
+      ]);
+
+      await recurringBillingService.processRecurringCharges(now);
+
+      expect(chargeStoredCard).not.toHaveBeenCalled();
+      expect(mockPrisma.cobros_recurrentes.update).toHaveBeenCalledWith({
+        where: { id: 'cobro-1' },
+        data: { estado: 'cancelado', proximo_intento: null }
+      });
+    });
+  });
+
+  describe('dunning de cobros rechazados', () => {
+    test('un rechazo reprograma el cobro y avisa al cliente', async () => {
+      mockPrisma.cobros_recurrentes.findUnique.mockResolvedValue({ ...pendingCharge, pago_id: 'pago-1' });
+
+      const result = await recurringBillingService.processRecurringChargeWebhook('cobro-1', {
+        mercadoPagoId: '777',
+        status: 'rejected',
+        statusDetail: 'cc_rejected_insufficient_amount'
+      }, now);
+
+      expect(result.paused).toBe(false);
+      expect(mockPrisma.cobros_recurrentes.update).toHaveBeenCalledWith({
+        where: { id: 'cobro-1' },
+        data: {
+          estado: 'rechazado',
+          intentos: 1,
+          proximo_intento: new Date('2025-03-11T12:00:00Z'),
+          mercado_pago_id: '777',
+          ultimo_error: 'cc_rejected_insufficient_amount'
+        }
+      });
+      expect(mockPrisma.servicios_recurrrentes.update).toHaveBeenCalledWith({
+        where: { id: 'rec-1' },
+        data: { cobros_fallidos: 1 }
+      });
+      expect(createNotification).toHaveBeenCalledWith(
+        'cliente-1',
+        'servicio_recurrente_cobro_fallido',
+        expect.stringContaining('Lo reintentaremos'),
+        expect.any(Object)
+      );
+    });
+
+    test('al llegar al máximo de rechazos consecutivos debe pausar la programación', async () => {
+      mockPrisma.cobros_recurrentes.findUnique.mockResolvedValue({
+        ...pendingCharge,
+        estado: 'rechazado',
+        intentos: 2,
+        mercado_pago_id: '778',
+        servicio_recurrente: { ...recurring, cobros_fallidos: recurringBillingService.MAX_FAILED_CHARGES - 1 }
+      });
+
+      const result = await recurringBillingService.processRecurringChargeWebhook('cobro-1', {
+        mercadoPagoId: '779',
+        status: 'rejected',
+        statusDetail: 'cc_rejected_other_reason'
+      }, now);
+
+      expect(result.paused).toBe(true);
+      expect(mockPrisma.cobros_recurrentes.update).toHaveBeenCalledWith({
+        where: { id: 'cobro-1' },
+        data: expect.objectContaining({ estado: 'fallido', intentos: 3, proximo_intento: null })
+      });
+      expect(mockPrisma.servicios_recurrrentes.update).toHaveBeenCalledWith({
+        where: { id: 'rec-1' },
+        data: expect.objectContaining({ cobros_fallidos: 3, pausado_en: now })
+      });
+      expect(createNotification).toHaveBeenCalledWith('cliente-1', 'servicio_recurrente_pausado', expect.any(String), expect.any(Object));
+      expect(createNotification).toHaveBeenCalledWith('prof-1', 'servicio_recurrente_pausado', expect.any(String), expect.any(Object));
+    });
+
+    test('no debe contar dos veces el mismo rechazo (respuesta del cobro y webhook)', async () => {
+      mockPrisma.cobros_recurrentes.findUnique.mockResolvedValue({
+        ...pendingCharge,
+        estado: 'rechazado',
+        intentos: 1,
+        mercado_pago_id: '777'
+      });
+
+      const result = await recurringBillingService.processRecurringChargeWebhook('cobro-1', {
+        mercadoPagoId: '777',
+        status: 'rejected'
+      }, now);
+
+      expect(result.duplicate).toBe(true);
+      expect(mockPrisma.cobros_recurrentes.update).not.toHaveBeenCalled();
+      expect(createNotification).not.toHaveBeenCalled();
+    });
+
+    test('un error de la pasarela cuenta como rechazo del intento', async () => {
+      mockPrisma.cobros_recurrentes.findMany.mockResolvedValue([{ ...pendingCharge, pago_id: 'pago-1' }]);
+      mockPrisma.pagos.findUnique.mockResolvedValue({ id: 'pago-1' });
+      chargeStoredCard.mockRejectedValue(new Error('Card not found'));
+      mockPrisma.cobros_recurrentes.findUnique.mockResolvedValue({ ...pendingCharge, pago_id: 'pago-1' });
+
+      const summary = await recurringBillingService.processRecurringCharges(now);
+
+      expect(mockPrisma.pagos.create).not.toHaveBeenCalled();
+      expect(mockPrisma.cobros_recurrentes.update).toHaveBeenCalledWith({
+        where: { id: 'cobro-1' },
+        data: expect.objectContaining({ estado: 'rechazado', ultimo_error: 'Card not found' })
+      });
+      expect(summary.rechazados).toBe(1);
+    });
+
+    test('un error al crear el pago reprograma el cobro en lugar de dejarlo fuera de la cola', async () => {
+      mockPrisma.cobros_recurrentes.findMany.mockResolvedValue([pendingCharge]);
+      getRateSnapshot.mockRejectedValueOnce(new Error('No hay tipo de cambio cargado para UYU'));
+      mockPrisma.cobros_recurrentes.findUnique.mockResolvedValue(pendingCharge);
+
+      const summary = await recurringBillingService.processRecurringCharges(now);
+
+      expect(mockPrisma.pagos.create).not.toHaveBeenCalled();
+      expect(chargeStoredCard).not.toHaveBeenCalled();
+      expect(mockPrisma.cobros_recurrentes.update).toHaveBeenCalledWith({
+        where: { id: 'cobro-1' },
+        data: expect.objectContaining({
+          estado: 'rechazado',
+          intentos: 1,
+          proximo_intento: expect.any(Date),
+          ultimo_error: 'No hay tipo de cambio cargado para UYU'
+        })
+      });
+      expect(summary.rechazados).toBe(1);
+    });
+  });
+
+  describe('authorizeRecurringBilling', () => {
+    test('debe reanudar una programación pausada y reintentar sus cobros fallidos', async () => {
+      mockPrisma.servicios_recurrrentes.findUnique.mockResolvedValue({ ...recurring, pausado_en: now, cobros_fallidos: 3 });
+      mockPrisma.metodos_pago_guardados.findUnique.mockResolvedValue({ id: 'mp-2', usuario_id: 'cliente-1', activo: true });
+
+      await recurringBillingService.authorizeRecurringBilling('rec-1', 'cliente-1', { metodoPagoId: 'mp-2' });
+
+      expect(mockPrisma.servicios_recurrrentes.update).toHaveBeenCalledWith({
+        where: { id: 'rec-1' },
+        data: expect.objectContaining({
+          cobro_automatico: true,
+          metodo_pago_id: 'mp-2',
+          cobros_fallidos: 0,
+          pausado_en: null
+        })
+      });
+      expect(mockPrisma.cobros_recurrentes.updateMany).toHaveBeenCalledWith({
+        where: expect.objectContaining({ servicio_recurrente_id: 'rec-1', estado: 'fallido' }),
+        data: { estado: 'pendiente', proximo_intento: expect.any(Date) }
+      });
+    });
+
+    test('debe rechazar tarjetas de otro usuario y programaciones ajenas', async () => {
+      mockPrisma.servicios_recurrrentes.findUnique.mockResolvedValue(recurring);
+      mockPrisma.metodos_pago_guardados.findUnique.mockResolvedValue({ id: 'mp-9', usuario_id: 'otro', activo: true });
+
+      await expect(recurringBillingService.authorizeRecurringBilling('rec-1', 'cliente-1', { metodoPagoId: 'mp-9' }))
+        .rejects.toThrow('Método de pago no encontrado');
+      await expect(recurringBillingService.authorizeRecurringBilling('rec-1', 'prof-1', { metodoPagoId: 'mp-1' }))
+        .rejects.toThrow('Solo el cliente de la programación');
+      expect(mockPrisma.servicios_recurrrentes.update).not.toHaveBeenCalled();
+    });
+  });
+});
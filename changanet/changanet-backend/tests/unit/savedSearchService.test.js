@@ -0,0 +1,312 @@
+/**
+ * Unit tests for savedSearchService.js
+ * Covers: validación de filtros guardados, coincidencias por profesional recién verificado y por baja de tarifa,
+ * cadencia de avisos y postergación por horario silencioso
+ */
+
+const mockPrisma = {
+  busquedas_guardadas: {
+    count: jest.fn(),
+    create: jest.fn(),
+    findMany: jest.fn(),
+    findUnique: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn()
+  },
+  coincidencias_busqueda: {
+    upsert: jest.fn(),
+    findMany: jest.fn(),
+    updateMany: jest.fn(),
+    deleteMany: jest.fn()
+  },
+  sinonimos_busqueda: {
+    findMany: jest.fn()
+  },
+  $queryRawUnsafe: jest.fn(),
+  $transaction: jest.fn()
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+jest.mock('../../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../src/services/cacheService', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  set: jest.fn().mockResolvedValue(true),
+  del: jest.fn().mockResolvedValue(true)
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  createNotification: jest.fn()
+}));
+
+const savedSearchService = require('../../src/services/savedSearchService');
+const { createNotification } = require('../../src/services/notificationService');
+
+describe('Saved Search Service - Unit Tests', () => {
+  const now = new Date('2025-03-10T12:00:00Z');
+
+  const savedSearch = {
+    id: 'busqueda-1',
+    cliente_id: 'cliente-1',
+    nombre: 'Plomero en Palermo',
+    termino: null,
+    especialidad: 'Plomero',
+    zona: 'Palermo',
+    categoria_id: null,
+    tipo_tarifa: null,
+    precio_min: null,
+    precio_max: 5000,
+    calificacion_min: null,
+    solo_verificados: false,
+    latitud: null,
+    longitud: null,
+    radio_km: null,
+    frecuencia_alertas: 'diaria',
+    alertas_activas: true,
+    ultima_alerta_en: null
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.sinonimos_busqueda.findMany.mockResolvedValue([]);
+    mockPrisma.coincidencias_busqueda.upsert.mockResolvedValue({ id: 'coincidencia-1' });
+    mockPrisma.$transaction.mockResolvedValue([]);
+  });
+
+  describe('createSavedSearch', () => {
+    test('debe guardar los filtros de búsqueda con los mismos nombres que /api/search', async () => {
+      mockPrisma.busquedas_guardadas.count.mockResolvedValue(0);
+      mockPrisma.busquedas_guardadas.create.mockImplementation(({ data }) => Promise.resolve({ id: 'busqueda-1', ...data }));
+
+      const search = await savedSearchService.createSavedSearch('cliente-1', {
+        nombre: 'Gasista cerca',
+        frecuencia_alertas: 'semanal',
+        filtros: { q: 'gasista', city: 'Palermo', maxPrice: '8000', verification: 'verificado', lat: '-34.58', lng: '-58.42', radius: '5' }
+      });
+
+      expect(search).toMatchObject({
+        cliente_id: 'cliente-1',
+        nombre: 'Gasista cerca',
+        frecuencia_alertas: 'semanal',
+        termino: 'gasista',
+        zona: 'Palermo',
+        precio_max: 8000,
+        solo_verificados: true,
+        latitud: -34.58,
+        longitud: -58.42,
+        radio_km: 5
+      });
+    });
+
+    test('debe rechazar una frecuencia de alertas inválida', async () => {
+      await expect(savedSearchService.createSavedSearch('cliente-1', {
+        nombre: 'Plomero',
+        frecuencia_alertas: 'mensual'
+      })).rejects.toThrow('Frecuencia de alertas inválida');
+    });
+
+    test('debe exigir la ubicación para guardar un radio', async () => {
+      mockPrisma.busquedas_guardadas.count.mockResolvedValue(0);
+
+      await expect(savedSearchService.createSavedSearch('cliente-1', {
+        nombre: 'Plomero',
+        filtros: { radius: '5' }
+      })).rejects.toThrow('Debe indicar la ubicación');
+      expect(mockPrisma.busquedas_guardadas.create).not.toHaveBeenCalled();
+    });
+
+    test('debe limitar la cantidad de búsquedas guardadas por cliente', async () => {
+      mockPrisma.busquedas_guardadas.count.mockResolvedValue(savedSearchService.MAX_SAVED_SEARCHES_PER_CLIENT);
+
+      await expect(savedSearchService.createSavedSearch('cliente-1', { nombre: 'Plomero' }))
+        .rejects.toThrow('Límite');
+    });
+  });
+
+  describe('updateSavedSearch', () => {
+    test('no debe permitir modificar búsquedas de otro cliente', async () => {
+      mockPrisma.busquedas_guardadas.findUnique.mockResolvedValue(savedSearch);
+
+      await expect(savedSearchService.updateSavedSearch('busqueda-1', 'cliente-2', { alertas_activas: false }))
+        .rejects.toThrow('No autorizado');
+      expect(mockPrisma.busquedas_guardadas.update).not.toHaveBeenCalled();
+    });
+
+    test('debe descartar las coincidencias pendientes al cambiar los filtros', async () => {
+      mockPrisma.busquedas_guardadas.findUnique.mockResolvedValue(savedSearch);
+      mockPrisma.busquedas_guardadas.update.mockResolvedValue(savedSearch);
+
+      await savedSearchService.updateSavedSearch('busqueda-1', 'cliente-1', { filtros: { specialty: 'Gasista' } });
+
+      expect(mockPrisma.busquedas_guardadas.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ especialidad: 'Gasista', precio_max: null })
+      }));
+      expect(mockPrisma.coincidencias_busqueda.deleteMany).toHaveBeenCalledWith({
+        where: { busqueda_id: 'busqueda-1', notificado_en: null }
+      });
+    });
+  });
+
+  describe('matchesSavedSearch', () => {
+    test('debe consultar al profesional con los filtros del motor de búsqueda', async () => {
+      mockPrisma.$queryRawUnsafe.mockResolvedValue([{ '?column?': 1 }]);
+
+      const matches = await savedSearchService.matchesSavedSearch(savedSearch, 'prof-1');
+
+      expect(matches).toBe(true);
+      const [sql, ...params] = mockPrisma.$queryRawUnsafe.mock.calls[0];
+      expect(sql).toContain('p.usuario_id = $1');
+      expect(sql).toContain('p.tarifa_hora <= $');
+      expect(params).toEqual(['prof-1', 'Plomero', '%Palermo%', 5000]);
+    });
+  });
+
+  describe('recordNewlyVerified', () => {
+    test('debe registrar la coincidencia solo en las búsquedas que coinciden', async () => {
+      const otherSearch = { ...savedSearch, id: 'busqueda-2', especialidad: 'Gasista' };
+      mockPrisma.busquedas_guardadas.findMany.mockResolvedValue([savedSearch, otherSearch]);
+      mockPrisma.$queryRawUnsafe
+        .mockResolvedValueOnce([{ '?column?': 1 }])
+        .mockResolvedValueOnce([]);
+
+      const matched = await savedSearchService.recordNewlyVerified('prof-1');
+
+      expect(matched).toBe(1);
+      expect(mockPrisma.coincidencias_busqueda.upsert).toHaveBeenCalledTimes(1);
+      expect(mockPrisma.coincidencias_busqueda.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        create: expect.objectContaining({ busqueda_id: 'busqueda-1', profesional_id: 'prof-1', motivo: 'nuevo_verificado' }),
+        update: {}
+      }));
+      // Frecuencia diaria: el aviso queda para el envío programado
+      expect(createNotification).not.toHaveBeenCalled();
+    });
+
+    test('debe avisar enseguida a las búsquedas de frecuencia inmediata', async () => {
+      const immediate = { ...savedSearch, frecuencia_alertas: 'inmediata' };
+      mockPrisma.busquedas_guardadas.findMany.mockResolvedValue([immediate]);
+      mockPrisma.$queryRawUnsafe.mockResolvedValue([{ '?column?': 1 }]);
+      mockPrisma.coincidencias_busqueda.findMany.mockResolvedValue([
+        { id: 'coincidencia-1', profesional_id: 'prof-1', motivo: 'nuevo_verificado', tarifa: null, profesional: { nombre: 'Juan' } }
+      ]);
+      createNotification.mockResolvedValue({ id: 'notif-1' });
+
+      await savedSearchService.recordNewlyVerified('prof-1');
+
+      expect(createNotification).toHaveBeenCalledWith(
+        'cliente-1',
+        'busqueda_guardada',
+        'Juan fue verificado y coincide con tu búsqueda "Plomero en Palermo"',
+        expect.objectContaining({ busquedaId: 'busqueda-1' }),
+        'LOW'
+      );
+    });
+
+    test('no debe interrumpir la verificación si falla', async () => {
+      mockPrisma.busquedas_guardadas.findMany.mockRejectedValue(new Error('DB caída'));
+
+      await expect(savedSearchService.recordNewlyVerified('prof-1')).resolves.toBe(0);
+    });
+  });
+
+  describe('recordRateChange', () => {
+    test('debe buscar solo las búsquedas cuyo precio máximo quedó entre la tarifa anterior y la nueva', async () => {
+      mockPrisma.busquedas_guardadas.findMany.mockResolvedValue([savedSearch]);
+      mockPrisma.$queryRawUnsafe.mockResolvedValue([{ '?column?': 1 }]);
+
+      const matched = await savedSearchService.recordRateChange(
+        'prof-1',
+        { tarifa_hora: 6000, tarifa_servicio: 20000 },
+        { tarifa_hora: 4500, tarifa_servicio: 20000 }
+      );
+
+      expect(matched).toBe(1);
+      expect(mockPrisma.busquedas_guardadas.findMany).toHaveBeenCalledTimes(1);
+      expect(mockPrisma.busquedas_guardadas.findMany).toHaveBeenCalledWith({
+        where: {
+          alertas_activas: true,
+          precio_max: { gte: 4500, lt: 6000 },
+          OR: [{ tipo_tarifa: null }, { tipo_tarifa: 'hora' }]
+        }
+      });
+      expect(mockPrisma.coincidencias_busqueda.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        create: expect.objectContaining({ motivo: 'baja_tarifa', tarifa: 4500 }),
+        update: { tarifa: 4500, notificado_en: null }
+      }));
+    });
+
+    test('no debe hacer nada si la tarifa sube o no cambia', async () => {
+      const matched = await savedSearchService.recordRateChange(
+        'prof-1',
+        { tarifa_hora: 4000, tarifa_servicio: null },
+        { tarifa_hora: 4500, tarifa_servicio: null }
+      );
+
+      expect(matched).toBe(0);
+      expect(mockPrisma.busquedas_guardadas.findMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('isAlertDue', () => {
+    test('debe respetar la frecuencia de cada búsqueda', () => {
+      const lastAlert = new Date('2025-03-09T18:00:00Z'); // 18 horas antes
+
+      expect(savedSearchService.isAlertDue({ ...savedSearch, ultima_alerta_en: null }, now)).toBe(true);
+      expect(savedSearchService.isAlertDue({ ...savedSearch, frecuencia_alertas: 'inmediata', ultima_alerta_en: lastAlert }, now)).toBe(true);
+      expect(savedSearchService.isAlertDue({ ...savedSearch, frecuencia_alertas: 'diaria', ultima_alerta_en: lastAlert }, now)).toBe(false);
+      expect(savedSearchService.isAlertDue({ ...savedSearch, frecuencia_alertas: 'semanal', ultima_alerta_en: new Date('2025-03-02T12:00:00Z') }, now)).toBe(true);
+    });
+  });
+
+  describe('processSavedSearchAlerts', () => {
+    const pendingMatches = [
+      { id: 'coincidencia-1', profesional_id: 'prof-1', motivo: 'nuevo_verificado', tarifa: null, profesional: { nombre: 'Juan' } },
+      { id: 'coincidencia-2', profesional_id: 'prof-2', motivo: 'baja_tarifa', tarifa: 4500, profesional: { nombre: 'Ana' } }
+    ];
+
+    test('debe enviar un único aviso por búsqueda y marcar las coincidencias como notificadas', async () => {
+      mockPrisma.busquedas_guardadas.findMany.mockResolvedValue([savedSearch]);
+      mockPrisma.coincidencias_busqueda.findMany.mockResolvedValue(pendingMatches);
+      createNotification.mockResolvedValue({ id: 'notif-1' });
+
+      const summary = await savedSearchService.processSavedSearchAlerts(now);
+
+      expect(summary).toEqual({ processed: 1, sent: 1, deferred: 0 });
+      expect(createNotification).toHaveBeenCalledTimes(1);
+      expect(createNotification.mock.calls[0][2]).toBe('2 profesionales nuevos coinciden con tu búsqueda "Plomero en Palermo"');
+      expect(mockPrisma.coincidencias_busqueda.updateMany).toHaveBeenCalledWith({
+        where: { id: { in: ['coincidencia-1', 'coincidencia-2'] } },
+        data: { notificado_en: now }
+      });
+      expect(mockPrisma.busquedas_guardadas.update).toHaveBeenCalledWith({
+        where: { id: 'busqueda-1' },
+        data: { ultima_alerta_en: now }
+      });
+    });
+
+    test('debe dejar pendientes las coincidencias durante el horario silencioso', async () => {
+      mockPrisma.busquedas_guardadas.findMany.mockResolvedValue([savedSearch]);
+      mockPrisma.coincidencias_busqueda.findMany.mockResolvedValue(pendingMatches);
+      createNotification.mockResolvedValue({ skipped: true, reason: 'quiet_hours' });
+
+      const summary = await savedSearchService.processSavedSearchAlerts(now);
+
+      expect(summary).toEqual({ processed: 1, sent: 0, deferred: 1 });
+      expect(mockPrisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    test('no debe avisar antes de tiempo a las búsquedas diarias', async () => {
+      mockPrisma.busquedas_guardadas.findMany.mockResolvedValue([
+        { ...savedSearch, ultima_alerta_en: new Date('2025-03-10T06:00:00Z') }
+      ]);
+
+      const summary = await savedSearchService.processSavedSearchAlerts(now);
+
+      expect(summary).toEqual({ processed: 0, sent: 0, deferred: 0 });
+      expect(mockPrisma.coincidencias_busqueda.findMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,325 @@
+/**
+ * Unit tests for searchService.js
+ * Covers: normalización sin acentos, expansión con el diccionario de sinónimos por categoría,
+ * armado de la coincidencia por trigramas, facetas con conteos, autocompletado y administración del diccionario
+ */
+
+const mockPrisma = {
+  sinonimos_busqueda: {
+    findMany: jest.fn(),
+    findUnique: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn()
+  },
+  categories: {
+    findUnique: jest.fn()
+  },
+  $queryRawUnsafe: jest.fn()
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+jest.mock('../../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../src/services/cacheService', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  set: jest.fn().mockResolvedValue(true),
+  del: jest.fn().mockResolvedValue(true),
+  invalidateSearchCache: jest.fn().mockResolvedValue(true)
+}));
+
+const searchService = require('../../src/services/searchService');
+const cacheService = require('../../src/services/cacheService');
+
+describe('Search Service - Unit Tests', () => {
+  const dictionary = [
+    { categoria_id: 'cat-plomeria', termino: 'gasista', sinonimos: ['gas', 'gasfiter'] },
+    { categoria_id: 'cat-electricidad', termino: 'electricista', sinonimos: ['electricidad', 'electrico'] },
+    { categoria_id: 'cat-climatizacion', termino: 'aire acondicionado', sinonimos: ['split', 'climatizacion'] }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cacheService.get.mockResolvedValue(null);
+  });
+
+  describe('normalizeSearchText', () => {
+    test('debe quitar acentos, mayúsculas y signos', () => {
+      expect(searchService.normalizeSearchText('  Plomería, Electricísta!  ')).toBe('plomeria electricista');
+      expect(searchService.normalizeSearchText('Señor Ñandú')).toBe('senor nandu');
+      expect(searchService.normalizeSearchText(null)).toBe('');
+    });
+  });
+
+  describe('expandSearchTerms', () => {
+    test('debe expandir cada palabra con su grupo de sinónimos en ambos sentidos', () => {
+      expect(searchService.expandSearchTerms('Gas', dictionary)).toEqual({
+        normalized: 'gas',
+        groups: [['gas', 'gasista', 'gasfiter']],
+        synonyms: ['gasista', 'gasfiter']
+      });
+      expect(searchService.expandSearchTerms('electricidad', dictionary).groups)
+        .toEqual([['electricidad', 'electricista', 'electrico']]);
+    });
+
+    test('debe tratar como un único término las frases del diccionario y omitir palabras cortas', () => {
+      expect(searchService.expandSearchTerms('Aire Acondicionado', dictionary).groups)
+        .toEqual([['aire acondicionado', 'split', 'climatizacion']]);
+      expect(searchService.expandSearchTerms('plomero de urgencia', dictionary).groups)
+        .toEqual([['plomero'], ['urgencia']]);
+    });
+
+    test('debe limitar los sinónimos a la categoría indicada', () => {
+      expect(searchService.expandSearchTerms('gas', dictionary, { categoryId: 'cat-electricidad' }).groups)
+        .toEqual([['gas']]);
+    });
+  });
+
+  describe('buildTextMatch', () => {
+    test('debe exigir cada palabra con alguno de sus términos y promediar la relevancia', () => {
+      const match = searchService.buildTextMatch([['gas', 'gasista'], ['urgente']], 'p.search_vector', 3);
+
+      expect(match.condition).toBe('($3 <% p.search_vector OR $4 <% p.search_vector) AND ($5 <% p.search_vector)');
+      expect(match.relevance).toBe(
+        '((GREATEST(word_similarity($3, p.search_vector), word_similarity($4, p.search_vector)) + word_similarity($5, p.search_vector)) / 2)'
+      );
+      expect(match.params).toEqual(['gas', 'gasista', 'urgente']);
+      expect(match.nextIndex).toBe(6);
+    });
+
+    test('sin términos no filtra ni aporta relevancia', () => {
+      expect(searchService.buildTextMatch([], 'p.search_vector', 1)).toEqual({
+        condition: 'TRUE', relevance: '0', params: [], nextIndex: 1
+      });
+    });
+  });
+
+  describe('buildRankingExpression', () => {
+    test('debe combinar relevancia, calificación y cercanía con los pesos configurados', () => {
+      const { texto, calificacion, distancia } = searchService.RANKING_WEIGHTS;
+      const expression = searchService.buildRankingExpression({ relevance: 'rel', distance: 'dist' });
+
+      expect(expression).toContain(`${texto} * rel`);
+      expect(expression).toContain(`${calificacion} * COALESCE(p.calificacion_promedio, 0) / 5`);
+      expect(expression).toContain(`${distancia} * COALESCE(1 / (1 + (dist) / 10), 0)`);
+      expect(searchService.buildRankingExpression({ relevance: 'rel' })).toContain(`${distancia} * 0`);
+    });
+  });
+
+  describe('buildSearchConditions', () => {
+    const criteria = {
+      textGroups: [['gas', 'gasista']],
+      specialty: 'Gasista',
+      zone: 'Palermo',
+      rateType: 'servicio',
+      minPrice: '1000',
+      minRating: '4',
+      verification: 'verificado',
+      urgent: true
+    };
+
+    test('debe armar todos los filtros activos con parámetros posicionales', () => {
+      const params = [];
+      const { conditions, relevance } = searchService.buildSearchConditions(criteria, params, {
+        now: new Date('2025-03-10T12:00:00Z')
+      });
+
+      expect(conditions).toEqual([
+        '($1 <% p.search_vector OR $2 <% p.search_vector)',
+        'lower(immutable_unaccent(p.especialidad)) = lower(immutable_unaccent($3))',
+        'immutable_unaccent(p.zona_cobertura) ILIKE immutable_unaccent($4)',
+        'p.tipo_tarifa = $5',
+        'p.tarifa_servicio >= $6',
+        'COALESCE(p.calificacion_promedio, 0) >= $7',
+        'p.estado_verificacion = $8',
+        expect.stringMatching(/sl\.start_time >= \$9\s+AND sl\.start_time < \$10/)
+      ]);
+      expect(params).toEqual([
+        'gas', 'gasista', 'Gasista', '%Palermo%', 'servicio', 1000, 4, 'verificado',
+        new Date('2025-03-10T12:00:00Z'), new Date('2025-03-11T12:00:00Z')
+      ]);
+      expect(relevance).toContain('word_similarity($1, p.search_vector)');
+    });
+
+    test('debe filtrar por turnos libres en la ventana pedida descontando bloqueos', () => {
+      const params = [];
+      const { conditions } = searchService.buildSearchConditions({
+        availableFrom: new Date('2025-03-11T08:00:00Z'),
+        availableTo: new Date('2025-03-11T12:00:00Z')
+      }, params, { now: new Date('2025-03-10T12:00:00Z') });
+
+      expect(conditions).toHaveLength(1);
+      expect(conditions[0]).toContain('FROM availability_slots sl');
+      expect(conditions[0]).toContain('sl.start_time >= $1');
+      expect(conditions[0]).toContain('sl.start_time < $2');
+      expect(conditions[0]).toContain('FROM blocked_slots bl');
+      expect(params).toEqual([new Date('2025-03-11T08:00:00Z'), new Date('2025-03-11T12:00:00Z')]);
+    });
+
+    test('no debe considerar turnos pasados aunque la ventana empiece antes', () => {
+      const params = [];
+      searchService.buildSearchConditions({
+        availableFrom: new Date('2025-03-10T08:00:00Z')
+      }, params, { now: new Date('2025-03-10T12:00:00Z') });
+
+      expect(params).toEqual([new Date('2025-03-10T12:00:00Z')]);
+    });
+
+    test('debe exigir el punto dentro del área de servicio o, sin área, el radio por Haversine', () => {
+      const params = [];
+      const { conditions } = searchService.buildSearchConditions({
+        radiusKm: '5',
+        lat: '-34.58',
+        lng: '-58.42'
+      }, params);
+
+      expect(conditions).toHaveLength(1);
+      expect(conditions[0]).toContain('WHEN p.area_servicio_geom IS NOT NULL');
+      expect(conditions[0]).toContain('ST_Covers(p.area_servicio_geom, ST_SetSRID(ST_MakePoint($2::float8, $1::float8), 4326))');
+      expect(conditions[0]).toContain('radians(p.latitud - $1::float8)');
+      expect(conditions[0]).toMatch(/<= \$3::float8\s+END/);
+      expect(params).toEqual([-34.58, -58.42, 5]);
+    });
+
+    test('debe omitir solo el filtro de la faceta que se está contando', () => {
+      const params = [];
+      const { conditions } = searchService.buildSearchConditions(criteria, params, { exclude: 'specialty' });
+
+      expect(conditions.some(condition => condition.includes('p.especialidad'))).toBe(false);
+      expect(conditions.some(condition => condition.includes('p.estado_verificacion'))).toBe(true);
+      expect(params).not.toContain('Gasista');
+    });
+  });
+
+  describe('buildNextSlotJoin', () => {
+    test('debe buscar el primer turno libre desde ahora sin ventana', () => {
+      const params = ['previo'];
+      const join = searchService.buildNextSlotJoin({}, params, new Date('2025-03-10T12:00:00Z'));
+
+      expect(join).toContain('LEFT JOIN LATERAL');
+      expect(join).toContain('sl.start_time >= $2');
+      expect(join).not.toContain('sl.start_time <');
+      expect(join).toContain('ORDER BY sl.start_time ASC');
+      expect(join).toContain(') ns ON true');
+      expect(params).toEqual(['previo', new Date('2025-03-10T12:00:00Z')]);
+    });
+
+    test('debe acotar el próximo turno a la ventana pedida', () => {
+      const params = [];
+      const join = searchService.buildNextSlotJoin({
+        availableFrom: new Date('2025-03-11T08:00:00Z'),
+        availableTo: new Date('2025-03-11T12:00:00Z')
+      }, params, new Date('2025-03-10T12:00:00Z'));
+
+      expect(join).toContain('sl.start_time < $2');
+      expect(params).toEqual([new Date('2025-03-11T08:00:00Z'), new Date('2025-03-11T12:00:00Z')]);
+    });
+  });
+
+  describe('getSearchFacets', () => {
+    test('debe contar cada faceta bajo los demás filtros activos', async () => {
+      mockPrisma.$queryRawUnsafe.mockImplementation((sql) => {
+        if (sql.includes('GROUP BY p.especialidad')) {
+          return Promise.resolve([{ value: 'Gasista', count: 3 }, { value: 'Plomero', count: 1 }]);
+        }
+        if (sql.includes('GROUP BY')) {
+          return Promise.resolve([]);
+        }
+        if (sql.includes('p.tarifa_hora >= 20000')) {
+          return Promise.resolve([{ b0: 1, b1: 2, b2: 0, b3: 5 }]);
+        }
+        if (sql.includes('availability_slots')) {
+          return Promise.resolve([{ b0: 2 }]);
+        }
+        return Promise.resolve([{ b0: 4, b1: 6, b2: 8 }]);
+      });
+
+      const facets = await searchService.getSearchFacets({ specialty: 'Gasista', verification: 'verificado' });
+
+      expect(facets.specialty).toEqual([{ value: 'Gasista', count: 3 }, { value: 'Plomero', count: 1 }]);
+      expect(facets.price_range).toEqual([
+        { value: '0-5000', min: 0, max: 5000, count: 1 },
+        { value: '5000-10000', min: 5000, max: 10000, count: 2 },
+        { value: '10000-20000', min: 10000, max: 20000, count: 0 },
+        { value: '20000+', min: 20000, max: null, count: 5 }
+      ]);
+      expect(facets.rating_band).toEqual([
+        { value: 4.5, count: 4 },
+        { value: 4, count: 6 },
+        { value: 3, count: 8 }
+      ]);
+      expect(facets.urgent_available).toEqual([{ value: true, count: 2 }]);
+
+      // La faceta de especialidad no se filtra por la especialidad elegida, pero sí por la verificación
+      const specialtyCall = mockPrisma.$queryRawUnsafe.mock.calls.find(([sql]) => sql.includes('GROUP BY p.especialidad'));
+      expect(specialtyCall[0]).not.toContain('lower(immutable_unaccent(p.especialidad)) =');
+      expect(specialtyCall.slice(1)).toEqual(['verificado']);
+
+      const verificationCall = mockPrisma.$queryRawUnsafe.mock.calls.find(([sql]) => sql.includes('GROUP BY p.estado_verificacion'));
+      expect(verificationCall.slice(1)).toEqual(['Gasista']);
+    });
+  });
+
+  describe('getSuggestions', () => {
+    test('debe sugerir especialidades por trigramas o prefijo con sinónimos', async () => {
+      mockPrisma.sinonimos_busqueda.findMany.mockResolvedValue(dictionary);
+      mockPrisma.$queryRawUnsafe.mockResolvedValue([{ value: 'Gasista', count: 4, score: 0.8 }]);
+
+      const suggestions = await searchService.getSuggestions('specialties', 'gas', { limit: 5 });
+
+      expect(suggestions).toEqual([{ value: 'Gasista', count: 4 }]);
+      const [sql, ...params] = mockPrisma.$queryRawUnsafe.mock.calls[0];
+      expect(sql).toContain("$1 <% lower(immutable_unaccent(p.especialidad))");
+      expect(sql).toContain("lower(immutable_unaccent(p.especialidad)) LIKE $1 || '%'");
+      expect(params).toEqual(['gas', 'gasista', 'gasfiter', 5]);
+      expect(cacheService.set).toHaveBeenCalledWith('search:synonyms', JSON.stringify(dictionary), 600);
+    });
+
+    test('debe rechazar campos desconocidos', async () => {
+      await expect(searchService.getSuggestions('usuarios', 'ana')).rejects.toThrow('Campo de autocompletado inválido');
+    });
+  });
+
+  describe('administración del diccionario', () => {
+    test('debe guardar el término y los sinónimos normalizados e invalidar el caché', async () => {
+      mockPrisma.categories.findUnique.mockResolvedValue({ id: 'cat-plomeria' });
+      mockPrisma.sinonimos_busqueda.create.mockImplementation(({ data }) => Promise.resolve({ id: 'sin-1', ...data }));
+
+      await searchService.createSynonym({
+        categoria_id: 'cat-plomeria',
+        termino: 'Gasista',
+        sinonimos: 'Gas, gasfíter, GAS, gasista'
+      }, 'admin-1');
+
+      expect(mockPrisma.sinonimos_busqueda.create).toHaveBeenCalledWith({
+        data: {
+          termino: 'gasista',
+          sinonimos: ['gas', 'gasfiter'],
+          categoria_id: 'cat-plomeria',
+          creado_por: 'admin-1'
+        }
+      });
+      expect(cacheService.del).toHaveBeenCalledWith('search:synonyms');
+      expect(cacheService.invalidateSearchCache).toHaveBeenCalled();
+    });
+
+    test('debe validar categoría, sinónimos y duplicados', async () => {
+      mockPrisma.categories.findUnique.mockResolvedValue(null);
+      await expect(searchService.createSynonym({ categoria_id: 'x', termino: 'gas', sinonimos: ['gasista'] }, 'admin-1'))
+        .rejects.toThrow('Categoría no encontrada');
+
+      await expect(searchService.createSynonym({ categoria_id: 'cat-plomeria', termino: 'gas', sinonimos: ['Gas'] }, 'admin-1'))
+        .rejects.toThrow('Debe indicar al menos un sinónimo');
+
+      mockPrisma.categories.findUnique.mockResolvedValue({ id: 'cat-plomeria' });
+      mockPrisma.sinonimos_busqueda.create.mockRejectedValue(Object.assign(new Error('Unique'), { code: 'P2002' }));
+      await expect(searchService.createSynonym({ categoria_id: 'cat-plomeria', termino: 'gas', sinonimos: ['gasista'] }, 'admin-1'))
+        .rejects.toThrow('Ya existe una entrada para ese término');
+    });
+  });
+});
@@ -0,0 +1,281 @@
+/**
+ * Unit tests for subscriptionService.js
+ * Covers: beneficios por plan, alta con primer cobro, webhook de cobros (aprobado, rechazado, duplicado)
+ * y renovaciones con período de gracia
+ */
+
+const mockPrisma = {
+  suscripciones_profesionales: {
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn()
+  },
+  cobros_suscripcion: {
+    findUnique: jest.fn(),
+    findFirst: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn()
+  },
+  planes_suscripcion: {
+    findFirst: jest.fn(),
+    findUnique: jest.fn()
+  },
+  usuarios: {
+    findUnique: jest.fn()
+  },
+  transactions_log: {
+    create: jest.fn()
+  },
+  $transaction: jest.fn()
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+jest.mock('../../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../src/services/ledgerService', () => ({
+  recordJournalEntry: jest.fn(),
+  LEDGER_ACCOUNTS: {
+    CAJA: { codigo: 'caja_mercadopago' },
+    SUSCRIPCIONES: { codigo: 'ingresos_suscripciones' }
+  }
+}));
+jest.mock('../../src/services/mercadoPagoService', () => ({
+  createSubscriptionPreference: jest.fn()
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  createNotification: jest.fn()
+}));
+
+const subscriptionService = require('../../src/services/subscriptionService');
+const { recordJournalEntry } = require('../../src/services/ledgerService');
+const { createSubscriptionPreference } = require('../../src/services/mercadoPagoService');
+const { createNotification } = require('../../src/services/notificationService');
+
+describe('Subscription Service - Unit Tests', () => {
+  const proPlan = {
+    id: 'plan_pro',
+    codigo: 'pro',
+    nombre: 'Pro',
+    precio_mensual: 9999,
+    precio_anual: 99990,
+    porcentaje_comision: 7,
+    impulso_busqueda: 0.25,
+    max_cotizaciones_activas: 25,
+    analytics_avanzados: true,
+    activo: true
+  };
+  const premiumPlan = { ...proPlan, id: 'plan_premium', codigo: 'premium', nombre: 'Premium', precio_mensual: 19999, max_cotizaciones_activas: null };
+
+  const periodStart = new Date('2025-01-10T00:00:00Z');
+  const periodEnd = new Date('2025-02-10T00:00:00Z');
+
+  const activeSubscription = {
+    id: 'sub-1',
+    profesional_id: 'prof-1',
+    plan_id: proPlan.id,
+    plan: proPlan,
+    plan_siguiente_id: null,
+    plan_siguiente: null,
+    periodo: 'mensual',
+    estado: 'activa',
+    periodo_inicio: periodStart,
+    periodo_fin: periodEnd,
+    gracia_hasta: null,
+    cancelar_al_final: false
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.$transaction.mockImplementation(callback => callback(mockPrisma));
+    mockPrisma.usuarios.findUnique.mockResolvedValue({ id: 'prof-1', nombre: 'Ana', email: 'ana@test.com', rol: 'profesional' });
+    mockPrisma.cobros_suscripcion.update.mockImplementation(({ data }) => Promise.resolve({ id: 'cobro-1', ...data }));
+    createSubscriptionPreference.mockResolvedValue({ id: 'pref-1', init_point: 'https://mp/pref-1', simulated: true });
+  });
+
+  describe('getEntitlements', () => {
+    test('un profesional sin plan recibe los beneficios gratuitos', async () => {
+      mockPrisma.suscripciones_profesionales.findFirst.mockResolvedValue(null);
+
+      const entitlements = await subscriptionService.getEntitlements('prof-1');
+
+      expect(entitlements).toEqual(expect.objectContaining({
+        plan: { codigo: 'gratuito', nombre: 'Gratuito' },
+        comisionPorcentaje: null,
+        impulsoBusqueda: 0,
+        analyticsAvanzados: false
+      }));
+      expect(mockPrisma.suscripciones_profesionales.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+        where: { profesional_id: 'prof-1', estado: { in: ['activa', 'en_gracia'] } }
+      }));
+    });
+
+    test('una suscripción en gracia conserva los beneficios del plan', () => {
+      const graceEnd = new Date('2025-02-17T00:00:00Z');
+      const entitlements = subscriptionService.buildEntitlements({ ...activeSubscription, estado: 'en_gracia', gracia_hasta: graceEnd });
+
+      expect(entitlements).toEqual(expect.objectContaining({
+        plan: { codigo: 'pro', nombre: 'Pro' },
+        comisionPorcentaje: 7,
+        impulsoBusqueda: 0.25,
+        maxCotizacionesActivas: 25,
+        analyticsAvanzados: true,
+        vigenteHasta: graceEnd
+      }));
+      expect(subscriptionService.buildEntitlements({ ...activeSubscription, estado: 'vencida' }).analyticsAvanzados).toBe(false);
+    });
+  });
+
+  describe('subscribe', () => {
+    test('debe crear la suscripción pendiente con su primer cobro y link de pago', async () => {
+      mockPrisma.planes_suscripcion.findFirst.mockResolvedValue(proPlan);
+      mockPrisma.suscripciones_profesionales.findFirst.mockResolvedValue(null);
+      mockPrisma.suscripciones_profesionales.create.mockResolvedValue({ id: 'sub-1', estado: 'pendiente' });
+      mockPrisma.cobros_suscripcion.create.mockImplementation(({ data }) => Promise.resolve({ id: 'cobro-1', ...data }));
+
+      const result = await subscriptionService.subscribe('prof-1', 'pro', 'anual');
+
+      const chargeData = mockPrisma.cobros_suscripcion.create.mock.calls[0][0].data;
+      expect(chargeData.monto).toBe(99990);
+      expect(chargeData.periodo_fin.getFullYear() - chargeData.periodo_inicio.getFullYear()).toBe(1);
+      expect(createSubscriptionPreference).toHaveBeenCalledWith(expect.objectContaining({
+        chargeId: 'cobro-1',
+        reference: 'suscripcion:cobro-1',
+        amount: 99990
+      }));
+      expect(result.pago.init_point).toBe('https://mp/pref-1');
+    });
+
+    test('debe rechazar clientes y profesionales con una suscripción vigente', async () => {
+      mockPrisma.planes_suscripcion.findFirst.mockResolvedValue(proPlan);
+      mockPrisma.usuarios.findUnique.mockResolvedValueOnce({ id: 'cli-1', rol: 'cliente' });
+
+      await expect(subscriptionService.subscribe('cli-1', 'pro')).rejects.toThrow('Solo los profesionales');
+
+      mockPrisma.suscripciones_profesionales.findFirst.mockResolvedValue(activeSubscription);
+
+      await expect(subscriptionService.subscribe('prof-1', 'premium')).rejects.toThrow('Ya existe una suscripción vigente');
+      expect(mockPrisma.suscripciones_profesionales.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processChargeWebhook', () => {
+    const pendingCharge = {
+      id: 'cobro-2',
+      suscripcion_id: 'sub-1',
+      plan_id: premiumPlan.id,
+      plan: premiumPlan,
+      monto: 19999,
+      estado: 'pendiente',
+      periodo_inicio: new Date(Date.now() + 24 * 60 * 60 * 1000),
+      periodo_fin: new Date(Date.now() + 32 * 24 * 60 * 60 * 1000),
+      suscripcion: { ...activeSubscription, plan_siguiente_id: premiumPlan.id }
+    };
+
+    test('un cobro aprobado activa el período y aplica el plan cobrado', async () => {
+      mockPrisma.cobros_suscripcion.findUnique.mockResolvedValue(pendingCharge);
+
+      await subscriptionService.processChargeWebhook('cobro-2', { mercadoPagoId: 'mp-1', status: 'approved' });
+
+      expect(mockPrisma.suscripciones_profesionales.update).toHaveBeenCalledWith({
+        where: { id: 'sub-1' },
+        data: expect.objectContaining({
+          estado: 'activa',
+          plan_id: premiumPlan.id,
+          plan_siguiente_id: null,
+          periodo_fin: pendingCharge.periodo_fin,
+          gracia_hasta: null
+        })
+      });
+      expect(recordJournalEntry).toHaveBeenCalledWith(expect.objectContaining({
+        tipo: 'cobro_suscripcion',
+        lineas: [
+          { cuenta: 'caja_mercadopago', debe: 19999 },
+          { cuenta: 'ingresos_suscripciones', haber: 19999, usuarioId: 'prof-1' }
+        ]
+      }));
+    });
+
+    test('no debe reprocesar un cobro ya aprobado', async () => {
+      mockPrisma.cobros_suscripcion.findUnique.mockResolvedValue({ ...pendingCharge, estado: 'aprobado' });
+
+      const result = await subscriptionService.processChargeWebhook('cobro-2', { mercadoPagoId: 'mp-1', status: 'approved' });
+
+      expect(result.duplicate).toBe(true);
+      expect(mockPrisma.suscripciones_profesionales.update).not.toHaveBeenCalled();
+      expect(recordJournalEntry).not.toHaveBeenCalled();
+    });
+
+    test('un cobro rechazado suma un intento y avisa al profesional', async () => {
+      mockPrisma.cobros_suscripcion.findUnique.mockResolvedValue(pendingCharge);
+
+      await subscriptionService.processChargeWebhook('cobro-2', { mercadoPagoId: 'mp-2', status: 'rejected', statusDetail: 'cc_rejected_insufficient_amount' });
+
+      expect(mockPrisma.cobros_suscripcion.update).toHaveBeenCalledWith({
+        where: { id: 'cobro-2' },
+        data: expect.objectContaining({ estado: 'rechazado', intentos: { increment: 1 } })
+      });
+      expect(mockPrisma.suscripciones_profesionales.update).not.toHaveBeenCalled();
+      expect(createNotification).toHaveBeenCalledWith('prof-1', 'suscripcion_pago_fallido', expect.any(String), expect.any(Object));
+    });
+  });
+
+  describe('processSubscriptionRenewals', () => {
+    const now = new Date('2025-02-08T00:00:00Z');
+
+    test('debe generar el cobro de renovación con el plan programado', async () => {
+      mockPrisma.suscripciones_profesionales.findMany
+        .mockResolvedValueOnce([{ ...activeSubscription, plan_siguiente: premiumPlan }])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([]);
+      mockPrisma.cobros_suscripcion.findFirst.mockResolvedValue(null);
+      mockPrisma.cobros_suscripcion.create.mockImplementation(({ data }) => Promise.resolve({ id: 'cobro-3', ...data }));
+
+      const summary = await subscriptionService.processSubscriptionRenewals(now);
+
+      expect(summary.renovacionesGeneradas).toBe(1);
+      expect(mockPrisma.cobros_suscripcion.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          plan_id: premiumPlan.id,
+          monto: 19999,
+          periodo_inicio: periodEnd
+        })
+      });
+    });
+
+    test('debe pasar a gracia, cancelar y vencer según corresponda', async () => {
+      const graceEnded = { ...activeSubscription, id: 'sub-3', estado: 'en_gracia', gracia_hasta: new Date('2025-02-07T00:00:00Z') };
+      mockPrisma.suscripciones_profesionales.findMany
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([
+          { ...activeSubscription, periodo_fin: new Date('2025-02-01T00:00:00Z') },
+          { ...activeSubscription, id: 'sub-2', cancelar_al_final: true }
+        ])
+        .mockResolvedValueOnce([graceEnded]);
+
+      const summary = await subscriptionService.processSubscriptionRenewals(now);
+
+      expect(summary).toEqual({ renovacionesGeneradas: 0, enGracia: 1, canceladas: 1, vencidas: 1 });
+      expect(mockPrisma.suscripciones_profesionales.update).toHaveBeenCalledWith({
+        where: { id: 'sub-1' },
+        data: {
+          estado: 'en_gracia',
+          gracia_hasta: new Date(new Date('2025-02-01T00:00:00Z').getTime() + subscriptionService.GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000)
+        }
+      });
+      expect(mockPrisma.suscripciones_profesionales.update).toHaveBeenCalledWith({
+        where: { id: 'sub-2' },
+        data: { estado: 'cancelada', cancelada_en: now }
+      });
+      expect(mockPrisma.suscripciones_profesionales.update).toHaveBeenCalledWith({
+        where: { id: 'sub-3' },
+        data: { estado: 'vencida' }
+      });
+    });
+  });
+});
@@ -0,0 +1,265 @@
+/**
+ * Unit tests for tipService.js
+ * Covers: validaciones de la propina, moneda del profesional, preferencia de Mercado Pago y webhook
+ * (aprobado con payout, rechazado y notificación duplicada)
+ */
+
+const mockPrisma = {
+  servicios: {
+    findUnique: jest.fn()
+  },
+  propinas: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn()
+  },
+  payouts: {
+    findUnique: jest.fn()
+  },
+  transactions_log: {
+    create: jest.fn()
+  }
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+jest.mock('../../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../src/services/ledgerService', () => ({
+  recordJournalEntry: jest.fn(),
+  LEDGER_ACCOUNTS: {
+    CAJA: { codigo: 'caja_mercadopago' },
+    CUSTODIA: { codigo: 'custodia_clientes' }
+  }
+}));
+jest.mock('../../src/services/commissionService', () => ({
+  calculateTipCommission: jest.fn()
+}));
+jest.mock('../../src/services/currencyService', () => ({
+  ...jest.requireActual('../../src/services/currencyService'),
+  getRateSnapshot: jest.fn()
+}));
+jest.mock('../../src/services/mercadoPagoService', () => ({
+  createTipPreference: jest.fn()
+}));
+jest.mock('../../src/services/payoutService', () => ({
+  createPayout: jest.fn()
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  createNotification: jest.fn()
+}));
+
+const tipService = require('../../src/services/tipService');
+const { recordJournalEntry } = require('../../src/services/ledgerService');
+const { calculateTipCommission } = require('../../src/services/commissionService');
+const { getRateSnapshot } = require('../../src/services/currencyService');
+const { createTipPreference } = require('../../src/services/mercadoPagoService');
+const { createPayout } = require('../../src/services/payoutService');
+const { createNotification } = require('../../src/services/notificationService');
+
+describe('Tip Service - Unit Tests', () => {
+  const completedService = {
+    id: 'serv-1',
+    cliente_id: 'client-1',
+    profesional_id: 'prof-1',
+    estado: 'COMPLETADO',
+    creado_en: new Date(),
+    completado_en: new Date(),
+    cliente: { id: 'client-1', nombre: 'Ana', email: 'ana@test.com' },
+    profesional: { id: 'prof-1', nombre: 'Juan', email: 'juan@test.com', perfil_profesional: { moneda: 'ARS' } },
+    propina: null
+  };
+
+  const pendingTip = {
+    id: 'tip-1',
+    servicio_id: 'serv-1',
+    cliente_id: 'client-1',
+    profesional_id: 'prof-1',
+    monto: 2000,
+    porcentaje_comision: 5,
+    comision: 100,
+    monto_profesional: 1900,
+    mensaje: 'Gracias!',
+    moneda: 'ARS',
+    estado: 'pendiente'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    calculateTipCommission.mockImplementation(amount => ({
+      porcentaje: 5,
+      commissionAmount: Math.round(amount * 0.05),
+      professionalAmount: amount - Math.round(amount * 0.05)
+    }));
+    getRateSnapshot.mockImplementation((moneda = 'ARS') => Promise.resolve({
+      moneda,
+      tipo_cambio: moneda === 'UYU' ? 25 : 1,
+      tipo_cambio_fecha: new Date('2025-03-01T00:00:00Z')
+    }));
+    createTipPreference.mockResolvedValue({ id: 'pref-1', init_point: 'https://mp/pref-1', simulated: false });
+    mockPrisma.propinas.create.mockImplementation(({ data }) => Promise.resolve({ id: 'tip-1', ...data }));
+    mockPrisma.propinas.update.mockImplementation(({ where, data }) => Promise.resolve({ ...pendingTip, id: where.id, ...data }));
+    createPayout.mockResolvedValue({ id: 'payout-1' });
+  });
+
+  describe('createTip', () => {
+    test('debe crear la propina con la comisión de propinas y generar la preferencia de pago', async () => {
+      mockPrisma.servicios.findUnique.mockResolvedValue(completedService);
+
+      const result = await tipService.createTip('client-1', 'serv-1', 2000, 'Gracias!');
+
+      expect(calculateTipCommission).toHaveBeenCalledWith(2000);
+      expect(mockPrisma.propinas.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          servicio_id: 'serv-1',
+          profesional_id: 'prof-1',
+          monto: 2000,
+          comision: 100,
+          monto_profesional: 1900,
+          estado: 'pendiente'
+        })
+      });
+      expect(createTipPreference).toHaveBeenCalledWith(expect.objectContaining({
+        tipId: 'tip-1',
+        reference: 'propina:tip-1',
+        amount: 2000,
+        currency: 'ARS'
+      }));
+      expect(result.propina.mercado_pago_preference_id).toBe('pref-1');
+      expect(result.pago.init_point).toBe('https://mp/pref-1');
+    });
+
+    test('debe cobrar la propina en la moneda del profesional con los límites convertidos', async () => {
+      mockPrisma.servicios.findUnique.mockResolvedValue({
+        ...completedService,
+        profesional: { ...completedService.profesional, perfil_profesional: { moneda: 'UYU' } }
+      });
+
+      await tipService.createTip('client-1', 'serv-1', 80);
+
+      expect(getRateSnapshot).toHaveBeenCalledWith('UYU');
+      expect(mockPrisma.propinas.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ monto: 80, moneda: 'UYU', tipo_cambio: 25 })
+      });
+      expect(createTipPreference).toHaveBeenCalledWith(expect.objectContaining({ amount: 80, currency: 'UYU' }));
+
+      await expect(tipService.createTip('client-1', 'serv-1', tipService.TIP_MAX_AMOUNT))
+        .rejects.toThrow(`La propina debe estar entre ${tipService.TIP_MIN_AMOUNT / 25} y ${tipService.TIP_MAX_AMOUNT / 25} UYU`);
+    });
+
+    test('debe rechazar servicios que no están completados', async () => {
+      mockPrisma.servicios.findUnique.mockResolvedValue({ ...completedService, estado: 'EN_PROCESO' });
+
+      await expect(tipService.createTip('client-1', 'serv-1', 2000))
+        .rejects.toThrow('Solo se puede dejar propina en servicios completados');
+      expect(createTipPreference).not.toHaveBeenCalled();
+    });
+
+    test('debe rechazar propinas de otro usuario, fuera de plazo o de monto inválido', async () => {
+      mockPrisma.servicios.findUnique.mockResolvedValue(completedService);
+      await expect(tipService.createTip('otro-cliente', 'serv-1', 2000))
+        .rejects.toThrow('Solo el cliente del servicio puede dejar una propina');
+
+      const oldDate = new Date(Date.now() - (tipService.TIP_WINDOW_DAYS + 1) * 24 * 60 * 60 * 1000);
+      mockPrisma.servicios.findUnique.mockResolvedValue({ ...completedService, completado_en: oldDate });
+      await expect(tipService.createTip('client-1', 'serv-1', 2000))
+        .rejects.toThrow('está vencido');
+
+      // El monto se valida en la moneda del profesional, una vez cargado el servicio
+      mockPrisma.servicios.findUnique.mockResolvedValue(completedService);
+      await expect(tipService.createTip('client-1', 'serv-1', tipService.TIP_MIN_AMOUNT - 1))
+        .rejects.toThrow('La propina debe estar entre');
+      await expect(tipService.createTip('client-1', 'serv-1', 'abc'))
+        .rejects.toThrow('El monto de la propina es inválido');
+    });
+
+    test('debe impedir una segunda propina pagada y reutilizar una rechazada', async () => {
+      mockPrisma.servicios.findUnique.mockResolvedValueOnce({ ...completedService, propina: { ...pendingTip, estado: 'aprobado' } });
+      await expect(tipService.createTip('client-1', 'serv-1', 1000))
+        .rejects.toThrow('Ya existe una propina pagada');
+
+      mockPrisma.servicios.findUnique.mockResolvedValueOnce({ ...completedService, propina: { ...pendingTip, estado: 'rechazado' } });
+      await tipService.createTip('client-1', 'serv-1', 1000);
+
+      expect(mockPrisma.propinas.create).not.toHaveBeenCalled();
+      expect(mockPrisma.propinas.update).toHaveBeenCalledWith({
+        where: { id: 'tip-1' },
+        data: expect.objectContaining({ monto: 1000, estado: 'pendiente', comision: 50, monto_profesional: 950 })
+      });
+    });
+  });
+
+  describe('processTipWebhook', () => {
+    test('debe aprobar la propina, registrar el cobro y pagarla con un payout', async () => {
+      mockPrisma.propinas.findUnique.mockResolvedValue(pendingTip);
+      mockPrisma.payouts.findUnique.mockResolvedValue(null);
+
+      const result = await tipService.processTipWebhook('tip-1', { mercadoPagoId: 'mp-1', status: 'approved' });
+
+      expect(mockPrisma.propinas.update).toHaveBeenCalledWith({
+        where: { id: 'tip-1' },
+        data: expect.objectContaining({ estado: 'aprobado', mercado_pago_id: 'mp-1' })
+      });
+      expect(recordJournalEntry).toHaveBeenCalledWith(expect.objectContaining({
+        tipo: 'cobro_propina',
+        moneda: 'ARS',
+        lineas: [
+          { cuenta: 'caja_mercadopago', debe: 2000 },
+          { cuenta: 'custodia_clientes', haber: 2000, usuarioId: 'client-1' }
+        ]
+      }));
+      expect(createPayout).toHaveBeenCalledWith('prof-1', 'serv-1', 2000, 100, 1900, 'bank_transfer', true, { tipId: 'tip-1', currency: 'ARS' });
+      expect(createNotification).toHaveBeenCalledWith('prof-1', 'propina_recibida', expect.any(String), expect.objectContaining({ payout_id: 'payout-1' }));
+      expect(result).toEqual({ success: true, status: 'approved', tipId: 'tip-1', payoutId: 'payout-1' });
+    });
+
+    test('no debe duplicar el cobro ni el payout ante notificaciones repetidas', async () => {
+      mockPrisma.propinas.findUnique.mockResolvedValue({ ...pendingTip, estado: 'aprobado' });
+      mockPrisma.payouts.findUnique.mockResolvedValue({ id: 'payout-1' });
+
+      const result = await tipService.processTipWebhook('tip-1', { mercadoPagoId: 'mp-1', status: 'approved' });
+
+      expect(result.duplicate).toBe(true);
+      expect(recordJournalEntry).not.toHaveBeenCalled();
+      expect(createPayout).not.toHaveBeenCalled();
+    });
+
+    test('debe marcar la propina rechazada y avisar al cliente', async () => {
+      mockPrisma.propinas.findUnique.mockResolvedValue(pendingTip);
+
+      await tipService.processTipWebhook('tip-1', { mercadoPagoId: 'mp-2', status: 'rejected', statusDetail: 'cc_rejected_other_reason' });
+
+      expect(mockPrisma.propinas.update).toHaveBeenCalledWith({
+        where: { id: 'tip-1' },
+        data: { estado: 'rechazado', mercado_pago_id: 'mp-2' }
+      });
+      expect(createPayout).not.toHaveBeenCalled();
+      expect(createNotification).toHaveBeenCalledWith('client-1', 'propina_rechazada', expect.any(String), expect.any(Object));
+    });
+  });
+
+  describe('getProfessionalTips', () => {
+    test('debe totalizar las propinas aprobadas del período', async () => {
+      mockPrisma.propinas.findMany.mockResolvedValue([
+        pendingTip,
+        { ...pendingTip, id: 'tip-2', monto: 1000, comision: 50, monto_profesional: 950 }
+      ]);
+
+      const result = await tipService.getProfessionalTips('prof-1', { desde: '2025-01-01' });
+
+      expect(mockPrisma.propinas.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: {
+          profesional_id: 'prof-1',
+          estado: 'aprobado',
+          pagado_en: { gte: new Date('2025-01-01') }
+        }
+      }));
+      expect(result.resumen).toEqual({ cantidad: 2, total: 3000, comision: 150, neto: 2850 });
+    });
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Unit tests for walletService.js
+ * Covers: crédito otorgado por administradores, cálculo y débito del crédito aplicado a un pago,
+ * devolución del crédito de pagos rechazados y reembolsos a la billetera
+ */
+
+const mockPrisma = {
+  billeteras: {
+    findUnique: jest.fn(),
+    upsert: jest.fn(),
+    updateMany: jest.fn()
+  },
+  movimientos_billetera: {
+    findMany: jest.fn(),
+    count: jest.fn(),
+    create: jest.fn()
+  },
+  usuarios: {
+    findUnique: jest.fn()
+  },
+  transactions_log: {
+    create: jest.fn()
+  },
+  $transaction: jest.fn((callback) => callback(mockPrisma))
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+jest.mock('../../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  createNotification: jest.fn().mockResolvedValue({})
+}));
+jest.mock('../../src/services/ledgerService', () => ({
+  recordJournalEntry: jest.fn(),
+  LEDGER_ACCOUNTS: {
+    BONIFICACIONES: { codigo: 'bonificaciones_clientes' },
+    CREDITOS_CLIENTES: { codigo: 'creditos_clientes' }
+  }
+}));
+
+const walletService = require('../../src/services/walletService');
+const { recordJournalEntry } = require('../../src/services/ledgerService');
+const { createNotification } = require('../../src/services/notificationService');
+
+describe('Wallet Service - Unit Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.billeteras.upsert.mockImplementation(({ create }) => Promise.resolve({ id: 'billetera-1', saldo: create.saldo }));
+    mockPrisma.movimientos_billetera.create.mockImplementation(({ data }) => Promise.resolve({ id: 'movimiento-1', ...data }));
+  });
+
+  describe('grantCredit', () => {
+    beforeEach(() => {
+      mockPrisma.usuarios.findUnique.mockResolvedValue({ id: 'cliente-1', rol: 'cliente' });
+    });
+
+    test('debe acreditar el monto, registrar el motivo en transactions_log y en el libro mayor', async () => {
+      const movement = await walletService.grantCredit('cliente-1', {
+        monto: '1500',
+        tipo: 'compensacion',
+        motivo: 'Demora del profesional en el servicio'
+      }, 'admin-1');
+
+      expect(mockPrisma.billeteras.upsert).toHaveBeenCalledWith({
+        where: { usuario_id: 'cliente-1' },
+        create: { usuario_id: 'cliente-1', saldo: 1500 },
+        update: { saldo: { increment: 1500 } }
+      });
+      expect(movement).toMatchObject({
+        billetera_id: 'billetera-1',
+        tipo: 'compensacion',
+        monto: 1500,
+        saldo_resultante: 1500,
+        creado_por: 'admin-1'
+      });
+      expect(mockPrisma.transactions_log.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          tipo_transaccion: 'wallet_credit_granted',
+          entidad_tipo: 'movimientos_billetera',
+          usuario_id: 'admin-1',
+          monto: 1500,
+          detalles: expect.objectContaining({ clientId: 'cliente-1', motivo: 'Demora del profesional en el servicio' })
+        })
+      });
+      expect(recordJournalEntry).toHaveBeenCalledWith(expect.objectContaining({
+        tipo: 'credito_billetera',
+        lineas: [
+          { cuenta: 'bonificaciones_clientes', debe: 1500, usuarioId: 'cliente-1' },
+          { cuenta: 'creditos_clientes', haber: 1500, usuarioId: 'cliente-1' }
+        ]
+      }));
+      expect(createNotification).toHaveBeenCalledWith('cliente-1', 'credito_billetera', expect.any(String), expect.any(Object));
+    });
+
+    test('debe exigir monto, tipo y motivo válidos', async () => {
+      await expect(walletService.grantCredit('cliente-1', { monto: 0, motivo: 'Compensación' }, 'admin-1'))
+        .rejects.toThrow('Monto inválido');
+      await expect(walletService.grantCredit('cliente-1', { monto: 100, tipo: 'regalo', motivo: 'Compensación' }, 'admin-1'))
+        .rejects.toThrow('Tipo de crédito inválido');
+      await expect(walletService.grantCredit('cliente-1', { monto: 100, motivo: ' ' }, 'admin-1'))
+        .rejects.toThrow('El motivo del crédito es requerido');
+      expect(mockPrisma.billeteras.upsert).not.toHaveBeenCalled();
+    });
+
+    test('solo debe otorgar crédito a clientes', async () => {
+      mockPrisma.usuarios.findUnique.mockResolvedValue({ id: 'prof-1', rol: 'profesional' });
+
+      await expect(walletService.grantCredit('prof-1', { monto: 100, tipo: 'referido', motivo: 'Referido de Ana' }, 'admin-1'))
+        .rejects.toThrow('Solo se puede otorgar crédito a clientes');
+    });
+  });
+
+  describe('calculateWalletCredit', () => {
+    test('debe aplicar todo el saldo disponible sin superar el monto del pago', async () => {
+      mockPrisma.billeteras.findUnique.mockResolvedValue({ id: 'billetera-1', saldo: 3000 });
+
+      const result = await walletService.calculateWalletCredit('cliente-1', { amount: 10000 });
+
+      expect(result).toMatchObject({ creditAmount: 3000, creditBase: 3000, chargeAmount: 7000 });
+
+      const fullyCovered = await walletService.calculateWalletCredit('cliente-1', { amount: 2000 });
+
+      expect(fullyCovered).toMatchObject({ creditAmount: 2000, chargeAmount: 0 });
+    });
+
+    test('debe respetar el crédito pedido por el cliente', async () => {
+      mockPrisma.billeteras.findUnique.mockResolvedValue({ id: 'billetera-1', saldo: 3000 });
+
+      const result = await walletService.calculateWalletCredit('cliente-1', { amount: 10000, requestedAmount: 1000 });
+
+      expect(result).toMatchObject({ creditAmount: 1000, chargeAmount: 9000 });
+      await expect(walletService.calculateWalletCredit('cliente-1', { amount: 10000, requestedAmount: -5 }))
+        .rejects.toThrow('Monto de crédito inválido');
+    });
+
+    test('debe dejar al menos el mínimo cobrable por Mercado Pago', async () => {
+      mockPrisma.billeteras.findUnique.mockResolvedValue({ id: 'billetera-1', saldo: 2800 });
+
+      const result = await walletService.calculateWalletCredit('cliente-1', { amount: 3000 });
+
+      expect(result).toMatchObject({ creditAmount: 2500, chargeAmount: 500 });
+    });
+
+    test('debe convertir el saldo a la moneda del pago', async () => {
+      mockPrisma.billeteras.findUnique.mockResolvedValue({ id: 'billetera-1', saldo: 24200 });
+
+      const result = await walletService.calculateWalletCredit('cliente-1', { amount: 5000, currency: 'UYU', exchangeRate: 24.2 });
+
+      expect(result).toMatchObject({ creditAmount: 1000, creditBase: 24200, chargeAmount: 4000 });
+    });
+
+    test('sin billetera no aplica crédito', async () => {
+      mockPrisma.billeteras.findUnique.mockResolvedValue(null);
+
+      const result = await walletService.calculateWalletCredit('cliente-1', { amount: 5000 });
+
+      expect(result).toMatchObject({ creditAmount: 0, chargeAmount: 5000, balance: 0 });
+    });
+  });
+
+  describe('applyCredit', () => {
+    test('debe debitar el saldo validándolo en la misma actualización', async () => {
+      mockPrisma.billeteras.updateMany.mockResolvedValue({ count: 1 });
+      mockPrisma.billeteras.findUnique.mockResolvedValue({ id: 'billetera-1', saldo: 500 });
+
+      const movement = await walletService.applyCredit({ clientId: 'cliente-1', paymentId: 'pago-1', amount: 2500 });
+
+      expect(mockPrisma.billeteras.updateMany).toHaveBeenCalledWith({
+        where: { usuario_id: 'cliente-1', saldo: { gte: 2500 } },
+        data: { saldo: { decrement: 2500 } }
+      });
+      expect(movement).toMatchObject({ tipo: 'pago', monto: -2500, saldo_resultante: 500, pago_id: 'pago-1' });
+    });
+
+    test('debe fallar si el saldo ya no alcanza', async () => {
+      mockPrisma.billeteras.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(walletService.applyCredit({ clientId: 'cliente-1', paymentId: 'pago-1', amount: 2500 }))
+        .rejects.toThrow('Saldo insuficiente en la billetera');
+      expect(mockPrisma.movimientos_billetera.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('restorePaymentCredit', () => {
+    test('debe devolver el crédito de un pago rechazado una sola vez', async () => {
+      mockPrisma.movimientos_billetera.findMany.mockResolvedValueOnce([
+        { id: 'movimiento-1', tipo: 'pago', monto: -2500, billetera: { usuario_id: 'cliente-1' } }
+      ]);
+      mockPrisma.billeteras.upsert.mockResolvedValue({ id: 'billetera-1', saldo: 3000 });
+
+      const movement = await walletService.restorePaymentCredit('pago-1');
+
+      expect(mockPrisma.billeteras.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        update: { saldo: { increment: 2500 } }
+      }));
+      expect(movement).toMatchObject({ tipo: 'pago_anulado', monto: 2500, saldo_resultante: 3000, pago_id: 'pago-1' });
+
+      mockPrisma.movimientos_billetera.findMany.mockResolvedValueOnce([
+        { id: 'movimiento-1', tipo: 'pago', monto: -2500, billetera: { usuario_id: 'cliente-1' } },
+        { id: 'movimiento-2', tipo: 'pago_anulado', monto: 2500, billetera: { usuario_id: 'cliente-1' } }
+      ]);
+
+      expect(await walletService.restorePaymentCredit('pago-1')).toBeNull();
+      expect(mockPrisma.billeteras.upsert).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('refundCreditToWallet', () => {
+    test('debe acreditar el reembolso convertido a la moneda base', async () => {
+      mockPrisma.billeteras.upsert.mockResolvedValue({ id: 'billetera-1', saldo: 2420 });
+
+      const movement = await walletService.refundCreditToWallet({ clientId: 'cliente-1', paymentId: 'pago-1', amount: 100, exchangeRate: 24.2 });
+
+      expect(movement).toMatchObject({ tipo: 'reembolso', monto: 2420, pago_id: 'pago-1' });
+    });
+  });
+});
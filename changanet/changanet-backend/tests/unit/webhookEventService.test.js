@@ -0,0 +1,282 @@
+/**
+ * Unit tests for webhookEventService.js
+ * Covers: registro durable de notificaciones, deduplicación por ID de evento, procesamiento idempotente,
+ * firma inválida, reintentos automáticos y reintento/replay desde administración
+ */
+
+const mockPrisma = {
+  eventos_webhook: {
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    count: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn()
+  }
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+jest.mock('../../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../src/services/auditService', () => ({
+  logAuditEvent: jest.fn()
+}));
+jest.mock('../../src/services/mercadoPagoService', () => ({
+  validateWebhookSignature: jest.fn(),
+  applyPaymentNotification: jest.fn()
+}));
+
+const webhookEventService = require('../../src/services/webhookEventService');
+const mercadoPagoService = require('../../src/services/mercadoPagoService');
+const { logAuditEvent } = require('../../src/services/auditService');
+
+describe('Webhook Event Service - Unit Tests', () => {
+  const body = { id: 98765, type: 'payment', action: 'payment.updated', data: { id: 'mp-123' } };
+  const headers = {
+    'x-signature': 'ts=1700000000,v1=abc',
+    'x-request-id': 'req-1',
+    authorization: 'Bearer secreto',
+    'content-type': 'application/json'
+  };
+
+  let stored;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    stored = {
+      id: 'evt-1',
+      id_evento: '98765',
+      tipo: 'payment',
+      recurso_id: 'mp-123',
+      cuerpo: body,
+      firma_valida: true,
+      estado: 'recibido',
+      intentos: 0
+    };
+
+    mercadoPagoService.validateWebhookSignature.mockReturnValue(true);
+    mockPrisma.eventos_webhook.create.mockImplementation(({ data }) => Promise.resolve({ id: 'evt-1', estado: 'recibido', ...data }));
+    mockPrisma.eventos_webhook.findUnique.mockImplementation(() => Promise.resolve({ ...stored }));
+    mockPrisma.eventos_webhook.updateMany.mockResolvedValue({ count: 1 });
+    mockPrisma.eventos_webhook.update.mockImplementation(({ data }) => {
+      stored = { ...stored, ...data };
+      return Promise.resolve({ ...stored });
+    });
+  });
+
+  describe('getEventId', () => {
+    test('debe usar el ID de la notificación, luego el x-request-id y luego un hash del cuerpo', () => {
+      expect(webhookEventService.getEventId({}, { id: 1 })).toBe('1');
+      expect(webhookEventService.getEventId({ 'x-request-id': 'req-9' }, { type: 'payment' })).toBe('req:req-9');
+
+      const hash = webhookEventService.getEventId({}, { type: 'payment', data: { id: 'a' } });
+      expect(hash).toMatch(/^sha256:[0-9a-f]{64}$/);
+      expect(webhookEventService.getEventId({}, { type: 'payment', data: { id: 'a' } })).toBe(hash);
+    });
+  });
+
+  describe('recordWebhookEvent', () => {
+    test('debe guardar headers, cuerpo y resultado de la firma sin datos sensibles', async () => {
+      const { event, duplicate } = await webhookEventService.recordWebhookEvent({ headers, body, ip: '10.0.0.1' });
+
+      expect(duplicate).toBe(false);
+      expect(mercadoPagoService.validateWebhookSignature).toHaveBeenCalledWith('ts=1700000000,v1=abc', 'req-1', { id: 'mp-123' });
+      expect(mockPrisma.eventos_webhook.create).toHaveBeenCalledWith({
+        data: {
+          proveedor: 'mercadopago',
+          id_evento: '98765',
+          tipo: 'payment',
+          accion: 'payment.updated',
+          recurso_id: 'mp-123',
+          headers: {
+            'x-signature': 'ts=1700000000,v1=abc',
+            'x-request-id': 'req-1',
+            'content-type': 'application/json'
+          },
+          cuerpo: body,
+          firma_valida: true,
+          ip_address: '10.0.0.1'
+        }
+      });
+      expect(event.estado).toBe('recibido');
+    });
+
+    test('debe guardar también las notificaciones con firma inválida', async () => {
+      mercadoPagoService.validateWebhookSignature.mockReturnValue(false);
+
+      const { event } = await webhookEventService.recordWebhookEvent({ headers, body });
+
+      expect(event.firma_valida).toBe(false);
+    });
+
+    test('una notificación falsificada que llega primero no bloquea la real con el mismo ID', async () => {
+      mercadoPagoService.validateWebhookSignature.mockReturnValueOnce(false);
+
+      const forged = await webhookEventService.recordWebhookEvent({ headers: { 'x-request-id': 'req-falso' }, body });
+      const genuine = await webhookEventService.recordWebhookEvent({ headers, body });
+
+      expect(forged.event.id_evento).toMatch(/^firma_invalida:98765:[0-9a-f-]{36}$/);
+      expect(genuine.duplicate).toBe(false);
+      expect(genuine.event.id_evento).toBe('98765');
+      expect(genuine.event.firma_valida).toBe(true);
+      expect(mockPrisma.eventos_webhook.findUnique).not.toHaveBeenCalled();
+    });
+
+    test('debe devolver el evento existente si la notificación se repite', async () => {
+      mockPrisma.eventos_webhook.create.mockRejectedValue(Object.assign(new Error('Unique constraint'), { code: 'P2002' }));
+      stored.estado = 'procesado';
+
+      const { event, duplicate } = await webhookEventService.recordWebhookEvent({ headers, body });
+
+      expect(duplicate).toBe(true);
+      expect(event.estado).toBe('procesado');
+      expect(mockPrisma.eventos_webhook.findUnique).toHaveBeenCalledWith({
+        where: { proveedor_id_evento: { proveedor: 'mercadopago', id_evento: '98765' } }
+      });
+    });
+  });
+
+  describe('processWebhookEvent', () => {
+    test('debe aplicar la notificación y marcar el evento como procesado', async () => {
+      mercadoPagoService.applyPaymentNotification.mockResolvedValue({ status: 'approved', paymentId: 'mp-123' });
+
+      const { event, processed } = await webhookEventService.processWebhookEvent('evt-1');
+
+      expect(processed).toBe(true);
+      expect(mockPrisma.eventos_webhook.updateMany).toHaveBeenCalledWith({
+        where: {
+          id: 'evt-1',
+          OR: [
+            { estado: { in: ['recibido', 'fallido'] } },
+            { estado: 'procesando', ultimo_intento_en: { lt: expect.any(Date) } }
+          ]
+        },
+        data: { estado: 'procesando', intentos: { increment: 1 }, ultimo_intento_en: expect.any(Date) }
+      });
+      expect(mercadoPagoService.applyPaymentNotification).toHaveBeenCalledWith({ id: 'mp-123' });
+      expect(event).toMatchObject({ estado: 'procesado', resultado: { status: 'approved', paymentId: 'mp-123' }, ultimo_error: null });
+    });
+
+    test('no debe volver a aplicar un evento que otro proceso ya tomó o procesó', async () => {
+      mockPrisma.eventos_webhook.updateMany.mockResolvedValue({ count: 0 });
+      stored.estado = 'procesado';
+
+      const { event, processed } = await webhookEventService.processWebhookEvent('evt-1');
+
+      expect(processed).toBe(false);
+      expect(event.estado).toBe('procesado');
+      expect(mercadoPagoService.applyPaymentNotification).not.toHaveBeenCalled();
+    });
+
+    test('debe guardar el error si la aplicación falla a mitad de camino', async () => {
+      mercadoPagoService.applyPaymentNotification.mockRejectedValue(new Error('Timeout consultando el pago'));
+
+      const { event } = await webhookEventService.processWebhookEvent('evt-1');
+
+      expect(event).toMatchObject({ estado: 'fallido', ultimo_error: 'Timeout consultando el pago' });
+    });
+
+    test('debe rechazar sin aplicar un evento con firma inválida', async () => {
+      stored.firma_valida = false;
+
+      const { event } = await webhookEventService.processWebhookEvent('evt-1');
+
+      expect(event).toMatchObject({ estado: 'rechazado', ultimo_error: 'Firma del webhook inválida' });
+      expect(mercadoPagoService.applyPaymentNotification).not.toHaveBeenCalled();
+    });
+
+    test('debe ignorar notificaciones que no son de pago', async () => {
+      stored.tipo = 'merchant_order';
+
+      const { event } = await webhookEventService.processWebhookEvent('evt-1');
+
+      expect(event.estado).toBe('ignorado');
+      expect(mercadoPagoService.applyPaymentNotification).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('retryPendingWebhookEvents', () => {
+    test('debe reintentar eventos sin procesar y fallidos por debajo del máximo de reintentos', async () => {
+      mockPrisma.eventos_webhook.findMany.mockResolvedValue([{ id: 'evt-1' }]);
+      mercadoPagoService.applyPaymentNotification.mockResolvedValue({ status: 'approved' });
+
+      const summary = await webhookEventService.retryPendingWebhookEvents();
+
+      expect(summary).toEqual({ retried: 1, processed: 1, failed: 0 });
+      expect(mockPrisma.eventos_webhook.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: {
+          OR: [
+            { estado: 'recibido', recibido_en: { lt: expect.any(Date) } },
+            { estado: 'fallido', intentos: { lt: 5 } }
+          ]
+        }
+      }));
+    });
+  });
+
+  describe('retryWebhookEvent', () => {
+    test('debe reintentar un evento fallido y auditar la acción', async () => {
+      stored.estado = 'fallido';
+      mercadoPagoService.applyPaymentNotification.mockResolvedValue({ status: 'approved' });
+
+      const event = await webhookEventService.retryWebhookEvent('evt-1', 'admin-1');
+
+      expect(event).toMatchObject({ estado: 'procesado', reprocesado_por: 'admin-1' });
+      expect(logAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+        usuario_id: 'admin-1',
+        accion: 'retry_webhook_event',
+        entidad_tipo: 'eventos_webhook',
+        entidad_id: 'evt-1',
+        exito: true
+      }));
+    });
+
+    test('no debe reintentar un evento ya procesado', async () => {
+      stored.estado = 'procesado';
+
+      await expect(webhookEventService.retryWebhookEvent('evt-1', 'admin-1'))
+        .rejects.toThrow('Solo se pueden reintentar eventos recibidos o fallidos');
+      expect(mockPrisma.eventos_webhook.updateMany).not.toHaveBeenCalled();
+    });
+
+    test('debe fallar si el evento no existe', async () => {
+      mockPrisma.eventos_webhook.findUnique.mockResolvedValue(null);
+
+      await expect(webhookEventService.retryWebhookEvent('evt-x', 'admin-1'))
+        .rejects.toThrow('Evento de webhook no encontrado');
+    });
+  });
+
+  describe('replayWebhookEvent', () => {
+    test('debe volver a aplicar un evento ya procesado con el código actual', async () => {
+      stored.estado = 'procesado';
+      mercadoPagoService.applyPaymentNotification.mockResolvedValue({ status: 'refunded' });
+
+      const event = await webhookEventService.replayWebhookEvent('evt-1', 'admin-1');
+
+      expect(mockPrisma.eventos_webhook.updateMany.mock.calls[0][0].where.OR[0].estado.in)
+        .toEqual(['recibido', 'fallido', 'procesado', 'rechazado', 'ignorado']);
+      expect(event).toMatchObject({ estado: 'procesado', resultado: { status: 'refunded' } });
+      expect(logAuditEvent).toHaveBeenCalledWith(expect.objectContaining({ accion: 'replay_webhook_event', entidad_id: 'evt-1' }));
+    });
+
+    test('debe permitir aplicar un evento con firma inválida solo si se pide explícitamente', async () => {
+      stored.estado = 'rechazado';
+      stored.firma_valida = false;
+      mercadoPagoService.applyPaymentNotification.mockResolvedValue({ status: 'approved' });
+
+      const event = await webhookEventService.replayWebhookEvent('evt-1', 'admin-1', { ignoreSignature: true });
+
+      expect(event.estado).toBe('procesado');
+      expect(logAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+        detalles: expect.objectContaining({ ignoreSignature: true })
+      }));
+    });
+  });
+});
@@ -0,0 +1,315 @@
+/**
+ * Unit tests for withholdingService.js
+ * Covers: validación de reglas de retención, cálculo por categoría fiscal y mínimo no imponible,
+ * aplicación en payoutService (payouts y ajustes por reembolso) y resumen anual de ingresos
+ */
+
+const mockPrisma = {
+  reglas_retencion: {
+    findMany: jest.fn(),
+    upsert: jest.fn()
+  },
+  datos_fiscales: {
+    findUnique: jest.fn()
+  },
+  usuarios: {
+    findUnique: jest.fn()
+  },
+  payouts: {
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn()
+  },
+  pagos: {
+    findUnique: jest.fn()
+  },
+  transactions_log: {
+    create: jest.fn()
+  },
+  deudas_comision: {
+    findMany: jest.fn().mockResolvedValue([])
+  },
+  $transaction: jest.fn((callback) => callback(mockPrisma))
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+jest.mock('../../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../src/services/auditService', () => ({
+  logAuditEvent: jest.fn()
+}));
+jest.mock('../../src/services/commissionService', () => ({
+  recordCommissionEarned: jest.fn(),
+  recordDiscountSubsidy: jest.fn(),
+  recordCommissionReversal: jest.fn(),
+  recordDiscountSubsidyReversal: jest.fn()
+}));
+jest.mock('../../src/services/ledgerService', () => ({
+  recordJournalEntry: jest.fn(),
+  LEDGER_ACCOUNTS: {
+    CUSTODIA: { codigo: 'custodia_clientes' },
+    SALDO_PROFESIONALES: { codigo: 'saldo_profesionales' },
+    RETENCIONES: { codigo: 'retenciones_a_depositar' }
+  }
+}));
+
+const withholdingService = require('../../src/services/withholdingService');
+const { createPayout, adjustPayoutForRefund } = require('../../src/services/payoutService');
+const { logAuditEvent } = require('../../src/services/auditService');
+const { recordJournalEntry } = require('../../src/services/ledgerService');
+
+describe('Withholding Service - Unit Tests', () => {
+  const monotributoRules = [
+    { impuesto: 'ganancias', categoria_fiscal: 'monotributista', porcentaje: 2, minimo_no_imponible: 0, activa: true },
+    { impuesto: 'iibb', categoria_fiscal: 'monotributista', porcentaje: 3, minimo_no_imponible: 5000, activa: true }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.datos_fiscales.findUnique.mockResolvedValue({ condicion_iva: 'monotributista' });
+    mockPrisma.reglas_retencion.findMany.mockResolvedValue(monotributoRules);
+    mockPrisma.payouts.create.mockImplementation(({ data }) => Promise.resolve({ id: 'payout-1', ...data }));
+    mockPrisma.payouts.update.mockImplementation(({ data }) => Promise.resolve({ id: 'payout-1', ...data }));
+  });
+
+  describe('upsertRule', () => {
+    test('debe rechazar impuestos, categorías y porcentajes inválidos', async () => {
+      await expect(withholdingService.upsertRule({ impuesto: 'iva', categoria_fiscal: 'exento', porcentaje: 1 }, 'admin-1'))
+        .rejects.toThrow('Impuesto inválido');
+      await expect(withholdingService.upsertRule({ impuesto: 'iibb', categoria_fiscal: 'otra', porcentaje: 1 }, 'admin-1'))
+        .rejects.toThrow('Categoría fiscal inválida');
+      await expect(withholdingService.upsertRule({ impuesto: 'iibb', categoria_fiscal: 'exento', porcentaje: 120 }, 'admin-1'))
+        .rejects.toThrow('porcentaje es inválido');
+
+      expect(mockPrisma.reglas_retencion.upsert).not.toHaveBeenCalled();
+    });
+
+    test('debe guardar la regla por impuesto y categoría y auditar el cambio', async () => {
+      mockPrisma.reglas_retencion.upsert.mockResolvedValue({ id: 'regla-1', activa: true });
+
+      await withholdingService.upsertRule(
+        { impuesto: 'ganancias', categoria_fiscal: 'sin_datos_fiscales', porcentaje: 28, minimo_no_imponible: 1000 },
+        'admin-1'
+      );
+
+      expect(mockPrisma.reglas_retencion.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { impuesto_categoria_fiscal: { impuesto: 'ganancias', categoria_fiscal: 'sin_datos_fiscales' } },
+        update: { porcentaje: 28, minimo_no_imponible: 1000, actualizado_por: 'admin-1' }
+      }));
+      expect(logAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+        usuario_id: 'admin-1',
+        accion: 'update_withholding_rule',
+        entidad_id: 'regla-1'
+      }));
+    });
+  });
+
+  describe('calculateWithholdings', () => {
+    test('debe aplicar las reglas activas de la categoría fiscal del profesional', async () => {
+      const result = await withholdingService.calculateWithholdings('prof-1', 9000);
+
+      expect(mockPrisma.reglas_retencion.findMany).toHaveBeenCalledWith({
+        where: { categoria_fiscal: 'monotributista', activa: true }
+      });
+      expect(result).toEqual({
+        categoria_fiscal: 'monotributista',
+        total: 450,
+        detalle: [
+          { impuesto: 'ganancias', porcentaje: 2, monto: 180 },
+          { impuesto: 'iibb', porcentaje: 3, monto: 270 }
+        ]
+      });
+    });
+
+    test('no debe retener los impuestos cuyo mínimo no imponible no se supera', async () => {
+      const result = await withholdingService.calculateWithholdings('prof-1', 4000);
+
+      expect(result.total).toBe(80);
+      expect(result.detalle).toEqual([{ impuesto: 'ganancias', porcentaje: 2, monto: 80 }]);
+    });
+
+    test('debe usar la categoría sin_datos_fiscales si el profesional no cargó sus datos', async () => {
+      mockPrisma.datos_fiscales.findUnique.mockResolvedValue(null);
+      mockPrisma.reglas_retencion.findMany.mockResolvedValue([]);
+
+      const result = await withholdingService.calculateWithholdings('prof-1', 9000);
+
+      expect(mockPrisma.reglas_retencion.findMany).toHaveBeenCalledWith({
+        where: { categoria_fiscal: 'sin_datos_fiscales', activa: true }
+      });
+      expect(result.total).toBe(0);
+    });
+  });
+
+  describe('payoutService', () => {
+    test('createPayout debe descontar las retenciones del neto y registrarlas en el libro mayor', async () => {
+      mockPrisma.usuarios.findUnique.mockResolvedValue({ rol: 'profesional', nombre: 'Ana', email: 'ana@example.com' });
+      mockPrisma.pagos.findUnique.mockResolvedValue({ id: 'pago-1', cliente_id: 'cliente-1', monto_total: 10000, monto_descuento: 0 });
+
+      const payout = await createPayout('prof-1', 'servicio-1', 10000, 1000, 9000, 'bank_transfer', false);
+
+      expect(mockPrisma.payouts.create).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({
+          monto_bruto: 10000,
+          comision_plataforma: 1000,
+          monto_neto: 8550,
+          retenciones: 450
+        })
+      }));
+      expect(payout.detalle_retenciones).toHaveLength(2);
+      expect(recordJournalEntry).toHaveBeenCalledWith(expect.objectContaining({
+        tipo: 'liberacion_fondos',
+        lineas: [
+          expect.objectContaining({ cuenta: 'custodia_clientes', debe: 9000 }),
+          expect.objectContaining({ cuenta: 'saldo_profesionales', haber: 8550 }),
+          expect.objectContaining({ cuenta: 'retenciones_a_depositar', haber: 450 })
+        ]
+      }));
+    });
+
+    test('adjustPayoutForRefund debe revertir las retenciones en proporción al reembolso', async () => {
+      mockPrisma.payouts.findFirst.mockResolvedValue({
+        id: 'payout-1',
+        estado: 'completado',
+        monto_bruto: 10000,
+        comision_plataforma: 1000,
+        monto_neto: 8550,
+        retenciones: 450,
+        detalle_retenciones: [
+          { impuesto: 'ganancias', porcentaje: 2, monto: 180 },
+          { impuesto: 'iibb', porcentaje: 3, monto: 270 }
+        ]
+      });
+
+      await adjustPayoutForRefund('prof-1', 'servicio-1', {
+        grossAmount: 5000,
+        commissionAmount: 500,
+        netAmount: 4500,
+        refundId: 'refund-1',
+        paymentId: 'pago-1',
+        clientId: 'cliente-1'
+      });
+
+      expect(mockPrisma.payouts.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          monto_neto: -4275,
+          retenciones: -225,
+          detalle_retenciones: [
+            { impuesto: 'ganancias', porcentaje: 2, monto: -90 },
+            { impuesto: 'iibb', porcentaje: 3, monto: -135 }
+          ]
+        })
+      });
+      expect(recordJournalEntry).toHaveBeenCalledWith(expect.objectContaining({
+        tipo: 'reversion_liberacion',
+        lineas: [
+          expect.objectContaining({ cuenta: 'saldo_profesionales', debe: 4275 }),
+          expect.objectContaining({ cuenta: 'retenciones_a_depositar', debe: 225 }),
+          expect.objectContaining({ cuenta: 'custodia_clientes', haber: 4500 })
+        ]
+      }));
+    });
+  });
+
+  describe('getAnnualStatement', () => {
+    beforeEach(() => {
+      mockPrisma.usuarios.findUnique.mockResolvedValue({ nombre: 'Ana', email: 'ana@example.com' });
+      mockPrisma.datos_fiscales.findUnique.mockResolvedValue({
+        cuit: '20123456786',
+        razon_social: 'Ana Gómez',
+        condicion_iva: 'monotributista'
+      });
+      mockPrisma.payouts.findMany.mockResolvedValue([
+        {
+          monto_bruto: 10000,
+          comision_plataforma: 1000,
+          retenciones: 450,
+          detalle_retenciones: [
+            { impuesto: 'ganancias', porcentaje: 2, monto: 180 },
+            { impuesto: 'iibb', porcentaje: 3, monto: 270 }
+          ],
+          monto_neto: 8550,
+          creado_en: new Date(2025, 2, 10)
+        },
+        {
+          monto_bruto: -5000,
+          comision_plataforma: -500,
+          retenciones: -225,
+          detalle_retenciones: [
+            { impuesto: 'ganancias', porcentaje: 2, monto: -90 },
+            { impuesto: 'iibb', porcentaje: 3, monto: -135 }
+          ],
+          monto_neto: -4275,
+          creado_en: new Date(2025, 3, 2)
+        },
+        {
+          monto_bruto: 2000,
+          comision_plataforma: 200,
+          retenciones: 0,
+          detalle_retenciones: null,
+          monto_neto: 1800,
+          creado_en: new Date(2025, 2, 20)
+        }
+      ]);
+    });
+
+    test('debe agrupar bruto, comisión, retenciones y neto por mes, incluidos los ajustes por reembolso', async () => {
+      const statement = await withholdingService.getAnnualStatement('prof-1', 2025);
+
+      expect(mockPrisma.payouts.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({
+          profesional_id: 'prof-1',
+          creado_en: { gte: new Date(2025, 0, 1), lt: new Date(2026, 0, 1) }
+        })
+      }));
+      expect(statement.meses).toHaveLength(12);
+      expect(statement.meses[2]).toEqual(expect.objectContaining({
+        periodo: '2025-03',
+        cantidad_payouts: 2,
+        monto_bruto: 12000,
+        comision: 1200,
+        retenciones: { ganancias: 180, iibb: 270 },
+        total_retenciones: 450,
+        monto_neto: 10350
+      }));
+      expect(statement.meses[3].monto_neto).toBe(-4275);
+      expect(statement.totales).toEqual(expect.objectContaining({
+        monto_bruto: 7000,
+        comision: 700,
+        retenciones: { ganancias: 90, iibb: 135 },
+        total_retenciones: 225,
+        monto_neto: 6075
+      }));
+      expect(statement.profesional).toEqual(expect.objectContaining({ nombre: 'Ana Gómez', cuit: '20123456786' }));
+    });
+
+    test('debe rechazar años inválidos', async () => {
+      await expect(withholdingService.getAnnualStatement('prof-1', 'abc')).rejects.toThrow('Año inválido');
+      await expect(withholdingService.getAnnualStatement('prof-1', new Date().getFullYear() + 1)).rejects.toThrow('Año inválido');
+    });
+
+    test('debe generar el CSV con una fila por mes y la fila de totales', async () => {
+      const statement = await withholdingService.getAnnualStatement('prof-1', 2025);
+      const lines = withholdingService.generateStatementCsv(statement).trim().split('\n');
+
+      expect(lines).toHaveLength(14);
+      expect(lines[0]).toBe('periodo,cantidad_payouts,monto_bruto,comision,retencion_ganancias,retencion_iibb,total_retenciones,monto_neto');
+      expect(lines[3]).toBe('2025-03,2,12000.00,1200.00,180.00,270.00,450.00,10350.00');
+      expect(lines[13]).toBe('total,3,7000.00,700.00,90.00,135.00,225.00,6075.00');
+    });
+
+    test('debe generar el PDF del resumen', async () => {
+      const { fileName, contentType, buffer } = await withholdingService.getStatementFile('prof-1', 2025, 'pdf');
+
+      expect(fileName).toBe('resumen_ingresos_2025.pdf');
+      expect(contentType).toBe('application/pdf');
+      expect(buffer.subarray(0, 4).toString()).toBe('%PDF');
+    });
+  });
+});
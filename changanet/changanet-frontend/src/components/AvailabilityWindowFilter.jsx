@@ -0,0 +1,169 @@
+import React, { useState, useEffect } from 'react';
+
+/**
+ * Arma una fecha local a partir de un día (desplazamiento desde hoy) y una hora
+ */
+const atLocalTime = (dayOffset, hours, minutes = 0) => {
+  const date = new Date();
+  date.setDate(date.getDate() + dayOffset);
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+};
+
+/**
+ * Fecha local en formato yyyy-MM-dd para inputs de tipo date
+ */
+const toDateInputValue = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+// Ventanas sugeridas; se calculan al elegirlas para que "hoy" y "mañana" sean relativos al momento
+const windowPresets = [
+  {
+    key: 'today',
+    label: 'Hoy',
+    getWindow: () => ({ from: new Date(), to: atLocalTime(1, 0) })
+  },
+  {
+    key: 'tomorrow_morning',
+    label: 'Mañana a la mañana',
+    getWindow: () => ({ from: atLocalTime(1, 8), to: atLocalTime(1, 12) })
+  },
+  {
+    key: 'tomorrow_afternoon',
+    label: 'Mañana a la tarde',
+    getWindow: () => ({ from: atLocalTime(1, 12), to: atLocalTime(1, 20) })
+  },
+  {
+    key: 'weekend',
+    label: 'Este fin de semana',
+    getWindow: () => {
+      const day = new Date().getDay();
+      // Sábado y domingo: desde ahora hasta el lunes
+      if (day === 6 || day === 0) {
+        return { from: new Date(), to: atLocalTime(day === 6 ? 2 : 1, 0) };
+      }
+      return { from: atLocalTime(6 - day, 0), to: atLocalTime(8 - day, 0) };
+    }
+  }
+];
+
+/**
+ * Componente AvailabilityWindowFilter - Filtro de profesionales con turno libre en una franja
+ * @param {String} from - Inicio de la franja (ISO 8601) o ''
+ * @param {String} to - Fin de la franja (ISO 8601) o ''
+ * @param {Function} onChange - Callback para cambios (from, to) en ISO 8601
+ */
+const AvailabilityWindowFilter = ({ from, to, onChange }) => {
+  const [activePreset, setActivePreset] = useState(null);
+  const [customDate, setCustomDate] = useState('');
+  const [customFrom, setCustomFrom] = useState('08:00');
+  const [customTo, setCustomTo] = useState('12:00');
+
+  // Al limpiar los filtros desde afuera se olvida la franja elegida
+  useEffect(() => {
+    if (!from && !to) {
+      setActivePreset(null);
+      setCustomDate('');
+    }
+  }, [from, to]);
+
+  const applyPreset = (preset) => {
+    if (activePreset === preset.key) {
+      clearWindow();
+      return;
+    }
+
+    const range = preset.getWindow();
+    setActivePreset(preset.key);
+    setCustomDate('');
+    onChange(range.from.toISOString(), range.to.toISOString());
+  };
+
+  const applyCustomWindow = (date, startTime, endTime) => {
+    if (!date || !startTime || !endTime || startTime >= endTime) {
+      return;
+    }
+
+    setActivePreset(null);
+    onChange(
+      new Date(`${date}T${startTime}`).toISOString(),
+      new Date(`${date}T${endTime}`).toISOString()
+    );
+  };
+
+  const clearWindow = () => {
+    setActivePreset(null);
+    setCustomDate('');
+    onChange('', '');
+  };
+
+  return (
+    <div className="availability-window-filter">
+      <div className="preset-buttons">
+        {windowPresets.map((preset) => (
+          <button
+            key={preset.key}
+            type="button"
+            onClick={() => applyPreset(preset)}
+            className={`preset-btn ${activePreset === preset.key ? 'active' : ''}`}
+            aria-pressed={activePreset === preset.key}
+          >
+            {preset.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Franja personalizada */}
+      <div className="availability-custom">
+        <label htmlFor="availability-date" className="filter-label">
+          Otro día
+        </label>
+        <input
+          id="availability-date"
+          type="date"
+          value={customDate}
+          min={toDateInputValue(new Date())}
+          onChange={(e) => {
+            setCustomDate(e.target.value);
+            applyCustomWindow(e.target.value, customFrom, customTo);
+          }}
+          className="filter-input"
+        />
+        <div className="availability-times">
+          <input
+            type="time"
+            value={customFrom}
+            onChange={(e) => {
+              setCustomFrom(e.target.value);
+              applyCustomWindow(customDate, e.target.value, customTo);
+            }}
+            className="filter-input"
+            aria-label="Desde la hora"
+          />
+          <span className="price-separator">a</span>
+          <input
+            type="time"
+            value={customTo}
+            onChange={(e) => {
+              setCustomTo(e.target.value);
+              applyCustomWindow(customDate, customFrom, e.target.value);
+            }}
+            className="filter-input"
+            aria-label="Hasta la hora"
+          />
+        </div>
+      </div>
+
+      {(from || to) && (
+        <button type="button" onClick={clearWindow} className="clear-price-btn">
+          Cualquier momento
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default AvailabilityWindowFilter;
@@ -0,0 +1,35 @@
+import React from 'react';
+
+/**
+ * Componente FacetOptions - Lista de opciones de una faceta con la cantidad de resultados de cada una
+ * Las opciones sin resultados bajo los demás filtros se muestran deshabilitadas
+ * @param {Array} options - Opciones ({ value, count, selected, disabled }) de useFilters.getFacetOptions
+ * @param {Function} onToggle - Callback al elegir o quitar una opción
+ * @param {Function} getLabel - Texto a mostrar para cada opción
+ * @param {String} ariaLabel - Descripción accesible del grupo
+ */
+const FacetOptions = ({ options, onToggle, getLabel = (option) => option.value, ariaLabel }) => {
+  if (!options || options.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="facet-options" role="group" aria-label={ariaLabel}>
+      {options.map((option) => (
+        <button
+          key={String(option.value)}
+          type="button"
+          onClick={() => onToggle(option)}
+          className={`facet-option ${option.selected ? 'selected' : ''}`}
+          disabled={option.disabled}
+          aria-pressed={option.selected}
+        >
+          <span className="facet-label">{getLabel(option)}</span>
+          <span className="facet-count">{option.count}</span>
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default FacetOptions;
@@ -3,6 +3,19 @@ import PriceRangeSlider from './PriceRangeSlider';
 import SpecialtyFilter from './SpecialtyFilter';
 import DistanceSelector from './DistanceSelector';
 import OrderBySelector from './OrderBySelector';
+import FacetOptions from './FacetOptions';
+import AvailabilityWindowFilter from './AvailabilityWindowFilter';
+
+// Textos de las opciones de facetas que devuelve /api/search
+const RATE_TYPE_LABELS = {
+  hora: 'Por hora',
+  servicio: 'Por servicio',
+  convenio: 'A convenir'
+};
+
+const formatPriceRange = ({ min, max }) => (max !== null && max !== undefined
+  ? `$${min.toLocaleString('es-AR')} - $${max.toLocaleString('es-AR')}`
+  : `Más de $${min.toLocaleString('es-AR')}`);
 
 /**
  * Componente FilterSidebar - Panel lateral con todos los filtros de búsqueda
@@ -12,6 +25,9 @@ import OrderBySelector from './OrderBySelector';
  * @param {Number} activeFiltersCount - Cantidad de filtros activos
  * @param {Boolean} isOpen - Si el sidebar está abierto (para móviles)
  * @param {Function} onClose - Callback para cerrar el sidebar
+ * @param {Function} getFacetOptions - Opciones de una faceta con conteos (useFilters.getFacetOptions)
+ * @param {Function} getFacetCount - Conteo de una opción de faceta (useFilters.getFacetCount)
+ * @param {Function} onFacetToggle - Callback para elegir o quitar una opción de faceta
  */
 const FilterSidebar = ({
   filters,
@@ -19,16 +35,28 @@ const FilterSidebar = ({
   onClearFilters,
   activeFiltersCount,
   isOpen = true,
-  onClose
+  onClose,
+  getFacetOptions = () => [],
+  getFacetCount = () => null,
+  onFacetToggle = () => {}
 }) => {
   const [expandedSections, setExpandedSections] = useState({
     price: true,
     specialty: true,
     location: true,
     verification: true,
+    rating: true,
+    availability: true,
+    urgent: true,
+    rateType: true,
     order: true
   });
 
+  const specialtyOptions = getFacetOptions('specialty');
+  const rateTypeOptions = getFacetOptions('rate_type');
+  const verifiedCount = getFacetCount('verification_status', 'verificado');
+  const urgentCount = getFacetCount('urgent_available', true);
+
   const toggleSection = (section) => {
     setExpandedSections(prev => ({
       ...prev,
@@ -108,6 +136,12 @@ const FilterSidebar = ({
                     });
                   }}
                 />
+                <FacetOptions
+                  options={getFacetOptions('price_range')}
+                  onToggle={(option) => onFacetToggle('price_range', option)}
+                  getLabel={formatPriceRange}
+                  ariaLabel="Rangos de precio"
+                />
               </div>
             )}
           </div>
@@ -129,6 +163,7 @@ const FilterSidebar = ({
                 <SpecialtyFilter
                   selectedSpecialty={filters.especialidad || ''}
                   onChange={(value) => handleFilterChange('especialidad', value)}
+                  options={specialtyOptions.length > 0 ? specialtyOptions : null}
                 />
               </div>
             )}
@@ -175,6 +210,11 @@ const FilterSidebar = ({
                       placeholder="Ej: Palermo"
                       className="filter-input"
                     />
+                    <FacetOptions
+                      options={getFacetOptions('zone')}
+                      onToggle={(option) => onFacetToggle('zone', option)}
+                      ariaLabel="Zonas con profesionales"
+                    />
                   </div>
 
                   <DistanceSelector
@@ -207,15 +247,125 @@ const FilterSidebar = ({
                       checked={filters.verificado || false}
                       onChange={(e) => handleFilterChange('verificado', e.target.checked)}
                       className="filter-checkbox"
+                      disabled={verifiedCount === 0 && !filters.verificado}
                     />
                     <span className="checkmark"></span>
                     Solo profesionales verificados
+                    {verifiedCount !== null && <span className="facet-count">{verifiedCount}</span>}
                   </label>
                 </div>
               </div>
             )}
           </div>
 
+          {/* Filtro de Calificación */}
+          <div className="filter-section">
+            <button
+              className="filter-section-header"
+              onClick={() => toggleSection('rating')}
+              aria-expanded={expandedSections.rating}
+            >
+              <span className="section-title">Calificación</span>
+              <span className="section-icon">
+                {expandedSections.rating ? '−' : '+'}
+              </span>
+            </button>
+            {expandedSections.rating && (
+              <div className="filter-section-content">
+                <FacetOptions
+                  options={getFacetOptions('rating_band')}
+                  onToggle={(option) => onFacetToggle('rating_band', option)}
+                  getLabel={(option) => `${option.value}★ o más`}
+                  ariaLabel="Calificación mínima"
+                />
+              </div>
+            )}
+          </div>
+
+          {/* Filtro de Disponibilidad (turno libre en una franja) */}
+          <div className="filter-section">
+            <button
+              className="filter-section-header"
+              onClick={() => toggleSection('availability')}
+              aria-expanded={expandedSections.availability}
+            >
+              <span className="section-title">Disponibilidad</span>
+              <span className="section-icon">
+                {expandedSections.availability ? '−' : '+'}
+              </span>
+            </button>
+            {expandedSections.availability && (
+              <div className="filter-section-content">
+                <AvailabilityWindowFilter
+                  from={filters.disponible_desde || ''}
+                  to={filters.disponible_hasta || ''}
+                  onChange={(from, to) => {
+                    onFiltersChange({
+                      disponible_desde: from,
+                      disponible_hasta: to
+                    });
+                  }}
+                />
+              </div>
+            )}
+          </div>
+
+          {/* Filtro de Urgencias */}
+          <div className="filter-section">
+            <button
+              className="filter-section-header"
+              onClick={() => toggleSection('urgent')}
+              aria-expanded={expandedSections.urgent}
+            >
+              <span className="section-title">Urgencias</span>
+              <span className="section-icon">
+                {expandedSections.urgent ? '−' : '+'}
+              </span>
+            </button>
+            {expandedSections.urgent && (
+              <div className="filter-section-content">
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={filters.urgente || false}
+                    onChange={(e) => handleFilterChange('urgente', e.target.checked)}
+                    className="filter-checkbox"
+                    disabled={urgentCount === 0 && !filters.urgente}
+                  />
+                  <span className="checkmark"></span>
+                  Disponibles en las próximas 24 horas
+                  {urgentCount !== null && <span className="facet-count">{urgentCount}</span>}
+                </label>
+              </div>
+            )}
+          </div>
+
+          {/* Filtro de Tipo de Tarifa */}
+          {rateTypeOptions.length > 0 && (
+            <div className="filter-section">
+              <button
+                className="filter-section-header"
+                onClick={() => toggleSection('rateType')}
+                aria-expanded={expandedSections.rateType}
+              >
+                <span className="section-title">Tipo de tarifa</span>
+                <span className="section-icon">
+                  {expandedSections.rateType ? '−' : '+'}
+                </span>
+              </button>
+              {expandedSections.rateType && (
+                <div className="filter-section-content">
+                  <FacetOptions
+                    options={rateTypeOptions}
+                    onToggle={(option) => onFacetToggle('rate_type', option)}
+                    getLabel={(option) => RATE_TYPE_LABELS[option.value] || option.value}
+                    ariaLabel="Tipo de tarifa"
+                  />
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Ordenamiento */}
           <div className="filter-section">
             <button
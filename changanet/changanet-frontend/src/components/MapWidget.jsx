@@ -5,22 +5,73 @@
  * @sprint Sprint 2 – Funcionalidades Avanzadas
  * @tarjeta Tarjeta 5: [Frontend] Implementar Mapa Interactivo
  * @impacto Social: Visualización geográfica accesible para localizar servicios
+ * También dibuja y edita el área de servicio del profesional (GeoJSON MultiPolygon)
  */
 
 import { useEffect, useRef, useState } from 'react';
 
+// Referencia estable para no recrear el mapa en cada render cuando no hay marcadores
+const NO_MARKERS = [];
+
+const AREA_STYLE = {
+  strokeColor: '#10b981',
+  strokeOpacity: 0.9,
+  strokeWeight: 2,
+  fillColor: '#10b981',
+  fillOpacity: 0.2
+};
+
+/**
+ * Convierte un MultiPolygon GeoJSON ([lng, lat], anillos cerrados) en caminos de Google Maps
+ */
+const areaToPaths = (area) => {
+  if (!area || !Array.isArray(area.coordinates)) return [];
+
+  return area.coordinates.map(polygon => polygon.map(ring => {
+    const points = ring.map(([lng, lat]) => ({ lat, lng }));
+    const first = points[0];
+    const last = points[points.length - 1];
+    // Google Maps cierra los polígonos solo, el último punto repetido sobra
+    return points.length > 1 && first.lat === last.lat && first.lng === last.lng
+      ? points.slice(0, -1)
+      : points;
+  }));
+};
+
+/**
+ * Convierte los caminos dibujados en un MultiPolygon GeoJSON; ignora los polígonos con menos de 3 vértices
+ */
+const pathsToArea = (paths) => {
+  const coordinates = paths
+    .filter(polygon => polygon[0] && polygon[0].length >= 3)
+    .map(polygon => polygon
+      .filter(ring => ring.length >= 3)
+      .map(ring => [...ring, ring[0]].map(({ lat, lng }) => [lng, lat])));
+
+  return coordinates.length > 0 ? { type: 'MultiPolygon', coordinates } : null;
+};
+
 const MapWidget = ({
   center = null,
   zoom = 12,
-  markers = [],
+  markers = NO_MARKERS,
   className = "",
   height = "400px",
-  showControls = true
+  showControls = true,
+  serviceArea = null,
+  editable = false,
+  onServiceAreaChange
 }) => {
   const mapRef = useRef(null);
   const mapInstanceRef = useRef(null);
+  const polygonsRef = useRef([]);
+  const lastEmittedAreaRef = useRef(JSON.stringify(serviceArea || null));
+  const fittedToAreaRef = useRef(false);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [mapReady, setMapReady] = useState(false);
+  const [areaPaths, setAreaPaths] = useState(() => areaToPaths(serviceArea));
+  const [activePolygon, setActivePolygon] = useState(0);
 
   // Centro por defecto: Buenos Aires
   const defaultCenter = { lat: -34.6037, lng: -58.3816 };
@@ -30,6 +81,7 @@ const MapWidget = ({
       try {
         setIsLoading(true);
         setError(null);
+        setMapReady(false);
 
         // Google Maps ya está inicializado desde App.jsx
         const googleMaps = { maps: window.google?.maps };
@@ -105,6 +157,7 @@ const MapWidget = ({
         }
 
         setIsLoading(false);
+        setMapReady(true);
       } catch (err) {
         console.error('Error inicializando mapa:', err);
         setError('No se pudo cargar el mapa. Verifica tu conexión a internet.');
@@ -150,6 +203,120 @@ const MapWidget = ({
     });
   }, [markers]);
 
+  // Sincronizar el área cuando cambia desde afuera (no por una edición de este mapa)
+  useEffect(() => {
+    const key = JSON.stringify(serviceArea || null);
+    if (key === lastEmittedAreaRef.current) return;
+
+    lastEmittedAreaRef.current = key;
+    setAreaPaths(areaToPaths(serviceArea));
+    setActivePolygon(0);
+  }, [serviceArea]);
+
+  const updateAreaPaths = (newPaths) => {
+    setAreaPaths(newPaths);
+    const area = pathsToArea(newPaths);
+    lastEmittedAreaRef.current = JSON.stringify(area);
+    if (onServiceAreaChange) {
+      onServiceAreaChange(area);
+    }
+  };
+
+  // Dibujar los polígonos del área de servicio
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+    if (!mapReady || !map) return;
+
+    const googleMaps = window.google.maps;
+
+    polygonsRef.current = areaPaths.map((paths, polygonIndex) => {
+      const polygon = new googleMaps.Polygon({
+        ...AREA_STYLE,
+        paths,
+        editable,
+        map
+      });
+
+      if (editable) {
+        // Mover, insertar o quitar vértices actualiza el área
+        const readPaths = () => polygon.getPaths().getArray().map(path =>
+          path.getArray().map(latLng => ({ lat: latLng.lat(), lng: latLng.lng() }))
+        );
+        polygon.getPaths().forEach(path => {
+          ['set_at', 'insert_at', 'remove_at'].forEach(eventName => {
+            path.addListener(eventName, () => {
+              updateAreaPaths(areaPaths.map((current, i) => (i === polygonIndex ? readPaths() : current)));
+            });
+          });
+        });
+
+        // Clic derecho sobre un vértice lo elimina
+        polygon.addListener('rightclick', (event) => {
+          if (event.vertex === undefined || event.path === undefined) return;
+          polygon.getPaths().getAt(event.path).removeAt(event.vertex);
+        });
+      }
+
+      return polygon;
+    });
+
+    // Encuadrar el área la primera vez que se muestra
+    if (!fittedToAreaRef.current && areaPaths.some(paths => paths[0] && paths[0].length >= 3)) {
+      const bounds = new googleMaps.LatLngBounds();
+      areaPaths.forEach(paths => paths[0].forEach(point => bounds.extend(point)));
+      map.fitBounds(bounds);
+      fittedToAreaRef.current = true;
+    }
+
+    return () => {
+      polygonsRef.current.forEach(polygon => {
+        googleMaps.event.clearInstanceListeners(polygon);
+        polygon.setMap(null);
+      });
+      polygonsRef.current = [];
+    };
+  }, [mapReady, areaPaths, editable]);
+
+  // En modo edición, cada clic en el mapa agrega un vértice al polígono activo
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+    if (!mapReady || !map || !editable) return;
+
+    const listener = map.addListener('click', (event) => {
+      const point = { lat: event.latLng.lat(), lng: event.latLng.lng() };
+      const newPaths = [...areaPaths];
+      const current = newPaths[activePolygon];
+      newPaths[activePolygon] = current
+        ? [[...current[0], point], ...current.slice(1)]
+        : [[point]];
+      updateAreaPaths(newPaths);
+    });
+
+    return () => window.google.maps.event.removeListener(listener);
+  }, [mapReady, editable, areaPaths, activePolygon]);
+
+  const handleNewPolygon = () => {
+    // Reutilizar el polígono activo si todavía está vacío
+    const current = areaPaths[activePolygon];
+    if (current && current[0].length > 0) {
+      setActivePolygon(areaPaths.length);
+    }
+  };
+
+  const handleUndoVertex = () => {
+    const current = areaPaths[activePolygon];
+    if (!current || current[0].length === 0) return;
+
+    const newPaths = [...areaPaths];
+    newPaths[activePolygon] = [current[0].slice(0, -1), ...current.slice(1)];
+    updateAreaPaths(newPaths);
+  };
+
+  const handleClearArea = () => {
+    setActivePolygon(0);
+    updateAreaPaths([]);
+  };
+
   if (error) {
     return (
       <div className={`bg-gray-100 rounded-lg flex items-center justify-center ${className}`} style={{ height }}>
@@ -180,6 +347,31 @@ const MapWidget = ({
         role="img"
         aria-label="Mapa interactivo con ubicaciones de servicios"
       />
+      {editable && mapReady && (
+        <div className="absolute top-2 left-2 z-10 flex flex-wrap gap-2">
+          <button
+            type="button"
+            onClick={handleNewPolygon}
+            className="bg-white text-gray-700 text-sm px-3 py-1 rounded-md shadow hover:bg-gray-50"
+          >
+            Nuevo polígono
+          </button>
+          <button
+            type="button"
+            onClick={handleUndoVertex}
+            className="bg-white text-gray-700 text-sm px-3 py-1 rounded-md shadow hover:bg-gray-50"
+          >
+            Deshacer punto
+          </button>
+          <button
+            type="button"
+            onClick={handleClearArea}
+            className="bg-white text-red-600 text-sm px-3 py-1 rounded-md shadow hover:bg-red-50"
+          >
+            Borrar área
+          </button>
+        </div>
+      )}
     </div>
   );
 };
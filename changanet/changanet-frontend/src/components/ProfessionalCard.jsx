@@ -8,6 +8,17 @@ import ProfessionalDetailModal from './modals/ProfessionalDetailModal';
 import VerifiedBadge from './VerifiedBadge';
 import RatingDisplay from './RatingDisplay';
 import { getDistanceMatrix, getSimulatedCoordinates, calculateHaversineDistance } from '../services/mapService';
+import { format, parseISO, isToday, isTomorrow } from 'date-fns';
+import { es } from 'date-fns/locale';
+
+// Texto corto del próximo turno libre: "hoy 15:00", "mañana 09:30" o "jue 12/03 10:00"
+const formatNextSlot = (startTime) => {
+  const start = parseISO(startTime);
+  const time = format(start, 'HH:mm');
+  if (isToday(start)) return `hoy ${time}`;
+  if (isTomorrow(start)) return `mañana ${time}`;
+  return format(start, 'EEE dd/MM HH:mm', { locale: es });
+};
 
 const ProfessionalCard = ({
   professional,
@@ -273,7 +284,7 @@ const ProfessionalCard = ({
           <div className="flex items-center justify-between">
             <div className="flex items-center gap-1.5">
               <span className="text-xl font-bold text-emerald-600">
-                ${professional.tarifa_hora}
+                ${professional.tarifa_hora}{professional.moneda && professional.moneda !== 'ARS' ? ` ${professional.moneda}` : ''}
                 <span className="text-xs text-gray-500 font-normal">/h</span>
               </span>
               {loading ? (
@@ -295,6 +306,20 @@ const ProfessionalCard = ({
             </div>
           </div>
 
+          {/* Próximo turno libre: abre la agenda del profesional con ese turno elegido */}
+          {professional.next_available_slot && (
+            <Link
+              to={`/profesional/${professional.usuario_id}?turno=${professional.next_available_slot.id}&fecha=${format(parseISO(professional.next_available_slot.start_time), 'yyyy-MM-dd')}`}
+              className="mt-2 inline-flex items-center text-xs font-medium text-emerald-700 bg-emerald-50 hover:bg-emerald-100 px-2 py-1 rounded-lg transition-colors"
+              aria-label={`Reservar el próximo turno libre de ${nombreProfesional}`}
+            >
+              <svg className="w-3 h-3 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+              </svg>
+              Próximo turno: {formatNextSlot(professional.next_available_slot.start_time)}
+            </Link>
+          )}
+
           {/* Actions */}
           <div className="flex gap-2 mt-3">
             <button
@@ -1,8 +1,9 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import SpecialtySelector from './SpecialtySelector';
 import ZoneSelector from './ZoneSelector';
 import RateSelector from './RateSelector';
 import ImageUploader from './ImageUploader';
+import MapWidget from './MapWidget';
 import { useProfile } from '../hooks/useProfile';
 
 /**
@@ -17,10 +18,12 @@ const ProfessionalProfileForm = ({ onSuccess, onError, initialData = {} }) => {
     zona_cobertura: initialData.zona_cobertura || '',
     latitud: initialData.latitud || null,
     longitud: initialData.longitud || null,
+    area_servicio: initialData.area_servicio || null,
     tipo_tarifa: initialData.tipo_tarifa || 'hora',
     tarifa_hora: initialData.tarifa_hora || '',
     tarifa_servicio: initialData.tarifa_servicio || '',
     tarifa_convenio: initialData.tarifa_convenio || '',
+    moneda: initialData.moneda || 'ARS',
 
     // Descripción general
     descripcion: initialData.descripcion || '',
@@ -40,6 +43,13 @@ const ProfessionalProfileForm = ({ onSuccess, onError, initialData = {} }) => {
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
 
+  // Centro estable para el mapa del área de servicio (evita recrearlo en cada render)
+  const mapCenter = useMemo(() => (
+    formData.latitud && formData.longitud
+      ? { lat: parseFloat(formData.latitud), lng: parseFloat(formData.longitud) }
+      : null
+  ), [formData.latitud, formData.longitud]);
+
   // Actualizar formData cuando cambien los datos iniciales
   useEffect(() => {
     if (initialData && Object.keys(initialData).length > 0) {
@@ -59,10 +69,12 @@ const ProfessionalProfileForm = ({ onSuccess, onError, initialData = {} }) => {
           zona_cobertura: initialData.zona_cobertura || '',
           latitud: initialData.latitud || null,
           longitud: initialData.longitud || null,
+          area_servicio: initialData.area_servicio || null,
           tipo_tarifa: initialData.tipo_tarifa || 'hora',
           tarifa_hora: initialData.tarifa_hora || '',
           tarifa_servicio: initialData.tarifa_servicio || '',
           tarifa_convenio: initialData.tarifa_convenio || '',
+          moneda: initialData.moneda || 'ARS',
           descripcion: initialData.descripcion || '',
           url_foto_perfil: initialData.url_foto_perfil || '',
           url_foto_portada: initialData.url_foto_portada || '',
@@ -142,10 +154,13 @@ const ProfessionalProfileForm = ({ onSuccess, onError, initialData = {} }) => {
         zona_cobertura: formData.zona_cobertura.trim(),
         latitud: formData.latitud ? parseFloat(formData.latitud) : null,
         longitud: formData.longitud ? parseFloat(formData.longitud) : null,
+        // 'null' explícito para quitar el área (los valores null no se envían)
+        area_servicio: formData.area_servicio || 'null',
         tipo_tarifa: formData.tipo_tarifa,
         tarifa_hora: formData.tipo_tarifa === 'hora' ? parseFloat(formData.tarifa_hora) : null,
         tarifa_servicio: formData.tipo_tarifa === 'servicio' ? parseFloat(formData.tarifa_servicio) : null,
         tarifa_convenio: formData.tipo_tarifa === 'convenio' ? formData.tarifa_convenio.trim() : null,
+        moneda: formData.moneda,
         descripcion: formData.descripcion.trim(),
         esta_disponible: formData.esta_disponible
       };
@@ -243,6 +258,23 @@ const ProfessionalProfileForm = ({ onSuccess, onError, initialData = {} }) => {
           onChange={(data) => setFormData(prev => ({ ...prev, ...data }))}
           error={errors.zona_cobertura}
         />
+
+        <div className="mt-6">
+          <h4 className="text-md font-medium text-gray-800 mb-1">Área de servicio en el mapa (opcional)</h4>
+          <p className="text-sm text-gray-600 mb-3">
+            Haz clic en el mapa para marcar los vértices de cada zona donde trabajas; arrastra los vértices para ajustarlos y haz clic derecho para quitarlos.
+            Si no dibujas un área, usamos un radio alrededor de tu ubicación.
+          </p>
+          <MapWidget
+            center={mapCenter}
+            zoom={13}
+            height="350px"
+            showControls={false}
+            serviceArea={formData.area_servicio}
+            editable
+            onServiceAreaChange={(area) => setFormData(prev => ({ ...prev, area_servicio: area }))}
+          />
+        </div>
       </div>
 
       {/* REQ-10: Selector de tarifas */}
@@ -255,6 +287,20 @@ const ProfessionalProfileForm = ({ onSuccess, onError, initialData = {} }) => {
           onChange={(rates) => setFormData(prev => ({ ...prev, ...rates }))}
           errors={errors}
         />
+        <label className="block text-sm font-medium text-gray-700 mt-4 mb-2">
+          Moneda de tus tarifas
+        </label>
+        <select
+          value={formData.moneda}
+          onChange={(e) => handleChange('moneda', e.target.value)}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus-visible:ring-2 focus-visible:ring-[var(--primary)]"
+          aria-label="Moneda de las tarifas"
+        >
+          <option value="ARS">Peso argentino (ARS)</option>
+          <option value="UYU">Peso uruguayo (UYU)</option>
+          <option value="CLP">Peso chileno (CLP)</option>
+        </select>
+        <p className="mt-1 text-xs text-gray-500">Tus presupuestos y los pagos de tus clientes se cobran en esta moneda.</p>
       </div>
 
       {/* Descripción */}
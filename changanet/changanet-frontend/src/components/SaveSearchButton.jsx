@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { savedSearchesAPI } from '../services/apiService';
+
+const alertFrequencies = [
+  { value: 'inmediata', label: 'Apenas haya novedades' },
+  { value: 'diaria', label: 'Una vez por día' },
+  { value: 'semanal', label: 'Una vez por semana' }
+];
+
+/**
+ * Nombre sugerido a partir de los filtros: "Plomero en Palermo"
+ */
+const suggestName = (filters) => {
+  const what = filters.q || filters.especialidad || 'Profesionales';
+  const where = filters.barrio || filters.ciudad;
+  return where ? `${what} en ${where}` : what;
+};
+
+/**
+ * Componente SaveSearchButton - Guarda la búsqueda actual para recibir alertas de nuevas coincidencias
+ * Avisa cuando un profesional recién verificado coincide o uno baja su tarifa por debajo del precio máximo
+ * @param {Object} filters - Filtros actuales del buscador (incluida la ubicación si se usa el radio)
+ */
+const SaveSearchButton = ({ filters }) => {
+  const { user } = useAuth();
+  const [isOpen, setIsOpen] = useState(false);
+  const [name, setName] = useState('');
+  const [frequency, setFrequency] = useState('diaria');
+  const [saving, setSaving] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  const handleOpen = () => {
+    if (!user) {
+      alert('Debes iniciar sesión para guardar búsquedas.');
+      return;
+    }
+    if (user.rol !== 'cliente') {
+      alert('Solo los clientes pueden guardar búsquedas.');
+      return;
+    }
+
+    setName(suggestName(filters));
+    setStatus(null);
+    setIsOpen(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+
+    setSaving(true);
+    try {
+      await savedSearchesAPI.create(name.trim(), frequency, filters);
+      setStatus({ type: 'success', message: 'Búsqueda guardada. Te avisaremos cuando haya nuevos profesionales.' });
+      setIsOpen(false);
+    } catch (error) {
+      setStatus({ type: 'error', message: error.message || 'No se pudo guardar la búsqueda' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="save-search">
+      <button
+        type="button"
+        onClick={isOpen ? () => setIsOpen(false) : handleOpen}
+        className={`save-search-btn ${isOpen ? 'active' : ''}`}
+        aria-expanded={isOpen}
+      >
+        🔔 Guardar búsqueda
+      </button>
+
+      {isOpen && (
+        <form onSubmit={handleSubmit} className="save-search-form">
+          <label htmlFor="saved-search-name" className="filter-label">
+            Nombre
+          </label>
+          <input
+            id="saved-search-name"
+            type="text"
+            value={name}
+            maxLength={100}
+            onChange={(e) => setName(e.target.value)}
+            className="filter-input"
+            required
+          />
+
+          <label htmlFor="saved-search-frequency" className="filter-label">
+            Avisarme
+          </label>
+          <select
+            id="saved-search-frequency"
+            value={frequency}
+            onChange={(e) => setFrequency(e.target.value)}
+            className="filter-input"
+          >
+            {alertFrequencies.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+
+          <p className="save-search-hint">
+            Te avisamos cuando un profesional verificado nuevo coincida o uno baje su tarifa por debajo de tu precio máximo. Respetamos tu horario de silencio.
+          </p>
+
+          <button type="submit" className="save-search-submit" disabled={saving || !name.trim()}>
+            {saving ? 'Guardando...' : 'Guardar'}
+          </button>
+        </form>
+      )}
+
+      {status && (
+        <p className={`save-search-status ${status.type}`} role="status">
+          {status.message}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default SaveSearchButton;
@@ -7,6 +7,7 @@ import './SearchSystem.css';
 const SearchBar = lazy(() => import('./SearchBar'));
 const FilterSidebar = lazy(() => import('./FilterSidebar'));
 const ProfessionalCard = lazy(() => import('./ProfessionalCard'));
+const SaveSearchButton = lazy(() => import('./SaveSearchButton'));
 
 // Componente de carga para lazy loading
 const LoadingFallback = ({ component }) => (
@@ -31,6 +32,7 @@ const SearchContainer = () => {
     error,
     hasMore,
     total,
+    facets,
     isLoadingMore,
     userLocation,
     requestLocation,
@@ -46,8 +48,11 @@ const SearchContainer = () => {
     updateFilter,
     updateFilters: updateFilterState,
     clearFilters: clearFilterState,
-    hasActiveFilters
-  } = useFilters();
+    hasActiveFilters,
+    getFacetOptions,
+    getFacetCount,
+    toggleFacetOption
+  } = useFilters({}, facets);
 
   // Sincronizar filtros entre hooks
   useEffect(() => {
@@ -96,6 +101,9 @@ const SearchContainer = () => {
             activeFiltersCount={activeFiltersCount}
             isOpen={sidebarOpen}
             onClose={() => setSidebarOpen(false)}
+            getFacetOptions={getFacetOptions}
+            getFacetCount={getFacetCount}
+            onFacetToggle={toggleFacetOption}
           />
         </Suspense>
 
@@ -130,6 +138,15 @@ const SearchContainer = () => {
             </div>
 
             <div className="view-controls">
+              {/* Guardar la búsqueda (con la ubicación usada para el radio) para recibir alertas */}
+              <Suspense fallback={null}>
+                <SaveSearchButton
+                  filters={{
+                    ...filters,
+                    ...(userLocation && { lat: userLocation.latitude, lng: userLocation.longitude })
+                  }}
+                />
+              </Suspense>
               <button
                 onClick={() => setViewMode('grid')}
                 className={`view-btn ${viewMode === 'grid' ? 'active' : ''}`}
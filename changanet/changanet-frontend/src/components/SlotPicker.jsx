@@ -1,9 +1,10 @@
 /**
  * Slot Picker Component
  * For clients - shows available slots, duration selector, booking with confirmation
+ * Can open preselected on a slot (e.g. the next available slot shown in search results)
  */
 
-import { useState, useEffect, useMemo } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 import { useAvailabilitySlots, useConflictDetection } from '../hooks/useAvailability.js';
 import { format, parseISO, addMinutes } from 'date-fns';
 import { es } from 'date-fns/locale';
@@ -20,9 +21,11 @@ const SlotPicker = ({
   serviceId,
   onBookingComplete,
   timezone = 'America/Buenos_Aires',
-  className = ''
+  className = '',
+  initialDate = null,
+  initialSlotId = null
 }) => {
-  const [selectedDate, setSelectedDate] = useState(format(new Date(), 'yyyy-MM-dd'));
+  const [selectedDate, setSelectedDate] = useState(initialDate || format(new Date(), 'yyyy-MM-dd'));
   const [selectedDuration, setSelectedDuration] = useState(60);
   const [selectedSlot, setSelectedSlot] = useState(null);
   const [showConfirmation, setShowConfirmation] = useState(false);
@@ -48,6 +51,22 @@ const SlotPicker = ({
 
   const { checkConflicts, checking: checkingConflicts } = useConflictDetection();
 
+  // Preselect the requested slot once, as soon as it shows up in the loaded slots
+  const preselectedRef = useRef(false);
+  useEffect(() => {
+    if (!initialSlotId || preselectedRef.current) return;
+
+    const slot = slots.find(s => s.id === initialSlotId);
+    if (!slot) return;
+
+    preselectedRef.current = true;
+    const slotMinutes = (new Date(slot.end_time) - new Date(slot.start_time)) / (1000 * 60);
+    const fittingDurations = DURATION_OPTIONS.filter(duration => duration.value <= slotMinutes);
+    setSelectedDuration(fittingDurations.length > 0 ? fittingDurations[fittingDurations.length - 1].value : DURATION_OPTIONS[0].value);
+    setSelectedSlot(slot);
+    setShowConfirmation(true);
+  }, [slots, initialSlotId]);
+
   // Filter and group available slots by duration
   const availableSlots = useMemo(() => {
     const filtered = slots.filter(slot => {
@@ -152,8 +171,15 @@ const SlotPicker = ({
                format(date, 'EEEE d/MM', { locale: es })
       });
     }
+    // Keep the preselected date selectable even if it is further than a week away
+    if (initialDate && !options.some(option => option.value === initialDate)) {
+      options.push({
+        value: initialDate,
+        label: format(parseISO(initialDate), 'EEEE d/MM', { locale: es })
+      });
+    }
     return options;
-  }, []);
+  }, [initialDate]);
 
   // Loading skeleton
   if (loading && Object.keys(availableSlots).length === 0) {
@@ -1,12 +1,13 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { searchAPI } from '../services/apiService';
 
 /**
  * Componente SpecialtyFilter - Selector de especialidad con búsqueda
  * @param {String} selectedSpecialty - Especialidad seleccionada
  * @param {Function} onChange - Callback para cambios
+ * @param {Array} options - Opciones de la faceta de especialidad con conteos ({ value, count, disabled }), opcional
  */
-const SpecialtyFilter = ({ selectedSpecialty, onChange }) => {
+const SpecialtyFilter = ({ selectedSpecialty, onChange, options = null }) => {
   const [specialties, setSpecialties] = useState([]);
   const [filteredSpecialties, setFilteredSpecialties] = useState([]);
   const [searchTerm, setSearchTerm] = useState('');
@@ -25,17 +26,26 @@ const SpecialtyFilter = ({ selectedSpecialty, onChange }) => {
     loadSpecialties();
   }, []);
 
+  // Con facetas disponibles se listan las especialidades de los resultados actuales con su conteo
+  const facetsBySpecialty = useMemo(
+    () => new Map((options || []).map(option => [option.value, option])),
+    [options]
+  );
+  const hasFacets = Array.isArray(options) && options.length > 0;
+
   useEffect(() => {
+    const source = hasFacets ? options.map(option => option.value) : specialties;
+
     // Filtrar especialidades basado en el término de búsqueda
     if (searchTerm) {
-      const filtered = specialties.filter(specialty =>
+      const filtered = source.filter(specialty =>
         specialty.toLowerCase().includes(searchTerm.toLowerCase())
       );
       setFilteredSpecialties(filtered.slice(0, 10)); // Limitar a 10 resultados
     } else {
-      setFilteredSpecialties(specialties.slice(0, 10));
+      setFilteredSpecialties(source.slice(0, 10));
     }
-  }, [searchTerm, specialties]);
+  }, [searchTerm, specialties, options, hasFacets]);
 
   const loadSpecialties = async () => {
     try {
@@ -125,17 +135,22 @@ const SpecialtyFilter = ({ selectedSpecialty, onChange }) => {
       {showDropdown && (
         <div className="specialty-dropdown">
           {filteredSpecialties.length > 0 ? (
-            filteredSpecialties.map((specialty, index) => (
-              <button
-                key={index}
-                onClick={() => handleSelectSpecialty(specialty)}
-                className={`specialty-option ${
-                  specialty === selectedSpecialty ? 'selected' : ''
-                }`}
-              >
-                {specialty}
-              </button>
-            ))
+            filteredSpecialties.map((specialty, index) => {
+              const facet = facetsBySpecialty.get(specialty);
+              return (
+                <button
+                  key={index}
+                  onClick={() => handleSelectSpecialty(specialty)}
+                  className={`specialty-option ${
+                    specialty === selectedSpecialty ? 'selected' : ''
+                  }`}
+                  disabled={facet ? facet.disabled : false}
+                >
+                  {specialty}
+                  {facet && <span className="facet-count">{facet.count}</span>}
+                </button>
+              );
+            })
           ) : (
             <div className="no-specialties">
               {searchTerm ? 'No se encontraron especialidades' : 'Cargando especialidades...'}
@@ -158,15 +173,27 @@ const SpecialtyFilter = ({ selectedSpecialty, onChange }) => {
         <div className="popular-specialties">
           <span className="popular-label">Populares:</span>
           <div className="popular-tags">
-            {commonSpecialties.slice(0, 6).map((specialty, index) => (
-              <button
-                key={index}
-                onClick={() => handleSelectSpecialty(specialty)}
-                className="popular-tag"
-              >
-                {specialty}
-              </button>
-            ))}
+            {hasFacets
+              ? options.slice(0, 6).map((option) => (
+                <button
+                  key={option.value}
+                  onClick={() => handleSelectSpecialty(option.value)}
+                  className="popular-tag"
+                  disabled={option.disabled}
+                >
+                  {option.value}
+                  <span className="facet-count">{option.count}</span>
+                </button>
+              ))
+              : commonSpecialties.slice(0, 6).map((specialty, index) => (
+                <button
+                  key={index}
+                  onClick={() => handleSelectSpecialty(specialty)}
+                  className="popular-tag"
+                >
+                  {specialty}
+                </button>
+              ))}
           </div>
         </div>
       )}
@@ -117,7 +117,7 @@ const ProfessionalDetailModal = ({ isOpen, onClose, professional }) => {
             </div>
             <div className="bg-gradient-to-r from-emerald-50 to-teal-50 rounded-xl p-4 text-center">
               <div className="text-2xl font-bold text-emerald-600 mb-1">
-                ${professional.tarifa_hora || '0'}
+                ${professional.tarifa_hora || '0'}{professional.moneda && professional.moneda !== 'ARS' ? ` ${professional.moneda}` : ''}
               </div>
               <div className="text-sm text-gray-600">Por hora</div>
             </div>
@@ -1,12 +1,58 @@
 import { useState, useCallback, useEffect } from 'react';
 
+/**
+ * Cómo se refleja en los filtros cada faceta que devuelve /api/search
+ * - isSelected: si la opción (bucket) es la que está aplicada
+ * - select: filtros a aplicar al elegir la opción
+ * - clear: filtros a aplicar al deseleccionarla
+ */
+const FACET_FILTERS = {
+  specialty: {
+    isSelected: (filters, bucket) => (filters.especialidad || '').toLowerCase() === String(bucket.value).toLowerCase(),
+    select: (bucket) => ({ especialidad: bucket.value }),
+    clear: () => ({ especialidad: '' })
+  },
+  zone: {
+    isSelected: (filters, bucket) => filters.barrio === bucket.value,
+    select: (bucket) => ({ barrio: bucket.value }),
+    clear: () => ({ barrio: '' })
+  },
+  price_range: {
+    isSelected: (filters, bucket) => String(filters.precio_min) === String(bucket.min) &&
+      String(filters.precio_max || '') === String(bucket.max ?? ''),
+    select: (bucket) => ({ precio_min: String(bucket.min), precio_max: bucket.max !== null ? String(bucket.max) : '' }),
+    clear: () => ({ precio_min: '', precio_max: '' })
+  },
+  rating_band: {
+    isSelected: (filters, bucket) => Number(filters.calificacion_min) === Number(bucket.value),
+    select: (bucket) => ({ calificacion_min: bucket.value }),
+    clear: () => ({ calificacion_min: '' })
+  },
+  verification_status: {
+    isSelected: (filters, bucket) => Boolean(filters.verificado) && bucket.value === 'verificado',
+    select: () => ({ verificado: true }),
+    clear: () => ({ verificado: false })
+  },
+  urgent_available: {
+    isSelected: (filters) => Boolean(filters.urgente),
+    select: () => ({ urgente: true }),
+    clear: () => ({ urgente: false })
+  },
+  rate_type: {
+    isSelected: (filters, bucket) => filters.tipo_tarifa === bucket.value,
+    select: (bucket) => ({ tipo_tarifa: bucket.value }),
+    clear: () => ({ tipo_tarifa: '' })
+  }
+};
+
 /**
  * Hook personalizado para gestión de filtros de búsqueda
  * Maneja estado de filtros, validación y persistencia
  * @param {Object} initialFilters - Filtros iniciales
+ * @param {Object} facets - Facetas con conteos de la última búsqueda (response.facets), o null
  * @returns {Object} Estado y funciones de filtros
  */
-export const useFilters = (initialFilters = {}) => {
+export const useFilters = (initialFilters = {}, facets = null) => {
   const [filters, setFilters] = useState({
     q: '',
     especialidad: '',
@@ -163,6 +209,52 @@ export const useFilters = (initialFilters = {}) => {
     return apiFilters;
   }, [filters]);
 
+  /**
+   * Opciones de una faceta con su conteo, si está aplicada y si debe deshabilitarse
+   * (una opción sin resultados bajo los demás filtros se deshabilita, salvo que ya esté elegida)
+   */
+  const getFacetOptions = useCallback((facetKey) => {
+    const config = FACET_FILTERS[facetKey];
+    if (!facets || !config || !Array.isArray(facets[facetKey])) {
+      return [];
+    }
+
+    return facets[facetKey].map(bucket => {
+      const selected = config.isSelected(filters, bucket);
+      return {
+        ...bucket,
+        selected,
+        disabled: bucket.count === 0 && !selected
+      };
+    });
+  }, [facets, filters]);
+
+  /**
+   * Conteo de una opción de faceta (null si todavía no hay facetas)
+   */
+  const getFacetCount = useCallback((facetKey, value) => {
+    if (!facets || !Array.isArray(facets[facetKey])) {
+      return null;
+    }
+    const bucket = facets[facetKey].find(option => String(option.value) === String(value));
+    return bucket ? bucket.count : 0;
+  }, [facets]);
+
+  /**
+   * Aplicar una opción de faceta; si ya estaba aplicada, la quita
+   */
+  const toggleFacetOption = useCallback((facetKey, bucket) => {
+    const config = FACET_FILTERS[facetKey];
+    if (!config) {
+      return;
+    }
+
+    setFilters(prev => ({
+      ...prev,
+      ...(config.isSelected(prev, bucket) ? config.clear() : config.select(bucket))
+    }));
+  }, []);
+
   // Calcular cantidad de filtros activos
   useEffect(() => {
     const activeCount = Object.values(getActiveFilters()).length;
@@ -186,6 +278,11 @@ export const useFilters = (initialFilters = {}) => {
     validateFilters,
     getApiFilters,
 
+    // Facetas con conteos
+    getFacetOptions,
+    getFacetCount,
+    toggleFacetOption,
+
     // Setters directos
     setFilters
   };
@@ -377,4 +377,75 @@ describe('useFilters Hook - Unit Tests', () => {
       expect(result.current.filters.ordenar_por).toBe('relevancia'); // Valor por defecto
     });
   });
+
+  describe('Facetas', () => {
+    const facets = {
+      specialty: [
+        { value: 'Plomero', count: 4 },
+        { value: 'Gasista', count: 0 }
+      ],
+      price_range: [
+        { value: '0-5000', min: 0, max: 5000, count: 2 },
+        { value: '20000+', min: 20000, max: null, count: 0 }
+      ],
+      urgent_available: [{ value: true, count: 1 }]
+    };
+
+    test('devuelve opciones vacías sin facetas', () => {
+      const { result } = renderHook(() => useFilters());
+
+      expect(result.current.getFacetOptions('specialty')).toEqual([]);
+      expect(result.current.getFacetCount('specialty', 'Plomero')).toBe(null);
+    });
+
+    test('marca como deshabilitadas las opciones sin resultados', () => {
+      const { result } = renderHook(() => useFilters({}, facets));
+
+      expect(result.current.getFacetOptions('specialty')).toEqual([
+        { value: 'Plomero', count: 4, selected: false, disabled: false },
+        { value: 'Gasista', count: 0, selected: false, disabled: true }
+      ]);
+      expect(result.current.getFacetCount('urgent_available', true)).toBe(1);
+      expect(result.current.getFacetCount('specialty', 'Pintor')).toBe(0);
+    });
+
+    test('no deshabilita la opción aplicada aunque no tenga resultados', () => {
+      const { result } = renderHook(() => useFilters({ especialidad: 'Gasista' }, facets));
+
+      const gasista = result.current.getFacetOptions('specialty').find(option => option.value === 'Gasista');
+      expect(gasista.selected).toBe(true);
+      expect(gasista.disabled).toBe(false);
+    });
+
+    test('aplica y quita una opción de faceta', () => {
+      const { result } = renderHook(() => useFilters({}, facets));
+
+      act(() => {
+        result.current.toggleFacetOption('specialty', { value: 'Plomero' });
+      });
+      expect(result.current.filters.especialidad).toBe('Plomero');
+
+      act(() => {
+        result.current.toggleFacetOption('specialty', { value: 'Plomero' });
+      });
+      expect(result.current.filters.especialidad).toBe('');
+    });
+
+    test('aplica un rango de precio como precio mínimo y máximo', () => {
+      const { result } = renderHook(() => useFilters({}, facets));
+
+      act(() => {
+        result.current.toggleFacetOption('price_range', facets.price_range[0]);
+      });
+      expect(result.current.filters.precio_min).toBe('0');
+      expect(result.current.filters.precio_max).toBe('5000');
+      expect(result.current.getFacetOptions('price_range')[0].selected).toBe(true);
+
+      act(() => {
+        result.current.toggleFacetOption('price_range', facets.price_range[1]);
+      });
+      expect(result.current.filters.precio_min).toBe('20000');
+      expect(result.current.filters.precio_max).toBe('');
+    });
+  });
 });
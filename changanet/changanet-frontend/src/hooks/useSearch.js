@@ -13,6 +13,7 @@ export const useSearch = (initialFilters = {}) => {
   const [error, setError] = useState(null);
   const [hasMore, setHasMore] = useState(true);
   const [total, setTotal] = useState(0);
+  const [facets, setFacets] = useState(null);
 
   // Geolocalización del usuario
   const { location: userLocation, requestLocation } = useGeolocation();
@@ -90,6 +91,10 @@ export const useSearch = (initialFilters = {}) => {
         }
 
         setTotal(response.total || 0);
+        // Las facetas se recalculan con cada búsqueda nueva, no al paginar
+        if (!append) {
+          setFacets(response.facets || null);
+        }
         setHasMore(response.professionals.length === 20 && (response.total || 0) > (pageNum * 20));
         setPage(pageNum);
       } else {
@@ -179,6 +184,7 @@ export const useSearch = (initialFilters = {}) => {
     error,
     hasMore,
     total,
+    facets,
     isLoadingMore,
     page,
 
@@ -126,6 +126,28 @@ describe('useSearch Hook - Unit Tests', () => {
       expect(result.current.loading).toBe(false);
     });
 
+    test('guarda las facetas con conteos de la respuesta', async () => {
+      const facets = {
+        specialty: [{ value: 'Plomero', count: 3 }],
+        urgent_available: [{ value: true, count: 1 }]
+      };
+      mockSearchAPI.searchProfessionals.mockResolvedValue({
+        professionals: [{ id: 1, name: 'Juan Pérez' }],
+        total: 1,
+        facets
+      });
+
+      const { result } = renderHook(() => useSearch());
+
+      expect(result.current.facets).toBe(null);
+
+      await act(async () => {
+        await result.current.performSearch({ q: 'plomero' });
+      });
+
+      expect(result.current.facets).toEqual(facets);
+    });
+
     test('incluye ubicación del usuario en la búsqueda', async () => {
       mockUseGeolocation.mockReturnValue({
         location: { latitude: -34.6037, longitude: -58.3816 },
@@ -1,17 +1,22 @@
 // src/pages/ProfessionalDetail.jsx - Página de Detalle del Profesional para Clientes
 import { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import QuoteRequestForm from '../components/QuoteRequestForm';
 import RatingDisplay from '../components/RatingDisplay';
 import BackButton from '../components/BackButton';
 import ProfilePicture from '../components/ProfilePicture';
+import SlotPicker from '../components/SlotPicker';
 
 const ProfessionalDetail = () => {
   const { user } = useAuth();
   const { id: professionalId } = useParams();
   const navigate = useNavigate();
-  const [activeTab, setActiveTab] = useState('about');
+  // Desde la búsqueda se llega con ?turno=<id>&fecha=<yyyy-MM-dd> para reservar el próximo turno libre
+  const [searchParams] = useSearchParams();
+  const preselectedSlotId = searchParams.get('turno');
+  const preselectedDate = searchParams.get('fecha');
+  const [activeTab, setActiveTab] = useState(preselectedSlotId ? 'schedule' : 'about');
   const [showQuoteForm, setShowQuoteForm] = useState(false);
   const [professional, setProfessional] = useState(null);
   const [gallery, setGallery] = useState([]);
@@ -174,6 +179,7 @@ const ProfessionalDetail = () => {
             <nav className="flex flex-wrap">
               {[
                 { id: 'about', label: 'Sobre Mí', icon: '👤' },
+                { id: 'schedule', label: 'Turnos', icon: '📅' },
                 { id: 'gallery', label: 'Galería de Trabajos', icon: '🖼️' },
                 { id: 'reviews', label: 'Reseñas', icon: '⭐' }
               ].map(tab => (
@@ -194,6 +200,16 @@ const ProfessionalDetail = () => {
           </div>
 
           <div className="p-8">
+            {activeTab === 'schedule' && (
+              <div className="animate-fade-in">
+                <SlotPicker
+                  professionalId={professionalId}
+                  initialDate={preselectedDate}
+                  initialSlotId={preselectedSlotId}
+                />
+              </div>
+            )}
+
             {activeTab === 'about' && (
               <div className="animate-fade-in">
                 <h2 className="text-3xl font-bold mb-6 text-gray-800">Sobre Mí</h2>
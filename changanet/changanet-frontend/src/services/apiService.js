@@ -331,10 +331,61 @@ export const professionalsAPI = {
   getReviews: (id) => api.get(`/api/professionals/${id}/reviews`)
 };
 
+/**
+ * Nombres de parámetro que espera /api/search para cada filtro del buscador
+ */
+const SEARCH_PARAM_NAMES = {
+  q: 'q',
+  especialidad: 'specialty',
+  ciudad: 'city',
+  barrio: 'district',
+  precio_min: 'minPrice',
+  precio_max: 'maxPrice',
+  tipo_tarifa: 'rateType',
+  calificacion_min: 'minRating',
+  disponible_desde: 'availableFrom',
+  disponible_hasta: 'availableTo',
+  ordenar_por: 'orderBy',
+  pagina: 'page',
+  limite: 'limit',
+  lat: 'lat',
+  lng: 'lng'
+};
+
+/**
+ * Traduce los filtros del buscador a los parámetros de /api/search
+ */
+const toSearchParams = (filters) => {
+  const params = {};
+
+  Object.entries(SEARCH_PARAM_NAMES).forEach(([filterKey, paramName]) => {
+    const value = filters[filterKey];
+    if (value !== '' && value !== null && value !== undefined) {
+      params[paramName] = value;
+    }
+  });
+
+  if (params.orderBy === 'relevancia') {
+    params.orderBy = 'relevance';
+  }
+  // El radio solo aplica con la ubicación del usuario
+  if (filters.radio && params.lat !== undefined && params.lng !== undefined) {
+    params.radius = filters.radio;
+  }
+  if (filters.verificado) {
+    params.verification = 'verificado';
+  }
+  if (filters.urgente) {
+    params.urgent = 'true';
+  }
+
+  return params;
+};
+
 // Búsqueda y filtros
 export const searchAPI = {
   searchProfessionals: (filters = {}) => {
-    const queryString = new URLSearchParams(filters).toString();
+    const queryString = new URLSearchParams(toSearchParams(filters)).toString();
     return api.get(`/api/search?${queryString}`);
   },
   autocomplete: (query, type = 'all', limit = 10) => {
@@ -343,6 +394,21 @@ export const searchAPI = {
   }
 };
 
+// Parámetros de la búsqueda que no forman parte de una búsqueda guardada (orden, página y franja puntual)
+const UNSAVED_SEARCH_PARAMS = ['orderBy', 'page', 'limit', 'availableFrom', 'availableTo', 'urgent'];
+
+// Búsquedas guardadas con alertas de nuevas coincidencias (solo clientes)
+export const savedSearchesAPI = {
+  getAll: () => api.get('/api/saved-searches', { useCache: false }),
+  create: (nombre, frecuenciaAlertas, filters = {}) => {
+    const filtros = toSearchParams(filters);
+    UNSAVED_SEARCH_PARAMS.forEach((param) => delete filtros[param]);
+    return api.post('/api/saved-searches', { nombre, frecuencia_alertas: frecuenciaAlertas, filtros });
+  },
+  update: (id, data) => api.put(`/api/saved-searches/${id}`, data),
+  delete: (id) => api.delete(`/api/saved-searches/${id}`)
+};
+
 // Cotizaciones
 export const quotesAPI = {
   create: (quoteData) => api.post('/api/quotes', quoteData),
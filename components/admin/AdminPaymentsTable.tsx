@@ -298,10 +298,10 @@ export function AdminPaymentsTable({ showFilters = true, showActions = true }: A
                     <td className="p-3">
                       <div>
                         <div className="font-medium text-gray-900">
-                          {formatCurrency(payment.monto_total)}
+                          {formatCurrency(payment.monto_total, payment.moneda)}
                         </div>
                         <div className="text-xs text-gray-600">
-                          Comisión: {formatCurrency(payment.comision_plataforma)}
+                          Comisión: {formatCurrency(payment.comision_plataforma, payment.moneda)}
                         </div>
                       </div>
                     </td>
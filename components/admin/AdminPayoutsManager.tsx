@@ -226,7 +226,7 @@ export function AdminPayoutsManager({ showStats = true }: AdminPayoutsManagerPro
 
                         <div className="text-right">
                           <p className="text-xl font-bold text-success-600 mb-2">
-                            {formatCurrency(payout.monto_neto)}
+                            {formatCurrency(payout.monto_neto, payout.moneda)}
                           </p>
                           <div className="flex space-x-2">
                             <Button
@@ -247,11 +247,11 @@ export function AdminPayoutsManager({ showStats = true }: AdminPayoutsManagerPro
                       <div className="mt-4 pt-4 border-t grid grid-cols-3 gap-4 text-sm">
                         <div>
                           <span className="text-gray-600">Monto Bruto:</span>
-                          <p className="font-medium">{formatCurrency(payout.monto_bruto)}</p>
+                          <p className="font-medium">{formatCurrency(payout.monto_bruto, payout.moneda)}</p>
                         </div>
                         <div>
                           <span className="text-gray-600">Comisión:</span>
-                          <p className="font-medium">{formatCurrency(payout.comision_plataforma)}</p>
+                          <p className="font-medium">{formatCurrency(payout.comision_plataforma, payout.moneda)}</p>
                         </div>
                         <div>
                           <span className="text-gray-600">Método:</span>
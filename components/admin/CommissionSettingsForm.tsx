@@ -8,7 +8,8 @@ import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/com
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
 import { commissionsApi } from '@/lib/api'
-import { CommissionSetting } from '@/types/payments'
+import { formatCurrency } from '@/utils/format'
+import { CommissionRuleType, CommissionSetting, EffectiveCommissionPreview } from '@/types/payments'
 import {
   Settings,
   Plus,
@@ -19,7 +20,8 @@ import {
   Loader2,
   AlertCircle,
   CheckCircle,
-  Percent
+  Percent,
+  Calculator
 } from 'lucide-react'
 
 const commissionSchema = z.object({
@@ -27,10 +29,50 @@ const commissionSchema = z.object({
   porcentaje: z.number().min(5, 'Mínimo 5%').max(10, 'Máximo 10%'),
   tipo_servicio: z.string().optional(),
   descripcion: z.string().optional(),
+  tipo_regla: z.enum(['general', 'profesional', 'medalla', 'verificacion', 'volumen']).optional(),
+  profesional_id: z.string().optional(),
+  medalla_requerida: z.string().optional(),
+  volumen_mensual_minimo: z.number().int().positive('Debe ser mayor a 0').optional(),
+  valido_desde: z.string().optional(),
+  valido_hasta: z.string().optional(),
 })
 
 type CommissionFormData = z.infer<typeof commissionSchema>
 
+// Orden de precedencia de las reglas (ver commissionService.selectCommissionRule)
+const ruleTypeText: Record<CommissionRuleType, string> = {
+  profesional: 'Tarifa negociada',
+  medalla: 'Por medalla',
+  verificacion: 'Profesionales verificados',
+  volumen: 'Por volumen mensual',
+  general: 'General',
+}
+
+const appliedRuleText: Record<EffectiveCommissionPreview['reglaAplicada'], string> = {
+  ...ruleTypeText,
+  plan: 'Plan de suscripción',
+  general: 'Configuración global',
+  tipo_servicio: 'Configuración por tipo de servicio',
+  defecto: 'Comisión por defecto',
+}
+
+const optionalNumber = (value: string) => (value === '' ? undefined : Number(value))
+
+const describeRule = (setting: CommissionSetting) => {
+  switch (setting.tipo_regla) {
+    case 'profesional':
+      return `${ruleTypeText.profesional} · Profesional ${setting.profesional_id}`
+    case 'medalla':
+      return `${ruleTypeText.medalla} · ${setting.medalla_requerida}`
+    case 'verificacion':
+      return ruleTypeText.verificacion
+    case 'volumen':
+      return `${ruleTypeText.volumen} · ${setting.volumen_mensual_minimo}+ servicios en 30 días`
+    default:
+      return null
+  }
+}
+
 interface CommissionSettingsFormProps {
   onSuccess?: () => void
 }
@@ -42,17 +84,26 @@ export function CommissionSettingsForm({ onSuccess }: CommissionSettingsFormProp
   const [error, setError] = useState<string | null>(null)
   const [editingId, setEditingId] = useState<string | null>(null)
   const [showCreateForm, setShowCreateForm] = useState(false)
+  const [previewProfessionalId, setPreviewProfessionalId] = useState('')
+  const [previewServiceType, setPreviewServiceType] = useState('')
+  const [previewAmount, setPreviewAmount] = useState(10000)
+  const [preview, setPreview] = useState<EffectiveCommissionPreview | null>(null)
+  const [previewError, setPreviewError] = useState<string | null>(null)
+  const [isPreviewLoading, setIsPreviewLoading] = useState(false)
 
   const {
     register,
     handleSubmit,
     reset,
     setValue,
+    watch,
     formState: { errors },
   } = useForm<CommissionFormData>({
     resolver: zodResolver(commissionSchema),
   })
 
+  const watchedRuleType = watch('tipo_regla') || 'general'
+
   useEffect(() => {
     loadSettings()
   }, [])
@@ -79,12 +130,34 @@ export function CommissionSettingsForm({ onSuccess }: CommissionSettingsFormProp
     setIsSubmitting(true)
     setError(null)
 
+    // Los campos de regla solo se envían para reglas condicionadas
+    const {
+      tipo_regla,
+      profesional_id,
+      medalla_requerida,
+      volumen_mensual_minimo,
+      valido_desde,
+      valido_hasta,
+      ...settingData
+    } = data
+    const payload = tipo_regla && tipo_regla !== 'general'
+      ? {
+          ...settingData,
+          tipo_regla,
+          profesional_id,
+          medalla_requerida,
+          volumen_mensual_minimo,
+          valido_desde: valido_desde || undefined,
+          valido_hasta: valido_hasta || undefined,
+        }
+      : settingData
+
     try {
       let response
       if (editingId) {
-        response = await commissionsApi.updateSetting(editingId, data)
+        response = await commissionsApi.updateSetting(editingId, payload)
       } else {
-        response = await commissionsApi.createSetting(data)
+        response = await commissionsApi.createSetting(payload)
       }
 
       if (response.data.success) {
@@ -109,9 +182,37 @@ export function CommissionSettingsForm({ onSuccess }: CommissionSettingsFormProp
     setValue('porcentaje', setting.porcentaje)
     setValue('tipo_servicio', setting.tipo_servicio || '')
     setValue('descripcion', setting.descripcion || '')
+    setValue('tipo_regla', setting.tipo_regla || 'general')
+    setValue('profesional_id', setting.profesional_id || '')
+    setValue('medalla_requerida', setting.medalla_requerida || '')
+    setValue('volumen_mensual_minimo', setting.volumen_mensual_minimo || undefined)
+    setValue('valido_desde', setting.valido_desde ? setting.valido_desde.slice(0, 10) : '')
+    setValue('valido_hasta', setting.valido_hasta ? setting.valido_hasta.slice(0, 10) : '')
     setShowCreateForm(true)
   }
 
+  const loadPreview = async () => {
+    if (!previewProfessionalId.trim()) return
+
+    setIsPreviewLoading(true)
+    setPreviewError(null)
+
+    try {
+      const response = await commissionsApi.getEffectiveCommission(
+        previewProfessionalId.trim(),
+        previewServiceType.trim() || undefined
+      )
+      if (response.data.success) {
+        setPreview(response.data.data)
+      }
+    } catch (error: any) {
+      setPreview(null)
+      setPreviewError(error.response?.data?.error || 'Error al calcular la comisión efectiva')
+    } finally {
+      setIsPreviewLoading(false)
+    }
+  }
+
   const handleDelete = async (settingId: string) => {
     if (!confirm('¿Está seguro de desactivar esta configuración de comisión?')) return
 
@@ -250,6 +351,88 @@ export function CommissionSettingsForm({ onSuccess }: CommissionSettingsFormProp
                         {...register('descripcion')}
                       />
                     </div>
+
+                    <div className="space-y-2">
+                      <label htmlFor="tipo_regla" className="text-sm font-medium">
+                        Aplicar a
+                      </label>
+                      <select
+                        id="tipo_regla"
+                        {...register('tipo_regla')}
+                        className="w-full h-10 px-3 border rounded-md text-sm"
+                      >
+                        <option value="general">Todos los profesionales</option>
+                        <option value="profesional">Un profesional (tarifa negociada)</option>
+                        <option value="medalla">Profesionales con una medalla</option>
+                        <option value="verificacion">Profesionales verificados</option>
+                        <option value="volumen">Profesionales con volumen mensual</option>
+                      </select>
+                      <p className="text-xs text-gray-600">
+                        Precedencia: tarifa negociada, plan de suscripción, medalla, verificación, volumen y luego la configuración general
+                      </p>
+                    </div>
+
+                    {watchedRuleType === 'profesional' && (
+                      <div className="space-y-2">
+                        <label htmlFor="profesional_id" className="text-sm font-medium">
+                          ID del profesional *
+                        </label>
+                        <Input id="profesional_id" {...register('profesional_id')} />
+                      </div>
+                    )}
+
+                    {watchedRuleType === 'medalla' && (
+                      <div className="space-y-2">
+                        <label htmlFor="medalla_requerida" className="text-sm font-medium">
+                          Medalla requerida *
+                        </label>
+                        <select
+                          id="medalla_requerida"
+                          {...register('medalla_requerida')}
+                          className="w-full h-10 px-3 border rounded-md text-sm"
+                        >
+                          <option value="calificaciones">Calificaciones</option>
+                          <option value="puntualidad">Puntualidad</option>
+                          <option value="trabajos_completados">Trabajos completados</option>
+                          <option value="verificado">Verificado</option>
+                        </select>
+                      </div>
+                    )}
+
+                    {watchedRuleType === 'volumen' && (
+                      <div className="space-y-2">
+                        <label htmlFor="volumen_mensual_minimo" className="text-sm font-medium">
+                          Servicios completados en 30 días *
+                        </label>
+                        <Input
+                          id="volumen_mensual_minimo"
+                          type="number"
+                          min="1"
+                          {...register('volumen_mensual_minimo', { setValueAs: optionalNumber })}
+                          className={errors.volumen_mensual_minimo ? 'border-danger-500' : ''}
+                        />
+                        {errors.volumen_mensual_minimo && (
+                          <p className="text-sm text-danger-600">{errors.volumen_mensual_minimo.message}</p>
+                        )}
+                      </div>
+                    )}
+
+                    {watchedRuleType !== 'general' && (
+                      <div className="grid grid-cols-2 gap-2">
+                        <div className="space-y-2">
+                          <label htmlFor="valido_desde" className="text-sm font-medium">
+                            Vigente desde
+                          </label>
+                          <Input id="valido_desde" type="date" {...register('valido_desde')} />
+                        </div>
+                        <div className="space-y-2">
+                          <label htmlFor="valido_hasta" className="text-sm font-medium">
+                            Vigente hasta
+                          </label>
+                          <Input id="valido_hasta" type="date" {...register('valido_hasta')} />
+                        </div>
+                      </div>
+                    )}
                   </div>
 
                   {error && (
@@ -312,11 +495,19 @@ export function CommissionSettingsForm({ onSuccess }: CommissionSettingsFormProp
                             {setting.nombre}
                           </h3>
                           <p className="text-sm text-gray-600">
-                            {setting.tipo_servicio
+                            {describeRule(setting) || (setting.tipo_servicio
                               ? `Tipo: ${setting.tipo_servicio}`
                               : 'Configuración Global'
-                            }
+                            )}
                           </p>
+                          {describeRule(setting) && setting.tipo_servicio && (
+                            <p className="text-sm text-gray-600">Tipo: {setting.tipo_servicio}</p>
+                          )}
+                          {setting.valido_hasta && (
+                            <p className="text-xs text-gray-500">
+                              Vigente hasta {new Date(setting.valido_hasta).toLocaleDateString('es-AR')}
+                            </p>
+                          )}
                           {setting.descripcion && (
                             <p className="text-sm text-gray-500 mt-1">
                               {setting.descripcion}
@@ -373,6 +564,98 @@ export function CommissionSettingsForm({ onSuccess }: CommissionSettingsFormProp
           </div>
         </CardContent>
       </Card>
+
+      {/* Effective Rate Preview */}
+      <Card className="w-full">
+        <CardHeader>
+          <CardTitle className="flex items-center">
+            <Calculator className="w-5 h-5 mr-2" />
+            Comisión efectiva por profesional
+          </CardTitle>
+          <CardDescription>
+            Consulta qué regla aplica hoy a un profesional y cuánto se le cobraría
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+            <div className="space-y-2">
+              <label htmlFor="preview_professional" className="text-sm font-medium">
+                ID del profesional
+              </label>
+              <Input
+                id="preview_professional"
+                value={previewProfessionalId}
+                onChange={(e) => setPreviewProfessionalId(e.target.value)}
+              />
+            </div>
+            <div className="space-y-2">
+              <label htmlFor="preview_service_type" className="text-sm font-medium">
+                Tipo de servicio (opcional)
+              </label>
+              <Input
+                id="preview_service_type"
+                value={previewServiceType}
+                onChange={(e) => setPreviewServiceType(e.target.value)}
+              />
+            </div>
+            <div className="space-y-2">
+              <label htmlFor="preview_amount" className="text-sm font-medium">
+                Monto de ejemplo
+              </label>
+              <Input
+                id="preview_amount"
+                type="number"
+                value={previewAmount}
+                onChange={(e) => setPreviewAmount(Number(e.target.value))}
+              />
+            </div>
+            <Button
+              type="button"
+              variant="outline"
+              onClick={loadPreview}
+              disabled={isPreviewLoading || !previewProfessionalId.trim()}
+            >
+              {isPreviewLoading ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <Calculator className="w-4 h-4 mr-2" />
+              )}
+              Calcular tasa
+            </Button>
+          </div>
+
+          {previewError && (
+            <p className="text-sm text-danger-600 flex items-center">
+              <AlertCircle className="w-4 h-4 mr-1" />
+              {previewError}
+            </p>
+          )}
+
+          {preview && (
+            <div className="p-4 bg-gray-50 rounded-lg grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+              <div>
+                <p className="text-gray-600">{preview.profesional.nombre}</p>
+                <p className="text-2xl font-bold text-primary-600">{preview.porcentaje}% efectivo</p>
+                <p className="text-gray-600">
+                  {appliedRuleText[preview.reglaAplicada]} · {preview.configuracion.nombre}
+                </p>
+              </div>
+              <div className="space-y-1">
+                <p>Plan: {preview.plan.nombre}</p>
+                <p>Verificado: {preview.contexto.verificado ? 'Sí' : 'No'}</p>
+                <p>Medallas: {preview.contexto.medallas.length > 0 ? preview.contexto.medallas.join(', ') : 'Ninguna'}</p>
+                <p>Servicios completados (30 días): {preview.contexto.serviciosCompletados}</p>
+              </div>
+              <div className="space-y-1">
+                <p>Comisión sobre {formatCurrency(previewAmount)}: {formatCurrency(Math.round(previewAmount * preview.porcentaje / 100))}</p>
+                <p className="text-success-600">
+                  Profesional recibe: {formatCurrency(previewAmount - Math.round(previewAmount * preview.porcentaje / 100))}
+                </p>
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
     </div>
   )
 }
\ No newline at end of file
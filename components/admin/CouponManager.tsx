@@ -0,0 +1,339 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import * as z from 'zod'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { couponsApi } from '@/lib/api'
+import { formatCurrency, formatDateTime, cn } from '@/utils/format'
+import { Coupon, DiscountAbsorber } from '@/types/payments'
+import {
+  Tag,
+  Plus,
+  Save,
+  X,
+  Loader2,
+  AlertCircle,
+  Power
+} from 'lucide-react'
+
+const optionalNumber = (value: string) => (value === '' ? undefined : Number(value))
+
+const couponSchema = z.object({
+  codigo: z.string().regex(/^[A-Za-z0-9_-]{3,30}$/, 'Entre 3 y 30 caracteres: letras, números, "-" o "_"'),
+  descripcion: z.string().optional(),
+  tipo: z.enum(['porcentaje', 'monto_fijo']),
+  valor: z.number({ invalid_type_error: 'El valor es requerido' }).positive('Debe ser mayor a 0'),
+  monto_maximo_descuento: z.number().positive().optional(),
+  absorbido_por: z.enum(['plataforma', 'profesional']),
+  profesional_id: z.string().optional(),
+  solo_primer_servicio: z.boolean(),
+  max_usos_totales: z.number().int().positive().optional(),
+  max_usos_por_usuario: z.number().int().positive().optional(),
+  valido_desde: z.string().optional(),
+  valido_hasta: z.string().optional(),
+  categorias: z.string().optional(),
+}).refine((data) => data.tipo !== 'porcentaje' || data.valor <= 100, {
+  message: 'Un descuento porcentual no puede superar el 100%',
+  path: ['valor'],
+}).refine((data) => data.absorbido_por !== 'profesional' || !!data.profesional_id, {
+  message: 'Indique el profesional que absorbe el descuento',
+  path: ['profesional_id'],
+})
+
+type CouponSchemaData = z.infer<typeof couponSchema>
+
+const absorberText: Record<DiscountAbsorber, string> = {
+  plataforma: 'Changánet',
+  profesional: 'Profesional',
+}
+
+export function CouponManager() {
+  const [coupons, setCoupons] = useState<Coupon[]>([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [showCreateForm, setShowCreateForm] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    watch,
+    formState: { errors },
+  } = useForm<CouponSchemaData>({
+    resolver: zodResolver(couponSchema),
+    defaultValues: {
+      tipo: 'porcentaje',
+      absorbido_por: 'plataforma',
+      solo_primer_servicio: false,
+      max_usos_por_usuario: 1,
+    },
+  })
+
+  const watchedAbsorber = watch('absorbido_por')
+
+  useEffect(() => {
+    loadCoupons()
+  }, [])
+
+  const loadCoupons = async () => {
+    try {
+      setIsLoading(true)
+      const response = await couponsApi.getCoupons()
+      if (response.data.success) {
+        setCoupons(response.data.data)
+      }
+      setError(null)
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Error al cargar los cupones')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const onSubmit = async (data: CouponSchemaData) => {
+    setIsSubmitting(true)
+    setError(null)
+
+    try {
+      const response = await couponsApi.createCoupon({
+        ...data,
+        profesional_id: data.profesional_id || undefined,
+        valido_desde: data.valido_desde || undefined,
+        valido_hasta: data.valido_hasta || undefined,
+        categorias: data.categorias
+          ? data.categorias.split(',').map((id) => id.trim()).filter(Boolean)
+          : undefined,
+      })
+
+      if (response.data.success) {
+        await loadCoupons()
+        reset()
+        setShowCreateForm(false)
+      }
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Error al crear el cupón')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const toggleActive = async (coupon: Coupon) => {
+    try {
+      await couponsApi.updateCoupon(coupon.id, { activo: !coupon.activo })
+      await loadCoupons()
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Error al actualizar el cupón')
+    }
+  }
+
+  const formatValue = (coupon: Coupon) =>
+    coupon.tipo === 'porcentaje' ? `${coupon.valor}%` : formatCurrency(coupon.valor)
+
+  return (
+    <Card className="w-full">
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <div>
+            <CardTitle className="flex items-center">
+              <Tag className="w-5 h-5 mr-2" />
+              Cupones de Descuento
+            </CardTitle>
+            <CardDescription>
+              Códigos promocionales aplicables al checkout, con topes de uso, vigencia y categorías
+            </CardDescription>
+          </div>
+          <Button
+            onClick={() => setShowCreateForm(!showCreateForm)}
+            variant={showCreateForm ? 'secondary' : 'default'}
+          >
+            {showCreateForm ? (
+              <>
+                <X className="w-4 h-4 mr-2" />
+                Cancelar
+              </>
+            ) : (
+              <>
+                <Plus className="w-4 h-4 mr-2" />
+                Nuevo Cupón
+              </>
+            )}
+          </Button>
+        </div>
+      </CardHeader>
+
+      <CardContent>
+        {error && (
+          <div className="mb-6 p-4 bg-danger-50 border border-danger-200 rounded-lg">
+            <p className="text-sm text-danger-800 flex items-center">
+              <AlertCircle className="w-4 h-4 mr-2" />
+              {error}
+            </p>
+          </div>
+        )}
+
+        {showCreateForm && (
+          <form onSubmit={handleSubmit(onSubmit)} className="mb-6 p-4 border border-primary-200 rounded-lg space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="space-y-2">
+                <label htmlFor="codigo" className="text-sm font-medium">Código *</label>
+                <Input id="codigo" placeholder="Ej: PRIMERO15" {...register('codigo')} className={cn(errors.codigo && 'border-danger-500')} />
+                {errors.codigo && <p className="text-sm text-danger-600">{errors.codigo.message}</p>}
+              </div>
+
+              <div className="space-y-2">
+                <label htmlFor="tipo" className="text-sm font-medium">Tipo *</label>
+                <select id="tipo" {...register('tipo')} className="w-full h-10 px-3 border rounded-md text-sm">
+                  <option value="porcentaje">Porcentaje</option>
+                  <option value="monto_fijo">Monto fijo</option>
+                </select>
+              </div>
+
+              <div className="space-y-2">
+                <label htmlFor="valor" className="text-sm font-medium">Valor *</label>
+                <Input id="valor" type="number" step="0.01" {...register('valor', { valueAsNumber: true })} className={cn(errors.valor && 'border-danger-500')} />
+                {errors.valor && <p className="text-sm text-danger-600">{errors.valor.message}</p>}
+              </div>
+
+              <div className="space-y-2">
+                <label htmlFor="monto_maximo_descuento" className="text-sm font-medium">Descuento máximo</label>
+                <Input id="monto_maximo_descuento" type="number" placeholder="Sin tope" {...register('monto_maximo_descuento', { setValueAs: optionalNumber })} />
+              </div>
+
+              <div className="space-y-2">
+                <label htmlFor="max_usos_totales" className="text-sm font-medium">Usos totales</label>
+                <Input id="max_usos_totales" type="number" placeholder="Ilimitados" {...register('max_usos_totales', { setValueAs: optionalNumber })} />
+              </div>
+
+              <div className="space-y-2">
+                <label htmlFor="max_usos_por_usuario" className="text-sm font-medium">Usos por cliente</label>
+                <Input id="max_usos_por_usuario" type="number" placeholder="Ilimitados" {...register('max_usos_por_usuario', { setValueAs: optionalNumber })} />
+              </div>
+
+              <div className="space-y-2">
+                <label htmlFor="valido_desde" className="text-sm font-medium">Válido desde</label>
+                <Input id="valido_desde" type="date" {...register('valido_desde')} />
+              </div>
+
+              <div className="space-y-2">
+                <label htmlFor="valido_hasta" className="text-sm font-medium">Válido hasta</label>
+                <Input id="valido_hasta" type="date" {...register('valido_hasta')} />
+              </div>
+
+              <div className="space-y-2">
+                <label htmlFor="absorbido_por" className="text-sm font-medium">Descuento a cargo de *</label>
+                <select id="absorbido_por" {...register('absorbido_por')} className="w-full h-10 px-3 border rounded-md text-sm">
+                  <option value="plataforma">Changánet (la comisión se calcula sobre el precio de lista)</option>
+                  <option value="profesional">Profesional (la comisión se calcula sobre el precio rebajado)</option>
+                </select>
+              </div>
+
+              <div className="space-y-2">
+                <label htmlFor="profesional_id" className="text-sm font-medium">
+                  ID de profesional{watchedAbsorber === 'profesional' && ' *'}
+                </label>
+                <Input id="profesional_id" placeholder="Todos los profesionales" {...register('profesional_id')} className={cn(errors.profesional_id && 'border-danger-500')} />
+                {errors.profesional_id && <p className="text-sm text-danger-600">{errors.profesional_id.message}</p>}
+              </div>
+
+              <div className="space-y-2 md:col-span-2">
+                <label htmlFor="categorias" className="text-sm font-medium">IDs de categorías</label>
+                <Input id="categorias" placeholder="Separados por coma (vacío = todas)" {...register('categorias')} />
+              </div>
+
+              <div className="space-y-2 md:col-span-2">
+                <label htmlFor="descripcion" className="text-sm font-medium">Descripción</label>
+                <Input id="descripcion" placeholder="Ej: 15% off en tu primer servicio" {...register('descripcion')} />
+              </div>
+
+              <label className="flex items-center text-sm font-medium">
+                <input type="checkbox" className="mr-2" {...register('solo_primer_servicio')} />
+                Solo primer servicio
+              </label>
+            </div>
+
+            <Button type="submit" disabled={isSubmitting}>
+              {isSubmitting ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <Save className="w-4 h-4 mr-2" />
+              )}
+              Crear cupón
+            </Button>
+          </form>
+        )}
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-8 text-gray-600">
+            <Loader2 className="w-6 h-6 animate-spin mr-2" />
+            Cargando cupones...
+          </div>
+        ) : coupons.length === 0 ? (
+          <div className="text-center py-8 border-2 border-dashed rounded-lg">
+            <Tag className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No hay cupones</h3>
+            <p className="text-gray-600">Crea un cupón para ofrecer descuentos en el checkout</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b text-left text-gray-600">
+                  <th className="py-2 pr-4">Código</th>
+                  <th className="py-2 pr-4">Descuento</th>
+                  <th className="py-2 pr-4">A cargo de</th>
+                  <th className="py-2 pr-4">Usos</th>
+                  <th className="py-2 pr-4">Vigencia</th>
+                  <th className="py-2 pr-4">Categorías</th>
+                  <th className="py-2 pr-4">Estado</th>
+                  <th className="py-2 pr-4"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {coupons.map((coupon) => (
+                  <tr key={coupon.id} className="border-b">
+                    <td className="py-2 pr-4">
+                      <p className="font-mono font-medium">{coupon.codigo}</p>
+                      {coupon.descripcion && <p className="text-xs text-gray-600">{coupon.descripcion}</p>}
+                    </td>
+                    <td className="py-2 pr-4">
+                      {formatValue(coupon)}
+                      {coupon.monto_maximo_descuento && (
+                        <span className="text-xs text-gray-600"> (máx. {formatCurrency(coupon.monto_maximo_descuento)})</span>
+                      )}
+                      {coupon.solo_primer_servicio && <p className="text-xs text-gray-600">Primer servicio</p>}
+                    </td>
+                    <td className="py-2 pr-4">{absorberText[coupon.absorbido_por]}</td>
+                    <td className="py-2 pr-4">
+                      {coupon.usos_actuales}{coupon.max_usos_totales ? ` / ${coupon.max_usos_totales}` : ''}
+                    </td>
+                    <td className="py-2 pr-4 text-gray-600">
+                      {coupon.valido_hasta ? `Hasta ${formatDateTime(coupon.valido_hasta)}` : 'Sin vencimiento'}
+                    </td>
+                    <td className="py-2 pr-4 text-gray-600">
+                      {coupon.categorias.length > 0 ? coupon.categorias.map((category) => category.nombre).join(', ') : 'Todas'}
+                    </td>
+                    <td className="py-2 pr-4">
+                      <span className={cn('badge', coupon.activo ? 'badge-success' : 'badge-warning')}>
+                        {coupon.activo ? 'Activo' : 'Inactivo'}
+                      </span>
+                    </td>
+                    <td className="py-2 pr-4">
+                      <Button variant="outline" size="sm" onClick={() => toggleActive(coupon)}>
+                        <Power className="w-4 h-4" />
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,244 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import * as z from 'zod'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { exchangeRatesApi } from '@/lib/api'
+import { formatCurrency, formatDateTime, cn } from '@/utils/format'
+import { CurrencyCode, CurrencyList, ExchangeRate } from '@/types/payments'
+import {
+  Coins,
+  Save,
+  Loader2,
+  AlertCircle,
+  History
+} from 'lucide-react'
+
+const rateSchema = z.object({
+  tasa: z.number({ invalid_type_error: 'El tipo de cambio es requerido' }).positive('Debe ser mayor a 0'),
+  vigente_desde: z.string().optional(),
+  fuente: z.string().max(100).optional(),
+})
+
+type RateSchemaData = z.infer<typeof rateSchema>
+
+export function ExchangeRates() {
+  const [currencies, setCurrencies] = useState<CurrencyList | null>(null)
+  const [selected, setSelected] = useState<CurrencyCode | null>(null)
+  const [history, setHistory] = useState<ExchangeRate[]>([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  const [message, setMessage] = useState<string | null>(null)
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm<RateSchemaData>({
+    resolver: zodResolver(rateSchema),
+  })
+
+  useEffect(() => {
+    loadCurrencies()
+  }, [])
+
+  useEffect(() => {
+    if (selected) {
+      loadHistory(selected)
+    }
+  }, [selected])
+
+  const loadCurrencies = async () => {
+    try {
+      setIsLoading(true)
+      const response = await exchangeRatesApi.getCurrencies()
+      if (response.data.success) {
+        const data = response.data.data
+        setCurrencies(data)
+        setSelected((current) => current || data.monedas.find((currency) => currency.codigo !== data.base)?.codigo || null)
+      }
+      setError(null)
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Error al cargar los tipos de cambio')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const loadHistory = async (currency: CurrencyCode) => {
+    try {
+      const response = await exchangeRatesApi.getHistory(currency)
+      if (response.data.success) {
+        setHistory(response.data.data)
+      }
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Error al cargar el historial')
+    }
+  }
+
+  const saveRate = async (data: RateSchemaData) => {
+    if (!selected) return
+
+    setIsSubmitting(true)
+    setError(null)
+    setMessage(null)
+
+    try {
+      const response = await exchangeRatesApi.setRate(selected, {
+        tasa: data.tasa,
+        vigente_desde: data.vigente_desde ? new Date(data.vigente_desde).toISOString() : undefined,
+        fuente: data.fuente || undefined,
+      })
+      if (response.data.success) {
+        setMessage(response.data.message || 'Tipo de cambio actualizado')
+        reset({ tasa: undefined, vigente_desde: '', fuente: '' })
+        await Promise.all([loadCurrencies(), loadHistory(selected)])
+      }
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Error al guardar el tipo de cambio')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const base = currencies?.base || 'ARS'
+
+  return (
+    <div className="space-y-6">
+      <Card className="w-full">
+        <CardHeader>
+          <CardTitle className="flex items-center">
+            <Coins className="w-5 h-5 mr-2" />
+            Monedas y tipos de cambio
+          </CardTitle>
+          <CardDescription>
+            Cuántos {base} vale una unidad de cada moneda. Cada pago guarda el tipo de cambio vigente al crearse,
+            que se usa para consolidar reportes y convertir montos fijos (cupones, mínimos de pago).
+          </CardDescription>
+        </CardHeader>
+
+        <CardContent>
+          {error && (
+            <div className="mb-6 p-4 bg-danger-50 border border-danger-200 rounded-lg">
+              <p className="text-sm text-danger-800 flex items-center">
+                <AlertCircle className="w-4 h-4 mr-2" />
+                {error}
+              </p>
+            </div>
+          )}
+
+          {message && (
+            <div className="mb-6 p-4 bg-primary-50 border border-primary-200 rounded-lg">
+              <p className="text-sm text-primary-800">{message}</p>
+            </div>
+          )}
+
+          {isLoading && !currencies ? (
+            <div className="flex items-center justify-center py-8 text-gray-600">
+              <Loader2 className="w-6 h-6 animate-spin mr-2" />
+              Cargando monedas...
+            </div>
+          ) : currencies && (
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-8">
+              {currencies.monedas.map((currency) => (
+                <button
+                  key={currency.codigo}
+                  type="button"
+                  disabled={currency.codigo === base}
+                  onClick={() => setSelected(currency.codigo)}
+                  className={cn(
+                    'p-4 border rounded-lg text-left',
+                    selected === currency.codigo && 'border-primary-500 bg-primary-50',
+                    currency.codigo === base && 'bg-gray-50 cursor-default'
+                  )}
+                >
+                  <p className="text-sm text-gray-600">{currency.nombre}</p>
+                  <p className="text-lg font-semibold">{currency.codigo}</p>
+                  <p className="text-sm">
+                    {currency.codigo === base
+                      ? 'Moneda base'
+                      : currency.tasa !== null
+                        ? `1 ${currency.codigo} = ${formatCurrency(currency.tasa, base)}`
+                        : <span className="text-danger-600">Sin tipo de cambio: no se pueden cobrar pagos</span>}
+                  </p>
+                  {currency.vigente_desde && (
+                    <p className="text-xs text-gray-500">Desde {formatDateTime(currency.vigente_desde)}</p>
+                  )}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {selected && (
+            <form onSubmit={handleSubmit(saveRate)} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end mb-8">
+              <div className="space-y-1">
+                <label htmlFor="tasa" className="text-sm font-medium">{base} por 1 {selected} *</label>
+                <Input
+                  id="tasa"
+                  type="number"
+                  step="0.0001"
+                  {...register('tasa', { valueAsNumber: true })}
+                  className={cn(errors.tasa && 'border-danger-500')}
+                />
+                {errors.tasa && <p className="text-xs text-danger-600">{errors.tasa.message}</p>}
+              </div>
+              <div className="space-y-1">
+                <label htmlFor="vigente_desde" className="text-sm font-medium">Vigente desde</label>
+                <Input id="vigente_desde" type="datetime-local" {...register('vigente_desde')} />
+              </div>
+              <div className="space-y-1">
+                <label htmlFor="fuente" className="text-sm font-medium">Fuente</label>
+                <Input id="fuente" placeholder="Ej. BCU" {...register('fuente')} />
+              </div>
+              <Button type="submit" disabled={isSubmitting}>
+                {isSubmitting ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Save className="w-4 h-4 mr-2" />}
+                Cargar tipo de cambio
+              </Button>
+            </form>
+          )}
+
+          {selected && (
+            <div>
+              <h3 className="text-sm font-medium text-gray-900 mb-2 flex items-center">
+                <History className="w-4 h-4 mr-2" />
+                Historial de {selected}
+              </h3>
+              {history.length === 0 ? (
+                <p className="text-sm text-gray-600">Todavía no se cargaron tipos de cambio para {selected}</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="border-b text-left text-gray-600">
+                        <th className="py-2 pr-4">Vigente desde</th>
+                        <th className="py-2 pr-4 text-right">Tipo de cambio</th>
+                        <th className="py-2 pr-4">Fuente</th>
+                        <th className="py-2 pr-4">Cargado</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {history.map((rate) => (
+                        <tr key={rate.id} className="border-b">
+                          <td className="py-2 pr-4">{formatDateTime(rate.vigente_desde)}</td>
+                          <td className="py-2 pr-4 text-right">{rate.tasa}</td>
+                          <td className="py-2 pr-4">{rate.fuente || '-'}</td>
+                          <td className="py-2 pr-4">{formatDateTime(rate.creado_en)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
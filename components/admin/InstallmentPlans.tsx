@@ -0,0 +1,280 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import * as z from 'zod'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { installmentPlansApi } from '@/lib/api'
+import { formatCurrency, cn } from '@/utils/format'
+import { InstallmentPlan } from '@/types/payments'
+import {
+  CalendarClock,
+  Plus,
+  Save,
+  X,
+  Loader2,
+  AlertCircle,
+  Power
+} from 'lucide-react'
+
+const optionalNumber = (value: string) => (value === '' ? undefined : Number(value))
+
+const planSchema = z.object({
+  nombre: z.string().trim().min(1, 'El nombre es requerido'),
+  cuotas: z.number({ invalid_type_error: 'La cantidad de cuotas es requerida' }).int().min(2, 'Mínimo 2 cuotas').max(24, 'Máximo 24 cuotas'),
+  sin_interes: z.boolean(),
+  tasa_interes: z.number().min(0).max(100, 'Máximo 100%').optional(),
+  costo_financiacion: z.number().min(0).max(100, 'Máximo 100%').optional(),
+  monto_minimo: z.number().positive('Debe ser mayor a 0').optional(),
+  categorias: z.string().optional(),
+}).refine((data) => !data.sin_interes || !data.tasa_interes, {
+  message: 'Un plan sin interés no tiene recargo para el cliente',
+  path: ['tasa_interes'],
+}).refine((data) => data.sin_interes || !data.costo_financiacion, {
+  message: 'Solo los planes sin interés tienen costo a cargo de Changánet',
+  path: ['costo_financiacion'],
+})
+
+type PlanSchemaData = z.infer<typeof planSchema>
+
+export function InstallmentPlans() {
+  const [plans, setPlans] = useState<InstallmentPlan[]>([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [showCreateForm, setShowCreateForm] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    watch,
+    formState: { errors },
+  } = useForm<PlanSchemaData>({
+    resolver: zodResolver(planSchema),
+    defaultValues: {
+      cuotas: 3,
+      sin_interes: false,
+    },
+  })
+
+  const watchedInterestFree = watch('sin_interes')
+
+  useEffect(() => {
+    loadPlans()
+  }, [])
+
+  const loadPlans = async () => {
+    try {
+      setIsLoading(true)
+      const response = await installmentPlansApi.getPlans()
+      if (response.data.success) {
+        setPlans(response.data.data)
+      }
+      setError(null)
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Error al cargar los planes de cuotas')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const onSubmit = async (data: PlanSchemaData) => {
+    setIsSubmitting(true)
+    setError(null)
+
+    try {
+      const response = await installmentPlansApi.createPlan({
+        ...data,
+        tasa_interes: data.sin_interes ? undefined : data.tasa_interes,
+        costo_financiacion: data.sin_interes ? data.costo_financiacion : undefined,
+        categorias: data.categorias
+          ? data.categorias.split(',').map((id) => id.trim()).filter(Boolean)
+          : undefined,
+      })
+
+      if (response.data.success) {
+        await loadPlans()
+        reset()
+        setShowCreateForm(false)
+      }
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Error al crear el plan de cuotas')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const toggleActive = async (plan: InstallmentPlan) => {
+    try {
+      await installmentPlansApi.updatePlan(plan.id, { activo: !plan.activo })
+      await loadPlans()
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Error al actualizar el plan de cuotas')
+    }
+  }
+
+  return (
+    <Card className="w-full">
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <div>
+            <CardTitle className="flex items-center">
+              <CalendarClock className="w-5 h-5 mr-2" />
+              Planes de Cuotas
+            </CardTitle>
+            <CardDescription>
+              Cuotas ofrecidas en el checkout por categoría y monto mínimo. En las promociones sin interés
+              Changánet absorbe el costo de financiación y la comisión se calcula sobre el neto acreditado.
+            </CardDescription>
+          </div>
+          <Button
+            onClick={() => setShowCreateForm(!showCreateForm)}
+            variant={showCreateForm ? 'secondary' : 'default'}
+          >
+            {showCreateForm ? (
+              <>
+                <X className="w-4 h-4 mr-2" />
+                Cancelar
+              </>
+            ) : (
+              <>
+                <Plus className="w-4 h-4 mr-2" />
+                Nuevo Plan
+              </>
+            )}
+          </Button>
+        </div>
+      </CardHeader>
+
+      <CardContent>
+        {error && (
+          <div className="mb-6 p-4 bg-danger-50 border border-danger-200 rounded-lg">
+            <p className="text-sm text-danger-800 flex items-center">
+              <AlertCircle className="w-4 h-4 mr-2" />
+              {error}
+            </p>
+          </div>
+        )}
+
+        {showCreateForm && (
+          <form onSubmit={handleSubmit(onSubmit)} className="mb-6 p-4 border border-primary-200 rounded-lg space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="space-y-2">
+                <label htmlFor="nombre" className="text-sm font-medium">Nombre *</label>
+                <Input id="nombre" placeholder="Ej: 3 cuotas sin interés" {...register('nombre')} className={cn(errors.nombre && 'border-danger-500')} />
+                {errors.nombre && <p className="text-sm text-danger-600">{errors.nombre.message}</p>}
+              </div>
+
+              <div className="space-y-2">
+                <label htmlFor="cuotas" className="text-sm font-medium">Cuotas *</label>
+                <Input id="cuotas" type="number" {...register('cuotas', { valueAsNumber: true })} className={cn(errors.cuotas && 'border-danger-500')} />
+                {errors.cuotas && <p className="text-sm text-danger-600">{errors.cuotas.message}</p>}
+              </div>
+
+              <div className="space-y-2">
+                <label htmlFor="monto_minimo" className="text-sm font-medium">Monto mínimo (ARS)</label>
+                <Input id="monto_minimo" type="number" placeholder="Sin mínimo" {...register('monto_minimo', { setValueAs: optionalNumber })} className={cn(errors.monto_minimo && 'border-danger-500')} />
+                {errors.monto_minimo && <p className="text-sm text-danger-600">{errors.monto_minimo.message}</p>}
+              </div>
+
+              {watchedInterestFree ? (
+                <div className="space-y-2">
+                  <label htmlFor="costo_financiacion" className="text-sm font-medium">Costo para Changánet (%)</label>
+                  <Input id="costo_financiacion" type="number" step="0.01" {...register('costo_financiacion', { setValueAs: optionalNumber })} className={cn(errors.costo_financiacion && 'border-danger-500')} />
+                  {errors.costo_financiacion && <p className="text-sm text-danger-600">{errors.costo_financiacion.message}</p>}
+                </div>
+              ) : (
+                <div className="space-y-2">
+                  <label htmlFor="tasa_interes" className="text-sm font-medium">Recargo para el cliente (%)</label>
+                  <Input id="tasa_interes" type="number" step="0.01" {...register('tasa_interes', { setValueAs: optionalNumber })} className={cn(errors.tasa_interes && 'border-danger-500')} />
+                  {errors.tasa_interes && <p className="text-sm text-danger-600">{errors.tasa_interes.message}</p>}
+                </div>
+              )}
+
+              <div className="space-y-2 md:col-span-2">
+                <label htmlFor="categorias" className="text-sm font-medium">IDs de categorías</label>
+                <Input id="categorias" placeholder="Separados por coma (vacío = todas)" {...register('categorias')} />
+              </div>
+
+              <label className="flex items-center text-sm font-medium">
+                <input type="checkbox" className="mr-2" {...register('sin_interes')} />
+                Promoción sin interés
+              </label>
+            </div>
+
+            <Button type="submit" disabled={isSubmitting}>
+              {isSubmitting ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <Save className="w-4 h-4 mr-2" />
+              )}
+              Crear plan
+            </Button>
+          </form>
+        )}
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-8 text-gray-600">
+            <Loader2 className="w-6 h-6 animate-spin mr-2" />
+            Cargando planes...
+          </div>
+        ) : plans.length === 0 ? (
+          <div className="text-center py-8 border-2 border-dashed rounded-lg">
+            <CalendarClock className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No hay planes de cuotas</h3>
+            <p className="text-gray-600">Crea un plan para ofrecer pagos en cuotas en el checkout</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b text-left text-gray-600">
+                  <th className="py-2 pr-4">Plan</th>
+                  <th className="py-2 pr-4">Cuotas</th>
+                  <th className="py-2 pr-4">Condiciones</th>
+                  <th className="py-2 pr-4">Monto mínimo</th>
+                  <th className="py-2 pr-4">Categorías</th>
+                  <th className="py-2 pr-4">Estado</th>
+                  <th className="py-2 pr-4"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {plans.map((plan) => (
+                  <tr key={plan.id} className="border-b">
+                    <td className="py-2 pr-4 font-medium">{plan.nombre}</td>
+                    <td className="py-2 pr-4">{plan.cuotas}</td>
+                    <td className="py-2 pr-4">
+                      {plan.sin_interes
+                        ? `Sin interés (costo ${plan.costo_financiacion}% a cargo de Changánet)`
+                        : `Recargo ${plan.tasa_interes}% al cliente`}
+                    </td>
+                    <td className="py-2 pr-4 text-gray-600">
+                      {plan.monto_minimo ? formatCurrency(plan.monto_minimo) : 'Sin mínimo'}
+                    </td>
+                    <td className="py-2 pr-4 text-gray-600">
+                      {plan.categorias.length > 0 ? plan.categorias.map((category) => category.nombre).join(', ') : 'Todas'}
+                    </td>
+                    <td className="py-2 pr-4">
+                      <span className={cn('badge', plan.activo ? 'badge-success' : 'badge-warning')}>
+                        {plan.activo ? 'Activo' : 'Inactivo'}
+                      </span>
+                    </td>
+                    <td className="py-2 pr-4">
+                      <Button variant="outline" size="sm" onClick={() => toggleActive(plan)}>
+                        <Power className="w-4 h-4" />
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,313 @@
+'use client'
+
+import { useState, useEffect, useRef } from 'react'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { reconciliationApi } from '@/lib/api'
+import { formatCurrency, formatDateTime, cn } from '@/utils/format'
+import { ReconciliationDifference, ReconciliationDifferenceType, SettlementReconciliation as Reconciliation } from '@/types/payments'
+import {
+  FileSpreadsheet,
+  Upload,
+  RefreshCw,
+  Loader2,
+  AlertCircle,
+  CheckCircle,
+  Copy,
+  SearchX,
+  Scale
+} from 'lucide-react'
+
+const differenceTypeText: Record<ReconciliationDifferenceType, string> = {
+  faltante_en_sistema: 'Falta en el sistema',
+  faltante_en_reporte: 'Falta en el reporte',
+  duplicado: 'Duplicado',
+  diferencia_monto: 'Diferencia de monto',
+}
+
+const differenceTypeColor: Record<ReconciliationDifferenceType, string> = {
+  faltante_en_sistema: 'badge-danger',
+  faltante_en_reporte: 'badge-warning',
+  duplicado: 'badge-info',
+  diferencia_monto: 'badge-danger',
+}
+
+const reportTypeText: Record<Reconciliation['tipo_reporte'], string> = {
+  liquidaciones: 'Liquidaciones',
+  liberaciones: 'Liberaciones',
+}
+
+export function SettlementReconciliation() {
+  const [reconciliations, setReconciliations] = useState<Reconciliation[]>([])
+  const [selected, setSelected] = useState<Reconciliation | null>(null)
+  const [typeFilter, setTypeFilter] = useState<ReconciliationDifferenceType | 'todas'>('todas')
+  const [isLoading, setIsLoading] = useState(true)
+  const [isUploading, setIsUploading] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  const fileInputRef = useRef<HTMLInputElement>(null)
+
+  useEffect(() => {
+    loadReconciliations()
+  }, [])
+
+  const loadReconciliations = async () => {
+    try {
+      setIsLoading(true)
+      const response = await reconciliationApi.getReconciliations()
+      if (response.data.success) {
+        setReconciliations(response.data.data)
+      }
+      setError(null)
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Error al cargar las conciliaciones')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const loadDetail = async (reconciliationId: string) => {
+    try {
+      const response = await reconciliationApi.getReconciliation(reconciliationId)
+      if (response.data.success) {
+        setSelected(response.data.data)
+        setTypeFilter('todas')
+      }
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Error al cargar el detalle de la conciliación')
+    }
+  }
+
+  const handleUpload = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+
+    setIsUploading(true)
+    setError(null)
+
+    try {
+      const response = await reconciliationApi.uploadReport(file)
+      if (response.data.success) {
+        setSelected(response.data.data)
+        setTypeFilter('todas')
+        await loadReconciliations()
+      }
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Error al procesar el reporte')
+    } finally {
+      setIsUploading(false)
+    }
+  }
+
+  const differences: ReconciliationDifference[] = (selected?.diferencias || []).filter(
+    (item) => typeFilter === 'todas' || item.tipo === typeFilter
+  )
+
+  const summaryCards = selected ? [
+    { label: 'Conciliados', value: selected.conciliados, icon: CheckCircle, color: 'text-success-600' },
+    { label: 'Faltan en el sistema', value: selected.faltantes_en_sistema, icon: SearchX, color: 'text-danger-600', tipo: 'faltante_en_sistema' as const },
+    { label: 'Faltan en el reporte', value: selected.faltantes_en_reporte, icon: SearchX, color: 'text-warning-600', tipo: 'faltante_en_reporte' as const },
+    { label: 'Duplicados', value: selected.duplicados, icon: Copy, color: 'text-primary-600', tipo: 'duplicado' as const },
+    { label: 'Diferencias de monto', value: selected.diferencias_monto, icon: Scale, color: 'text-danger-600', tipo: 'diferencia_monto' as const },
+  ] : []
+
+  return (
+    <div className="space-y-6">
+      <Card className="w-full">
+        <CardHeader>
+          <div className="flex items-center justify-between">
+            <div>
+              <CardTitle className="flex items-center">
+                <FileSpreadsheet className="w-5 h-5 mr-2" />
+                Conciliación con Mercado Pago
+              </CardTitle>
+              <CardDescription>
+                Sube el reporte de liquidaciones o de liberaciones (CSV) para compararlo con los pagos registrados
+              </CardDescription>
+            </div>
+            <div className="flex space-x-2">
+              <Button onClick={loadReconciliations} disabled={isLoading} variant="outline">
+                <RefreshCw className={cn('w-4 h-4 mr-2', isLoading && 'animate-spin')} />
+                Actualizar
+              </Button>
+              <Button onClick={() => fileInputRef.current?.click()} disabled={isUploading}>
+                {isUploading ? (
+                  <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                ) : (
+                  <Upload className="w-4 h-4 mr-2" />
+                )}
+                Subir reporte
+              </Button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".csv,text/csv"
+                className="hidden"
+                onChange={handleUpload}
+              />
+            </div>
+          </div>
+        </CardHeader>
+
+        <CardContent>
+          {error && (
+            <div className="mb-6 p-4 bg-danger-50 border border-danger-200 rounded-lg">
+              <p className="text-sm text-danger-800 flex items-center">
+                <AlertCircle className="w-4 h-4 mr-2" />
+                {error}
+              </p>
+            </div>
+          )}
+
+          {isLoading ? (
+            <div className="flex items-center justify-center py-8 text-gray-600">
+              <Loader2 className="w-6 h-6 animate-spin mr-2" />
+              Cargando conciliaciones...
+            </div>
+          ) : reconciliations.length === 0 ? (
+            <div className="text-center py-8 border-2 border-dashed rounded-lg">
+              <FileSpreadsheet className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+              <h3 className="text-lg font-medium text-gray-900 mb-2">
+                Todavía no se conciliaron reportes
+              </h3>
+              <p className="text-gray-600">
+                Descarga el reporte desde Mercado Pago y súbelo para verificar los cobros
+              </p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b text-left text-gray-600">
+                    <th className="py-2 pr-4">Fecha</th>
+                    <th className="py-2 pr-4">Archivo</th>
+                    <th className="py-2 pr-4">Tipo</th>
+                    <th className="py-2 pr-4">Período</th>
+                    <th className="py-2 pr-4 text-right">Filas</th>
+                    <th className="py-2 pr-4">Estado</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {reconciliations.map((reconciliation) => (
+                    <tr
+                      key={reconciliation.id}
+                      onClick={() => loadDetail(reconciliation.id)}
+                      className={cn(
+                        'border-b cursor-pointer hover:bg-gray-50',
+                        selected?.id === reconciliation.id && 'bg-primary-50'
+                      )}
+                    >
+                      <td className="py-2 pr-4">{formatDateTime(reconciliation.creado_en)}</td>
+                      <td className="py-2 pr-4 font-medium">{reconciliation.archivo_nombre}</td>
+                      <td className="py-2 pr-4">{reportTypeText[reconciliation.tipo_reporte]}</td>
+                      <td className="py-2 pr-4 text-gray-600">
+                        {reconciliation.periodo_desde && reconciliation.periodo_hasta
+                          ? `${formatDateTime(reconciliation.periodo_desde)} – ${formatDateTime(reconciliation.periodo_hasta)}`
+                          : '-'}
+                      </td>
+                      <td className="py-2 pr-4 text-right">{reconciliation.total_filas}</td>
+                      <td className="py-2 pr-4">
+                        <span className={cn('badge', reconciliation.estado === 'conciliado' ? 'badge-success' : 'badge-danger')}>
+                          {reconciliation.estado === 'conciliado' ? 'Conciliado' : 'Con diferencias'}
+                        </span>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {selected && (
+        <Card className="w-full">
+          <CardHeader>
+            <CardTitle>{selected.archivo_nombre}</CardTitle>
+            <CardDescription>
+              Reporte de {reportTypeText[selected.tipo_reporte].toLowerCase()} · {selected.total_filas} filas · procesado el {formatDateTime(selected.creado_en)}
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+              {summaryCards.map((card) => {
+                const Icon = card.icon
+                const isActive = card.tipo && typeFilter === card.tipo
+
+                return (
+                  <button
+                    key={card.label}
+                    type="button"
+                    disabled={!card.tipo}
+                    onClick={() => card.tipo && setTypeFilter(isActive ? 'todas' : card.tipo)}
+                    className={cn(
+                      'p-4 border rounded-lg text-left',
+                      card.tipo && 'hover:bg-gray-50',
+                      isActive && 'border-primary-500 bg-primary-50'
+                    )}
+                  >
+                    <div className="flex items-center justify-between">
+                      <p className="text-xs text-gray-600">{card.label}</p>
+                      <Icon className={cn('w-4 h-4', card.color)} />
+                    </div>
+                    <p className={cn('text-2xl font-bold', card.color)}>{card.value}</p>
+                  </button>
+                )
+              })}
+            </div>
+
+            {differences.length === 0 ? (
+              <div className="text-center py-6 text-success-600 flex items-center justify-center">
+                <CheckCircle className="w-5 h-5 mr-2" />
+                {selected.estado === 'conciliado'
+                  ? 'Todos los pagos del reporte coinciden con los registrados'
+                  : 'No hay diferencias de este tipo'}
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b text-left text-gray-600">
+                      <th className="py-2 pr-4">Tipo</th>
+                      <th className="py-2 pr-4">ID Mercado Pago</th>
+                      <th className="py-2 pr-4">Pago</th>
+                      <th className="py-2 pr-4 text-right">Reporte</th>
+                      <th className="py-2 pr-4 text-right">Sistema</th>
+                      <th className="py-2 pr-4 text-right">Diferencia</th>
+                      <th className="py-2 pr-4">Filas</th>
+                      <th className="py-2 pr-4">Detalle</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {differences.map((item) => (
+                      <tr key={item.id} className="border-b align-top">
+                        <td className="py-2 pr-4">
+                          <span className={cn('badge', differenceTypeColor[item.tipo])}>
+                            {differenceTypeText[item.tipo]}
+                          </span>
+                        </td>
+                        <td className="py-2 pr-4 font-mono">{item.mercado_pago_id || '-'}</td>
+                        <td className="py-2 pr-4 font-mono text-xs">{item.pago_id ? item.pago_id.slice(0, 8) : '-'}</td>
+                        <td className="py-2 pr-4 text-right">
+                          {item.monto_reporte != null ? formatCurrency(item.monto_reporte) : '-'}
+                        </td>
+                        <td className="py-2 pr-4 text-right">
+                          {item.monto_sistema != null ? formatCurrency(item.monto_sistema) : '-'}
+                        </td>
+                        <td className={cn('py-2 pr-4 text-right font-medium', item.diferencia && 'text-danger-600')}>
+                          {item.diferencia != null ? formatCurrency(item.diferencia) : '-'}
+                        </td>
+                        <td className="py-2 pr-4 text-gray-600">{item.filas || '-'}</td>
+                        <td className="py-2 pr-4 text-gray-600">{item.detalle}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  )
+}
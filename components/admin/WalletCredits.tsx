@@ -0,0 +1,219 @@
+'use client'
+
+import { useState } from 'react'
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import * as z from 'zod'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { walletApi } from '@/lib/api'
+import { formatCurrency, formatDateTime, getWalletMovementText, cn } from '@/utils/format'
+import { Wallet } from '@/types/payments'
+import {
+  PiggyBank,
+  Search,
+  Plus,
+  Loader2,
+  AlertCircle
+} from 'lucide-react'
+
+const grantSchema = z.object({
+  monto: z.number({ invalid_type_error: 'El monto es requerido' }).positive('Debe ser mayor a 0'),
+  tipo: z.enum(['compensacion', 'referido']),
+  motivo: z.string().trim().min(5, 'Indica el motivo del crédito (mínimo 5 caracteres)').max(500),
+})
+
+type GrantSchemaData = z.infer<typeof grantSchema>
+
+export function WalletCredits() {
+  const [userId, setUserId] = useState('')
+  const [clientId, setClientId] = useState<string | null>(null)
+  const [wallet, setWallet] = useState<Wallet | null>(null)
+  const [isLoading, setIsLoading] = useState(false)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  const [message, setMessage] = useState<string | null>(null)
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm<GrantSchemaData>({
+    resolver: zodResolver(grantSchema),
+    defaultValues: { tipo: 'compensacion' },
+  })
+
+  const loadWallet = async (id: string) => {
+    try {
+      setIsLoading(true)
+      const response = await walletApi.getUserWallet(id)
+      if (response.data.success) {
+        setWallet(response.data.data)
+        setClientId(id)
+      }
+      setError(null)
+    } catch (error: any) {
+      setWallet(null)
+      setClientId(null)
+      setError(error.response?.data?.error || 'Error al cargar la billetera')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const grantCredit = async (data: GrantSchemaData) => {
+    if (!clientId) return
+
+    setIsSubmitting(true)
+    setError(null)
+    setMessage(null)
+
+    try {
+      const response = await walletApi.grantCredit(clientId, data)
+      if (response.data.success) {
+        setMessage(response.data.message || 'Crédito otorgado')
+        reset({ monto: undefined, tipo: data.tipo, motivo: '' })
+        await loadWallet(clientId)
+      }
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Error al otorgar el crédito')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <Card className="w-full">
+        <CardHeader>
+          <CardTitle className="flex items-center">
+            <PiggyBank className="w-5 h-5 mr-2" />
+            Billeteras de clientes
+          </CardTitle>
+          <CardDescription>
+            Otorga crédito de la plataforma por compensaciones o referidos. Cada crédito queda registrado
+            con su motivo y el cliente puede aplicarlo al pagar un servicio.
+          </CardDescription>
+        </CardHeader>
+
+        <CardContent>
+          {error && (
+            <div className="mb-6 p-4 bg-danger-50 border border-danger-200 rounded-lg">
+              <p className="text-sm text-danger-800 flex items-center">
+                <AlertCircle className="w-4 h-4 mr-2" />
+                {error}
+              </p>
+            </div>
+          )}
+
+          {message && (
+            <div className="mb-6 p-4 bg-primary-50 border border-primary-200 rounded-lg">
+              <p className="text-sm text-primary-800">{message}</p>
+            </div>
+          )}
+
+          <form
+            onSubmit={(e) => {
+              e.preventDefault()
+              if (userId.trim()) loadWallet(userId.trim())
+            }}
+            className="flex gap-2 mb-8"
+          >
+            <Input
+              placeholder="ID del cliente"
+              value={userId}
+              onChange={(e) => setUserId(e.target.value)}
+            />
+            <Button type="submit" disabled={isLoading || !userId.trim()}>
+              {isLoading ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Search className="w-4 h-4 mr-2" />}
+              Buscar
+            </Button>
+          </form>
+
+          {wallet && clientId && (
+            <>
+              <div className="mb-6 p-4 bg-gray-50 border rounded-lg">
+                <p className="text-sm text-gray-600">Saldo disponible</p>
+                <p className="text-2xl font-bold">{formatCurrency(wallet.saldo, wallet.moneda)}</p>
+              </div>
+
+              <form onSubmit={handleSubmit(grantCredit)} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end mb-8">
+                <div className="space-y-1">
+                  <label htmlFor="monto" className="text-sm font-medium">Monto ({wallet.moneda}) *</label>
+                  <Input
+                    id="monto"
+                    type="number"
+                    step="0.01"
+                    {...register('monto', { valueAsNumber: true })}
+                    className={cn(errors.monto && 'border-danger-500')}
+                  />
+                  {errors.monto && <p className="text-xs text-danger-600">{errors.monto.message}</p>}
+                </div>
+                <div className="space-y-1">
+                  <label htmlFor="tipo" className="text-sm font-medium">Tipo *</label>
+                  <select
+                    id="tipo"
+                    {...register('tipo')}
+                    className="w-full h-10 px-3 border rounded-md text-sm"
+                  >
+                    <option value="compensacion">Compensación</option>
+                    <option value="referido">Referido</option>
+                  </select>
+                </div>
+                <div className="space-y-1">
+                  <label htmlFor="motivo" className="text-sm font-medium">Motivo *</label>
+                  <Input
+                    id="motivo"
+                    placeholder="Ej. Demora en el servicio"
+                    {...register('motivo')}
+                    className={cn(errors.motivo && 'border-danger-500')}
+                  />
+                  {errors.motivo && <p className="text-xs text-danger-600">{errors.motivo.message}</p>}
+                </div>
+                <Button type="submit" disabled={isSubmitting}>
+                  {isSubmitting ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Plus className="w-4 h-4 mr-2" />}
+                  Otorgar crédito
+                </Button>
+              </form>
+
+              {wallet.movimientos.length === 0 ? (
+                <p className="text-sm text-gray-600">La billetera no tiene movimientos</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="border-b text-left text-gray-600">
+                        <th className="py-2 pr-4">Fecha</th>
+                        <th className="py-2 pr-4">Movimiento</th>
+                        <th className="py-2 pr-4">Motivo</th>
+                        <th className="py-2 pr-4">Pago</th>
+                        <th className="py-2 pr-4 text-right">Monto</th>
+                        <th className="py-2 pr-4 text-right">Saldo</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {wallet.movimientos.map((movement) => (
+                        <tr key={movement.id} className="border-b">
+                          <td className="py-2 pr-4">{formatDateTime(movement.creado_en)}</td>
+                          <td className="py-2 pr-4">{getWalletMovementText(movement.tipo)}</td>
+                          <td className="py-2 pr-4">{movement.motivo || '-'}</td>
+                          <td className="py-2 pr-4 font-mono text-xs">{movement.pago_id || '-'}</td>
+                          <td className={cn('py-2 pr-4 text-right', movement.monto < 0 ? 'text-danger-600' : 'text-success-600')}>
+                            {formatCurrency(movement.monto, wallet.moneda)}
+                          </td>
+                          <td className="py-2 pr-4 text-right">{formatCurrency(movement.saldo_resultante, wallet.moneda)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
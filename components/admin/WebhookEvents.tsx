@@ -0,0 +1,288 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { webhookEventsApi } from '@/lib/api'
+import { formatDateTime, cn } from '@/utils/format'
+import { WebhookEvent, WebhookEventStatus } from '@/types/payments'
+import {
+  Webhook,
+  RefreshCw,
+  RotateCcw,
+  Repeat,
+  Loader2,
+  AlertCircle,
+  ShieldAlert
+} from 'lucide-react'
+
+const statusText: Record<WebhookEventStatus, string> = {
+  recibido: 'Recibido',
+  procesando: 'Procesando',
+  procesado: 'Procesado',
+  fallido: 'Fallido',
+  rechazado: 'Firma inválida',
+  ignorado: 'Ignorado',
+}
+
+const statusColor: Record<WebhookEventStatus, string> = {
+  recibido: 'badge-info',
+  procesando: 'badge-info',
+  procesado: 'badge-success',
+  fallido: 'badge-danger',
+  rechazado: 'badge-warning',
+  ignorado: 'badge-info',
+}
+
+const statusFilters: Array<WebhookEventStatus | 'todos'> = ['todos', 'fallido', 'rechazado', 'recibido', 'procesado', 'ignorado']
+
+export function WebhookEvents() {
+  const [events, setEvents] = useState<WebhookEvent[]>([])
+  const [selected, setSelected] = useState<WebhookEvent | null>(null)
+  const [statusFilter, setStatusFilter] = useState<WebhookEventStatus | 'todos'>('fallido')
+  const [isLoading, setIsLoading] = useState(true)
+  const [actionLoading, setActionLoading] = useState<string | null>(null)
+  const [error, setError] = useState<string | null>(null)
+  const [message, setMessage] = useState<string | null>(null)
+
+  useEffect(() => {
+    loadEvents()
+  }, [statusFilter])
+
+  const loadEvents = async () => {
+    try {
+      setIsLoading(true)
+      const response = await webhookEventsApi.getEvents({
+        estado: statusFilter === 'todos' ? undefined : statusFilter,
+      })
+      if (response.data.success) {
+        setEvents(response.data.data)
+      }
+      setError(null)
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Error al cargar los eventos de webhook')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const loadDetail = async (eventId: string) => {
+    try {
+      const response = await webhookEventsApi.getEvent(eventId)
+      if (response.data.success) {
+        setSelected(response.data.data)
+      }
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Error al cargar el detalle del evento')
+    }
+  }
+
+  const handleAction = async (event: WebhookEvent, action: 'retry' | 'replay') => {
+    let ignoreSignature = false
+
+    if (action === 'replay') {
+      if (!event.firma_valida) {
+        if (!confirm('La firma de este evento es inválida. ¿Aplicarlo de todas formas? Solo hazlo si verificaste el pago en Mercado Pago.')) return
+        ignoreSignature = true
+      } else if (!confirm('El evento se aplicará de nuevo con el código actual. ¿Continuar?')) {
+        return
+      }
+    }
+
+    setActionLoading(event.id)
+    setError(null)
+    setMessage(null)
+
+    try {
+      const response = action === 'retry'
+        ? await webhookEventsApi.retryEvent(event.id)
+        : await webhookEventsApi.replayEvent(event.id, ignoreSignature)
+
+      if (response.data.success) {
+        setSelected(response.data.data)
+        setMessage(response.data.message || null)
+        await loadEvents()
+      }
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Error al reprocesar el evento')
+    } finally {
+      setActionLoading(null)
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <Card className="w-full">
+        <CardHeader>
+          <div className="flex items-center justify-between">
+            <div>
+              <CardTitle className="flex items-center">
+                <Webhook className="w-5 h-5 mr-2" />
+                Webhooks de Mercado Pago
+              </CardTitle>
+              <CardDescription>
+                Cada notificación recibida queda registrada; las fallidas se reintentan automáticamente
+              </CardDescription>
+            </div>
+            <Button onClick={loadEvents} disabled={isLoading} variant="outline">
+              <RefreshCw className={cn('w-4 h-4 mr-2', isLoading && 'animate-spin')} />
+              Actualizar
+            </Button>
+          </div>
+        </CardHeader>
+
+        <CardContent>
+          <div className="flex flex-wrap gap-2 mb-6">
+            {statusFilters.map((status) => (
+              <Button
+                key={status}
+                size="sm"
+                variant={statusFilter === status ? 'default' : 'outline'}
+                onClick={() => setStatusFilter(status)}
+              >
+                {status === 'todos' ? 'Todos' : statusText[status]}
+              </Button>
+            ))}
+          </div>
+
+          {error && (
+            <div className="mb-6 p-4 bg-danger-50 border border-danger-200 rounded-lg">
+              <p className="text-sm text-danger-800 flex items-center">
+                <AlertCircle className="w-4 h-4 mr-2" />
+                {error}
+              </p>
+            </div>
+          )}
+
+          {message && (
+            <div className="mb-6 p-4 bg-primary-50 border border-primary-200 rounded-lg">
+              <p className="text-sm text-primary-800">{message}</p>
+            </div>
+          )}
+
+          {isLoading ? (
+            <div className="flex items-center justify-center py-8 text-gray-600">
+              <Loader2 className="w-6 h-6 animate-spin mr-2" />
+              Cargando eventos...
+            </div>
+          ) : events.length === 0 ? (
+            <div className="text-center py-8 border-2 border-dashed rounded-lg">
+              <Webhook className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+              <h3 className="text-lg font-medium text-gray-900 mb-2">
+                No hay eventos en este estado
+              </h3>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b text-left text-gray-600">
+                    <th className="py-2 pr-4">Recibido</th>
+                    <th className="py-2 pr-4">Evento</th>
+                    <th className="py-2 pr-4">Tipo</th>
+                    <th className="py-2 pr-4">ID Mercado Pago</th>
+                    <th className="py-2 pr-4">Estado</th>
+                    <th className="py-2 pr-4 text-right">Intentos</th>
+                    <th className="py-2 pr-4">Último error</th>
+                    <th className="py-2 pr-4"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {events.map((event) => (
+                    <tr
+                      key={event.id}
+                      onClick={() => loadDetail(event.id)}
+                      className={cn(
+                        'border-b cursor-pointer hover:bg-gray-50 align-top',
+                        selected?.id === event.id && 'bg-primary-50'
+                      )}
+                    >
+                      <td className="py-2 pr-4">{formatDateTime(event.recibido_en)}</td>
+                      <td className="py-2 pr-4 font-mono text-xs">{event.id_evento}</td>
+                      <td className="py-2 pr-4">{event.accion || event.tipo || '-'}</td>
+                      <td className="py-2 pr-4 font-mono">{event.recurso_id || '-'}</td>
+                      <td className="py-2 pr-4">
+                        <span className={cn('badge', statusColor[event.estado])}>
+                          {statusText[event.estado]}
+                        </span>
+                      </td>
+                      <td className="py-2 pr-4 text-right">{event.intentos}</td>
+                      <td className="py-2 pr-4 text-danger-600 max-w-xs truncate">{event.ultimo_error || '-'}</td>
+                      <td className="py-2 pr-4" onClick={(e) => e.stopPropagation()}>
+                        <div className="flex space-x-2 justify-end">
+                          {(event.estado === 'fallido' || event.estado === 'recibido') && (
+                            <Button
+                              size="sm"
+                              variant="outline"
+                              disabled={actionLoading === event.id}
+                              onClick={() => handleAction(event, 'retry')}
+                            >
+                              {actionLoading === event.id ? (
+                                <Loader2 className="w-4 h-4 mr-1 animate-spin" />
+                              ) : (
+                                <RotateCcw className="w-4 h-4 mr-1" />
+                              )}
+                              Reintentar
+                            </Button>
+                          )}
+                          {event.estado !== 'procesando' && (
+                            <Button
+                              size="sm"
+                              variant="ghost"
+                              disabled={actionLoading === event.id}
+                              onClick={() => handleAction(event, 'replay')}
+                            >
+                              <Repeat className="w-4 h-4 mr-1" />
+                              Replay
+                            </Button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {selected && (
+        <Card className="w-full">
+          <CardHeader>
+            <CardTitle className="font-mono text-base">{selected.id_evento}</CardTitle>
+            <CardDescription>
+              {statusText[selected.estado]} · {selected.intentos} intento(s) · recibido el {formatDateTime(selected.recibido_en)}
+              {selected.procesado_en && ` · procesado el ${formatDateTime(selected.procesado_en)}`}
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {!selected.firma_valida && (
+              <p className="text-sm text-warning-700 flex items-center">
+                <ShieldAlert className="w-4 h-4 mr-2" />
+                La firma de esta notificación no pudo validarse
+              </p>
+            )}
+
+            {selected.ultimo_error && (
+              <p className="text-sm text-danger-600">{selected.ultimo_error}</p>
+            )}
+
+            {[
+              { label: 'Cuerpo', value: selected.cuerpo },
+              { label: 'Headers', value: selected.headers },
+              { label: 'Resultado', value: selected.resultado },
+            ].filter((section) => section.value).map((section) => (
+              <div key={section.label}>
+                <p className="text-xs font-medium text-gray-600 mb-1">{section.label}</p>
+                <pre className="text-xs bg-gray-50 border rounded-lg p-3 overflow-x-auto">
+                  {JSON.stringify(section.value, null, 2)}
+                </pre>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,256 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import * as z from 'zod'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { withholdingsApi } from '@/lib/api'
+import { formatCurrency, formatDateTime, cn } from '@/utils/format'
+import { FiscalCategory, WithholdingRule, WithholdingTax } from '@/types/payments'
+import {
+  Landmark,
+  Save,
+  Pencil,
+  Loader2,
+  AlertCircle,
+  Power
+} from 'lucide-react'
+
+const ruleSchema = z.object({
+  impuesto: z.enum(['ganancias', 'iibb']),
+  categoria_fiscal: z.enum(['responsable_inscripto', 'monotributista', 'exento', 'sin_datos_fiscales']),
+  porcentaje: z.number({ invalid_type_error: 'El porcentaje es requerido' }).min(0).max(100, 'No puede superar el 100%'),
+  minimo_no_imponible: z.number().min(0).optional(),
+  activa: z.boolean(),
+})
+
+type RuleSchemaData = z.infer<typeof ruleSchema>
+
+const taxText: Record<WithholdingTax, string> = {
+  ganancias: 'Ganancias',
+  iibb: 'Ingresos Brutos',
+}
+
+const categoryText: Record<FiscalCategory, string> = {
+  responsable_inscripto: 'Responsable inscripto',
+  monotributista: 'Monotributista',
+  exento: 'Exento',
+  sin_datos_fiscales: 'Sin datos fiscales',
+}
+
+export function WithholdingRules() {
+  const [rules, setRules] = useState<WithholdingRule[]>([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  const [message, setMessage] = useState<string | null>(null)
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm<RuleSchemaData>({
+    resolver: zodResolver(ruleSchema),
+    defaultValues: { impuesto: 'ganancias', categoria_fiscal: 'sin_datos_fiscales', activa: true },
+  })
+
+  useEffect(() => {
+    loadRules()
+  }, [])
+
+  const loadRules = async () => {
+    try {
+      setIsLoading(true)
+      const response = await withholdingsApi.getRules()
+      if (response.data.success) {
+        setRules(response.data.data)
+      }
+      setError(null)
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Error al cargar las reglas de retención')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const saveRule = async (data: RuleSchemaData) => {
+    setIsSubmitting(true)
+    setError(null)
+    setMessage(null)
+
+    try {
+      const response = await withholdingsApi.saveRule(data)
+      if (response.data.success) {
+        setMessage(response.data.message || 'Regla de retención guardada')
+        await loadRules()
+      }
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Error al guardar la regla de retención')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleEdit = (rule: WithholdingRule) => {
+    reset({
+      impuesto: rule.impuesto,
+      categoria_fiscal: rule.categoria_fiscal,
+      porcentaje: rule.porcentaje,
+      minimo_no_imponible: rule.minimo_no_imponible,
+      activa: rule.activa,
+    })
+  }
+
+  const handleToggle = (rule: WithholdingRule) => saveRule({
+    impuesto: rule.impuesto,
+    categoria_fiscal: rule.categoria_fiscal,
+    porcentaje: rule.porcentaje,
+    activa: !rule.activa,
+  })
+
+  return (
+    <div className="space-y-6">
+      <Card className="w-full">
+        <CardHeader>
+          <CardTitle className="flex items-center">
+            <Landmark className="w-5 h-5 mr-2" />
+            Reglas de retención
+          </CardTitle>
+          <CardDescription>
+            Porcentaje retenido de cada payout según el impuesto y la condición fiscal del profesional.
+            Se aplica sobre el monto del profesional (bruto menos comisión) a partir de los próximos payouts.
+          </CardDescription>
+        </CardHeader>
+
+        <CardContent>
+          {error && (
+            <div className="mb-6 p-4 bg-danger-50 border border-danger-200 rounded-lg">
+              <p className="text-sm text-danger-800 flex items-center">
+                <AlertCircle className="w-4 h-4 mr-2" />
+                {error}
+              </p>
+            </div>
+          )}
+
+          {message && (
+            <div className="mb-6 p-4 bg-primary-50 border border-primary-200 rounded-lg">
+              <p className="text-sm text-primary-800">{message}</p>
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit(saveRule)} className="grid grid-cols-1 md:grid-cols-5 gap-4 items-end mb-8">
+            <div className="space-y-1">
+              <label htmlFor="impuesto" className="text-sm font-medium">Impuesto</label>
+              <select id="impuesto" {...register('impuesto')} className="w-full h-10 px-3 border rounded-md text-sm">
+                {(Object.keys(taxText) as WithholdingTax[]).map((tax) => (
+                  <option key={tax} value={tax}>{taxText[tax]}</option>
+                ))}
+              </select>
+            </div>
+            <div className="space-y-1">
+              <label htmlFor="categoria_fiscal" className="text-sm font-medium">Categoría fiscal</label>
+              <select id="categoria_fiscal" {...register('categoria_fiscal')} className="w-full h-10 px-3 border rounded-md text-sm">
+                {(Object.keys(categoryText) as FiscalCategory[]).map((category) => (
+                  <option key={category} value={category}>{categoryText[category]}</option>
+                ))}
+              </select>
+            </div>
+            <div className="space-y-1">
+              <label htmlFor="porcentaje" className="text-sm font-medium">Porcentaje *</label>
+              <Input
+                id="porcentaje"
+                type="number"
+                step="0.01"
+                {...register('porcentaje', { valueAsNumber: true })}
+                className={cn(errors.porcentaje && 'border-danger-500')}
+              />
+              {errors.porcentaje && <p className="text-xs text-danger-600">{errors.porcentaje.message}</p>}
+            </div>
+            <div className="space-y-1">
+              <label htmlFor="minimo_no_imponible" className="text-sm font-medium">Mínimo no imponible</label>
+              <Input
+                id="minimo_no_imponible"
+                type="number"
+                step="0.01"
+                {...register('minimo_no_imponible', { setValueAs: (value) => (value === '' ? undefined : Number(value)) })}
+              />
+            </div>
+            <div className="flex items-center justify-between space-x-2">
+              <label className="flex items-center text-sm">
+                <input type="checkbox" {...register('activa')} className="mr-2" />
+                Activa
+              </label>
+              <Button type="submit" disabled={isSubmitting}>
+                {isSubmitting ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Save className="w-4 h-4 mr-2" />}
+                Guardar
+              </Button>
+            </div>
+          </form>
+
+          {isLoading ? (
+            <div className="flex items-center justify-center py-8 text-gray-600">
+              <Loader2 className="w-6 h-6 animate-spin mr-2" />
+              Cargando reglas...
+            </div>
+          ) : rules.length === 0 ? (
+            <div className="text-center py-8 border-2 border-dashed rounded-lg">
+              <Landmark className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+              <h3 className="text-lg font-medium text-gray-900 mb-2">
+                No hay reglas de retención
+              </h3>
+              <p className="text-gray-600">
+                Sin reglas, los payouts se liquidan sin retenciones
+              </p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b text-left text-gray-600">
+                    <th className="py-2 pr-4">Impuesto</th>
+                    <th className="py-2 pr-4">Categoría fiscal</th>
+                    <th className="py-2 pr-4 text-right">Porcentaje</th>
+                    <th className="py-2 pr-4 text-right">Mínimo no imponible</th>
+                    <th className="py-2 pr-4">Estado</th>
+                    <th className="py-2 pr-4">Actualizada</th>
+                    <th className="py-2 pr-4"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rules.map((rule) => (
+                    <tr key={rule.id} className="border-b">
+                      <td className="py-2 pr-4">{taxText[rule.impuesto]}</td>
+                      <td className="py-2 pr-4">{categoryText[rule.categoria_fiscal]}</td>
+                      <td className="py-2 pr-4 text-right">{rule.porcentaje}%</td>
+                      <td className="py-2 pr-4 text-right">{formatCurrency(rule.minimo_no_imponible)}</td>
+                      <td className="py-2 pr-4">
+                        <span className={cn('badge', rule.activa ? 'badge-success' : 'badge-warning')}>
+                          {rule.activa ? 'Activa' : 'Inactiva'}
+                        </span>
+                      </td>
+                      <td className="py-2 pr-4">{formatDateTime(rule.actualizado_en)}</td>
+                      <td className="py-2 pr-4">
+                        <div className="flex space-x-2 justify-end">
+                          <Button size="sm" variant="outline" onClick={() => handleEdit(rule)}>
+                            <Pencil className="w-4 h-4" />
+                          </Button>
+                          <Button size="sm" variant="ghost" disabled={isSubmitting} onClick={() => handleToggle(rule)}>
+                            <Power className="w-4 h-4" />
+                          </Button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
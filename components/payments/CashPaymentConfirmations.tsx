@@ -0,0 +1,159 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { cashPaymentsApi } from '@/lib/api'
+import { formatCurrency, formatDateTime } from '@/utils/format'
+import { CashPaymentDeclaration } from '@/types/payments'
+import {
+  Banknote,
+  Check,
+  X,
+  Loader2,
+  AlertCircle
+} from 'lucide-react'
+
+export function CashPaymentConfirmations() {
+  const [declarations, setDeclarations] = useState<CashPaymentDeclaration[]>([])
+  const [rejectingId, setRejectingId] = useState<string | null>(null)
+  const [rejectReason, setRejectReason] = useState('')
+  const [processingId, setProcessingId] = useState<string | null>(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState<string | null>(null)
+  const [message, setMessage] = useState<string | null>(null)
+
+  useEffect(() => {
+    loadDeclarations()
+  }, [])
+
+  const loadDeclarations = async () => {
+    try {
+      setIsLoading(true)
+      const response = await cashPaymentsApi.getDeclarations('pendiente')
+      if (response.data.success) {
+        setDeclarations(response.data.data)
+        setError(null)
+      }
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Error al cargar los pagos en efectivo')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const respond = async (declarationId: string, confirm: boolean) => {
+    setProcessingId(declarationId)
+    setError(null)
+    setMessage(null)
+
+    try {
+      const response = confirm
+        ? await cashPaymentsApi.confirm(declarationId)
+        : await cashPaymentsApi.reject(declarationId, rejectReason)
+      if (response.data.success) {
+        setMessage(response.data.message || (confirm ? 'Pago confirmado' : 'Pago rechazado'))
+        setRejectingId(null)
+        setRejectReason('')
+        await loadDeclarations()
+      }
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Error al responder la declaración')
+    } finally {
+      setProcessingId(null)
+    }
+  }
+
+  return (
+    <Card className="w-full">
+      <CardHeader>
+        <CardTitle className="flex items-center">
+          <Banknote className="w-5 h-5 mr-2" />
+          Pagos en efectivo por confirmar
+        </CardTitle>
+        <CardDescription>
+          Confirma los pagos que hiciste en efectivo o fuera de la plataforma para que queden registrados
+        </CardDescription>
+      </CardHeader>
+
+      <CardContent>
+        {error && (
+          <div className="mb-6 p-4 bg-danger-50 border border-danger-200 rounded-lg">
+            <p className="text-sm text-danger-800 flex items-center">
+              <AlertCircle className="w-4 h-4 mr-2" />
+              {error}
+            </p>
+          </div>
+        )}
+
+        {message && (
+          <div className="mb-6 p-4 bg-primary-50 border border-primary-200 rounded-lg">
+            <p className="text-sm text-primary-800">{message}</p>
+          </div>
+        )}
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-8 text-gray-600">
+            <Loader2 className="w-6 h-6 animate-spin mr-2" />
+            Cargando...
+          </div>
+        ) : declarations.length === 0 ? (
+          <p className="text-sm text-gray-600">No tienes pagos en efectivo pendientes de confirmar</p>
+        ) : (
+          <div className="space-y-4">
+            {declarations.map((declaration) => (
+              <div key={declaration.id} className="p-4 border rounded-lg">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="font-medium text-gray-900">{declaration.servicio?.descripcion}</p>
+                    <p className="text-sm text-gray-600">
+                      {declaration.profesional?.nombre} · {formatDateTime(declaration.declarado_en)}
+                    </p>
+                    {declaration.notas && <p className="text-sm text-gray-600">{declaration.notas}</p>}
+                  </div>
+                  <p className="text-xl font-bold">{formatCurrency(declaration.monto, declaration.moneda)}</p>
+                </div>
+
+                {rejectingId === declaration.id ? (
+                  <div className="flex gap-2 mt-4">
+                    <Input
+                      placeholder="Motivo del rechazo"
+                      value={rejectReason}
+                      onChange={(e) => setRejectReason(e.target.value)}
+                    />
+                    <Button
+                      variant="outline"
+                      disabled={processingId === declaration.id || !rejectReason.trim()}
+                      onClick={() => respond(declaration.id, false)}
+                    >
+                      Enviar
+                    </Button>
+                    <Button variant="ghost" onClick={() => setRejectingId(null)}>
+                      Cancelar
+                    </Button>
+                  </div>
+                ) : (
+                  <div className="flex gap-2 mt-4">
+                    <Button disabled={processingId === declaration.id} onClick={() => respond(declaration.id, true)}>
+                      {processingId === declaration.id ? (
+                        <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                      ) : (
+                        <Check className="w-4 h-4 mr-2" />
+                      )}
+                      Confirmar pago
+                    </Button>
+                    <Button variant="outline" onClick={() => setRejectingId(declaration.id)}>
+                      <X className="w-4 h-4 mr-2" />
+                      No reconozco este pago
+                    </Button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -7,10 +7,10 @@ import * as z from 'zod'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
-import { paymentsApi, commissionsApi } from '@/lib/api'
+import { paymentsApi, commissionsApi, walletApi } from '@/lib/api'
 import { formatCurrency, cn } from '@/utils/format'
-import { Payment, Service, CommissionCalculation } from '@/types/payments'
-import { Loader2, CreditCard, AlertCircle, CheckCircle } from 'lucide-react'
+import { Service, CommissionCalculation, CouponPreview, InstallmentOption, MilestoneFormData, Wallet } from '@/types/payments'
+import { Loader2, CreditCard, AlertCircle, CheckCircle, Plus, Trash2, Tag, X, Wallet as WalletIcon, CalendarClock } from 'lucide-react'
 import { debounce } from '@/utils/debounce'
 
 const checkoutSchema = z.object({
@@ -20,9 +20,18 @@ const checkoutSchema = z.object({
 
 type CheckoutFormData = z.infer<typeof checkoutSchema>
 
+// Plan sugerido: materiales, avance de obra y finalización
+const DEFAULT_MILESTONES: MilestoneFormData[] = [
+  { descripcion: 'Materiales', porcentaje: 30 },
+  { descripcion: 'Avance de obra', porcentaje: 40 },
+  { descripcion: 'Finalización', porcentaje: 30 },
+]
+
+const MAX_MILESTONES = 10
+
 interface PaymentCheckoutProps {
   service?: Service
-  onSuccess?: (payment: Payment) => void
+  onSuccess?: (paymentId: string) => void
   onCancel?: () => void
 }
 
@@ -33,6 +42,25 @@ export function PaymentCheckout({ service, onSuccess, onCancel }: PaymentCheckou
   const [commission, setCommission] = useState<CommissionCalculation | null>(null)
   const [paymentUrl, setPaymentUrl] = useState<string | null>(null)
   const [error, setError] = useState<string | null>(null)
+  const [useMilestones, setUseMilestones] = useState(false)
+  const [milestones, setMilestones] = useState<MilestoneFormData[]>(DEFAULT_MILESTONES)
+  const [couponCode, setCouponCode] = useState('')
+  const [appliedCoupon, setAppliedCoupon] = useState<CouponPreview | null>(null)
+  const [couponError, setCouponError] = useState<string | null>(null)
+  const [isApplyingCoupon, setIsApplyingCoupon] = useState(false)
+  const [wallet, setWallet] = useState<Wallet | null>(null)
+  const [useWallet, setUseWallet] = useState(false)
+  const [paidWithCredit, setPaidWithCredit] = useState(false)
+  const [installmentOptions, setInstallmentOptions] = useState<InstallmentOption[]>([])
+  const [selectedPlanId, setSelectedPlanId] = useState<string | null>(null)
+
+  // Los montos se cobran en la moneda del profesional
+  const currency = service?.profesional?.perfil_profesional?.moneda || 'ARS'
+
+  const milestonesTotal = milestones.reduce((sum, milestone) => sum + (milestone.porcentaje || 0), 0)
+  const milestonesValid = milestones.length >= 2 &&
+    Math.abs(milestonesTotal - 100) < 0.01 &&
+    milestones.every((milestone) => milestone.descripcion.trim() && milestone.porcentaje > 0)
 
   const {
     register,
@@ -51,6 +79,11 @@ export function PaymentCheckout({ service, onSuccess, onCancel }: PaymentCheckou
   const watchedAmount = watch('amount')
   const watchedServiceId = watch('serviceId')
 
+  // Monto que cobra MercadoPago: total con descuento menos el crédito de la billetera (misma moneda)
+  const discountedAmount = appliedCoupon ? appliedCoupon.finalAmount : watchedAmount || 0
+  const walletCredit = useWallet && wallet && wallet.moneda === currency ? Math.min(wallet.saldo, discountedAmount) : 0
+  const chargeAmount = Math.max(discountedAmount - walletCredit, 0)
+
   // Calculate commission when amount changes (debounced)
   useEffect(() => {
     if (watchedAmount && watchedAmount > 0) {
@@ -58,6 +91,42 @@ export function PaymentCheckout({ service, onSuccess, onCancel }: PaymentCheckou
     }
   }, [watchedAmount, debouncedCalculateCommission])
 
+  // El descuento depende del monto: si cambia, el cupón debe volver a aplicarse
+  useEffect(() => {
+    setAppliedCoupon(null)
+  }, [watchedAmount, watchedServiceId])
+
+  // Saldo de la billetera: si hay crédito, el cliente puede aplicarlo al pago
+  useEffect(() => {
+    walletApi.getMyWallet()
+      .then((response) => {
+        if (response.data.success) {
+          setWallet(response.data.data)
+        }
+      })
+      .catch(() => setWallet(null))
+  }, [])
+
+  // Planes de cuotas disponibles para el servicio y el monto a cobrar (debounced)
+  useEffect(() => {
+    setSelectedPlanId(null)
+    setInstallmentOptions([])
+
+    if (!watchedServiceId || !(chargeAmount > 0)) return
+
+    const timeout = setTimeout(() => {
+      paymentsApi.getInstallmentOptions(watchedServiceId, chargeAmount)
+        .then((response) => {
+          if (response.data.success) {
+            setInstallmentOptions(response.data.data.options)
+          }
+        })
+        .catch(() => setInstallmentOptions([]))
+    }, 500)
+
+    return () => clearTimeout(timeout)
+  }, [watchedServiceId, chargeAmount])
+
   // Set service ID when service prop changes
   useEffect(() => {
     if (service?.id) {
@@ -85,19 +154,72 @@ export function PaymentCheckout({ service, onSuccess, onCancel }: PaymentCheckou
     [calculateCommission]
   )
 
+  const applyCoupon = async () => {
+    if (!couponCode.trim() || !watchedServiceId) return
+
+    setIsApplyingCoupon(true)
+    setCouponError(null)
+
+    try {
+      const response = await paymentsApi.previewCoupon(watchedServiceId, couponCode.trim(), watchedAmount)
+      if (response.data.success) {
+        setAppliedCoupon(response.data.data)
+      }
+    } catch (error: any) {
+      setAppliedCoupon(null)
+      setCouponError(error.response?.data?.error || 'No se pudo aplicar el cupón')
+    } finally {
+      setIsApplyingCoupon(false)
+    }
+  }
+
+  const removeCoupon = () => {
+    setAppliedCoupon(null)
+    setCouponCode('')
+    setCouponError(null)
+  }
+
+  const updateMilestone = (index: number, changes: Partial<MilestoneFormData>) => {
+    setMilestones((current) =>
+      current.map((milestone, i) => (i === index ? { ...milestone, ...changes } : milestone))
+    )
+  }
+
   const onSubmit = async (data: CheckoutFormData) => {
+    if (useMilestones && !milestonesValid) {
+      setError('Los hitos deben tener descripción y sus porcentajes deben sumar 100%')
+      return
+    }
+
     setIsLoading(true)
     setError(null)
 
     try {
-      const response = await paymentsApi.createPreference(data.serviceId, data.amount)
+      const response = selectedPlanId
+        ? await paymentsApi.createPreference(data.serviceId, data.amount, appliedCoupon?.code, useWallet, selectedPlanId)
+        : useWallet
+          ? await paymentsApi.createPreference(data.serviceId, data.amount, appliedCoupon?.code, true)
+          : appliedCoupon
+            ? await paymentsApi.createPreference(data.serviceId, data.amount, appliedCoupon.code)
+            : await paymentsApi.createPreference(data.serviceId, data.amount)
 
       if (response.data.success) {
         const preference = response.data.data
-        setPaymentUrl(preference.init_point)
 
-        // Open MercadoPago checkout in new window
-        window.open(preference.init_point, '_blank')
+        // El plan de hitos se asocia al pago antes de que el cliente lo abone
+        if (useMilestones) {
+          await paymentsApi.createMilestones(preference.paymentId, milestones)
+        }
+
+        // El crédito de la billetera cubrió todo el pago: no hay nada que cobrar por MercadoPago
+        if (preference.paidWithCredit) {
+          setPaidWithCredit(true)
+        } else {
+          setPaymentUrl(preference.init_point)
+
+          // Open MercadoPago checkout in new window
+          window.open(preference.init_point, '_blank')
+        }
 
         // Call success callback with payment data
         if (onSuccess) {
@@ -113,6 +235,27 @@ export function PaymentCheckout({ service, onSuccess, onCancel }: PaymentCheckou
     }
   }
 
+  if (paidWithCredit) {
+    return (
+      <Card className="w-full max-w-md mx-auto">
+        <CardHeader className="text-center">
+          <div className="mx-auto w-12 h-12 bg-success-100 rounded-full flex items-center justify-center mb-4">
+            <CheckCircle className="w-6 h-6 text-success-600" />
+          </div>
+          <CardTitle className="text-success-800">Pago Confirmado</CardTitle>
+          <CardDescription>
+            El pago se cubrió con el crédito de tu billetera y los fondos quedaron en custodia.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <Button onClick={onCancel} variant="ghost" className="w-full">
+            Volver
+          </Button>
+        </CardContent>
+      </Card>
+    )
+  }
+
   if (paymentUrl) {
     return (
       <Card className="w-full max-w-md mx-auto">
@@ -190,6 +333,114 @@ export function PaymentCheckout({ service, onSuccess, onCancel }: PaymentCheckou
             )}
           </div>
 
+          {/* Coupon */}
+          <div className="space-y-2">
+            <label htmlFor="couponCode" className="text-sm font-medium">
+              Cupón de descuento
+            </label>
+            {appliedCoupon ? (
+              <div className="flex items-center justify-between p-3 bg-success-50 border border-success-200 rounded-lg">
+                <span className="text-sm text-success-800 flex items-center">
+                  <Tag className="w-4 h-4 mr-2" />
+                  {appliedCoupon.code}: -{formatCurrency(appliedCoupon.discountAmount, currency)}
+                </span>
+                <Button type="button" variant="ghost" size="sm" onClick={removeCoupon}>
+                  <X className="w-4 h-4" />
+                </Button>
+              </div>
+            ) : (
+              <div className="flex space-x-2">
+                <Input
+                  id="couponCode"
+                  placeholder="Ingrese el código"
+                  value={couponCode}
+                  onChange={(e) => setCouponCode(e.target.value.toUpperCase())}
+                />
+                <Button
+                  type="button"
+                  variant="outline"
+                  onClick={applyCoupon}
+                  disabled={isApplyingCoupon || !couponCode.trim()}
+                >
+                  {isApplyingCoupon ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Aplicar'}
+                </Button>
+              </div>
+            )}
+            {couponError && (
+              <p className="text-sm text-danger-600 flex items-center">
+                <AlertCircle className="w-4 h-4 mr-1" />
+                {couponError}
+              </p>
+            )}
+          </div>
+
+          {/* Wallet Credit */}
+          {wallet && wallet.saldo > 0 && (
+            <label className="flex items-start p-3 bg-primary-50 border border-primary-200 rounded-lg text-sm">
+              <input
+                type="checkbox"
+                className="mr-2 mt-0.5"
+                checked={useWallet}
+                onChange={(e) => setUseWallet(e.target.checked)}
+              />
+              <span>
+                <span className="font-medium flex items-center">
+                  <WalletIcon className="w-4 h-4 mr-1" />
+                  Usar crédito de mi billetera
+                </span>
+                <span className="text-gray-600">
+                  Saldo disponible: {formatCurrency(wallet.saldo, wallet.moneda)}. Se descuenta del total y MercadoPago cobra el resto.
+                </span>
+              </span>
+            </label>
+          )}
+
+          {/* Installments */}
+          {installmentOptions.length > 0 && (
+            <div className="space-y-2">
+              <span className="text-sm font-medium flex items-center">
+                <CalendarClock className="w-4 h-4 mr-1" />
+                Cuotas
+              </span>
+              <label className="flex items-center p-3 border rounded-lg text-sm">
+                <input
+                  type="radio"
+                  name="installments"
+                  className="mr-2"
+                  checked={selectedPlanId === null}
+                  onChange={() => setSelectedPlanId(null)}
+                />
+                1 pago de {formatCurrency(chargeAmount, currency)}
+              </label>
+              {installmentOptions.map((option) => (
+                <label key={option.planId} className="flex items-start p-3 border rounded-lg text-sm">
+                  <input
+                    type="radio"
+                    name="installments"
+                    className="mr-2 mt-0.5"
+                    checked={selectedPlanId === option.planId}
+                    onChange={() => setSelectedPlanId(option.planId)}
+                  />
+                  <span>
+                    <span className="font-medium">
+                      {option.cuotas} cuotas de {formatCurrency(option.montoCuota, currency)}
+                    </span>
+                    {option.sinInteres ? (
+                      <span className="ml-2 text-success-600">sin interés</span>
+                    ) : (
+                      <span className="block text-gray-600">
+                        Recargo {formatCurrency(option.recargo, currency)} · Total {formatCurrency(option.totalAPagar, currency)}
+                      </span>
+                    )}
+                  </span>
+                </label>
+              ))}
+              <p className="text-xs text-gray-600">
+                El recargo final lo confirma MercadoPago según el medio de pago elegido.
+              </p>
+            </div>
+          )}
+
           {/* Commission Breakdown */}
           {commission && (
             <div className="p-4 bg-gray-50 rounded-lg space-y-2">
@@ -197,25 +448,96 @@ export function PaymentCheckout({ service, onSuccess, onCancel }: PaymentCheckou
               <div className="space-y-1 text-sm">
                 <div className="flex justify-between">
                   <span>Monto base:</span>
-                  <span>{formatCurrency(commission.originalAmount)}</span>
+                  <span>{formatCurrency(commission.originalAmount, currency)}</span>
                 </div>
                 <div className="flex justify-between text-danger-600">
                   <span>Comisión ({commission.commissionPercentage}%):</span>
-                  <span>-{formatCurrency(commission.commissionAmount)}</span>
+                  <span>-{formatCurrency(commission.commissionAmount, currency)}</span>
                 </div>
+                {appliedCoupon && (
+                  <div className="flex justify-between text-success-600">
+                    <span>Descuento ({appliedCoupon.code}):</span>
+                    <span>-{formatCurrency(appliedCoupon.discountAmount, currency)}</span>
+                  </div>
+                )}
                 <hr className="my-2" />
                 <div className="flex justify-between font-medium">
                   <span>Total a pagar:</span>
-                  <span>{formatCurrency(commission.originalAmount)}</span>
+                  <span>{formatCurrency(appliedCoupon ? appliedCoupon.finalAmount : commission.originalAmount, currency)}</span>
                 </div>
                 <div className="flex justify-between text-success-600">
                   <span>Profesional recibe:</span>
-                  <span>{formatCurrency(commission.professionalAmount)}</span>
+                  <span>{formatCurrency(commission.professionalAmount, currency)}</span>
                 </div>
               </div>
             </div>
           )}
 
+          {/* Milestone Plan */}
+          <div className="space-y-3">
+            <label className="flex items-center text-sm font-medium">
+              <input
+                type="checkbox"
+                className="mr-2"
+                checked={useMilestones}
+                onChange={(e) => setUseMilestones(e.target.checked)}
+              />
+              Pagar por hitos
+            </label>
+
+            {useMilestones && (
+              <div className="p-4 bg-gray-50 rounded-lg space-y-2">
+                <p className="text-xs text-gray-600">
+                  Los fondos quedan en custodia y se liberan al profesional a medida que apruebes cada hito.
+                </p>
+                {milestones.map((milestone, index) => (
+                  <div key={index} className="flex items-center space-x-2">
+                    <Input
+                      placeholder={`Hito ${index + 1}`}
+                      value={milestone.descripcion}
+                      onChange={(e) => updateMilestone(index, { descripcion: e.target.value })}
+                    />
+                    <Input
+                      type="number"
+                      className="w-20"
+                      value={milestone.porcentaje}
+                      onChange={(e) => updateMilestone(index, { porcentaje: Number(e.target.value) })}
+                    />
+                    <span className="text-sm text-gray-600 w-24 text-right">
+                      {formatCurrency(((watchedAmount || 0) * (milestone.porcentaje || 0)) / 100, currency)}
+                    </span>
+                    {milestones.length > 2 && (
+                      <Button
+                        type="button"
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => setMilestones((current) => current.filter((_, i) => i !== index))}
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </Button>
+                    )}
+                  </div>
+                ))}
+                <div className="flex justify-between items-center">
+                  {milestones.length < MAX_MILESTONES && (
+                    <Button
+                      type="button"
+                      variant="outline"
+                      size="sm"
+                      onClick={() => setMilestones((current) => [...current, { descripcion: '', porcentaje: 0 }])}
+                    >
+                      <Plus className="w-4 h-4 mr-1" />
+                      Agregar hito
+                    </Button>
+                  )}
+                  <span className={cn('text-sm', milestonesValid ? 'text-success-600' : 'text-danger-600')}>
+                    Total: {milestonesTotal}%
+                  </span>
+                </div>
+              </div>
+            )}
+          </div>
+
           {/* Error Message */}
           {error && (
             <div className="p-4 bg-danger-50 border border-danger-200 rounded-lg">
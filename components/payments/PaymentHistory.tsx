@@ -160,7 +160,7 @@ export function PaymentHistory({ clientId, limit = 10, showDetails = true }: Pay
 
                   <div className="text-right">
                     <p className="text-lg font-semibold">
-                      {formatCurrency(payment.monto_total)}
+                      {formatCurrency(payment.monto_total, payment.moneda)}
                     </p>
                     <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getPaymentStatusColor(payment.estado)}`}>
                       {getPaymentStatusText(payment.estado)}
@@ -198,16 +198,16 @@ export function PaymentHistory({ clientId, limit = 10, showDetails = true }: Pay
                           </div>
                           <div>
                             <span className="text-gray-600">Monto Total:</span>
-                            <p className="font-medium">{formatCurrency(payment.monto_total)}</p>
+                            <p className="font-medium">{formatCurrency(payment.monto_total, payment.moneda)}</p>
                           </div>
                           <div>
                             <span className="text-gray-600">Comisión:</span>
-                            <p>{formatCurrency(payment.comision_plataforma)}</p>
+                            <p>{formatCurrency(payment.comision_plataforma, payment.moneda)}</p>
                           </div>
                           <div>
                             <span className="text-gray-600">Profesional Recibe:</span>
                             <p className="font-medium text-success-600">
-                              {formatCurrency(payment.monto_profesional)}
+                              {formatCurrency(payment.monto_profesional, payment.moneda)}
                             </p>
                           </div>
                           {payment.commission_setting && (
@@ -0,0 +1,218 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { paymentsApi } from '@/lib/api'
+import { formatCurrency, formatDateTime, cn } from '@/utils/format'
+import { PaymentMilestone, PaymentMilestonePlan } from '@/types/payments'
+import { Loader2, CheckCircle, Clock, XCircle, Send, AlertCircle } from 'lucide-react'
+
+interface PaymentMilestonesProps {
+  paymentId: string
+  userRole?: 'cliente' | 'profesional' | 'admin'
+  onChange?: () => void
+}
+
+const milestoneStatusText: Record<PaymentMilestone['estado'], string> = {
+  pendiente: 'Pendiente',
+  en_revision: 'En revisión',
+  liberado: 'Liberado',
+  cancelado: 'Cancelado',
+}
+
+const milestoneStatusColor: Record<PaymentMilestone['estado'], string> = {
+  pendiente: 'badge-warning',
+  en_revision: 'badge-info',
+  liberado: 'badge-success',
+  cancelado: 'badge-danger',
+}
+
+export function PaymentMilestones({ paymentId, userRole = 'cliente', onChange }: PaymentMilestonesProps) {
+  const [plan, setPlan] = useState<PaymentMilestonePlan | null>(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [actionId, setActionId] = useState<string | null>(null)
+  const [rejectingId, setRejectingId] = useState<string | null>(null)
+  const [rejectReason, setRejectReason] = useState('')
+  const [error, setError] = useState<string | null>(null)
+
+  const loadMilestones = useCallback(async () => {
+    try {
+      const response = await paymentsApi.getMilestones(paymentId)
+      if (response.data.success) {
+        setPlan(response.data.data)
+      }
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Error al cargar los hitos del pago')
+    } finally {
+      setIsLoading(false)
+    }
+  }, [paymentId])
+
+  useEffect(() => {
+    loadMilestones()
+  }, [loadMilestones])
+
+  const runAction = async (milestoneId: string, action: () => Promise<unknown>) => {
+    setActionId(milestoneId)
+    setError(null)
+
+    try {
+      await action()
+      setRejectingId(null)
+      setRejectReason('')
+      await loadMilestones()
+      if (onChange) {
+        onChange()
+      }
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Error al actualizar el hito')
+    } finally {
+      setActionId(null)
+    }
+  }
+
+  const getStatusIcon = (estado: PaymentMilestone['estado']) => {
+    switch (estado) {
+      case 'liberado':
+        return <CheckCircle className="w-4 h-4 text-success-600" />
+      case 'cancelado':
+        return <XCircle className="w-4 h-4 text-danger-600" />
+      default:
+        return <Clock className="w-4 h-4 text-warning-600" />
+    }
+  }
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center py-4 text-sm text-gray-600">
+        <Loader2 className="w-4 h-4 animate-spin mr-2" />
+        Cargando hitos...
+      </div>
+    )
+  }
+
+  // Pago sin plan de hitos: se libera en un solo paso
+  if (!plan || plan.hitos.length === 0) {
+    return null
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex justify-between items-center">
+        <h4 className="font-medium text-sm">Pago por hitos</h4>
+        <span className="text-xs text-gray-500">
+          Liberado {formatCurrency(plan.montoLiberado)} · En custodia {formatCurrency(plan.montoEnCustodia)}
+        </span>
+      </div>
+
+      {plan.hitos.map((hito) => (
+        <div key={hito.id} className="p-3 border rounded-lg space-y-2">
+          <div className="flex justify-between items-start">
+            <div className="flex items-center">
+              {getStatusIcon(hito.estado)}
+              <span className="ml-2 text-sm font-medium">
+                {hito.orden}. {hito.descripcion}
+              </span>
+            </div>
+            <span className={cn('badge', milestoneStatusColor[hito.estado])}>
+              {milestoneStatusText[hito.estado]}
+            </span>
+          </div>
+
+          <div className="flex justify-between text-sm text-gray-600">
+            <span>{hito.porcentaje}%</span>
+            <span className="font-medium">{formatCurrency(hito.monto)}</span>
+          </div>
+
+          {hito.estado === 'liberado' && (
+            <p className="text-xs text-success-600">
+              Profesional recibe {formatCurrency(hito.monto_profesional)} (comisión {formatCurrency(hito.comision_plataforma)})
+            </p>
+          )}
+
+          {hito.estado === 'en_revision' && hito.escrow_release_deadline && (
+            <p className="text-xs text-gray-500">
+              Se libera automáticamente el {formatDateTime(hito.escrow_release_deadline)}
+            </p>
+          )}
+
+          {hito.estado === 'pendiente' && hito.notas_rechazo && (
+            <p className="text-xs text-danger-600">Rechazado: {hito.notas_rechazo}</p>
+          )}
+
+          {/* Acciones del profesional */}
+          {userRole === 'profesional' && hito.estado === 'pendiente' && plan.estado === 'aprobado' && (
+            <Button
+              size="sm"
+              variant="outline"
+              className="w-full"
+              disabled={actionId === hito.id}
+              onClick={() => runAction(hito.id, () => paymentsApi.requestMilestoneApproval(hito.id))}
+            >
+              <Send className="w-4 h-4 mr-2" />
+              Solicitar aprobación
+            </Button>
+          )}
+
+          {/* Acciones del cliente */}
+          {userRole === 'cliente' && ['pendiente', 'en_revision'].includes(hito.estado) && plan.estado === 'aprobado' && (
+            <div className="space-y-2">
+              {rejectingId === hito.id ? (
+                <div className="space-y-2">
+                  <Input
+                    placeholder="Motivo del rechazo"
+                    value={rejectReason}
+                    onChange={(e) => setRejectReason(e.target.value)}
+                  />
+                  <div className="flex space-x-2">
+                    <Button
+                      size="sm"
+                      variant="destructive"
+                      className="flex-1"
+                      disabled={!rejectReason.trim() || actionId === hito.id}
+                      onClick={() => runAction(hito.id, () => paymentsApi.rejectMilestone(hito.id, rejectReason))}
+                    >
+                      Confirmar rechazo
+                    </Button>
+                    <Button size="sm" variant="ghost" onClick={() => setRejectingId(null)}>
+                      Cancelar
+                    </Button>
+                  </div>
+                </div>
+              ) : (
+                <div className="flex space-x-2">
+                  <Button
+                    size="sm"
+                    className="flex-1"
+                    disabled={actionId === hito.id}
+                    onClick={() => runAction(hito.id, () => paymentsApi.approveMilestone(hito.id))}
+                  >
+                    {actionId === hito.id ? (
+                      <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                    ) : (
+                      <CheckCircle className="w-4 h-4 mr-2" />
+                    )}
+                    Aprobar y liberar
+                  </Button>
+                  {hito.estado === 'en_revision' && (
+                    <Button size="sm" variant="outline" onClick={() => setRejectingId(hito.id)}>
+                      Rechazar
+                    </Button>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      ))}
+
+      {error && (
+        <p className="text-sm text-danger-600 flex items-center">
+          <AlertCircle className="w-4 h-4 mr-1" />
+          {error}
+        </p>
+      )}
+    </div>
+  )
+}
@@ -6,6 +6,8 @@ import { Button } from '@/components/ui/button'
 import { paymentsApi, paymentWebSocket } from '@/lib/api'
 import { formatCurrency, formatDateTime, getPaymentStatusColor, getPaymentStatusText } from '@/utils/format'
 import { Payment, PaymentStatus as PaymentStatusType } from '@/types/payments'
+import { PaymentMilestones } from '@/components/payments/PaymentMilestones'
+import { TipPrompt } from '@/components/payments/TipPrompt'
 import {
   Loader2,
   CheckCircle,
@@ -20,9 +22,10 @@ interface PaymentStatusProps {
   paymentId: string
   onStatusChange?: (status: PaymentStatusType) => void
   showActions?: boolean
+  userRole?: 'cliente' | 'profesional' | 'admin'
 }
 
-export function PaymentStatus({ paymentId, onStatusChange, showActions = true }: PaymentStatusProps) {
+export function PaymentStatus({ paymentId, onStatusChange, showActions = true, userRole }: PaymentStatusProps) {
   const [payment, setPayment] = useState<Payment | null>(null)
   const [status, setStatus] = useState<PaymentStatusType | null>(null)
   const [isLoading, setIsLoading] = useState(true)
@@ -192,7 +195,7 @@ export function PaymentStatus({ paymentId, onStatusChange, showActions = true }:
           <div className="flex justify-between items-center py-2 border-b">
             <span className="text-sm text-gray-600">Monto:</span>
             <span className="text-sm font-medium">
-              {formatCurrency(payment.monto_total)}
+              {formatCurrency(payment.monto_total, payment.moneda)}
             </span>
           </div>
 
@@ -216,7 +219,7 @@ export function PaymentStatus({ paymentId, onStatusChange, showActions = true }:
             <div className="flex justify-between items-center py-2 border-b">
               <span className="text-sm text-gray-600">Comisión:</span>
               <span className="text-sm">
-                {payment.commission_setting.porcentaje}% ({formatCurrency(payment.comision_plataforma)})
+                {payment.commission_setting.porcentaje}% ({formatCurrency(payment.comision_plataforma, payment.moneda)})
               </span>
             </div>
           )}
@@ -233,6 +236,14 @@ export function PaymentStatus({ paymentId, onStatusChange, showActions = true }:
           </div>
         )}
 
+        {/* Milestones */}
+        <PaymentMilestones paymentId={paymentId} userRole={userRole} onChange={loadPaymentData} />
+
+        {/* Propina opcional una vez completado el servicio */}
+        {userRole === 'cliente' && payment.servicio?.estado === 'COMPLETADO' && (
+          <TipPrompt serviceId={payment.servicio_id} professionalName={payment.servicio.profesional.nombre} />
+        )}
+
         {/* Actions */}
         {showActions && (
           <div className="flex space-x-3 pt-4">
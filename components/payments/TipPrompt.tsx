@@ -0,0 +1,155 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { paymentsApi } from '@/lib/api'
+import { formatCurrency, formatDateTime } from '@/utils/format'
+import { Tip } from '@/types/payments'
+import { Loader2, Heart, CheckCircle, AlertCircle } from 'lucide-react'
+
+interface TipPromptProps {
+  serviceId: string
+  professionalName?: string
+}
+
+// Montos sugeridos (ARS)
+const suggestedAmounts = [500, 1000, 2000]
+
+export function TipPrompt({ serviceId, professionalName }: TipPromptProps) {
+  const [tip, setTip] = useState<Tip | null>(null)
+  const [amount, setAmount] = useState<number | ''>('')
+  const [message, setMessage] = useState('')
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  const loadTip = useCallback(async () => {
+    try {
+      const response = await paymentsApi.getServiceTip(serviceId)
+      if (response.data.success) {
+        setTip(response.data.data)
+      }
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Error al cargar la propina')
+    } finally {
+      setIsLoading(false)
+    }
+  }, [serviceId])
+
+  useEffect(() => {
+    loadTip()
+  }, [loadTip])
+
+  const handleSubmit = async () => {
+    if (!amount) {
+      return
+    }
+
+    setIsSubmitting(true)
+    setError(null)
+
+    try {
+      const response = await paymentsApi.createTip(serviceId, Number(amount), message.trim() || undefined)
+      if (response.data.success) {
+        setTip(response.data.data.propina)
+        // Open MercadoPago checkout in new window
+        window.open(response.data.data.pago.init_point, '_blank')
+      } else {
+        setError(response.data.error || 'Error al crear la propina')
+      }
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Error al crear la propina')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  if (isLoading) {
+    return null
+  }
+
+  // Propina ya pagada
+  if (tip?.estado === 'aprobado') {
+    return (
+      <div className="p-3 bg-success-50 rounded-lg flex items-center">
+        <CheckCircle className="w-4 h-4 text-success-600 mr-2" />
+        <span className="text-sm text-success-800">
+          Dejaste una propina de {formatCurrency(tip.monto)}
+          {tip.pagado_en && ` el ${formatDateTime(tip.pagado_en)}`}
+        </span>
+      </div>
+    )
+  }
+
+  return (
+    <div className="p-3 border rounded-lg space-y-3">
+      <div className="flex items-center">
+        <Heart className="w-4 h-4 text-success-600 mr-2" />
+        <h4 className="font-medium text-sm">
+          ¿Quieres dejarle una propina{professionalName ? ` a ${professionalName}` : ''}?
+        </h4>
+      </div>
+      <p className="text-xs text-gray-500">Es opcional y se paga con Mercado Pago.</p>
+
+      {tip?.estado === 'pendiente' && (
+        <p className="text-xs text-warning-600">
+          Tienes una propina de {formatCurrency(tip.monto)} pendiente de pago. Puedes volver a intentarlo.
+        </p>
+      )}
+      {tip?.estado === 'rechazado' && (
+        <p className="text-xs text-danger-600">El pago de tu propina fue rechazado. Puedes intentarlo nuevamente.</p>
+      )}
+
+      <div className="flex space-x-2">
+        {suggestedAmounts.map((value) => (
+          <Button
+            key={value}
+            type="button"
+            size="sm"
+            variant={amount === value ? 'default' : 'outline'}
+            className="flex-1"
+            onClick={() => setAmount(value)}
+          >
+            {formatCurrency(value)}
+          </Button>
+        ))}
+      </div>
+
+      <Input
+        type="number"
+        min={0}
+        placeholder="Otro monto"
+        value={amount}
+        onChange={(e) => setAmount(e.target.value === '' ? '' : Number(e.target.value))}
+      />
+      <Input
+        placeholder="Mensaje para el profesional (opcional)"
+        maxLength={280}
+        value={message}
+        onChange={(e) => setMessage(e.target.value)}
+      />
+
+      <Button
+        size="sm"
+        className="w-full"
+        disabled={!amount || isSubmitting}
+        onClick={handleSubmit}
+      >
+        {isSubmitting ? (
+          <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+        ) : (
+          <Heart className="w-4 h-4 mr-2" />
+        )}
+        Dejar propina
+      </Button>
+
+      {error && (
+        <p className="text-sm text-danger-600 flex items-center">
+          <AlertCircle className="w-4 h-4 mr-1" />
+          {error}
+        </p>
+      )}
+    </div>
+  )
+}
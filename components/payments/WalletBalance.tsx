@@ -0,0 +1,131 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { walletApi } from '@/lib/api'
+import { formatCurrency, formatDateTime, getWalletMovementText, cn } from '@/utils/format'
+import { Wallet } from '@/types/payments'
+import {
+  Wallet as WalletIcon,
+  RefreshCw,
+  Loader2,
+  AlertCircle
+} from 'lucide-react'
+
+export function WalletBalance() {
+  const [wallet, setWallet] = useState<Wallet | null>(null)
+  const [page, setPage] = useState(1)
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    loadWallet()
+  }, [page])
+
+  const loadWallet = async () => {
+    try {
+      setIsLoading(true)
+      const response = await walletApi.getMyWallet(page)
+      if (response.data.success) {
+        setWallet(response.data.data)
+        setError(null)
+      } else {
+        setError(response.data.error || 'Error al cargar la billetera')
+      }
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Error interno del servidor')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  return (
+    <Card className="w-full">
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <div>
+            <CardTitle className="flex items-center">
+              <WalletIcon className="w-5 h-5 mr-2" />
+              Mi Billetera
+            </CardTitle>
+            <CardDescription>
+              Crédito de la plataforma que puedes aplicar total o parcialmente al pagar un servicio
+            </CardDescription>
+          </div>
+          <Button variant="outline" size="sm" onClick={loadWallet} disabled={isLoading}>
+            <RefreshCw className={cn('w-4 h-4', isLoading && 'animate-spin')} />
+          </Button>
+        </div>
+      </CardHeader>
+
+      <CardContent>
+        {error && (
+          <div className="mb-6 p-4 bg-danger-50 border border-danger-200 rounded-lg">
+            <p className="text-sm text-danger-800 flex items-center">
+              <AlertCircle className="w-4 h-4 mr-2" />
+              {error}
+            </p>
+          </div>
+        )}
+
+        {isLoading && !wallet ? (
+          <div className="flex items-center justify-center py-8 text-gray-600">
+            <Loader2 className="w-6 h-6 animate-spin mr-2" />
+            Cargando billetera...
+          </div>
+        ) : wallet && (
+          <>
+            <div className="mb-6 p-4 bg-primary-50 border border-primary-200 rounded-lg">
+              <p className="text-sm text-gray-600">Saldo disponible</p>
+              <p className="text-2xl font-bold text-primary-700">{formatCurrency(wallet.saldo, wallet.moneda)}</p>
+            </div>
+
+            {wallet.movimientos.length === 0 ? (
+              <p className="text-sm text-gray-600">Todavía no tienes movimientos en tu billetera</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b text-left text-gray-600">
+                      <th className="py-2 pr-4">Fecha</th>
+                      <th className="py-2 pr-4">Movimiento</th>
+                      <th className="py-2 pr-4">Detalle</th>
+                      <th className="py-2 pr-4 text-right">Monto</th>
+                      <th className="py-2 pr-4 text-right">Saldo</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {wallet.movimientos.map((movement) => (
+                      <tr key={movement.id} className="border-b">
+                        <td className="py-2 pr-4">{formatDateTime(movement.creado_en)}</td>
+                        <td className="py-2 pr-4">{getWalletMovementText(movement.tipo)}</td>
+                        <td className="py-2 pr-4 text-gray-600">{movement.motivo || '-'}</td>
+                        <td className={cn('py-2 pr-4 text-right', movement.monto < 0 ? 'text-danger-600' : 'text-success-600')}>
+                          {movement.monto > 0 && '+'}{formatCurrency(movement.monto, wallet.moneda)}
+                        </td>
+                        <td className="py-2 pr-4 text-right">{formatCurrency(movement.saldo_resultante, wallet.moneda)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {wallet.pagination.pages > 1 && (
+              <div className="flex items-center justify-between mt-4 text-sm">
+                <Button variant="outline" size="sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+                  Anterior
+                </Button>
+                <span className="text-gray-600">Página {wallet.pagination.page} de {wallet.pagination.pages}</span>
+                <Button variant="outline" size="sm" disabled={page >= wallet.pagination.pages} onClick={() => setPage(page + 1)}>
+                  Siguiente
+                </Button>
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
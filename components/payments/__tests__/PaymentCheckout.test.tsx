@@ -14,10 +14,14 @@ import { paymentsApi, commissionsApi } from '@/lib/api'
 jest.mock('@/lib/api', () => ({
   paymentsApi: {
     createPreference: jest.fn(),
+    getInstallmentOptions: jest.fn(() => Promise.resolve({ data: { success: true, data: { currency: 'ARS', amount: 0, options: [] } } })),
   },
   commissionsApi: {
     calculateCommission: jest.fn(),
   },
+  walletApi: {
+    getMyWallet: jest.fn(() => Promise.resolve({ data: { success: true, data: { saldo: 0, moneda: 'ARS', movimientos: [] } } })),
+  },
 }))
 
 // Mock utilities
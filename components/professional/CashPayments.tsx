@@ -0,0 +1,225 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import * as z from 'zod'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { cashPaymentsApi } from '@/lib/api'
+import { formatCurrency, formatDateTime, getCashDeclarationStatusText, cn } from '@/utils/format'
+import { CashPaymentDeclaration, CommissionDebtSummary } from '@/types/payments'
+import {
+  Banknote,
+  Send,
+  Loader2,
+  AlertCircle
+} from 'lucide-react'
+
+const declarationSchema = z.object({
+  serviceId: z.string().trim().min(1, 'El ID del servicio es requerido'),
+  amount: z.number({ invalid_type_error: 'El monto es requerido' }).positive('Debe ser mayor a 0'),
+  notes: z.string().trim().max(280, 'Máximo 280 caracteres').optional(),
+})
+
+type DeclarationSchemaData = z.infer<typeof declarationSchema>
+
+export function CashPayments() {
+  const [declarations, setDeclarations] = useState<CashPaymentDeclaration[]>([])
+  const [debts, setDebts] = useState<CommissionDebtSummary | null>(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  const [message, setMessage] = useState<string | null>(null)
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm<DeclarationSchemaData>({
+    resolver: zodResolver(declarationSchema),
+  })
+
+  useEffect(() => {
+    loadData()
+  }, [])
+
+  const loadData = async () => {
+    try {
+      setIsLoading(true)
+      const [declarationsResponse, debtsResponse] = await Promise.all([
+        cashPaymentsApi.getDeclarations(),
+        cashPaymentsApi.getCommissionDebts(),
+      ])
+
+      if (declarationsResponse.data.success) {
+        setDeclarations(declarationsResponse.data.data)
+      }
+      if (debtsResponse.data.success) {
+        setDebts(debtsResponse.data.data)
+      }
+      setError(null)
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Error al cargar los pagos en efectivo')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const declarePayment = async (data: DeclarationSchemaData) => {
+    setIsSubmitting(true)
+    setError(null)
+    setMessage(null)
+
+    try {
+      const response = await cashPaymentsApi.declare(data)
+      if (response.data.success) {
+        setMessage(response.data.message || 'Pago declarado. El cliente debe confirmarlo.')
+        reset({ serviceId: '', amount: undefined, notes: '' })
+        await loadData()
+      }
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Error al declarar el pago')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const pendingBalances = Object.entries(debts?.saldos || {}).filter(([, saldo]) => saldo > 0)
+
+  return (
+    <div className="space-y-6">
+      <Card className="w-full">
+        <CardHeader>
+          <CardTitle className="flex items-center">
+            <Banknote className="w-5 h-5 mr-2" />
+            Pagos en efectivo
+          </CardTitle>
+          <CardDescription>
+            Declara los cobros en efectivo o fuera de la plataforma. Cuando el cliente confirma, la comisión
+            de Changánet queda como deuda y se descuenta de tus próximos payouts.
+          </CardDescription>
+        </CardHeader>
+
+        <CardContent>
+          {error && (
+            <div className="mb-6 p-4 bg-danger-50 border border-danger-200 rounded-lg">
+              <p className="text-sm text-danger-800 flex items-center">
+                <AlertCircle className="w-4 h-4 mr-2" />
+                {error}
+              </p>
+            </div>
+          )}
+
+          {message && (
+            <div className="mb-6 p-4 bg-primary-50 border border-primary-200 rounded-lg">
+              <p className="text-sm text-primary-800">{message}</p>
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit(declarePayment)} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+            <div className="space-y-1">
+              <label htmlFor="serviceId" className="text-sm font-medium">Servicio *</label>
+              <Input
+                id="serviceId"
+                placeholder="ID del servicio"
+                {...register('serviceId')}
+                className={cn(errors.serviceId && 'border-danger-500')}
+              />
+              {errors.serviceId && <p className="text-xs text-danger-600">{errors.serviceId.message}</p>}
+            </div>
+            <div className="space-y-1">
+              <label htmlFor="amount" className="text-sm font-medium">Monto cobrado *</label>
+              <Input
+                id="amount"
+                type="number"
+                step="0.01"
+                {...register('amount', { valueAsNumber: true })}
+                className={cn(errors.amount && 'border-danger-500')}
+              />
+              {errors.amount && <p className="text-xs text-danger-600">{errors.amount.message}</p>}
+            </div>
+            <div className="space-y-1">
+              <label htmlFor="notes" className="text-sm font-medium">Notas</label>
+              <Input
+                id="notes"
+                placeholder="Ej. Cobrado al finalizar el trabajo"
+                {...register('notes')}
+                className={cn(errors.notes && 'border-danger-500')}
+              />
+              {errors.notes && <p className="text-xs text-danger-600">{errors.notes.message}</p>}
+            </div>
+            <Button type="submit" disabled={isSubmitting}>
+              {isSubmitting ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Send className="w-4 h-4 mr-2" />}
+              Declarar pago
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+
+      <Card className="w-full">
+        <CardHeader>
+          <CardTitle>Comisiones a pagar</CardTitle>
+          <CardDescription>Comisiones de pagos en efectivo pendientes de compensar con tus payouts</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {isLoading ? (
+            <div className="flex items-center justify-center py-8 text-gray-600">
+              <Loader2 className="w-6 h-6 animate-spin mr-2" />
+              Cargando...
+            </div>
+          ) : (
+            <>
+              {pendingBalances.length === 0 ? (
+                <p className="text-sm text-gray-600">No tienes comisiones pendientes</p>
+              ) : (
+                <div className="flex flex-wrap gap-4 mb-6">
+                  {pendingBalances.map(([moneda, saldo]) => (
+                    <div key={moneda} className="p-4 bg-warning-50 border border-warning-200 rounded-lg">
+                      <p className="text-sm text-gray-600">Saldo adeudado ({moneda})</p>
+                      <p className="text-2xl font-bold text-warning-700">{formatCurrency(saldo, moneda)}</p>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {declarations.length > 0 && (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="border-b text-left text-gray-600">
+                        <th className="py-2 pr-4">Fecha</th>
+                        <th className="py-2 pr-4">Servicio</th>
+                        <th className="py-2 pr-4">Cliente</th>
+                        <th className="py-2 pr-4">Estado</th>
+                        <th className="py-2 pr-4 text-right">Monto</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {declarations.map((declaration) => (
+                        <tr key={declaration.id} className="border-b">
+                          <td className="py-2 pr-4">{formatDateTime(declaration.declarado_en)}</td>
+                          <td className="py-2 pr-4">{declaration.servicio?.descripcion || declaration.servicio_id}</td>
+                          <td className="py-2 pr-4">{declaration.cliente?.nombre || '-'}</td>
+                          <td className="py-2 pr-4">
+                            {getCashDeclarationStatusText(declaration.estado)}
+                            {declaration.motivo_rechazo && (
+                              <p className="text-xs text-danger-600">{declaration.motivo_rechazo}</p>
+                            )}
+                          </td>
+                          <td className="py-2 pr-4 text-right">{formatCurrency(declaration.monto, declaration.moneda)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
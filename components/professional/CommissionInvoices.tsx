@@ -0,0 +1,266 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import * as z from 'zod'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { paymentsApi } from '@/lib/api'
+import { formatCurrency, formatDate, cn } from '@/utils/format'
+import { CommissionInvoice, FiscalData, IvaCondition } from '@/types/payments'
+import {
+  Receipt,
+  Download,
+  Save,
+  Loader2,
+  AlertCircle,
+  CheckCircle
+} from 'lucide-react'
+
+const fiscalDataSchema = z.object({
+  cuit: z.string().regex(/^\d{2}-?\d{8}-?\d$/, 'Ingrese un CUIT de 11 dígitos'),
+  razon_social: z.string().min(1, 'La razón social es requerida'),
+  condicion_iva: z.enum(['responsable_inscripto', 'monotributista', 'exento']),
+  domicilio_fiscal: z.string().min(1, 'El domicilio fiscal es requerido'),
+})
+
+type FiscalDataSchemaData = z.infer<typeof fiscalDataSchema>
+
+const ivaConditionText: Record<IvaCondition, string> = {
+  responsable_inscripto: 'Responsable inscripto (factura A)',
+  monotributista: 'Monotributista (factura B)',
+  exento: 'Exento (factura B)',
+}
+
+export function CommissionInvoices() {
+  const [invoices, setInvoices] = useState<CommissionInvoice[]>([])
+  const [hasFiscalData, setHasFiscalData] = useState(false)
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSaving, setIsSaving] = useState(false)
+  const [downloadingId, setDownloadingId] = useState<string | null>(null)
+  const [error, setError] = useState<string | null>(null)
+  const [message, setMessage] = useState<string | null>(null)
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm<FiscalDataSchemaData>({
+    resolver: zodResolver(fiscalDataSchema),
+    defaultValues: { condicion_iva: 'monotributista' },
+  })
+
+  useEffect(() => {
+    loadData()
+  }, [])
+
+  const loadData = async () => {
+    try {
+      setIsLoading(true)
+      const [invoicesResponse, fiscalResponse] = await Promise.all([
+        paymentsApi.getInvoices(),
+        paymentsApi.getFiscalData(),
+      ])
+
+      if (invoicesResponse.data.success) {
+        setInvoices(invoicesResponse.data.data)
+      }
+      if (fiscalResponse.data.success && fiscalResponse.data.data) {
+        const { cuit, razon_social, condicion_iva, domicilio_fiscal } = fiscalResponse.data.data
+        reset({ cuit, razon_social, condicion_iva, domicilio_fiscal })
+        setHasFiscalData(true)
+      }
+      setError(null)
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Error al cargar las facturas')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const onSubmit = async (data: FiscalDataSchemaData) => {
+    setIsSaving(true)
+    setError(null)
+    setMessage(null)
+
+    try {
+      const response = await paymentsApi.updateFiscalData(data as FiscalData)
+      if (response.data.success) {
+        setHasFiscalData(true)
+        setMessage(response.data.message || 'Datos fiscales guardados')
+      }
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Error al guardar los datos fiscales')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleDownload = async (invoice: CommissionInvoice) => {
+    setDownloadingId(invoice.id)
+
+    try {
+      const response = await paymentsApi.downloadInvoice(invoice.id)
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }))
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `factura_${invoice.tipo_comprobante}_${invoice.numero_comprobante}.pdf`
+      link.click()
+      window.URL.revokeObjectURL(url)
+    } catch {
+      setError('Error al descargar la factura')
+    } finally {
+      setDownloadingId(null)
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <Card className="w-full">
+        <CardHeader>
+          <CardTitle className="flex items-center">
+            <Receipt className="w-5 h-5 mr-2" />
+            Facturas de comisión
+          </CardTitle>
+          <CardDescription>
+            Cada mes se emite una factura por la comisión de Changánet sobre tus cobros del mes anterior
+          </CardDescription>
+        </CardHeader>
+
+        <CardContent>
+          {error && (
+            <div className="mb-6 p-4 bg-danger-50 border border-danger-200 rounded-lg">
+              <p className="text-sm text-danger-800 flex items-center">
+                <AlertCircle className="w-4 h-4 mr-2" />
+                {error}
+              </p>
+            </div>
+          )}
+
+          {isLoading ? (
+            <div className="flex items-center justify-center py-8 text-gray-600">
+              <Loader2 className="w-6 h-6 animate-spin mr-2" />
+              Cargando facturas...
+            </div>
+          ) : invoices.length === 0 ? (
+            <div className="text-center py-8 border-2 border-dashed rounded-lg">
+              <Receipt className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+              <h3 className="text-lg font-medium text-gray-900 mb-2">
+                Todavía no tienes facturas
+              </h3>
+              <p className="text-gray-600">
+                La primera se emitirá al cerrar el mes en que cobres un servicio
+              </p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b text-left text-gray-600">
+                    <th className="py-2 pr-4">Período</th>
+                    <th className="py-2 pr-4">Comprobante</th>
+                    <th className="py-2 pr-4 text-right">Pagos</th>
+                    <th className="py-2 pr-4 text-right">Neto</th>
+                    <th className="py-2 pr-4 text-right">IVA</th>
+                    <th className="py-2 pr-4 text-right">Total</th>
+                    <th className="py-2 pr-4">Estado</th>
+                    <th className="py-2 pr-4"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {invoices.map((invoice) => (
+                    <tr key={invoice.id} className="border-b">
+                      <td className="py-2 pr-4">{invoice.periodo}</td>
+                      <td className="py-2 pr-4 font-mono">
+                        {invoice.tipo_comprobante} {invoice.numero_comprobante}
+                      </td>
+                      <td className="py-2 pr-4 text-right">{invoice.cantidad_pagos}</td>
+                      <td className="py-2 pr-4 text-right">{formatCurrency(invoice.monto_neto)}</td>
+                      <td className="py-2 pr-4 text-right">{formatCurrency(invoice.monto_iva)}</td>
+                      <td className="py-2 pr-4 text-right font-medium">{formatCurrency(invoice.monto_total)}</td>
+                      <td className="py-2 pr-4">
+                        <span className={cn('badge', invoice.estado === 'autorizada' ? 'badge-success' : 'badge-warning')}>
+                          {invoice.estado === 'autorizada' ? `Emitida el ${formatDate(invoice.emitida_en)}` : 'Pendiente de autorización'}
+                        </span>
+                      </td>
+                      <td className="py-2 pr-4 text-right">
+                        {invoice.estado === 'autorizada' && (
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            disabled={downloadingId === invoice.id}
+                            onClick={() => handleDownload(invoice)}
+                          >
+                            {downloadingId === invoice.id ? (
+                              <Loader2 className="w-4 h-4 animate-spin" />
+                            ) : (
+                              <Download className="w-4 h-4" />
+                            )}
+                          </Button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card className="w-full">
+        <CardHeader>
+          <CardTitle>Datos fiscales</CardTitle>
+          <CardDescription>
+            {hasFiscalData
+              ? 'Se usan para emitir tus próximas facturas'
+              : 'Sin datos fiscales las facturas se emiten a consumidor final'}
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {message && (
+            <p className="mb-4 text-sm text-success-600 flex items-center">
+              <CheckCircle className="w-4 h-4 mr-2" />
+              {message}
+            </p>
+          )}
+
+          <form onSubmit={handleSubmit(onSubmit)} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="space-y-1">
+              <label htmlFor="cuit" className="text-sm font-medium">CUIT *</label>
+              <Input id="cuit" placeholder="20-12345678-6" {...register('cuit')} className={cn(errors.cuit && 'border-danger-500')} />
+              {errors.cuit && <p className="text-xs text-danger-600">{errors.cuit.message}</p>}
+            </div>
+            <div className="space-y-1">
+              <label htmlFor="razon_social" className="text-sm font-medium">Razón social *</label>
+              <Input id="razon_social" {...register('razon_social')} className={cn(errors.razon_social && 'border-danger-500')} />
+              {errors.razon_social && <p className="text-xs text-danger-600">{errors.razon_social.message}</p>}
+            </div>
+            <div className="space-y-1">
+              <label htmlFor="condicion_iva" className="text-sm font-medium">Condición frente al IVA *</label>
+              <select id="condicion_iva" {...register('condicion_iva')} className="w-full h-10 px-3 border rounded-md text-sm">
+                {(Object.keys(ivaConditionText) as IvaCondition[]).map((condition) => (
+                  <option key={condition} value={condition}>{ivaConditionText[condition]}</option>
+                ))}
+              </select>
+            </div>
+            <div className="space-y-1">
+              <label htmlFor="domicilio_fiscal" className="text-sm font-medium">Domicilio fiscal *</label>
+              <Input id="domicilio_fiscal" {...register('domicilio_fiscal')} className={cn(errors.domicilio_fiscal && 'border-danger-500')} />
+              {errors.domicilio_fiscal && <p className="text-xs text-danger-600">{errors.domicilio_fiscal.message}</p>}
+            </div>
+            <div className="md:col-span-2 flex justify-end">
+              <Button type="submit" disabled={isSaving}>
+                {isSaving ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Save className="w-4 h-4 mr-2" />}
+                Guardar datos fiscales
+              </Button>
+            </div>
+          </form>
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
@@ -0,0 +1,171 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { withholdingsApi } from '@/lib/api'
+import { formatCurrency } from '@/utils/format'
+import { EarningsStatement as EarningsStatementData, WithholdingTax } from '@/types/payments'
+import {
+  FileText,
+  Download,
+  Loader2,
+  AlertCircle
+} from 'lucide-react'
+
+const taxText: Record<WithholdingTax, string> = {
+  ganancias: 'Ret. Ganancias',
+  iibb: 'Ret. IIBB',
+}
+
+const currentYear = new Date().getFullYear()
+const years = [currentYear, currentYear - 1, currentYear - 2]
+
+export function EarningsStatement() {
+  const [year, setYear] = useState(currentYear)
+  const [statement, setStatement] = useState<EarningsStatementData | null>(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [downloading, setDownloading] = useState<'csv' | 'pdf' | null>(null)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    loadStatement()
+  }, [year])
+
+  const loadStatement = async () => {
+    try {
+      setIsLoading(true)
+      const response = await withholdingsApi.getStatement(year)
+      if (response.data.success) {
+        setStatement(response.data.data)
+      }
+      setError(null)
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Error al cargar el resumen anual')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const handleDownload = async (format: 'csv' | 'pdf') => {
+    setDownloading(format)
+
+    try {
+      const response = await withholdingsApi.downloadStatement(year, format)
+      const type = format === 'pdf' ? 'application/pdf' : 'text/csv'
+      const url = window.URL.createObjectURL(new Blob([response.data], { type }))
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `resumen_ingresos_${year}.${format}`
+      link.click()
+      window.URL.revokeObjectURL(url)
+    } catch {
+      setError('Error al descargar el resumen anual')
+    } finally {
+      setDownloading(null)
+    }
+  }
+
+  const taxes = Object.keys(taxText) as WithholdingTax[]
+
+  return (
+    <Card className="w-full">
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <div>
+            <CardTitle className="flex items-center">
+              <FileText className="w-5 h-5 mr-2" />
+              Resumen anual de ingresos
+            </CardTitle>
+            <CardDescription>
+              Bruto, comisión, retenciones y neto de cada mes para tu declaración de impuestos
+            </CardDescription>
+          </div>
+          <div className="flex items-center space-x-2">
+            <select
+              value={year}
+              onChange={(e) => setYear(Number(e.target.value))}
+              className="h-9 px-3 border rounded-md text-sm"
+            >
+              {years.map((option) => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </select>
+            {(['csv', 'pdf'] as const).map((format) => (
+              <Button
+                key={format}
+                size="sm"
+                variant="outline"
+                disabled={downloading !== null || isLoading}
+                onClick={() => handleDownload(format)}
+              >
+                {downloading === format ? (
+                  <Loader2 className="w-4 h-4 mr-1 animate-spin" />
+                ) : (
+                  <Download className="w-4 h-4 mr-1" />
+                )}
+                {format.toUpperCase()}
+              </Button>
+            ))}
+          </div>
+        </div>
+      </CardHeader>
+
+      <CardContent>
+        {error && (
+          <div className="mb-6 p-4 bg-danger-50 border border-danger-200 rounded-lg">
+            <p className="text-sm text-danger-800 flex items-center">
+              <AlertCircle className="w-4 h-4 mr-2" />
+              {error}
+            </p>
+          </div>
+        )}
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-8 text-gray-600">
+            <Loader2 className="w-6 h-6 animate-spin mr-2" />
+            Cargando resumen...
+          </div>
+        ) : statement && (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b text-left text-gray-600">
+                  <th className="py-2 pr-4">Mes</th>
+                  <th className="py-2 pr-4 text-right">Bruto</th>
+                  <th className="py-2 pr-4 text-right">Comisión</th>
+                  {taxes.map((tax) => (
+                    <th key={tax} className="py-2 pr-4 text-right">{taxText[tax]}</th>
+                  ))}
+                  <th className="py-2 pr-4 text-right">Neto</th>
+                </tr>
+              </thead>
+              <tbody>
+                {statement.meses.map((month) => (
+                  <tr key={month.periodo} className="border-b">
+                    <td className="py-2 pr-4">{month.nombre}</td>
+                    <td className="py-2 pr-4 text-right">{formatCurrency(month.monto_bruto)}</td>
+                    <td className="py-2 pr-4 text-right">{formatCurrency(month.comision)}</td>
+                    {taxes.map((tax) => (
+                      <td key={tax} className="py-2 pr-4 text-right">{formatCurrency(month.retenciones[tax] || 0)}</td>
+                    ))}
+                    <td className="py-2 pr-4 text-right">{formatCurrency(month.monto_neto)}</td>
+                  </tr>
+                ))}
+                <tr className="font-medium">
+                  <td className="py-2 pr-4">Total {statement.anio}</td>
+                  <td className="py-2 pr-4 text-right">{formatCurrency(statement.totales.monto_bruto)}</td>
+                  <td className="py-2 pr-4 text-right">{formatCurrency(statement.totales.comision)}</td>
+                  {taxes.map((tax) => (
+                    <td key={tax} className="py-2 pr-4 text-right">{formatCurrency(statement.totales.retenciones[tax] || 0)}</td>
+                  ))}
+                  <td className="py-2 pr-4 text-right">{formatCurrency(statement.totales.monto_neto)}</td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -5,7 +5,7 @@ import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/com
 import { Button } from '@/components/ui/button'
 import { paymentsApi } from '@/lib/api'
 import { formatCurrency, formatDate } from '@/utils/format'
-import { Payment } from '@/types/payments'
+import { Payment, Tip } from '@/types/payments'
 import {
   TrendingUp,
   TrendingDown,
@@ -14,7 +14,8 @@ import {
   RefreshCw,
   Loader2,
   AlertCircle,
-  BarChart3
+  BarChart3,
+  Heart
 } from 'lucide-react'
 
 interface EarningsSummaryProps {
@@ -24,6 +25,7 @@ interface EarningsSummaryProps {
 
 export function EarningsSummary({ professionalId, period = 'month' }: EarningsSummaryProps) {
   const [payments, setPayments] = useState<Payment[]>([])
+  const [tips, setTips] = useState<Tip[]>([])
   const [isLoading, setIsLoading] = useState(true)
   const [isRefreshing, setIsRefreshing] = useState(false)
   const [error, setError] = useState<string | null>(null)
@@ -37,30 +39,33 @@ export function EarningsSummary({ professionalId, period = 'month' }: EarningsSu
     try {
       setIsRefreshing(true)
 
-      const paymentsResponse = await paymentsApi.getProfessionalPayments(professionalId)
+      // Period start
+      const now = new Date()
+      const periodStart = new Date()
 
-      if (paymentsResponse.data.success) {
-        let filteredPayments = paymentsResponse.data.data
+      switch (selectedPeriod) {
+        case 'week':
+          periodStart.setDate(now.getDate() - 7)
+          break
+        case 'month':
+          periodStart.setMonth(now.getMonth() - 1)
+          break
+        case 'year':
+          periodStart.setFullYear(now.getFullYear() - 1)
+          break
+        case 'all':
+        default:
+          // No filtering
+          break
+      }
 
-        // Filter by period
-        const now = new Date()
-        const periodStart = new Date()
+      const [paymentsResponse, tipsResponse] = await Promise.all([
+        paymentsApi.getProfessionalPayments(professionalId),
+        paymentsApi.getReceivedTips(selectedPeriod !== 'all' ? { desde: periodStart.toISOString() } : undefined)
+      ])
 
-        switch (selectedPeriod) {
-          case 'week':
-            periodStart.setDate(now.getDate() - 7)
-            break
-          case 'month':
-            periodStart.setMonth(now.getMonth() - 1)
-            break
-          case 'year':
-            periodStart.setFullYear(now.getFullYear() - 1)
-            break
-          case 'all':
-          default:
-            // No filtering
-            break
-        }
+      if (paymentsResponse.data.success) {
+        let filteredPayments = paymentsResponse.data.data
 
         if (selectedPeriod !== 'all') {
           filteredPayments = filteredPayments.filter(
@@ -69,6 +74,7 @@ export function EarningsSummary({ professionalId, period = 'month' }: EarningsSu
         }
 
         setPayments(filteredPayments)
+        setTips(tipsResponse.data.success ? tipsResponse.data.data.propinas : [])
         setError(null)
       } else {
         setError(paymentsResponse.data.error || 'Error al cargar datos de ganancias')
@@ -83,9 +89,12 @@ export function EarningsSummary({ professionalId, period = 'month' }: EarningsSu
 
   const calculateStats = () => {
     const completedPayments = payments.filter(p => p.estado === 'liberado')
-    const totalEarnings = completedPayments.reduce((sum, p) => sum + p.monto_profesional, 0)
-    const totalCommission = completedPayments.reduce((sum, p) => sum + p.comision_plataforma, 0)
-    const averageEarnings = completedPayments.length > 0 ? totalEarnings / completedPayments.length : 0
+    const serviceEarnings = completedPayments.reduce((sum, p) => sum + p.monto_profesional, 0)
+    const totalTips = tips.reduce((sum, t) => sum + t.monto_profesional, 0)
+    const totalEarnings = serviceEarnings + totalTips
+    const totalCommission = completedPayments.reduce((sum, p) => sum + p.comision_plataforma, 0) +
+      tips.reduce((sum, t) => sum + t.comision, 0)
+    const averageEarnings = completedPayments.length > 0 ? serviceEarnings / completedPayments.length : 0
 
     // Calculate trend (compare with previous period)
     const now = new Date()
@@ -124,6 +133,8 @@ export function EarningsSummary({ professionalId, period = 'month' }: EarningsSu
       totalEarnings,
       totalCommission,
       averageEarnings,
+      totalTips,
+      tipCount: tips.length,
       completedServices: completedPayments.length,
       trend,
       previousEarnings
@@ -213,7 +224,7 @@ export function EarningsSummary({ professionalId, period = 'month' }: EarningsSu
 
       <CardContent className="space-y-6">
         {/* Key Metrics */}
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
           <div className="p-4 border rounded-lg">
             <div className="flex items-center justify-between">
               <div>
@@ -282,6 +293,21 @@ export function EarningsSummary({ professionalId, period = 'month' }: EarningsSu
               Por servicio
             </p>
           </div>
+
+          <div className="p-4 border rounded-lg">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm text-gray-600">Propinas</p>
+                <p className="text-2xl font-bold text-success-600">
+                  {formatCurrency(stats.totalTips)}
+                </p>
+              </div>
+              <Heart className="w-8 h-8 text-success-600" />
+            </div>
+            <p className="text-xs text-gray-600 mt-2">
+              {stats.tipCount} {stats.tipCount === 1 ? 'propina recibida' : 'propinas recibidas'}
+            </p>
+          </div>
         </div>
 
         {/* Recent Earnings */}
@@ -329,6 +355,41 @@ export function EarningsSummary({ professionalId, period = 'month' }: EarningsSu
             </div>
           )}
         </div>
+
+        {/* Recent Tips */}
+        {tips.length > 0 && (
+          <div>
+            <h3 className="text-lg font-medium mb-4">Propinas Recientes</h3>
+            <div className="space-y-3">
+              {tips.slice(0, 10).map((tip) => (
+                <div key={tip.id} className="flex items-center justify-between p-3 border rounded-lg">
+                  <div className="flex items-center space-x-3">
+                    <Heart className="w-4 h-4 text-success-600" />
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">
+                        {tip.servicio?.cliente.nombre || 'Cliente'}
+                      </p>
+                      <p className="text-xs text-gray-600">
+                        {tip.servicio?.descripcion || 'Servicio'} • {formatDate(tip.pagado_en || tip.creado_en)}
+                      </p>
+                      {tip.mensaje && (
+                        <p className="text-xs text-gray-500 italic">&ldquo;{tip.mensaje}&rdquo;</p>
+                      )}
+                    </div>
+                  </div>
+                  <div className="text-right">
+                    <p className="text-sm font-semibold text-success-600">
+                      +{formatCurrency(tip.monto_profesional)}
+                    </p>
+                    <p className="text-xs text-gray-600">
+                      {tip.comision > 0 ? `Comisión: ${formatCurrency(tip.comision)}` : 'Sin comisión'}
+                    </p>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
       </CardContent>
     </Card>
   )
@@ -237,10 +237,10 @@ export function PayoutDashboard({ professionalId }: PayoutDashboardProps) {
                   </div>
                   <div className="text-right">
                     <p className="text-lg font-semibold text-success-600">
-                      +{formatCurrency(payment.monto_profesional)}
+                      +{formatCurrency(payment.monto_profesional, payment.moneda)}
                     </p>
                     <p className="text-xs text-gray-600">
-                      Comisión: {formatCurrency(payment.comision_plataforma)}
+                      Comisión: {formatCurrency(payment.comision_plataforma, payment.moneda)}
                     </p>
                   </div>
                 </div>
@@ -1,5 +1,40 @@
 import axios, { AxiosInstance, AxiosResponse } from 'axios'
-import { ApiResponse, PaginatedResponse } from '@/types/payments'
+import {
+  ApiResponse,
+  CashPaymentDeclaration,
+  CashPaymentFormData,
+  CommissionDebtSummary,
+  CommissionInvoice,
+  Coupon,
+  CouponFormData,
+  CouponPreview,
+  CurrencyCode,
+  CurrencyList,
+  EarningsStatement,
+  EffectiveCommissionPreview,
+  ExchangeRate,
+  ExchangeRateFormData,
+  FiscalData,
+  InstallmentOption,
+  InstallmentPlan,
+  InstallmentPlanFormData,
+  PaginatedResponse,
+  MilestoneFormData,
+  MilestoneRelease,
+  PaymentMilestone,
+  PaymentMilestonePlan,
+  PaymentPreference,
+  ReceivedTips,
+  SettlementReconciliation,
+  Tip,
+  Wallet,
+  WalletGrantFormData,
+  WalletMovement,
+  WebhookEvent,
+  WebhookEventStatus,
+  WithholdingRule,
+  WithholdingRuleFormData,
+} from '@/types/payments'
 
 // Create axios instance with default config
 const api: AxiosInstance = axios.create({
@@ -69,8 +104,34 @@ export const apiClient = {
 // Payment-specific API methods
 export const paymentsApi = {
   // Client payments
-  createPreference: (serviceId: string, amount?: number) => {
-    return apiClient.post('/payments/create-preference', { serviceId, amount })
+  createPreference: (
+    serviceId: string,
+    amount?: number,
+    couponCode?: string,
+    useWallet?: boolean,
+    installmentPlanId?: string
+  ) => {
+    return apiClient.post<PaymentPreference & {
+      paymentId: string
+      creditAmount: number
+      chargeAmount: number
+      paidWithCredit: boolean
+      installments: InstallmentOption | null
+    }>(
+      '/payments/create-preference',
+      { serviceId, amount, couponCode, useWallet, installmentPlanId }
+    )
+  },
+
+  getInstallmentOptions: (serviceId: string, amount: number) => {
+    return apiClient.post<{ currency: CurrencyCode; amount: number; options: InstallmentOption[] }>(
+      '/payments/installment-options',
+      { serviceId, amount }
+    )
+  },
+
+  previewCoupon: (serviceId: string, couponCode: string, amount?: number) => {
+    return apiClient.post<CouponPreview>('/payments/coupon-preview', { serviceId, couponCode, amount })
   },
 
   getClientPayments: (clientId: string) => {
@@ -98,6 +159,19 @@ export const paymentsApi = {
     return apiClient.post('/payments/withdraw', { amount, bankDetails })
   },
 
+  // Tips
+  createTip: (serviceId: string, amount: number, message?: string) => {
+    return apiClient.post<{ propina: Tip; pago: Pick<PaymentPreference, 'id' | 'init_point' | 'sandbox_init_point'> & { simulated: boolean } }>('/tips', { serviceId, amount, message })
+  },
+
+  getServiceTip: (serviceId: string) => {
+    return apiClient.get<Tip | null>(`/tips/service/${serviceId}`)
+  },
+
+  getReceivedTips: (params?: { desde?: string; hasta?: string }) => {
+    return apiClient.get<ReceivedTips>('/tips/received', params)
+  },
+
   // Admin payments
   getAllPayments: (params?: {
     status?: string
@@ -114,6 +188,116 @@ export const paymentsApi = {
   releaseFunds: (paymentId: string, serviceId: string) => {
     return apiClient.post('/admin/payments/release-funds', { paymentId, serviceId })
   },
+
+  // Milestone payments
+  createMilestones: (paymentId: string, hitos: MilestoneFormData[]) => {
+    return apiClient.post<PaymentMilestone[]>(`/payments/${paymentId}/milestones`, { hitos })
+  },
+
+  getMilestones: (paymentId: string) => {
+    return apiClient.get<PaymentMilestonePlan>(`/payments/${paymentId}/milestones`)
+  },
+
+  requestMilestoneApproval: (milestoneId: string) => {
+    return apiClient.post<PaymentMilestone>(`/payments/milestones/${milestoneId}/request-approval`)
+  },
+
+  approveMilestone: (milestoneId: string) => {
+    return apiClient.post<MilestoneRelease>(`/payments/milestones/${milestoneId}/approve`)
+  },
+
+  rejectMilestone: (milestoneId: string, motivo: string) => {
+    return apiClient.post<PaymentMilestone>(`/payments/milestones/${milestoneId}/reject`, { motivo })
+  },
+
+  // Commission invoices
+  getInvoices: (page = 1, limit = 20) => {
+    return api.get<PaginatedResponse<CommissionInvoice>>('/payments/invoices', { params: { page, limit } })
+  },
+
+  downloadInvoice: (invoiceId: string) => {
+    return api.get(`/payments/invoices/${invoiceId}/download`, { responseType: 'blob' })
+  },
+
+  getFiscalData: () => {
+    return apiClient.get<FiscalData | null>('/payments/invoices/fiscal-data')
+  },
+
+  updateFiscalData: (data: FiscalData) => {
+    return apiClient.put<FiscalData>('/payments/invoices/fiscal-data', data)
+  },
+}
+
+// Tax withholdings and annual earnings statements
+export const withholdingsApi = {
+  getRules: () => {
+    return apiClient.get<WithholdingRule[]>('/withholdings/rules')
+  },
+
+  saveRule: (data: WithholdingRuleFormData) => {
+    return apiClient.put<WithholdingRule>('/withholdings/rules', data)
+  },
+
+  getStatement: (year: number) => {
+    return apiClient.get<EarningsStatement>('/withholdings/statement', { year })
+  },
+
+  downloadStatement: (year: number, format: 'csv' | 'pdf') => {
+    return api.get('/withholdings/statement', { params: { year, format }, responseType: 'blob' })
+  },
+}
+
+// Exchange Rate API methods
+export const exchangeRatesApi = {
+  getCurrencies: () => {
+    return apiClient.get<CurrencyList>('/exchange-rates')
+  },
+
+  getHistory: (currency: CurrencyCode, page = 1) => {
+    return apiClient.get<ExchangeRate[]>(`/exchange-rates/${currency}/history`, { page })
+  },
+
+  setRate: (currency: CurrencyCode, data: ExchangeRateFormData) => {
+    return apiClient.put<ExchangeRate>(`/exchange-rates/${currency}`, data)
+  },
+}
+
+// Client Wallet API methods
+export const walletApi = {
+  getMyWallet: (page = 1) => {
+    return apiClient.get<Wallet>('/wallet', { page })
+  },
+
+  getUserWallet: (userId: string, page = 1) => {
+    return apiClient.get<Wallet>(`/wallet/users/${userId}`, { page })
+  },
+
+  grantCredit: (userId: string, data: WalletGrantFormData) => {
+    return apiClient.post<WalletMovement>(`/wallet/users/${userId}/credits`, data)
+  },
+}
+
+// Cash Payment API methods
+export const cashPaymentsApi = {
+  declare: (data: CashPaymentFormData) => {
+    return apiClient.post<CashPaymentDeclaration>('/cash-payments', data)
+  },
+
+  getDeclarations: (estado?: string) => {
+    return apiClient.get<CashPaymentDeclaration[]>('/cash-payments', { estado })
+  },
+
+  confirm: (declarationId: string) => {
+    return apiClient.post(`/cash-payments/${declarationId}/confirm`)
+  },
+
+  reject: (declarationId: string, reason: string) => {
+    return apiClient.post<CashPaymentDeclaration>(`/cash-payments/${declarationId}/reject`, { reason })
+  },
+
+  getCommissionDebts: () => {
+    return apiClient.get<CommissionDebtSummary>('/cash-payments/commission-debts')
+  },
 }
 
 // Commission API methods
@@ -142,6 +326,10 @@ export const commissionsApi = {
     return apiClient.post('/commissions/calculate', { amount, serviceType })
   },
 
+  getEffectiveCommission: (professionalId: string, serviceType?: string) => {
+    return apiClient.get<EffectiveCommissionPreview>('/commissions/effective', { professionalId, serviceType })
+  },
+
   getStats: () => {
     return apiClient.get('/commissions/stats')
   },
@@ -151,6 +339,74 @@ export const commissionsApi = {
   },
 }
 
+// Mercado Pago settlement reconciliation (admin)
+export const reconciliationApi = {
+  uploadReport: (file: File) => {
+    const formData = new FormData()
+    formData.append('archivo', file)
+    return apiClient.post<SettlementReconciliation>('/reconciliation', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    })
+  },
+
+  getReconciliations: (page = 1, limit = 20) => {
+    return api.get<PaginatedResponse<SettlementReconciliation>>('/reconciliation', { params: { page, limit } })
+  },
+
+  getReconciliation: (reconciliationId: string) => {
+    return apiClient.get<SettlementReconciliation>(`/reconciliation/${reconciliationId}`)
+  },
+}
+
+// Mercado Pago webhook event store (admin)
+export const webhookEventsApi = {
+  getEvents: (filters: { estado?: WebhookEventStatus; page?: number; limit?: number } = {}) => {
+    return api.get<PaginatedResponse<WebhookEvent>>('/webhook-events', { params: filters })
+  },
+
+  getEvent: (eventId: string) => {
+    return apiClient.get<WebhookEvent>(`/webhook-events/${eventId}`)
+  },
+
+  retryEvent: (eventId: string) => {
+    return apiClient.post<WebhookEvent>(`/webhook-events/${eventId}/retry`)
+  },
+
+  replayEvent: (eventId: string, ignoreSignature = false) => {
+    return apiClient.post<WebhookEvent>(`/webhook-events/${eventId}/replay`, { ignoreSignature })
+  },
+}
+
+// Promotional coupons (admin)
+export const couponsApi = {
+  getCoupons: (page = 1, limit = 20) => {
+    return api.get<PaginatedResponse<Coupon>>('/coupons', { params: { page, limit } })
+  },
+
+  createCoupon: (data: CouponFormData) => {
+    return apiClient.post<Coupon>('/coupons', data)
+  },
+
+  updateCoupon: (couponId: string, data: Partial<CouponFormData> & { activo?: boolean }) => {
+    return apiClient.put<Coupon>(`/coupons/${couponId}`, data)
+  },
+}
+
+// Installment plans (admin)
+export const installmentPlansApi = {
+  getPlans: (activo?: boolean) => {
+    return apiClient.get<InstallmentPlan[]>('/installment-plans', { activo })
+  },
+
+  createPlan: (data: InstallmentPlanFormData) => {
+    return apiClient.post<InstallmentPlan>('/installment-plans', data)
+  },
+
+  updatePlan: (planId: string, data: Partial<InstallmentPlanFormData> & { activo?: boolean }) => {
+    return apiClient.put<InstallmentPlan>(`/installment-plans/${planId}`, data)
+  },
+}
+
 // WebSocket connection for real-time updates
 export class PaymentWebSocket {
   private ws: WebSocket | null = null
@@ -1,5 +1,8 @@
 // Payment and Commission Types for Changánet
 
+// Monedas en las que operan los profesionales (Argentina, Uruguay, Chile)
+export type CurrencyCode = 'ARS' | 'UYU' | 'CLP'
+
 export interface User {
   id: string
   nombre: string
@@ -24,6 +27,7 @@ export interface Service {
     email: string
     perfil_profesional?: {
       tarifa_hora: number
+      moneda?: CurrencyCode
     }
   }
 }
@@ -36,6 +40,17 @@ export interface Payment {
   monto_total: number
   comision_plataforma: number
   monto_profesional: number
+  monto_descuento?: number
+  descuento_absorbido_por?: DiscountAbsorber
+  moneda: CurrencyCode
+  tipo_cambio: number
+  tipo_cambio_fecha?: string
+  monto_credito?: number
+  plan_cuotas_id?: string
+  cuotas?: number
+  monto_cuota?: number
+  recargo_financiacion?: number
+  costo_financiacion?: number
   estado: 'pendiente' | 'aprobado' | 'rechazado' | 'liberado' | 'cancelado'
   mercado_pago_preference_id?: string
   creado_en: string
@@ -43,8 +58,49 @@ export interface Payment {
   servicio: Service
   commission_setting?: CommissionSetting
   payouts?: Payout[]
+  hitos?: PaymentMilestone[]
 }
 
+export interface PaymentMilestone {
+  id: string
+  pago_id: string
+  orden: number
+  descripcion: string
+  porcentaje: number
+  monto: number
+  estado: 'pendiente' | 'en_revision' | 'liberado' | 'cancelado'
+  comision_plataforma: number
+  monto_profesional: number
+  payout_id?: string
+  solicitado_en?: string
+  escrow_release_deadline?: string
+  aprobado_en?: string
+  aprobado_por?: string
+  notas_rechazo?: string
+  creado_en: string
+}
+
+export interface PaymentMilestonePlan {
+  paymentId: string
+  serviceId: string
+  estado: string
+  montoTotal: number
+  montoLiberado: number
+  montoEnCustodia: number
+  hitos: PaymentMilestone[]
+}
+
+export interface MilestoneRelease {
+  milestone: PaymentMilestone
+  grossAmount: number
+  commission: number
+  professionalAmount: number
+  payoutId: string
+  paymentFullyReleased: boolean
+}
+
+export type CommissionRuleType = 'general' | 'profesional' | 'medalla' | 'verificacion' | 'volumen'
+
 export interface CommissionSetting {
   id: string
   nombre: string
@@ -54,6 +110,25 @@ export interface CommissionSetting {
   activo: boolean
   fecha_creacion: string
   creado_por: string
+  tipo_regla?: CommissionRuleType
+  profesional_id?: string
+  medalla_requerida?: string
+  volumen_mensual_minimo?: number
+  valido_desde?: string
+  valido_hasta?: string
+}
+
+export interface EffectiveCommissionPreview {
+  profesional: { id: string; nombre: string }
+  porcentaje: number
+  reglaAplicada: CommissionRuleType | 'plan' | 'tipo_servicio' | 'defecto'
+  configuracion: CommissionSetting
+  contexto: {
+    verificado: boolean
+    medallas: string[]
+    serviciosCompletados: number
+  }
+  plan: { codigo: string; nombre: string }
 }
 
 export interface Payout {
@@ -63,6 +138,10 @@ export interface Payout {
   monto_bruto: number
   comision_plataforma: number
   monto_neto: number
+  retenciones: number
+  detalle_retenciones?: WithholdingDetail[]
+  compensacion_comisiones?: number
+  moneda: CurrencyCode
   metodo_pago: string
   estado: 'pendiente' | 'procesando' | 'completado' | 'fallido'
   referencia_pago?: string
@@ -168,6 +247,393 @@ export interface PayoutStats {
   averagePayout: number
 }
 
+// Settlement Reconciliation Types
+export type ReconciliationDifferenceType =
+  | 'faltante_en_sistema'
+  | 'faltante_en_reporte'
+  | 'duplicado'
+  | 'diferencia_monto'
+
+export interface ReconciliationDifference {
+  id: string
+  tipo: ReconciliationDifferenceType
+  mercado_pago_id?: string
+  pago_id?: string
+  monto_reporte?: number
+  monto_sistema?: number
+  diferencia?: number
+  filas?: string
+  detalle: string
+}
+
+export interface SettlementReconciliation {
+  id: string
+  archivo_nombre: string
+  tipo_reporte: 'liquidaciones' | 'liberaciones'
+  periodo_desde?: string
+  periodo_hasta?: string
+  total_filas: number
+  conciliados: number
+  faltantes_en_sistema: number
+  faltantes_en_reporte: number
+  duplicados: number
+  diferencias_monto: number
+  estado: 'conciliado' | 'con_diferencias'
+  subido_por: string
+  creado_en: string
+  diferencias?: ReconciliationDifference[]
+}
+
+// Commission Invoice Types
+export type IvaCondition = 'responsable_inscripto' | 'monotributista' | 'exento'
+
+export interface FiscalData {
+  cuit: string
+  razon_social: string
+  condicion_iva: IvaCondition
+  domicilio_fiscal: string
+  actualizado_en?: string
+}
+
+export interface CommissionInvoice {
+  id: string
+  profesional_id: string
+  tipo_comprobante: 'A' | 'B'
+  punto_venta: number
+  numero: number
+  numero_comprobante: string
+  periodo: string
+  cantidad_pagos: number
+  comision_bruta: number
+  comision_revertida: number
+  monto_neto: number
+  alicuota_iva: number
+  monto_iva: number
+  monto_total: number
+  estado: 'pendiente_autorizacion' | 'autorizada'
+  cae?: string
+  cae_vencimiento?: string
+  emitida_en: string
+}
+
+// Tax Withholding Types
+export type WithholdingTax = 'ganancias' | 'iibb'
+
+export type FiscalCategory = IvaCondition | 'sin_datos_fiscales'
+
+export interface WithholdingDetail {
+  impuesto: WithholdingTax
+  porcentaje: number
+  monto: number
+}
+
+export interface WithholdingRule {
+  id: string
+  impuesto: WithholdingTax
+  categoria_fiscal: FiscalCategory
+  porcentaje: number
+  minimo_no_imponible: number
+  activa: boolean
+  actualizado_en: string
+}
+
+export interface WithholdingRuleFormData {
+  impuesto: WithholdingTax
+  categoria_fiscal: FiscalCategory
+  porcentaje: number
+  minimo_no_imponible?: number
+  activa?: boolean
+}
+
+export interface EarningsStatementRow {
+  cantidad_payouts: number
+  monto_bruto: number
+  comision: number
+  retenciones: Record<WithholdingTax, number>
+  total_retenciones: number
+  monto_neto: number
+}
+
+export interface EarningsStatementMonth extends EarningsStatementRow {
+  mes: number
+  nombre: string
+  periodo: string
+}
+
+export interface EarningsStatement {
+  anio: number
+  profesional: {
+    nombre: string
+    email: string
+    cuit: string | null
+    categoria_fiscal: FiscalCategory
+  }
+  meses: EarningsStatementMonth[]
+  totales: EarningsStatementRow
+}
+
+// Currency and Exchange Rate Types
+export interface CurrencyRate {
+  codigo: CurrencyCode
+  nombre: string
+  decimales: number
+  tasa: number | null
+  vigente_desde: string | null
+}
+
+export interface CurrencyList {
+  base: CurrencyCode
+  monedas: CurrencyRate[]
+}
+
+export interface ExchangeRate {
+  id: string
+  moneda: CurrencyCode
+  tasa: number
+  vigente_desde: string
+  fuente?: string
+  creado_por?: string
+  creado_en: string
+}
+
+export interface ExchangeRateFormData {
+  tasa: number
+  vigente_desde?: string
+  fuente?: string
+}
+
+// Client Wallet Types
+export type WalletGrantType = 'compensacion' | 'referido'
+
+export type WalletMovementType = WalletGrantType | 'pago' | 'pago_anulado' | 'reembolso'
+
+export interface WalletMovement {
+  id: string
+  billetera_id: string
+  tipo: WalletMovementType
+  monto: number
+  saldo_resultante: number
+  pago_id?: string
+  motivo?: string
+  creado_por?: string
+  creado_en: string
+}
+
+export interface Wallet {
+  saldo: number
+  moneda: CurrencyCode
+  movimientos: WalletMovement[]
+  pagination: {
+    page: number
+    limit: number
+    total: number
+    pages: number
+  }
+}
+
+export interface WalletGrantFormData {
+  monto: number
+  tipo: WalletGrantType
+  motivo: string
+}
+
+// Cash Payment Types
+export type CashDeclarationStatus = 'pendiente' | 'confirmado' | 'rechazado'
+
+export interface CashPaymentDeclaration {
+  id: string
+  servicio_id: string
+  profesional_id: string
+  cliente_id: string
+  monto: number
+  moneda: CurrencyCode
+  notas?: string
+  estado: CashDeclarationStatus
+  motivo_rechazo?: string
+  pago_id?: string
+  declarado_en: string
+  respondido_en?: string
+  servicio?: { id: string; descripcion: string }
+  profesional?: { id: string; nombre: string }
+  cliente?: { id: string; nombre: string }
+}
+
+export interface CashPaymentFormData {
+  serviceId: string
+  amount: number
+  notes?: string
+}
+
+export interface CommissionDebt {
+  id: string
+  profesional_id: string
+  pago_id: string
+  monto: number
+  saldo: number
+  moneda: CurrencyCode
+  estado: 'pendiente' | 'cancelada'
+  creado_en: string
+  cancelada_en?: string
+  pago?: { servicio_id: string; monto_total: number; fecha_pago?: string }
+}
+
+export interface CommissionDebtSummary {
+  saldos: Record<string, number>
+  deudas: CommissionDebt[]
+}
+
+// Webhook Event Types
+export type WebhookEventStatus =
+  | 'recibido'
+  | 'procesando'
+  | 'procesado'
+  | 'fallido'
+  | 'rechazado'
+  | 'ignorado'
+
+export interface WebhookEvent {
+  id: string
+  proveedor: string
+  id_evento: string
+  tipo?: string
+  accion?: string
+  recurso_id?: string
+  firma_valida: boolean
+  estado: WebhookEventStatus
+  intentos: number
+  ultimo_error?: string
+  recibido_en: string
+  ultimo_intento_en?: string
+  procesado_en?: string
+  headers?: Record<string, string>
+  cuerpo?: Record<string, any>
+  resultado?: Record<string, any>
+  ip_address?: string
+  reprocesado_por?: string
+}
+
+// Coupon Types
+export type CouponType = 'porcentaje' | 'monto_fijo'
+
+export type DiscountAbsorber = 'plataforma' | 'profesional'
+
+export interface Coupon {
+  id: string
+  codigo: string
+  descripcion?: string
+  tipo: CouponType
+  valor: number
+  monto_maximo_descuento?: number
+  monto_minimo?: number
+  absorbido_por: DiscountAbsorber
+  profesional_id?: string
+  solo_primer_servicio: boolean
+  max_usos_totales?: number
+  max_usos_por_usuario?: number
+  usos_actuales: number
+  valido_desde?: string
+  valido_hasta?: string
+  activo: boolean
+  creado_en: string
+  categorias: { id: string; nombre: string }[]
+}
+
+export interface CouponPreview {
+  code: string
+  description?: string
+  currency: CurrencyCode
+  listAmount: number
+  discountAmount: number
+  finalAmount: number
+}
+
+export interface CouponFormData {
+  codigo: string
+  descripcion?: string
+  tipo: CouponType
+  valor: number
+  monto_maximo_descuento?: number
+  absorbido_por: DiscountAbsorber
+  profesional_id?: string
+  solo_primer_servicio: boolean
+  max_usos_totales?: number
+  max_usos_por_usuario?: number
+  valido_desde?: string
+  valido_hasta?: string
+  categorias?: string[]
+}
+
+// Installment Plan Types
+export interface InstallmentPlan {
+  id: string
+  nombre: string
+  cuotas: number
+  sin_interes: boolean
+  tasa_interes: number
+  costo_financiacion: number
+  monto_minimo?: number
+  activo: boolean
+  creado_en: string
+  categorias: { id: string; nombre: string }[]
+}
+
+export interface InstallmentOption {
+  planId: string
+  nombre: string
+  cuotas: number
+  sinInteres: boolean
+  montoCuota: number
+  recargo: number
+  totalAPagar: number
+  costoFinanciacion: number
+}
+
+export interface InstallmentPlanFormData {
+  nombre: string
+  cuotas: number
+  sin_interes: boolean
+  tasa_interes?: number
+  costo_financiacion?: number
+  monto_minimo?: number
+  categorias?: string[]
+}
+
+export type TipStatus = 'pendiente' | 'aprobado' | 'rechazado'
+
+export interface Tip {
+  id: string
+  servicio_id: string
+  cliente_id: string
+  profesional_id: string
+  monto: number
+  porcentaje_comision: number
+  comision: number
+  monto_profesional: number
+  mensaje?: string
+  estado: TipStatus
+  pagado_en?: string
+  creado_en: string
+  servicio?: {
+    descripcion: string
+    cliente: { nombre: string }
+  }
+  payout?: {
+    id: string
+    estado: string
+    fecha_pago?: string
+  }
+}
+
+export interface ReceivedTips {
+  propinas: Tip[]
+  resumen: {
+    cantidad: number
+    total: number
+    comision: number
+    neto: number
+  }
+}
+
 // API Response Types
 export interface ApiResponse<T> {
   success: boolean
@@ -193,6 +659,11 @@ export interface PaymentFormData {
   amount?: number
 }
 
+export interface MilestoneFormData {
+  descripcion: string
+  porcentaje: number
+}
+
 export interface CommissionFormData {
   nombre: string
   porcentaje: number
@@ -5,8 +5,15 @@ export function cn(...inputs: ClassValue[]) {
   return twMerge(clsx(inputs))
 }
 
+// Formato local de cada moneda en la que opera la plataforma
+const CURRENCY_LOCALES: Record<string, string> = {
+  ARS: 'es-AR',
+  UYU: 'es-UY',
+  CLP: 'es-CL',
+}
+
 export function formatCurrency(amount: number, currency = 'ARS'): string {
-  return new Intl.NumberFormat('es-AR', {
+  return new Intl.NumberFormat(CURRENCY_LOCALES[currency] || 'es-AR', {
     style: 'currency',
     currency,
     minimumFractionDigits: 0,
@@ -101,6 +108,36 @@ export function getPayoutStatusText(status: string): string {
   }
 }
 
+export function getWalletMovementText(type: string): string {
+  switch (type) {
+    case 'compensacion':
+      return 'Compensación'
+    case 'referido':
+      return 'Referido'
+    case 'pago':
+      return 'Pago con crédito'
+    case 'pago_anulado':
+      return 'Pago anulado'
+    case 'reembolso':
+      return 'Reembolso'
+    default:
+      return type
+  }
+}
+
+export function getCashDeclarationStatusText(status: string): string {
+  switch (status) {
+    case 'pendiente':
+      return 'Pendiente de confirmación'
+    case 'confirmado':
+      return 'Confirmado'
+    case 'rechazado':
+      return 'Rechazado'
+    default:
+      return status
+  }
+}
+
 export function truncateText(text: string, maxLength: number): string {
   if (text.length <= maxLength) return text
   return text.substring(0, maxLength) + '...'